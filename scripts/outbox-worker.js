@@ -0,0 +1,70 @@
+/**
+ * Proceso de envío de la bandeja de salida (invitaciones y recordatorios).
+ *
+ * Hace una pasada: encola los recordatorios vencidos y entrega los mensajes
+ * pendientes del transporte configurado. Pensado para ejecutarse cada pocos
+ * minutos desde cron o un programador de tareas:
+ *
+ *   node --env-file=.env scripts/outbox-worker.js
+ *
+ * Variables de entorno:
+ *   SUPABASE_URL (o VITE_SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY
+ *   APP_URL              Origen de los enlaces, p. ej. https://encuestas.empresa.com
+ *   OUTBOX_TRANSPORT     smtp | webhook | archivo (por defecto archivo)
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+ *   WEBHOOK_URL, WEBHOOK_AUTHORIZATION
+ *   OUTBOX_DIR           Carpeta del transporte archivo (por defecto ./outbox)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { OutboxDispatcher, OutboxRepository, createTransport } from '../src/services/delivery/index.js';
+import { TRANSPORT_TYPES } from '../src/utils/messaging.js';
+
+const { env } = process;
+
+const transportOptions = {
+  [TRANSPORT_TYPES.SMTP]: () => ({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || 587),
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.SMTP_FROM
+  }),
+  [TRANSPORT_TYPES.WEBHOOK]: () => ({
+    url: env.WEBHOOK_URL,
+    headers: env.WEBHOOK_AUTHORIZATION ? { Authorization: env.WEBHOOK_AUTHORIZATION } : {}
+  }),
+  [TRANSPORT_TYPES.ARCHIVO]: () => ({
+    directory: env.OUTBOX_DIR || 'outbox'
+  })
+};
+
+const main = async () => {
+  const url = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+  if (!url || !env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY son obligatorias');
+  }
+  if (!env.APP_URL) throw new Error('APP_URL es obligatoria para construir los enlaces');
+
+  const transportName = env.OUTBOX_TRANSPORT || TRANSPORT_TYPES.ARCHIVO;
+  const buildOptions = transportOptions[transportName] || (() => ({}));
+
+  const client = createClient(url, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+  const dispatcher = new OutboxDispatcher({
+    repository: new OutboxRepository(client),
+    transport: createTransport(transportName, buildOptions()),
+    origin: env.APP_URL.replace(/\/+$/, '')
+  });
+
+  const summary = await dispatcher.run();
+  process.stdout.write(
+    `[outbox] ${transportName}: ${summary.queued} encolados por recordatorios, ` +
+    `${summary.sent} enviados, ${summary.failed} fallidos, ${summary.cancelled} cancelados\n`
+  );
+};
+
+main().catch((error) => {
+  console.error('[outbox] Error:', error.message);
+  process.exitCode = 1;
+});
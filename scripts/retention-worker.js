@@ -0,0 +1,44 @@
+/**
+ * Proceso de retención de datos personales.
+ *
+ * Hace una pasada de aplicar_retencion(): seudonimiza o quita los identificadores
+ * de los trabajadores cuyas sesiones superaron el plazo de las políticas activas
+ * (sql/V19__create_politicas_retencion.sql). Pensado para ejecutarse una vez al
+ * día desde cron o un programador de tareas:
+ *
+ *   node --env-file=.env scripts/retention-worker.js
+ *
+ * Variables de entorno:
+ *   SUPABASE_URL (o VITE_SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY
+ *
+ * La seudonimización necesita el secreto `pepper_documentos` en Supabase Vault
+ * (sql/V18__create_derechos_titular.sql).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const { env } = process;
+
+const main = async () => {
+  const url = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+  if (!url || !env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY son obligatorias');
+  }
+
+  const client = createClient(url, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+  const { data, error } = await client.rpc('aplicar_retencion');
+  if (error?.hint === 'pepper_no_configurado') {
+    throw new Error('falta el secreto pepper_documentos en Vault; no se aplicó ninguna política');
+  }
+  if (error) throw new Error(error.message);
+
+  process.stdout.write(
+    `[retencion] ${data.usuarios_seudonimizados} seudonimizados, ` +
+    `${data.usuarios_sin_identificadores} sin identificadores\n`
+  );
+};
+
+main().catch((error) => {
+  console.error('[retencion] Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,304 @@
+-- Campañas (olas) de evaluación: cada token y cada envío pertenece a una campaña
+-- con su ventana de fechas, población objetivo y versión del instrumento.
+-- Permite comparar una ola con la anterior ("evaluación 2026 T1" vs "2025 T3").
+
+CREATE TABLE IF NOT EXISTS public.campanas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nombre TEXT NOT NULL,
+  descripcion TEXT,
+  fecha_inicio DATE NOT NULL,
+  fecha_fin DATE NOT NULL,
+  -- { "departamentos": [...], "cargos": [...], "turnos": [...] }; una lista vacía o ausente no restringe
+  poblacion_objetivo JSONB NOT NULL DEFAULT '{}'::jsonb,
+  cuestionario_id INTEGER NOT NULL REFERENCES public.instrumentos(id),
+  estado VARCHAR(20) NOT NULL DEFAULT 'borrador' CHECK (estado IN ('borrador', 'activa', 'cerrada')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT campanas_nombre_key UNIQUE (nombre),
+  CONSTRAINT campanas_fechas_validas CHECK (fecha_fin >= fecha_inicio),
+  CONSTRAINT campanas_poblacion_valida CHECK (jsonb_typeof(poblacion_objetivo) = 'object')
+);
+
+CREATE INDEX IF NOT EXISTS idx_campanas_estado_fechas
+ON public.campanas (estado, fecha_inicio, fecha_fin);
+
+CREATE OR REPLACE FUNCTION public.actualizar_campanas_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_campanas_updated_at ON public.campanas;
+CREATE TRIGGER trg_campanas_updated_at
+BEFORE UPDATE ON public.campanas
+FOR EACH ROW EXECUTE FUNCTION public.actualizar_campanas_timestamp();
+
+ALTER TABLE public.tokens_acceso
+ADD COLUMN IF NOT EXISTS campana_id UUID REFERENCES public.campanas(id);
+
+ALTER TABLE public.resultados_sesion
+ADD COLUMN IF NOT EXISTS campana_id UUID REFERENCES public.campanas(id);
+
+-- Sin NOT NULL: aún hay escrituras directas heredadas (api/supabase.js createRespuestas)
+ALTER TABLE public.respuestas_cuestionario
+ADD COLUMN IF NOT EXISTS campana_id UUID REFERENCES public.campanas(id);
+
+CREATE INDEX IF NOT EXISTS idx_tokens_acceso_campana ON public.tokens_acceso (campana_id);
+CREATE INDEX IF NOT EXISTS idx_resultados_sesion_campana ON public.resultados_sesion (campana_id, fecha_completado DESC);
+CREATE INDEX IF NOT EXISTS idx_respuestas_cuestionario_campana ON public.respuestas_cuestionario (campana_id);
+
+-- Los datos anteriores a las campañas se agrupan en una campaña histórica cerrada
+-- (GHQ-12 v1, como en V3)
+WITH fechas AS (
+  SELECT fecha_completado AS fecha FROM public.resultados_sesion
+  UNION ALL
+  SELECT fecha_respuesta FROM public.respuestas_cuestionario
+)
+INSERT INTO public.campanas (nombre, descripcion, fecha_inicio, fecha_fin, cuestionario_id, estado)
+SELECT
+  'Histórico',
+  'Respuestas y tokens registrados antes de existir las campañas',
+  COALESCE(MIN(fecha)::DATE, CURRENT_DATE),
+  COALESCE(MAX(fecha)::DATE, CURRENT_DATE),
+  1,
+  'cerrada'
+FROM fechas
+HAVING COUNT(fecha) > 0 OR EXISTS (SELECT 1 FROM public.tokens_acceso)
+ON CONFLICT (nombre) DO NOTHING;
+
+UPDATE public.tokens_acceso
+SET campana_id = (SELECT id FROM public.campanas WHERE nombre = 'Histórico')
+WHERE campana_id IS NULL;
+
+UPDATE public.resultados_sesion
+SET campana_id = (SELECT id FROM public.campanas WHERE nombre = 'Histórico')
+WHERE campana_id IS NULL;
+
+UPDATE public.respuestas_cuestionario
+SET campana_id = (SELECT id FROM public.campanas WHERE nombre = 'Histórico')
+WHERE campana_id IS NULL;
+
+ALTER TABLE public.tokens_acceso ALTER COLUMN campana_id SET NOT NULL;
+ALTER TABLE public.resultados_sesion ALTER COLUMN campana_id SET NOT NULL;
+
+-- ¿Pertenece el usuario a la población objetivo? Espejo de isInTargetPopulation()
+-- en src/utils/campaigns.js
+CREATE OR REPLACE FUNCTION public.usuario_en_poblacion(p_usuario_id UUID, p_poblacion JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(bool_and(
+    jsonb_array_length(COALESCE(p_poblacion->c.clave, '[]'::jsonb)) = 0
+    OR COALESCE(p_poblacion->c.clave ? c.valor, FALSE)
+  ), TRUE)
+  FROM public.usuarios u
+  CROSS JOIN LATERAL (VALUES
+    ('departamentos', u.departamento),
+    ('cargos', u.cargo),
+    ('turnos', u.turno)
+  ) AS c(clave, valor)
+  WHERE u.id = p_usuario_id;
+$$ LANGUAGE sql STABLE;
+
+-- enviar_cuestionario (V7) ahora registra la campaña: la del token o, sin token,
+-- la campaña activa vigente hoy que incluye al usuario en su población
+CREATE OR REPLACE FUNCTION public.enviar_cuestionario(
+  p_sesion_id UUID,
+  p_usuario_id UUID,
+  p_cuestionario_id INTEGER,
+  p_respuestas JSONB,
+  p_tiempo_segundos INTEGER DEFAULT NULL,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  -- Debe coincidir con SCORING_RULES_VERSION de src/utils/ghq12Calculator.js
+  c_version_reglas CONSTANT TEXT := '2.0.0';
+  v_resultado public.resultados_sesion%ROWTYPE;
+  v_token public.tokens_acceso%ROWTYPE;
+  v_campana public.campanas%ROWTYPE;
+  v_definicion JSONB;
+  v_metodo TEXT := public.metodo_puntuacion_actual();
+  v_min INTEGER;
+  v_max INTEGER;
+  v_item INTEGER;
+  v_valor INTEGER;
+  v_invertido BOOLEAN;
+  v_puntos JSONB := '{}'::jsonb;
+  v_total NUMERIC := 0;
+  v_maximo NUMERIC;
+  v_porcentaje NUMERIC;
+  v_nivel TEXT;
+  v_dimensiones JSONB;
+  v_ahora TIMESTAMPTZ := NOW();
+BEGIN
+  -- 1. Token: se bloquea la fila para que dos envíos simultáneos no lo usen a la vez
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_token FROM public.tokens_acceso WHERE token = p_token FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Token no encontrado' USING HINT = 'token_invalido';
+    END IF;
+
+    -- Un token emitido para un trabajador solo sirve para sus respuestas
+    IF v_token.user_id IS NOT NULL AND v_token.user_id <> p_usuario_id THEN
+      RAISE EXCEPTION 'Token no válido para este usuario' USING HINT = 'token_invalido';
+    END IF;
+
+    IF v_token.usado THEN
+      IF v_token.sesion_id = p_sesion_id THEN
+        SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+        RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+      END IF;
+      RAISE EXCEPTION 'Token ya utilizado' USING HINT = 'token_usado';
+    END IF;
+
+    IF v_token.expiracion < v_ahora THEN
+      RAISE EXCEPTION 'Token expirado' USING HINT = 'token_expirado';
+    END IF;
+  END IF;
+
+  -- 2. Reintento de una sesión ya guardada
+  SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+  IF FOUND THEN
+    IF v_resultado.usuario_id <> p_usuario_id THEN
+      RAISE EXCEPTION 'La sesión % pertenece a otro usuario', p_sesion_id USING HINT = 'sesion_ajena';
+    END IF;
+    RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+  END IF;
+
+  -- 3. Campaña: abierta, dentro de su ventana y con el usuario en su población
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_campana FROM public.campanas WHERE id = v_token.campana_id;
+  ELSE
+    SELECT * INTO v_campana
+    FROM public.campanas
+    WHERE estado = 'activa'
+      AND v_ahora::DATE BETWEEN fecha_inicio AND fecha_fin
+      AND public.usuario_en_poblacion(p_usuario_id, poblacion_objetivo)
+    ORDER BY fecha_inicio DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'No hay una campaña de evaluación abierta' USING HINT = 'sin_campana_activa';
+    END IF;
+  END IF;
+
+  IF v_campana.estado <> 'activa' OR v_ahora::DATE NOT BETWEEN v_campana.fecha_inicio AND v_campana.fecha_fin THEN
+    RAISE EXCEPTION 'La campaña "%" no está abierta', v_campana.nombre USING HINT = 'campana_cerrada';
+  END IF;
+
+  IF NOT public.usuario_en_poblacion(p_usuario_id, v_campana.poblacion_objetivo) THEN
+    RAISE EXCEPTION 'El usuario no forma parte de la población de la campaña "%"', v_campana.nombre
+      USING HINT = 'fuera_de_poblacion';
+  END IF;
+
+  IF p_cuestionario_id <> v_campana.cuestionario_id THEN
+    RAISE EXCEPTION 'La campaña "%" usa otra versión del instrumento', v_campana.nombre
+      USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  -- 4. Validar respuestas contra la versión del instrumento
+  SELECT definicion INTO v_definicion FROM public.instrumentos WHERE id = p_cuestionario_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Instrumento % no registrado', p_cuestionario_id USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  v_min := (v_definicion #>> '{scoring,minItemValue}')::INTEGER;
+  v_max := (v_definicion #>> '{scoring,maxItemValue}')::INTEGER;
+
+  -- 5. Puntuar con el método de la organización
+  FOR v_item IN SELECT (e->>'id')::INTEGER FROM jsonb_array_elements(v_definicion->'items') e LOOP
+    v_valor := (p_respuestas->>v_item::TEXT)::INTEGER;
+    IF v_valor IS NULL OR v_valor < v_min OR v_valor > v_max THEN
+      RAISE EXCEPTION 'Respuesta inválida para la pregunta %', v_item USING HINT = 'respuestas_invalidas';
+    END IF;
+
+    v_invertido := (v_definicion->'reverseKeyedItems') @> to_jsonb(v_item);
+    v_puntos := v_puntos || jsonb_build_object(
+      v_item::TEXT,
+      public.puntuar_item_ghq12(v_valor, v_invertido, v_metodo, v_max)
+    );
+    v_total := v_total + public.puntuar_item_ghq12(v_valor, v_invertido, v_metodo, v_max);
+  END LOOP;
+
+  v_maximo := CASE
+    WHEN v_metodo = 'likert' THEN (v_definicion #>> '{scoring,maxTotal}')::NUMERIC
+    ELSE jsonb_array_length(v_definicion->'items')
+  END;
+  v_porcentaje := ROUND(public.porcentaje_riesgo_desde_puntaje(v_total, v_metodo), 2);
+  v_nivel := public.clasificar_nivel_riesgo(v_total, v_metodo);
+
+  SELECT COALESCE(jsonb_object_agg(
+    d->>'key',
+    (SELECT SUM((v_puntos->>i)::NUMERIC) FROM jsonb_array_elements_text(d->'items') i)
+  ), '{}'::jsonb)
+  INTO v_dimensiones
+  FROM jsonb_array_elements(v_definicion->'dimensions') d;
+
+  -- 6. Resultado de la sesión; si un envío simultáneo ya lo insertó se devuelve ese
+  INSERT INTO public.resultados_sesion (
+    sesion_id, usuario_id, cuestionario_id, campana_id, metodo_puntuacion, version_reglas,
+    puntaje_total, puntaje_maximo, porcentaje_riesgo, nivel_riesgo, es_caso,
+    puntajes_dimension, tiempo_completado_segundos, fecha_completado
+  )
+  VALUES (
+    p_sesion_id, p_usuario_id, p_cuestionario_id, v_campana.id, v_metodo, c_version_reglas,
+    v_total, v_maximo, v_porcentaje, v_nivel, v_nivel IN ('alto', 'muy_alto'),
+    v_dimensiones, p_tiempo_segundos, v_ahora
+  )
+  ON CONFLICT (sesion_id) DO NOTHING
+  RETURNING * INTO v_resultado;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+    RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+  END IF;
+
+  -- 7. Respuestas por pregunta: malestar del ítem (0-3) y porcentaje de riesgo de la sesión
+  INSERT INTO public.respuestas_cuestionario (
+    usuario_id, cuestionario_id, campana_id, pregunta_id, respuesta,
+    puntaje_normalizado, porcentaje_riesgo, fecha_respuesta, sesion_id
+  )
+  SELECT
+    p_usuario_id,
+    p_cuestionario_id,
+    v_campana.id,
+    (e->>'id')::INTEGER,
+    (p_respuestas->>(e->>'id'))::INTEGER,
+    CASE
+      WHEN (v_definicion->'reverseKeyedItems') @> (e->'id') THEN (p_respuestas->>(e->>'id'))::INTEGER
+      ELSE v_max - (p_respuestas->>(e->>'id'))::INTEGER
+    END,
+    v_porcentaje,
+    v_ahora,
+    p_sesion_id
+  FROM jsonb_array_elements(v_definicion->'items') e;
+
+  -- 8. Consumir el token
+  IF p_token IS NOT NULL THEN
+    UPDATE public.tokens_acceso
+    SET usado = TRUE,
+        user_id = p_usuario_id,
+        fecha_uso = v_ahora,
+        sesion_id = p_sesion_id
+    WHERE id = v_token.id;
+  END IF;
+
+  RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', FALSE);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.enviar_cuestionario(UUID, UUID, INTEGER, JSONB, INTEGER, TEXT) TO anon, authenticated;
+
+-- Lectura pública (el cuestionario muestra la campaña del token antes de iniciar sesión),
+-- gestión solo desde el panel
+ALTER TABLE public.campanas ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS campanas_lectura ON public.campanas;
+CREATE POLICY campanas_lectura ON public.campanas
+FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS campanas_escritura ON public.campanas;
+CREATE POLICY campanas_escritura ON public.campanas
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
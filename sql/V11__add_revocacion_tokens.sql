@@ -0,0 +1,11 @@
+-- Revocación de tokens de invitación (individual o masiva desde el panel).
+-- Al revocar, el panel también vence el token (expiracion = momento de la
+-- revocación), de modo que enviar_cuestionario (V10) lo rechaza sin cambios;
+-- revocado_en distingue un token revocado de uno vencido.
+
+ALTER TABLE public.tokens_acceso
+ADD COLUMN IF NOT EXISTS revocado_en TIMESTAMP WITH TIME ZONE;
+
+-- Tokens de una campaña por trabajador (generación, regeneración y hoja de enlaces)
+CREATE INDEX IF NOT EXISTS idx_tokens_acceso_campana_usuario
+ON public.tokens_acceso (campana_id, user_id);
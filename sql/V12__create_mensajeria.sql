@@ -0,0 +1,130 @@
+-- Invitaciones y recordatorios por mensaje. El panel encola los mensajes en
+-- envios_mensaje (bandeja de salida y registro de entregas por trabajador) y
+-- el proceso scripts/outbox-worker.js los entrega con el transporte configurado
+-- (SMTP, webhook o carpeta local).
+
+CREATE TABLE IF NOT EXISTS public.plantillas_mensaje (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nombre TEXT NOT NULL,
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('invitacion', 'recordatorio')),
+  -- Marcadores: {{nombre}}, {{enlace}}, {{fecha_limite}}, {{campana}}
+  asunto TEXT NOT NULL,
+  cuerpo TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT plantillas_mensaje_nombre_key UNIQUE (nombre)
+);
+
+CREATE OR REPLACE FUNCTION public.actualizar_plantillas_mensaje_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_plantillas_mensaje_updated_at ON public.plantillas_mensaje;
+CREATE TRIGGER trg_plantillas_mensaje_updated_at
+BEFORE UPDATE ON public.plantillas_mensaje
+FOR EACH ROW EXECUTE FUNCTION public.actualizar_plantillas_mensaje_timestamp();
+
+INSERT INTO public.plantillas_mensaje (nombre, tipo, asunto, cuerpo) VALUES
+(
+  'Invitación estándar',
+  'invitacion',
+  'Cuestionario de bienestar: {{campana}}',
+  E'Hola {{nombre}}:\n\nTe invitamos a responder el cuestionario de bienestar laboral. Son 12 preguntas y toma unos 5 minutos. Tus respuestas son confidenciales.\n\nTu enlace personal: {{enlace}}\n\nPuedes responder hasta el {{fecha_limite}}. El enlace es personal; no lo compartas.'
+),
+(
+  'Recordatorio estándar',
+  'recordatorio',
+  'Recordatorio: cuestionario de bienestar {{campana}}',
+  E'Hola {{nombre}}:\n\nAún no has respondido el cuestionario de bienestar laboral. Solo toma unos 5 minutos.\n\nTu enlace personal: {{enlace}}\n\nTienes hasta el {{fecha_limite}}.'
+)
+ON CONFLICT (nombre) DO NOTHING;
+
+-- Recordatorios programados: al vencer, se encola un mensaje para cada token
+-- de la campaña que siga sin usar
+CREATE TABLE IF NOT EXISTS public.recordatorios_campana (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campana_id UUID NOT NULL REFERENCES public.campanas(id) ON DELETE CASCADE,
+  plantilla_id UUID NOT NULL REFERENCES public.plantillas_mensaje(id),
+  transporte VARCHAR(20) NOT NULL CHECK (transporte IN ('smtp', 'webhook', 'archivo')),
+  programado_para TIMESTAMP WITH TIME ZONE NOT NULL,
+  procesado_en TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recordatorios_campana_pendientes
+ON public.recordatorios_campana (programado_para)
+WHERE procesado_en IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.envios_mensaje (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campana_id UUID NOT NULL REFERENCES public.campanas(id) ON DELETE CASCADE,
+  recordatorio_id UUID REFERENCES public.recordatorios_campana(id) ON DELETE SET NULL,
+  plantilla_id UUID REFERENCES public.plantillas_mensaje(id) ON DELETE SET NULL,
+  token TEXT NOT NULL,
+  user_id UUID,
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('invitacion', 'recordatorio')),
+  transporte VARCHAR(20) NOT NULL CHECK (transporte IN ('smtp', 'webhook', 'archivo')),
+  destinatario TEXT,
+  asunto TEXT NOT NULL,
+  cuerpo TEXT NOT NULL,
+  estado VARCHAR(20) NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'enviado', 'fallido', 'cancelado')),
+  intentos INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  programado_para TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  enviado_en TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_envios_mensaje_bandeja
+ON public.envios_mensaje (transporte, programado_para)
+WHERE estado = 'pendiente';
+
+CREATE INDEX IF NOT EXISTS idx_envios_mensaje_campana ON public.envios_mensaje (campana_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_envios_mensaje_token ON public.envios_mensaje (token);
+
+-- Un recordatorio no se encola dos veces para el mismo token
+CREATE UNIQUE INDEX IF NOT EXISTS idx_envios_mensaje_recordatorio_token
+ON public.envios_mensaje (recordatorio_id, token)
+WHERE recordatorio_id IS NOT NULL;
+
+-- En cuanto un token se usa o se revoca, sus mensajes pendientes se cancelan
+-- (el proceso de envío vuelve a comprobarlo justo antes de entregar)
+CREATE OR REPLACE FUNCTION public.cancelar_envios_token()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.usado OR NEW.revocado_en IS NOT NULL THEN
+    UPDATE public.envios_mensaje
+    SET estado = 'cancelado',
+        error = CASE WHEN NEW.usado THEN 'token usado' ELSE 'token revocado' END
+    WHERE token = NEW.token
+      AND estado = 'pendiente';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_tokens_acceso_cancelar_envios ON public.tokens_acceso;
+CREATE TRIGGER trg_tokens_acceso_cancelar_envios
+AFTER UPDATE OF usado, revocado_en ON public.tokens_acceso
+FOR EACH ROW EXECUTE FUNCTION public.cancelar_envios_token();
+
+-- Datos personales (correo, enlace personal): solo el panel y el proceso de envío
+ALTER TABLE public.plantillas_mensaje ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.recordatorios_campana ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.envios_mensaje ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS plantillas_mensaje_panel ON public.plantillas_mensaje;
+CREATE POLICY plantillas_mensaje_panel ON public.plantillas_mensaje
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
+
+DROP POLICY IF EXISTS recordatorios_campana_panel ON public.recordatorios_campana;
+CREATE POLICY recordatorios_campana_panel ON public.recordatorios_campana
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
+
+DROP POLICY IF EXISTS envios_mensaje_panel ON public.envios_mensaje;
+CREATE POLICY envios_mensaje_panel ON public.envios_mensaje
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
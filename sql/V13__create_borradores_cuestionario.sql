@@ -0,0 +1,182 @@
+-- Borradores del cuestionario: las respuestas parciales se guardan en el servidor
+-- a medida que el trabajador contesta, de modo que si se le apaga el teléfono
+-- puede reabrir el mismo enlace y seguir donde quedó. Con token, el borrador se
+-- identifica por el token; en el acceso directo, por la sesión.
+-- El cuestionario solo escribe y lee a través de guardar_borrador/obtener_borrador.
+
+CREATE TABLE IF NOT EXISTS public.borradores_cuestionario (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sesion_id UUID NOT NULL,
+  token TEXT,
+  usuario_id UUID NOT NULL REFERENCES public.usuarios(id) ON DELETE CASCADE,
+  campana_id UUID REFERENCES public.campanas(id) ON DELETE CASCADE,
+  cuestionario_id INTEGER NOT NULL REFERENCES public.instrumentos(id),
+  -- { "<pregunta_id>": respuesta }, mismo formato que enviar_cuestionario
+  respuestas JSONB NOT NULL DEFAULT '{}'::jsonb,
+  respondidas INTEGER NOT NULL DEFAULT 0,
+  -- Marca del cliente (ms); una escritura con versión menor o igual llegó tarde y se ignora
+  version BIGINT NOT NULL DEFAULT 0,
+  iniciado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completado_en TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT borradores_cuestionario_sesion_key UNIQUE (sesion_id),
+  CONSTRAINT borradores_cuestionario_token_key UNIQUE (token),
+  CONSTRAINT borradores_cuestionario_respuestas_validas CHECK (jsonb_typeof(respuestas) = 'object')
+);
+
+-- Cuestionarios en curso por campaña (panel)
+CREATE INDEX IF NOT EXISTS idx_borradores_cuestionario_en_curso
+ON public.borradores_cuestionario (campana_id)
+WHERE completado_en IS NULL;
+
+-- Guarda (o actualiza) el borrador de una sesión. Con token, el token debe seguir
+-- pendiente y el borrador existente conserva su sesión: se devuelve la sesión
+-- definitiva para que el cliente la adopte al enviar.
+CREATE OR REPLACE FUNCTION public.guardar_borrador(
+  p_sesion_id UUID,
+  p_usuario_id UUID,
+  p_cuestionario_id INTEGER,
+  p_respuestas JSONB,
+  p_version BIGINT,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_token public.tokens_acceso%ROWTYPE;
+  v_borrador public.borradores_cuestionario%ROWTYPE;
+  v_ahora TIMESTAMPTZ := NOW();
+BEGIN
+  IF p_respuestas IS NULL OR jsonb_typeof(p_respuestas) <> 'object' THEN
+    RAISE EXCEPTION 'Las respuestas del borrador deben ser un objeto' USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_token FROM public.tokens_acceso WHERE token = p_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Token no encontrado' USING HINT = 'token_invalido';
+    END IF;
+    IF v_token.usado THEN
+      RAISE EXCEPTION 'Token ya utilizado' USING HINT = 'token_usado';
+    END IF;
+    IF v_token.expiracion < v_ahora OR v_token.revocado_en IS NOT NULL THEN
+      RAISE EXCEPTION 'Token expirado' USING HINT = 'token_expirado';
+    END IF;
+
+    SELECT * INTO v_borrador FROM public.borradores_cuestionario WHERE token = p_token FOR UPDATE;
+  ELSE
+    SELECT * INTO v_borrador FROM public.borradores_cuestionario WHERE sesion_id = p_sesion_id FOR UPDATE;
+  END IF;
+
+  IF NOT FOUND THEN
+    INSERT INTO public.borradores_cuestionario (
+      sesion_id, token, usuario_id, campana_id, cuestionario_id, respuestas, respondidas, version
+    )
+    VALUES (
+      p_sesion_id, p_token, p_usuario_id, v_token.campana_id, p_cuestionario_id,
+      p_respuestas, (SELECT COUNT(*) FROM jsonb_object_keys(p_respuestas)), p_version
+    )
+    ON CONFLICT DO NOTHING
+    RETURNING * INTO v_borrador;
+
+    -- Otro guardado simultáneo creó el borrador: se reintenta sobre él
+    IF NOT FOUND THEN
+      RETURN public.guardar_borrador(p_sesion_id, p_usuario_id, p_cuestionario_id, p_respuestas, p_version, p_token);
+    END IF;
+
+    RETURN jsonb_build_object('sesion_id', v_borrador.sesion_id, 'version', v_borrador.version);
+  END IF;
+
+  IF v_borrador.usuario_id <> p_usuario_id OR v_borrador.completado_en IS NOT NULL THEN
+    RAISE EXCEPTION 'La sesión % pertenece a otro usuario o ya se envió', v_borrador.sesion_id
+      USING HINT = 'sesion_ajena';
+  END IF;
+
+  IF p_version > v_borrador.version THEN
+    UPDATE public.borradores_cuestionario
+    SET respuestas = p_respuestas,
+        respondidas = (SELECT COUNT(*) FROM jsonb_object_keys(p_respuestas)),
+        cuestionario_id = p_cuestionario_id,
+        version = p_version,
+        actualizado_en = v_ahora
+    WHERE id = v_borrador.id
+    RETURNING * INTO v_borrador;
+  END IF;
+
+  RETURN jsonb_build_object('sesion_id', v_borrador.sesion_id, 'version', v_borrador.version);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Borrador sin enviar de un token pendiente o de una sesión. Conocer el token
+-- (o el UUID de la sesión) es lo que autoriza a leerlo, igual que para responder.
+CREATE OR REPLACE FUNCTION public.obtener_borrador(
+  p_token TEXT DEFAULT NULL,
+  p_sesion_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  sesion_id UUID,
+  usuario_id UUID,
+  cuestionario_id INTEGER,
+  respuestas JSONB,
+  version BIGINT,
+  actualizado_en TIMESTAMPTZ
+) AS $$
+  SELECT b.sesion_id, b.usuario_id, b.cuestionario_id, b.respuestas, b.version, b.actualizado_en
+  FROM public.borradores_cuestionario b
+  LEFT JOIN public.tokens_acceso t ON t.token = b.token
+  WHERE b.completado_en IS NULL
+    AND (
+      (p_token IS NOT NULL AND b.token = p_token
+        AND NOT t.usado AND t.revocado_en IS NULL AND t.expiracion >= NOW())
+      OR (p_token IS NULL AND p_sesion_id IS NOT NULL AND b.sesion_id = p_sesion_id AND b.token IS NULL)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.guardar_borrador(UUID, UUID, INTEGER, JSONB, BIGINT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.obtener_borrador(TEXT, UUID) TO anon, authenticated;
+
+-- Al enviar la sesión el borrador se cierra y se vacían sus respuestas
+-- (las definitivas quedan en respuestas_cuestionario)
+CREATE OR REPLACE FUNCTION public.completar_borrador_sesion()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.borradores_cuestionario
+  SET completado_en = NEW.fecha_completado,
+      respuestas = '{}'::jsonb
+  WHERE sesion_id = NEW.sesion_id
+    AND completado_en IS NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_resultados_sesion_completar_borrador ON public.resultados_sesion;
+CREATE TRIGGER trg_resultados_sesion_completar_borrador
+AFTER INSERT ON public.resultados_sesion
+FOR EACH ROW EXECUTE FUNCTION public.completar_borrador_sesion();
+
+-- Un token usado o revocado ya no admite reanudar: su borrador también se cierra
+CREATE OR REPLACE FUNCTION public.completar_borrador_token()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.usado OR NEW.revocado_en IS NOT NULL THEN
+    UPDATE public.borradores_cuestionario
+    SET completado_en = COALESCE(NEW.fecha_uso, NEW.revocado_en, NOW()),
+        respuestas = '{}'::jsonb
+    WHERE token = NEW.token
+      AND completado_en IS NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_tokens_acceso_completar_borrador ON public.tokens_acceso;
+CREATE TRIGGER trg_tokens_acceso_completar_borrador
+AFTER UPDATE OF usado, revocado_en ON public.tokens_acceso
+FOR EACH ROW EXECUTE FUNCTION public.completar_borrador_token();
+
+-- Respuestas parciales: solo el panel las consulta (conteos de cuestionarios en curso)
+ALTER TABLE public.borradores_cuestionario ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS borradores_cuestionario_panel ON public.borradores_cuestionario;
+CREATE POLICY borradores_cuestionario_panel ON public.borradores_cuestionario
+FOR SELECT TO authenticated USING (TRUE);
@@ -0,0 +1,462 @@
+-- Campañas anónimas: algunos clientes exigen encuestas psicosociales sin ningún
+-- vínculo con la identidad del trabajador. En una campaña anónima no se usan
+-- `usuarios` ni tokens personales: cada persona recibe al azar un código de
+-- participación y solo indica datos gruesos (departamento, turno, rango de edad).
+--
+-- Las respuestas (resultados_anonimos) no guardan usuario, código ni sesión, y
+-- las fechas se guardan sin hora para que no se puedan cruzar por el momento del
+-- envío. Tampoco se cruzan por la transacción: un código marcado como usado en
+-- el mismo envío tendría el mismo xmin que la fila de respuestas. Por eso el
+-- código usado se borra y la participación se cuenta por campaña y día
+-- (participacion_anonima), sin ninguna fila por código.
+
+ALTER TABLE public.campanas
+ADD COLUMN IF NOT EXISTS anonima BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Una campaña que ya recibió respuestas no puede cambiar de modo
+CREATE OR REPLACE FUNCTION public.validar_modo_campana()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.anonima IS DISTINCT FROM OLD.anonima AND OLD.estado <> 'borrador' THEN
+    RAISE EXCEPTION 'Solo se puede cambiar el modo anónimo de una campaña en borrador'
+      USING HINT = 'campana_no_editable';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_campanas_modo_anonimo ON public.campanas;
+CREATE TRIGGER trg_campanas_modo_anonimo
+BEFORE UPDATE OF anonima ON public.campanas
+FOR EACH ROW EXECUTE FUNCTION public.validar_modo_campana();
+
+-- Códigos de participación sin usar; al responder, el código se borra
+CREATE TABLE IF NOT EXISTS public.codigos_participacion (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campana_id UUID NOT NULL REFERENCES public.campanas(id) ON DELETE CASCADE,
+  -- Formato de src/utils/anonymousSurvey.js (XXXX-XXXX)
+  codigo TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT codigos_participacion_codigo_key UNIQUE (codigo),
+  CONSTRAINT codigos_participacion_codigo_valido CHECK (codigo ~ '^[A-Z0-9]{4}-[A-Z0-9]{4}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_codigos_participacion_campana
+ON public.codigos_participacion (campana_id);
+
+-- Registro de participación: códigos usados por campaña y día
+CREATE TABLE IF NOT EXISTS public.participacion_anonima (
+  campana_id UUID NOT NULL REFERENCES public.campanas(id) ON DELETE CASCADE,
+  fecha DATE NOT NULL,
+  respondidos INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (campana_id, fecha)
+);
+
+-- SHA-256 de las sesiones ya enviadas: solo sirve para reconocer el reintento de
+-- un envío cuyo código ya se borró. Sin campaña ni fecha, y nadie la lee.
+CREATE TABLE IF NOT EXISTS public.envios_anonimos (
+  sesion_hash TEXT PRIMARY KEY
+);
+
+-- Respuestas anónimas, puntuadas igual que resultados_sesion
+CREATE TABLE IF NOT EXISTS public.resultados_anonimos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campana_id UUID NOT NULL REFERENCES public.campanas(id) ON DELETE CASCADE,
+  cuestionario_id INTEGER NOT NULL REFERENCES public.instrumentos(id),
+  departamento TEXT NOT NULL,
+  turno TEXT NOT NULL,
+  -- Rangos de ANONYMOUS_AGE_BANDS en src/utils/anonymousSurvey.js
+  rango_edad TEXT NOT NULL CHECK (rango_edad IN ('18-25', '26-35', '36-45', '46-55', '56-65', '65+')),
+  -- { "<pregunta_id>": respuesta }, mismo formato que enviar_cuestionario
+  respuestas JSONB NOT NULL,
+  metodo_puntuacion VARCHAR(20) NOT NULL CHECK (metodo_puntuacion IN ('likert', 'ghq', 'cghq')),
+  version_reglas VARCHAR(20) NOT NULL,
+  puntaje_total NUMERIC(6,2) NOT NULL,
+  puntaje_maximo NUMERIC(6,2) NOT NULL,
+  porcentaje_riesgo NUMERIC(5,2) NOT NULL CHECK (porcentaje_riesgo BETWEEN 0 AND 100),
+  nivel_riesgo VARCHAR(20) NOT NULL CHECK (nivel_riesgo IN ('bajo', 'moderado', 'alto', 'muy_alto')),
+  es_caso BOOLEAN NOT NULL DEFAULT FALSE,
+  puntajes_dimension JSONB NOT NULL DEFAULT '{}'::jsonb,
+  idioma VARCHAR(10) NOT NULL DEFAULT 'es',
+  modo_asistido BOOLEAN NOT NULL DEFAULT FALSE,
+  fecha_completado DATE NOT NULL DEFAULT CURRENT_DATE
+);
+
+CREATE INDEX IF NOT EXISTS idx_resultados_anonimos_campana
+ON public.resultados_anonimos (campana_id, departamento);
+
+-- Puntaje de un cuestionario completo con el método de la organización.
+-- Compartido por enviar_cuestionario y enviar_cuestionario_anonimo.
+CREATE OR REPLACE FUNCTION public.puntuar_cuestionario(
+  p_cuestionario_id INTEGER,
+  p_respuestas JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  -- Debe coincidir con SCORING_RULES_VERSION de src/utils/ghq12Calculator.js
+  c_version_reglas CONSTANT TEXT := '2.0.0';
+  v_definicion JSONB;
+  v_metodo TEXT := public.metodo_puntuacion_actual();
+  v_min INTEGER;
+  v_max INTEGER;
+  v_item INTEGER;
+  v_valor INTEGER;
+  v_invertido BOOLEAN;
+  v_puntos JSONB := '{}'::jsonb;
+  v_total NUMERIC := 0;
+  v_maximo NUMERIC;
+  v_nivel TEXT;
+  v_dimensiones JSONB;
+BEGIN
+  SELECT definicion INTO v_definicion FROM public.instrumentos WHERE id = p_cuestionario_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Instrumento % no registrado', p_cuestionario_id USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  v_min := (v_definicion #>> '{scoring,minItemValue}')::INTEGER;
+  v_max := (v_definicion #>> '{scoring,maxItemValue}')::INTEGER;
+
+  FOR v_item IN SELECT (e->>'id')::INTEGER FROM jsonb_array_elements(v_definicion->'items') e LOOP
+    v_valor := (p_respuestas->>v_item::TEXT)::INTEGER;
+    IF v_valor IS NULL OR v_valor < v_min OR v_valor > v_max THEN
+      RAISE EXCEPTION 'Respuesta inválida para la pregunta %', v_item USING HINT = 'respuestas_invalidas';
+    END IF;
+
+    v_invertido := (v_definicion->'reverseKeyedItems') @> to_jsonb(v_item);
+    v_puntos := v_puntos || jsonb_build_object(
+      v_item::TEXT,
+      public.puntuar_item_ghq12(v_valor, v_invertido, v_metodo, v_max)
+    );
+    v_total := v_total + public.puntuar_item_ghq12(v_valor, v_invertido, v_metodo, v_max);
+  END LOOP;
+
+  v_maximo := CASE
+    WHEN v_metodo = 'likert' THEN (v_definicion #>> '{scoring,maxTotal}')::NUMERIC
+    ELSE jsonb_array_length(v_definicion->'items')
+  END;
+  v_nivel := public.clasificar_nivel_riesgo(v_total, v_metodo);
+
+  SELECT COALESCE(jsonb_object_agg(
+    d->>'key',
+    (SELECT SUM((v_puntos->>i)::NUMERIC) FROM jsonb_array_elements_text(d->'items') i)
+  ), '{}'::jsonb)
+  INTO v_dimensiones
+  FROM jsonb_array_elements(v_definicion->'dimensions') d;
+
+  RETURN jsonb_build_object(
+    'metodo_puntuacion', v_metodo,
+    'version_reglas', c_version_reglas,
+    'puntaje_total', v_total,
+    'puntaje_maximo', v_maximo,
+    'porcentaje_riesgo', ROUND(public.porcentaje_riesgo_desde_puntaje(v_total, v_metodo), 2),
+    'nivel_riesgo', v_nivel,
+    'es_caso', v_nivel IN ('alto', 'muy_alto'),
+    'puntajes_dimension', v_dimensiones
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- enviar_cuestionario (V15) con la puntuación en puntuar_cuestionario. Las campañas
+-- anónimas no admiten envíos nominativos: sin token se busca solo entre las demás.
+CREATE OR REPLACE FUNCTION public.enviar_cuestionario(
+  p_sesion_id UUID,
+  p_usuario_id UUID,
+  p_cuestionario_id INTEGER,
+  p_respuestas JSONB,
+  p_tiempo_segundos INTEGER DEFAULT NULL,
+  p_token TEXT DEFAULT NULL,
+  p_idioma TEXT DEFAULT 'es',
+  p_modo_asistido BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_resultado public.resultados_sesion%ROWTYPE;
+  v_token public.tokens_acceso%ROWTYPE;
+  v_campana public.campanas%ROWTYPE;
+  v_definicion JSONB;
+  v_max INTEGER;
+  v_puntaje JSONB;
+  v_ahora TIMESTAMPTZ := NOW();
+  v_idioma TEXT := COALESCE(p_idioma, 'es');
+BEGIN
+  -- 1. Token: se bloquea la fila para que dos envíos simultáneos no lo usen a la vez
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_token FROM public.tokens_acceso WHERE token = p_token FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Token no encontrado' USING HINT = 'token_invalido';
+    END IF;
+
+    -- Un token emitido para un trabajador solo sirve para sus respuestas
+    IF v_token.user_id IS NOT NULL AND v_token.user_id <> p_usuario_id THEN
+      RAISE EXCEPTION 'Token no válido para este usuario' USING HINT = 'token_invalido';
+    END IF;
+
+    IF v_token.usado THEN
+      IF v_token.sesion_id = p_sesion_id THEN
+        SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+        RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+      END IF;
+      RAISE EXCEPTION 'Token ya utilizado' USING HINT = 'token_usado';
+    END IF;
+
+    IF v_token.expiracion < v_ahora THEN
+      RAISE EXCEPTION 'Token expirado' USING HINT = 'token_expirado';
+    END IF;
+  END IF;
+
+  -- 2. Reintento de una sesión ya guardada
+  SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+  IF FOUND THEN
+    IF v_resultado.usuario_id <> p_usuario_id THEN
+      RAISE EXCEPTION 'La sesión % pertenece a otro usuario', p_sesion_id USING HINT = 'sesion_ajena';
+    END IF;
+    RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+  END IF;
+
+  -- 3. Campaña: abierta, nominativa, dentro de su ventana y con el usuario en su población
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_campana FROM public.campanas WHERE id = v_token.campana_id;
+  ELSE
+    SELECT * INTO v_campana
+    FROM public.campanas
+    WHERE estado = 'activa'
+      AND NOT anonima
+      AND v_ahora::DATE BETWEEN fecha_inicio AND fecha_fin
+      AND public.usuario_en_poblacion(p_usuario_id, poblacion_objetivo)
+    ORDER BY fecha_inicio DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'No hay una campaña de evaluación abierta' USING HINT = 'sin_campana_activa';
+    END IF;
+  END IF;
+
+  IF v_campana.anonima THEN
+    RAISE EXCEPTION 'La campaña "%" es anónima: se responde con un código de participación', v_campana.nombre
+      USING HINT = 'campana_anonima';
+  END IF;
+
+  IF v_campana.estado <> 'activa' OR v_ahora::DATE NOT BETWEEN v_campana.fecha_inicio AND v_campana.fecha_fin THEN
+    RAISE EXCEPTION 'La campaña "%" no está abierta', v_campana.nombre USING HINT = 'campana_cerrada';
+  END IF;
+
+  IF NOT public.usuario_en_poblacion(p_usuario_id, v_campana.poblacion_objetivo) THEN
+    RAISE EXCEPTION 'El usuario no forma parte de la población de la campaña "%"', v_campana.nombre
+      USING HINT = 'fuera_de_poblacion';
+  END IF;
+
+  IF p_cuestionario_id <> v_campana.cuestionario_id THEN
+    RAISE EXCEPTION 'La campaña "%" usa otra versión del instrumento', v_campana.nombre
+      USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  -- 4. Validar y puntuar con el método de la organización
+  v_puntaje := public.puntuar_cuestionario(p_cuestionario_id, p_respuestas);
+
+  SELECT definicion INTO v_definicion FROM public.instrumentos WHERE id = p_cuestionario_id;
+  v_max := (v_definicion #>> '{scoring,maxItemValue}')::INTEGER;
+
+  -- 5. Resultado de la sesión; si un envío simultáneo ya lo insertó se devuelve ese
+  INSERT INTO public.resultados_sesion (
+    sesion_id, usuario_id, cuestionario_id, campana_id, metodo_puntuacion, version_reglas,
+    puntaje_total, puntaje_maximo, porcentaje_riesgo, nivel_riesgo, es_caso,
+    puntajes_dimension, tiempo_completado_segundos, fecha_completado, idioma, modo_asistido
+  )
+  VALUES (
+    p_sesion_id, p_usuario_id, p_cuestionario_id, v_campana.id,
+    v_puntaje->>'metodo_puntuacion', v_puntaje->>'version_reglas',
+    (v_puntaje->>'puntaje_total')::NUMERIC, (v_puntaje->>'puntaje_maximo')::NUMERIC,
+    (v_puntaje->>'porcentaje_riesgo')::NUMERIC, v_puntaje->>'nivel_riesgo', (v_puntaje->>'es_caso')::BOOLEAN,
+    v_puntaje->'puntajes_dimension', p_tiempo_segundos, v_ahora, v_idioma, COALESCE(p_modo_asistido, FALSE)
+  )
+  ON CONFLICT (sesion_id) DO NOTHING
+  RETURNING * INTO v_resultado;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+    RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+  END IF;
+
+  -- 6. Respuestas por pregunta: malestar del ítem (0-3) y porcentaje de riesgo de la sesión
+  INSERT INTO public.respuestas_cuestionario (
+    usuario_id, cuestionario_id, campana_id, pregunta_id, respuesta,
+    puntaje_normalizado, porcentaje_riesgo, fecha_respuesta, sesion_id
+  )
+  SELECT
+    p_usuario_id,
+    p_cuestionario_id,
+    v_campana.id,
+    (e->>'id')::INTEGER,
+    (p_respuestas->>(e->>'id'))::INTEGER,
+    CASE
+      WHEN (v_definicion->'reverseKeyedItems') @> (e->'id') THEN (p_respuestas->>(e->>'id'))::INTEGER
+      ELSE v_max - (p_respuestas->>(e->>'id'))::INTEGER
+    END,
+    v_resultado.porcentaje_riesgo,
+    v_ahora,
+    p_sesion_id
+  FROM jsonb_array_elements(v_definicion->'items') e;
+
+  -- 7. Consumir el token
+  IF p_token IS NOT NULL THEN
+    UPDATE public.tokens_acceso
+    SET usado = TRUE,
+        user_id = p_usuario_id,
+        fecha_uso = v_ahora,
+        sesion_id = p_sesion_id
+    WHERE id = v_token.id;
+  END IF;
+
+  RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', FALSE);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.enviar_cuestionario(UUID, UUID, INTEGER, JSONB, INTEGER, TEXT, TEXT, BOOLEAN) TO anon, authenticated;
+
+-- Campaña de un código de participación, para mostrar el formulario de datos
+-- gruesos antes de responder. Las listas de la población objetivo limitan las
+-- opciones de departamento y turno.
+CREATE OR REPLACE FUNCTION public.validar_codigo_participacion(p_codigo TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_codigo public.codigos_participacion%ROWTYPE;
+  v_campana public.campanas%ROWTYPE;
+BEGIN
+  -- Un código usado ya no existe: no se distingue de uno mal escrito
+  SELECT * INTO v_codigo FROM public.codigos_participacion WHERE codigo = upper(btrim(p_codigo));
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Código de participación no válido o ya utilizado' USING HINT = 'codigo_invalido';
+  END IF;
+
+  SELECT * INTO v_campana FROM public.campanas WHERE id = v_codigo.campana_id;
+  IF v_campana.estado <> 'activa' OR CURRENT_DATE NOT BETWEEN v_campana.fecha_inicio AND v_campana.fecha_fin THEN
+    RAISE EXCEPTION 'La campaña "%" no está abierta', v_campana.nombre USING HINT = 'campana_cerrada';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'campana_id', v_campana.id,
+    'campana', v_campana.nombre,
+    'cuestionario_id', v_campana.cuestionario_id,
+    'departamentos', COALESCE(v_campana.poblacion_objetivo->'departamentos', '[]'::jsonb),
+    'turnos', COALESCE(v_campana.poblacion_objetivo->'turnos', '[]'::jsonb)
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.validar_codigo_participacion(TEXT) TO anon, authenticated;
+
+-- Envío anónimo: consume el código (lo borra) y guarda las respuestas sin nada
+-- que permita volver al código ni a la persona. Reintentar con la misma sesión
+-- es seguro (devuelve duplicado sin volver a guardar).
+CREATE OR REPLACE FUNCTION public.enviar_cuestionario_anonimo(
+  p_sesion_id UUID,
+  p_codigo TEXT,
+  p_cuestionario_id INTEGER,
+  p_respuestas JSONB,
+  p_departamento TEXT,
+  p_turno TEXT,
+  p_rango_edad TEXT,
+  p_idioma TEXT DEFAULT 'es',
+  p_modo_asistido BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_codigo public.codigos_participacion%ROWTYPE;
+  v_campana public.campanas%ROWTYPE;
+  v_resultado public.resultados_anonimos%ROWTYPE;
+  v_puntaje JSONB;
+  v_sesion_hash TEXT := encode(sha256(convert_to(p_sesion_id::TEXT, 'UTF8')), 'hex');
+  v_departamentos JSONB;
+  v_turnos JSONB;
+BEGIN
+  -- 1. Código: se bloquea la fila para que dos envíos simultáneos no lo usen a la
+  -- vez; el segundo ya no la encuentra
+  SELECT * INTO v_codigo FROM public.codigos_participacion WHERE codigo = upper(btrim(p_codigo)) FOR UPDATE;
+  IF NOT FOUND THEN
+    IF EXISTS (SELECT 1 FROM public.envios_anonimos WHERE sesion_hash = v_sesion_hash) THEN
+      RETURN jsonb_build_object('duplicado', TRUE);
+    END IF;
+    RAISE EXCEPTION 'Código de participación no válido o ya utilizado' USING HINT = 'codigo_invalido';
+  END IF;
+
+  -- 2. Campaña anónima abierta
+  SELECT * INTO v_campana FROM public.campanas WHERE id = v_codigo.campana_id;
+  IF NOT v_campana.anonima THEN
+    RAISE EXCEPTION 'La campaña "%" no es anónima', v_campana.nombre USING HINT = 'codigo_invalido';
+  END IF;
+
+  IF v_campana.estado <> 'activa' OR CURRENT_DATE NOT BETWEEN v_campana.fecha_inicio AND v_campana.fecha_fin THEN
+    RAISE EXCEPTION 'La campaña "%" no está abierta', v_campana.nombre USING HINT = 'campana_cerrada';
+  END IF;
+
+  IF p_cuestionario_id <> v_campana.cuestionario_id THEN
+    RAISE EXCEPTION 'La campaña "%" usa otra versión del instrumento', v_campana.nombre
+      USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  -- 3. Datos demográficos: obligatorios y dentro de la población si la campaña la acota
+  v_departamentos := COALESCE(v_campana.poblacion_objetivo->'departamentos', '[]'::jsonb);
+  v_turnos := COALESCE(v_campana.poblacion_objetivo->'turnos', '[]'::jsonb);
+
+  IF COALESCE(btrim(p_departamento), '') = '' OR COALESCE(btrim(p_turno), '') = '' OR p_rango_edad IS NULL
+    OR (jsonb_array_length(v_departamentos) > 0 AND NOT v_departamentos ? p_departamento)
+    OR (jsonb_array_length(v_turnos) > 0 AND NOT v_turnos ? p_turno) THEN
+    RAISE EXCEPTION 'Datos demográficos incompletos o fuera de la población de la campaña'
+      USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  -- 4. Validar y puntuar
+  v_puntaje := public.puntuar_cuestionario(p_cuestionario_id, p_respuestas);
+
+  -- 5. Respuestas anónimas: sin sesión, código ni hora
+  INSERT INTO public.resultados_anonimos (
+    campana_id, cuestionario_id, departamento, turno, rango_edad, respuestas,
+    metodo_puntuacion, version_reglas, puntaje_total, puntaje_maximo, porcentaje_riesgo,
+    nivel_riesgo, es_caso, puntajes_dimension, idioma, modo_asistido
+  )
+  VALUES (
+    v_campana.id, p_cuestionario_id, btrim(p_departamento), btrim(p_turno), p_rango_edad, p_respuestas,
+    v_puntaje->>'metodo_puntuacion', v_puntaje->>'version_reglas',
+    (v_puntaje->>'puntaje_total')::NUMERIC, (v_puntaje->>'puntaje_maximo')::NUMERIC,
+    (v_puntaje->>'porcentaje_riesgo')::NUMERIC, v_puntaje->>'nivel_riesgo', (v_puntaje->>'es_caso')::BOOLEAN,
+    v_puntaje->'puntajes_dimension', COALESCE(p_idioma, 'es'), COALESCE(p_modo_asistido, FALSE)
+  )
+  RETURNING * INTO v_resultado;
+
+  -- 6. Registrar la participación sin dejar filas por código: el código se borra
+  -- y solo sube el contador del día
+  DELETE FROM public.codigos_participacion WHERE id = v_codigo.id;
+
+  INSERT INTO public.envios_anonimos (sesion_hash) VALUES (v_sesion_hash);
+
+  INSERT INTO public.participacion_anonima (campana_id, fecha, respondidos)
+  VALUES (v_campana.id, CURRENT_DATE, 1)
+  ON CONFLICT (campana_id, fecha) DO UPDATE
+  SET respondidos = public.participacion_anonima.respondidos + 1;
+
+  RETURN (to_jsonb(v_resultado) - 'id' - 'respuestas') || jsonb_build_object('duplicado', FALSE);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.enviar_cuestionario_anonimo(UUID, TEXT, INTEGER, JSONB, TEXT, TEXT, TEXT, TEXT, BOOLEAN)
+TO anon, authenticated;
+
+-- Códigos, participación y resultados anónimos: solo el panel los consulta; el
+-- cuestionario pasa por las funciones anteriores. envios_anonimos no tiene políticas.
+ALTER TABLE public.codigos_participacion ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.participacion_anonima ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.envios_anonimos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.resultados_anonimos ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS codigos_participacion_panel ON public.codigos_participacion;
+CREATE POLICY codigos_participacion_panel ON public.codigos_participacion
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
+
+DROP POLICY IF EXISTS participacion_anonima_lectura ON public.participacion_anonima;
+CREATE POLICY participacion_anonima_lectura ON public.participacion_anonima
+FOR SELECT TO authenticated USING (TRUE);
+
+DROP POLICY IF EXISTS resultados_anonimos_lectura ON public.resultados_anonimos;
+CREATE POLICY resultados_anonimos_lectura ON public.resultados_anonimos
+FOR SELECT TO authenticated USING (TRUE);
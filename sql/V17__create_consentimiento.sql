@@ -0,0 +1,179 @@
+-- Consentimiento informado (Ley 1581 de 2012 y Decreto 1377 de 2013): el GHQ-12
+-- recoge datos de salud, que son sensibles, y su tratamiento exige autorización
+-- previa, expresa e informada. El trabajador acepta el texto vigente después de
+-- sus datos personales y antes de responder; si no acepta no se guarda nada.
+--
+-- Los textos se versionan: una versión publicada no se modifica ni se borra, y
+-- cada aceptación queda ligada a la versión que se mostró.
+
+CREATE TABLE IF NOT EXISTS public.textos_consentimiento (
+  version INTEGER PRIMARY KEY,
+  titulo TEXT NOT NULL,
+  -- { "es": "...", "en": "...", "pt": "..." }; el español es obligatorio y es el
+  -- que se muestra si falta el idioma del trabajador
+  textos JSONB NOT NULL,
+  cambios TEXT,
+  publicado_por UUID DEFAULT auth.uid(),
+  publicado_en TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT textos_consentimiento_textos_validos CHECK (
+    jsonb_typeof(textos) = 'object' AND length(btrim(COALESCE(textos->>'es', ''))) > 0
+  )
+);
+
+-- La versión la asigna el servidor (la siguiente a la última publicada). Dos
+-- publicaciones simultáneas chocan en la clave primaria y una de ellas falla.
+CREATE OR REPLACE FUNCTION public.numerar_texto_consentimiento()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT COALESCE(MAX(version), 0) + 1 INTO NEW.version FROM public.textos_consentimiento;
+  NEW.publicado_en := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_textos_consentimiento_version ON public.textos_consentimiento;
+CREATE TRIGGER trg_textos_consentimiento_version
+BEFORE INSERT ON public.textos_consentimiento
+FOR EACH ROW EXECUTE FUNCTION public.numerar_texto_consentimiento();
+
+CREATE OR REPLACE FUNCTION public.bloquear_texto_consentimiento()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'La versión % del consentimiento ya se publicó: publique una versión nueva', OLD.version
+    USING HINT = 'consentimiento_publicado';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_textos_consentimiento_inmutables ON public.textos_consentimiento;
+CREATE TRIGGER trg_textos_consentimiento_inmutables
+BEFORE UPDATE OR DELETE ON public.textos_consentimiento
+FOR EACH ROW EXECUTE FUNCTION public.bloquear_texto_consentimiento();
+
+-- Versión inicial, para que el cuestionario funcione desde el despliegue
+INSERT INTO public.textos_consentimiento (titulo, textos, cambios)
+SELECT
+  'Autorización para el tratamiento de datos personales y de salud',
+  jsonb_build_object(
+    'es', E'La empresa, como responsable del tratamiento, le invita a responder el Cuestionario de Salud General (GHQ-12) para evaluar el bienestar psicológico de los trabajadores y orientar acciones de prevención y promoción de la salud en el trabajo.\n\nSus respuestas son datos sensibles relativos a la salud. Usted no está obligado a autorizar su tratamiento ni a responder el cuestionario, y decidir no hacerlo no tendrá ninguna consecuencia laboral.\n\nLos resultados se usan de forma agregada; los resultados individuales solo los consulta el personal autorizado de seguridad y salud en el trabajo, con reserva.\n\nComo titular puede conocer, actualizar, rectificar y solicitar la supresión de sus datos, así como revocar esta autorización, según la Ley 1581 de 2012 y el Decreto 1377 de 2013, dirigiéndose al área de seguridad y salud en el trabajo.',
+    'en', E'The company, as data controller, invites you to answer the General Health Questionnaire (GHQ-12) to assess the psychological well-being of workers and guide prevention and health promotion at work.\n\nYour answers are sensitive health data. You are not required to authorize their processing or to answer the questionnaire, and choosing not to do so will have no employment consequences.\n\nResults are used in aggregate; individual results are only viewed, confidentially, by authorized occupational health and safety staff.\n\nAs data subject you may access, update, correct and request deletion of your data, and revoke this authorization, under Colombian Law 1581 of 2012 and Decree 1377 of 2013, by contacting the occupational health and safety area.',
+    'pt', E'A empresa, como responsável pelo tratamento, convida você a responder ao Questionário de Saúde Geral (GHQ-12) para avaliar o bem-estar psicológico dos trabalhadores e orientar ações de prevenção e promoção da saúde no trabalho.\n\nSuas respostas são dados sensíveis relativos à saúde. Você não é obrigado a autorizar o tratamento nem a responder ao questionário, e decidir não fazê-lo não terá nenhuma consequência trabalhista.\n\nOs resultados são usados de forma agregada; os resultados individuais só são consultados, com sigilo, pela equipe autorizada de segurança e saúde no trabalho.\n\nComo titular, você pode conhecer, atualizar, retificar e solicitar a exclusão dos seus dados, bem como revogar esta autorização, conforme a Lei 1581 de 2012 e o Decreto 1377 de 2013 da Colômbia, dirigindo-se à área de segurança e saúde no trabalho.'
+  ),
+  'Versión inicial'
+WHERE NOT EXISTS (SELECT 1 FROM public.textos_consentimiento);
+
+-- Aceptaciones: quién aceptó qué versión, cuándo y para qué campaña. Los rechazos
+-- no se registran: quien no acepta no deja ningún dato, porque el trabajador se
+-- crea o actualiza junto con su aceptación (aceptar_consentimiento_participante, V21).
+CREATE TABLE IF NOT EXISTS public.consentimientos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  usuario_id UUID NOT NULL REFERENCES public.usuarios(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL REFERENCES public.textos_consentimiento(version),
+  campana_id UUID REFERENCES public.campanas(id) ON DELETE CASCADE,
+  token TEXT,
+  idioma TEXT NOT NULL DEFAULT 'es',
+  aceptado_en TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consentimientos_campana ON public.consentimientos (campana_id, usuario_id);
+CREATE INDEX IF NOT EXISTS idx_consentimientos_usuario ON public.consentimientos (usuario_id, aceptado_en DESC);
+
+-- Campaña a la que va un envío sin token: la activa vigente hoy que incluye al
+-- usuario en su población (mismo criterio que enviar_cuestionario, V16)
+CREATE OR REPLACE FUNCTION public.campana_vigente_usuario(p_usuario_id UUID)
+RETURNS UUID AS $$
+  SELECT id
+  FROM public.campanas
+  WHERE estado = 'activa'
+    AND NOT anonima
+    AND CURRENT_DATE BETWEEN fecha_inicio AND fecha_fin
+    AND public.usuario_en_poblacion(p_usuario_id, poblacion_objetivo)
+  ORDER BY fecha_inicio DESC, created_at DESC
+  LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Registra la aceptación del texto vigente. Solo vale la última versión: si el
+-- texto cambió mientras el trabajador lo leía, debe leer el nuevo.
+CREATE OR REPLACE FUNCTION public.registrar_consentimiento(
+  p_usuario_id UUID,
+  p_version INTEGER,
+  p_token TEXT DEFAULT NULL,
+  p_idioma TEXT DEFAULT 'es'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_token public.tokens_acceso%ROWTYPE;
+  v_campana_id UUID;
+  v_consentimiento public.consentimientos%ROWTYPE;
+BEGIN
+  IF p_version IS DISTINCT FROM (SELECT MAX(version) FROM public.textos_consentimiento) THEN
+    RAISE EXCEPTION 'La versión % del consentimiento no es la vigente', p_version
+      USING HINT = 'consentimiento_desactualizado';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.usuarios WHERE id = p_usuario_id) THEN
+    RAISE EXCEPTION 'Usuario % no encontrado', p_usuario_id USING HINT = 'sesion_ajena';
+  END IF;
+
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_token FROM public.tokens_acceso WHERE token = p_token;
+
+    IF NOT FOUND OR (v_token.user_id IS NOT NULL AND v_token.user_id <> p_usuario_id) THEN
+      RAISE EXCEPTION 'Token no válido para este usuario' USING HINT = 'token_invalido';
+    END IF;
+    v_campana_id := v_token.campana_id;
+  ELSE
+    v_campana_id := public.campana_vigente_usuario(p_usuario_id);
+  END IF;
+
+  INSERT INTO public.consentimientos (usuario_id, version, campana_id, token, idioma)
+  VALUES (p_usuario_id, p_version, v_campana_id, p_token, COALESCE(p_idioma, 'es'))
+  RETURNING * INTO v_consentimiento;
+
+  RETURN jsonb_build_object(
+    'id', v_consentimiento.id,
+    'version', v_consentimiento.version,
+    'campana_id', v_consentimiento.campana_id,
+    'aceptado_en', v_consentimiento.aceptado_en
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.registrar_consentimiento(UUID, INTEGER, TEXT, TEXT) TO anon, authenticated;
+
+-- Sin consentimiento para la campaña no se guardan resultados. Aplica a los envíos
+-- nuevos de enviar_cuestionario; los resultados ya guardados no se tocan.
+CREATE OR REPLACE FUNCTION public.exigir_consentimiento()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.consentimientos
+    WHERE usuario_id = NEW.usuario_id AND campana_id IS NOT DISTINCT FROM NEW.campana_id
+  ) THEN
+    RAISE EXCEPTION 'El usuario no ha aceptado el consentimiento informado para esta campaña'
+      USING HINT = 'consentimiento_requerido';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_resultados_sesion_consentimiento ON public.resultados_sesion;
+CREATE TRIGGER trg_resultados_sesion_consentimiento
+BEFORE INSERT ON public.resultados_sesion
+FOR EACH ROW EXECUTE FUNCTION public.exigir_consentimiento();
+
+-- El texto vigente es público (se muestra antes de responder); publicar versiones
+-- y consultar las aceptaciones es del panel
+ALTER TABLE public.textos_consentimiento ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.consentimientos ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS textos_consentimiento_lectura ON public.textos_consentimiento;
+CREATE POLICY textos_consentimiento_lectura ON public.textos_consentimiento
+FOR SELECT TO anon, authenticated USING (TRUE);
+
+DROP POLICY IF EXISTS textos_consentimiento_publicacion ON public.textos_consentimiento;
+CREATE POLICY textos_consentimiento_publicacion ON public.textos_consentimiento
+FOR INSERT TO authenticated WITH CHECK (TRUE);
+
+DROP POLICY IF EXISTS consentimientos_lectura ON public.consentimientos;
+CREATE POLICY consentimientos_lectura ON public.consentimientos
+FOR SELECT TO authenticated USING (TRUE);
@@ -0,0 +1,292 @@
+-- Derechos del titular (Ley 1581 de 2012, art. 8): conocer, rectificar y suprimir
+-- los datos personales. El panel arma la exportación completa de un trabajador y
+-- atiende la rectificación y la supresión con estas funciones; cada solicitud
+-- atendida deja un recibo inmutable en solicitudes_titular.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- Huella del documento: permite comprobar más adelante si se atendió una solicitud
+-- de una persona sin guardar su documento en claro. Es un HMAC con una clave
+-- secreta (pepper) guardada en Supabase Vault, no en las tablas: un sha256 sin
+-- clave de una cédula se revierte probando todos los números posibles. La clave
+-- se crea una vez por entorno y no se cambia (las huellas dejarían de coincidir):
+--   SELECT vault.create_secret('<valor aleatorio de al menos 32 caracteres>', 'pepper_documentos');
+CREATE OR REPLACE FUNCTION public.hash_documento(p_documento TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  v_pepper TEXT;
+BEGIN
+  SELECT decrypted_secret INTO v_pepper FROM vault.decrypted_secrets WHERE name = 'pepper_documentos';
+  IF length(COALESCE(v_pepper, '')) < 32 THEN
+    RAISE EXCEPTION 'Falta la clave pepper_documentos en Vault' USING HINT = 'pepper_no_configurado';
+  END IF;
+
+  RETURN encode(
+    extensions.hmac(convert_to(btrim(p_documento), 'UTF8'), convert_to(v_pepper, 'UTF8'), 'sha256'),
+    'hex'
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE TABLE IF NOT EXISTS public.solicitudes_titular (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('acceso', 'rectificacion', 'supresion')),
+  modo VARCHAR(20) CHECK (modo IN ('seudonimizar', 'eliminar')),
+  -- Sin FK: tras una supresión completa el usuario ya no existe
+  usuario_id UUID NOT NULL,
+  titular_hash TEXT NOT NULL,
+  -- Radicado o número de la solicitud en el canal por el que llegó
+  referencia TEXT,
+  -- Cómo se verificó la identidad del titular
+  verificacion TEXT NOT NULL,
+  -- Campos rectificados o filas afectadas por tabla; nunca los valores personales
+  detalle JSONB NOT NULL DEFAULT '{}'::jsonb,
+  atendido_por UUID DEFAULT auth.uid(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT solicitudes_titular_modo_supresion CHECK ((tipo = 'supresion') = (modo IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_solicitudes_titular_fecha ON public.solicitudes_titular (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_solicitudes_titular_hash ON public.solicitudes_titular (titular_hash);
+
+CREATE OR REPLACE FUNCTION public.bloquear_solicitud_titular()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Los recibos de solicitudes del titular no se modifican ni se borran'
+    USING HINT = 'recibo_inmutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_solicitudes_titular_inmutables ON public.solicitudes_titular;
+CREATE TRIGGER trg_solicitudes_titular_inmutables
+BEFORE UPDATE OR DELETE ON public.solicitudes_titular
+FOR EACH ROW EXECUTE FUNCTION public.bloquear_solicitud_titular();
+
+-- Usuario a atender, con las comprobaciones comunes a todas las solicitudes
+CREATE OR REPLACE FUNCTION public.titular_para_solicitud(p_usuario_id UUID, p_verificacion TEXT)
+RETURNS public.usuarios AS $$
+DECLARE
+  v_usuario public.usuarios%ROWTYPE;
+BEGIN
+  IF length(btrim(COALESCE(p_verificacion, ''))) = 0 THEN
+    RAISE EXCEPTION 'Indique cómo se verificó la identidad del titular' USING HINT = 'verificacion_requerida';
+  END IF;
+
+  SELECT * INTO v_usuario FROM public.usuarios WHERE id = p_usuario_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Usuario % no encontrado', p_usuario_id USING HINT = 'titular_no_encontrado';
+  END IF;
+
+  RETURN v_usuario;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Quita los datos que identifican a la persona y conserva sus respuestas para las
+-- estadísticas: el documento se reemplaza por su huella (la misma persona sigue
+-- siendo la misma fila) y se borran nombre, contacto, notas libres y borradores.
+-- Es seudonimización, no anonimización: los datos demográficos se conservan.
+CREATE OR REPLACE FUNCTION public.seudonimizar_usuario(p_usuario_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_usuario public.usuarios%ROWTYPE;
+  v_notas INTEGER;
+  v_envios INTEGER;
+  v_borradores INTEGER;
+BEGIN
+  SELECT * INTO v_usuario FROM public.usuarios WHERE id = p_usuario_id;
+  IF NOT FOUND OR v_usuario.documento LIKE 'seud:%' THEN
+    RETURN jsonb_build_object('usuarios', 0);
+  END IF;
+
+  UPDATE public.usuarios
+  SET nombre = 'Titular seudonimizado',
+      documento = 'seud:' || public.hash_documento(v_usuario.documento),
+      email = NULL,
+      metadata = '{}'::jsonb,
+      activo = FALSE
+  WHERE id = p_usuario_id;
+
+  UPDATE public.resultados_sesion SET nota_revision = NULL
+  WHERE usuario_id = p_usuario_id AND nota_revision IS NOT NULL;
+  GET DIAGNOSTICS v_notas = ROW_COUNT;
+
+  UPDATE public.envios_mensaje
+  SET destinatario = NULL, asunto = '[suprimido]', cuerpo = '[suprimido]'
+  WHERE user_id = p_usuario_id;
+  GET DIAGNOSTICS v_envios = ROW_COUNT;
+
+  DELETE FROM public.borradores_cuestionario WHERE usuario_id = p_usuario_id;
+  GET DIAGNOSTICS v_borradores = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'usuarios', 1,
+    'notas_revision', v_notas,
+    'envios_mensaje', v_envios,
+    'borradores_cuestionario', v_borradores
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Solo la usan otras funciones del servidor
+REVOKE EXECUTE ON FUNCTION public.hash_documento(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.seudonimizar_usuario(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.titular_para_solicitud(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Recibo de una exportación (derecho de acceso)
+CREATE OR REPLACE FUNCTION public.registrar_acceso_titular(
+  p_usuario_id UUID,
+  p_referencia TEXT,
+  p_verificacion TEXT,
+  p_detalle JSONB DEFAULT '{}'::jsonb
+)
+RETURNS public.solicitudes_titular AS $$
+DECLARE
+  v_usuario public.usuarios%ROWTYPE;
+  v_recibo public.solicitudes_titular%ROWTYPE;
+BEGIN
+  v_usuario := public.titular_para_solicitud(p_usuario_id, p_verificacion);
+
+  INSERT INTO public.solicitudes_titular (tipo, usuario_id, titular_hash, referencia, verificacion, detalle)
+  VALUES ('acceso', p_usuario_id, public.hash_documento(v_usuario.documento), p_referencia, btrim(p_verificacion),
+    COALESCE(p_detalle, '{}'::jsonb))
+  RETURNING * INTO v_recibo;
+
+  RETURN v_recibo;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Rectificación de los datos del trabajador. Solo se aceptan estos campos; el
+-- recibo guarda qué campos cambiaron, no sus valores.
+CREATE OR REPLACE FUNCTION public.rectificar_titular(
+  p_usuario_id UUID,
+  p_cambios JSONB,
+  p_referencia TEXT,
+  p_verificacion TEXT
+)
+RETURNS public.solicitudes_titular AS $$
+DECLARE
+  c_campos CONSTANT TEXT[] := ARRAY['nombre', 'documento', 'email', 'cargo', 'departamento', 'area_macro', 'edad', 'genero', 'turno'];
+  v_usuario public.usuarios%ROWTYPE;
+  v_campos TEXT[];
+  v_recibo public.solicitudes_titular%ROWTYPE;
+BEGIN
+  v_usuario := public.titular_para_solicitud(p_usuario_id, p_verificacion);
+
+  IF p_cambios IS NULL OR jsonb_typeof(p_cambios) <> 'object' THEN
+    RAISE EXCEPTION 'Los cambios deben ser un objeto' USING HINT = 'rectificacion_invalida';
+  END IF;
+
+  SELECT array_agg(clave ORDER BY clave) INTO v_campos FROM jsonb_object_keys(p_cambios) AS clave;
+  IF v_campos IS NULL THEN
+    RAISE EXCEPTION 'No hay cambios que guardar' USING HINT = 'rectificacion_invalida';
+  END IF;
+  IF NOT v_campos <@ c_campos THEN
+    RAISE EXCEPTION 'Solo se pueden rectificar: %', array_to_string(c_campos, ', ')
+      USING HINT = 'rectificacion_invalida';
+  END IF;
+  IF p_cambios ? 'documento' AND length(btrim(COALESCE(p_cambios->>'documento', ''))) = 0 THEN
+    RAISE EXCEPTION 'El documento no puede quedar vacío' USING HINT = 'rectificacion_invalida';
+  END IF;
+
+  UPDATE public.usuarios
+  SET nombre = CASE WHEN p_cambios ? 'nombre' THEN btrim(p_cambios->>'nombre') ELSE nombre END,
+      documento = CASE WHEN p_cambios ? 'documento' THEN btrim(p_cambios->>'documento') ELSE documento END,
+      email = CASE WHEN p_cambios ? 'email' THEN NULLIF(lower(btrim(p_cambios->>'email')), '') ELSE email END,
+      cargo = CASE WHEN p_cambios ? 'cargo' THEN p_cambios->>'cargo' ELSE cargo END,
+      departamento = CASE WHEN p_cambios ? 'departamento' THEN p_cambios->>'departamento' ELSE departamento END,
+      area_macro = CASE WHEN p_cambios ? 'area_macro' THEN p_cambios->>'area_macro' ELSE area_macro END,
+      edad = CASE WHEN p_cambios ? 'edad' THEN (p_cambios->>'edad')::INTEGER ELSE edad END,
+      genero = CASE WHEN p_cambios ? 'genero' THEN p_cambios->>'genero' ELSE genero END,
+      turno = CASE WHEN p_cambios ? 'turno' THEN p_cambios->>'turno' ELSE turno END
+  WHERE id = p_usuario_id;
+
+  -- La huella es la del documento con el que se identificó al titular al atenderlo
+  INSERT INTO public.solicitudes_titular (tipo, usuario_id, titular_hash, referencia, verificacion, detalle)
+  VALUES ('rectificacion', p_usuario_id, public.hash_documento(v_usuario.documento), p_referencia, btrim(p_verificacion),
+    jsonb_build_object('campos', to_jsonb(v_campos)))
+  RETURNING * INTO v_recibo;
+
+  RETURN v_recibo;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Supresión verificada: quien la ejecuta vuelve a escribir el documento del
+-- titular. 'seudonimizar' conserva las respuestas sin identidad (seudonimizar_usuario);
+-- 'eliminar' borra al usuario y todo lo que cuelga de él. La auditoría de datos
+-- individuales (V20) guarda qué filas y columnas cambiaron, no sus valores: tras
+-- la supresión no queda copia de las respuestas.
+CREATE OR REPLACE FUNCTION public.suprimir_titular(
+  p_usuario_id UUID,
+  p_modo TEXT,
+  p_confirmacion_documento TEXT,
+  p_referencia TEXT,
+  p_verificacion TEXT
+)
+RETURNS public.solicitudes_titular AS $$
+DECLARE
+  v_usuario public.usuarios%ROWTYPE;
+  v_detalle JSONB;
+  v_filas INTEGER;
+  v_recibo public.solicitudes_titular%ROWTYPE;
+BEGIN
+  v_usuario := public.titular_para_solicitud(p_usuario_id, p_verificacion);
+
+  IF p_modo NOT IN ('seudonimizar', 'eliminar') THEN
+    RAISE EXCEPTION 'Modo de supresión no soportado: %', p_modo USING HINT = 'supresion_invalida';
+  END IF;
+  IF btrim(COALESCE(p_confirmacion_documento, '')) <> btrim(v_usuario.documento) THEN
+    RAISE EXCEPTION 'El documento de confirmación no coincide con el del titular' USING HINT = 'confirmacion_invalida';
+  END IF;
+
+  IF p_modo = 'seudonimizar' THEN
+    v_detalle := public.seudonimizar_usuario(p_usuario_id);
+  ELSE
+    v_detalle := '{}'::jsonb;
+
+    DELETE FROM public.envios_mensaje WHERE user_id = p_usuario_id;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_detalle := v_detalle || jsonb_build_object('envios_mensaje', v_filas);
+
+    DELETE FROM public.tokens_acceso WHERE user_id = p_usuario_id;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_detalle := v_detalle || jsonb_build_object('tokens_acceso', v_filas);
+
+    DELETE FROM public.respuestas_cuestionario WHERE usuario_id = p_usuario_id;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_detalle := v_detalle || jsonb_build_object('respuestas_cuestionario', v_filas);
+
+    DELETE FROM public.resultados_sesion WHERE usuario_id = p_usuario_id;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_detalle := v_detalle || jsonb_build_object('resultados_sesion', v_filas);
+
+    DELETE FROM public.consentimientos WHERE usuario_id = p_usuario_id;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_detalle := v_detalle || jsonb_build_object('consentimientos', v_filas);
+
+    DELETE FROM public.borradores_cuestionario WHERE usuario_id = p_usuario_id;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+    v_detalle := v_detalle || jsonb_build_object('borradores_cuestionario', v_filas);
+
+    DELETE FROM public.usuarios WHERE id = p_usuario_id;
+    v_detalle := v_detalle || jsonb_build_object('usuarios', 1);
+  END IF;
+
+  INSERT INTO public.solicitudes_titular (tipo, modo, usuario_id, titular_hash, referencia, verificacion, detalle)
+  VALUES ('supresion', p_modo, p_usuario_id, public.hash_documento(v_usuario.documento), p_referencia,
+    btrim(p_verificacion), v_detalle)
+  RETURNING * INTO v_recibo;
+
+  RETURN v_recibo;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.registrar_acceso_titular(UUID, TEXT, TEXT, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.rectificar_titular(UUID, JSONB, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.suprimir_titular(UUID, TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+-- Los recibos solo se escriben con las funciones anteriores
+ALTER TABLE public.solicitudes_titular ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS solicitudes_titular_lectura ON public.solicitudes_titular;
+CREATE POLICY solicitudes_titular_lectura ON public.solicitudes_titular
+FOR SELECT TO authenticated USING (TRUE);
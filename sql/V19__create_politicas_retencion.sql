@@ -0,0 +1,222 @@
+-- Políticas de retención: las respuestas identificadas no se guardan para siempre.
+-- Cada política fija, para la organización o para una campaña, a los cuántos meses
+-- de responder se seudonimiza al trabajador o se le quitan los identificadores.
+-- scripts/retention-worker.js aplica las políticas a diario con aplicar_retencion();
+-- el panel ve antes a quién afectaría cada una con previsualizar_retencion().
+--
+-- Las respuestas, resultados y datos demográficos (cargo, departamento, área, edad,
+-- género, turno y los campos de análisis de metadata) se conservan, así que los
+-- dashboards siguen funcionando con el histórico seudonimizado.
+
+CREATE TABLE IF NOT EXISTS public.politicas_retencion (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- NULL: toda la organización; una política de campaña prevalece sobre la general
+  campana_id UUID REFERENCES public.campanas(id) ON DELETE CASCADE,
+  accion VARCHAR(30) NOT NULL CHECK (accion IN ('seudonimizar', 'eliminar_identificadores')),
+  meses INTEGER NOT NULL CHECK (meses BETWEEN 1 AND 600),
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  creado_por UUID DEFAULT auth.uid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Una política por acción en cada ámbito
+CREATE UNIQUE INDEX IF NOT EXISTS idx_politicas_retencion_ambito
+ON public.politicas_retencion (COALESCE(campana_id, '00000000-0000-0000-0000-000000000000'::uuid), accion);
+
+CREATE OR REPLACE FUNCTION public.actualizar_politicas_retencion_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_politicas_retencion_updated_at ON public.politicas_retencion;
+CREATE TRIGGER trg_politicas_retencion_updated_at
+BEFORE UPDATE ON public.politicas_retencion
+FOR EACH ROW EXECUTE FUNCTION public.actualizar_politicas_retencion_timestamp();
+
+-- Registro de cada pasada del proceso programado
+CREATE TABLE IF NOT EXISTS public.ejecuciones_retencion (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ejecutado_en TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  usuarios_seudonimizados INTEGER NOT NULL DEFAULT 0,
+  usuarios_sin_identificadores INTEGER NOT NULL DEFAULT 0,
+  -- { "<politica_id>": usuarios } por acción aplicada
+  detalle JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_ejecuciones_retencion_fecha ON public.ejecuciones_retencion (ejecutado_en DESC);
+
+-- seudonimizar_usuario (V18) vaciaba metadata completo; ahí también están los campos
+-- de análisis que usan los dashboards (antigüedad, satisfacción, uso de EPP...).
+-- Ahora solo se quitan las claves que identifican a la persona. El seudónimo es la
+-- huella con clave de hash_documento (V18): sin el pepper de Vault no se puede
+-- recalcular a partir de una cédula, y si falta la clave la pasada falla entera
+-- en vez de dejar documentos sin seudonimizar.
+CREATE OR REPLACE FUNCTION public.seudonimizar_usuario(p_usuario_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_usuario public.usuarios%ROWTYPE;
+  v_notas INTEGER;
+  v_envios INTEGER;
+  v_borradores INTEGER;
+BEGIN
+  SELECT * INTO v_usuario FROM public.usuarios WHERE id = p_usuario_id;
+  IF NOT FOUND OR v_usuario.documento LIKE 'seud:%' OR v_usuario.documento LIKE 'anon:%' THEN
+    RETURN jsonb_build_object('usuarios', 0);
+  END IF;
+
+  UPDATE public.usuarios
+  SET nombre = 'Titular seudonimizado',
+      documento = 'seud:' || public.hash_documento(v_usuario.documento),
+      email = NULL,
+      metadata = COALESCE(metadata, '{}'::jsonb)
+        - ARRAY['nombres', 'apellidos', 'nombre', 'documento', 'email', 'telefono', 'direccion'],
+      activo = FALSE
+  WHERE id = p_usuario_id;
+
+  UPDATE public.resultados_sesion SET nota_revision = NULL
+  WHERE usuario_id = p_usuario_id AND nota_revision IS NOT NULL;
+  GET DIAGNOSTICS v_notas = ROW_COUNT;
+
+  UPDATE public.envios_mensaje
+  SET destinatario = NULL, asunto = '[suprimido]', cuerpo = '[suprimido]'
+  WHERE user_id = p_usuario_id;
+  GET DIAGNOSTICS v_envios = ROW_COUNT;
+
+  DELETE FROM public.borradores_cuestionario WHERE usuario_id = p_usuario_id;
+  GET DIAGNOSTICS v_borradores = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'usuarios', 1,
+    'notas_revision', v_notas,
+    'envios_mensaje', v_envios,
+    'borradores_cuestionario', v_borradores
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Segundo paso: además de seudonimizar, el documento deja de ser su huella (que
+-- podría recalcularse conociendo la cédula) y pasa a ser un valor al azar. Las
+-- respuestas quedan sin forma de volver a la persona.
+CREATE OR REPLACE FUNCTION public.eliminar_identificadores_usuario(p_usuario_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM public.seudonimizar_usuario(p_usuario_id);
+
+  UPDATE public.usuarios
+  SET nombre = 'Titular anonimizado',
+      documento = 'anon:' || replace(gen_random_uuid()::text, '-', '')
+  WHERE id = p_usuario_id AND documento NOT LIKE 'anon:%';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Trabajadores pendientes de una acción: su última actividad en cada campaña
+-- (sesiones de resultados_sesion y respuestas sueltas de respuestas_cuestionario,
+-- que pueden no tener sesión) está cubierta por una política activa (la de su
+-- campaña o, si no tiene, la general) y ya superó su plazo, y su registro en
+-- usuarios es más antiguo que el plazo más largo. Quien tiene alguna actividad
+-- dentro de plazo no se toca, porque la identidad es una sola para todas sus campañas.
+CREATE OR REPLACE FUNCTION public.usuarios_vencidos_retencion(p_accion TEXT)
+RETURNS TABLE (usuario_id UUID, politicas UUID[], sesiones INTEGER) AS $$
+  WITH actividad AS (
+    SELECT rs.usuario_id, rs.campana_id, rs.sesion_id, rs.fecha_completado AS fecha
+    FROM public.resultados_sesion rs
+    UNION ALL
+    SELECT rc.usuario_id, rc.campana_id, NULL, MAX(rc.fecha_respuesta)
+    FROM public.respuestas_cuestionario rc
+    GROUP BY rc.usuario_id, rc.campana_id
+  ),
+  evaluada AS (
+    SELECT a.usuario_id, a.sesion_id, p.id AS politica_id, p.meses,
+      p.id IS NOT NULL AND a.fecha < NOW() - make_interval(months => p.meses) AS vencida
+    FROM actividad a
+    LEFT JOIN LATERAL (
+      SELECT pr.id, pr.meses
+      FROM public.politicas_retencion pr
+      WHERE pr.activa AND pr.accion = p_accion
+        AND (pr.campana_id = a.campana_id OR pr.campana_id IS NULL)
+      ORDER BY pr.campana_id NULLS LAST
+      LIMIT 1
+    ) p ON TRUE
+  )
+  SELECT e.usuario_id, array_agg(DISTINCT e.politica_id), COUNT(DISTINCT e.sesion_id)::INTEGER
+  FROM evaluada e
+  JOIN public.usuarios u ON u.id = e.usuario_id
+  WHERE u.documento NOT LIKE 'anon:%'
+    AND (p_accion = 'eliminar_identificadores' OR u.documento NOT LIKE 'seud:%')
+  GROUP BY e.usuario_id
+  HAVING bool_and(e.vencida)
+    AND COALESCE(MAX(u.created_at), '-infinity') < NOW() - make_interval(months => MAX(e.meses));
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Lo que haría hoy cada política: trabajadores y sesiones que pasarían por ella
+CREATE OR REPLACE FUNCTION public.previsualizar_retencion()
+RETURNS TABLE (politica_id UUID, usuarios INTEGER, sesiones INTEGER) AS $$
+  SELECT politica, COUNT(*)::INTEGER, SUM(v.sesiones)::INTEGER
+  FROM (
+    SELECT * FROM public.usuarios_vencidos_retencion('seudonimizar')
+    UNION ALL
+    SELECT * FROM public.usuarios_vencidos_retencion('eliminar_identificadores')
+  ) v, unnest(v.politicas) AS politica
+  GROUP BY politica;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Pasada del proceso programado. Primero se quitan identificadores (incluye la
+-- seudonimización) y luego se seudonimiza al resto.
+CREATE OR REPLACE FUNCTION public.aplicar_retencion()
+RETURNS public.ejecuciones_retencion AS $$
+DECLARE
+  v_fila RECORD;
+  v_politica UUID;
+  v_anonimizados INTEGER := 0;
+  v_seudonimizados INTEGER := 0;
+  v_detalle JSONB := '{}'::jsonb;
+  v_ejecucion public.ejecuciones_retencion%ROWTYPE;
+BEGIN
+  FOR v_fila IN SELECT * FROM public.usuarios_vencidos_retencion('eliminar_identificadores') LOOP
+    PERFORM public.eliminar_identificadores_usuario(v_fila.usuario_id);
+    v_anonimizados := v_anonimizados + 1;
+    FOREACH v_politica IN ARRAY v_fila.politicas LOOP
+      v_detalle := jsonb_set(v_detalle, ARRAY[v_politica::text],
+        to_jsonb(COALESCE((v_detalle->>v_politica::text)::INTEGER, 0) + 1));
+    END LOOP;
+  END LOOP;
+
+  FOR v_fila IN SELECT * FROM public.usuarios_vencidos_retencion('seudonimizar') LOOP
+    PERFORM public.seudonimizar_usuario(v_fila.usuario_id);
+    v_seudonimizados := v_seudonimizados + 1;
+    FOREACH v_politica IN ARRAY v_fila.politicas LOOP
+      v_detalle := jsonb_set(v_detalle, ARRAY[v_politica::text],
+        to_jsonb(COALESCE((v_detalle->>v_politica::text)::INTEGER, 0) + 1));
+    END LOOP;
+  END LOOP;
+
+  INSERT INTO public.ejecuciones_retencion (usuarios_seudonimizados, usuarios_sin_identificadores, detalle)
+  VALUES (v_seudonimizados, v_anonimizados, v_detalle)
+  RETURNING * INTO v_ejecucion;
+
+  RETURN v_ejecucion;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.eliminar_identificadores_usuario(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.usuarios_vencidos_retencion(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.previsualizar_retencion() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.aplicar_retencion() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.previsualizar_retencion() TO authenticated;
+-- Solo el proceso programado (clave de servicio) aplica las políticas
+GRANT EXECUTE ON FUNCTION public.aplicar_retencion() TO service_role;
+
+ALTER TABLE public.politicas_retencion ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ejecuciones_retencion ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS politicas_retencion_panel ON public.politicas_retencion;
+CREATE POLICY politicas_retencion_panel ON public.politicas_retencion
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
+
+DROP POLICY IF EXISTS ejecuciones_retencion_lectura ON public.ejecuciones_retencion;
+CREATE POLICY ejecuciones_retencion_lectura ON public.ejecuciones_retencion
+FOR SELECT TO authenticated USING (TRUE);
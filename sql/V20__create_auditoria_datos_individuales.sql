@@ -0,0 +1,294 @@
+-- Auditoría de los datos individuales: quién vio, exportó o cambió las respuestas y
+-- resultados de un trabajador, cuándo, desde dónde y por qué. El registro solo
+-- admite inserciones.
+--   * Escrituras: un trigger sobre respuestas_cuestionario y resultados_sesion
+--     registra cada cambio hecho con sesión del panel y qué columnas cambiaron,
+--     nunca los valores: el registro es inmutable y una copia de las respuestas
+--     sobreviviría a la supresión del titular (V18). El cuestionario público y
+--     los procesos con clave de servicio no tienen auth.uid() y no se registran.
+--   * Lecturas: las pantallas de resultados individuales llaman a
+--     registrar_lectura_individual() antes de mostrar los datos.
+--   * La edición de respuestas desde el panel pasa por editar_respuestas_usuario(),
+--     que exige el motivo y lo deja en cada fila del registro.
+--   * Las filas de un trabajador forman parte de la exportación que recibe al
+--     ejercer su derecho de acceso (V18).
+
+CREATE TABLE IF NOT EXISTS public.auditoria_datos_individuales (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id UUID DEFAULT auth.uid(),
+  actor_email TEXT DEFAULT (auth.jwt() ->> 'email'),
+  accion VARCHAR(20) NOT NULL CHECK (accion IN ('ver', 'exportar', 'crear', 'modificar', 'eliminar')),
+  recurso VARCHAR(40) NOT NULL,
+  -- Trabajador al que pertenecen los datos
+  titular_id UUID,
+  registro_id TEXT,
+  -- En modificaciones, los nombres de las columnas que cambiaron (sin valores)
+  campos TEXT[],
+  motivo TEXT,
+  -- Pantalla o función desde la que se hizo
+  origen VARCHAR(60),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditoria_datos_individuales_fecha ON public.auditoria_datos_individuales (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_datos_individuales_titular ON public.auditoria_datos_individuales (titular_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_datos_individuales_actor ON public.auditoria_datos_individuales (actor_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION public.bloquear_auditoria_datos_individuales()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'El registro de auditoría no se modifica ni se borra'
+    USING HINT = 'auditoria_inmutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_auditoria_datos_individuales_inmutable ON public.auditoria_datos_individuales;
+CREATE TRIGGER trg_auditoria_datos_individuales_inmutable
+BEFORE UPDATE OR DELETE ON public.auditoria_datos_individuales
+FOR EACH ROW EXECUTE FUNCTION public.bloquear_auditoria_datos_individuales();
+
+-- Motivo y origen se pasan con set_config(..., true) dentro de la misma transacción
+CREATE OR REPLACE FUNCTION public.auditar_cambio_individual()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_fila JSONB;
+  v_campos TEXT[];
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_fila := CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ELSE to_jsonb(NEW) END;
+
+  IF TG_OP = 'UPDATE' THEN
+    SELECT array_agg(d.key ORDER BY d.key) INTO v_campos
+    FROM jsonb_each(v_fila) d
+    WHERE to_jsonb(OLD)->d.key IS DISTINCT FROM d.value;
+
+    IF v_campos IS NULL THEN
+      RETURN NULL;
+    END IF;
+  END IF;
+
+  INSERT INTO public.auditoria_datos_individuales (
+    accion, recurso, titular_id, registro_id, campos, motivo, origen
+  ) VALUES (
+    CASE TG_OP WHEN 'INSERT' THEN 'crear' WHEN 'UPDATE' THEN 'modificar' ELSE 'eliminar' END,
+    TG_TABLE_NAME,
+    (v_fila->>'usuario_id')::UUID,
+    COALESCE(v_fila->>'id', v_fila->>'sesion_id'),
+    v_campos,
+    NULLIF(current_setting('auditoria.motivo', true), ''),
+    NULLIF(current_setting('auditoria.origen', true), '')
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_respuestas_cuestionario_auditoria ON public.respuestas_cuestionario;
+CREATE TRIGGER trg_respuestas_cuestionario_auditoria
+AFTER INSERT OR UPDATE OR DELETE ON public.respuestas_cuestionario
+FOR EACH ROW EXECUTE FUNCTION public.auditar_cambio_individual();
+
+DROP TRIGGER IF EXISTS trg_resultados_sesion_auditoria ON public.resultados_sesion;
+CREATE TRIGGER trg_resultados_sesion_auditoria
+AFTER INSERT OR UPDATE OR DELETE ON public.resultados_sesion
+FOR EACH ROW EXECUTE FUNCTION public.auditar_cambio_individual();
+
+-- Las solicitudes del titular (V18) ya tienen su recibo; lo que borren o limpien
+-- queda en la auditoría con este origen y motivo
+CREATE OR REPLACE FUNCTION public.titular_para_solicitud(p_usuario_id UUID, p_verificacion TEXT)
+RETURNS public.usuarios AS $$
+DECLARE
+  v_usuario public.usuarios%ROWTYPE;
+BEGIN
+  IF length(btrim(COALESCE(p_verificacion, ''))) = 0 THEN
+    RAISE EXCEPTION 'Indique cómo se verificó la identidad del titular' USING HINT = 'verificacion_requerida';
+  END IF;
+
+  SELECT * INTO v_usuario FROM public.usuarios WHERE id = p_usuario_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Usuario % no encontrado', p_usuario_id USING HINT = 'titular_no_encontrado';
+  END IF;
+
+  PERFORM set_config('auditoria.origen', 'derechos_titular', true);
+  PERFORM set_config('auditoria.motivo', 'Solicitud del titular', true);
+
+  RETURN v_usuario;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.titular_para_solicitud(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Lectura o exportación de los datos de un trabajador desde el panel
+CREATE OR REPLACE FUNCTION public.registrar_lectura_individual(
+  p_accion TEXT,
+  p_recurso TEXT,
+  p_titular_id UUID,
+  p_origen TEXT,
+  p_motivo TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Se requiere una sesión del panel' USING HINT = 'sesion_requerida';
+  END IF;
+  IF p_accion NOT IN ('ver', 'exportar') THEN
+    RAISE EXCEPTION 'Acción de lectura no soportada: %', p_accion USING HINT = 'auditoria_invalida';
+  END IF;
+
+  INSERT INTO public.auditoria_datos_individuales (accion, recurso, titular_id, motivo, origen)
+  VALUES (p_accion, p_recurso, p_titular_id, NULLIF(btrim(p_motivo), ''), p_origen)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Corrección de las respuestas de una sesión desde el panel.
+-- p_respuestas: { "<pregunta_id>": valor | null }; null borra la respuesta.
+-- El malestar del ítem y el resultado de la sesión (puntaje, nivel de riesgo,
+-- subescalas y control de calidad) se recalculan igual que al enviar el
+-- cuestionario, en la misma transacción, para que los dashboards no queden
+-- desfasados de las respuestas. La sesión tiene que quedar completa.
+CREATE OR REPLACE FUNCTION public.editar_respuestas_usuario(
+  p_usuario_id UUID,
+  p_sesion_id UUID,
+  p_respuestas JSONB,
+  p_motivo TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_referencia public.respuestas_cuestionario%ROWTYPE;
+  v_definicion JSONB;
+  v_respuestas JSONB;
+  v_puntaje JSONB;
+  v_min INTEGER;
+  v_max INTEGER;
+  v_clave TEXT;
+  v_valor JSONB;
+  v_pregunta INTEGER;
+  v_respuesta INTEGER;
+  v_normalizado INTEGER;
+  v_filas INTEGER;
+  v_creadas INTEGER := 0;
+  v_modificadas INTEGER := 0;
+  v_eliminadas INTEGER := 0;
+BEGIN
+  IF length(btrim(COALESCE(p_motivo, ''))) = 0 THEN
+    RAISE EXCEPTION 'Indique el motivo del cambio' USING HINT = 'motivo_requerido';
+  END IF;
+  IF p_respuestas IS NULL OR jsonb_typeof(p_respuestas) <> 'object' THEN
+    RAISE EXCEPTION 'Las respuestas deben ser un objeto' USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  SELECT * INTO v_referencia
+  FROM public.respuestas_cuestionario
+  WHERE usuario_id = p_usuario_id AND sesion_id = p_sesion_id
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Sesión % no encontrada', p_sesion_id USING HINT = 'sesion_no_encontrada';
+  END IF;
+
+  SELECT definicion INTO v_definicion FROM public.instrumentos WHERE id = v_referencia.cuestionario_id;
+  v_min := (v_definicion #>> '{scoring,minItemValue}')::INTEGER;
+  v_max := (v_definicion #>> '{scoring,maxItemValue}')::INTEGER;
+
+  PERFORM set_config('auditoria.motivo', btrim(p_motivo), true);
+  PERFORM set_config('auditoria.origen', 'editar_respuestas_usuario', true);
+
+  FOR v_clave, v_valor IN SELECT key, value FROM jsonb_each(p_respuestas) LOOP
+    v_pregunta := v_clave::INTEGER;
+    IF NOT (v_definicion->'items') @> jsonb_build_array(jsonb_build_object('id', v_pregunta)) THEN
+      RAISE EXCEPTION 'La pregunta % no pertenece al instrumento', v_pregunta USING HINT = 'respuestas_invalidas';
+    END IF;
+
+    IF jsonb_typeof(v_valor) = 'null' THEN
+      DELETE FROM public.respuestas_cuestionario
+      WHERE usuario_id = p_usuario_id AND sesion_id = p_sesion_id AND pregunta_id = v_pregunta;
+      GET DIAGNOSTICS v_filas = ROW_COUNT;
+      v_eliminadas := v_eliminadas + v_filas;
+      CONTINUE;
+    END IF;
+
+    v_respuesta := (v_valor #>> '{}')::INTEGER;
+    IF v_respuesta IS NULL OR v_respuesta < v_min OR v_respuesta > v_max THEN
+      RAISE EXCEPTION 'Valor fuera de escala en la pregunta %', v_pregunta USING HINT = 'respuestas_invalidas';
+    END IF;
+    v_normalizado := CASE
+      WHEN (v_definicion->'reverseKeyedItems') @> to_jsonb(v_pregunta) THEN v_respuesta
+      ELSE v_max - v_respuesta
+    END;
+
+    UPDATE public.respuestas_cuestionario
+    SET respuesta = v_respuesta, puntaje_normalizado = v_normalizado
+    WHERE usuario_id = p_usuario_id AND sesion_id = p_sesion_id AND pregunta_id = v_pregunta;
+    GET DIAGNOSTICS v_filas = ROW_COUNT;
+
+    IF v_filas > 0 THEN
+      v_modificadas := v_modificadas + v_filas;
+    ELSE
+      INSERT INTO public.respuestas_cuestionario (
+        usuario_id, cuestionario_id, campana_id, pregunta_id, respuesta,
+        puntaje_normalizado, porcentaje_riesgo, fecha_respuesta, sesion_id
+      ) VALUES (
+        p_usuario_id, v_referencia.cuestionario_id, v_referencia.campana_id, v_pregunta, v_respuesta,
+        v_normalizado, v_referencia.porcentaje_riesgo, NOW(), p_sesion_id
+      );
+      v_creadas := v_creadas + 1;
+    END IF;
+  END LOOP;
+
+  SELECT COALESCE(jsonb_object_agg(pregunta_id::TEXT, respuesta), '{}'::jsonb) INTO v_respuestas
+  FROM public.respuestas_cuestionario
+  WHERE usuario_id = p_usuario_id AND sesion_id = p_sesion_id;
+
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(v_definicion->'items') e
+    WHERE NOT v_respuestas ? (e->>'id')
+  ) THEN
+    RAISE EXCEPTION 'La sesión quedaría con preguntas sin responder' USING HINT = 'sesion_incompleta';
+  END IF;
+
+  -- El trigger de auditoría registra también estos cambios, con el mismo motivo
+  v_puntaje := public.puntuar_cuestionario(v_referencia.cuestionario_id, v_respuestas);
+
+  UPDATE public.resultados_sesion
+  SET metodo_puntuacion = v_puntaje->>'metodo_puntuacion',
+      version_reglas = v_puntaje->>'version_reglas',
+      puntaje_total = (v_puntaje->>'puntaje_total')::NUMERIC,
+      puntaje_maximo = (v_puntaje->>'puntaje_maximo')::NUMERIC,
+      porcentaje_riesgo = (v_puntaje->>'porcentaje_riesgo')::NUMERIC,
+      nivel_riesgo = v_puntaje->>'nivel_riesgo',
+      es_caso = (v_puntaje->>'es_caso')::BOOLEAN,
+      puntajes_dimension = v_puntaje->'puntajes_dimension'
+  WHERE sesion_id = p_sesion_id;
+
+  UPDATE public.respuestas_cuestionario
+  SET porcentaje_riesgo = (v_puntaje->>'porcentaje_riesgo')::NUMERIC
+  WHERE usuario_id = p_usuario_id AND sesion_id = p_sesion_id;
+
+  PERFORM public.evaluar_calidad_sesion(p_sesion_id);
+
+  RETURN jsonb_build_object(
+    'creadas', v_creadas,
+    'modificadas', v_modificadas,
+    'eliminadas', v_eliminadas,
+    'nivel_riesgo', v_puntaje->>'nivel_riesgo',
+    'porcentaje_riesgo', (v_puntaje->>'porcentaje_riesgo')::NUMERIC
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.registrar_lectura_individual(TEXT, TEXT, UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.editar_respuestas_usuario(UUID, UUID, JSONB, TEXT) TO authenticated;
+
+-- Solo lectura desde el panel; las filas las escriben el trigger y las funciones anteriores
+ALTER TABLE public.auditoria_datos_individuales ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS auditoria_datos_individuales_lectura ON public.auditoria_datos_individuales;
+CREATE POLICY auditoria_datos_individuales_lectura ON public.auditoria_datos_individuales
+FOR SELECT TO authenticated USING (TRUE);
@@ -0,0 +1,84 @@
+-- Alta del participante y aceptación del consentimiento en una sola transacción.
+--
+-- Hasta ahora el formulario creaba o actualizaba el usuario (y borraba sus
+-- respuestas anteriores) antes de mostrar el consentimiento, así que quien no
+-- aceptaba ya tenía sus datos guardados. Con esta función el navegador no escribe
+-- nada hasta la aceptación: los datos del formulario viajan con ella y, si falla
+-- cualquiera de los dos pasos, no queda ni el usuario ni la aceptación. Las
+-- respuestas anteriores ya no se borran: cada envío es una sesión nueva.
+
+CREATE OR REPLACE FUNCTION public.aceptar_consentimiento_participante(
+  p_version INTEGER,
+  -- Datos del formulario (MultiStepForm): nombres, apellidos, documento, edad, ...
+  p_datos JSONB,
+  p_token TEXT DEFAULT NULL,
+  p_idioma TEXT DEFAULT 'es'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_documento TEXT := btrim(COALESCE(p_datos->>'documento', ''));
+  v_nombre TEXT := btrim(concat_ws(' ', btrim(p_datos->>'nombres'), btrim(p_datos->>'apellidos')));
+  -- Campos de análisis, sin identificadores (seudonimizar_usuario no tiene que limpiarlos)
+  v_analisis JSONB := p_datos - ARRAY['nombres', 'apellidos', 'documento'];
+  v_usuario public.usuarios%ROWTYPE;
+  v_consentimiento JSONB;
+BEGIN
+  IF p_datos IS NULL OR jsonb_typeof(p_datos) <> 'object' OR v_documento = '' OR v_nombre = '' THEN
+    RAISE EXCEPTION 'Faltan los datos del participante' USING HINT = 'datos_invalidos';
+  END IF;
+
+  SELECT * INTO v_usuario FROM public.usuarios WHERE documento = v_documento FOR UPDATE;
+
+  IF FOUND THEN
+    UPDATE public.usuarios
+    SET
+      nombre = v_nombre,
+      cargo = p_datos->>'cargo',
+      departamento = p_datos->>'area',
+      area_macro = p_datos->>'area',
+      edad = NULLIF(p_datos->>'edad', '')::INTEGER,
+      genero = p_datos->>'genero',
+      turno = p_datos->>'turno',
+      antiguedad_empresa = NULLIF(p_datos->>'antiguedad', '')::INTEGER,
+      tipo_contrato = p_datos->>'tipo_contrato',
+      nivel_educativo = p_datos->>'nivel_educativo',
+      capacitaciones_seguridad = p_datos->>'capacitaciones_seguridad' = 'si',
+      accidentes_previos = p_datos->>'accidentes_previos' = 'si',
+      reporta_casi_accidentes = p_datos->>'reporta_casi_accidentes' = 'si',
+      uso_epp = p_datos->>'uso_epp' = 'si',
+      satisfaccion_laboral = NULLIF(p_datos->>'satisfaccion_laboral', '')::INTEGER,
+      motivacion_seguridad = NULLIF(p_datos->>'motivacion_seguridad', '')::INTEGER,
+      confianza_gerencia = NULLIF(p_datos->>'confianza_gerencia', '')::INTEGER,
+      metadata = COALESCE(metadata, '{}'::jsonb) || v_analisis
+    WHERE id = v_usuario.id
+    RETURNING * INTO v_usuario;
+  ELSE
+    INSERT INTO public.usuarios (
+      documento, nombre, cargo, departamento, area_macro, edad, genero, fecha_ingreso, activo,
+      turno, antiguedad_empresa, tipo_contrato, nivel_educativo, capacitaciones_seguridad,
+      accidentes_previos, reporta_casi_accidentes, uso_epp, satisfaccion_laboral,
+      motivacion_seguridad, confianza_gerencia, metadata
+    ) VALUES (
+      v_documento, v_nombre, p_datos->>'cargo', p_datos->>'area', p_datos->>'area',
+      NULLIF(p_datos->>'edad', '')::INTEGER, p_datos->>'genero', CURRENT_DATE, TRUE,
+      p_datos->>'turno', NULLIF(p_datos->>'antiguedad', '')::INTEGER, p_datos->>'tipo_contrato',
+      p_datos->>'nivel_educativo', p_datos->>'capacitaciones_seguridad' = 'si',
+      p_datos->>'accidentes_previos' = 'si', p_datos->>'reporta_casi_accidentes' = 'si',
+      p_datos->>'uso_epp' = 'si', NULLIF(p_datos->>'satisfaccion_laboral', '')::INTEGER,
+      NULLIF(p_datos->>'motivacion_seguridad', '')::INTEGER,
+      NULLIF(p_datos->>'confianza_gerencia', '')::INTEGER, v_analisis
+    )
+    RETURNING * INTO v_usuario;
+  END IF;
+
+  -- Valida la versión vigente y el token; si falla, el alta anterior se deshace
+  v_consentimiento := public.registrar_consentimiento(v_usuario.id, p_version, p_token, p_idioma);
+
+  RETURN jsonb_build_object(
+    'usuario', jsonb_build_object('id', v_usuario.id, 'nombre', v_usuario.nombre, 'metadata', v_usuario.metadata),
+    'consentimiento', v_consentimiento
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.aceptar_consentimiento_participante(INTEGER, JSONB, TEXT, TEXT) TO anon, authenticated;
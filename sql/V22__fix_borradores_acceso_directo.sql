@@ -0,0 +1,59 @@
+-- Borradores del acceso directo (V13)
+--
+-- Sin token, guardar_borrador dejaba campana_id en NULL y el panel, que cuenta los
+-- cuestionarios en curso por campaña, nunca los veía. Ahora el borrador toma la
+-- campaña a la que irá el envío (campana_vigente_usuario, V17).
+--
+-- Además obtener_borrador devuelve iniciado_en: al retomar, el cuestionario
+-- conserva la hora de inicio del borrador en vez de empezar a contar de nuevo.
+
+CREATE OR REPLACE FUNCTION public.asignar_campana_borrador()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.campana_id IS NULL AND NEW.token IS NULL THEN
+    NEW.campana_id := public.campana_vigente_usuario(NEW.usuario_id);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_borradores_cuestionario_campana ON public.borradores_cuestionario;
+CREATE TRIGGER trg_borradores_cuestionario_campana
+BEFORE INSERT ON public.borradores_cuestionario
+FOR EACH ROW EXECUTE FUNCTION public.asignar_campana_borrador();
+
+-- Borradores del acceso directo ya empezados
+UPDATE public.borradores_cuestionario
+SET campana_id = public.campana_vigente_usuario(usuario_id)
+WHERE campana_id IS NULL
+  AND token IS NULL
+  AND completado_en IS NULL;
+
+-- Cambia el tipo de retorno: hay que recrearla
+DROP FUNCTION IF EXISTS public.obtener_borrador(TEXT, UUID);
+
+CREATE FUNCTION public.obtener_borrador(
+  p_token TEXT DEFAULT NULL,
+  p_sesion_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  sesion_id UUID,
+  usuario_id UUID,
+  cuestionario_id INTEGER,
+  respuestas JSONB,
+  version BIGINT,
+  iniciado_en TIMESTAMPTZ,
+  actualizado_en TIMESTAMPTZ
+) AS $$
+  SELECT b.sesion_id, b.usuario_id, b.cuestionario_id, b.respuestas, b.version, b.iniciado_en, b.actualizado_en
+  FROM public.borradores_cuestionario b
+  LEFT JOIN public.tokens_acceso t ON t.token = b.token
+  WHERE b.completado_en IS NULL
+    AND (
+      (p_token IS NOT NULL AND b.token = p_token
+        AND NOT t.usado AND t.revocado_en IS NULL AND t.expiracion >= NOW())
+      OR (p_token IS NULL AND p_sesion_id IS NOT NULL AND b.sesion_id = p_sesion_id AND b.token IS NULL)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.obtener_borrador(TEXT, UUID) TO anon, authenticated;
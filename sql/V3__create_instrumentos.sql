@@ -0,0 +1,81 @@
+-- Registro versionado de instrumentos (espejo de src/data/instruments)
+-- Cada versión publicada es inmutable y tiene su propio id, que es el valor
+-- almacenado en respuestas_cuestionario.cuestionario_id.
+
+CREATE TABLE IF NOT EXISTS public.instrumentos (
+  id INTEGER PRIMARY KEY,
+  codigo VARCHAR(50) NOT NULL,
+  version INTEGER NOT NULL,
+  nombre TEXT NOT NULL,
+  definicion JSONB NOT NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT instrumentos_codigo_version_key UNIQUE (codigo, version)
+);
+
+-- GHQ-12 v1: textos y reglas vigentes al momento de la migración
+INSERT INTO public.instrumentos (id, codigo, version, nombre, definicion)
+VALUES (
+  1,
+  'GHQ-12',
+  1,
+  'Cuestionario de Salud General (GHQ-12)',
+  '{
+    "scale": [
+      {"value": 0, "label": "Nunca"},
+      {"value": 1, "label": "Casi nunca"},
+      {"value": 2, "label": "Casi siempre"},
+      {"value": 3, "label": "Siempre"}
+    ],
+    "items": [
+      {"id": 1, "text": "He podido concentrarme bien en mi trabajo y en mis tareas diarias."},
+      {"id": 2, "text": "Mis preocupaciones me han quitado el sueño."},
+      {"id": 3, "text": "Me siento útil en mi vida y en el trabajo."},
+      {"id": 4, "text": "Me he sentido capaz de tomar decisiones con claridad."},
+      {"id": 5, "text": "Me he sentido nervioso(a) o muy tenso(a) con frecuencia."},
+      {"id": 6, "text": "He sentido que no puedo superar las dificultades que tengo."},
+      {"id": 7, "text": "He disfrutado de mis actividades habituales del día a día."},
+      {"id": 8, "text": "He sido capaz de afrontar mis problemas de forma adecuada."},
+      {"id": 9, "text": "Me he sentido triste o deprimido(a)."},
+      {"id": 10, "text": "He perdido confianza en mí mismo(a)."},
+      {"id": 11, "text": "He pensado que no valgo para nada."},
+      {"id": 12, "text": "Me he sentido razonablemente feliz considerando mi situación."}
+    ],
+    "reverseKeyedItems": [2, 5, 6, 9, 10, 11],
+    "dimensions": [
+      {"key": "salud_general", "name": "Salud General", "items": [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]}
+    ],
+    "scoring": {"method": "likert", "direction": "bienestar", "minItemValue": 0, "maxItemValue": 3, "minTotal": 0, "maxTotal": 36}
+  }'::jsonb
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- Las respuestas existentes se registraron con el GHQ-12 v1
+UPDATE public.respuestas_cuestionario
+SET cuestionario_id = 1
+WHERE cuestionario_id IS NULL;
+
+ALTER TABLE public.respuestas_cuestionario
+DROP CONSTRAINT IF EXISTS respuestas_cuestionario_cuestionario_id_fkey;
+
+ALTER TABLE public.respuestas_cuestionario
+ADD CONSTRAINT respuestas_cuestionario_cuestionario_id_fkey
+FOREIGN KEY (cuestionario_id) REFERENCES public.instrumentos(id);
+
+-- Una versión publicada no puede modificarse: las revisiones se publican como versión nueva
+CREATE OR REPLACE FUNCTION public.impedir_modificar_instrumento()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.definicion IS DISTINCT FROM OLD.definicion
+     OR NEW.codigo IS DISTINCT FROM OLD.codigo
+     OR NEW.version IS DISTINCT FROM OLD.version THEN
+    RAISE EXCEPTION 'La versión % de % ya está publicada; registre una versión nueva', OLD.version, OLD.codigo;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_instrumentos_inmutables ON public.instrumentos;
+CREATE TRIGGER trg_instrumentos_inmutables
+BEFORE UPDATE ON public.instrumentos
+FOR EACH ROW EXECUTE FUNCTION public.impedir_modificar_instrumento();
@@ -0,0 +1,52 @@
+-- Configuración de la organización editable desde el panel de administración
+-- Cada ajuste se guarda como JSONB bajo una clave estable.
+
+CREATE TABLE IF NOT EXISTS public.configuracion_sistema (
+  clave VARCHAR(100) PRIMARY KEY,
+  valor JSONB NOT NULL,
+  descripcion TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES auth.users(id)
+);
+
+-- Método de puntuación GHQ-12 por defecto: likert (0-1-2-3), ghq (0-0-1-1) o cghq
+INSERT INTO public.configuracion_sistema (clave, valor, descripcion)
+VALUES (
+  'ghq12_scoring_method',
+  '"likert"'::jsonb,
+  'Método de puntuación GHQ-12 usado por defecto en reportes y dashboards'
+)
+ON CONFLICT (clave) DO NOTHING;
+
+ALTER TABLE public.configuracion_sistema
+DROP CONSTRAINT IF EXISTS configuracion_sistema_metodo_valido;
+
+ALTER TABLE public.configuracion_sistema
+ADD CONSTRAINT configuracion_sistema_metodo_valido
+CHECK (clave <> 'ghq12_scoring_method' OR valor #>> '{}' IN ('likert', 'ghq', 'cghq'));
+
+CREATE OR REPLACE FUNCTION public.actualizar_configuracion_sistema_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  NEW.updated_by = COALESCE(NEW.updated_by, auth.uid());
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_configuracion_sistema_timestamp ON public.configuracion_sistema;
+CREATE TRIGGER trg_configuracion_sistema_timestamp
+BEFORE INSERT OR UPDATE ON public.configuracion_sistema
+FOR EACH ROW EXECUTE FUNCTION public.actualizar_configuracion_sistema_timestamp();
+
+-- Lectura pública (la app necesita el método antes de iniciar sesión),
+-- escritura solo para usuarios autenticados del panel
+ALTER TABLE public.configuracion_sistema ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS configuracion_sistema_lectura ON public.configuracion_sistema;
+CREATE POLICY configuracion_sistema_lectura ON public.configuracion_sistema
+FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS configuracion_sistema_escritura ON public.configuracion_sistema;
+CREATE POLICY configuracion_sistema_escritura ON public.configuracion_sistema
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
@@ -0,0 +1,110 @@
+-- Registro único de bandas de riesgo GHQ-12 (espejo de src/config/riskBands.js)
+-- Los límites se expresan en las unidades del puntaje total de cada método:
+--   likert: bienestar 0-36 (mayor = mejor), ghq y cghq: malestar 0-12 (mayor = peor)
+
+CREATE TABLE IF NOT EXISTS public.bandas_riesgo (
+  metodo VARCHAR(20) NOT NULL CHECK (metodo IN ('likert', 'ghq', 'cghq')),
+  clave VARCHAR(20) NOT NULL CHECK (clave IN ('bajo', 'moderado', 'alto', 'muy_alto')),
+  etiqueta TEXT NOT NULL,
+  descripcion TEXT,
+  color VARCHAR(7) NOT NULL,
+  puntaje_min INTEGER NOT NULL,
+  puntaje_max INTEGER NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (metodo, clave),
+  CONSTRAINT bandas_riesgo_rango_valido CHECK (puntaje_min <= puntaje_max)
+);
+
+INSERT INTO public.bandas_riesgo (metodo, clave, etiqueta, descripcion, color, puntaje_min, puntaje_max) VALUES
+  ('likert', 'bajo', 'Bajo', 'Aceptable', '#059669', 28, 36),
+  ('likert', 'moderado', 'Moderado', 'Alerta', '#D97706', 18, 27),
+  ('likert', 'alto', 'Alto', 'Alterado', '#EA580C', 9, 17),
+  ('likert', 'muy_alto', 'Muy Alto', 'Restringido', '#DC2626', 0, 8),
+  ('ghq', 'bajo', 'Bajo', 'Aceptable', '#059669', 0, 1),
+  ('ghq', 'moderado', 'Moderado', 'Alerta', '#D97706', 2, 2),
+  ('ghq', 'alto', 'Alto', 'Alterado', '#EA580C', 3, 6),
+  ('ghq', 'muy_alto', 'Muy Alto', 'Restringido', '#DC2626', 7, 12),
+  ('cghq', 'bajo', 'Bajo', 'Aceptable', '#059669', 0, 3),
+  ('cghq', 'moderado', 'Moderado', 'Alerta', '#D97706', 4, 5),
+  ('cghq', 'alto', 'Alto', 'Alterado', '#EA580C', 6, 8),
+  ('cghq', 'muy_alto', 'Muy Alto', 'Restringido', '#DC2626', 9, 12)
+ON CONFLICT (metodo, clave) DO NOTHING;
+
+ALTER TABLE public.bandas_riesgo ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS bandas_riesgo_lectura ON public.bandas_riesgo;
+CREATE POLICY bandas_riesgo_lectura ON public.bandas_riesgo
+FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS bandas_riesgo_escritura ON public.bandas_riesgo;
+CREATE POLICY bandas_riesgo_escritura ON public.bandas_riesgo
+FOR ALL TO authenticated USING (TRUE) WITH CHECK (TRUE);
+
+-- Método de puntuación por defecto de la organización
+CREATE OR REPLACE FUNCTION public.metodo_puntuacion_actual()
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (SELECT valor #>> '{}' FROM public.configuracion_sistema WHERE clave = 'ghq12_scoring_method'),
+    'likert'
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Porcentaje de riesgo (0-100, mayor = más malestar) a partir del puntaje total
+CREATE OR REPLACE FUNCTION public.porcentaje_riesgo_desde_puntaje(
+  p_puntaje NUMERIC,
+  p_metodo TEXT DEFAULT public.metodo_puntuacion_actual()
+)
+RETURNS NUMERIC AS $$
+  SELECT CASE p_metodo
+    WHEN 'likert' THEN (36 - p_puntaje) / 36.0 * 100
+    ELSE p_puntaje / 12.0 * 100
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Clave de la banda para un puntaje total en las unidades del método
+CREATE OR REPLACE FUNCTION public.clasificar_nivel_riesgo(
+  p_puntaje NUMERIC,
+  p_metodo TEXT DEFAULT public.metodo_puntuacion_actual()
+)
+RETURNS TEXT AS $$
+  SELECT b.clave
+  FROM public.bandas_riesgo b
+  WHERE b.metodo = p_metodo
+    AND p_puntaje >= b.puntaje_min
+    AND p_puntaje <= b.puntaje_max
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Clave de la banda para un porcentaje de riesgo (vistas agregadas y heatmaps).
+-- El límite inferior de cada banda se deriva de sus límites en puntaje, igual que en el cliente.
+CREATE OR REPLACE FUNCTION public.clasificar_porcentaje_riesgo(
+  p_porcentaje NUMERIC,
+  p_metodo TEXT DEFAULT public.metodo_puntuacion_actual()
+)
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (
+      SELECT b.clave
+      FROM public.bandas_riesgo b
+      WHERE b.metodo = p_metodo
+        AND COALESCE(p_porcentaje, 0) >= public.porcentaje_riesgo_desde_puntaje(
+          CASE WHEN p_metodo = 'likert' THEN b.puntaje_max ELSE b.puntaje_min END,
+          p_metodo
+        )
+      ORDER BY array_position(ARRAY['bajo', 'moderado', 'alto', 'muy_alto']::VARCHAR[], b.clave) DESC
+      LIMIT 1
+    ),
+    'bajo'
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Etiqueta visible de una banda
+CREATE OR REPLACE FUNCTION public.etiqueta_nivel_riesgo(
+  p_clave TEXT,
+  p_metodo TEXT DEFAULT public.metodo_puntuacion_actual()
+)
+RETURNS TEXT AS $$
+  SELECT etiqueta || COALESCE(' (' || descripcion || ')', '')
+  FROM public.bandas_riesgo
+  WHERE metodo = p_metodo AND clave = p_clave;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,141 @@
+-- Resultado calculado de cada sesión de respuesta (un registro por sesion_id)
+-- Se escribe en la misma transacción que las respuestas por pregunta mediante
+-- registrar_sesion_cuestionario(); los dashboards leen los puntajes de aquí.
+
+CREATE TABLE IF NOT EXISTS public.resultados_sesion (
+  sesion_id UUID PRIMARY KEY,
+  usuario_id UUID NOT NULL REFERENCES public.usuarios(id) ON DELETE CASCADE,
+  cuestionario_id INTEGER NOT NULL REFERENCES public.instrumentos(id),
+  metodo_puntuacion VARCHAR(20) NOT NULL CHECK (metodo_puntuacion IN ('likert', 'ghq', 'cghq')),
+  version_reglas VARCHAR(20) NOT NULL,
+  puntaje_total NUMERIC(6,2) NOT NULL,
+  puntaje_maximo NUMERIC(6,2) NOT NULL,
+  porcentaje_riesgo NUMERIC(5,2) NOT NULL CHECK (porcentaje_riesgo BETWEEN 0 AND 100),
+  nivel_riesgo VARCHAR(20) NOT NULL CHECK (nivel_riesgo IN ('bajo', 'moderado', 'alto', 'muy_alto')),
+  es_caso BOOLEAN NOT NULL DEFAULT FALSE,
+  puntajes_dimension JSONB NOT NULL DEFAULT '{}'::jsonb,
+  tiempo_completado_segundos INTEGER,
+  fecha_completado TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resultados_sesion_usuario_fecha
+ON public.resultados_sesion (usuario_id, fecha_completado DESC);
+
+CREATE INDEX IF NOT EXISTS idx_resultados_sesion_nivel
+ON public.resultados_sesion (nivel_riesgo);
+
+-- Inserta las respuestas por pregunta y el resultado de la sesión de forma atómica:
+-- si cualquiera de las dos inserciones falla no queda nada guardado.
+CREATE OR REPLACE FUNCTION public.registrar_sesion_cuestionario(
+  p_respuestas JSONB,
+  p_resultado JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+  v_sesion_id UUID := (p_resultado->>'sesion_id')::UUID;
+BEGIN
+  IF jsonb_typeof(p_respuestas) <> 'array' OR jsonb_array_length(p_respuestas) = 0 THEN
+    RAISE EXCEPTION 'La sesión no contiene respuestas';
+  END IF;
+
+  INSERT INTO public.respuestas_cuestionario (
+    usuario_id, cuestionario_id, pregunta_id, respuesta,
+    puntaje_normalizado, porcentaje_riesgo, fecha_respuesta, sesion_id
+  )
+  SELECT
+    (r->>'usuario_id')::UUID,
+    (r->>'cuestionario_id')::INTEGER,
+    (r->>'pregunta_id')::INTEGER,
+    (r->>'respuesta')::INTEGER,
+    (r->>'puntaje_normalizado')::NUMERIC,
+    (r->>'porcentaje_riesgo')::NUMERIC,
+    COALESCE((r->>'fecha_respuesta')::TIMESTAMPTZ, NOW()),
+    v_sesion_id
+  FROM jsonb_array_elements(p_respuestas) AS r;
+
+  INSERT INTO public.resultados_sesion (
+    sesion_id, usuario_id, cuestionario_id, metodo_puntuacion, version_reglas,
+    puntaje_total, puntaje_maximo, porcentaje_riesgo, nivel_riesgo, es_caso,
+    puntajes_dimension, tiempo_completado_segundos, fecha_completado
+  )
+  VALUES (
+    v_sesion_id,
+    (p_resultado->>'usuario_id')::UUID,
+    (p_resultado->>'cuestionario_id')::INTEGER,
+    p_resultado->>'metodo_puntuacion',
+    p_resultado->>'version_reglas',
+    (p_resultado->>'puntaje_total')::NUMERIC,
+    (p_resultado->>'puntaje_maximo')::NUMERIC,
+    (p_resultado->>'porcentaje_riesgo')::NUMERIC,
+    p_resultado->>'nivel_riesgo',
+    COALESCE((p_resultado->>'es_caso')::BOOLEAN, FALSE),
+    COALESCE(p_resultado->'puntajes_dimension', '{}'::jsonb),
+    (p_resultado->>'tiempo_completado_segundos')::INTEGER,
+    COALESCE((p_resultado->>'fecha_completado')::TIMESTAMPTZ, NOW())
+  );
+
+  RETURN v_sesion_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.registrar_sesion_cuestionario(JSONB, JSONB) TO anon, authenticated;
+
+-- Resultados de las sesiones ya registradas: método likert (bienestar 0-36),
+-- ítems invertidos según la definición del instrumento con que se respondió
+INSERT INTO public.resultados_sesion (
+  sesion_id, usuario_id, cuestionario_id, metodo_puntuacion, version_reglas,
+  puntaje_total, puntaje_maximo, porcentaje_riesgo, nivel_riesgo, es_caso,
+  puntajes_dimension, fecha_completado
+)
+SELECT
+  s.sesion_id,
+  s.usuario_id,
+  s.cuestionario_id,
+  'likert',
+  '2.0.0',
+  s.puntaje_total,
+  36,
+  public.porcentaje_riesgo_desde_puntaje(s.puntaje_total, 'likert'),
+  public.clasificar_nivel_riesgo(s.puntaje_total, 'likert'),
+  public.clasificar_nivel_riesgo(s.puntaje_total, 'likert') IN ('alto', 'muy_alto'),
+  jsonb_build_object('salud_general', s.puntaje_total),
+  s.fecha_completado
+FROM (
+  SELECT
+    rc.sesion_id::UUID AS sesion_id,
+    MIN(rc.usuario_id::TEXT)::UUID AS usuario_id,
+    MIN(rc.cuestionario_id) AS cuestionario_id,
+    SUM(
+      CASE
+        WHEN i.definicion->'reverseKeyedItems' @> to_jsonb(rc.pregunta_id) THEN 3 - rc.respuesta::INTEGER
+        ELSE rc.respuesta::INTEGER
+      END
+    ) AS puntaje_total,
+    MAX(rc.fecha_respuesta) AS fecha_completado
+  FROM public.respuestas_cuestionario rc
+  JOIN public.instrumentos i ON i.id = rc.cuestionario_id
+  WHERE rc.sesion_id IS NOT NULL
+  GROUP BY rc.sesion_id
+  HAVING COUNT(DISTINCT rc.pregunta_id) = 12
+) s
+ON CONFLICT (sesion_id) DO NOTHING;
+
+-- Filas por pregunta: malestar del ítem (0-3) y porcentaje de riesgo de su sesión
+UPDATE public.respuestas_cuestionario rc
+SET
+  puntaje_normalizado = CASE
+    WHEN i.definicion->'reverseKeyedItems' @> to_jsonb(rc.pregunta_id) THEN rc.respuesta::INTEGER
+    ELSE 3 - rc.respuesta::INTEGER
+  END,
+  porcentaje_riesgo = rs.porcentaje_riesgo
+FROM public.resultados_sesion rs, public.instrumentos i
+WHERE rs.sesion_id = rc.sesion_id::UUID
+  AND i.id = rc.cuestionario_id;
+
+ALTER TABLE public.resultados_sesion ENABLE ROW LEVEL SECURITY;
+
+-- Solo el panel (usuarios autenticados) lee resultados; la escritura pasa por la función
+DROP POLICY IF EXISTS resultados_sesion_lectura ON public.resultados_sesion;
+CREATE POLICY resultados_sesion_lectura ON public.resultados_sesion
+FOR SELECT TO authenticated USING (TRUE);
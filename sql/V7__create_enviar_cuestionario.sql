@@ -0,0 +1,184 @@
+-- Envío del cuestionario en una sola transacción del servidor:
+-- valida el token, puntúa, guarda respuestas y resultado, y marca el token como usado.
+-- Es idempotente por sesion_id: reintentar el mismo envío devuelve el resultado ya guardado.
+
+-- Sesión con la que se consumió cada token (permite reconocer reintentos)
+ALTER TABLE public.tokens_acceso
+ADD COLUMN IF NOT EXISTS sesion_id UUID;
+
+-- Puntuación de un ítem; espejo de scoreItem() en src/utils/ghq12Calculator.js
+CREATE OR REPLACE FUNCTION public.puntuar_item_ghq12(
+  p_valor INTEGER,
+  p_invertido BOOLEAN,
+  p_metodo TEXT,
+  p_max INTEGER
+)
+RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN p_metodo = 'ghq' THEN
+      CASE WHEN malestar >= 2 THEN 1 ELSE 0 END
+    WHEN p_metodo = 'cghq' THEN
+      CASE WHEN malestar >= (CASE WHEN p_invertido THEN 1 ELSE 2 END) THEN 1 ELSE 0 END
+    ELSE p_max - malestar
+  END
+  FROM (SELECT CASE WHEN p_invertido THEN p_valor ELSE p_max - p_valor END AS malestar) m;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public.enviar_cuestionario(
+  p_sesion_id UUID,
+  p_usuario_id UUID,
+  p_cuestionario_id INTEGER,
+  p_respuestas JSONB,
+  p_tiempo_segundos INTEGER DEFAULT NULL,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  -- Debe coincidir con SCORING_RULES_VERSION de src/utils/ghq12Calculator.js
+  c_version_reglas CONSTANT TEXT := '2.0.0';
+  v_resultado public.resultados_sesion%ROWTYPE;
+  v_token public.tokens_acceso%ROWTYPE;
+  v_definicion JSONB;
+  v_metodo TEXT := public.metodo_puntuacion_actual();
+  v_min INTEGER;
+  v_max INTEGER;
+  v_item INTEGER;
+  v_valor INTEGER;
+  v_invertido BOOLEAN;
+  v_puntos JSONB := '{}'::jsonb;
+  v_total NUMERIC := 0;
+  v_maximo NUMERIC;
+  v_porcentaje NUMERIC;
+  v_nivel TEXT;
+  v_dimensiones JSONB;
+  v_ahora TIMESTAMPTZ := NOW();
+BEGIN
+  -- 1. Token: se bloquea la fila para que dos envíos simultáneos no lo usen a la vez
+  IF p_token IS NOT NULL THEN
+    SELECT * INTO v_token FROM public.tokens_acceso WHERE token = p_token FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Token no encontrado' USING HINT = 'token_invalido';
+    END IF;
+
+    -- Un token emitido para un trabajador solo sirve para sus respuestas
+    IF v_token.user_id IS NOT NULL AND v_token.user_id <> p_usuario_id THEN
+      RAISE EXCEPTION 'Token no válido para este usuario' USING HINT = 'token_invalido';
+    END IF;
+
+    IF v_token.usado THEN
+      IF v_token.sesion_id = p_sesion_id THEN
+        SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+        RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+      END IF;
+      RAISE EXCEPTION 'Token ya utilizado' USING HINT = 'token_usado';
+    END IF;
+
+    IF v_token.expiracion < v_ahora THEN
+      RAISE EXCEPTION 'Token expirado' USING HINT = 'token_expirado';
+    END IF;
+  END IF;
+
+  -- 2. Reintento de una sesión ya guardada
+  SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+  IF FOUND THEN
+    IF v_resultado.usuario_id <> p_usuario_id THEN
+      RAISE EXCEPTION 'La sesión % pertenece a otro usuario', p_sesion_id USING HINT = 'sesion_ajena';
+    END IF;
+    RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+  END IF;
+
+  -- 3. Validar respuestas contra la versión del instrumento
+  SELECT definicion INTO v_definicion FROM public.instrumentos WHERE id = p_cuestionario_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Instrumento % no registrado', p_cuestionario_id USING HINT = 'respuestas_invalidas';
+  END IF;
+
+  v_min := (v_definicion #>> '{scoring,minItemValue}')::INTEGER;
+  v_max := (v_definicion #>> '{scoring,maxItemValue}')::INTEGER;
+
+  -- 4. Puntuar con el método de la organización
+  FOR v_item IN SELECT (e->>'id')::INTEGER FROM jsonb_array_elements(v_definicion->'items') e LOOP
+    v_valor := (p_respuestas->>v_item::TEXT)::INTEGER;
+    IF v_valor IS NULL OR v_valor < v_min OR v_valor > v_max THEN
+      RAISE EXCEPTION 'Respuesta inválida para la pregunta %', v_item USING HINT = 'respuestas_invalidas';
+    END IF;
+
+    v_invertido := (v_definicion->'reverseKeyedItems') @> to_jsonb(v_item);
+    v_puntos := v_puntos || jsonb_build_object(
+      v_item::TEXT,
+      public.puntuar_item_ghq12(v_valor, v_invertido, v_metodo, v_max)
+    );
+    v_total := v_total + public.puntuar_item_ghq12(v_valor, v_invertido, v_metodo, v_max);
+  END LOOP;
+
+  v_maximo := CASE
+    WHEN v_metodo = 'likert' THEN (v_definicion #>> '{scoring,maxTotal}')::NUMERIC
+    ELSE jsonb_array_length(v_definicion->'items')
+  END;
+  v_porcentaje := ROUND(public.porcentaje_riesgo_desde_puntaje(v_total, v_metodo), 2);
+  v_nivel := public.clasificar_nivel_riesgo(v_total, v_metodo);
+
+  SELECT COALESCE(jsonb_object_agg(
+    d->>'key',
+    (SELECT SUM((v_puntos->>i)::NUMERIC) FROM jsonb_array_elements_text(d->'items') i)
+  ), '{}'::jsonb)
+  INTO v_dimensiones
+  FROM jsonb_array_elements(v_definicion->'dimensions') d;
+
+  -- 5. Resultado de la sesión; si un envío simultáneo ya lo insertó se devuelve ese
+  INSERT INTO public.resultados_sesion (
+    sesion_id, usuario_id, cuestionario_id, metodo_puntuacion, version_reglas,
+    puntaje_total, puntaje_maximo, porcentaje_riesgo, nivel_riesgo, es_caso,
+    puntajes_dimension, tiempo_completado_segundos, fecha_completado
+  )
+  VALUES (
+    p_sesion_id, p_usuario_id, p_cuestionario_id, v_metodo, c_version_reglas,
+    v_total, v_maximo, v_porcentaje, v_nivel, v_nivel IN ('alto', 'muy_alto'),
+    v_dimensiones, p_tiempo_segundos, v_ahora
+  )
+  ON CONFLICT (sesion_id) DO NOTHING
+  RETURNING * INTO v_resultado;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+    RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', TRUE);
+  END IF;
+
+  -- 6. Respuestas por pregunta: malestar del ítem (0-3) y porcentaje de riesgo de la sesión
+  INSERT INTO public.respuestas_cuestionario (
+    usuario_id, cuestionario_id, pregunta_id, respuesta,
+    puntaje_normalizado, porcentaje_riesgo, fecha_respuesta, sesion_id
+  )
+  SELECT
+    p_usuario_id,
+    p_cuestionario_id,
+    (e->>'id')::INTEGER,
+    (p_respuestas->>(e->>'id'))::INTEGER,
+    CASE
+      WHEN (v_definicion->'reverseKeyedItems') @> (e->'id') THEN (p_respuestas->>(e->>'id'))::INTEGER
+      ELSE v_max - (p_respuestas->>(e->>'id'))::INTEGER
+    END,
+    v_porcentaje,
+    v_ahora,
+    p_sesion_id
+  FROM jsonb_array_elements(v_definicion->'items') e;
+
+  -- 7. Consumir el token
+  IF p_token IS NOT NULL THEN
+    UPDATE public.tokens_acceso
+    SET usado = TRUE,
+        user_id = p_usuario_id,
+        fecha_uso = v_ahora,
+        sesion_id = p_sesion_id
+    WHERE id = v_token.id;
+  END IF;
+
+  RETURN to_jsonb(v_resultado) || jsonb_build_object('duplicado', FALSE);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.enviar_cuestionario(UUID, UUID, INTEGER, JSONB, INTEGER, TEXT) TO anon, authenticated;
+
+-- Reemplazada por enviar_cuestionario: permitía guardar resultados calculados en el navegador
+DROP FUNCTION IF EXISTS public.registrar_sesion_cuestionario(JSONB, JSONB);
@@ -0,0 +1,212 @@
+-- Control de calidad de respuestas: cada sesión se evalúa al registrarse
+-- (rapidez, respuesta invariable, ítems espejo contradictorios) y las sesiones
+-- con alertas quedan pendientes de revisión y pueden excluirse de los dashboards.
+
+ALTER TABLE public.resultados_sesion
+ADD COLUMN IF NOT EXISTS calidad_puntaje NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS calidad_alertas JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS estado_revision VARCHAR(20) NOT NULL DEFAULT 'sin_alertas'
+  CHECK (estado_revision IN ('sin_alertas', 'pendiente', 'aprobada', 'excluida')),
+ADD COLUMN IF NOT EXISTS revisado_por UUID,
+ADD COLUMN IF NOT EXISTS fecha_revision TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS nota_revision TEXT;
+
+-- Marca usada por los filtros del dashboard: alertas sin aprobar o exclusión confirmada
+ALTER TABLE public.resultados_sesion
+ADD COLUMN IF NOT EXISTS marcada_calidad BOOLEAN
+  GENERATED ALWAYS AS (estado_revision IN ('pendiente', 'excluida')) STORED;
+
+-- Copia de la marca en las filas por pregunta (no hay FK por sesion_id para filtrar con join)
+ALTER TABLE public.respuestas_cuestionario
+ADD COLUMN IF NOT EXISTS marcada_calidad BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_resultados_sesion_revision
+ON public.resultados_sesion (estado_revision)
+WHERE estado_revision <> 'sin_alertas';
+
+-- Evalúa una sesión; espejo de evaluateResponseQuality() en src/utils/responseQuality.js.
+-- Una decisión de revisión (aprobada / excluida) no se sobrescribe al reevaluar.
+CREATE OR REPLACE FUNCTION public.evaluar_calidad_sesion(p_sesion_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  -- Umbrales: QUALITY_THRESHOLDS
+  c_proporcion_rapidez CONSTANT NUMERIC := 0.5;
+  c_min_sesiones_referencia CONSTANT INTEGER := 10;
+  c_min_segundos_item CONSTANT NUMERIC := 2;
+  -- Pares espejo [positivo, negativo]: GHQ12_MIRRORED_ITEM_PAIRS
+  c_pares CONSTANT INTEGER[][] := ARRAY[[7, 9], [12, 9], [3, 11], [8, 6]];
+  v_resultado public.resultados_sesion%ROWTYPE;
+  v_definicion JSONB;
+  v_max INTEGER;
+  v_items INTEGER;
+  v_respuestas JSONB;
+  v_mediana NUMERIC;
+  v_referencia INTEGER;
+  v_minimo NUMERIC;
+  v_alertas JSONB := '[]'::jsonb;
+  v_contradicciones TEXT[] := ARRAY[]::TEXT[];
+  v_positivo INTEGER;
+  v_negativo INTEGER;
+  v_malestar_pos INTEGER;
+  v_malestar_neg INTEGER;
+  v_puntaje NUMERIC := 100;
+  i INTEGER;
+BEGIN
+  SELECT * INTO v_resultado FROM public.resultados_sesion WHERE sesion_id = p_sesion_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT definicion INTO v_definicion FROM public.instrumentos WHERE id = v_resultado.cuestionario_id;
+  v_max := (v_definicion #>> '{scoring,maxItemValue}')::INTEGER;
+  v_items := jsonb_array_length(v_definicion->'items');
+
+  SELECT jsonb_object_agg(rc.pregunta_id::TEXT, rc.respuesta::INTEGER)
+  INTO v_respuestas
+  FROM public.respuestas_cuestionario rc
+  WHERE rc.sesion_id::TEXT = p_sesion_id::TEXT;
+
+  IF v_respuestas IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- 1. Rapidez frente a la mediana de las demás sesiones del instrumento
+  IF v_resultado.tiempo_completado_segundos IS NOT NULL THEN
+    SELECT
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY tiempo_completado_segundos),
+      COUNT(*)
+    INTO v_mediana, v_referencia
+    FROM public.resultados_sesion
+    WHERE cuestionario_id = v_resultado.cuestionario_id
+      AND tiempo_completado_segundos IS NOT NULL
+      AND sesion_id <> p_sesion_id;
+
+    v_minimo := CASE
+      WHEN v_referencia >= c_min_sesiones_referencia THEN v_mediana * c_proporcion_rapidez
+      ELSE v_items * c_min_segundos_item
+    END;
+
+    IF v_resultado.tiempo_completado_segundos < v_minimo THEN
+      v_alertas := v_alertas || jsonb_build_object(
+        'code', 'rapidez',
+        'detail', CASE
+          WHEN v_referencia >= c_min_sesiones_referencia
+            THEN format('%s s frente a una mediana de %s s', v_resultado.tiempo_completado_segundos, ROUND(v_mediana))
+          ELSE format('%s s para %s ítems', v_resultado.tiempo_completado_segundos, v_items)
+        END
+      );
+      v_puntaje := v_puntaje - 40;
+    END IF;
+  END IF;
+
+  -- 2. Misma opción en todos los ítems
+  IF (SELECT COUNT(DISTINCT value) FROM jsonb_each_text(v_respuestas)) = 1 THEN
+    v_alertas := v_alertas || jsonb_build_object(
+      'code', 'respuesta_invariable',
+      'detail', format('"%s" en los %s ítems',
+        (SELECT e->>'label' FROM jsonb_array_elements(v_definicion->'scale') e
+         WHERE (e->>'value')::INTEGER = (SELECT MIN(value::INTEGER) FROM jsonb_each_text(v_respuestas))),
+        v_items)
+    );
+    v_puntaje := v_puntaje - 40;
+  END IF;
+
+  -- 3. Máximo bienestar y máximo malestar en un par espejo
+  FOR i IN 1..array_length(c_pares, 1) LOOP
+    v_positivo := c_pares[i][1];
+    v_negativo := c_pares[i][2];
+    v_malestar_pos := v_max - (v_respuestas->>v_positivo::TEXT)::INTEGER;
+    v_malestar_neg := (v_respuestas->>v_negativo::TEXT)::INTEGER;
+    IF ABS(v_malestar_pos - v_malestar_neg) >= v_max THEN
+      v_contradicciones := v_contradicciones || format('q%s vs q%s', v_positivo, v_negativo);
+    END IF;
+  END LOOP;
+
+  IF array_length(v_contradicciones, 1) > 0 THEN
+    v_alertas := v_alertas || jsonb_build_object(
+      'code', 'inconsistencia',
+      'detail', array_to_string(v_contradicciones, ', ')
+    );
+    v_puntaje := v_puntaje - 15 * array_length(v_contradicciones, 1);
+  END IF;
+
+  UPDATE public.resultados_sesion
+  SET calidad_puntaje = GREATEST(v_puntaje, 0),
+      calidad_alertas = v_alertas,
+      estado_revision = CASE
+        WHEN estado_revision IN ('aprobada', 'excluida') THEN estado_revision
+        WHEN jsonb_array_length(v_alertas) > 0 THEN 'pendiente'
+        ELSE 'sin_alertas'
+      END
+  WHERE sesion_id = p_sesion_id
+  RETURNING * INTO v_resultado;
+
+  UPDATE public.respuestas_cuestionario
+  SET marcada_calidad = v_resultado.marcada_calidad
+  WHERE sesion_id::TEXT = p_sesion_id::TEXT;
+
+  RETURN jsonb_build_object(
+    'score', v_resultado.calidad_puntaje,
+    'flags', v_resultado.calidad_alertas,
+    'estado_revision', v_resultado.estado_revision
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Evaluar al insertar las respuestas de una sesión (enviar_cuestionario las inserta en una sola sentencia)
+CREATE OR REPLACE FUNCTION public.trg_evaluar_calidad_respuestas()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM public.evaluar_calidad_sesion(s.sesion_id::UUID)
+  FROM (SELECT DISTINCT sesion_id FROM nuevas WHERE sesion_id IS NOT NULL) s;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_respuestas_calidad ON public.respuestas_cuestionario;
+CREATE TRIGGER trg_respuestas_calidad
+AFTER INSERT ON public.respuestas_cuestionario
+REFERENCING NEW TABLE AS nuevas
+FOR EACH STATEMENT EXECUTE FUNCTION public.trg_evaluar_calidad_respuestas();
+
+-- Decisión de revisión desde la cola de calidad del panel
+CREATE OR REPLACE FUNCTION public.revisar_calidad_sesion(
+  p_sesion_id UUID,
+  p_estado TEXT,
+  p_nota TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_resultado public.resultados_sesion%ROWTYPE;
+BEGIN
+  IF p_estado NOT IN ('pendiente', 'aprobada', 'excluida') THEN
+    RAISE EXCEPTION 'Estado de revisión inválido: %', p_estado USING HINT = 'estado_invalido';
+  END IF;
+
+  UPDATE public.resultados_sesion
+  SET estado_revision = p_estado,
+      revisado_por = auth.uid(),
+      fecha_revision = NOW(),
+      nota_revision = p_nota
+  WHERE sesion_id = p_sesion_id
+  RETURNING * INTO v_resultado;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Sesión % no encontrada', p_sesion_id USING HINT = 'sesion_no_encontrada';
+  END IF;
+
+  UPDATE public.respuestas_cuestionario
+  SET marcada_calidad = v_resultado.marcada_calidad
+  WHERE sesion_id::TEXT = p_sesion_id::TEXT;
+
+  RETURN to_jsonb(v_resultado);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.evaluar_calidad_sesion(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.evaluar_calidad_sesion(UUID) TO authenticated;
+REVOKE ALL ON FUNCTION public.revisar_calidad_sesion(UUID, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.revisar_calidad_sesion(UUID, TEXT, TEXT) TO authenticated;
+
+-- Evaluar las sesiones ya registradas
+SELECT public.evaluar_calidad_sesion(sesion_id) FROM public.resultados_sesion;
@@ -0,0 +1,73 @@
+-- Umbral de anonimato (k-anonimato) de las vistas agregadas.
+-- Los heatmaps y vistas por departamento combinan en 'Otros grupos' los grupos
+-- con menos de k participantes (sql/ghq12-heatmap-queries.sql,
+-- sql/heatmap_functions.sql, sql/ghq12-optimized-views.sql).
+
+INSERT INTO public.configuracion_sistema (clave, valor, descripcion)
+VALUES (
+  'umbral_anonimato',
+  '5'::jsonb,
+  'Mínimo de participantes para mostrar las cifras de un grupo en heatmaps, gráficos y exportaciones'
+)
+ON CONFLICT (clave) DO NOTHING;
+
+ALTER TABLE public.configuracion_sistema
+DROP CONSTRAINT IF EXISTS configuracion_sistema_umbral_valido;
+
+-- Límites: MIN_GROUP_SIZE_LIMITS en src/config/anonymity.js
+ALTER TABLE public.configuracion_sistema
+ADD CONSTRAINT configuracion_sistema_umbral_valido
+CHECK (
+  CASE
+    WHEN clave <> 'umbral_anonimato' THEN TRUE
+    WHEN jsonb_typeof(valor) <> 'number' OR valor #>> '{}' !~ '^[0-9]+$' THEN FALSE
+    ELSE (valor #>> '{}')::INTEGER BETWEEN 2 AND 50
+  END
+);
+
+-- Umbral vigente (5 si no se ha configurado)
+CREATE OR REPLACE FUNCTION public.umbral_anonimato()
+RETURNS INTEGER AS $$
+  SELECT COALESCE(
+    (SELECT (valor #>> '{}')::INTEGER FROM public.configuracion_sistema WHERE clave = 'umbral_anonimato'),
+    5
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Grupos a ocultar dado { grupo: participantes }; espejo de selectSuppressedGroups()
+-- en src/config/anonymity.js. Se ocultan los grupos con 0 < n < umbral y, por
+-- supresión complementaria, los visibles más pequeños hasta que el conjunto
+-- oculto tenga al menos dos grupos y sume el umbral.
+CREATE OR REPLACE FUNCTION public.grupos_a_suprimir(
+  p_tamanos JSONB,
+  p_umbral INTEGER DEFAULT public.umbral_anonimato()
+)
+RETURNS TEXT[] AS $$
+DECLARE
+  v_ocultos TEXT[];
+  v_suma BIGINT;
+  r RECORD;
+BEGIN
+  SELECT COALESCE(array_agg(t.key), ARRAY[]::TEXT[]), COALESCE(SUM(t.value::BIGINT), 0)
+  INTO v_ocultos, v_suma
+  FROM jsonb_each_text(COALESCE(p_tamanos, '{}'::jsonb)) t
+  WHERE t.value::BIGINT > 0 AND t.value::BIGINT < p_umbral;
+
+  IF cardinality(v_ocultos) = 0 THEN
+    RETURN v_ocultos;
+  END IF;
+
+  FOR r IN
+    SELECT t.key, t.value::BIGINT AS n
+    FROM jsonb_each_text(p_tamanos) t
+    WHERE t.value::BIGINT >= p_umbral
+    ORDER BY t.value::BIGINT, t.key COLLATE "C"
+  LOOP
+    EXIT WHEN cardinality(v_ocultos) >= 2 AND v_suma >= p_umbral;
+    v_ocultos := v_ocultos || r.key;
+    v_suma := v_suma + r.n;
+  END LOOP;
+
+  RETURN v_ocultos;
+END;
+$$ LANGUAGE plpgsql STABLE;
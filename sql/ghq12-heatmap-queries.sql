@@ -205,8 +205,37 @@ RETURNS TABLE (
   intensidad_riesgo NUMERIC,
   total_participantes BIGINT
 ) AS $$
+DECLARE
+  v_umbral INTEGER := public.umbral_anonimato();
 BEGIN
   RETURN QUERY
+  WITH filtered_data AS (
+    SELECT v.*
+    FROM v_ghq12_response_distribution v
+    WHERE 
+      (p_departamento IS NULL OR v.departamento = p_departamento) AND
+      (p_turno IS NULL OR v.turno = p_turno) AND
+      (p_genero IS NULL OR v.genero = p_genero)
+  ),
+  
+  -- Celdas turno/género de cada departamento con su número de participantes
+  cell_sizes AS (
+    SELECT fd.departamento, fd.turno || ' / ' || fd.genero as celda, MAX(fd.participantes_grupo) as participantes
+    FROM filtered_data fd
+    GROUP BY fd.departamento, fd.turno, fd.genero
+  ),
+  
+  -- Umbral de anonimato con supresión complementaria dentro de cada departamento,
+  -- para que las celdas ocultas no se deduzcan del total del departamento
+  hidden_cells AS (
+    SELECT d.departamento, unnest(public.grupos_a_suprimir(d.tamanos, v_umbral)) as celda
+    FROM (
+      SELECT cs.departamento, jsonb_object_agg(cs.celda, cs.participantes) as tamanos
+      FROM cell_sizes cs
+      GROUP BY cs.departamento
+    ) d
+  )
+  
   SELECT 
     v.pregunta_id,
     v.pregunta_texto,
@@ -220,11 +249,11 @@ BEGIN
     v.es_respuesta_riesgo,
     v.intensidad_riesgo,
     v.participantes_grupo as total_participantes
-  FROM v_ghq12_response_distribution v
-  WHERE 
-    (p_departamento IS NULL OR v.departamento = p_departamento) AND
-    (p_turno IS NULL OR v.turno = p_turno) AND
-    (p_genero IS NULL OR v.genero = p_genero)
+  FROM filtered_data v
+  WHERE NOT EXISTS (
+    SELECT 1 FROM hidden_cells hc
+    WHERE hc.departamento = v.departamento AND hc.celda = v.turno || ' / ' || v.genero
+  )
   ORDER BY v.pregunta_id, v.departamento, v.valor_respuesta;
 END;
 $$ LANGUAGE plpgsql;
@@ -257,6 +286,8 @@ RETURNS TABLE (
   porcentaje_riesgo NUMERIC,
   promedio_respuesta NUMERIC
 ) AS $$
+DECLARE
+  v_umbral INTEGER := public.umbral_anonimato();
 BEGIN
   RETURN QUERY
   WITH filtered_data AS (
@@ -270,67 +301,99 @@ BEGIN
   
   grouped_data AS (
     SELECT 
-      pregunta_id,
-      pregunta_texto,
-      dimension,
-      tipo_pregunta,
+      fd.pregunta_id,
+      fd.pregunta_texto,
+      fd.dimension,
+      fd.tipo_pregunta,
       CASE 
-        WHEN p_group_by = 'departamento' THEN departamento
-        WHEN p_group_by = 'turno' THEN turno
-        WHEN p_group_by = 'genero' THEN genero
-        ELSE departamento
+        WHEN p_group_by = 'departamento' THEN fd.departamento
+        WHEN p_group_by = 'turno' THEN fd.turno
+        WHEN p_group_by = 'genero' THEN fd.genero
+        ELSE fd.departamento
       END as grupo,
-      valor_respuesta,
-      SUM(total_respuestas) as count_respuestas,
-      AVG(porcentaje) as avg_porcentaje,
-      AVG(intensidad_riesgo) as avg_intensidad_riesgo
-    FROM filtered_data
-    GROUP BY pregunta_id, pregunta_texto, dimension, tipo_pregunta, grupo, valor_respuesta
+      fd.valor_respuesta,
+      SUM(fd.total_respuestas) as count_respuestas
+    FROM filtered_data fd
+    GROUP BY 1, 2, 3, 4, 5, 6
+  ),
+  
+  -- Participantes por grupo: cada persona responde una vez a cada pregunta
+  group_sizes AS (
+    SELECT s.grupo, MAX(s.n) as participantes
+    FROM (
+      SELECT gd.grupo, gd.pregunta_id, SUM(gd.count_respuestas) as n
+      FROM grouped_data gd
+      GROUP BY gd.grupo, gd.pregunta_id
+    ) s
+    GROUP BY s.grupo
+  ),
+  
+  -- Umbral de anonimato: los grupos pequeños (y los complementarios) se
+  -- combinan en 'Otros grupos', que solo se muestra si alcanza el umbral
+  hidden_groups AS (
+    SELECT unnest(public.grupos_a_suprimir(jsonb_object_agg(gs.grupo, gs.participantes), v_umbral)) as grupo
+    FROM group_sizes gs
+  ),
+  
+  anonymized_data AS (
+    SELECT 
+      gd.pregunta_id,
+      gd.pregunta_texto,
+      gd.dimension,
+      gd.tipo_pregunta,
+      CASE WHEN gd.grupo IN (SELECT hg.grupo FROM hidden_groups hg) THEN 'Otros grupos' ELSE gd.grupo END as grupo,
+      gd.valor_respuesta,
+      SUM(gd.count_respuestas) as count_respuestas
+    FROM grouped_data gd
+    GROUP BY 1, 2, 3, 4, 5, 6
   )
   
   SELECT 
-    gd.pregunta_id,
-    gd.pregunta_texto,
-    gd.dimension,
-    gd.tipo_pregunta,
-    gd.grupo,
+    ad.pregunta_id,
+    ad.pregunta_texto,
+    ad.dimension,
+    ad.tipo_pregunta,
+    ad.grupo,
     
-    -- Conteos por opción
-    COALESCE(SUM(CASE WHEN gd.valor_respuesta = 0 THEN gd.count_respuestas END), 0) as opcion_0_count,
-    COALESCE(ROUND(AVG(CASE WHEN gd.valor_respuesta = 0 THEN gd.avg_porcentaje END), 2), 0) as opcion_0_pct,
+    -- Conteos y porcentajes por opción (sobre el total del grupo, válido también para 'Otros grupos')
+    COALESCE(SUM(CASE WHEN ad.valor_respuesta = 0 THEN ad.count_respuestas END), 0)::BIGINT as opcion_0_count,
+    ROUND(COALESCE(SUM(CASE WHEN ad.valor_respuesta = 0 THEN ad.count_respuestas END), 0) * 100.0 / NULLIF(SUM(ad.count_respuestas), 0), 2) as opcion_0_pct,
     
-    COALESCE(SUM(CASE WHEN gd.valor_respuesta = 1 THEN gd.count_respuestas END), 0) as opcion_1_count,
-    COALESCE(ROUND(AVG(CASE WHEN gd.valor_respuesta = 1 THEN gd.avg_porcentaje END), 2), 0) as opcion_1_pct,
+    COALESCE(SUM(CASE WHEN ad.valor_respuesta = 1 THEN ad.count_respuestas END), 0)::BIGINT as opcion_1_count,
+    ROUND(COALESCE(SUM(CASE WHEN ad.valor_respuesta = 1 THEN ad.count_respuestas END), 0) * 100.0 / NULLIF(SUM(ad.count_respuestas), 0), 2) as opcion_1_pct,
     
-    COALESCE(SUM(CASE WHEN gd.valor_respuesta = 2 THEN gd.count_respuestas END), 0) as opcion_2_count,
-    COALESCE(ROUND(AVG(CASE WHEN gd.valor_respuesta = 2 THEN gd.avg_porcentaje END), 2), 0) as opcion_2_pct,
+    COALESCE(SUM(CASE WHEN ad.valor_respuesta = 2 THEN ad.count_respuestas END), 0)::BIGINT as opcion_2_count,
+    ROUND(COALESCE(SUM(CASE WHEN ad.valor_respuesta = 2 THEN ad.count_respuestas END), 0) * 100.0 / NULLIF(SUM(ad.count_respuestas), 0), 2) as opcion_2_pct,
     
-    COALESCE(SUM(CASE WHEN gd.valor_respuesta = 3 THEN gd.count_respuestas END), 0) as opcion_3_count,
-    COALESCE(ROUND(AVG(CASE WHEN gd.valor_respuesta = 3 THEN gd.avg_porcentaje END), 2), 0) as opcion_3_pct,
+    COALESCE(SUM(CASE WHEN ad.valor_respuesta = 3 THEN ad.count_respuestas END), 0)::BIGINT as opcion_3_count,
+    ROUND(COALESCE(SUM(CASE WHEN ad.valor_respuesta = 3 THEN ad.count_respuestas END), 0) * 100.0 / NULLIF(SUM(ad.count_respuestas), 0), 2) as opcion_3_pct,
     
     -- Totales
-    SUM(gd.count_respuestas) as total_respuestas,
+    SUM(ad.count_respuestas)::BIGINT as total_respuestas,
     
     -- Porcentaje de riesgo (respuestas de riesgo / total)
     ROUND(
       (SUM(CASE 
-        WHEN (gd.tipo_pregunta = 'negative' AND gd.valor_respuesta >= 2) OR 
-             (gd.tipo_pregunta = 'positive' AND gd.valor_respuesta <= 1) 
-        THEN gd.count_respuestas 
+        WHEN (ad.tipo_pregunta = 'negative' AND ad.valor_respuesta >= 2) OR 
+             (ad.tipo_pregunta = 'positive' AND ad.valor_respuesta <= 1) 
+        THEN ad.count_respuestas 
         ELSE 0 
-      END)::numeric * 100.0 / NULLIF(SUM(gd.count_respuestas), 0)
+      END)::numeric * 100.0 / NULLIF(SUM(ad.count_respuestas), 0)
       ), 2
     ) as porcentaje_riesgo,
     
     -- Promedio de respuesta
     ROUND(
-      (SUM(gd.valor_respuesta * gd.count_respuestas)::numeric / NULLIF(SUM(gd.count_respuestas), 0)
+      (SUM(ad.valor_respuesta * ad.count_respuestas)::numeric / NULLIF(SUM(ad.count_respuestas), 0)
       ), 2
     ) as promedio_respuesta
     
-  FROM grouped_data gd
-  GROUP BY gd.pregunta_id, gd.pregunta_texto, gd.dimension, gd.tipo_pregunta, gd.grupo
-  ORDER BY gd.pregunta_id, gd.grupo;
+  FROM anonymized_data ad
+  WHERE ad.grupo <> 'Otros grupos'
+     OR (SELECT COALESCE(SUM(gs.participantes), 0) FROM group_sizes gs
+         WHERE gs.grupo IN (SELECT hg.grupo FROM hidden_groups hg)) >= v_umbral
+  GROUP BY ad.pregunta_id, ad.pregunta_texto, ad.dimension, ad.tipo_pregunta, ad.grupo
+  ORDER BY ad.pregunta_id, ad.grupo;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -421,11 +484,13 @@ Incluye análisis de riesgo diferenciado por tipo de pregunta (positiva/negativa
 
 COMMENT ON FUNCTION get_ghq12_heatmap_by_department IS 
 'Función que retorna datos de heatmap filtrados por departamento, turno y/o género.
-Útil para análisis segmentado de bienestar laboral.';
+Útil para análisis segmentado de bienestar laboral. Omite las celdas turno/género
+por debajo del umbral de anonimato (public.umbral_anonimato()).';
 
 COMMENT ON FUNCTION get_ghq12_heatmap_matrix IS 
 'Función que genera matriz 12x4 para visualización de mapa de calor.
-Agrupa respuestas por pregunta y grupo seleccionado (departamento/turno/género).';
+Agrupa respuestas por pregunta y grupo seleccionado (departamento/turno/género).
+Los grupos por debajo del umbral de anonimato se combinan en ''Otros grupos''.';
 
 COMMENT ON FUNCTION get_ghq12_heatmap_summary IS 
 'Función que proporciona resumen estadístico del análisis de heatmap.
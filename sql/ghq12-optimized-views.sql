@@ -39,6 +39,16 @@ WITH ghq12_scores_corrected AS (
       (3 - COALESCE((r.respuestas->>'q10')::int, 0)) +  -- P10: Confianza
       (3 - COALESCE((r.respuestas->>'q11')::int, 0))    -- P11: No valgo
     ) AS puntaje_total_bienestar,
+
+    -- Puntaje en las unidades del método de la organización (likert, ghq o cghq);
+    -- invertidas = preguntas negativas. Cambiar el método exige refrescar la vista.
+    m.metodo AS metodo_puntuacion,
+    (
+      SELECT SUM(public.puntuar_item_ghq12(
+        COALESCE((r.respuestas->>('q' || i))::int, 0), i IN (2, 5, 6, 9, 10, 11), m.metodo, 3
+      ))
+      FROM generate_series(1, 12) i
+    ) AS puntaje_metodo,
     
     -- Dimensiones para análisis (manteniendo compatibilidad)
     (
@@ -60,46 +70,43 @@ WITH ghq12_scores_corrected AS (
     ) AS dimension_disfuncion_social
     
   FROM respuestas_cuestionario r
+  CROSS JOIN (SELECT public.metodo_puntuacion_actual() AS metodo) m
   WHERE r.respuestas IS NOT NULL
     AND r.respuestas ? 'q1' AND r.respuestas ? 'q2' AND r.respuestas ? 'q3'
     AND r.respuestas ? 'q4' AND r.respuestas ? 'q5' AND r.respuestas ? 'q6'
     AND r.respuestas ? 'q7' AND r.respuestas ? 'q8' AND r.respuestas ? 'q9'
     AND r.respuestas ? 'q10' AND r.respuestas ? 'q11' AND r.respuestas ? 'q12'
 ),
+ghq12_banded AS (
+  SELECT 
+    *,
+    -- Banda del registro único de bandas de riesgo (sql/V5__create_bandas_riesgo.sql)
+    clasificar_nivel_riesgo(puntaje_metodo, metodo_puntuacion) AS clave_riesgo
+  FROM ghq12_scores_corrected
+),
 ghq12_classified AS (
   SELECT 
     *,
-    -- CLASIFICACIÓN CORRECTA SEGÚN ESPECIFICACIÓN
-    CASE 
-      WHEN puntaje_total_bienestar >= 28 THEN 'Bajo (Aceptable)'
-      WHEN puntaje_total_bienestar >= 18 THEN 'Moderado (Alerta)'
-      WHEN puntaje_total_bienestar >= 9 THEN 'Alto (Alterado)'
-      ELSE 'Muy Alto (Restringido)'
-    END AS nivel_riesgo_general,
+    etiqueta_nivel_riesgo(clave_riesgo, metodo_puntuacion) AS nivel_riesgo_general,
     
     -- Indicadores binarios para KPIs
     CASE 
-      WHEN puntaje_total_bienestar <= 17 THEN 1 
+      WHEN clave_riesgo IN ('alto', 'muy_alto') THEN 1 
       ELSE 0 
     END AS es_alto_riesgo,
     
     CASE 
-      WHEN puntaje_total_bienestar >= 28 THEN 1 
+      WHEN clave_riesgo = 'bajo' THEN 1 
       ELSE 0 
     END AS es_saludable,
     
-    -- Prioridad para ordenamiento
-    CASE 
-      WHEN puntaje_total_bienestar >= 28 THEN 1  -- Bajo
-      WHEN puntaje_total_bienestar >= 18 THEN 2  -- Moderado
-      WHEN puntaje_total_bienestar >= 9 THEN 3   -- Alto
-      ELSE 4                                      -- Muy Alto
-    END AS prioridad_riesgo,
+    -- Prioridad para ordenamiento (1 = Bajo ... 4 = Muy Alto)
+    array_position(ARRAY['bajo', 'moderado', 'alto', 'muy_alto']::TEXT[], clave_riesgo) AS prioridad_riesgo,
     
     -- Porcentaje de bienestar (0-100%)
     ROUND((puntaje_total_bienestar::numeric / 36.0) * 100, 2) AS porcentaje_bienestar
     
-  FROM ghq12_scores_corrected
+  FROM ghq12_banded
 )
 SELECT * FROM ghq12_classified;
 
@@ -111,7 +118,7 @@ CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_mv_ghq12_turno
 ON mv_ghq12_metrics_corrected (turno);
 
 CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_mv_ghq12_nivel_riesgo 
-ON mv_ghq12_metrics_corrected (nivel_riesgo_general);
+ON mv_ghq12_metrics_corrected (clave_riesgo);
 
 CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_mv_ghq12_created_at 
 ON mv_ghq12_metrics_corrected (created_at);
@@ -143,16 +150,16 @@ SELECT
   SUM(es_alto_riesgo) as total_alto_riesgo,
   
   -- Distribución por niveles
-  SUM(CASE WHEN nivel_riesgo_general = 'Bajo (Aceptable)' THEN 1 ELSE 0 END) as count_bajo,
-  SUM(CASE WHEN nivel_riesgo_general = 'Moderado (Alerta)' THEN 1 ELSE 0 END) as count_moderado,
-  SUM(CASE WHEN nivel_riesgo_general = 'Alto (Alterado)' THEN 1 ELSE 0 END) as count_alto,
-  SUM(CASE WHEN nivel_riesgo_general = 'Muy Alto (Restringido)' THEN 1 ELSE 0 END) as count_muy_alto,
+  SUM(CASE WHEN clave_riesgo = 'bajo' THEN 1 ELSE 0 END) as count_bajo,
+  SUM(CASE WHEN clave_riesgo = 'moderado' THEN 1 ELSE 0 END) as count_moderado,
+  SUM(CASE WHEN clave_riesgo = 'alto' THEN 1 ELSE 0 END) as count_alto,
+  SUM(CASE WHEN clave_riesgo = 'muy_alto' THEN 1 ELSE 0 END) as count_muy_alto,
   
   -- Porcentajes por nivel
-  ROUND((SUM(CASE WHEN nivel_riesgo_general = 'Bajo (Aceptable)' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_bajo,
-  ROUND((SUM(CASE WHEN nivel_riesgo_general = 'Moderado (Alerta)' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_moderado,
-  ROUND((SUM(CASE WHEN nivel_riesgo_general = 'Alto (Alterado)' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_alto,
-  ROUND((SUM(CASE WHEN nivel_riesgo_general = 'Muy Alto (Restringido)' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_muy_alto,
+  ROUND((SUM(CASE WHEN clave_riesgo = 'bajo' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_bajo,
+  ROUND((SUM(CASE WHEN clave_riesgo = 'moderado' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_moderado,
+  ROUND((SUM(CASE WHEN clave_riesgo = 'alto' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_alto,
+  ROUND((SUM(CASE WHEN clave_riesgo = 'muy_alto' THEN 1 ELSE 0 END)::numeric / COUNT(*)) * 100, 2) as pct_muy_alto,
   
   -- Dimensiones promedio
   ROUND(AVG(dimension_ansiedad_depresion), 2) as promedio_ansiedad_depresion,
@@ -171,6 +178,33 @@ FROM mv_ghq12_metrics_corrected;
 DROP VIEW IF EXISTS v_dashboard_ghq12_by_department CASCADE;
 
 CREATE VIEW v_dashboard_ghq12_by_department AS
+WITH tamanos AS (
+  SELECT departamento, COUNT(*) as participantes
+  FROM mv_ghq12_metrics_corrected
+  GROUP BY departamento
+),
+
+-- Umbral de anonimato (sql/V9__create_umbral_anonimato.sql): los departamentos
+-- pequeños y los complementarios se combinan en 'Otros grupos'
+ocultos AS (
+  SELECT unnest(public.grupos_a_suprimir(
+    jsonb_object_agg(COALESCE(departamento, 'Sin especificar'), participantes)
+  )) as departamento
+  FROM tamanos
+),
+
+anonimizado AS (
+  SELECT
+    CASE
+      WHEN COALESCE(m.departamento, 'Sin especificar') IN (SELECT departamento FROM ocultos) THEN 'Otros grupos'
+      ELSE m.departamento
+    END as departamento,
+    m.puntaje_total_bienestar,
+    m.es_alto_riesgo,
+    m.clave_riesgo
+  FROM mv_ghq12_metrics_corrected m
+)
+
 SELECT 
   departamento,
   COUNT(*) as total_participantes,
@@ -185,17 +219,17 @@ SELECT
   SUM(es_alto_riesgo) as total_alto_riesgo,
   
   -- Distribución
-  SUM(CASE WHEN nivel_riesgo_general = 'Bajo (Aceptable)' THEN 1 ELSE 0 END) as count_bajo,
-  SUM(CASE WHEN nivel_riesgo_general = 'Moderado (Alerta)' THEN 1 ELSE 0 END) as count_moderado,
-  SUM(CASE WHEN nivel_riesgo_general = 'Alto (Alterado)' THEN 1 ELSE 0 END) as count_alto,
-  SUM(CASE WHEN nivel_riesgo_general = 'Muy Alto (Restringido)' THEN 1 ELSE 0 END) as count_muy_alto,
+  SUM(CASE WHEN clave_riesgo = 'bajo' THEN 1 ELSE 0 END) as count_bajo,
+  SUM(CASE WHEN clave_riesgo = 'moderado' THEN 1 ELSE 0 END) as count_moderado,
+  SUM(CASE WHEN clave_riesgo = 'alto' THEN 1 ELSE 0 END) as count_alto,
+  SUM(CASE WHEN clave_riesgo = 'muy_alto' THEN 1 ELSE 0 END) as count_muy_alto,
   
   -- Ranking de riesgo
   RANK() OVER (ORDER BY (SUM(es_alto_riesgo)::numeric / COUNT(*)) DESC) as ranking_riesgo
   
-FROM mv_ghq12_metrics_corrected
+FROM anonimizado
 GROUP BY departamento
-HAVING COUNT(*) >= 3  -- Mínimo 3 participantes para estadística válida
+HAVING COUNT(*) >= public.umbral_anonimato()  -- 'Otros grupos' solo si alcanza el umbral
 ORDER BY kpi_porcentaje_alto_riesgo DESC;
 
 -- =====================================================
@@ -1,15 +1,11 @@
+-- Devuelve la clave de la banda de riesgo (bajo, moderado, alto, muy_alto) para un
+-- puntaje normalizado 0-1, usando el registro de bandas (sql/V5__create_bandas_riesgo.sql)
 CREATE OR REPLACE FUNCTION get_risk_level_name(score NUMERIC)
 RETURNS TEXT AS $$
 BEGIN
-    RETURN CASE
-        WHEN score >= 0.8 THEN 'Muy Alto'
-        WHEN score >= 0.6 THEN 'Alto'
-        WHEN score >= 0.4 THEN 'Moderado'
-        WHEN score >= 0.2 THEN 'Bajo'
-        ELSE 'Muy Bajo'
-    END;
+    RETURN clasificar_porcentaje_riesgo(score * 100);
 END;
-$$ LANGUAGE plpgsql IMMUTABLE;
+$$ LANGUAGE plpgsql STABLE;
 
 CREATE OR REPLACE FUNCTION get_risk_heatmap_data(
     p_start_date TIMESTAMPTZ DEFAULT NULL,
@@ -73,8 +69,41 @@ BEGIN
         GROUP BY
             drc.departamento_id
     ),
+    -- Umbral de anonimato: los departamentos con pocos usuarios (y los necesarios
+    -- por supresión complementaria) se combinan en 'Otros grupos'
+    hidden_departments AS (
+        SELECT
+            unnest(public.grupos_a_suprimir(jsonb_object_agg(dtu.departamento_id::TEXT, dtu.total_users)))::UUID AS departamento_id
+        FROM
+            department_total_users dtu
+    ),
+    anonymized_risk_counts AS (
+        SELECT
+            CASE WHEN hd.departamento_id IS NULL THEN drc.departamento_id END AS departamento_id,
+            CASE WHEN hd.departamento_id IS NULL THEN drc.department_name ELSE 'Otros grupos' END AS department_name,
+            drc.risk_level,
+            SUM(drc.user_count) AS user_count
+        FROM
+            department_risk_counts drc
+        LEFT JOIN
+            hidden_departments hd ON hd.departamento_id = drc.departamento_id
+        GROUP BY
+            1, 2, 3
+    ),
+    anonymized_total_users AS (
+        SELECT
+            arc.departamento_id,
+            SUM(arc.user_count) AS total_users
+        FROM
+            anonymized_risk_counts arc
+        GROUP BY
+            arc.departamento_id
+        -- 'Otros grupos' solo se muestra si alcanza el umbral
+        HAVING
+            arc.departamento_id IS NOT NULL OR SUM(arc.user_count) >= public.umbral_anonimato()
+    ),
     risk_levels AS (
-        SELECT unnest(ARRAY['Muy Bajo', 'Bajo', 'Moderado', 'Alto', 'Muy Alto']) AS risk_level
+        SELECT unnest(ARRAY['bajo', 'moderado', 'alto', 'muy_alto']) AS risk_level
     ),
     all_department_risks AS (
         SELECT
@@ -83,25 +112,33 @@ BEGIN
             rl.risk_level
         FROM departamentos d
         CROSS JOIN risk_levels rl
+        WHERE d.id NOT IN (SELECT hd.departamento_id FROM hidden_departments hd)
+        UNION ALL
+        SELECT
+            NULL::UUID,
+            'Otros grupos',
+            rl.risk_level
+        FROM risk_levels rl
+        WHERE EXISTS (SELECT 1 FROM anonymized_total_users atu WHERE atu.departamento_id IS NULL)
     )
     SELECT
         adr.departamento_id,
         adr.department_name,
-        COALESCE(dtu.total_users, 0)::INT AS total_users,
+        COALESCE(atu.total_users, 0)::INT AS total_users,
         jsonb_object_agg(
             adr.risk_level,
-            COALESCE((drc.user_count::NUMERIC / dtu.total_users * 100.0), 0)
+            COALESCE((arc.user_count::NUMERIC / atu.total_users * 100.0), 0)
         ) AS risk_distribution
     FROM
         all_department_risks adr
     LEFT JOIN
-        department_risk_counts drc ON adr.departamento_id = drc.departamento_id AND adr.risk_level = drc.risk_level
+        anonymized_risk_counts arc ON arc.departamento_id IS NOT DISTINCT FROM adr.departamento_id AND arc.risk_level = adr.risk_level
     LEFT JOIN
-        department_total_users dtu ON adr.departamento_id = dtu.departamento_id
+        anonymized_total_users atu ON atu.departamento_id IS NOT DISTINCT FROM adr.departamento_id
     GROUP BY
-        adr.departamento_id, adr.department_name, dtu.total_users
+        adr.departamento_id, adr.department_name, atu.total_users
     ORDER BY
-        adr.department_name;
+        adr.departamento_id IS NULL, adr.department_name;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -134,13 +171,13 @@ BEGIN
     FROM
         heatmap_data hd
     WHERE
-        (hd.key = 'Muy Alto' AND hd.value::NUMERIC > 0) OR
-        (hd.key = 'Alto' AND hd.value::NUMERIC > 0)
+        (hd.key = 'muy_alto' AND hd.value::NUMERIC > 0) OR
+        (hd.key = 'alto' AND hd.value::NUMERIC > 0)
     ORDER BY
         hd.value::NUMERIC DESC,
         CASE hd.key
-            WHEN 'Muy Alto' THEN 1
-            WHEN 'Alto' THEN 2
+            WHEN 'muy_alto' THEN 1
+            WHEN 'alto' THEN 2
             ELSE 3
         END
     LIMIT 5;
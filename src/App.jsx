@@ -17,6 +17,16 @@ import Login from './components/auth/Login'
 import ThankYou from './components/questionnaire/ThankYou'
 import NotFound from './components/ui/NotFound'
 import Dashboard from './components/dashboard/Dashboard'
+import Settings from './components/admin/Settings'
+import QualityReview from './components/admin/QualityReview'
+import Campaigns from './components/admin/Campaigns'
+import CampaignInvitations from './components/admin/CampaignInvitations'
+import CampaignMessages from './components/admin/CampaignMessages'
+import CampaignConsents from './components/admin/CampaignConsents'
+import DataSubjectRequests from './components/admin/DataSubjectRequests'
+import AuditLog from './components/admin/AuditLog'
+import KioskMode from './components/kiosk/KioskMode'
+import AnonymousSurveyFlow from './components/questionnaire/AnonymousSurveyFlow'
 
 
 import ChartConfigTest from './components/debug/ChartConfigTest'
@@ -24,6 +34,7 @@ import ChartConfigTest from './components/debug/ChartConfigTest'
 import ErrorBoundary from './components/ui/ErrorBoundary'
 import MainApp from './components/MainApp'
 import { supabase } from './api/supabase'
+import { SettingsService } from './services/SettingsService'
 import { AuthProvider } from './contexts/AuthContext'
 import ProtectedRoute from './components/auth/ProtectedRoute'
 
@@ -37,6 +48,8 @@ function App() {
         // Verificar conexión usando el endpoint de estado de Supabase
         await supabase.auth.getSession();
         console.log('✅ Conexión con Supabase establecida');
+        // Aplicar la configuración de la organización (método de puntuación, etc.)
+        await SettingsService.applyOrganizationSettings()
       } catch (error) {
         console.error('❌ Error conectando con Supabase:', error);
       } finally {
@@ -88,9 +101,30 @@ function App() {
           <Route path="/respuestas" element={<ProtectedRoute><Layout><RealTimeResponses /></Layout></ProtectedRoute>} />
           <Route path="/respuestas-clasico" element={<ProtectedRoute><Layout><Respuestas /></Layout></ProtectedRoute>} />
 
+          {/* Configuración de la organización */}
+          <Route path="/configuracion" element={<ProtectedRoute><Layout><Settings /></Layout></ProtectedRoute>} />
+
+          {/* Campañas (olas) de evaluación */}
+          <Route path="/campanas" element={<ProtectedRoute><Layout><Campaigns /></Layout></ProtectedRoute>} />
+          <Route path="/campanas/:id/invitaciones" element={<ProtectedRoute><Layout><CampaignInvitations /></Layout></ProtectedRoute>} />
+          <Route path="/campanas/:id/mensajes" element={<ProtectedRoute><Layout><CampaignMessages /></Layout></ProtectedRoute>} />
+          <Route path="/campanas/:id/consentimientos" element={<ProtectedRoute><Layout><CampaignConsents /></Layout></ProtectedRoute>} />
+
+          {/* Revisión de calidad de respuestas */}
+          <Route path="/calidad" element={<ProtectedRoute><Layout><QualityReview /></Layout></ProtectedRoute>} />
+
+          {/* Derechos del titular: acceso, rectificación y supresión de datos personales */}
+          <Route path="/datos-personales" element={<ProtectedRoute><Layout><DataSubjectRequests /></Layout></ProtectedRoute>} />
+
+          {/* Auditoría de consultas y cambios sobre los datos individuales */}
+          <Route path="/auditoria" element={<ProtectedRoute><Layout><AuditLog /></Layout></ProtectedRoute>} />
+
           {/* Rutas sin Layout (páginas independientes) */}
           <Route path="/cuestionario/:token" element={<ErrorBoundary><QuestionnaireFlow /></ErrorBoundary>} />
           <Route path="/cuestionario-directo" element={<ErrorBoundary><QuestionnaireFlow /></ErrorBoundary>} />
+          <Route path="/kiosco" element={<ErrorBoundary><KioskMode /></ErrorBoundary>} />
+          <Route path="/anonimo" element={<ErrorBoundary><AnonymousSurveyFlow /></ErrorBoundary>} />
+          <Route path="/anonimo/:codigo" element={<ErrorBoundary><AnonymousSurveyFlow /></ErrorBoundary>} />
           <Route path="/app" element={<ErrorBoundary><MainApp /></ErrorBoundary>} />
           <Route path="/admin" element={<ProtectedRoute><ErrorBoundary><Admin /></ErrorBoundary></ProtectedRoute>} />
           <Route path="/login" element={<ErrorBoundary><Login /></ErrorBoundary>} />
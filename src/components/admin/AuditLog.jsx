@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react'
+import { ScrollText, Search, Download } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { AuditService } from '../../services/AuditService'
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  AUDIT_ORIGIN_LABELS,
+  describeAuditChange
+} from '../../utils/audit'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const EMPTY_FILTERS = { from: '', to: '', action: '', actor: '', documento: '' }
+
+const READ_ACTIONS = [AUDIT_ACTIONS.VER, AUDIT_ACTIONS.EXPORTAR]
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—')
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-lg p-3">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-900">{value}</p>
+  </div>
+)
+
+/**
+ * Registro de quién consultó, exportó o cambió los datos individuales de los
+ * trabajadores, con filtros y exportación para las inspecciones
+ */
+const AuditLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [entries, setEntries] = useState([])
+  const [users, setUsers] = useState(new Map())
+  const [loading, setLoading] = useState(true)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  const search = async (applied) => {
+    try {
+      setSearching(true)
+      setError(null)
+      const result = await AuditService.list(applied)
+      setEntries(result.entries)
+      setUsers(result.users)
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setSearching(false)
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    search(EMPTY_FILTERS)
+  }, [])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    search(filters)
+  }
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }))
+
+  if (loading) return <LoadingSpinner message="Cargando auditoría..." />
+
+  const reads = entries.filter(entry => READ_ACTIONS.includes(entry.accion)).length
+  const subjects = new Set(entries.map(entry => entry.titular_id).filter(Boolean)).size
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center gap-3">
+          <ScrollText className="w-8 h-8 text-gray-700" />
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Auditoría</h1>
+            <p className="text-gray-600 mt-1">
+              Consultas, exportaciones y cambios sobre las respuestas y resultados individuales
+            </p>
+          </div>
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+            <div className="space-y-1">
+              <label htmlFor="audit-from" className="block text-sm font-medium text-gray-700">Desde</label>
+              <input
+                id="audit-from"
+                type="date"
+                value={filters.from}
+                onChange={setFilter('from')}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="audit-to" className="block text-sm font-medium text-gray-700">Hasta</label>
+              <input
+                id="audit-to"
+                type="date"
+                value={filters.to}
+                onChange={setFilter('to')}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="audit-action" className="block text-sm font-medium text-gray-700">Acción</label>
+              <select
+                id="audit-action"
+                value={filters.action}
+                onChange={setFilter('action')}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Todas</option>
+                {Object.values(AUDIT_ACTIONS).map(action => (
+                  <option key={action} value={action}>{AUDIT_ACTION_LABELS[action]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="audit-actor" className="block text-sm font-medium text-gray-700">Usuario del panel</label>
+              <input
+                id="audit-actor"
+                type="text"
+                value={filters.actor}
+                onChange={setFilter('actor')}
+                placeholder="Correo"
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="audit-subject" className="block text-sm font-medium text-gray-700">Documento del trabajador</label>
+              <input
+                id="audit-subject"
+                type="text"
+                value={filters.documento}
+                onChange={setFilter('documento')}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={searching}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Search className="w-4 h-4" />
+              Filtrar
+            </button>
+            <button
+              type="button"
+              onClick={() => AuditService.download(entries, users)}
+              disabled={searching || entries.length === 0}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download className="w-4 h-4" />
+              Exportar
+            </button>
+          </form>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Stat label="Registros" value={entries.length} />
+            <Stat label="Consultas y exportaciones" value={reads} />
+            <Stat label="Cambios" value={entries.length - reads} />
+            <Stat label="Trabajadores" value={subjects} />
+          </div>
+        </section>
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500">No hay registros con esos filtros</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 pr-4">Fecha</th>
+                    <th className="py-2 pr-4">Usuario del panel</th>
+                    <th className="py-2 pr-4">Acción</th>
+                    <th className="py-2 pr-4">Trabajador</th>
+                    <th className="py-2 pr-4">Cambio</th>
+                    <th className="py-2 pr-4">Motivo</th>
+                    <th className="py-2">Origen</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => {
+                    const subject = users.get(entry.titular_id)
+                    return (
+                      <tr key={entry.id} className="border-t border-gray-100 align-top">
+                        <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                        <td className="py-2 pr-4">{entry.actor_email || entry.actor_id}</td>
+                        <td className="py-2 pr-4">
+                          {AUDIT_ACTION_LABELS[entry.accion] || entry.accion}
+                          <span className="block text-xs text-gray-500">{entry.recurso}</span>
+                        </td>
+                        <td className="py-2 pr-4">
+                          {subject ? subject.nombre : (entry.titular_id ? 'Trabajador eliminado' : '—')}
+                          {subject?.documento && <span className="block text-xs text-gray-500">{subject.documento}</span>}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-700">{describeAuditChange(entry) || '—'}</td>
+                        <td className="py-2 pr-4">{entry.motivo || '—'}</td>
+                        <td className="py-2">{AUDIT_ORIGIN_LABELS[entry.origen] || entry.origen || '—'}</td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="text-xs text-gray-500 mt-4">
+            El registro no se puede modificar ni borrar. Se muestran hasta 500 registros: acota las fechas para
+            ver los anteriores.
+          </p>
+        </section>
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default AuditLog
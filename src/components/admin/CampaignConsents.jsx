@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { ShieldCheck, ArrowLeft, Download } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { CampaignService } from '../../services/CampaignService'
+import { ConsentService } from '../../services/ConsentService'
+import { CONSENT_STATUS, CONSENT_STATUS_LABELS } from '../../utils/consent'
+import { getLanguageName } from '../../i18n/languages'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const STATUS_BADGES = {
+  [CONSENT_STATUS.ACEPTADO]: 'bg-green-100 text-green-800',
+  [CONSENT_STATUS.PENDIENTE]: 'bg-yellow-100 text-yellow-800',
+  [CONSENT_STATUS.SIN_REGISTRO]: 'bg-gray-100 text-gray-700'
+}
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-lg p-3">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-900">{value}</p>
+  </div>
+)
+
+/**
+ * Estado del consentimiento informado de los invitados y participantes de una campaña
+ */
+const CampaignConsents = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+
+  const [campaign, setCampaign] = useState(null)
+  const [report, setReport] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const [loadedCampaign, loadedReport] = await Promise.all([
+          CampaignService.getById(id),
+          ConsentService.getCampaignReport(id)
+        ])
+        setCampaign(loadedCampaign)
+        setReport(loadedReport)
+      } catch (err) {
+        setError(getUserFriendlyMessage(err))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [id])
+
+  if (loading) return <LoadingSpinner message="Cargando consentimientos..." />
+
+  const rows = (report?.rows || []).filter(row => !statusFilter || row.status === statusFilter)
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <ShieldCheck className="w-8 h-8 text-gray-700" />
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Consentimientos</h1>
+              <p className="text-gray-600 mt-1">{campaign?.nombre}</p>
+            </div>
+          </div>
+          <button
+            onClick={() => navigate('/campanas')}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Volver a campañas
+          </button>
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+
+        {report && (
+          <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <Stat label="Personas" value={report.totals.total} />
+              <Stat label="Aceptaron" value={report.totals[CONSENT_STATUS.ACEPTADO]} />
+              <Stat label="Pendientes" value={report.totals[CONSENT_STATUS.PENDIENTE]} />
+              <Stat
+                label="Aceptación"
+                value={report.acceptanceRate === null ? '—' : `${report.acceptanceRate.toFixed(1)}%`}
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              Versión vigente del texto: {report.currentVersion ?? '—'}. Quienes no aceptan no quedan registrados;
+              &quot;Pendiente&quot; incluye a los invitados que no han respondido o que rechazaron.
+              {report.totals[CONSENT_STATUS.SIN_REGISTRO] > 0 &&
+                ` ${report.totals[CONSENT_STATUS.SIN_REGISTRO]} persona(s) respondieron antes de existir el paso de consentimiento.`}
+            </p>
+          </section>
+        )}
+
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="p-4 flex flex-wrap items-center justify-between gap-4 border-b border-gray-200">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+              aria-label="Filtrar por estado"
+            >
+              <option value="">Todos los estados</option>
+              {Object.entries(CONSENT_STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => ConsentService.downloadCampaignReport(rows, campaign)}
+              disabled={rows.length === 0}
+              className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download className="w-4 h-4" />
+              Exportar (XLSX)
+            </button>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No hay personas con este estado</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 px-4">Trabajador</th>
+                    <th className="py-2 px-4">Estado</th>
+                    <th className="py-2 px-4">Versión</th>
+                    <th className="py-2 px-4">Aceptado el</th>
+                    <th className="py-2 px-4">Idioma</th>
+                    <th className="py-2 px-4">Respondió</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.userId} className="border-t border-gray-100">
+                      <td className="py-2 px-4">
+                        <span className="text-gray-900">{row.usuario?.nombre || 'Sin datos'}</span>
+                        {row.usuario?.documento && <span className="block text-xs text-gray-500">{row.usuario.documento}</span>}
+                      </td>
+                      <td className="py-2 px-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[row.status]}`}>
+                          {CONSENT_STATUS_LABELS[row.status]}
+                        </span>
+                      </td>
+                      <td className="py-2 px-4">
+                        {row.version ?? '—'}
+                        {row.outdated && <span className="text-xs text-amber-700"> (anterior)</span>}
+                      </td>
+                      <td className="py-2 px-4">{row.acceptedAt ? new Date(row.acceptedAt).toLocaleString('es-ES') : '—'}</td>
+                      <td className="py-2 px-4">{row.language ? getLanguageName(row.language) : '—'}</td>
+                      <td className="py-2 px-4">{row.answered ? 'Sí' : 'No'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default CampaignConsents
@@ -0,0 +1,418 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { Ticket, ArrowLeft, Upload, Download, RefreshCw, Ban, Printer, AlertTriangle, CheckCircle } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import ParticipationCodes from './ParticipationCodes'
+import { CampaignService } from '../../services/CampaignService'
+import { InvitationService } from '../../services/InvitationService'
+import { DraftService } from '../../services/DraftService'
+import { questions } from '../../data/questions'
+import {
+  TOKEN_EXPIRY_DAYS,
+  TOKEN_STATUS,
+  TOKEN_STATUS_LABELS,
+  parseRoster,
+  validateExpiryDays
+} from '../../utils/invitations'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const STATUS_BADGES = {
+  [TOKEN_STATUS.PENDIENTE]: 'bg-yellow-100 text-yellow-800',
+  [TOKEN_STATUS.USADO]: 'bg-green-100 text-green-800',
+  [TOKEN_STATUS.VENCIDO]: 'bg-gray-100 text-gray-700',
+  [TOKEN_STATUS.REVOCADO]: 'bg-red-100 text-red-800'
+}
+
+// Muestra del listado antes de importarlo
+const PREVIEW_ROWS = 10
+
+/**
+ * Invitaciones de una campaña: importación del listado de RR. HH., generación
+ * de un token por trabajador, revocación o regeneración, hoja de enlaces y
+ * tarjetas QR imprimibles.
+ */
+const CampaignInvitations = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+
+  const [campaign, setCampaign] = useState(null)
+  const [tokens, setTokens] = useState([])
+  // Avance de los cuestionarios empezados y sin enviar, por token
+  const [drafts, setDrafts] = useState(new Map())
+  const [selected, setSelected] = useState(new Set())
+  const [roster, setRoster] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [expiresInDays, setExpiresInDays] = useState(TOKEN_EXPIRY_DAYS.DEFAULT)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const expiryError = validateExpiryDays(expiresInDays)
+
+  const loadTokens = useCallback(async () => {
+    const [list, inProgress] = await Promise.all([
+      InvitationService.listTokens(id),
+      DraftService.getInProgressByToken(id)
+    ])
+    setTokens(list)
+    setDrafts(inProgress)
+    setSelected(new Set())
+  }, [id])
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const loaded = await CampaignService.getById(id)
+        setCampaign(loaded)
+        // Las campañas anónimas no tienen tokens: se gestionan con códigos de participación
+        if (!loaded.anonima) await loadTokens()
+      } catch (err) {
+        setError(getUserFriendlyMessage(err))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [id, loadTokens])
+
+  // Ejecuta una acción sobre los tokens y recarga la tabla
+  const run = async (action) => {
+    try {
+      setWorking(true)
+      setError(null)
+      setNotice(await action())
+      await loadTokens()
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const [file] = e.target.files
+    if (!file) return
+
+    try {
+      setError(null)
+      setNotice(null)
+      setFileName(file.name)
+      setRoster(parseRoster(await InvitationService.readRosterFile(file)))
+    } catch (err) {
+      setRoster(null)
+      setError(`No se pudo leer el archivo: ${getUserFriendlyMessage(err)}`)
+    }
+  }
+
+  const handleImport = () => run(async () => {
+    const { users, created, matched } = await InvitationService.importRoster(roster.workers)
+    const result = await InvitationService.generateTokens(id, users.map(user => user.id), { expiresInDays })
+    setRoster(null)
+    setFileName('')
+    return `${created} trabajadores nuevos, ${matched} ya registrados. ` +
+      `${result.created} tokens generados, ${result.skipped} omitidos por tener ya una invitación vigente o respondida.`
+  })
+
+  const selectedTokens = tokens.filter(token => selected.has(token.id))
+
+  const handleRevoke = (list) => run(async () => {
+    const revoked = await InvitationService.revokeTokens(list.map(token => token.id))
+    return `${revoked} tokens revocados`
+  })
+
+  const handleRegenerate = (list) => run(async () => {
+    const created = await InvitationService.regenerateTokens(id, list, { expiresInDays })
+    return `${created} tokens regenerados con ${expiresInDays} días de validez`
+  })
+
+  // Tarjetas impresas para quienes no tienen correo corporativo
+  const handlePrintCards = async () => {
+    try {
+      setWorking(true)
+      setError(null)
+      const printed = await InvitationService.downloadInvitationCards(tokens, campaign)
+      setNotice(`${printed} tarjetas de invitación generadas`)
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const toggle = (tokenId) => setSelected(current => {
+    const next = new Set(current)
+    if (next.has(tokenId)) next.delete(tokenId)
+    else next.add(tokenId)
+    return next
+  })
+
+  const toggleAll = () => setSelected(current => (
+    current.size === tokens.length ? new Set() : new Set(tokens.map(token => token.id))
+  ))
+
+  const counts = tokens.reduce((acc, token) => ({ ...acc, [token.estado]: (acc[token.estado] || 0) + 1 }), {})
+  const inProgressCount = tokens.filter(token => token.estado === TOKEN_STATUS.PENDIENTE && drafts.has(token.token)).length
+
+  if (loading) return <LoadingSpinner message="Cargando invitaciones..." />
+
+  if (campaign?.anonima) {
+    return (
+      <ErrorBoundary>
+        <ParticipationCodes campaign={campaign} onBack={() => navigate('/campanas')} />
+      </ErrorBoundary>
+    )
+  }
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Ticket className="w-8 h-8 text-gray-700" />
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Invitaciones</h1>
+              <p className="text-gray-600 mt-1">{campaign?.nombre}</p>
+            </div>
+          </div>
+          <button
+            onClick={() => navigate('/campanas')}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Volver a campañas
+          </button>
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+        {notice && (
+          <p className="flex items-center gap-2 text-sm text-green-700" role="status">
+            <CheckCircle className="w-4 h-4" />
+            {notice}
+          </p>
+        )}
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Listado de trabajadores</h2>
+          <p className="text-sm text-gray-600">
+            Archivo XLSX o CSV con una fila por trabajador. Columnas obligatorias: documento y nombre
+            (o nombres y apellidos); opcionales: correo, departamento, cargo, turno y género.
+            Los trabajadores se asocian por documento y se crean los que no existan.
+          </p>
+
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2 cursor-pointer">
+              <Upload className="w-4 h-4" />
+              {fileName || 'Seleccionar archivo'}
+              <input type="file" accept=".xlsx,.xls,.csv" onChange={handleFile} className="hidden" />
+            </label>
+            <div>
+              <label htmlFor="invitaciones-validez" className="block text-sm font-medium text-gray-700 mb-1">
+                Validez (días)
+              </label>
+              <input
+                id="invitaciones-validez"
+                type="number"
+                min={TOKEN_EXPIRY_DAYS.MIN}
+                max={TOKEN_EXPIRY_DAYS.MAX}
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                className="w-28 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+          </div>
+          {expiryError && <p className="text-xs text-red-600">{expiryError}</p>}
+
+          {roster && (
+            <div className="space-y-3">
+              {roster.missingColumns.length > 0 ? (
+                <p className="flex items-center gap-2 text-sm text-red-700" role="alert">
+                  <AlertTriangle className="w-4 h-4" />
+                  Faltan columnas obligatorias: {roster.missingColumns.join(', ')}
+                </p>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-700">
+                    {roster.workers.length} trabajadores válidos
+                    {roster.errors.length > 0 && `, ${roster.errors.length} filas con errores (no se importarán)`}
+                  </p>
+                  {roster.errors.length > 0 && (
+                    <ul className="text-xs text-red-600 list-disc list-inside max-h-40 overflow-y-auto">
+                      {roster.errors.map(({ row, message }) => <li key={row}>Fila {row}: {message}</li>)}
+                    </ul>
+                  )}
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="py-1 pr-4">Fila</th>
+                          <th className="py-1 pr-4">Documento</th>
+                          <th className="py-1 pr-4">Nombre</th>
+                          <th className="py-1 pr-4">Departamento</th>
+                          <th className="py-1 pr-4">Cargo</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {roster.workers.slice(0, PREVIEW_ROWS).map(worker => (
+                          <tr key={worker.documento} className="border-t border-gray-100">
+                            <td className="py-1 pr-4 text-gray-500">{worker.row}</td>
+                            <td className="py-1 pr-4">{worker.documento}</td>
+                            <td className="py-1 pr-4">{worker.nombre}</td>
+                            <td className="py-1 pr-4">{worker.departamento || '—'}</td>
+                            <td className="py-1 pr-4">{worker.cargo || '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="flex justify-end">
+                    <button
+                      onClick={handleImport}
+                      disabled={working || roster.workers.length === 0 || Boolean(expiryError)}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Ticket className="w-4 h-4" />
+                      {working ? 'Generando...' : 'Importar y generar tokens'}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </section>
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Tokens de la campaña</h2>
+              <p className="text-sm text-gray-600">
+                {Object.values(TOKEN_STATUS).map(status => `${TOKEN_STATUS_LABELS[status]}: ${counts[status] || 0}`).join(' · ')}
+                {' · '}En curso: {inProgressCount}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => handleRevoke(selectedTokens)}
+                disabled={working || selectedTokens.length === 0}
+                className="px-3 py-1 rounded-lg border border-red-300 text-red-700 hover:bg-red-50 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Ban className="w-4 h-4" />
+                Revocar ({selectedTokens.length})
+              </button>
+              <button
+                onClick={() => handleRegenerate(selectedTokens)}
+                disabled={working || selectedTokens.length === 0 || Boolean(expiryError)}
+                className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <RefreshCw className="w-4 h-4" />
+                Regenerar ({selectedTokens.length})
+              </button>
+              <button
+                onClick={() => InvitationService.downloadInvitationSheet(
+                  tokens.filter(token => token.estado === TOKEN_STATUS.PENDIENTE),
+                  campaign
+                )}
+                disabled={!counts[TOKEN_STATUS.PENDIENTE]}
+                className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Download className="w-4 h-4" />
+                Hoja de enlaces
+              </button>
+              <button
+                onClick={handlePrintCards}
+                disabled={working || !counts[TOKEN_STATUS.PENDIENTE]}
+                className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Printer className="w-4 h-4" />
+                Tarjetas QR (PDF)
+              </button>
+            </div>
+          </div>
+
+          {tokens.length === 0 ? (
+            <p className="text-center text-gray-500">
+              Aún no hay invitaciones. Importa el listado de trabajadores para generarlas.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 pr-4">
+                      <input
+                        type="checkbox"
+                        aria-label="Seleccionar todos"
+                        checked={selected.size === tokens.length}
+                        onChange={toggleAll}
+                      />
+                    </th>
+                    <th className="py-2 pr-4">Documento</th>
+                    <th className="py-2 pr-4">Nombre</th>
+                    <th className="py-2 pr-4">Vence</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {tokens.map(token => (
+                    <tr key={token.id} className="border-t border-gray-100">
+                      <td className="py-2 pr-4">
+                        <input
+                          type="checkbox"
+                          aria-label={`Seleccionar ${token.usuario?.nombre || token.token}`}
+                          checked={selected.has(token.id)}
+                          onChange={() => toggle(token.id)}
+                        />
+                      </td>
+                      <td className="py-2 pr-4">{token.usuario?.documento || '—'}</td>
+                      <td className="py-2 pr-4">{token.usuario?.nombre || '—'}</td>
+                      <td className="py-2 pr-4">{new Date(token.expiracion).toLocaleDateString('es-ES')}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[token.estado]}`}>
+                          {TOKEN_STATUS_LABELS[token.estado]}
+                        </span>
+                        {token.estado === TOKEN_STATUS.PENDIENTE && drafts.has(token.token) && (
+                          <span
+                            className="ml-2 px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800"
+                            title={`Última respuesta: ${new Date(drafts.get(token.token).actualizado_en).toLocaleString('es-ES')}`}
+                          >
+                            En curso {drafts.get(token.token).respondidas}/{questions.length}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        {token.estado === TOKEN_STATUS.PENDIENTE && (
+                          <button
+                            onClick={() => handleRevoke([token])}
+                            disabled={working}
+                            className="text-red-700 hover:underline text-xs mr-3"
+                          >
+                            Revocar
+                          </button>
+                        )}
+                        {token.estado !== TOKEN_STATUS.USADO && (
+                          <button
+                            onClick={() => handleRegenerate([token])}
+                            disabled={working || Boolean(expiryError)}
+                            className="text-blue-700 hover:underline text-xs"
+                          >
+                            Regenerar
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default CampaignInvitations
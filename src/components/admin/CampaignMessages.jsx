@@ -0,0 +1,509 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { Mail, ArrowLeft, Send, Clock, Save, Trash2, RefreshCw, CheckCircle } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { CampaignService } from '../../services/CampaignService'
+import { MessagingService } from '../../services/MessagingService'
+import {
+  DELIVERY_STATUS,
+  DELIVERY_STATUS_LABELS,
+  MESSAGE_TYPES,
+  MESSAGE_TYPE_LABELS,
+  TEMPLATE_PLACEHOLDERS,
+  TRANSPORT_LABELS,
+  TRANSPORT_TYPES,
+  renderTemplate,
+  validateTemplate
+} from '../../utils/messaging'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const STATUS_BADGES = {
+  [DELIVERY_STATUS.PENDIENTE]: 'bg-yellow-100 text-yellow-800',
+  [DELIVERY_STATUS.ENVIADO]: 'bg-green-100 text-green-800',
+  [DELIVERY_STATUS.FALLIDO]: 'bg-red-100 text-red-800',
+  [DELIVERY_STATUS.CANCELADO]: 'bg-gray-100 text-gray-700'
+}
+
+const SAMPLE_VALUES = {
+  nombre: 'Ana Pérez',
+  enlace: `${window.location.origin}/cuestionario/ejemplo`,
+  fecha_limite: new Date().toLocaleDateString('es-ES'),
+  campana: 'Evaluación de ejemplo'
+}
+
+const emptyTemplate = () => ({ nombre: '', tipo: MESSAGE_TYPES.RECORDATORIO, asunto: '', cuerpo: '' })
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—')
+
+/**
+ * Editor de plantillas con vista previa
+ */
+const TemplateEditor = ({ template, onSaved, onCancel }) => {
+  const [form, setForm] = useState(template || emptyTemplate())
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const errors = validateTemplate(form)
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }))
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+      onSaved(await MessagingService.saveTemplate(form))
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="plantilla-nombre" className="block text-sm font-medium text-gray-700 mb-1">Nombre</label>
+          <input
+            id="plantilla-nombre"
+            value={form.nombre}
+            onChange={(e) => update('nombre', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="plantilla-tipo" className="block text-sm font-medium text-gray-700 mb-1">Tipo</label>
+          <select
+            id="plantilla-tipo"
+            value={form.tipo}
+            onChange={(e) => update('tipo', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            {Object.values(MESSAGE_TYPES).map(type => (
+              <option key={type} value={type}>{MESSAGE_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label htmlFor="plantilla-asunto" className="block text-sm font-medium text-gray-700 mb-1">Asunto</label>
+        <input
+          id="plantilla-asunto"
+          value={form.asunto}
+          onChange={(e) => update('asunto', e.target.value)}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+      </div>
+      <div>
+        <label htmlFor="plantilla-cuerpo" className="block text-sm font-medium text-gray-700 mb-1">Mensaje</label>
+        <textarea
+          id="plantilla-cuerpo"
+          value={form.cuerpo}
+          onChange={(e) => update('cuerpo', e.target.value)}
+          rows={6}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Marcadores: {Object.entries(TEMPLATE_PLACEHOLDERS).map(([key, label]) => `{{${key}}} (${label.toLowerCase()})`).join(', ')}
+        </p>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-3 text-sm">
+        <p className="font-medium text-gray-900">{renderTemplate(form.asunto, SAMPLE_VALUES) || 'Vista previa'}</p>
+        <p className="text-gray-700 whitespace-pre-line mt-2">{renderTemplate(form.cuerpo, SAMPLE_VALUES)}</p>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 list-disc list-inside">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      {error && <p className="text-sm text-red-700" role="alert">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Cancelar
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving || errors.length > 0}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Guardando...' : 'Guardar plantilla'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Invitaciones y recordatorios de una campaña: encolado de mensajes,
+ * recordatorios programados, plantillas y registro de entregas por trabajador.
+ */
+const CampaignMessages = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+
+  const [campaign, setCampaign] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [reminders, setReminders] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [editing, setEditing] = useState(null)
+  const [sendForm, setSendForm] = useState({ templateId: '', transport: TRANSPORT_TYPES.SMTP })
+  const [reminderForm, setReminderForm] = useState({ templateId: '', transport: TRANSPORT_TYPES.SMTP, scheduledFor: '' })
+  const [statusFilter, setStatusFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const loadData = useCallback(async () => {
+    const [loadedTemplates, loadedReminders, loadedDeliveries] = await Promise.all([
+      MessagingService.listTemplates(),
+      MessagingService.listReminders(id),
+      MessagingService.listDeliveries(id)
+    ])
+    setTemplates(loadedTemplates)
+    setReminders(loadedReminders)
+    setDeliveries(loadedDeliveries)
+  }, [id])
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        setCampaign(await CampaignService.getById(id))
+        await loadData()
+      } catch (err) {
+        setError(getUserFriendlyMessage(err))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [id, loadData])
+
+  // Ejecuta una acción y recarga plantillas, recordatorios y registro
+  const run = async (action) => {
+    try {
+      setWorking(true)
+      setError(null)
+      setNotice(await action())
+      await loadData()
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleSend = () => run(async () => {
+    const { queued, withoutAddress, excluded } = await MessagingService.enqueueMessages(id, sendForm)
+    return [
+      `${queued} mensajes en cola`,
+      withoutAddress > 0 && `${withoutAddress} trabajadores sin correo (usa las tarjetas QR)`,
+      excluded > 0 && `${excluded} ya tenían esta invitación`
+    ].filter(Boolean).join(' · ')
+  })
+
+  const handleSchedule = () => run(async () => {
+    await MessagingService.scheduleReminder(id, reminderForm)
+    setReminderForm(current => ({ ...current, scheduledFor: '' }))
+    return 'Recordatorio programado'
+  })
+
+  const handleCancelReminder = (reminderId) => run(async () => {
+    await MessagingService.cancelReminder(reminderId)
+    return 'Recordatorio eliminado'
+  })
+
+  const failed = deliveries.filter(delivery => delivery.estado === DELIVERY_STATUS.FALLIDO)
+  const handleRetry = () => run(async () => {
+    await MessagingService.retryDeliveries(failed.map(delivery => delivery.id))
+    return `${failed.length} mensajes vuelven a la cola`
+  })
+
+  const handleTemplateSaved = async () => {
+    setEditing(null)
+    await run(async () => 'Plantilla guardada')
+  }
+
+  const templateName = (templateId) => templates.find(template => template.id === templateId)?.nombre || '—'
+  const reminderTemplates = templates.filter(template => template.tipo === MESSAGE_TYPES.RECORDATORIO)
+  const visibleDeliveries = statusFilter
+    ? deliveries.filter(delivery => delivery.estado === statusFilter)
+    : deliveries
+
+  if (loading) return <LoadingSpinner message="Cargando mensajes..." />
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Mail className="w-8 h-8 text-gray-700" />
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Mensajes</h1>
+              <p className="text-gray-600 mt-1">{campaign?.nombre}</p>
+            </div>
+          </div>
+          <button
+            onClick={() => navigate('/campanas')}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Volver a campañas
+          </button>
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+        {notice && (
+          <p className="flex items-center gap-2 text-sm text-green-700" role="status">
+            <CheckCircle className="w-4 h-4" />
+            {notice}
+          </p>
+        )}
+
+        <p className="text-sm text-gray-600">
+          Los mensajes quedan en cola y los entrega el proceso de envío (scripts/outbox-worker.js) con el
+          transporte elegido. Solo se envían a tokens pendientes: en cuanto un trabajador responde, sus
+          recordatorios en cola se cancelan.
+        </p>
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Enviar ahora</h2>
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="envio-plantilla" className="block text-sm font-medium text-gray-700 mb-1">Plantilla</label>
+              <select
+                id="envio-plantilla"
+                value={sendForm.templateId}
+                onChange={(e) => setSendForm(current => ({ ...current, templateId: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Selecciona una plantilla</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>
+                    {template.nombre} ({MESSAGE_TYPE_LABELS[template.tipo]})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="envio-transporte" className="block text-sm font-medium text-gray-700 mb-1">Transporte</label>
+              <select
+                id="envio-transporte"
+                value={sendForm.transport}
+                onChange={(e) => setSendForm(current => ({ ...current, transport: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                {Object.values(TRANSPORT_TYPES).map(type => (
+                  <option key={type} value={type}>{TRANSPORT_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleSend}
+              disabled={working || !sendForm.templateId}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send className="w-4 h-4" />
+              Encolar para tokens pendientes
+            </button>
+          </div>
+        </section>
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Recordatorios programados</h2>
+          {reminders.length === 0 ? (
+            <p className="text-sm text-gray-500">No hay recordatorios programados.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {reminders.map(reminder => (
+                <li key={reminder.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+                  <span>
+                    <Clock className="w-4 h-4 inline mr-1 text-gray-500" />
+                    {formatDateTime(reminder.programado_para)} · {templateName(reminder.plantilla_id)} · {TRANSPORT_LABELS[reminder.transporte]}
+                  </span>
+                  {reminder.procesado_en ? (
+                    <span className="text-xs text-gray-500">Procesado el {formatDateTime(reminder.procesado_en)}</span>
+                  ) : (
+                    <button
+                      onClick={() => handleCancelReminder(reminder.id)}
+                      disabled={working}
+                      className="text-red-700 hover:underline text-xs flex items-center gap-1"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                      Eliminar
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap items-end gap-4 pt-2 border-t border-gray-100">
+            <div>
+              <label htmlFor="recordatorio-fecha" className="block text-sm font-medium text-gray-700 mb-1">Fecha y hora</label>
+              <input
+                id="recordatorio-fecha"
+                type="datetime-local"
+                value={reminderForm.scheduledFor}
+                onChange={(e) => setReminderForm(current => ({ ...current, scheduledFor: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <div>
+              <label htmlFor="recordatorio-plantilla" className="block text-sm font-medium text-gray-700 mb-1">Plantilla</label>
+              <select
+                id="recordatorio-plantilla"
+                value={reminderForm.templateId}
+                onChange={(e) => setReminderForm(current => ({ ...current, templateId: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Selecciona una plantilla</option>
+                {reminderTemplates.map(template => (
+                  <option key={template.id} value={template.id}>{template.nombre}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="recordatorio-transporte" className="block text-sm font-medium text-gray-700 mb-1">Transporte</label>
+              <select
+                id="recordatorio-transporte"
+                value={reminderForm.transport}
+                onChange={(e) => setReminderForm(current => ({ ...current, transport: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                {Object.values(TRANSPORT_TYPES).map(type => (
+                  <option key={type} value={type}>{TRANSPORT_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleSchedule}
+              disabled={working || !reminderForm.templateId || !reminderForm.scheduledFor}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Clock className="w-4 h-4" />
+              Programar
+            </button>
+          </div>
+        </section>
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Plantillas</h2>
+            {!editing && (
+              <button
+                onClick={() => setEditing('new')}
+                className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm"
+              >
+                Nueva plantilla
+              </button>
+            )}
+          </div>
+          {editing && (
+            <TemplateEditor
+              key={editing === 'new' ? 'new' : editing.id}
+              template={editing === 'new' ? null : editing}
+              onSaved={handleTemplateSaved}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+          <ul className="divide-y divide-gray-100">
+            {templates.map(template => (
+              <li key={template.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+                <span>
+                  <span className="font-medium text-gray-900">{template.nombre}</span>
+                  <span className="text-gray-500"> · {MESSAGE_TYPE_LABELS[template.tipo]} · {template.asunto}</span>
+                </span>
+                <button onClick={() => setEditing(template)} className="text-blue-700 hover:underline text-xs">
+                  Editar
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-lg font-semibold text-gray-900">Registro de envíos</h2>
+            <div className="flex items-center gap-2">
+              <select
+                aria-label="Filtrar por estado"
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+              >
+                <option value="">Todos los estados</option>
+                {Object.values(DELIVERY_STATUS).map(status => (
+                  <option key={status} value={status}>{DELIVERY_STATUS_LABELS[status]}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleRetry}
+                disabled={working || failed.length === 0}
+                className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <RefreshCw className="w-4 h-4" />
+                Reintentar fallidos ({failed.length})
+              </button>
+            </div>
+          </div>
+
+          {visibleDeliveries.length === 0 ? (
+            <p className="text-center text-gray-500">Aún no hay mensajes para esta campaña.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 pr-4">Trabajador</th>
+                    <th className="py-2 pr-4">Destino</th>
+                    <th className="py-2 pr-4">Mensaje</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2 pr-4">Enviado</th>
+                    <th className="py-2">Detalle</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleDeliveries.map(delivery => (
+                    <tr key={delivery.id} className="border-t border-gray-100">
+                      <td className="py-2 pr-4">
+                        {delivery.usuario?.nombre || '—'}
+                        <span className="block text-xs text-gray-500">{delivery.usuario?.documento}</span>
+                      </td>
+                      <td className="py-2 pr-4">
+                        {delivery.destinatario || '—'}
+                        <span className="block text-xs text-gray-500">{TRANSPORT_LABELS[delivery.transporte]}</span>
+                      </td>
+                      <td className="py-2 pr-4">{MESSAGE_TYPE_LABELS[delivery.tipo]}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[delivery.estado]}`}>
+                          {DELIVERY_STATUS_LABELS[delivery.estado]}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4">{formatDateTime(delivery.enviado_en)}</td>
+                      <td className="py-2 text-xs text-gray-500">
+                        {delivery.error}
+                        {delivery.intentos > 0 && ` (${delivery.intentos} intentos)`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default CampaignMessages
@@ -0,0 +1,414 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { CalendarRange, Plus, Save, Play, Lock, Pencil, Ticket, Mail, AlertTriangle, EyeOff, ShieldCheck } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { CampaignService } from '../../services/CampaignService'
+import { DraftService } from '../../services/DraftService'
+import {
+  CAMPAIGN_STATUS,
+  CAMPAIGN_STATUS_LABELS,
+  TARGET_POPULATION_FIELDS,
+  toDateKey,
+  validateCampaign
+} from '../../utils/campaigns'
+import { getCurrentInstrument, getInstrumentById, listInstruments } from '../../data/instruments'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const POPULATION_LABELS = {
+  departamentos: 'Departamentos',
+  cargos: 'Cargos',
+  turnos: 'Turnos'
+}
+
+const STATUS_BADGES = {
+  [CAMPAIGN_STATUS.BORRADOR]: 'bg-gray-100 text-gray-700',
+  [CAMPAIGN_STATUS.ACTIVA]: 'bg-green-100 text-green-800',
+  [CAMPAIGN_STATUS.CERRADA]: 'bg-blue-100 text-blue-800'
+}
+
+const emptyForm = () => ({
+  nombre: '',
+  descripcion: '',
+  fecha_inicio: toDateKey(),
+  fecha_fin: toDateKey(),
+  cuestionario_id: getCurrentInstrument().id,
+  estado: CAMPAIGN_STATUS.BORRADOR,
+  anonima: false,
+  poblacion: Object.fromEntries(Object.keys(TARGET_POPULATION_FIELDS).map(key => [key, '']))
+})
+
+// La población se edita como listas separadas por comas
+const toForm = (campaign) => ({
+  ...campaign,
+  descripcion: campaign.descripcion || '',
+  poblacion: Object.fromEntries(Object.keys(TARGET_POPULATION_FIELDS).map(key => [
+    key,
+    (campaign.poblacion_objetivo?.[key] || []).join(', ')
+  ]))
+})
+
+const fromForm = ({ poblacion, ...form }) => ({
+  ...form,
+  nombre: form.nombre.trim(),
+  descripcion: form.descripcion.trim() || null,
+  poblacion_objetivo: Object.fromEntries(
+    Object.entries(poblacion)
+      .map(([key, text]) => [key, text.split(',').map(value => value.trim()).filter(Boolean)])
+      .filter(([, values]) => values.length > 0)
+  )
+})
+
+const describeInstrument = (id) => {
+  const instrument = getInstrumentById(id)
+  return instrument ? `${instrument.code} v${instrument.version}` : `Instrumento ${id}`
+}
+
+const describePopulation = (poblacion = {}) => {
+  const parts = Object.entries(poblacion).map(([key, values]) => `${POPULATION_LABELS[key] || key}: ${values.join(', ')}`)
+  return parts.length > 0 ? parts.join(' · ') : 'Toda la organización'
+}
+
+/**
+ * Formulario de alta y edición de una campaña
+ */
+const CampaignForm = ({ campaign, onSaved, onCancel }) => {
+  const [form, setForm] = useState(campaign ? toForm(campaign) : emptyForm())
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const instruments = listInstruments()
+  const errors = validateCampaign(fromForm(form))
+
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }))
+  const updatePopulation = (key, value) => setForm(current => ({
+    ...current,
+    poblacion: { ...current.poblacion, [key]: value }
+  }))
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+      const saved = campaign
+        ? await CampaignService.update(campaign.id, fromForm(form))
+        : await CampaignService.create(fromForm(form))
+      onSaved(saved)
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900">{campaign ? 'Editar campaña' : 'Nueva campaña'}</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="campana-nombre" className="block text-sm font-medium text-gray-700 mb-1">Nombre</label>
+          <input
+            id="campana-nombre"
+            value={form.nombre}
+            onChange={(e) => update('nombre', e.target.value)}
+            placeholder="Evaluación 2026 T1"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="campana-instrumento" className="block text-sm font-medium text-gray-700 mb-1">Instrumento</label>
+          <select
+            id="campana-instrumento"
+            value={form.cuestionario_id}
+            onChange={(e) => update('cuestionario_id', Number(e.target.value))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            {instruments.map(instrument => (
+              <option key={instrument.id} value={instrument.id}>
+                {instrument.code} v{instrument.version}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="campana-inicio" className="block text-sm font-medium text-gray-700 mb-1">Inicio</label>
+          <input
+            id="campana-inicio"
+            type="date"
+            value={form.fecha_inicio}
+            onChange={(e) => update('fecha_inicio', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="campana-fin" className="block text-sm font-medium text-gray-700 mb-1">Fin</label>
+          <input
+            id="campana-fin"
+            type="date"
+            value={form.fecha_fin}
+            onChange={(e) => update('fecha_fin', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="campana-descripcion" className="block text-sm font-medium text-gray-700 mb-1">Descripción</label>
+        <textarea
+          id="campana-descripcion"
+          value={form.descripcion}
+          onChange={(e) => update('descripcion', e.target.value)}
+          rows={2}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+      </div>
+
+      <div>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.anonima}
+            onChange={(e) => update('anonima', e.target.checked)}
+            disabled={Boolean(campaign) && campaign.estado !== CAMPAIGN_STATUS.BORRADOR}
+          />
+          Campaña anónima
+        </label>
+        <p className="text-xs text-gray-500 mt-1 ml-6">
+          Cada trabajador responde con un código de participación repartido al azar e indica solo departamento,
+          turno y rango de edad; las respuestas no quedan asociadas a ninguna persona. Solo se puede cambiar
+          mientras la campaña está en borrador.
+        </p>
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className="text-sm font-medium text-gray-700">Población objetivo</legend>
+        <p className="text-xs text-gray-500">
+          Valores separados por comas; deja un campo vacío para no restringir por ese criterio
+        </p>
+        {Object.keys(TARGET_POPULATION_FIELDS).map(key => (
+          <div key={key} className="flex items-center gap-3">
+            <label htmlFor={`campana-${key}`} className="w-32 text-sm text-gray-700">{POPULATION_LABELS[key]}</label>
+            <input
+              id={`campana-${key}`}
+              value={form.poblacion[key]}
+              onChange={(e) => updatePopulation(key, e.target.value)}
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+        ))}
+      </fieldset>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 list-disc list-inside">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-700" role="alert">
+          <AlertTriangle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Cancelar
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving || errors.length > 0}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Guardando...' : 'Guardar'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+/**
+ * Campañas (olas) de evaluación: ventana de fechas, población objetivo y
+ * versión del instrumento. Solo una campaña activa y vigente admite envíos.
+ */
+const Campaigns = () => {
+  const navigate = useNavigate()
+  const [campaigns, setCampaigns] = useState([])
+  // Cuestionarios empezados y sin enviar por campaña
+  const [inProgress, setInProgress] = useState(new Map())
+  const [editing, setEditing] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const loadCampaigns = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [list, counts] = await Promise.all([
+        CampaignService.list(),
+        DraftService.getInProgressCounts()
+      ])
+      setCampaigns(list)
+      setInProgress(counts)
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadCampaigns()
+  }, [])
+
+  const changeStatus = async (campaign, estado) => {
+    try {
+      setError(null)
+      await CampaignService.setStatus(campaign.id, estado)
+      await loadCampaigns()
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    }
+  }
+
+  const handleSaved = async () => {
+    setEditing(null)
+    await loadCampaigns()
+  }
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <CalendarRange className="w-8 h-8 text-gray-700" />
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Campañas</h1>
+              <p className="text-gray-600 mt-1">Olas de evaluación y su población objetivo</p>
+            </div>
+          </div>
+          {!editing && (
+            <button
+              onClick={() => setEditing('new')}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              Nueva campaña
+            </button>
+          )}
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+
+        {editing && (
+          <CampaignForm
+            key={editing === 'new' ? 'new' : editing.id}
+            campaign={editing === 'new' ? null : editing}
+            onSaved={handleSaved}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {loading ? (
+          <LoadingSpinner message="Cargando campañas..." />
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+            {campaigns.length === 0 && (
+              <p className="p-6 text-center text-gray-500">
+                No hay campañas. Crea una y actívala para empezar a recibir respuestas.
+              </p>
+            )}
+            {campaigns.map(campaign => (
+              <div key={campaign.id} className="p-4 flex flex-wrap items-start justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">{campaign.nombre}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[campaign.estado]}`}>
+                      {CAMPAIGN_STATUS_LABELS[campaign.estado]}
+                    </span>
+                    {campaign.anonima && (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800 flex items-center gap-1">
+                        <EyeOff className="w-3 h-3" />
+                        Anónima
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {new Date(`${campaign.fecha_inicio}T00:00:00`).toLocaleDateString('es-ES')} –{' '}
+                    {new Date(`${campaign.fecha_fin}T00:00:00`).toLocaleDateString('es-ES')}
+                    {' · '}{describeInstrument(campaign.cuestionario_id)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">{describePopulation(campaign.poblacion_objetivo)}</p>
+                  {inProgress.get(campaign.id) > 0 && (
+                    <p className="text-xs text-amber-700 mt-1">
+                      {inProgress.get(campaign.id)} cuestionario(s) en curso sin enviar
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => navigate(`/campanas/${campaign.id}/invitaciones`)}
+                    className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm"
+                  >
+                    <Ticket className="w-4 h-4" />
+                    {campaign.anonima ? 'Códigos' : 'Invitaciones'}
+                  </button>
+                  {/* En una campaña anónima nadie queda registrado: no hay destinatarios ni consentimientos */}
+                  {!campaign.anonima && (
+                    <>
+                      <button
+                        onClick={() => navigate(`/campanas/${campaign.id}/mensajes`)}
+                        className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm"
+                      >
+                        <Mail className="w-4 h-4" />
+                        Mensajes
+                      </button>
+                      <button
+                        onClick={() => navigate(`/campanas/${campaign.id}/consentimientos`)}
+                        className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm"
+                      >
+                        <ShieldCheck className="w-4 h-4" />
+                        Consentimientos
+                      </button>
+                    </>
+                  )}
+                  <button
+                    onClick={() => setEditing(campaign)}
+                    className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm"
+                  >
+                    <Pencil className="w-4 h-4" />
+                    Editar
+                  </button>
+                  {campaign.estado !== CAMPAIGN_STATUS.ACTIVA && (
+                    <button
+                      onClick={() => changeStatus(campaign, CAMPAIGN_STATUS.ACTIVA)}
+                      className="px-3 py-1 rounded-lg bg-green-600 text-white hover:bg-green-700 flex items-center gap-1 text-sm"
+                    >
+                      <Play className="w-4 h-4" />
+                      Activar
+                    </button>
+                  )}
+                  {campaign.estado === CAMPAIGN_STATUS.ACTIVA && (
+                    <button
+                      onClick={() => changeStatus(campaign, CAMPAIGN_STATUS.CERRADA)}
+                      className="px-3 py-1 rounded-lg bg-gray-700 text-white hover:bg-gray-800 flex items-center gap-1 text-sm"
+                    >
+                      <Lock className="w-4 h-4" />
+                      Cerrar
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default Campaigns
@@ -0,0 +1,414 @@
+import { useState, useEffect } from 'react'
+import { UserCheck, Search, Download, FileText, Save, Trash2, CheckCircle } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import AccessibleModal, { useModal } from '../ui/AccessibleModal'
+import { DataSubjectService } from '../../services/DataSubjectService'
+import {
+  ERASURE_MODES,
+  ERASURE_MODE_LABELS,
+  ERASURE_MODE_DESCRIPTIONS,
+  EXPORT_SECTIONS,
+  RECTIFIABLE_FIELDS,
+  SUBJECT_REQUEST_LABELS,
+  describeRequestDetail,
+  getRectificationChanges,
+  validateErasureRequest
+} from '../../utils/dataSubject'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—')
+
+// Los errores con hint traen un mensaje pensado para mostrarse tal cual
+const describeError = (err) => (err?.context?.hint ? err.message : getUserFriendlyMessage(err))
+
+const toForm = (usuario) => RECTIFIABLE_FIELDS.reduce((acc, { key }) => ({ ...acc, [key]: usuario?.[key] ?? '' }), {})
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-lg p-3">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-900">{value}</p>
+  </div>
+)
+
+/**
+ * Atención de las solicitudes de los titulares: se busca al trabajador por
+ * documento o correo y se le entrega la exportación de sus datos, se corrigen
+ * o se suprimen. Toda acción exige anotar cómo se verificó su identidad y deja
+ * un recibo
+ */
+const DataSubjectRequests = () => {
+  const [query, setQuery] = useState('')
+  const [matches, setMatches] = useState(null)
+  const [subject, setSubject] = useState(null)
+  const [exported, setExported] = useState(null)
+  const [request, setRequest] = useState({ referencia: '', verificacion: '' })
+  const [form, setForm] = useState(toForm(null))
+  const [erasure, setErasure] = useState({ mode: ERASURE_MODES.SEUDONIMIZAR, confirmation: '' })
+  const [accessLogged, setAccessLogged] = useState(false)
+  const [receipts, setReceipts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  const { isOpen: confirmingErasure, openModal: askErasure, closeModal: cancelErasure } = useModal()
+
+  useEffect(() => {
+    const loadReceipts = async () => {
+      try {
+        setReceipts(await DataSubjectService.listRequests())
+      } catch (err) {
+        setError(describeError(err))
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadReceipts()
+  }, [])
+
+  const run = async (action) => {
+    try {
+      setWorking(true)
+      setError(null)
+      setMessage(null)
+      await action()
+    } catch (err) {
+      setError(describeError(err))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const addReceipt = (receipt) => setReceipts(prev => [receipt, ...prev])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    run(async () => {
+      setSubject(null)
+      setExported(null)
+      setMatches(await DataSubjectService.findSubjects(query))
+    })
+  }
+
+  const selectSubject = (usuario) => run(async () => {
+    const data = await DataSubjectService.buildExport(usuario.id)
+    setSubject(data.titular)
+    setExported(data)
+    setForm(toForm(data.titular))
+    setErasure({ mode: ERASURE_MODES.SEUDONIMIZAR, confirmation: '' })
+    setAccessLogged(false)
+  })
+
+  const verified = request.verificacion.trim().length > 0
+
+  // La primera descarga de cada titular deja el recibo de acceso
+  const handleDownload = (format) => run(async () => {
+    if (!accessLogged) {
+      addReceipt(await DataSubjectService.logAccess(exported, request))
+      setAccessLogged(true)
+    }
+    if (format === 'pdf') await DataSubjectService.downloadPdf(exported)
+    else DataSubjectService.downloadJson(exported)
+  })
+
+  const rectification = subject ? getRectificationChanges(subject, form) : { changes: {}, errors: [] }
+  const changedFields = Object.keys(rectification.changes)
+
+  const handleRectify = () => run(async () => {
+    const receipt = await DataSubjectService.rectify(subject.id, rectification.changes, request)
+    addReceipt(receipt)
+    const data = await DataSubjectService.buildExport(subject.id)
+    setSubject(data.titular)
+    setExported(data)
+    setForm(toForm(data.titular))
+    setAccessLogged(false)
+    setMessage(`Datos rectificados: ${describeRequestDetail(receipt)}`)
+  })
+
+  const erasureErrors = subject ? validateErasureRequest({ ...erasure, verification: request.verificacion }, subject) : []
+
+  const handleErase = () => {
+    cancelErasure()
+
+    run(async () => {
+      const receipt = await DataSubjectService.erase(subject.id, { ...erasure, ...request })
+      addReceipt(receipt)
+      setSubject(null)
+      setExported(null)
+      setMatches(null)
+      setQuery('')
+      setRequest({ referencia: '', verificacion: '' })
+      setMessage(`Supresión registrada (${describeRequestDetail(receipt)}). Recibo ${receipt.id}`)
+    })
+  }
+
+  if (loading) return <LoadingSpinner message="Cargando solicitudes..." />
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center gap-3">
+          <UserCheck className="w-8 h-8 text-gray-700" />
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Datos personales</h1>
+            <p className="text-gray-600 mt-1">
+              Solicitudes de los titulares: conocer, rectificar o suprimir sus datos (Ley 1581 de 2012)
+            </p>
+          </div>
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+        {message && (
+          <div className="flex items-center gap-2 text-green-700" role="status">
+            <CheckCircle className="w-4 h-4" />
+            {message}
+          </div>
+        )}
+
+        <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+          <form onSubmit={handleSearch} className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Documento o correo del titular"
+              aria-label="Documento o correo del titular"
+              className="flex-1 min-w-[16rem] border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={working || !query.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Search className="w-4 h-4" />
+              Buscar
+            </button>
+          </form>
+
+          {matches && matches.length === 0 && (
+            <p className="text-sm text-gray-500">No hay ningún trabajador con ese documento o correo</p>
+          )}
+          {matches && matches.length > 0 && (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg text-sm">
+              {matches.map(usuario => (
+                <li key={usuario.id}>
+                  <button
+                    type="button"
+                    onClick={() => selectSubject(usuario)}
+                    aria-pressed={subject?.id === usuario.id}
+                    className={`w-full text-left p-3 hover:bg-gray-50 ${subject?.id === usuario.id ? 'bg-blue-50' : ''}`}
+                  >
+                    <span className="text-gray-900">{usuario.nombre}</span>
+                    <span className="block text-xs text-gray-500">
+                      {[usuario.documento, usuario.email, usuario.departamento].filter(Boolean).join(' · ')}
+                      {usuario.activo === false && ' · inactivo'}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {subject && exported && (
+          <>
+            <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-900">Solicitud</h2>
+              <div className="grid md:grid-cols-2 gap-4">
+                <div className="space-y-1">
+                  <label htmlFor="subject-reference" className="block text-sm font-medium text-gray-700">Radicado o referencia</label>
+                  <input
+                    id="subject-reference"
+                    type="text"
+                    value={request.referencia}
+                    onChange={(e) => setRequest(prev => ({ ...prev, referencia: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label htmlFor="subject-verification" className="block text-sm font-medium text-gray-700">Cómo se verificó la identidad *</label>
+                  <input
+                    id="subject-verification"
+                    type="text"
+                    value={request.verificacion}
+                    onChange={(e) => setRequest(prev => ({ ...prev, verificacion: e.target.value }))}
+                    placeholder="Ej. copia de la cédula recibida por correo corporativo"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+              {!verified && (
+                <p className="text-xs text-gray-500">Anota cómo se verificó la identidad para habilitar las acciones.</p>
+              )}
+            </section>
+
+            <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <h2 className="text-lg font-semibold text-gray-900">Datos de {subject.nombre}</h2>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleDownload('json')}
+                    disabled={working || !verified}
+                    className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Download className="w-4 h-4" />
+                    JSON
+                  </button>
+                  <button
+                    onClick={() => handleDownload('pdf')}
+                    disabled={working || !verified}
+                    className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <FileText className="w-4 h-4" />
+                    PDF
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {EXPORT_SECTIONS.map(({ key, title }) => (
+                  <Stat key={key} label={title} value={exported.resumen[key]} />
+                ))}
+              </div>
+            </section>
+
+            <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-900">Rectificación</h2>
+              <div className="grid md:grid-cols-3 gap-4">
+                {RECTIFIABLE_FIELDS.map(({ key, label, type }) => (
+                  <div key={key} className="space-y-1">
+                    <label htmlFor={`rectify-${key}`} className="block text-sm font-medium text-gray-700">{label}</label>
+                    <input
+                      id={`rectify-${key}`}
+                      type={type || 'text'}
+                      value={form[key]}
+                      onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+                      className={`w-full border rounded-lg px-3 py-2 text-sm ${changedFields.includes(key) ? 'border-amber-400 bg-amber-50' : 'border-gray-300'}`}
+                    />
+                  </div>
+                ))}
+              </div>
+              {rectification.errors.length > 0 && (
+                <ul className="text-xs text-red-600 list-disc list-inside">
+                  {rectification.errors.map(item => <li key={item}>{item}</li>)}
+                </ul>
+              )}
+              <div className="flex justify-end">
+                <button
+                  onClick={handleRectify}
+                  disabled={working || !verified || changedFields.length === 0 || rectification.errors.length > 0}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Save className="w-4 h-4" />
+                  Guardar rectificación
+                </button>
+              </div>
+            </section>
+
+            <section className="bg-white p-6 rounded-lg shadow-sm border border-red-200 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-900">Supresión</h2>
+              <div className="space-y-2" role="radiogroup" aria-label="Cómo suprimir los datos">
+                {Object.values(ERASURE_MODES).map(mode => (
+                  <label key={mode} className="flex items-start gap-2 text-sm">
+                    <input
+                      type="radio"
+                      name="erasure-mode"
+                      value={mode}
+                      checked={erasure.mode === mode}
+                      onChange={() => setErasure(prev => ({ ...prev, mode }))}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium text-gray-900">{ERASURE_MODE_LABELS[mode]}</span>
+                      <span className="block text-gray-600">{ERASURE_MODE_DESCRIPTIONS[mode]}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <div className="space-y-1">
+                <label htmlFor="erasure-confirmation" className="block text-sm font-medium text-gray-700">
+                  Escribe el documento del titular para confirmar
+                </label>
+                <input
+                  id="erasure-confirmation"
+                  type="text"
+                  value={erasure.confirmation}
+                  onChange={(e) => setErasure(prev => ({ ...prev, confirmation: e.target.value }))}
+                  autoComplete="off"
+                  className="w-full md:w-64 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                />
+              </div>
+              <div className="flex justify-end">
+                <button
+                  onClick={askErasure}
+                  disabled={working || erasureErrors.length > 0}
+                  className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Suprimir datos
+                </button>
+              </div>
+            </section>
+          </>
+        )}
+
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <h2 className="p-4 text-lg font-semibold text-gray-900 border-b border-gray-200">Recibos</h2>
+          {receipts.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">Aún no se ha atendido ninguna solicitud</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 px-4">Fecha</th>
+                    <th className="py-2 px-4">Solicitud</th>
+                    <th className="py-2 px-4">Referencia</th>
+                    <th className="py-2 px-4">Verificación</th>
+                    <th className="py-2 px-4">Detalle</th>
+                    <th className="py-2 px-4">Recibo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receipts.map(receipt => (
+                    <tr key={receipt.id} className="border-t border-gray-100">
+                      <td className="py-2 px-4">{formatDateTime(receipt.created_at)}</td>
+                      <td className="py-2 px-4">
+                        {SUBJECT_REQUEST_LABELS[receipt.tipo]}
+                        {receipt.modo && <span className="block text-xs text-gray-500">{ERASURE_MODE_LABELS[receipt.modo]}</span>}
+                      </td>
+                      <td className="py-2 px-4">{receipt.referencia || '—'}</td>
+                      <td className="py-2 px-4">{receipt.verificacion}</td>
+                      <td className="py-2 px-4 text-gray-600">{describeRequestDetail(receipt) || '—'}</td>
+                      <td className="py-2 px-4 font-mono text-xs text-gray-500">{receipt.id.slice(0, 8)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </div>
+
+      <AccessibleModal isOpen={confirmingErasure && Boolean(subject)} onClose={cancelErasure} title="Suprimir datos" size="sm">
+        <p className="text-sm text-gray-700">
+          Se suprimirán los datos de <strong>{subject?.nombre}</strong> ({ERASURE_MODE_LABELS[erasure.mode].toLowerCase()}).
+          No se puede deshacer.
+        </p>
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={cancelErasure} className="btn-secondary">
+            Cancelar
+          </button>
+          <button
+            type="button"
+            onClick={handleErase}
+            className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors"
+          >
+            Suprimir
+          </button>
+        </div>
+      </AccessibleModal>
+    </ErrorBoundary>
+  )
+}
+
+export default DataSubjectRequests
@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Ticket, ArrowLeft, Download, Printer, CheckCircle, EyeOff } from 'lucide-react'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { AnonymousSurveyService, ANONYMOUS_GROUPINGS } from '../../services/AnonymousSurveyService'
+import { InvitationService } from '../../services/InvitationService'
+import { PARTICIPATION_CODE_BATCH, summarizeParticipation, validateCodeCount } from '../../utils/anonymousSurvey'
+import { getRiskBandByKey } from '../../config/riskBands'
+import { MERGED_GROUP_LABEL, getMinGroupSize } from '../../config/anonymity'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-lg p-3">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-900">{value}</p>
+  </div>
+)
+
+/**
+ * Códigos de participación de una campaña anónima: generación de lotes, hoja
+ * y tarjetas para repartir, registro de participación y resultados agregados.
+ * Los códigos usados se borran y la participación solo se cuenta por día, así
+ * que no se puede cruzar con las respuestas.
+ */
+const ParticipationCodes = ({ campaign, onBack }) => {
+  const [codes, setCodes] = useState([])
+  const [usage, setUsage] = useState([])
+  const [results, setResults] = useState(null)
+  const [groupBy, setGroupBy] = useState('departamento')
+  const [count, setCount] = useState(PARTICIPATION_CODE_BATCH.DEFAULT)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const countError = validateCodeCount(count)
+  const participation = summarizeParticipation(codes, usage)
+
+  const loadCodes = useCallback(async () => {
+    const [pending, daily] = await Promise.all([
+      AnonymousSurveyService.listCodes(campaign.id),
+      AnonymousSurveyService.getParticipation(campaign.id)
+    ])
+    setCodes(pending)
+    setUsage(daily)
+  }, [campaign.id])
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        await loadCodes()
+      } catch (err) {
+        setError(getUserFriendlyMessage(err))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [loadCodes])
+
+  useEffect(() => {
+    AnonymousSurveyService.getResultsSummary(campaign.id, groupBy)
+      .then(setResults)
+      .catch(err => setError(getUserFriendlyMessage(err)))
+  }, [campaign.id, groupBy])
+
+  const run = async (action) => {
+    try {
+      setWorking(true)
+      setError(null)
+      setNotice(await action())
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleGenerate = () => run(async () => {
+    const created = await AnonymousSurveyService.generateCodes(campaign.id, count)
+    await loadCodes()
+    return `${created} códigos generados`
+  })
+
+  const handlePrintCards = () => run(async () => {
+    const printed = await InvitationService.downloadParticipationCards(codes, campaign)
+    return `${printed} tarjetas generadas. Mézclalas antes de repartirlas y no anotes a quién le toca cada una.`
+  })
+
+  const summaryRow = (name, summary, extra = null) => (
+    <tr key={name} className="border-t border-gray-100">
+      <td className="py-2 pr-4 text-gray-900">{name}{extra}</td>
+      <td className="py-2 pr-4 text-right">{summary.n}</td>
+      <td className="py-2 pr-4 w-48">
+        <div className="flex h-3 rounded overflow-hidden">
+          {Object.keys(summary.percentages).map(level => (
+            <div
+              key={level}
+              style={{ width: `${summary.percentages[level]}%`, backgroundColor: getRiskBandByKey(level)?.color }}
+              title={`${getRiskBandByKey(level)?.label || level}: ${summary.percentages[level].toFixed(1)}%`}
+            />
+          ))}
+        </div>
+      </td>
+      <td className="py-2 pr-4 text-right">{summary.highRisk.toFixed(1)}%</td>
+      <td className="py-2 text-right">{summary.meanRisk.toFixed(1)}%</td>
+    </tr>
+  )
+
+  if (loading) return <LoadingSpinner message="Cargando códigos..." />
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Ticket className="w-8 h-8 text-gray-700" />
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Códigos de participación</h1>
+            <p className="text-gray-600 mt-1 flex items-center gap-2">
+              {campaign.nombre}
+              <span className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800 flex items-center gap-1">
+                <EyeOff className="w-3 h-3" />
+                Anónima
+              </span>
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={onBack}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          Volver a campañas
+        </button>
+      </div>
+
+      {error && <div className="text-red-700" role="alert">{error}</div>}
+      {notice && (
+        <p className="flex items-center gap-2 text-sm text-green-700" role="status">
+          <CheckCircle className="w-4 h-4" />
+          {notice}
+        </p>
+      )}
+
+      <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Generar códigos</h2>
+        <p className="text-sm text-gray-600">
+          Cada código sirve para responder una vez. Genera uno por trabajador (y algunos de reserva), imprime las
+          tarjetas y repártelas al azar: el sistema no sabe a quién le tocó cada código y las respuestas se guardan
+          sin él.
+        </p>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label htmlFor="codigos-cantidad" className="block text-sm font-medium text-gray-700 mb-1">Cantidad</label>
+            <input
+              id="codigos-cantidad"
+              type="number"
+              min={PARTICIPATION_CODE_BATCH.MIN}
+              max={PARTICIPATION_CODE_BATCH.MAX}
+              value={count}
+              onChange={(e) => setCount(Number(e.target.value))}
+              className="w-28 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+          <button
+            onClick={handleGenerate}
+            disabled={working || Boolean(countError)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Ticket className="w-4 h-4" />
+            {working ? 'Generando...' : 'Generar códigos'}
+          </button>
+        </div>
+        {countError && <p className="text-xs text-red-600">{countError}</p>}
+      </section>
+
+      <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <h2 className="text-lg font-semibold text-gray-900">Participación</h2>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => InvitationService.downloadCodeSheet(codes, campaign)}
+              disabled={participation.pending === 0}
+              className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download className="w-4 h-4" />
+              Hoja de códigos
+            </button>
+            <button
+              onClick={handlePrintCards}
+              disabled={working || participation.pending === 0}
+              className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Printer className="w-4 h-4" />
+              Tarjetas QR (PDF)
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Stat label="Códigos generados" value={participation.generated} />
+          <Stat label="Respondidos" value={participation.used} />
+          <Stat label="Sin usar" value={participation.pending} />
+          <Stat label="Participación" value={participation.rate === null ? '—' : `${participation.rate.toFixed(1)}%`} />
+        </div>
+
+        {participation.byDay.length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Respuestas por día</h3>
+            <ul className="flex flex-wrap gap-2 text-xs text-gray-700">
+              {participation.byDay.map(({ day, count: used }) => (
+                <li key={day} className="px-2 py-1 rounded bg-gray-100">
+                  {new Date(`${day}T00:00:00`).toLocaleDateString('es-ES')}: {used}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </section>
+
+      <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <h2 className="text-lg font-semibold text-gray-900">Resultados anónimos</h2>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+            aria-label="Agrupar por"
+          >
+            {Object.entries(ANONYMOUS_GROUPINGS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {!results && <LoadingSpinner message="Calculando..." />}
+        {results && !results.total && (
+          <p className="text-center text-gray-500">
+            Aún no hay respuestas suficientes para mostrar resultados (mínimo {getMinGroupSize()}).
+          </p>
+        )}
+        {results?.total && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 pr-4">{results.groupLabel}</th>
+                  <th className="py-2 pr-4 text-right">n</th>
+                  <th className="py-2 pr-4">Distribución</th>
+                  <th className="py-2 pr-4 text-right">% riesgo alto</th>
+                  <th className="py-2 text-right">% de riesgo medio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.groups.map(group => summaryRow(
+                  group.name,
+                  group.summary,
+                  group.mergedGroups && <span className="text-xs text-gray-500"> ({group.mergedGroups} grupos)</span>
+                ))}
+                {summaryRow('Total', results.total)}
+              </tbody>
+            </table>
+            {results.suppressedGroups.length > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Los grupos con menos de {getMinGroupSize()} respuestas se combinan en &quot;{MERGED_GROUP_LABEL}&quot;
+                o no se muestran.
+              </p>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default ParticipationCodes
@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ShieldAlert, CheckCircle, XCircle, RotateCcw, Clock, AlertTriangle } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { ResponseQualityService } from '../../services/ResponseQualityService'
+import { QUALITY_FLAGS, REVIEW_STATUS, REVIEW_STATUS_LABELS } from '../../utils/responseQuality'
+import { getItemKey } from '../../data/instruments'
+import { getUserFriendlyMessage } from '../../utils/errorHandling'
+import { getLanguageName } from '../../i18n/languages'
+
+const QUEUE_TABS = [REVIEW_STATUS.PENDIENTE, REVIEW_STATUS.EXCLUIDA, REVIEW_STATUS.APROBADA]
+
+/**
+ * Detalle de una sesión marcada: alertas, tiempo y respuestas por ítem,
+ * resaltando los ítems espejo contradictorios
+ */
+const SessionDetail = ({ session, onReviewed }) => {
+  const [detail, setDetail] = useState(null)
+  const [nota, setNota] = useState(session.nota_revision || '')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let mounted = true
+    setDetail(null)
+    setError(null)
+    setNota(session.nota_revision || '')
+
+    ResponseQualityService.getSessionDetail(session)
+      .then(result => { if (mounted) setDetail(result) })
+      .catch(err => { if (mounted) setError(getUserFriendlyMessage(err)) })
+
+    return () => { mounted = false }
+  }, [session])
+
+  const review = async (estado) => {
+    try {
+      setSaving(true)
+      setError(null)
+      await ResponseQualityService.reviewSession(session.sesion_id, estado, nota)
+      onReviewed()
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const contradictoryItems = new Set(
+    (detail?.quality.contradictions || []).flatMap(c => [c.positive, c.negative])
+  )
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            {session.usuarios.nombre} {session.usuarios.apellido}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {session.usuarios.departamento || 'Sin departamento'} · {new Date(session.fecha_completado).toLocaleString('es-ES')} · {getLanguageName(session.idioma)}
+            {session.modo_asistido && ' · Modo asistido (lectura en voz alta)'}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-500">Calidad</p>
+          <p className="text-2xl font-bold text-gray-900">{Number(session.calidad_puntaje ?? 0).toFixed(0)}</p>
+        </div>
+      </div>
+
+      <ul className="space-y-2 mb-4">
+        {(session.calidad_alertas || []).map(flag => (
+          <li key={flag.code} className="flex items-start gap-2 text-sm">
+            <AlertTriangle className="w-4 h-4 text-orange-500 mt-0.5" />
+            <span>
+              <span className="font-medium text-gray-900">{QUALITY_FLAGS[flag.code]?.label || flag.code}</span>
+              <span className="text-gray-600"> — {flag.detail}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <p className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+        <Clock className="w-4 h-4" />
+        {session.tiempo_completado_segundos !== null
+          ? `${session.tiempo_completado_segundos} s para completar`
+          : 'Tiempo no registrado'}
+      </p>
+
+      {!detail && !error && <LoadingSpinner size="small" message="Cargando respuestas..." />}
+
+      {detail && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+          {detail.instrument.items.map(item => {
+            const value = detail.responses[getItemKey(item.id)]
+            const option = detail.instrument.scale.find(o => o.value === value)
+            return (
+              <div
+                key={item.id}
+                className={`text-sm p-2 rounded border ${
+                  contradictoryItems.has(item.id) ? 'border-red-300 bg-red-50' : 'border-gray-100'
+                }`}
+              >
+                <span className="font-semibold">{item.id}.</span> {item.shortLabel}:{' '}
+                <span className="font-medium">{option?.label ?? '—'}</span>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="nota-revision">Nota</label>
+      <textarea
+        id="nota-revision"
+        value={nota}
+        onChange={(e) => setNota(e.target.value)}
+        rows={2}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm mb-4"
+        placeholder="Motivo de la decisión (opcional)"
+      />
+
+      {error && <p className="text-sm text-red-700 mb-3" role="alert">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        {session.estado_revision !== REVIEW_STATUS.PENDIENTE && (
+          <button
+            onClick={() => review(REVIEW_STATUS.PENDIENTE)}
+            disabled={saving}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2 disabled:opacity-50"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reabrir
+          </button>
+        )}
+        {session.estado_revision !== REVIEW_STATUS.APROBADA && (
+          <button
+            onClick={() => review(REVIEW_STATUS.APROBADA)}
+            disabled={saving}
+            className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 flex items-center gap-2 disabled:opacity-50"
+          >
+            <CheckCircle className="w-4 h-4" />
+            Aprobar
+          </button>
+        )}
+        {session.estado_revision !== REVIEW_STATUS.EXCLUIDA && (
+          <button
+            onClick={() => review(REVIEW_STATUS.EXCLUIDA)}
+            disabled={saving}
+            className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 flex items-center gap-2 disabled:opacity-50"
+          >
+            <XCircle className="w-4 h-4" />
+            Excluir
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Cola de revisión de calidad de respuestas.
+ * Las sesiones aprobadas vuelven a contar en los dashboards; las pendientes y
+ * excluidas se omiten cuando el filtro "Excluir sesiones marcadas" está activo.
+ */
+const QualityReview = () => {
+  const [estado, setEstado] = useState(REVIEW_STATUS.PENDIENTE)
+  const [sessions, setSessions] = useState([])
+  const [counts, setCounts] = useState({})
+  const [selected, setSelected] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [queue, totals] = await Promise.all([
+        ResponseQualityService.getReviewQueue(estado),
+        ResponseQualityService.getReviewCounts()
+      ])
+      setSessions(queue)
+      setCounts(totals)
+      setSelected(current => queue.find(s => s.sesion_id === current?.sesion_id) || queue[0] || null)
+    } catch (err) {
+      setError(getUserFriendlyMessage(err))
+    } finally {
+      setLoading(false)
+    }
+  }, [estado])
+
+  useEffect(() => {
+    loadQueue()
+  }, [loadQueue])
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center gap-3">
+          <ShieldAlert className="w-8 h-8 text-gray-700" />
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Calidad de Respuestas</h1>
+            <p className="text-gray-600 mt-1">
+              Sesiones con respuestas demasiado rápidas, invariables o contradictorias
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          {QUEUE_TABS.map(tab => (
+            <button
+              key={tab}
+              onClick={() => setEstado(tab)}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                estado === tab ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {REVIEW_STATUS_LABELS[tab]} ({counts[tab] ?? 0})
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="text-red-700" role="alert">{error}</div>}
+
+        {loading ? (
+          <LoadingSpinner message="Cargando cola de revisión..." />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+              {sessions.length === 0 && (
+                <p className="p-6 text-center text-gray-500">No hay sesiones en este estado</p>
+              )}
+              {sessions.map(session => (
+                <button
+                  key={session.sesion_id}
+                  onClick={() => setSelected(session)}
+                  className={`w-full text-left p-4 hover:bg-gray-50 ${
+                    selected?.sesion_id === session.sesion_id ? 'bg-blue-50' : ''
+                  }`}
+                >
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-900">
+                      {session.usuarios.nombre} {session.usuarios.apellido}
+                    </span>
+                    <span className="text-sm text-gray-500">{Number(session.calidad_puntaje ?? 0).toFixed(0)}</span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {(session.calidad_alertas || []).map(flag => QUALITY_FLAGS[flag.code]?.label || flag.code).join(' · ')}
+                  </p>
+                </button>
+              ))}
+            </div>
+
+            <div className="lg:col-span-2">
+              {selected && <SessionDetail session={selected} onReviewed={loadQueue} />}
+            </div>
+          </div>
+        )}
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default QualityReview
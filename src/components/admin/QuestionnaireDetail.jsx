@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { 
   ArrowLeft, 
@@ -11,7 +11,11 @@ import {
   Edit
 } from 'lucide-react'
 import { supabase } from '../../api/supabase'
-import { questions, likertOptions } from '../../data/questions'
+import { getCurrentInstrument, getFactorModels, getInstrumentById, getInstrumentQuestions } from '../../data/instruments'
+import { analyzeStoredResponses } from '../../utils/ghq12Calculator'
+import { AuditService } from '../../services/AuditService'
+import { AUDIT_ACTIONS, AUDIT_ORIGINS } from '../../utils/audit'
+import GraficoRadar from './dashboard/GraficoRadar'
 
 const QuestionnaireDetail = () => {
   const { id } = useParams()
@@ -20,12 +24,17 @@ const QuestionnaireDetail = () => {
   const [usuario, setUsuario] = useState(null)
   const [respuestas, setRespuestas] = useState([])
   const [error, setError] = useState(null)
+  const [exportError, setExportError] = useState(null)
+  const [modeloFactorial, setModeloFactorial] = useState(getFactorModels(getCurrentInstrument())[0]?.key)
 
   useEffect(() => {
     const cargarDetalle = async () => {
       try {
         setLoading(true)
-        
+
+        // Sin registro de la consulta no se muestran los datos
+        await AuditService.logRead({ action: AUDIT_ACTIONS.VER, titularId: id, origin: AUDIT_ORIGINS.DETALLE })
+
         // Obtener datos del usuario
         const { data: usuarioData, error: usuarioError } = await supabase
           .from('usuarios')
@@ -59,6 +68,21 @@ const QuestionnaireDetail = () => {
     }
   }, [id])
 
+  // Textos y escala de la versión del instrumento con la que respondió el usuario
+  const instrument = useMemo(() => {
+    const cuestionarioId = respuestas.find(r => r.cuestionario_id)?.cuestionario_id
+    return getInstrumentById(cuestionarioId) || getCurrentInstrument()
+  }, [respuestas])
+  const questions = useMemo(() => getInstrumentQuestions(instrument), [instrument])
+  const likertOptions = instrument.scale
+  const modelosFactoriales = getFactorModels(instrument)
+
+  // Subescalas de la última sesión del usuario
+  const subescalas = useMemo(() => {
+    const analisis = analyzeStoredResponses(respuestas)
+    return analisis.success ? analisis.score.factorScores : null
+  }, [respuestas])
+
   const calcularEstadisticas = () => {
     if (respuestas.length === 0) return null
 
@@ -93,9 +117,17 @@ const QuestionnaireDetail = () => {
     }
   }
 
-  const exportarDatos = () => {
+  const exportarDatos = async () => {
     if (!usuario || respuestas.length === 0) return
 
+    try {
+      setExportError(null)
+      await AuditService.logRead({ action: AUDIT_ACTIONS.EXPORTAR, titularId: id, origin: AUDIT_ORIGINS.DETALLE })
+    } catch (err) {
+      setExportError(err.message)
+      return
+    }
+
     const datos = respuestas.map(respuesta => {
       const pregunta = questions.find(q => q.id === respuesta.pregunta_id)
       const opcion = likertOptions.find(o => o.value === respuesta.respuesta)
@@ -104,6 +136,11 @@ const QuestionnaireDetail = () => {
         'Pregunta ID': respuesta.pregunta_id,
         'Pregunta': pregunta?.text || 'N/A',
         'Dimensión': pregunta?.dimension || 'N/A',
+        ...modelosFactoriales.reduce((acc, modelo) => {
+          const factor = modelo.factors.find(f => f.items.includes(respuesta.pregunta_id))
+          acc[`Factor ${modelo.key}`] = factor?.name || 'N/A'
+          return acc
+        }, {}),
         'Respuesta Valor': respuesta.respuesta,
         'Respuesta Texto': opcion?.label || 'N/A',
         'Fecha Respuesta': new Date(respuesta.fecha_respuesta).toLocaleString('es-ES')
@@ -207,6 +244,7 @@ const QuestionnaireDetail = () => {
               </button>
             </div>
           </div>
+          {exportError && <p className="text-sm text-red-700 mt-2" role="alert">{exportError}</p>}
         </div>
 
         {/* Información Personal */}
@@ -335,6 +373,48 @@ const QuestionnaireDetail = () => {
           </div>
         )}
 
+        {/* Subescalas */}
+        {subescalas?.[modeloFactorial] && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-lg font-semibold text-gray-900">Subescalas GHQ-12</h3>
+              <div className="flex gap-2">
+                {modelosFactoriales.map(modelo => (
+                  <button
+                    key={modelo.key}
+                    onClick={() => setModeloFactorial(modelo.key)}
+                    className={`px-3 py-1 rounded-full text-sm border ${
+                      modeloFactorial === modelo.key ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {modelo.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <GraficoRadar
+                titulo="Malestar medio por factor (0-3)"
+                datos={Object.fromEntries(Object.entries(subescalas[modeloFactorial]).map(([key, factor]) => (
+                  [key, { nombre: factor.name, promedio: factor.meanDistress }]
+                )))}
+              />
+              <div className="space-y-4">
+                {Object.entries(subescalas[modeloFactorial]).map(([key, factor]) => (
+                  <div key={key} className="p-4 border border-gray-200 rounded-lg">
+                    <h4 className="font-medium text-gray-900 mb-2">{factor.name}</h4>
+                    <div className="flex justify-between items-center">
+                      <span className="text-2xl font-bold text-gray-700">{factor.score} / {factor.maxScore}</span>
+                      <span className="text-sm text-gray-500">{factor.distressPercentage.toFixed(0)}% de malestar</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Lista de Respuestas */}
         {respuestas.length > 0 && (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
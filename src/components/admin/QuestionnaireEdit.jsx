@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { 
   ArrowLeft, 
@@ -9,7 +9,9 @@ import {
   CheckCircle
 } from 'lucide-react'
 import { supabase } from '../../api/supabase'
-import { questions, likertOptions } from '../../data/questions'
+import { getCurrentInstrument, getInstrumentById, getInstrumentQuestions } from '../../data/instruments'
+import { AuditService } from '../../services/AuditService'
+import { AUDIT_ACTIONS, AUDIT_ORIGINS, getAnswerChanges } from '../../utils/audit'
 import LoadingSpinner from '../ui/LoadingSpinner'
 
 const QuestionnaireEdit = () => {
@@ -18,63 +20,75 @@ const QuestionnaireEdit = () => {
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState(null)
+  const [saveError, setSaveError] = useState(null)
   const [persona, setPersona] = useState(null)
+  const [sesion, setSesion] = useState(null)
   const [respuestas, setRespuestas] = useState({})
   const [originalRespuestas, setOriginalRespuestas] = useState({})
-  const [hasChanges, setHasChanges] = useState(false)
+  const [motivo, setMotivo] = useState('')
 
   useEffect(() => {
     cargarDatos()
   }, [id])
 
-  useEffect(() => {
-    // Detectar cambios
-    const cambios = Object.keys(respuestas).some(preguntaId => {
-      return respuestas[preguntaId] !== originalRespuestas[preguntaId]
-    })
-    setHasChanges(cambios)
-  }, [respuestas, originalRespuestas])
+  // Solo se envían las respuestas que cambian; null borra la respuesta
+  const cambios = useMemo(() => getAnswerChanges(originalRespuestas, respuestas), [originalRespuestas, respuestas])
+  const hasChanges = Object.keys(cambios).length > 0
+
+  // Textos y escala de la versión del instrumento con la que respondió el usuario
+  const instrument = useMemo(
+    () => getInstrumentById(sesion?.cuestionarioId) || getCurrentInstrument(),
+    [sesion]
+  )
+  const questions = useMemo(() => getInstrumentQuestions(instrument), [instrument])
 
   const cargarDatos = async () => {
     try {
       setLoading(true)
       setError(null)
 
-      // Cargar datos de la persona
-      const { data: personaData, error: personaError } = await supabase
-        .from('personas')
+      // Sin registro de la consulta no se muestran los datos
+      await AuditService.logRead({ action: AUDIT_ACTIONS.VER, titularId: id, origin: AUDIT_ORIGINS.EDICION })
+
+      // Cargar datos del usuario
+      const { data: usuarioData, error: usuarioError } = await supabase
+        .from('usuarios')
         .select('*')
         .eq('id', id)
-        .single()
+        .maybeSingle()
 
-      if (personaError) {
-        throw new Error(`Error al cargar persona: ${personaError.message}`)
+      if (usuarioError) {
+        throw new Error(`Error al cargar usuario: ${usuarioError.message}`)
       }
 
-      if (!personaData) {
-        throw new Error('Persona no encontrada')
-      }
-
-      setPersona(personaData)
+      setPersona(usuarioData)
+      if (!usuarioData) return
 
-      // Cargar respuestas de la persona
+      // Cargar respuestas del usuario; se edita su última sesión
       const { data: respuestasData, error: respuestasError } = await supabase
-        .from('respuestas')
-        .select('*')
-        .eq('persona_id', id)
+        .from('respuestas_cuestionario')
+        .select('pregunta_id, respuesta, cuestionario_id, sesion_id, fecha_respuesta')
+        .eq('usuario_id', id)
+        .order('fecha_respuesta', { ascending: false })
 
       if (respuestasError) {
         throw new Error(`Error al cargar respuestas: ${respuestasError.message}`)
       }
 
+      const ultima = respuestasData?.find(resp => resp.sesion_id)
+      if (!ultima) {
+        throw new Error('El usuario no tiene respuestas para editar')
+      }
+
       // Convertir respuestas a objeto para fácil manejo
       const respuestasObj = {}
-      if (respuestasData) {
-        respuestasData.forEach(resp => {
+      respuestasData
+        .filter(resp => resp.sesion_id === ultima.sesion_id)
+        .forEach(resp => {
           respuestasObj[resp.pregunta_id] = resp.respuesta
         })
-      }
-      
+
+      setSesion({ id: ultima.sesion_id, cuestionarioId: ultima.cuestionario_id })
       setRespuestas(respuestasObj)
       setOriginalRespuestas({ ...respuestasObj })
 
@@ -89,108 +103,21 @@ const QuestionnaireEdit = () => {
   const handleRespuestaChange = (preguntaId, valor) => {
     setRespuestas(prev => ({
       ...prev,
-      [preguntaId]: parseInt(valor)
+      [preguntaId]: parseInt(valor, 10)
     }))
   }
 
   const guardarCambios = async () => {
     try {
       setSaving(true)
-      setError(null)
-
-      // Preparar las respuestas para guardar
-      const respuestasParaGuardar = []
-      const respuestasParaActualizar = []
-      const respuestasParaEliminar = []
-
-      // Procesar cada pregunta
-      questions.forEach(pregunta => {
-        const preguntaId = pregunta.id
-        const nuevaRespuesta = respuestas[preguntaId]
-        const respuestaOriginal = originalRespuestas[preguntaId]
-
-        if (nuevaRespuesta !== undefined && nuevaRespuesta !== null) {
-          if (respuestaOriginal !== undefined) {
-            // Actualizar respuesta existente
-            if (nuevaRespuesta !== respuestaOriginal) {
-              respuestasParaActualizar.push({
-                persona_id: id,
-                pregunta_id: preguntaId,
-                respuesta: nuevaRespuesta
-              })
-            }
-          } else {
-            // Crear nueva respuesta
-            respuestasParaGuardar.push({
-              persona_id: id,
-              pregunta_id: preguntaId,
-              respuesta: nuevaRespuesta
-            })
-          }
-        } else if (respuestaOriginal !== undefined) {
-          // Eliminar respuesta (si se dejó en blanco)
-          respuestasParaEliminar.push(preguntaId)
-        }
-      })
+      setSaveError(null)
 
-      // Ejecutar operaciones en la base de datos
-      if (respuestasParaGuardar.length > 0) {
-        const { error: insertError } = await supabase
-          .from('respuestas')
-          .insert(respuestasParaGuardar)
-        
-        if (insertError) {
-          throw new Error(`Error al insertar respuestas: ${insertError.message}`)
-        }
-      }
-
-      if (respuestasParaActualizar.length > 0) {
-        for (const respuesta of respuestasParaActualizar) {
-          const { error: updateError } = await supabase
-            .from('respuestas')
-            .update({ respuesta: respuesta.respuesta })
-            .eq('persona_id', respuesta.persona_id)
-            .eq('pregunta_id', respuesta.pregunta_id)
-          
-          if (updateError) {
-            throw new Error(`Error al actualizar respuesta: ${updateError.message}`)
-          }
-        }
-      }
-
-      if (respuestasParaEliminar.length > 0) {
-        const { error: deleteError } = await supabase
-          .from('respuestas')
-          .delete()
-          .eq('persona_id', id)
-          .in('pregunta_id', respuestasParaEliminar)
-        
-        if (deleteError) {
-          throw new Error(`Error al eliminar respuestas: ${deleteError.message}`)
-        }
-      }
-
-      // Actualizar estado de completado si es necesario
-      const totalRespuestas = Object.keys(respuestas).filter(key => respuestas[key] !== undefined && respuestas[key] !== null).length
-      const completado = totalRespuestas === questions.length
-      
-      if (persona.completado !== completado) {
-        const { error: updatePersonaError } = await supabase
-          .from('personas')
-          .update({ 
-            completado,
-            fecha_completado: completado ? new Date().toISOString() : null
-          })
-          .eq('id', id)
-        
-        if (updatePersonaError) {
-          throw new Error(`Error al actualizar estado: ${updatePersonaError.message}`)
-        }
-      }
+      // La base de datos recalcula los puntajes y el resultado de la sesión, y deja cada cambio en la auditoría
+      await AuditService.editAnswers(id, sesion.id, cambios, motivo)
 
       // Actualizar estado local
       setOriginalRespuestas({ ...respuestas })
-      setHasChanges(false)
+      setMotivo('')
       
       // Mostrar mensaje de éxito y redirigir
       alert('✅ Cambios guardados exitosamente')
@@ -198,7 +125,7 @@ const QuestionnaireEdit = () => {
 
     } catch (error) {
       console.error('Error guardando cambios:', error)
-      setError(error.message)
+      setSaveError(error.message)
     } finally {
       setSaving(false)
     }
@@ -262,6 +189,10 @@ const QuestionnaireEdit = () => {
     )
   }
 
+  // El resultado se recalcula con la sesión completa
+  const completa = questions.every(pregunta => respuestas[pregunta.id] !== undefined)
+  const canSave = hasChanges && completa && motivo.trim().length > 0 && !saving
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-4xl mx-auto px-4 py-8">
@@ -284,7 +215,7 @@ const QuestionnaireEdit = () => {
                 <div className="flex items-center text-gray-600 space-x-6">
                   <div className="flex items-center">
                     <User className="h-5 w-5 mr-2" />
-                    <span className="font-medium">{persona.nombres} {persona.apellidos}</span>
+                    <span className="font-medium">{persona.nombre}</span>
                   </div>
                   <div className="flex items-center">
                     <FileText className="h-5 w-5 mr-2" />
@@ -303,9 +234,9 @@ const QuestionnaireEdit = () => {
                 </button>
                 <button
                   onClick={guardarCambios}
-                  disabled={!hasChanges || saving}
+                  disabled={!canSave}
                   className={`px-6 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
-                    hasChanges && !saving
+                    canSave
                       ? 'bg-blue-600 text-white hover:bg-blue-700'
                       : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                   }`}
@@ -333,6 +264,28 @@ const QuestionnaireEdit = () => {
                 </div>
               </div>
             )}
+
+            <div className="mt-4">
+              <label htmlFor="motivo-edicion" className="block text-sm font-medium text-gray-700 mb-1">
+                Motivo del cambio *
+              </label>
+              <textarea
+                id="motivo-edicion"
+                value={motivo}
+                onChange={(e) => setMotivo(e.target.value)}
+                rows={2}
+                placeholder="Ej. el trabajador reportó un error al marcar la pregunta 4"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Cada cambio queda en la auditoría con sus valores anteriores y este motivo. El puntaje y el
+                nivel de riesgo de la sesión se recalculan con las respuestas corregidas.
+              </p>
+            </div>
+
+            {saveError && (
+              <p className="mt-3 text-sm text-red-700" role="alert">{saveError}</p>
+            )}
           </div>
         </div>
 
@@ -344,7 +297,7 @@ const QuestionnaireEdit = () => {
               Respuestas del Cuestionario
             </h2>
             <p className="text-gray-600 mt-1">
-              Modifica las respuestas según sea necesario. Los cambios se guardarán automáticamente.
+              Modifica las respuestas de la última sesión según sea necesario.
             </p>
           </div>
           
@@ -362,11 +315,11 @@ const QuestionnaireEdit = () => {
                     </div>
                     
                     <div className="space-y-3">
-                      {likertOptions.map((opcion, opcionIndex) => (
+                      {instrument.scale.map(opcion => (
                         <label
-                          key={opcionIndex}
+                          key={opcion.value}
                           className={`flex items-center p-3 rounded-lg border-2 cursor-pointer transition-all ${
-                            respuestaActual === opcionIndex
+                            respuestaActual === opcion.value
                               ? 'border-blue-500 bg-blue-50'
                               : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
                           }`}
@@ -374,47 +327,37 @@ const QuestionnaireEdit = () => {
                           <input
                             type="radio"
                             name={`pregunta-${pregunta.id}`}
-                            value={opcionIndex}
-                            checked={respuestaActual === opcionIndex}
+                            value={opcion.value}
+                            checked={respuestaActual === opcion.value}
                             onChange={(e) => handleRespuestaChange(pregunta.id, e.target.value)}
                             className="sr-only"
                           />
                           <div className={`w-4 h-4 rounded-full border-2 mr-3 flex items-center justify-center ${
-                            respuestaActual === opcionIndex
+                            respuestaActual === opcion.value
                               ? 'border-blue-500 bg-blue-500'
                               : 'border-gray-300'
                           }`}>
-                            {respuestaActual === opcionIndex && (
+                            {respuestaActual === opcion.value && (
                               <CheckCircle className="w-3 h-3 text-white" />
                             )}
                           </div>
                           <span className={`flex-1 ${
-                            respuestaActual === opcionIndex
+                            respuestaActual === opcion.value
                               ? 'text-blue-900 font-medium'
                               : 'text-gray-700'
                           }`}>
-                            {opcion.text}
+                            {opcion.label}
                           </span>
                           <span className={`text-sm ${
-                            respuestaActual === opcionIndex
+                            respuestaActual === opcion.value
                               ? 'text-blue-700'
                               : 'text-gray-500'
                           }`}>
-                            ({opcionIndex} pts)
+                            ({opcion.value} pts)
                           </span>
                         </label>
                       ))}
                     </div>
-                    
-                    {/* Opción para limpiar respuesta */}
-                    {respuestaActual !== undefined && (
-                      <button
-                        onClick={() => handleRespuestaChange(pregunta.id, undefined)}
-                        className="mt-3 text-sm text-red-600 hover:text-red-800 transition-colors"
-                      >
-                        Limpiar respuesta
-                      </button>
-                    )}
                   </div>
                 )
               })}
@@ -432,9 +375,9 @@ const QuestionnaireEdit = () => {
           </button>
           <button
             onClick={guardarCambios}
-            disabled={!hasChanges || saving}
+            disabled={!canSave}
             className={`px-8 py-3 rounded-lg transition-colors flex items-center space-x-2 ${
-              hasChanges && !saving
+              canSave
                 ? 'bg-blue-600 text-white hover:bg-blue-700'
                 : 'bg-gray-300 text-gray-500 cursor-not-allowed'
             }`}
@@ -1,14 +1,15 @@
 import React, { useMemo } from 'react'
 import PropTypes from 'prop-types'
 import { FileText, CheckCircle, XCircle } from 'lucide-react'
-import { questions, likertOptions } from '../../../data/questions'
+import { getCurrentInstrument, getInstrumentById } from '../../../data/instruments'
 import { getHealthLevelConfig } from '../../../utils/healthCalculations'
 
 // Constants
+const CURRENT_INSTRUMENT = getCurrentInstrument()
 const QUESTIONNAIRE_CONFIG = {
-  TOTAL_QUESTIONS: 12,
-  MAX_SCORE: 36,
-  QUESTIONNAIRE_NAME: 'GHQ-12'
+  TOTAL_QUESTIONS: CURRENT_INSTRUMENT.items.length,
+  MAX_SCORE: CURRENT_INSTRUMENT.scoring.maxTotal,
+  QUESTIONNAIRE_NAME: CURRENT_INSTRUMENT.code
 }
 
 // Extracted component for health level summary
@@ -63,19 +64,25 @@ const ResponsesSection = ({ respuestas, nivelSalud }) => {
     }, {})
   }, [validRespuestas])
 
+  // Las respuestas se muestran con la versión del instrumento con la que se contestaron
+  const instrument = useMemo(() => {
+    const cuestionarioId = validRespuestas.find(r => r.cuestionario_id)?.cuestionario_id
+    return getInstrumentById(cuestionarioId) || CURRENT_INSTRUMENT
+  }, [validRespuestas])
+
   const likertOptionsMap = useMemo(() => {
-    return likertOptions.reduce((map, option) => {
+    return instrument.scale.reduce((map, option) => {
       map[option.value] = option
       return map
     }, {})
-  }, [])
+  }, [instrument])
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200">
       <div className="p-6 border-b border-gray-200">
         <h2 className="text-xl font-semibold text-gray-900 flex items-center justify-center">
           <FileText className="h-6 w-6 mr-2" aria-hidden="true" />
-          Respuestas Detalladas ({validRespuestas.length}/{QUESTIONNAIRE_CONFIG.TOTAL_QUESTIONS})
+          Respuestas Detalladas ({validRespuestas.length}/{instrument.items.length})
         </h2>
       </div>
 
@@ -97,7 +104,7 @@ const ResponsesSection = ({ respuestas, nivelSalud }) => {
 
             {/* Detailed Responses - 2 Column Layout */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {questions.map((pregunta, index) => {
+            {instrument.items.map((pregunta, index) => {
               const respuesta = respuestasMap[pregunta.id]
               const opcionSeleccionada = respuesta ? likertOptionsMap[respuesta.respuesta] : null
               const questionNumber = index + 1
@@ -120,7 +127,7 @@ const ResponsesSection = ({ respuestas, nivelSalud }) => {
                     </div>
                     <div className="ml-4 text-right">
                       <span className="text-sm text-gray-500">
-                        Pregunta {questionNumber}/{QUESTIONNAIRE_CONFIG.TOTAL_QUESTIONS}
+                        Pregunta {questionNumber}/{instrument.items.length}
                       </span>
                     </div>
                   </div>
@@ -184,4 +191,4 @@ ResponsesSection.propTypes = {
   })
 }
 
-export default React.memo(ResponsesSection)
\ No newline at end of file
+export default React.memo(ResponsesSection)
\ No newline at end of file
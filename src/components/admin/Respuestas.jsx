@@ -158,11 +158,9 @@ const Respuestas = () => {
               className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="todos">Todos los niveles</option>
-              <option value="bajo">Bajo</option>
-              <option value="moderado">Moderado</option>
-              <option value="alto">Alto</option>
-              <option value="muy_alto">Muy Alto</option>
-              <option value="sin_datos">Sin datos</option>
+              {Object.values(HEALTH_LEVELS).map(level => (
+                <option key={level.key} value={level.key}>{level.label}</option>
+              ))}
             </select>
           </div>
           
@@ -280,7 +278,7 @@ const Respuestas = () => {
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <HealthLevelBadge nivel={respuesta.nivel} />
+                          <HealthLevelBadge level={respuesta.nivel} />
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                           <button
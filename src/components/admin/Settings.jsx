@@ -0,0 +1,36 @@
+import { Settings as SettingsIcon } from 'lucide-react'
+import ErrorBoundary from '../ui/ErrorBoundary'
+import ScoringMethodSettings from './settings/ScoringMethodSettings'
+import RiskBandSettings from './settings/RiskBandSettings'
+import AnonymityThresholdSettings from './settings/AnonymityThresholdSettings'
+import KioskSettings from './settings/KioskSettings'
+import ConsentSettings from './settings/ConsentSettings'
+import RetentionSettings from './settings/RetentionSettings'
+
+/**
+ * Configuración de la organización
+ */
+const Settings = () => {
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        <div className="flex items-center gap-3">
+          <SettingsIcon className="w-8 h-8 text-gray-700" />
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Configuración</h1>
+            <p className="text-gray-600 mt-1">Ajustes del sistema aplicados a toda la organización</p>
+          </div>
+        </div>
+
+        <ScoringMethodSettings />
+        <RiskBandSettings />
+        <AnonymityThresholdSettings />
+        <ConsentSettings />
+        <RetentionSettings />
+        <KioskSettings />
+      </div>
+    </ErrorBoundary>
+  )
+}
+
+export default Settings
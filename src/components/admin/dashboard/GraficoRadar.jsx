@@ -9,11 +9,15 @@ import {
   Tooltip,
 } from 'recharts';
 
-const GraficoRadar = ({ datos, titulo }) => {
+/**
+ * Radar de promedios por categoría o subescala.
+ * `datos`: { [clave]: { nombre, promedio } }; `maximo` es el valor máximo del eje.
+ */
+const GraficoRadar = ({ datos, titulo, maximo = 3, color = '#3B82F6' }) => {
   const dataForChart = Object.values(datos).map(categoria => ({
     subject: categoria.nombre,
     A: categoria.promedio,
-    fullMark: 3,
+    fullMark: maximo,
   }));
 
   return (
@@ -23,12 +27,12 @@ const GraficoRadar = ({ datos, titulo }) => {
         <RadarChart cx="50%" cy="50%" outerRadius="80%" data={dataForChart}>
           <PolarGrid />
           <PolarAngleAxis dataKey="subject" />
-          <PolarRadiusAxis angle={30} domain={[0, 3]} />
+          <PolarRadiusAxis angle={30} domain={[0, maximo]} />
           <Radar
             name="Promedio"
             dataKey="A"
-            stroke="#3B82F6"
-            fill="#3B82F6"
+            stroke={color}
+            fill={color}
             fillOpacity={0.6}
           />
           <Tooltip />
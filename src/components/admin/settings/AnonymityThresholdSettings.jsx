@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react'
+import { EyeOff, Save, CheckCircle, AlertTriangle } from 'lucide-react'
+import { SettingsService } from '../../../services/SettingsService'
+import { MIN_GROUP_SIZE_LIMITS, MERGED_GROUP_LABEL, validateMinGroupSize } from '../../../config/anonymity'
+import { getUserFriendlyMessage } from '../../../utils/errorHandling'
+import LoadingSpinner from '../../ui/LoadingSpinner'
+
+/**
+ * Mínimo de participantes por grupo en heatmaps, gráficos y exportaciones
+ */
+const AnonymityThresholdSettings = () => {
+  const [threshold, setThreshold] = useState('')
+  const [savedThreshold, setSavedThreshold] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    const loadThreshold = async () => {
+      try {
+        const current = await SettingsService.getAnonymityThreshold()
+        setThreshold(String(current))
+        setSavedThreshold(current)
+      } catch (error) {
+        setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadThreshold()
+  }, [])
+
+  const value = Number(threshold)
+  const validationError = threshold === '' ? 'Indica un número de participantes' : validateMinGroupSize(value)
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setMessage(null)
+      await SettingsService.setAnonymityThreshold(value)
+      setSavedThreshold(value)
+      setMessage({ type: 'success', text: 'Umbral de anonimato actualizado' })
+    } catch (error) {
+      setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center gap-3 mb-4">
+        <EyeOff className="w-6 h-6 text-blue-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Umbral de anonimato</h2>
+          <p className="text-sm text-gray-600">
+            Los grupos con menos participantes se combinan en &quot;{MERGED_GROUP_LABEL}&quot; o se ocultan
+            en heatmaps, gráficos y exportaciones
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="small" message="Cargando umbral de anonimato..." />
+      ) : (
+        <div className="space-y-2">
+          <label htmlFor="anonymity-threshold" className="block text-sm font-medium text-gray-700">
+            Participantes mínimos por grupo
+          </label>
+          <input
+            id="anonymity-threshold"
+            type="number"
+            min={MIN_GROUP_SIZE_LIMITS.MIN}
+            max={MIN_GROUP_SIZE_LIMITS.MAX}
+            step="1"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="w-32 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            aria-invalid={Boolean(validationError)}
+          />
+          <p className="text-xs text-gray-500">
+            Si ocultar un grupo permitiera deducirlo restando de los totales, también se combina el
+            siguiente grupo más pequeño. Valor recomendado: {MIN_GROUP_SIZE_LIMITS.DEFAULT}.
+          </p>
+          {validationError && <p className="text-xs text-red-600">{validationError}</p>}
+        </div>
+      )}
+
+      {message && (
+        <div
+          className={`mt-4 flex items-center gap-2 text-sm ${
+            message.type === 'success' ? 'text-green-700' : 'text-red-700'
+          }`}
+          role="status"
+        >
+          {message.type === 'success' ? <CheckCircle className="w-4 h-4" /> : <AlertTriangle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={loading || saving || Boolean(validationError) || value === savedThreshold}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Guardando...' : 'Guardar'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default AnonymityThresholdSettings
@@ -0,0 +1,224 @@
+import { useState, useEffect } from 'react'
+import { ShieldCheck, Send, CheckCircle, AlertTriangle, History } from 'lucide-react'
+import { ConsentService } from '../../../services/ConsentService'
+import { CONSENT_LANGUAGES, validateConsentDraft } from '../../../utils/consent'
+import { getLanguageName } from '../../../i18n/languages'
+import { getUserFriendlyMessage } from '../../../utils/errorHandling'
+import LoadingSpinner from '../../ui/LoadingSpinner'
+import AccessibleModal, { useModal } from '../../ui/AccessibleModal'
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—')
+
+const toDraft = (version) => ({
+  titulo: version?.titulo || '',
+  textos: CONSENT_LANGUAGES.reduce((acc, language) => ({ ...acc, [language]: version?.textos?.[language] || '' }), {}),
+  cambios: ''
+})
+
+/**
+ * Texto del consentimiento informado que se muestra antes de responder. Cada
+ * cambio se publica como una versión nueva; las anteriores quedan en el
+ * historial porque cada aceptación registrada apunta a la versión que se leyó
+ */
+const ConsentSettings = () => {
+  const [versions, setVersions] = useState([])
+  const [draft, setDraft] = useState(toDraft(null))
+  const [language, setLanguage] = useState(CONSENT_LANGUAGES[0])
+  const [showHistory, setShowHistory] = useState(false)
+  const [touched, setTouched] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+  const { isOpen: confirming, openModal: askConfirmation, closeModal: cancelConfirmation } = useModal()
+
+  const current = versions[0] || null
+  const nextVersion = (current?.version || 0) + 1
+
+  useEffect(() => {
+    const loadVersions = async () => {
+      try {
+        const rows = await ConsentService.listVersions()
+        setVersions(rows)
+        setDraft(toDraft(rows[0]))
+      } catch (error) {
+        setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadVersions()
+  }, [])
+
+  const errors = validateConsentDraft(draft, current)
+  const update = (field, value) => {
+    setTouched(true)
+    setDraft(prev => ({ ...prev, [field]: value }))
+  }
+  const updateText = (value) => update('textos', { ...draft.textos, [language]: value })
+
+  const handlePublish = async () => {
+    cancelConfirmation()
+
+    try {
+      setSaving(true)
+      setMessage(null)
+      const published = await ConsentService.publishVersion(draft)
+      setVersions(prev => [published, ...prev])
+      setDraft(toDraft(published))
+      setTouched(false)
+      setMessage({ type: 'success', text: `Versión ${published.version} publicada` })
+    } catch (error) {
+      setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center gap-3 mb-4">
+        <ShieldCheck className="w-6 h-6 text-blue-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Consentimiento informado</h2>
+          <p className="text-sm text-gray-600">
+            Texto que cada trabajador debe aceptar antes de responder (Ley 1581 de 2012). Si no acepta, no se
+            guarda ningún dato suyo
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="small" message="Cargando consentimiento..." />
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {current
+              ? <>Versión vigente: <strong>{current.version}</strong>, publicada el {formatDateTime(current.publicado_en)}</>
+              : 'Aún no hay un texto publicado: el cuestionario no se puede responder hasta publicar uno.'}
+          </p>
+
+          <div className="space-y-1">
+            <label htmlFor="consent-title" className="block text-sm font-medium text-gray-700">Título</label>
+            <input
+              id="consent-title"
+              type="text"
+              value={draft.titulo}
+              onChange={(e) => update('titulo', e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+
+          <div className="space-y-1">
+            <div className="flex items-center justify-between">
+              <label htmlFor="consent-text" className="block text-sm font-medium text-gray-700">Texto</label>
+              <div className="flex gap-1" role="group" aria-label="Idioma del texto">
+                {CONSENT_LANGUAGES.map(code => (
+                  <button
+                    key={code}
+                    type="button"
+                    onClick={() => setLanguage(code)}
+                    aria-pressed={language === code}
+                    className={`px-2 py-0.5 rounded text-xs border ${language === code ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {getLanguageName(code)}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <textarea
+              id="consent-text"
+              rows={10}
+              value={draft.textos[language]}
+              onChange={(e) => updateText(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <p className="text-xs text-gray-500">
+              El texto en español es obligatorio; si falta una traducción se muestra el español.
+            </p>
+          </div>
+
+          <div className="space-y-1">
+            <label htmlFor="consent-changes" className="block text-sm font-medium text-gray-700">Qué cambia en esta versión</label>
+            <input
+              id="consent-changes"
+              type="text"
+              value={draft.cambios}
+              onChange={(e) => update('cambios', e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+
+          {touched && errors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          {message && (
+            <div className={`flex items-center gap-2 text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`} role="status">
+              {message.type === 'error' ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+              {message.text}
+            </div>
+          )}
+
+          <div className="flex flex-wrap justify-between gap-2">
+            <button
+              type="button"
+              onClick={() => setShowHistory(show => !show)}
+              disabled={versions.length === 0}
+              className="px-3 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2 text-sm disabled:opacity-50"
+            >
+              <History className="w-4 h-4" />
+              {showHistory ? 'Ocultar historial' : `Historial (${versions.length})`}
+            </button>
+            <button
+              onClick={askConfirmation}
+              disabled={saving || errors.length > 0}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send className="w-4 h-4" />
+              {saving ? 'Publicando...' : 'Publicar versión nueva'}
+            </button>
+          </div>
+
+          {showHistory && (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg text-sm">
+              {versions.map(version => (
+                <li key={version.version} className="p-3">
+                  <details>
+                    <summary className="cursor-pointer text-gray-900">
+                      Versión {version.version} · {formatDateTime(version.publicado_en)}
+                      {version.cambios && <span className="text-gray-500"> — {version.cambios}</span>}
+                    </summary>
+                    <p className="mt-2 font-medium text-gray-800">{version.titulo}</p>
+                    <p className="mt-1 whitespace-pre-line text-gray-600">{version.textos?.es}</p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Idiomas: {Object.keys(version.textos || {}).map(getLanguageName).join(', ')}
+                    </p>
+                  </details>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <AccessibleModal isOpen={confirming} onClose={cancelConfirmation} title={`Publicar la versión ${nextVersion}`} size="sm">
+        <p className="text-sm text-gray-700">
+          Quienes respondan desde ahora deberán aceptar el texto nuevo.
+        </p>
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={cancelConfirmation} className="btn-secondary">
+            Cancelar
+          </button>
+          <button type="button" onClick={handlePublish} className="btn-primary">
+            Publicar
+          </button>
+        </div>
+      </AccessibleModal>
+    </section>
+  )
+}
+
+export default ConsentSettings
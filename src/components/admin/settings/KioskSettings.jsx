@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Tablet, Play, AlertTriangle } from 'lucide-react'
+import { useAuth } from '../../../contexts/AuthContext'
+import {
+  KIOSK_IDLE_MINUTES,
+  KIOSK_PIN_LENGTH,
+  createKioskConfig,
+  clearWorkerTraces,
+  saveKioskConfig,
+  validateIdleMinutes,
+  validateKioskPin
+} from '../../../utils/kiosk'
+import { getUserFriendlyMessage } from '../../../utils/errorHandling'
+
+/**
+ * Activa el modo quiosco en este dispositivo (tableta compartida para recoger
+ * respuestas en terreno). Cierra la sesión de administración para que nadie
+ * llegue al panel desde la tableta
+ */
+const KioskSettings = () => {
+  const navigate = useNavigate()
+  const { signOut } = useAuth()
+  const [pin, setPin] = useState('')
+  const [pinConfirmation, setPinConfirmation] = useState('')
+  const [idleMinutes, setIdleMinutes] = useState(String(KIOSK_IDLE_MINUTES.DEFAULT))
+  const [starting, setStarting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const validationError = validateKioskPin(pin) ||
+    (pin !== pinConfirmation ? 'Los PIN no coinciden' : null) ||
+    validateIdleMinutes(Number(idleMinutes))
+
+  const handleStart = async () => {
+    try {
+      setStarting(true)
+      setError(null)
+      const config = await createKioskConfig({ pin, idleMinutes: Number(idleMinutes) })
+      saveKioskConfig(config)
+      clearWorkerTraces()
+      await signOut()
+      navigate('/kiosco', { replace: true })
+    } catch (startError) {
+      setError(getUserFriendlyMessage(startError))
+      setStarting(false)
+    }
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center gap-3 mb-4">
+        <Tablet className="w-6 h-6 text-blue-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Modo quiosco</h2>
+          <p className="text-sm text-gray-600">
+            Deja esta tableta lista para que varias personas respondan el cuestionario, una tras otra.
+            Se cierra tu sesión y para salir del quiosco se pide el PIN
+          </p>
+        </div>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-3">
+        <div className="space-y-1">
+          <label htmlFor="kiosk-setup-pin" className="block text-sm font-medium text-gray-700">PIN de salida</label>
+          <input
+            id="kiosk-setup-pin"
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            maxLength={KIOSK_PIN_LENGTH.MAX}
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor="kiosk-setup-pin-confirm" className="block text-sm font-medium text-gray-700">Repite el PIN</label>
+          <input
+            id="kiosk-setup-pin-confirm"
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            maxLength={KIOSK_PIN_LENGTH.MAX}
+            value={pinConfirmation}
+            onChange={(e) => setPinConfirmation(e.target.value.replace(/\D/g, ''))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor="kiosk-setup-idle" className="block text-sm font-medium text-gray-700">
+            Reiniciar tras inactividad (min)
+          </label>
+          <input
+            id="kiosk-setup-idle"
+            type="number"
+            min={KIOSK_IDLE_MINUTES.MIN}
+            max={KIOSK_IDLE_MINUTES.MAX}
+            step="1"
+            value={idleMinutes}
+            onChange={(e) => setIdleMinutes(e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Entre personas se borran los datos guardados en el navegador; las respuestas pendientes de envío
+        sin conexión se conservan hasta llegar al servidor.
+      </p>
+      {pin && validationError && <p className="mt-2 text-xs text-red-600">{validationError}</p>}
+
+      {error && (
+        <div className="mt-4 flex items-center gap-2 text-sm text-red-700" role="status">
+          <AlertTriangle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          onClick={handleStart}
+          disabled={starting || Boolean(validationError)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Play className="w-4 h-4" />
+          {starting ? 'Activando...' : 'Activar en este dispositivo'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default KioskSettings
@@ -0,0 +1,280 @@
+import { useState, useEffect } from 'react'
+import { Archive, Plus, Trash2, CheckCircle, AlertTriangle } from 'lucide-react'
+import { RetentionService } from '../../../services/RetentionService'
+import { CampaignService } from '../../../services/CampaignService'
+import {
+  RETENTION_ACTIONS,
+  RETENTION_ACTION_LABELS,
+  RETENTION_ACTION_DESCRIPTIONS,
+  RETENTION_MONTHS_LIMITS,
+  buildRetentionRows,
+  validateRetentionPolicy
+} from '../../../utils/retention'
+import { getUserFriendlyMessage } from '../../../utils/errorHandling'
+import LoadingSpinner from '../../ui/LoadingSpinner'
+import AccessibleModal from '../../ui/AccessibleModal'
+
+const EMPTY_DRAFT = { campana_id: '', accion: RETENTION_ACTIONS.SEUDONIMIZAR, meses: '24' }
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—')
+
+/**
+ * Plazos tras los cuales el proceso programado seudonimiza a los trabajadores o
+ * les quita los identificadores, con lo que cada política afectaría hoy
+ */
+const RetentionSettings = () => {
+  const [policies, setPolicies] = useState([])
+  const [preview, setPreview] = useState([])
+  const [campaigns, setCampaigns] = useState([])
+  const [lastRun, setLastRun] = useState(null)
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+  // Política que espera confirmación para eliminarse
+  const [pendingDelete, setPendingDelete] = useState(null)
+
+  const refresh = async () => {
+    const [loadedPolicies, loadedPreview] = await Promise.all([
+      RetentionService.listPolicies(),
+      RetentionService.getPreview()
+    ])
+    setPolicies(loadedPolicies)
+    setPreview(loadedPreview)
+  }
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loadedCampaigns, runs] = await Promise.all([
+          CampaignService.list(),
+          RetentionService.listRuns(1),
+          refresh()
+        ])
+        setCampaigns(loadedCampaigns)
+        setLastRun(runs[0] || null)
+      } catch (error) {
+        setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    load()
+  }, [])
+
+  const save = async (policy, successText) => {
+    try {
+      setSaving(true)
+      setMessage(null)
+      await RetentionService.savePolicy(policy)
+      await refresh()
+      setMessage({ type: 'success', text: successText })
+      return true
+    } catch (error) {
+      setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAdd = async () => {
+    if (await save({ ...draft, campana_id: draft.campana_id || null }, 'Política agregada')) setDraft(EMPTY_DRAFT)
+  }
+
+  const handleToggle = (policy) => save(
+    { ...policy, activa: !policy.activa },
+    policy.activa ? 'Política pausada' : 'Política activada'
+  )
+
+  const handleDelete = async () => {
+    const policy = pendingDelete
+    setPendingDelete(null)
+
+    try {
+      setSaving(true)
+      setMessage(null)
+      await RetentionService.deletePolicy(policy.id)
+      await refresh()
+      setMessage({ type: 'success', text: 'Política eliminada' })
+    } catch (error) {
+      setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rows = buildRetentionRows(policies, preview, campaigns)
+  const draftErrors = validateRetentionPolicy({ ...draft, campana_id: draft.campana_id || null }, policies)
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center gap-3 mb-4">
+        <Archive className="w-6 h-6 text-blue-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Retención de datos personales</h2>
+          <p className="text-sm text-gray-600">
+            Pasado el plazo desde que respondió, el trabajador se seudonimiza o pierde sus identificadores. Las
+            respuestas y los datos demográficos se conservan para los dashboards
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="small" message="Cargando políticas de retención..." />
+      ) : (
+        <div className="space-y-4">
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-500">Sin políticas: las respuestas identificadas se guardan indefinidamente.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 pr-4">Ámbito</th>
+                    <th className="py-2 pr-4">Acción</th>
+                    <th className="py-2 pr-4">Plazo</th>
+                    <th className="py-2 pr-4">Afectaría hoy</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.id} className="border-t border-gray-100">
+                      <td className="py-2 pr-4 text-gray-900">{row.scope}</td>
+                      <td className="py-2 pr-4" title={RETENTION_ACTION_DESCRIPTIONS[row.accion]}>{RETENTION_ACTION_LABELS[row.accion]}</td>
+                      <td className="py-2 pr-4">{row.period}</td>
+                      <td className="py-2 pr-4">
+                        {row.affectedUsers === null ? '—' : `${row.affectedUsers} trabajador(es), ${row.affectedSessions} sesión(es)`}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <button
+                          type="button"
+                          onClick={() => handleToggle(row)}
+                          disabled={saving}
+                          aria-pressed={row.activa}
+                          className={`px-2 py-0.5 rounded-full text-xs ${row.activa ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}
+                        >
+                          {row.activa ? 'Activa' : 'Pausada'}
+                        </button>
+                      </td>
+                      <td className="py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setPendingDelete(row)}
+                          disabled={saving}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          aria-label="Eliminar política"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Un trabajador se procesa cuando todas sus sesiones superaron el plazo: la política de la campaña prevalece
+            sobre la de la organización, y las sesiones sin política lo dejan intacto.
+          </p>
+
+          <div className="flex flex-wrap items-end gap-2 border-t border-gray-100 pt-4">
+            <div className="space-y-1">
+              <label htmlFor="retention-scope" className="block text-sm font-medium text-gray-700">Ámbito</label>
+              <select
+                id="retention-scope"
+                value={draft.campana_id}
+                onChange={(e) => setDraft(prev => ({ ...prev, campana_id: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">Toda la organización</option>
+                {campaigns.map(campaign => (
+                  <option key={campaign.id} value={campaign.id}>{campaign.nombre}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="retention-action" className="block text-sm font-medium text-gray-700">Acción</label>
+              <select
+                id="retention-action"
+                value={draft.accion}
+                onChange={(e) => setDraft(prev => ({ ...prev, accion: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                {Object.values(RETENTION_ACTIONS).map(action => (
+                  <option key={action} value={action}>{RETENTION_ACTION_LABELS[action]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="retention-months" className="block text-sm font-medium text-gray-700">Meses</label>
+              <input
+                id="retention-months"
+                type="number"
+                min={RETENTION_MONTHS_LIMITS.MIN}
+                max={RETENTION_MONTHS_LIMITS.MAX}
+                step="1"
+                value={draft.meses}
+                onChange={(e) => setDraft(prev => ({ ...prev, meses: e.target.value }))}
+                className="w-24 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </div>
+            <button
+              onClick={handleAdd}
+              disabled={saving || draftErrors.length > 0}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" />
+              Agregar
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">{RETENTION_ACTION_DESCRIPTIONS[draft.accion]}</p>
+          {draftErrors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {draftErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {lastRun
+              ? `Última ejecución: ${formatDateTime(lastRun.ejecutado_en)} (${lastRun.usuarios_seudonimizados} seudonimizados, ${lastRun.usuarios_sin_identificadores} sin identificadores)`
+              : 'El proceso programado (scripts/retention-worker.js) aún no se ha ejecutado.'}
+          </p>
+        </div>
+      )}
+
+      {message && (
+        <div className={`mt-4 flex items-center gap-2 text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`} role="status">
+          {message.type === 'error' ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      <AccessibleModal isOpen={Boolean(pendingDelete)} onClose={() => setPendingDelete(null)} title="Eliminar política" size="sm">
+        {pendingDelete && (
+          <p className="text-sm text-gray-700">
+            Se eliminará la política &quot;{RETENTION_ACTION_LABELS[pendingDelete.accion]} a los {pendingDelete.period}&quot; de {pendingDelete.scope}.
+          </p>
+        )}
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={() => setPendingDelete(null)} className="btn-secondary">
+            Cancelar
+          </button>
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors"
+          >
+            Eliminar
+          </button>
+        </div>
+      </AccessibleModal>
+    </section>
+  )
+}
+
+export default RetentionSettings
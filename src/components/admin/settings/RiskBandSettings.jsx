@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react'
+import { Layers, Save, RotateCcw, CheckCircle, AlertTriangle } from 'lucide-react'
+import { SettingsService } from '../../../services/SettingsService'
+import { SCORING_METHOD_CONFIG } from '../../../utils/ghq12Calculator'
+import { DEFAULT_RISK_BANDS, SCORE_SCALES, validateRiskBands } from '../../../config/riskBands'
+import { getUserFriendlyMessage } from '../../../utils/errorHandling'
+import LoadingSpinner from '../../ui/LoadingSpinner'
+
+const cloneBands = (bands) => bands.map(band => ({ ...band }))
+
+/**
+ * Edición de las bandas de riesgo por método de puntuación.
+ * Estas bandas son las que usan badges, heatmaps y vistas SQL.
+ */
+const RiskBandSettings = () => {
+  const [method, setMethod] = useState(Object.keys(SCORING_METHOD_CONFIG)[0])
+  const [bandsByMethod, setBandsByMethod] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    const loadBands = async () => {
+      try {
+        const stored = await SettingsService.getRiskBands()
+        const merged = {}
+        Object.keys(DEFAULT_RISK_BANDS).forEach(key => {
+          merged[key] = cloneBands(stored[key] || DEFAULT_RISK_BANDS[key])
+        })
+        setBandsByMethod(merged)
+      } catch (error) {
+        setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadBands()
+  }, [])
+
+  const bands = bandsByMethod?.[method] || []
+  const errors = bandsByMethod ? validateRiskBands(method, bands) : []
+  const scale = SCORE_SCALES[method]
+
+  const updateBand = (key, field, value) => {
+    setMessage(null)
+    setBandsByMethod(prev => ({
+      ...prev,
+      [method]: prev[method].map(band => (
+        band.key === key ? { ...band, [field]: value } : band
+      ))
+    }))
+  }
+
+  const updateLimit = (key, field, value) => {
+    updateBand(key, field, value === '' ? '' : Number(value))
+  }
+
+  const handleReset = () => {
+    setMessage(null)
+    setBandsByMethod(prev => ({ ...prev, [method]: cloneBands(DEFAULT_RISK_BANDS[method]) }))
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setMessage(null)
+      await SettingsService.saveRiskBands(method, bands)
+      setMessage({ type: 'success', text: 'Bandas de riesgo actualizadas' })
+    } catch (error) {
+      setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center gap-3 mb-4">
+        <Layers className="w-6 h-6 text-blue-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Bandas de riesgo</h2>
+          <p className="text-sm text-gray-600">
+            Niveles de riesgo que se muestran en badges, heatmaps, listados y reportes
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="small" message="Cargando bandas de riesgo..." />
+      ) : bandsByMethod && (
+        <>
+          <div className="flex gap-2 mb-4">
+            {Object.values(SCORING_METHOD_CONFIG).map(config => (
+              <button
+                key={config.key}
+                onClick={() => setMethod(config.key)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  method === config.key ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
+
+          <p className="text-xs text-gray-500 mb-3">
+            Puntaje total 0-{scale.maxTotal} ({scale.direction === 'bienestar' ? 'mayor puntaje = mayor bienestar' : 'mayor puntaje = mayor malestar'}).
+            Las bandas deben cubrir todo el rango sin huecos ni solapamientos.
+          </p>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-3">Etiqueta</th>
+                  <th className="py-2 pr-3">Descripción</th>
+                  <th className="py-2 pr-3">Color</th>
+                  <th className="py-2 pr-3">Mínimo</th>
+                  <th className="py-2">Máximo</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bands.map(band => (
+                  <tr key={band.key} className="border-b border-gray-100">
+                    <td className="py-2 pr-3">
+                      <input
+                        type="text"
+                        value={band.label}
+                        onChange={(e) => updateBand(band.key, 'label', e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="text"
+                        value={band.description || ''}
+                        onChange={(e) => updateBand(band.key, 'description', e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="color"
+                        value={band.color}
+                        onChange={(e) => updateBand(band.key, 'color', e.target.value)}
+                        className="h-8 w-12 border border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="number"
+                        min={0}
+                        max={scale.maxTotal}
+                        value={band.min}
+                        onChange={(e) => updateLimit(band.key, 'min', e.target.value)}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        min={0}
+                        max={scale.maxTotal}
+                        value={band.max}
+                        onChange={(e) => updateLimit(band.key, 'max', e.target.value)}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="mt-3 text-sm text-red-700 list-disc list-inside">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </>
+      )}
+
+      {message && (
+        <div
+          className={`mt-4 flex items-center gap-2 text-sm ${
+            message.type === 'success' ? 'text-green-700' : 'text-red-700'
+          }`}
+          role="status"
+        >
+          {message.type === 'success' ? <CheckCircle className="w-4 h-4" /> : <AlertTriangle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-end gap-2">
+        <button
+          onClick={handleReset}
+          disabled={loading || saving || !bandsByMethod}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Valores por defecto
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={loading || saving || !bandsByMethod || errors.length > 0}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Guardando...' : 'Guardar'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default RiskBandSettings
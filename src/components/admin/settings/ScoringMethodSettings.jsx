@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react'
+import { Calculator, Save, CheckCircle, AlertTriangle } from 'lucide-react'
+import { SettingsService } from '../../../services/SettingsService'
+import { SCORING_METHOD_CONFIG } from '../../../utils/ghq12Calculator'
+import { getUserFriendlyMessage } from '../../../utils/errorHandling'
+import LoadingSpinner from '../../ui/LoadingSpinner'
+
+/**
+ * Selección del método de puntuación GHQ-12 por defecto de la organización
+ */
+const ScoringMethodSettings = () => {
+  const [method, setMethod] = useState(null)
+  const [savedMethod, setSavedMethod] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    const loadMethod = async () => {
+      try {
+        const current = await SettingsService.getScoringMethod()
+        setMethod(current)
+        setSavedMethod(current)
+      } catch (error) {
+        setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadMethod()
+  }, [])
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setMessage(null)
+      await SettingsService.setScoringMethod(method)
+      setSavedMethod(method)
+      setMessage({ type: 'success', text: 'Método de puntuación actualizado' })
+    } catch (error) {
+      setMessage({ type: 'error', text: getUserFriendlyMessage(error) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center gap-3 mb-4">
+        <Calculator className="w-6 h-6 text-blue-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Método de puntuación GHQ-12</h2>
+          <p className="text-sm text-gray-600">
+            Define cómo se calculan los puntajes y los niveles de riesgo en reportes y dashboards
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="small" message="Cargando método de puntuación..." />
+      ) : (
+        <fieldset className="space-y-3">
+          <legend className="sr-only">Método de puntuación</legend>
+          {Object.values(SCORING_METHOD_CONFIG).map(config => (
+            <label
+              key={config.key}
+              className={`flex items-start gap-3 p-4 rounded-lg border cursor-pointer transition-colors ${
+                method === config.key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="scoring-method"
+                value={config.key}
+                checked={method === config.key}
+                onChange={() => setMethod(config.key)}
+                className="mt-1"
+              />
+              <div>
+                <p className="font-medium text-gray-900">{config.label}</p>
+                <p className="text-sm text-gray-600">{config.description}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Caso probable: {config.casenessRule} · Rango 0-{config.maxTotal}
+                </p>
+              </div>
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {message && (
+        <div
+          className={`mt-4 flex items-center gap-2 text-sm ${
+            message.type === 'success' ? 'text-green-700' : 'text-red-700'
+          }`}
+          role="status"
+        >
+          {message.type === 'success' ? <CheckCircle className="w-4 h-4" /> : <AlertTriangle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={loading || saving || method === savedMethod}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Guardando...' : 'Guardar'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default ScoringMethodSettings
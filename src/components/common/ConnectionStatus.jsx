@@ -12,7 +12,12 @@ const ConnectionStatus = ({
   onRetry,
   onClearCache,
   className = '',
-  showDetails = false 
+  showDetails = false,
+  // Cola de envíos sin conexión (services/offline)
+  queuedCount = 0,
+  failedCount = 0,
+  isSyncing = false,
+  onSync
 }) => {
   const [showErrorDetails, setShowErrorDetails] = useState(false);
 
@@ -93,8 +98,43 @@ const ConnectionStatus = ({
           </div>
         )}
 
+        {/* Envíos guardados en el dispositivo */}
+        {(queuedCount > 0 || failedCount > 0) && (
+          <div className="flex items-center gap-1">
+            {queuedCount > 0 && (
+              <span
+                className="text-xs bg-amber-100 text-amber-800 px-2 py-1 rounded-full"
+                title="Respuestas guardadas en este dispositivo, pendientes de enviar"
+              >
+                📤 {isSyncing ? 'Enviando...' : `${queuedCount} en cola`}
+              </span>
+            )}
+            {failedCount > 0 && (
+              <span
+                className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full"
+                title="El servidor rechazó estos envíos; las respuestas siguen guardadas en el dispositivo"
+              >
+                {failedCount} sin enviar
+              </span>
+            )}
+          </div>
+        )}
+
         {/* Botones de acción */}
         <div className="flex items-center gap-1">
+          {onSync && queuedCount > 0 && connectionStatus === 'connected' && (
+            <button
+              onClick={onSync}
+              disabled={isSyncing}
+              className="p-1 text-gray-500 hover:text-gray-700 transition-colors disabled:opacity-50"
+              title="Enviar ahora"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+              </svg>
+            </button>
+          )}
+
           {onRetry && (
             <button
               onClick={onRetry}
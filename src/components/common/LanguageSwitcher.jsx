@@ -0,0 +1,41 @@
+// =====================================================
+// SELECTOR DE IDIOMA DEL CUESTIONARIO PÚBLICO
+// =====================================================
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Globe } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const LanguageSwitcher = ({ available, className = '' }) => {
+  const { language, languages, setLanguage, t } = useTranslation();
+
+  // Solo idiomas con textos de interfaz y, si se indica, con traducción del instrumento
+  const options = available ? languages.filter(option => available.includes(option.code)) : languages;
+  if (options.length < 2) return null;
+
+  return (
+    <label className={`inline-flex items-center space-x-2 text-sm text-gray-600 ${className}`}>
+      <Globe className="w-4 h-4" aria-hidden="true" />
+      <span className="sr-only">{t('common.language')}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="border border-gray-300 rounded-md bg-white px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {options.map(option => (
+          <option key={option.code} value={option.code} lang={option.code}>
+            {option.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+LanguageSwitcher.propTypes = {
+  available: PropTypes.arrayOf(PropTypes.string),
+  className: PropTypes.string
+};
+
+export default LanguageSwitcher;
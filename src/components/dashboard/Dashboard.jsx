@@ -10,6 +10,7 @@ import SafetyBehaviorIndex from './components/SafetyBehaviorIndex';
 import VulnerabilityIndex from './components/VulnerabilityIndex';
 import CorrelationAnalysis from './components/CorrelationAnalysis/CorrelationAnalysisRefactored';
 import RiskHeatmap from './components/RiskHeatmap';
+import FactorHeatmap from './components/FactorHeatmap';
 import TimeTrendsChart from './components/TimeTrendsChart';
 import RiskDistributionByRole from './components/RiskDistributionByRole';
 // import DemographicAnalysis from './components/DemographicAnalysis';
@@ -17,6 +18,11 @@ import AdvancedFilters from './components/AdvancedFilters';
 import { useToast } from '../../hooks/useToast';
 import { supabase } from '../../api/supabase';
 import AtRiskEmployees from './components/AtRiskEmployees';
+import PsychometricsPanel from './components/PsychometricsPanel';
+import GroupComparisonPanel from './components/GroupComparisonPanel';
+import CampaignSelector from './components/CampaignSelector';
+import WaveComparisonPanel from './components/WaveComparisonPanel';
+import { useCampaignsData } from './hooks/useCampaignsData';
 
 const Dashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
@@ -26,6 +32,7 @@ const Dashboard = () => {
   const [lastUpdate, setLastUpdate] = useState(new Date());
   
   const { error: showError } = useToast();
+  const { campaigns, loading: loadingCampaigns } = useCampaignsData();
   const subscriptionRef = useRef(null);
 
   useEffect(() => {
@@ -110,7 +117,12 @@ const Dashboard = () => {
   };
 
   const handleFiltersChange = (newFilters) => {
-    setFilters(newFilters);
+    // La campaña se elige en su propio selector y se conserva al cambiar los demás filtros
+    setFilters(current => ({ ...newFilters, campanaId: current.campanaId }));
+  };
+
+  const handleCampaignChange = (campanaId) => {
+    setFilters(current => ({ ...current, campanaId }));
   };
 
   const handleRefresh = () => {
@@ -186,6 +198,14 @@ const Dashboard = () => {
           loading={loading}
         /> */}
         
+        {/* Campaign (wave) */}
+        <CampaignSelector
+          campaigns={campaigns}
+          value={filters.campanaId || ''}
+          onChange={handleCampaignChange}
+          loading={loadingCampaigns}
+        />
+
         {/* Advanced Filters */}
         <AdvancedFilters 
           filters={filters}
@@ -240,6 +260,14 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Factor subscales by department */}
+      <div className="mb-10">
+        <FactorHeatmap
+          data={dashboardData}
+          loading={loading}
+        />
+      </div>
+
       {/* Gráficos de análisis - Grid de 2 columnas */}
       <div className="grid grid-cols-1 xl:grid-cols-2 gap-8 mb-10">
         {/* Risk Distribution by Role */}
@@ -259,6 +287,20 @@ const Dashboard = () => {
         )}
         </div>
 
+        {/* Group comparison tests */}
+        <div className="transform hover:scale-102 transition-transform duration-300">
+          {loading ? (
+            <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-lg font-semibold text-gray-900">Comparar grupos</h3>
+              </div>
+              <CardSkeleton />
+            </div>
+          ) : (
+            <GroupComparisonPanel filters={filters} />
+          )}
+        </div>
+
         {/* Time Trends Chart */}
         <div className="transform hover:scale-102 transition-transform duration-300">
           {loading ? (
@@ -277,6 +319,11 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Wave-to-wave comparison */}
+      <div className="mb-10">
+        <WaveComparisonPanel campaigns={campaigns} filters={filters} />
+      </div>
+
       {/* Correlation Analysis */}
       <div className="mb-8">
         <div className="transform hover:scale-102 transition-transform duration-300">
@@ -296,6 +343,11 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Questionnaire Reliability */}
+      <div className="mb-10">
+        <PsychometricsPanel filters={filters} />
+      </div>
+
       {/* <DemographicAnalysis 
           data={dashboardData?.demographics}
           loading={loading}
@@ -11,7 +11,8 @@ const AdvancedFilters = ({ onFiltersChange, initialFilters = {} }) => {
     riskLevel: initialFilters.riskLevel || '',
     educationLevel: initialFilters.educationLevel || '',
     department: initialFilters.department || '',
-    hasAccidents: initialFilters.hasAccidents || ''
+    hasAccidents: initialFilters.hasAccidents || '',
+    excludeFlagged: initialFilters.excludeFlagged || false
   });
 
   const handleFilterChange = (filterName, value) => {
@@ -37,7 +38,8 @@ const AdvancedFilters = ({ onFiltersChange, initialFilters = {} }) => {
       riskLevel: '',
       educationLevel: '',
       department: '',
-      hasAccidents: ''
+      hasAccidents: '',
+      excludeFlagged: false
     };
     setFilters(emptyFilters);
     onFiltersChange(emptyFilters);
@@ -55,9 +57,10 @@ const AdvancedFilters = ({ onFiltersChange, initialFilters = {} }) => {
     accidentOptions: ['Con accidentes', 'Sin accidentes', 'Todos']
   };
 
-  const activeFiltersCount = Object.values(filters).filter(value => 
-    Array.isArray(value) ? value.some(v => v !== (value === filters.ageRange ? 18 : 0)) : value !== ''
-  ).length;
+  const activeFiltersCount = Object.values(filters).filter(value => {
+    if (typeof value === 'boolean') return value;
+    return Array.isArray(value) ? value.some(v => v !== (value === filters.ageRange ? 18 : 0)) : value !== '';
+  }).length;
 
   return (
     <div className="bg-white rounded-lg shadow-sm border p-6">
@@ -276,6 +279,17 @@ const AdvancedFilters = ({ onFiltersChange, initialFilters = {} }) => {
         </div>
       </div>
 
+      {/* Calidad de respuestas */}
+      <label className="mt-6 flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={filters.excludeFlagged}
+          onChange={(e) => handleFilterChange('excludeFlagged', e.target.checked)}
+          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        Excluir sesiones marcadas por calidad de respuesta (pendientes de revisión o excluidas)
+      </label>
+
       {/* Resumen de filtros activos */}
       {activeFiltersCount > 0 && (
         <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
@@ -290,6 +304,14 @@ const AdvancedFilters = ({ onFiltersChange, initialFilters = {} }) => {
                     </span>
                   );
                 }
+              } else if (key === 'excludeFlagged') {
+                if (value) {
+                  return (
+                    <span key={key} className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                      Sin sesiones marcadas
+                    </span>
+                  );
+                }
               } else if (value !== '') {
                 return (
                   <span key={key} className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
@@ -306,7 +328,7 @@ const AdvancedFilters = ({ onFiltersChange, initialFilters = {} }) => {
       {/* Estadísticas de filtrado */}
       <div className="mt-6 grid grid-cols-3 gap-4 text-xs">
         <div className="text-center p-2 bg-gray-100 rounded">
-          <div className="font-semibold text-gray-900">10</div>
+          <div className="font-semibold text-gray-900">11</div>
           <div className="text-gray-600">Criterios disponibles</div>
         </div>
         <div className="text-center p-2 bg-gray-100 rounded">
@@ -1,19 +1,18 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import { AtRiskEmployeesService } from '../../../services/AtRiskEmployeesService';
 import { CHART_COLORS, getColorWithOpacity } from '../../../utils/chartColors';
+import { getRiskBands } from '../../../config/riskBands';
+import { getLanguageName } from '../../../i18n/languages';
 
-const LEVELS = [
-  { key: 'muy_alto', label: 'Muy alto', color: CHART_COLORS.risk.veryHigh },
-  { key: 'alto', label: 'Alto', color: CHART_COLORS.risk.high },
-  { key: 'moderado', label: 'Moderado', color: CHART_COLORS.risk.moderate },
-  { key: 'bajo', label: 'Bajo', color: CHART_COLORS.risk.low }
-];
+// Bandas del registro, de mayor a menor riesgo
+const getLevels = () => [...getRiskBands()].reverse();
 
 const AtRiskEmployees = ({ filters = {} }) => {
-  const [data, setData] = useState({ muy_alto: [], alto: [], moderado: [], bajo: [] });
+  const [data, setData] = useState(() => AtRiskEmployeesService.emptyBuckets());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeLevel, setActiveLevel] = useState('muy_alto');
+  const levels = getLevels();
 
   useEffect(() => {
     let mounted = true;
@@ -49,7 +48,7 @@ const AtRiskEmployees = ({ filters = {} }) => {
         </div>
 
         <div className="flex gap-2">
-          {LEVELS.map(l => (
+          {levels.map(l => (
             <button
               key={l.key}
               onClick={() => setActiveLevel(l.key)}
@@ -78,7 +77,7 @@ const AtRiskEmployees = ({ filters = {} }) => {
             <div className="col-span-full text-center text-gray-500 py-10">Sin empleados en este nivel</div>
           )}
           {list.map((emp) => (
-            <div key={`${activeLevel}-${emp.id}`} className="rounded-lg border p-4" style={{ borderColor: getColorWithOpacity(LEVELS.find(l=>l.key===activeLevel).color, 0.4) }}>
+            <div key={`${activeLevel}-${emp.id}`} className="rounded-lg border p-4" style={{ borderColor: getColorWithOpacity(levels.find(l=>l.key===activeLevel).color, 0.4) }}>
               <div className="flex items-center justify-between">
                 <div>
                   <p className="font-semibold text-gray-900">{emp.nombre}</p>
@@ -86,11 +85,11 @@ const AtRiskEmployees = ({ filters = {} }) => {
                 </div>
                 <div className="text-right">
                   <p className="text-sm text-gray-500">% Riesgo</p>
-                  <p className="text-lg font-bold" style={{ color: LEVELS.find(l=>l.key===activeLevel).color }}>{emp.porcentaje}%</p>
+                  <p className="text-lg font-bold" style={{ color: levels.find(l=>l.key===activeLevel).color }}>{emp.porcentaje}%</p>
                 </div>
               </div>
               <div className="mt-3 text-sm text-gray-600">GHQ-12: <span className="font-semibold">{emp.puntaje}</span></div>
-              <div className="mt-1 text-xs text-gray-400">Fecha: {new Date(emp.fecha).toLocaleString('es-ES')}</div>
+              <div className="mt-1 text-xs text-gray-400">Fecha: {new Date(emp.fecha).toLocaleString('es-ES')} · Idioma: {getLanguageName(emp.idioma)}</div>
             </div>
           ))}
         </div>
@@ -0,0 +1,40 @@
+import React from 'react';
+import { CAMPAIGN_STATUS_LABELS } from '../../../utils/campaigns';
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('es-ES');
+
+/**
+ * Selector de campaña (ola de evaluación) que acota todo el dashboard
+ */
+const CampaignSelector = ({ campaigns = [], value = '', onChange, loading = false }) => {
+  const selected = campaigns.find(campaign => campaign.id === value);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-4 flex flex-wrap items-center gap-4">
+      <label htmlFor="dashboard-campaign" className="text-sm font-medium text-gray-700">
+        Campaña
+      </label>
+      <select
+        id="dashboard-campaign"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={loading}
+        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Todas las campañas</option>
+        {campaigns.map(campaign => (
+          <option key={campaign.id} value={campaign.id}>
+            {campaign.nombre} ({CAMPAIGN_STATUS_LABELS[campaign.estado] || campaign.estado})
+          </option>
+        ))}
+      </select>
+      {selected && (
+        <span className="text-sm text-gray-500">
+          {formatDate(selected.fecha_inicio)} – {formatDate(selected.fecha_fin)}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CampaignSelector;
@@ -22,6 +22,7 @@ import { CHART_COLORS, getColorWithOpacity } from '../../../../utils/chartColors
 // Hooks personalizados
 import { useCorrelationData } from '../../../../hooks/useCorrelationData';
 import { useCorrelationDataFixed } from '../../../../hooks/useCorrelationDataFixed';
+import { CORRELATION_METHODS } from '../../../../services/correlationService';
 
 // Componentes granulares
 import CorrelationCard from './CorrelationCard';
@@ -95,7 +96,9 @@ const CorrelationHeader = memo(({
   onRefresh, 
   isRefreshing,
   viewMode,
-  onViewModeChange 
+  onViewModeChange,
+  method,
+  onMethodChange
 }) => (
   <div className="flex items-center justify-between mb-6">
     <div className="flex items-center space-x-3">
@@ -116,6 +119,21 @@ const CorrelationHeader = memo(({
     </div>
 
     <div className="flex items-center space-x-3">
+      {/* Selector de coeficiente: Spearman y Kendall para datos ordinales */}
+      <label className="sr-only" htmlFor="correlation-method">Coeficiente de correlación</label>
+      <select
+        id="correlation-method"
+        className="text-xs border border-gray-300 rounded-lg px-2 py-1 bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        value={method}
+        onChange={(event) => onMethodChange(event.target.value)}
+      >
+        {Object.entries(CORRELATION_METHODS).map(([key, config]) => (
+          <option key={key} value={key}>
+            {config.label} ({config.symbol})
+          </option>
+        ))}
+      </select>
+
       {/* Selector de vista */}
       <div className="flex bg-gray-100 rounded-lg p-1">
         <button
@@ -202,11 +220,13 @@ const CorrelationAnalysisRefactored = ({
   showStatsSummary = true,
   maxInsights = 5,
   defaultViewMode = 'grid',
+  defaultMethod = 'pearson',
   filters = {},
   ...props
 }) => {
   // Estados locales
   const [viewMode, setViewMode] = useState(defaultViewMode);
+  const [method, setMethod] = useState(defaultMethod);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [selectedCorrelation, setSelectedCorrelation] = useState(null);
 
@@ -219,7 +239,7 @@ const CorrelationAnalysisRefactored = ({
     loading: dataLoading,
     error: dataError,
     refreshData
-  } = useCorrelationDataFixed(filters);
+  } = useCorrelationDataFixed(filters, method);
 
   // Estado mejorado para manejar diferentes escenarios de datos
   const hasValidData = useMemo(() => {
@@ -278,6 +298,10 @@ const CorrelationAnalysisRefactored = ({
     setViewMode(mode);
   }, []);
 
+  const handleMethodChange = useCallback((value) => {
+    setMethod(value);
+  }, []);
+
   // Estados de carga y error
   const isLoadingState = loading || dataLoading;
   const hasError = error || dataError;
@@ -293,6 +317,8 @@ const CorrelationAnalysisRefactored = ({
           isRefreshing={isRefreshing}
           viewMode={viewMode}
           onViewModeChange={handleViewModeChange}
+          method={method}
+          onMethodChange={handleMethodChange}
         />
         <LoadingState />
       </div>
@@ -308,6 +334,8 @@ const CorrelationAnalysisRefactored = ({
           isRefreshing={isRefreshing}
           viewMode={viewMode}
           onViewModeChange={handleViewModeChange}
+          method={method}
+          onMethodChange={handleMethodChange}
         />
         <div className="text-center">
           <span className="text-4xl mb-2 block" aria-hidden="true">⚠️</span>
@@ -339,6 +367,8 @@ const CorrelationAnalysisRefactored = ({
           isRefreshing={isRefreshing}
           viewMode={viewMode}
           onViewModeChange={handleViewModeChange}
+          method={method}
+          onMethodChange={handleMethodChange}
         />
         <EmptyState 
           onRefresh={handleRefresh}
@@ -413,6 +443,8 @@ const CorrelationAnalysisRefactored = ({
         isRefreshing={isRefreshing}
         viewMode={viewMode}
         onViewModeChange={handleViewModeChange}
+        method={method}
+        onMethodChange={handleMethodChange}
       />
 
       {/* Guía de interpretación */}
@@ -432,6 +464,7 @@ const CorrelationAnalysisRefactored = ({
           <StatsSummary
             stats={stats}
             distribution={distribution}
+            correlations={correlations}
             showDistribution={true}
             layout="grid"
           />
@@ -505,7 +538,8 @@ const CorrelationAnalysisRefactored = ({
         <p>
           Esta sección presenta el análisis de correlaciones entre diferentes variables 
           del cuestionario de seguridad. Se muestran {correlations.length} correlaciones 
-          calculadas usando el coeficiente de Pearson.
+          calculadas con el coeficiente de {CORRELATION_METHODS[method].label}, con su valor p,
+          intervalo de confianza del 95% y número de pares completos.
         </p>
         {showInterpretationGuide && (
           <p>
@@ -549,6 +583,8 @@ CorrelationAnalysisRefactored.propTypes = {
   maxInsights: PropTypes.number,
   /** Modo de vista por defecto */
   defaultViewMode: PropTypes.oneOf(['grid', 'list']),
+  /** Coeficiente de correlación inicial */
+  defaultMethod: PropTypes.oneOf(['pearson', 'spearman', 'kendall']),
   /** Filtros activos del dashboard */
   filters: PropTypes.object
 };
@@ -568,7 +604,9 @@ CorrelationHeader.propTypes = {
   onRefresh: PropTypes.func,
   isRefreshing: PropTypes.bool.isRequired,
   viewMode: PropTypes.oneOf(['grid', 'list']).isRequired,
-  onViewModeChange: PropTypes.func.isRequired
+  onViewModeChange: PropTypes.func.isRequired,
+  method: PropTypes.oneOf(['pearson', 'spearman', 'kendall']).isRequired,
+  onMethodChange: PropTypes.func.isRequired
 };
 
 CorrelationGrid.propTypes = {
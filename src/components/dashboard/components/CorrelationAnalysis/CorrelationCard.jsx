@@ -11,6 +11,7 @@ import {
   ACCESSIBILITY_CONFIG,
   ANIMATION_CONFIG
 } from './constants.jsx';
+import { CORRELATION_METHODS, formatPValue } from '../../../../services/correlationService';
 
 /**
  * Barra de progreso visual para la correlación
@@ -80,6 +81,42 @@ const DirectionIcon = ({ direction, correlation }) => {
   );
 };
 
+/**
+ * Prueba de significancia: n, valor p, intervalo de confianza y coeficientes alternativos
+ */
+const SignificanceDetails = ({ method = 'pearson', sampleSize, pValue, confidenceInterval, significance, alternatives = [] }) => {
+  const isSignificant = significance === 'Significativa';
+
+  return (
+    <div className="text-xs text-gray-600 mb-3 space-y-1" data-testid="correlation-significance">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <span
+          className={`px-2 py-0.5 rounded-full font-medium ${
+            isSignificant ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          {significance}
+        </span>
+        <span>{formatPValue(pValue)}</span>
+        <span>n = {sampleSize}</span>
+        {confidenceInterval && (
+          <span>
+            IC {Math.round(confidenceInterval.level * 100)}% [{confidenceInterval.lower.toFixed(2)}, {confidenceInterval.upper.toFixed(2)}]
+          </span>
+        )}
+      </div>
+      <div className="text-gray-500">
+        {CORRELATION_METHODS[method]?.label}
+        {alternatives.filter(alt => alt.coefficient !== null).map(alt => (
+          <span key={alt.method}>
+            {' · '}{CORRELATION_METHODS[alt.method]?.label} {CORRELATION_METHODS[alt.method]?.symbol} = {alt.coefficient.toFixed(2)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 /**
  * Componente principal CorrelationCard
  */
@@ -96,7 +133,8 @@ const CorrelationCard = ({
     correlation: correlationValue,
     strength,
     direction,
-    category
+    category,
+    sampleSize
   } = correlation;
 
   const colors = CORRELATION_COLORS[strength.toUpperCase().replace(' ', '_')] || CORRELATION_COLORS.VERY_WEAK;
@@ -163,6 +201,9 @@ const CorrelationCard = ({
         <DirectionIcon direction={direction} correlation={correlationValue} />
       </div>
 
+      {/* Significancia estadística (las tarjetas de ejemplo no la tienen) */}
+      {sampleSize !== undefined && <SignificanceDetails {...correlation} />}
+
       {/* Descripción */}
       {showDetails && (
         <p className="text-sm text-gray-600 mb-3 leading-relaxed">
@@ -206,7 +247,21 @@ CorrelationCard.propTypes = {
     correlation: PropTypes.number.isRequired,
     strength: PropTypes.string.isRequired,
     direction: PropTypes.string.isRequired,
-    category: PropTypes.string
+    category: PropTypes.string,
+    method: PropTypes.oneOf(['pearson', 'spearman', 'kendall']),
+    sampleSize: PropTypes.number,
+    pValue: PropTypes.number,
+    confidenceInterval: PropTypes.shape({
+      lower: PropTypes.number,
+      upper: PropTypes.number,
+      level: PropTypes.number
+    }),
+    significance: PropTypes.string,
+    alternatives: PropTypes.arrayOf(PropTypes.shape({
+      method: PropTypes.string,
+      coefficient: PropTypes.number,
+      pValue: PropTypes.number
+    }))
   }).isRequired,
   onCardClick: PropTypes.func,
   className: PropTypes.string,
@@ -214,6 +269,6 @@ CorrelationCard.propTypes = {
 };
 
 // Componentes auxiliares para exportación individual
-export { CorrelationProgressBar, StrengthBadge, DirectionIcon };
+export { CorrelationProgressBar, StrengthBadge, DirectionIcon, SignificanceDetails };
 
 export default CorrelationCard;
\ No newline at end of file
@@ -6,7 +6,7 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { BsSearch } from 'react-icons/bs';
-import { KEY_INSIGHTS, ANIMATION_CONFIG } from './constants.jsx';
+import { ANIMATION_CONFIG } from './constants.jsx';
 
 /**
  * Componente para mostrar un insight individual
@@ -123,8 +123,9 @@ const InsightsPanel = ({
   const [expandedInsights, setExpandedInsights] = useState(new Set());
   const [selectedFilter, setSelectedFilter] = useState('all');
 
-  // Combinar insights dinámicos con insights predefinidos
-  const allInsights = [...insights, ...KEY_INSIGHTS].slice(0, maxInsights);
+  // Solo insights derivados de los datos: los predefinidos (KEY_INSIGHTS)
+  // afirmaban relaciones sin prueba estadística que las respalde
+  const allInsights = insights.slice(0, maxInsights);
 
   // Filtrar insights por tipo
   const filteredInsights = selectedFilter === 'all' 
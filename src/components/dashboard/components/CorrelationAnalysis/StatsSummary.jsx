@@ -7,6 +7,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { BsBarChart } from 'react-icons/bs';
 import { STATS_CONFIG, ANIMATION_CONFIG } from './constants.jsx';
+import { CORRELATION_METHODS, SIGNIFICANCE_LEVEL, formatPValue } from '../../../../services/correlationService';
 
 /**
  * Componente para mostrar una métrica estadística individual
@@ -192,20 +193,66 @@ const CorrelationDistribution = ({ distribution, className = '' }) => {
   );
 };
 
+/**
+ * Tabla de pruebas de significancia: coeficiente, IC, valor p y n de cada correlación
+ */
+const SignificanceTable = ({ correlations, className = '' }) => (
+  <div className={`p-4 bg-white rounded-lg border border-gray-200 shadow-sm overflow-x-auto ${className}`}>
+    <h4 className="text-sm font-medium text-gray-900 mb-3">Pruebas de significancia</h4>
+    <table className="min-w-full text-xs">
+      <thead>
+        <tr className="text-left text-gray-500 border-b border-gray-200">
+          <th className="py-2 pr-4 font-medium">Correlación</th>
+          <th className="py-2 pr-4 font-medium">Coeficiente</th>
+          <th className="py-2 pr-4 font-medium">IC 95%</th>
+          <th className="py-2 pr-4 font-medium">Valor p</th>
+          <th className="py-2 font-medium">n</th>
+        </tr>
+      </thead>
+      <tbody>
+        {correlations.map(correlation => {
+          const ci = correlation.confidenceInterval;
+          const isSignificant = correlation.pValue !== null && correlation.pValue < SIGNIFICANCE_LEVEL;
+          return (
+            <tr key={correlation.id} className="border-b border-gray-100 last:border-0">
+              <td className="py-2 pr-4 text-gray-900">{correlation.title}</td>
+              <td className="py-2 pr-4 text-gray-900">
+                {CORRELATION_METHODS[correlation.method]?.symbol} = {correlation.correlation.toFixed(2)}
+              </td>
+              <td className="py-2 pr-4 text-gray-700">
+                {ci ? `[${ci.lower.toFixed(2)}, ${ci.upper.toFixed(2)}]` : 'N/A'}
+              </td>
+              <td className={`py-2 pr-4 ${isSignificant ? 'text-green-700 font-medium' : 'text-gray-700'}`}>
+                {formatPValue(correlation.pValue)}
+              </td>
+              <td className="py-2 text-gray-700">{correlation.sampleSize}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+    <p className="text-xs text-gray-500 mt-3">
+      Significativa si p &lt; {SIGNIFICANCE_LEVEL}. Los valores p no están corregidos por comparaciones múltiples.
+    </p>
+  </div>
+);
+
 /**
  * Componente principal StatsSummary
  */
 const StatsSummary = ({ 
   stats = {},
   distribution = {},
+  correlations = [],
   className = '',
   showDistribution = true,
   layout = 'grid' // 'grid' | 'horizontal'
 }) => {
   const hasStats = Object.keys(stats).length > 0;
   const hasDistribution = Object.keys(distribution).length > 0;
+  const testedCorrelations = correlations.filter(c => c.sampleSize !== undefined);
 
-  if (!hasStats && !hasDistribution) {
+  if (!hasStats && !hasDistribution && testedCorrelations.length === 0) {
     return (
       <div className={`p-6 bg-gray-50 rounded-lg border border-gray-200 ${className}`}>
         <div className="text-center">
@@ -251,6 +298,11 @@ const StatsSummary = ({
         </div>
       )}
 
+      {/* Pruebas de significancia */}
+      {testedCorrelations.length > 0 && (
+        <SignificanceTable correlations={testedCorrelations} />
+      )}
+
       {/* Distribución de correlaciones */}
       {showDistribution && hasDistribution && (
         <CorrelationDistribution 
@@ -277,6 +329,15 @@ StatsSummary.propTypes = {
     PropTypes.string
   ])),
   distribution: PropTypes.objectOf(PropTypes.number),
+  correlations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    correlation: PropTypes.number.isRequired,
+    method: PropTypes.string,
+    pValue: PropTypes.number,
+    sampleSize: PropTypes.number,
+    confidenceInterval: PropTypes.object
+  })),
   className: PropTypes.string,
   showDistribution: PropTypes.bool,
   layout: PropTypes.oneOf(['grid', 'horizontal'])
@@ -291,6 +352,11 @@ StatCard.propTypes = {
   className: PropTypes.string
 };
 
+SignificanceTable.propTypes = {
+  correlations: PropTypes.array.isRequired,
+  className: PropTypes.string
+};
+
 CorrelationDistribution.propTypes = {
   distribution: PropTypes.objectOf(PropTypes.number).isRequired,
   className: PropTypes.string
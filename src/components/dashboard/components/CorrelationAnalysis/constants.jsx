@@ -193,6 +193,23 @@ export const STATS_CONFIG = {
   averageCorrelation: {
     label: 'Correlación promedio',
     icon: <BsGraphUp />
+  },
+  totalUsers: {
+    label: 'Participantes',
+    description: 'Personas con respuestas; cada correlación usa solo los pares completos'
+  },
+  avgGHQ: {
+    label: 'Malestar medio GHQ-12',
+    description: 'Promedio por ítem en escala 0-3'
+  },
+  correlationsCount: {
+    label: 'Correlaciones analizadas',
+    icon: <BsBarChart />
+  },
+  significantCorrelations: {
+    label: 'Correlaciones significativas',
+    icon: <BsLightning />,
+    description: 'Con p < 0.05 en la prueba bilateral de correlación cero'
   }
 };
 
@@ -0,0 +1,134 @@
+import React, { useMemo, useState, memo } from 'react';
+import { classifyRiskPercentage } from '../../../config/riskBands';
+import { getCurrentInstrument, getFactorModels } from '../../../data/instruments';
+import { RISK_COLORS, getLegendItems } from './RiskHeatmap/constants';
+
+/**
+ * Heatmap de subescalas GHQ-12 por departamento.
+ * Cada celda es el % de malestar promedio del factor; la columna "Predomina"
+ * indica qué factor pesa más en cada departamento para orientar la intervención.
+ */
+const FactorHeatmap = memo(({ data, loading = false }) => {
+  const models = getFactorModels(getCurrentInstrument());
+  const [modelKey, setModelKey] = useState(models[0]?.key);
+  const model = models.find(m => m.key === modelKey);
+  const factors = model?.factors;
+
+  const rows = useMemo(() => {
+    const departmentData = data?.segmented?.byDepartment || {};
+
+    return Object.keys(departmentData)
+      .sort()
+      .map(dept => ({ dept, scores: departmentData[dept].factorScores?.[modelKey] }))
+      .filter(row => row.scores && row.scores.n > 0)
+      .map(row => {
+        const dominant = factors.reduce((best, factor) => (
+          !best || row.scores.factors[factor.key].distressPercentage > row.scores.factors[best.key].distressPercentage
+            ? factor
+            : best
+        ), null);
+        return { ...row, dominant };
+      });
+  }, [data?.segmented?.byDepartment, modelKey, factors]);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border p-6 animate-pulse" role="status" aria-live="polite">
+        <div className="h-4 bg-gray-200 rounded w-1/3 mb-6" aria-hidden="true"></div>
+        <div className="h-40 bg-gray-200 rounded" aria-hidden="true"></div>
+        <span className="sr-only">Cargando subescalas...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Subescalas por Departamento</h3>
+          <p className="text-sm text-gray-600">{model?.description}</p>
+        </div>
+        <div className="flex gap-2">
+          {models.map(m => (
+            <button
+              key={m.key}
+              onClick={() => setModelKey(m.key)}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                modelKey === m.key ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {m.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <p>No hay sesiones completas con departamento asignado</p>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-3">Departamento</th>
+                  <th className="py-2 pr-3 text-right">n</th>
+                  {model.factors.map(factor => (
+                    <th key={factor.key} className="py-2 pr-3 text-center" title={factor.description}>
+                      {factor.name}
+                    </th>
+                  ))}
+                  <th className="py-2">Predomina</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ dept, scores, dominant }) => (
+                  <tr key={dept} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 font-medium text-gray-900">{dept}</td>
+                    <td className="py-2 pr-3 text-right text-gray-600">{scores.n}</td>
+                    {model.factors.map(factor => {
+                      const value = scores.factors[factor.key].distressPercentage;
+                      const colors = RISK_COLORS[classifyRiskPercentage(value).key];
+                      return (
+                        <td key={factor.key} className="py-1 pr-3">
+                          <div
+                            className={`rounded px-2 py-2 text-center font-medium ${colors.badge}`}
+                            title={`Malestar medio ${scores.factors[factor.key].meanDistress.toFixed(2)} / 3`}
+                          >
+                            {value.toFixed(1)}%
+                          </div>
+                        </td>
+                      );
+                    })}
+                    <td className="py-2">
+                      <span className="inline-flex items-center gap-2 text-gray-700">
+                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: dominant.color }} />
+                        {dominant.name}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center gap-3 text-xs mt-4 p-2 bg-gray-50 rounded-lg">
+            <span className="font-medium text-gray-700">% de malestar:</span>
+            {getLegendItems().map((item) => (
+              <div key={item.key} className="flex items-center gap-1">
+                <div className={`w-2 h-2 rounded-full ${item.color}`} />
+                <span className="text-gray-600">{item.level} ({item.range})</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+FactorHeatmap.displayName = 'FactorHeatmap';
+
+export default FactorHeatmap;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { useGroupComparisonData } from '../hooks/useGroupComparisonData';
+import { COMPARISON_GROUPINGS } from '../../../services/GroupComparisonService';
+import { formatPValue } from '../../../services/correlationService';
+import { COMPARISON_CRITERIA, TEST_LABELS } from '../../../utils/groupComparison';
+import { getRiskBandByKey } from '../../../config/riskBands';
+import { CHART_COLORS, getColorWithOpacity } from '../../../utils/chartColors';
+
+const isSignificant = (pValue) => pValue !== null && pValue < COMPARISON_CRITERIA.SIGNIFICANCE_LEVEL;
+
+// "t(8.0) = -2.00", "H(2) = 7.20", "F(2, 27) = 3.10"
+const formatStatistic = (result) => {
+  const symbol = { welch_t: 't', mann_whitney: 'U', anova: 'F', kruskal_wallis: 'H', chi_square: 'χ²' }[result.test];
+  const df = Array.isArray(result.df) ? result.df.join(', ') : result.df;
+  const degrees = df === undefined ? '' : `(${Number.isInteger(df) || Array.isArray(result.df) ? df : df.toFixed(1)})`;
+  return `${symbol}${degrees} = ${result.statistic.toFixed(2)}`;
+};
+
+const formatEffect = ({ label, value, magnitude }) => `${label} = ${value.toFixed(2)} (${magnitude})`;
+
+/**
+ * Resultado de una prueba global con su conclusión en lenguaje llano
+ */
+const TestResult = ({ title, result, conclusion }) => (
+  <div
+    className={`rounded-lg border p-3 ${
+      isSignificant(result.pValue) ? 'border-blue-200 bg-blue-50' : 'border-gray-200 bg-gray-50'
+    }`}
+  >
+    <p className="text-sm font-semibold text-gray-900">{title}</p>
+    <p className="text-xs text-gray-600 mt-1">
+      {TEST_LABELS[result.test]}: {formatStatistic(result)} · {formatPValue(result.pValue)}
+    </p>
+    <p className="text-xs text-gray-600">{formatEffect(result.effectSize)}</p>
+    <p className="text-sm text-gray-800 mt-2">{conclusion}</p>
+  </div>
+);
+
+/**
+ * Comparación del riesgo entre grupos: ¿las diferencias entre departamentos,
+ * turnos, géneros... son estadísticamente significativas y de qué tamaño?
+ */
+const GroupComparisonPanel = ({ filters = {}, title = 'Comparar grupos' }) => {
+  const [groupBy, setGroupBy] = useState('departamento');
+  const [parametric, setParametric] = useState(false);
+  const { comparison, loading, error } = useGroupComparisonData(filters, groupBy, parametric);
+
+  const groupLabel = COMPARISON_GROUPINGS[groupBy].toLowerCase();
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <div className="flex items-start justify-between mb-4 gap-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg" style={{ backgroundColor: getColorWithOpacity(CHART_COLORS.metrics.secondary, 0.1) }}>
+            <span className="text-xl">⚖️</span>
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+            <p className="text-sm text-gray-600">¿Las diferencias de riesgo son mayores que las esperables por azar?</p>
+          </div>
+        </div>
+        <div className="flex flex-col items-end gap-2">
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+            aria-label="Comparar por"
+          >
+            {Object.entries(COMPARISON_GROUPINGS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={parametric}
+              onChange={(e) => setParametric(e.target.checked)}
+              className="h-3 w-3 rounded border-gray-300"
+            />
+            Pruebas paramétricas (t / ANOVA)
+          </label>
+        </div>
+      </div>
+
+      {loading && (
+        <div className="text-center py-12 text-gray-500">Calculando...</div>
+      )}
+      {error && (
+        <div className="text-center py-12 text-red-600">{error}</div>
+      )}
+
+      {!loading && !error && comparison && (
+        <div className="space-y-4">
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-3">{COMPARISON_GROUPINGS[groupBy]}</th>
+                  <th className="py-2 pr-3 text-right">n</th>
+                  <th className="py-2 pr-3 text-right">% riesgo medio</th>
+                  <th className="py-2 pr-3 text-right">Mediana</th>
+                  <th className="py-2 text-right">DE</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.groups.map(group => (
+                  <tr key={group.name} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 text-gray-900">{group.name}</td>
+                    <td className="py-2 pr-3 text-right">{group.n}</td>
+                    <td className="py-2 pr-3 text-right">{group.mean.toFixed(1)}</td>
+                    <td className="py-2 pr-3 text-right">{group.median.toFixed(1)}</td>
+                    <td className="py-2 text-right">{group.sd.toFixed(1)}</td>
+                  </tr>
+                ))}
+                {comparison.suppressedCount > 0 && (
+                  <tr className="border-b border-gray-100 text-gray-400">
+                    <td className="py-2" colSpan={5}>
+                      {comparison.suppressedCount} grupo(s) ocultos por anonimato
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {comparison.omnibus && (
+            <TestResult
+              title="Porcentaje de riesgo"
+              result={comparison.omnibus}
+              conclusion={isSignificant(comparison.omnibus.pValue)
+                ? `El riesgo difiere según ${groupLabel}.`
+                : `No hay evidencia de que el riesgo difiera según ${groupLabel}.`}
+            />
+          )}
+
+          {comparison.pairwise.length > 0 && (
+            <div className="overflow-x-auto">
+              <p className="text-sm font-semibold text-gray-900 mb-2">Comparaciones por pares (p ajustado por Holm)</p>
+              <table className="min-w-full text-xs">
+                <tbody>
+                  {comparison.pairwise.map(pair => (
+                    <tr key={`${pair.a}-${pair.b}`} className="border-b border-gray-100">
+                      <td className="py-1 pr-3 text-gray-900">{pair.a} vs {pair.b}</td>
+                      <td className={`py-1 pr-3 ${pair.significant ? 'text-blue-700 font-semibold' : 'text-gray-600'}`}>
+                        {formatPValue(pair.adjustedPValue)}
+                      </td>
+                      <td className="py-1 text-gray-600">{formatEffect(pair.effectSize)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {comparison.riskDistribution && (
+            <TestResult
+              title={`Distribución de niveles (${comparison.riskDistribution.levels
+                .map(level => getRiskBandByKey(level)?.label || level)
+                .join(', ')})`}
+              result={comparison.riskDistribution}
+              conclusion={isSignificant(comparison.riskDistribution.pValue)
+                ? `La proporción de cada nivel de riesgo depende de ${groupLabel}.`
+                : 'La proporción de niveles de riesgo es similar entre grupos.'}
+            />
+          )}
+
+          {comparison.warnings.length > 0 && (
+            <ul className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3 list-disc list-inside" role="alert">
+              {comparison.warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupComparisonPanel;
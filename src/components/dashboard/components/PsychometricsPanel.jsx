@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { usePsychometricsData } from '../hooks/usePsychometricsData';
+import { RELIABILITY_GROUPINGS } from '../../../services/PsychometricsService';
+import { PSYCHOMETRIC_CRITERIA } from '../../../utils/ghq12Calculator';
+import { CHART_COLORS, getColorWithOpacity } from '../../../utils/chartColors';
+
+const formatCoefficient = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+
+// Color de un coeficiente según el umbral de confiabilidad aceptable
+const coefficientColor = (value) => {
+  if (value === null || value === undefined) return 'text-gray-400';
+  return value >= PSYCHOMETRIC_CRITERIA.MIN_RELIABILITY ? 'text-green-700' : 'text-red-700';
+};
+
+const SUBGROUP_STATUS_STYLES = {
+  ok: 'bg-green-50 text-green-700 border-green-200',
+  inestable: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+  baja: 'bg-red-50 text-red-700 border-red-200',
+  insuficiente: 'bg-gray-50 text-gray-600 border-gray-200'
+};
+
+const SUBGROUP_STATUS_LABELS = {
+  ok: 'Aceptable',
+  inestable: 'Muestra pequeña',
+  baja: 'Confiabilidad baja',
+  insuficiente: 'Datos insuficientes'
+};
+
+/**
+ * Confiabilidad (α de Cronbach, ω de McDonald) y análisis de ítems del GHQ-12
+ * para el filtro actual, con advertencias por subgrupo.
+ */
+const PsychometricsPanel = ({ filters = {} }) => {
+  const [groupBy, setGroupBy] = useState('departamento');
+  const { psychometrics, loading, error } = usePsychometricsData(filters, groupBy);
+
+  const overall = psychometrics?.overall;
+  const subgroups = psychometrics?.subgroups || [];
+  const flaggedSubgroups = subgroups.filter(group => group.status === 'baja');
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg" style={{ backgroundColor: getColorWithOpacity(CHART_COLORS.metrics.primary, 0.1) }}>
+            <span className="text-xl">📐</span>
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Confiabilidad del Cuestionario</h3>
+            <p className="text-sm text-gray-600">
+              Última respuesta por empleado{overall ? ` · ${overall.methodLabel}` : ''}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {loading && (
+        <div className="text-center py-12 text-gray-500">Calculando...</div>
+      )}
+      {error && (
+        <div className="text-center py-12 text-red-600">{error}</div>
+      )}
+
+      {!loading && !error && overall && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            <div className="rounded-lg border p-4">
+              <p className="text-sm text-gray-500">Participantes</p>
+              <p className="text-2xl font-bold text-gray-900">{overall.n}</p>
+            </div>
+            <div className="rounded-lg border p-4">
+              <p className="text-sm text-gray-500">α de Cronbach</p>
+              <p className={`text-2xl font-bold ${coefficientColor(overall.alpha)}`}>{formatCoefficient(overall.alpha)}</p>
+              {overall.reliability && <p className="text-xs text-gray-500">{overall.reliability.label}</p>}
+            </div>
+            <div className="rounded-lg border p-4">
+              <p className="text-sm text-gray-500">ω de McDonald</p>
+              <p className={`text-2xl font-bold ${coefficientColor(overall.omega)}`}>{formatCoefficient(overall.omega)}</p>
+              {overall.omegaReliability && <p className="text-xs text-gray-500">{overall.omegaReliability.label}</p>}
+            </div>
+            <div className="rounded-lg border p-4">
+              <p className="text-sm text-gray-500">Efecto suelo</p>
+              <p className={`text-2xl font-bold ${overall.floorEffect?.present ? 'text-yellow-700' : 'text-gray-900'}`}>
+                {formatPercent(overall.floorEffect?.percent)}
+              </p>
+            </div>
+            <div className="rounded-lg border p-4">
+              <p className="text-sm text-gray-500">Efecto techo</p>
+              <p className={`text-2xl font-bold ${overall.ceilingEffect?.present ? 'text-yellow-700' : 'text-gray-900'}`}>
+                {formatPercent(overall.ceilingEffect?.percent)}
+              </p>
+            </div>
+          </div>
+
+          {overall.warnings.length > 0 && (
+            <div className="mb-6 rounded-lg border border-yellow-200 bg-yellow-50 p-4" role="alert">
+              <p className="text-sm font-semibold text-yellow-800 mb-1">Advertencias</p>
+              <ul className="text-sm text-yellow-800 list-disc list-inside">
+                {overall.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {overall.items.length > 0 && (
+            <div className="overflow-x-auto mb-6">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-3">Ítem</th>
+                    <th className="py-2 pr-3 text-right">Media</th>
+                    <th className="py-2 pr-3 text-right">DE</th>
+                    <th className="py-2 pr-3 text-right">r ítem-total</th>
+                    <th className="py-2 pr-3 text-right">α sin ítem</th>
+                    <th className="py-2 pr-3 text-right">% mínimo</th>
+                    <th className="py-2 text-right">% máximo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {overall.items.map(item => (
+                    <tr key={item.id} className="border-b border-gray-100">
+                      <td className="py-2 pr-3 text-gray-900" title={item.text}>
+                        <span className="font-semibold">{item.id}.</span> {item.shortLabel || item.text}
+                      </td>
+                      <td className="py-2 pr-3 text-right">{item.mean.toFixed(2)}</td>
+                      <td className="py-2 pr-3 text-right">{item.sd.toFixed(2)}</td>
+                      <td className={`py-2 pr-3 text-right ${item.flags.lowItemTotal ? 'text-red-700 font-semibold' : ''}`}>
+                        {formatCoefficient(item.itemTotalCorrelation)}
+                      </td>
+                      <td className={`py-2 pr-3 text-right ${item.flags.improvesAlphaIfDeleted ? 'text-yellow-700 font-semibold' : ''}`}>
+                        {formatCoefficient(item.alphaIfDeleted)}
+                      </td>
+                      <td className="py-2 pr-3 text-right">{formatPercent(item.floorPercent)}</td>
+                      <td className="py-2 text-right">{formatPercent(item.ceilingPercent)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-lg font-semibold text-gray-900">Confiabilidad por subgrupo</h4>
+            <select
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+              aria-label="Agrupar por"
+            >
+              {Object.entries(RELIABILITY_GROUPINGS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {flaggedSubgroups.length > 0 && (
+            <div className="mb-3 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700" role="alert">
+              {flaggedSubgroups.length === 1 ? 'Un subgrupo tiene' : `${flaggedSubgroups.length} subgrupos tienen`} confiabilidad
+              por debajo de {PSYCHOMETRIC_CRITERIA.MIN_RELIABILITY}: sus puntajes deben interpretarse con cautela.
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+            {subgroups.length === 0 && (
+              <div className="col-span-full text-center text-gray-500 py-6">Sin datos para el filtro actual</div>
+            )}
+            {subgroups.map(group => (
+              <div key={group.group} className={`rounded-lg border p-3 ${SUBGROUP_STATUS_STYLES[group.status]}`}>
+                <div className="flex items-center justify-between">
+                  <p className="font-semibold">{group.group}</p>
+                  <span className="text-xs">{SUBGROUP_STATUS_LABELS[group.status]}</span>
+                </div>
+                <p className="text-sm mt-1">
+                  n = {group.n} · α = {formatCoefficient(group.alpha)} · ω = {formatCoefficient(group.omega)}
+                </p>
+                {group.warning && <p className="text-xs mt-1">{group.warning}</p>}
+              </div>
+            ))}
+          </div>
+          {psychometrics?.suppressedSubgroups > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              {psychometrics.suppressedSubgroups} subgrupo(s) ocultos por anonimato
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PsychometricsPanel;
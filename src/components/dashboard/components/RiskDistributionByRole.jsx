@@ -12,6 +12,8 @@ import {
 import { CardSkeleton } from '../../ui/SkeletonLoader';
 import { getRiskLevel } from '../../../utils/riskLevelUtils';
 import { getRiskColor, CHART_COLORS, getColorWithOpacity } from '../../../utils/chartColors';
+import { getRiskBands } from '../../../config/riskBands';
+import { MERGED_GROUP_LABEL, getMinGroupSize } from '../../../config/anonymity';
 import { useRiskByRoleData } from '../../../hooks/useRiskByRoleData';
 
 /**
@@ -58,13 +60,16 @@ const RiskDistributionByRole = ({ filters = {}, title = "Distribución de Riesgo
         cargo: item.cargo,
         promedioGHQ: promedio,
         totalEmpleados: item.hasData ? item.count : 0,
-        nivelRiesgo: item.hasData ? getRiskLevel(promedio) : 'Sin datos',
+        nivelRiesgo: item.hasData ? getRiskLevel((promedio / 3) * 100) : 'Sin datos',
         colorBarra: color,
         hasData: !!item.hasData,
+        mergedGroups: item.mergedGroups,
         index
       };
     });
 
+  const mergedGroups = chartData.find(item => item.mergedGroups)?.mergedGroups || [];
+
   // Custom tooltip moderno con mejor diseño
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
@@ -158,22 +163,14 @@ const RiskDistributionByRole = ({ filters = {}, title = "Distribución de Riesgo
       {/* Leyenda de colores */}
       <div className="mb-4 p-3 rounded-lg" style={{ backgroundColor: getColorWithOpacity(CHART_COLORS.metrics.primary, 0.05) }}>
         <div className="flex items-center justify-center gap-6 text-xs">
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: CHART_COLORS.risk.veryLow }}></div>
-            <span className="text-gray-600">Bajo (0-1.5)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: CHART_COLORS.risk.low }}></div>
-            <span className="text-gray-600">Moderado (1.5-2.5)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: CHART_COLORS.risk.moderate }}></div>
-            <span className="text-gray-600">Alto (2.5-3.0)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: CHART_COLORS.risk.high }}></div>
-            <span className="text-gray-600">Muy Alto (3.0+)</span>
-          </div>
+          {getRiskBands().map(band => (
+            <div key={band.key} className="flex items-center gap-2">
+              <div className="w-3 h-3 rounded-full" style={{ backgroundColor: band.color }}></div>
+              <span className="text-gray-600">
+                {band.label} ({((band.minPercentage / 100) * 3).toFixed(2)}+)
+              </span>
+            </div>
+          ))}
         </div>
       </div>
 
@@ -250,6 +247,12 @@ const RiskDistributionByRole = ({ filters = {}, title = "Distribución de Riesgo
             </span>
           </div>
         </div>
+        {mergedGroups.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500">
+            &quot;{MERGED_GROUP_LABEL}&quot; agrupa {mergedGroups.length} cargos para no mostrar grupos de menos
+            de {getMinGroupSize()} empleados.
+          </p>
+        )}
       </div>
     </div>
   );
@@ -19,6 +19,9 @@ import {
   calculateStatistics,
   generateRecommendations
 } from '../../../utils/riskUtils';
+import { classifyRiskPercentage } from '../../../config/riskBands';
+import { MERGED_GROUP_LABEL, getMinGroupSize } from '../../../config/anonymity';
+import { RISK_COLORS, getLegendItems } from './RiskHeatmap/constants';
 
 // Mapeo de departamentos a iconos de react-icons
 const departmentIcons = {
@@ -101,6 +104,8 @@ const RiskHeatmap = memo(({ data, loading = false }) => {
     return {
       departments: Object.keys(averageRisk).sort(),
       averageRisk,
+      // Departamentos combinados en "Otros grupos" por el umbral de anonimato
+      mergedGroups: departmentData[MERGED_GROUP_LABEL]?.mergedGroups || [],
       isEmpty: Object.keys(averageRisk).length === 0
     };
   }, [data?.segmented?.byDepartment, loading]);
@@ -115,7 +120,7 @@ const RiskHeatmap = memo(({ data, loading = false }) => {
         risk: heatmapData.averageRisk[dept],
         level: getRiskLabel(heatmapData.averageRisk[dept])
       }))
-      .filter(dept => dept.risk >= 40)
+      .filter(dept => classifyRiskPercentage(dept.risk).key !== 'bajo')
       .sort((a, b) => b.risk - a.risk)
       .slice(0, 5);
   }, [heatmapData]);
@@ -184,13 +189,8 @@ const RiskHeatmap = memo(({ data, loading = false }) => {
             {/* Leyenda compacta */}
             <div className="flex items-center gap-3 text-xs mb-4 p-2 bg-gray-50 rounded-lg">
               <span className="font-medium text-gray-700">Niveles:</span>
-              {[
-                { level: 'Bajo', color: 'bg-green-400', range: '0-40%' },
-                { level: 'Moderado', color: 'bg-yellow-400', range: '40-60%' },
-                { level: 'Alto', color: 'bg-orange-400', range: '60-80%' },
-                { level: 'Crítico', color: 'bg-red-500', range: '80-100%' }
-              ].map((item, index) => (
-                <div key={index} className="flex items-center gap-1">
+              {getLegendItems().map((item) => (
+                <div key={item.key} className="flex items-center gap-1">
                   <div className={`w-2 h-2 rounded-full ${item.color}`} />
                   <span className="text-gray-600">{item.level}</span>
                 </div>
@@ -204,33 +204,19 @@ const RiskHeatmap = memo(({ data, loading = false }) => {
               const riskValue = heatmapData.averageRisk[dept];
               const riskLevel = getRiskLabel(riskValue);
               const IconComponent = departmentIcons[dept] || departmentIcons.default;
-              const isCritical = riskValue >= 60;
+              const colors = RISK_COLORS[classifyRiskPercentage(riskValue).key];
               
               return (
                 <div 
                   key={dept} 
-                  className={`p-4 rounded-lg border-2 transition-all duration-200 hover:shadow-md ${
-                    isCritical 
-                      ? 'border-red-200 bg-red-50' 
-                      : riskValue >= 40 
-                        ? 'border-yellow-200 bg-yellow-50'
-                        : 'border-green-200 bg-green-50'
-                  }`}
+                  className={`p-4 rounded-lg border-2 transition-all duration-200 hover:shadow-md ${colors.border} ${colors.bg}`}
                 >
                   <div className="flex items-center justify-between mb-2">
                     <div className="flex items-center gap-2">
-                      <IconComponent className={`w-5 h-5 ${
-                        isCritical ? 'text-red-600' : riskValue >= 40 ? 'text-yellow-600' : 'text-green-600'
-                      }`} />
+                      <IconComponent className={`w-5 h-5 ${colors.text}`} />
                       <span className="font-medium text-gray-900 text-sm">{dept}</span>
                     </div>
-                    <div className={`px-2 py-1 rounded text-xs font-medium ${
-                      isCritical 
-                        ? 'bg-red-100 text-red-800' 
-                        : riskValue >= 40 
-                          ? 'bg-yellow-100 text-yellow-800'
-                          : 'bg-green-100 text-green-800'
-                    }`}>
+                    <div className={`px-2 py-1 rounded text-xs font-medium ${colors.badge}`}>
                       {riskValue.toFixed(1)}%
                     </div>
                   </div>
@@ -249,6 +235,13 @@ const RiskHeatmap = memo(({ data, loading = false }) => {
               );
             })}
           </div>
+
+          {heatmapData.mergedGroups.length > 0 && (
+            <p className="mt-3 text-xs text-gray-500">
+              &quot;{MERGED_GROUP_LABEL}&quot; reúne {heatmapData.mergedGroups.length} departamentos para que ningún
+              grupo de menos de {getMinGroupSize()} participantes sea identificable.
+            </p>
+          )}
         </div>
 
         {/* Columna lateral - Análisis y recomendaciones */}
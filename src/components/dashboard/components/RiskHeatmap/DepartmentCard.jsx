@@ -1,18 +1,14 @@
 import React from 'react';
-import { RISK_THRESHOLDS, RISK_COLORS } from './constants';
+import { RISK_COLORS } from './constants';
 import { getRiskLabel } from '../../../../utils/riskUtils';
+import { classifyRiskPercentage } from '../../../../config/riskBands';
 
 /**
- * Obtiene el nivel de riesgo basado en el valor
+ * Obtiene la clave de la banda de riesgo para el valor
  * @param {number} riskValue - Valor de riesgo (0-100)
- * @returns {string} Nivel de riesgo
+ * @returns {string} Clave de la banda
  */
-const getRiskLevel = (riskValue) => {
-  if (riskValue >= RISK_THRESHOLDS.HIGH) return 'CRITICAL';
-  if (riskValue >= RISK_THRESHOLDS.MODERATE) return 'HIGH';
-  if (riskValue >= RISK_THRESHOLDS.LOW) return 'MODERATE';
-  return 'LOW';
-};
+const getRiskLevel = (riskValue) => classifyRiskPercentage(riskValue).key;
 
 /**
  * Componente de barra de progreso mejorado
@@ -16,7 +16,7 @@ import {
 import { useRiskHeatmapData } from '../../../../hooks/useRiskHeatmapData';
 import DepartmentCard from './DepartmentCard';
 import CriticalDepartmentsList from './CriticalDepartmentsList';
-import { LEGEND_ITEMS } from './constants';
+import { getLegendItems } from './constants';
 
 // Mapeo de departamentos a iconos
 const departmentIcons = {
@@ -105,8 +105,8 @@ const StatsHeader = ({ statistics, data }) => (
 const RiskLegend = () => (
   <div className="flex items-center gap-3 text-xs mb-4 p-2 bg-gray-50 rounded-lg" role="region" aria-label="Leyenda de niveles de riesgo">
     <span className="font-medium text-gray-700">Niveles:</span>
-    {LEGEND_ITEMS.map((item, index) => (
-      <div key={index} className="flex items-center gap-1">
+    {getLegendItems().map((item) => (
+      <div key={item.key} className="flex items-center gap-1">
         <div className={`w-2 h-2 rounded-full ${item.color}`} aria-hidden="true" />
         <span className="text-gray-600">{item.level}</span>
       </div>
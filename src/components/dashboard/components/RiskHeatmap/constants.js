@@ -1,41 +1,31 @@
 // Constantes de configuración para RiskHeatmap
-export const RISK_THRESHOLDS = {
-  LOW: 40,
-  MODERATE: 60,
-  HIGH: 80,
-  CRITICAL: 100
-};
-
-export const RISK_LEVELS = {
-  LOW: 'Bajo',
-  MODERATE: 'Moderado', 
-  HIGH: 'Alto',
-  CRITICAL: 'Crítico'
-};
+// Los niveles y sus límites provienen del registro de bandas de riesgo
+import { getRiskBands } from '../../../../config/riskBands';
 
+// Colores por clave de banda (bajo, moderado, alto, muy_alto)
 export const RISK_COLORS = {
-  LOW: {
+  bajo: {
     bg: 'bg-green-50',
     border: 'border-green-200',
     text: 'text-green-600',
     badge: 'bg-green-100 text-green-800',
     progress: 'bg-green-400'
   },
-  MODERATE: {
+  moderado: {
     bg: 'bg-yellow-50',
     border: 'border-yellow-200', 
     text: 'text-yellow-600',
     badge: 'bg-yellow-100 text-yellow-800',
     progress: 'bg-yellow-400'
   },
-  HIGH: {
+  alto: {
     bg: 'bg-orange-50',
     border: 'border-orange-200',
     text: 'text-orange-600', 
     badge: 'bg-orange-100 text-orange-800',
     progress: 'bg-orange-400'
   },
-  CRITICAL: {
+  muy_alto: {
     bg: 'bg-red-50',
     border: 'border-red-200',
     text: 'text-red-600',
@@ -44,9 +34,18 @@ export const RISK_COLORS = {
   }
 };
 
-export const LEGEND_ITEMS = [
-  { level: RISK_LEVELS.LOW, color: RISK_COLORS.LOW.progress, range: '0-40%' },
-  { level: RISK_LEVELS.MODERATE, color: RISK_COLORS.MODERATE.progress, range: '40-60%' },
-  { level: RISK_LEVELS.HIGH, color: RISK_COLORS.HIGH.progress, range: '60-80%' },
-  { level: RISK_LEVELS.CRITICAL, color: RISK_COLORS.CRITICAL.progress, range: '80-100%' }
-];
\ No newline at end of file
+// Elementos de la leyenda con los rangos vigentes en porcentaje de riesgo
+export const getLegendItems = () => {
+  const bands = getRiskBands();
+  return bands.map((band, index) => {
+    const next = bands[index + 1];
+    const from = Math.round(band.minPercentage);
+    const to = next ? Math.round(next.minPercentage) : 100;
+    return {
+      key: band.key,
+      level: band.label,
+      color: RISK_COLORS[band.key].progress,
+      range: `${from}-${to}%`
+    };
+  });
+};
@@ -5,7 +5,8 @@ import {
   CONCENTRATION_MESSAGES,
   RECOMMENDATION_TEMPLATES,
   RECOMMENDATION_THRESHOLDS,
-  LABELS 
+  LABELS,
+  getRiskLevelLabel
 } from '../../../../constants/riskMatrix';
 import { DetailPanelPropTypes, DetailPanelDefaultProps } from './PropTypes';
 
@@ -29,26 +30,26 @@ const DetailPanel = memo(({ selectedCell }) => {
   const recommendations = useMemo(() => {
     const { department, level, percentage } = selectedCell;
     
-    if (level === 'Muy Alto' && percentage > RECOMMENDATION_THRESHOLDS.VERY_HIGH_CRITICAL) {
+    if (level === 'muy_alto' && percentage > RECOMMENDATION_THRESHOLDS.VERY_HIGH_CRITICAL) {
       return RECOMMENDATION_TEMPLATES.VERY_HIGH_CRITICAL(department, percentage);
     }
     
-    if (level === 'Alto' && percentage > RECOMMENDATION_THRESHOLDS.HIGH_PRIORITY) {
+    if (level === 'alto' && percentage > RECOMMENDATION_THRESHOLDS.HIGH_PRIORITY) {
       return RECOMMENDATION_TEMPLATES.HIGH_PRIORITY(department, percentage);
     }
     
-    if (level === 'Moderado' && percentage > RECOMMENDATION_THRESHOLDS.MODERATE_PREVENTIVE) {
+    if (level === 'moderado' && percentage > RECOMMENDATION_THRESHOLDS.MODERATE_PREVENTIVE) {
       return RECOMMENDATION_TEMPLATES.MODERATE_PREVENTIVE(department, percentage);
     }
     
-    if (level === 'Bajo' || level === 'Muy Bajo') {
+    if (level === 'bajo') {
       return RECOMMENDATION_TEMPLATES.LOW_MAINTAIN(department);
     }
     
     // Recomendaciones por defecto para casos no cubiertos
     return [
       `📊 Monitorear la situación en ${department}`,
-      `📋 Evaluar factores específicos del ${percentage.toFixed(1)}% en ${level}`,
+      `📋 Evaluar factores específicos del ${percentage.toFixed(1)}% en ${getRiskLevelLabel(level)}`,
       `🔍 Investigar causas subyacentes del riesgo`
     ];
   }, [selectedCell]);
@@ -60,7 +61,7 @@ const DetailPanel = memo(({ selectedCell }) => {
   return (
     <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
       <h4 className="font-medium text-blue-900 mb-3">
-        📊 Análisis Detallado: {department} - {level}
+        📊 Análisis Detallado: {department} - {getRiskLevelLabel(level)}
       </h4>
       
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
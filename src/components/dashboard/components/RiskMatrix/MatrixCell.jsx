@@ -1,5 +1,5 @@
 import React, { memo, useCallback } from 'react';
-import { CONCENTRATION_COLORS, ACCESSIBILITY_CONFIG } from '../../../../constants/riskMatrix';
+import { CONCENTRATION_COLORS, ACCESSIBILITY_CONFIG, getRiskLevelLabel } from '../../../../constants/riskMatrix';
 import { MatrixCellPropTypes, MatrixCellDefaultProps } from './PropTypes';
 
 /**
@@ -43,8 +43,8 @@ const MatrixCell = memo(({
       `}
       onClick={handleClick}
       onKeyDown={handleKeyDown}
-      aria-label={`${department}, ${level}: ${percentage.toFixed(1)}%`}
-      title={`${percentage.toFixed(1)}% de usuarios en ${level}`}
+      aria-label={`${department}, ${getRiskLevelLabel(level)}: ${percentage.toFixed(1)}%`}
+      title={`${percentage.toFixed(1)}% de usuarios en ${getRiskLevelLabel(level)}`}
       role="gridcell"
       tabIndex={0}
     >
@@ -1,5 +1,5 @@
 import React, { memo } from 'react';
-import { RISK_LEVELS, RISK_LEVEL_COLORS, LABELS } from '../../../../constants/riskMatrix';
+import { RISK_LEVELS, RISK_LEVEL_COLORS, LABELS, getRiskLevelLabel } from '../../../../constants/riskMatrix';
 import { MatrixHeaderPropTypes, MatrixHeaderDefaultProps } from './PropTypes';
 
 /**
@@ -8,7 +8,7 @@ import { MatrixHeaderPropTypes, MatrixHeaderDefaultProps } from './PropTypes';
  */
 const MatrixHeader = memo(() => {
   return (
-    <div className="grid grid-cols-8 gap-1 mb-2" role="row">
+    <div className="grid grid-cols-6 gap-1 mb-2" role="row">
       {/* Encabezado de departamento */}
       <div 
         className="p-3 bg-gray-100 font-semibold text-sm text-gray-700 rounded"
@@ -23,9 +23,9 @@ const MatrixHeader = memo(() => {
           key={level}
           className={`p-3 font-semibold text-xs text-center rounded ${RISK_LEVEL_COLORS[level]}`}
           role="columnheader"
-          title={`Nivel de riesgo: ${level}`}
+          title={`Nivel de riesgo: ${getRiskLevelLabel(level)}`}
         >
-          {level}
+          {getRiskLevelLabel(level)}
         </div>
       ))}
       
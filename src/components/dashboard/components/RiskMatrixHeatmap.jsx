@@ -9,9 +9,12 @@ import { RiskMatrixHeatmapPropTypes, RiskMatrixHeatmapDefaultProps } from './Ris
 import { 
   RISK_LEVELS, 
   RISK_WEIGHTS, 
+  RISK_LEVEL_COLORS,
   CONCENTRATION_COLORS,
-  CONCENTRATION_THRESHOLDS 
+  CONCENTRATION_THRESHOLDS,
+  getRiskLevelLabel
 } from '../../../constants/riskMatrix';
+import { MERGED_GROUP_LABEL, getMinGroupSize } from '../../../config/anonymity';
 
 /**
  * Matriz de Riesgo Real - Heatmap que muestra departamentos vs niveles de riesgo
@@ -47,16 +50,7 @@ const RiskMatrixHeatmap = memo(({ filters }) => {
   }, []);
 
   // Función para obtener el color del nivel de riesgo
-  const getRiskLevelColor = (level) => {
-    const colors = {
-      'Muy Bajo': 'bg-green-500',
-      'Bajo': 'bg-yellow-500',
-      'Moderado': 'bg-orange-500',
-      'Alto': 'bg-red-500',
-      'Muy Alto': 'bg-red-700'
-    };
-    return colors[level] || 'bg-gray-500';
-  };
+  const getRiskLevelColor = (level) => RISK_LEVEL_COLORS[level] || 'bg-gray-500';
 
   // Calcular riesgo promedio del departamento
   const calculateDepartmentRisk = useCallback((riskDistribution) => {
@@ -149,6 +143,7 @@ const RiskMatrixHeatmap = memo(({ filters }) => {
             <p>• <strong>Riesgo promedio:</strong> Promedio ponderado considerando la distribución completa</p>
             <p>• <strong>Clasificación:</strong> Basada en puntajes normalizados del cuestionario GHQ-12</p>
             <p>• <strong>Colores:</strong> Intensidad representa concentración de usuarios (azul más oscuro = mayor concentración)</p>
+            <p>• <strong>Anonimato:</strong> Los departamentos con menos de {getMinGroupSize()} usuarios se combinan en &quot;{MERGED_GROUP_LABEL}&quot;</p>
           </div>
         </div>
       )}
@@ -169,7 +164,7 @@ const RiskMatrixHeatmap = memo(({ filters }) => {
             const avgRisk = calculateDepartmentRisk(riskDistribution);
 
             return (
-              <div key={department} className="grid grid-cols-8 gap-1 mb-1">
+              <div key={department} className="grid grid-cols-6 gap-1 mb-1">
                 {/* Nombre del departamento */}
                 <div className="p-3 bg-gray-50 font-medium text-sm text-gray-900 rounded flex items-center">
                   <span className="truncate" title={department}>{department}</span>
@@ -220,7 +215,7 @@ const RiskMatrixHeatmap = memo(({ filters }) => {
                 <div className="flex items-center gap-2">
                   <span className="text-red-600">{point.risk_percentage.toFixed(1)}%</span>
                   <span className={`px-2 py-1 rounded text-xs ${getRiskLevelColor(point.risk_level)}`}>
-                    {point.risk_level}
+                    {getRiskLevelLabel(point.risk_level)}
                   </span>
                 </div>
               </div>
@@ -261,4 +256,4 @@ RiskMatrixHeatmap.displayName = 'RiskMatrixHeatmap';
 RiskMatrixHeatmap.propTypes = RiskMatrixHeatmapPropTypes;
 RiskMatrixHeatmap.defaultProps = RiskMatrixHeatmapDefaultProps;
 
-export default RiskMatrixHeatmap;
\ No newline at end of file
+export default RiskMatrixHeatmap;
\ No newline at end of file
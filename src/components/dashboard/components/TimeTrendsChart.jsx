@@ -177,7 +177,7 @@ const TimeTrendsChart = memo(({ filters = {}, title = 'Tendencia Temporal del Ri
                 position: 'insideLeft',
                 style: { textAnchor: 'middle', fill: '#4B5563', fontSize: 12 }
               }}
-              domain={[0, 3]}
+              domain={[0, 'auto']}
               tick={{ fontSize: 12, fill: '#6B7280' }}
               axisLine={{ stroke: '#D1D5DB' }}
               tickLine={{ stroke: '#D1D5DB' }}
@@ -287,7 +287,7 @@ const TimeTrendsChart = memo(({ filters = {}, title = 'Tendencia Temporal del Ri
       </div>
       
       <div className="mt-4 text-xs text-gray-500">
-        <p>Nota: El promedio GHQ-12 se mide en escala 0-3. El % de riesgo muy alto considera respuestas ≥80%.</p>
+        <p>Nota: El promedio GHQ-12 es el puntaje total por sesión según el método de puntuación. El % de riesgo muy alto cuenta las sesiones en la banda Muy Alto.</p>
       </div>
     </div>
   );
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { useWaveComparisonData } from '../hooks/useWaveComparisonData';
+import { COMPARISON_GROUPINGS } from '../../../services/GroupComparisonService';
+import { findPreviousCampaign } from '../../../utils/campaigns';
+import { getRiskBandByKey } from '../../../config/riskBands';
+import { MERGED_GROUP_LABEL } from '../../../config/anonymity';
+import { CHART_COLORS, getColorWithOpacity } from '../../../utils/chartColors';
+
+// "+3.5 pp" / "−2.0 pp"; un aumento del riesgo se muestra en rojo
+const Change = ({ value }) => {
+  if (value === null || value === undefined) return <span className="text-gray-400">—</span>;
+  const rounded = Math.round(value * 10) / 10;
+  const color = rounded > 0 ? 'text-red-600' : rounded < 0 ? 'text-green-600' : 'text-gray-600';
+  return (
+    <span className={`font-semibold ${color}`}>
+      {rounded > 0 ? '+' : rounded < 0 ? '−' : ''}{Math.abs(rounded).toFixed(1)} pp
+    </span>
+  );
+};
+
+/**
+ * Barra apilada con la distribución de niveles de una ola
+ */
+const DistributionBar = ({ summary, levels, label }) => {
+  if (!summary) {
+    return <div className="h-3 rounded bg-gray-100" title={`${label}: sin datos suficientes`} />;
+  }
+
+  return (
+    <div className="flex h-3 rounded overflow-hidden" title={label}>
+      {levels.map(level => {
+        const band = getRiskBandByKey(level);
+        return (
+          <div
+            key={level}
+            style={{ width: `${summary.percentages[level]}%`, backgroundColor: band?.color }}
+            title={`${label} · ${band?.label || level}: ${summary.percentages[level].toFixed(1)}%`}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+const WaveRow = ({ row, levels, baselineName, currentName, emphasis = false }) => (
+  <tr className={`border-b border-gray-100 ${emphasis ? 'font-semibold bg-gray-50' : ''}`}>
+    <td className="py-2 pr-3 text-gray-900">
+      {row.name}
+      {row.mergedGroups && <span className="text-xs text-gray-500 font-normal"> ({row.mergedGroups} grupos)</span>}
+    </td>
+    <td className="py-2 pr-3 text-right whitespace-nowrap">
+      {row.baseline?.n ?? '—'} → {row.current?.n ?? '—'}
+    </td>
+    <td className="py-2 pr-3 w-48">
+      <div className="space-y-1">
+        <DistributionBar summary={row.baseline} levels={levels} label={baselineName} />
+        <DistributionBar summary={row.current} levels={levels} label={currentName} />
+      </div>
+    </td>
+    <td className="py-2 pr-3 text-right whitespace-nowrap">
+      {row.baseline ? `${row.baseline.highRisk.toFixed(1)}%` : '—'} → {row.current ? `${row.current.highRisk.toFixed(1)}%` : '—'}
+    </td>
+    <td className="py-2 pr-3 text-right whitespace-nowrap"><Change value={row.change?.highRisk} /></td>
+    <td className="py-2 text-right whitespace-nowrap"><Change value={row.change?.meanRisk} /></td>
+  </tr>
+);
+
+/**
+ * Comparación lado a lado de dos campañas: cómo cambió la distribución de
+ * niveles de riesgo en cada departamento entre una ola y la siguiente
+ */
+const WaveComparisonPanel = ({ campaigns = [], filters = {}, title = 'Comparar campañas' }) => {
+  const [currentId, setCurrentId] = useState('');
+  const [baselineId, setBaselineId] = useState('');
+  const [groupBy, setGroupBy] = useState('departamento');
+
+  // Por defecto: la campaña del filtro (o la más reciente) frente a la anterior
+  useEffect(() => {
+    const current = filters.campanaId || campaigns[0]?.id || '';
+    setCurrentId(current);
+    setBaselineId(findPreviousCampaign(campaigns, current)?.id || '');
+  }, [campaigns, filters.campanaId]);
+
+  const { comparison, loading, error } = useWaveComparisonData(baselineId, currentId, filters, groupBy);
+
+  const nameOf = id => campaigns.find(campaign => campaign.id === id)?.nombre || '';
+  const baselineName = nameOf(baselineId);
+  const currentName = nameOf(currentId);
+
+  const campaignSelect = (id, value, onChange, label) => (
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+      aria-label={label}
+    >
+      <option value="">Selecciona una campaña</option>
+      {campaigns.map(campaign => (
+        <option key={campaign.id} value={campaign.id}>{campaign.nombre}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <div className="flex flex-wrap items-start justify-between mb-4 gap-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg" style={{ backgroundColor: getColorWithOpacity(CHART_COLORS.metrics.primary, 0.1) }}>
+            <span className="text-xl">🌊</span>
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+            <p className="text-sm text-gray-600">Cambios en la distribución de riesgo entre dos olas de evaluación</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          {campaignSelect('wave-baseline', baselineId, setBaselineId, 'Ola anterior')}
+          <span>→</span>
+          {campaignSelect('wave-current', currentId, setCurrentId, 'Ola actual')}
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+            aria-label="Agrupar por"
+          >
+            {Object.entries(COMPARISON_GROUPINGS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {campaigns.length < 2 && (
+        <div className="text-center py-12 text-gray-500">Se necesitan al menos dos campañas para comparar</div>
+      )}
+      {campaigns.length >= 2 && (!baselineId || !currentId) && (
+        <div className="text-center py-12 text-gray-500">Selecciona las dos campañas a comparar</div>
+      )}
+      {loading && (
+        <div className="text-center py-12 text-gray-500">Calculando...</div>
+      )}
+      {error && (
+        <div className="text-center py-12 text-red-600">{error}</div>
+      )}
+
+      {!loading && !error && comparison && baselineId && currentId && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+            {comparison.levels.map(level => {
+              const band = getRiskBandByKey(level);
+              return (
+                <span key={level} className="flex items-center gap-1">
+                  <span className="w-3 h-3 rounded" style={{ backgroundColor: band?.color }} />
+                  {band?.label || level}
+                </span>
+              );
+            })}
+            <span className="text-gray-500">Barra superior: {baselineName} · inferior: {currentName}</span>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-3">{comparison.groupLabel}</th>
+                  <th className="py-2 pr-3 text-right">n</th>
+                  <th className="py-2 pr-3">Distribución</th>
+                  <th className="py-2 pr-3 text-right">% riesgo alto</th>
+                  <th className="py-2 pr-3 text-right">Cambio</th>
+                  <th className="py-2 text-right">Cambio del % de riesgo medio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.groups.map(row => (
+                  <WaveRow
+                    key={row.name}
+                    row={row}
+                    levels={comparison.levels}
+                    baselineName={baselineName}
+                    currentName={currentName}
+                  />
+                ))}
+                <WaveRow
+                  row={comparison.total}
+                  levels={comparison.levels}
+                  baselineName={baselineName}
+                  currentName={currentName}
+                  emphasis
+                />
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Último resultado de cada persona dentro de cada campaña. &quot;—&quot; indica que el grupo no
+            alcanza el umbral de anonimato en esa ola
+            {comparison.suppressedGroups.length > 0 && `; los grupos pequeños se combinan en "${MERGED_GROUP_LABEL}" en ambas olas`}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaveComparisonPanel;
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import CampaignService from '../../../services/CampaignService';
+
+/**
+ * Hook con la lista de campañas (olas) para el selector y la comparación entre olas
+ */
+export const useCampaignsData = () => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadCampaigns = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setCampaigns(await CampaignService.list());
+    } catch (err) {
+      console.error('Error loading campaigns:', err);
+      setError(err.message || 'Error desconocido');
+      setCampaigns([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCampaigns();
+  }, []);
+
+  return {
+    campaigns,
+    loading,
+    error,
+    handleRefresh: loadCampaigns
+  };
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import GroupComparisonService from '../../../services/GroupComparisonService';
+import { useToast } from '../../../hooks/useToast';
+
+/**
+ * Hook para comparar el riesgo entre grupos del filtro actual
+ */
+export const useGroupComparisonData = (filters = {}, groupBy = 'departamento', parametric = false) => {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { error: showError } = useToast();
+
+  const loadComparison = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await GroupComparisonService.compare(filters, groupBy, parametric);
+      setComparison(data);
+    } catch (err) {
+      console.error('Error loading group comparison:', err);
+      setError(err.message || 'Error desconocido');
+      showError('No se pudo calcular la comparación entre grupos');
+      setComparison(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, groupBy, parametric, showError]);
+
+  useEffect(() => {
+    loadComparison();
+  }, [loadComparison]);
+
+  return {
+    comparison,
+    loading,
+    error,
+    handleRefresh: loadComparison
+  };
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import PsychometricsService from '../../../services/PsychometricsService';
+import { useToast } from '../../../hooks/useToast';
+
+/**
+ * Hook para la confiabilidad y el análisis de ítems del filtro actual
+ */
+export const usePsychometricsData = (filters = {}, groupBy = 'departamento') => {
+  const [psychometrics, setPsychometrics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { error: showError } = useToast();
+
+  const loadPsychometrics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await PsychometricsService.getPsychometrics(filters, groupBy);
+      setPsychometrics(data);
+    } catch (err) {
+      console.error('Error loading psychometrics:', err);
+      setError(err.message || 'Error desconocido');
+      showError('No se pudo calcular la confiabilidad del cuestionario');
+      setPsychometrics(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, groupBy, showError]);
+
+  useEffect(() => {
+    loadPsychometrics();
+  }, [loadPsychometrics]);
+
+  return {
+    psychometrics,
+    loading,
+    error,
+    handleRefresh: loadPsychometrics
+  };
+};
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import DashboardServiceOptimized from '../../../../src/services/DashboardServiceOptimized';
+import { RISK_LEVELS, RISK_WEIGHTS } from '../../../constants/riskMatrix';
 
 /**
  * Hook personalizado para procesar los datos del heatmap de riesgo.
@@ -63,32 +64,23 @@ export const useRiskHeatmapData = (filters) => {
       // Ejemplo simple de cálculo de 'averageRisk' para compatibilidad
       // Esto debería ser más sofisticado si se necesita un promedio real de riesgo
       // Por ahora, usaremos el porcentaje de 'Muy Alto' como un proxy para el promedio visual
-      const riskDistribution = deptData.risk_distribution;
-      const muyAltoPercentage = riskDistribution['Muy Alto'] || 0;
-      const altoPercentage = riskDistribution['Alto'] || 0;
-      const moderadoPercentage = riskDistribution['Moderado'] || 0;
-      const bajoPercentage = riskDistribution['Bajo'] || 0;
-      const muyBajoPercentage = riskDistribution['Muy Bajo'] || 0;
+      // risk_distribution viene indexada por clave de banda (bajo, moderado, alto, muy_alto)
+      const riskDistribution = deptData.risk_distribution || {};
+      const distribution = RISK_LEVELS.reduce((acc, level) => {
+        acc[level] = riskDistribution[level] || 0;
+        return acc;
+      }, {});
 
-      // Un cálculo ponderado simple para un 'averageRisk' representativo
-      averageRisk[deptName] = (
-        (muyAltoPercentage * 5) + 
-        (altoPercentage * 4) + 
-        (moderadoPercentage * 3) + 
-        (bajoPercentage * 2) + 
-        (muyBajoPercentage * 1)
-      ) / 500; // Dividir por 500 para normalizar a una escala de 0-1 (o similar)
+      // Un cálculo ponderado simple para un 'averageRisk' representativo (escala 0-1)
+      averageRisk[deptName] = RISK_LEVELS.reduce(
+        (sum, level) => sum + distribution[level] * RISK_WEIGHTS[level],
+        0
+      ) / 100;
 
       departmentDetails[deptName] = {
         totalResponses: totalUsers, // Asumimos que total_users es el total de respuestas únicas
         uniqueUsers: totalUsers,
-        riskDistribution: {
-          'Muy Bajo': muyBajoPercentage,
-          'Bajo': bajoPercentage,
-          'Moderado': moderadoPercentage,
-          'Alto': altoPercentage,
-          'Muy Alto': muyAltoPercentage,
-        },
+        riskDistribution: distribution,
         rawDistribution: riskDistribution // Guardar la distribución completa para el detalle
       };
     });
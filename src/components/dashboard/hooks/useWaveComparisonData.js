@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import CampaignService from '../../../services/CampaignService';
+import { useToast } from '../../../hooks/useToast';
+
+/**
+ * Hook para comparar la distribución de riesgo de dos campañas
+ */
+export const useWaveComparisonData = (baselineId, currentId, filters = {}, groupBy = 'departamento') => {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { error: showError } = useToast();
+
+  const loadComparison = useCallback(async () => {
+    if (!baselineId || !currentId) {
+      setComparison(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await CampaignService.compareWaves(baselineId, currentId, filters, groupBy);
+      setComparison(data);
+    } catch (err) {
+      console.error('Error loading wave comparison:', err);
+      setError(err.message || 'Error desconocido');
+      showError('No se pudo comparar las campañas');
+      setComparison(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [baselineId, currentId, filters, groupBy, showError]);
+
+  useEffect(() => {
+    loadComparison();
+  }, [loadComparison]);
+
+  return {
+    comparison,
+    loading,
+    error,
+    handleRefresh: loadComparison
+  };
+};
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { useDispatch } from 'react-redux';
+import { IdCard, QrCode, CheckCircle, Lock, Home } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
+import { resetQuestionnaire } from '../../store/slices/questionnaireSlice';
+import {
+  KIOSK_THANK_YOU_SECONDS,
+  clearKioskConfig,
+  clearWorkerTraces,
+  getKioskCounters,
+  loadKioskConfig,
+  recordKioskSubmission,
+  saveKioskConfig,
+  verifyKioskPin
+} from '../../utils/kiosk';
+import QuestionnaireFlow from '../questionnaire/QuestionnaireFlow';
+import AccessibleModal from '../ui/AccessibleModal';
+import LanguageSwitcher from '../common/LanguageSwitcher';
+import KioskScanner from './KioskScanner';
+
+// Eventos que cuentan como actividad de la persona frente a la tableta
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+/**
+ * Diálogo de salida: solo con el PIN definido al activar el quiosco
+ */
+const KioskExitDialog = ({ isOpen, onClose, onVerified, config }) => {
+  const { t } = useTranslation();
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(false);
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setPin('');
+      setError(false);
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    const valid = await verifyKioskPin(config, pin);
+    setChecking(false);
+    if (valid) {
+      onVerified();
+    } else {
+      setError(true);
+      setPin('');
+    }
+  };
+
+  return (
+    <AccessibleModal isOpen={isOpen} onClose={onClose} title={t('kiosk.exitTitle')} size="sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <label htmlFor="kiosk-pin" className="block text-sm font-medium text-gray-700">
+          {t('kiosk.pinLabel')}
+        </label>
+        <input
+          id="kiosk-pin"
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+          className="w-full border border-gray-300 rounded-lg px-4 py-3 text-xl tracking-widest text-center focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-invalid={error}
+          autoFocus
+        />
+        {error && <p className="text-sm text-red-600" role="alert">{t('kiosk.wrongPin')}</p>}
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+            {t('common.cancel')}
+          </button>
+          <button
+            type="submit"
+            disabled={!pin || checking}
+            className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+          >
+            {t('kiosk.exitConfirm')}
+          </button>
+        </div>
+      </form>
+    </AccessibleModal>
+  );
+};
+
+KioskExitDialog.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onVerified: PropTypes.func.isRequired,
+  config: PropTypes.shape({
+    salt: PropTypes.string.isRequired,
+    pinHash: PropTypes.string.isRequired
+  }).isRequired
+};
+
+/**
+ * Modo quiosco del cuestionario para una tableta compartida. Cada persona entra
+ * con su documento o con el QR de su invitación; al enviar, o tras un rato sin
+ * actividad, la pantalla vuelve al inicio sin rastros de la persona anterior.
+ * Se activa desde Configuración; para salir se pide el PIN.
+ */
+const KioskMode = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { t, resetLanguage } = useTranslation();
+  const [config, setConfig] = useState(() => loadKioskConfig());
+  const [screen, setScreen] = useState('start'); // 'start' | 'scan' | 'flow' | 'done'
+  const [token, setToken] = useState(null);
+  // Cambia con cada persona para montar el flujo desde cero
+  const [visit, setVisit] = useState(0);
+  const [lastQueued, setLastQueued] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(KIOSK_THANK_YOU_SECONDS);
+  const [showExit, setShowExit] = useState(false);
+  const idleTimeoutRef = useRef(null);
+
+  const resetForNextPerson = useCallback(() => {
+    clearWorkerTraces();
+    resetLanguage();
+    dispatch(resetQuestionnaire());
+    setToken(null);
+    setScreen('start');
+    setVisit(prev => prev + 1);
+  }, [dispatch, resetLanguage]);
+
+  // Al abrir (o recargar) el quiosco no debe quedar nada de una visita anterior.
+  // Depende de si está activo, no de la configuración, que cambia con cada envío.
+  const isActive = Boolean(config);
+  useEffect(() => {
+    if (isActive) clearWorkerTraces();
+  }, [isActive]);
+
+  // Volver al inicio si nadie toca la pantalla durante el tiempo configurado
+  useEffect(() => {
+    if (!config || screen === 'start' || screen === 'done') return undefined;
+
+    const restart = () => {
+      clearTimeout(idleTimeoutRef.current);
+      idleTimeoutRef.current = setTimeout(resetForNextPerson, config.idleMinutes * 60 * 1000);
+    };
+
+    restart();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, restart, { passive: true }));
+    return () => {
+      clearTimeout(idleTimeoutRef.current);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, restart));
+    };
+  }, [config, screen, resetForNextPerson]);
+
+  // Cuenta regresiva del agradecimiento
+  useEffect(() => {
+    if (screen !== 'done') return undefined;
+    if (secondsLeft <= 0) {
+      resetForNextPerson();
+      return undefined;
+    }
+    const timeoutId = setTimeout(() => setSecondsLeft(prev => prev - 1), 1000);
+    return () => clearTimeout(timeoutId);
+  }, [screen, secondsLeft, resetForNextPerson]);
+
+  const handleFinish = useCallback(({ queued }) => {
+    // Los envíos en cola también se recogieron en este dispositivo
+    const updated = recordKioskSubmission(loadKioskConfig() || config);
+    saveKioskConfig(updated);
+    setConfig(updated);
+    setLastQueued(Boolean(queued));
+    setSecondsLeft(KIOSK_THANK_YOU_SECONDS);
+    setScreen('done');
+  }, [config]);
+
+  const handleToken = useCallback((scannedToken) => {
+    setToken(scannedToken);
+    setScreen('flow');
+  }, []);
+
+  const handleExit = () => {
+    clearKioskConfig();
+    clearWorkerTraces();
+    resetLanguage();
+    navigate('/login', { replace: true });
+  };
+
+  if (!config) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="max-w-md bg-white rounded-xl shadow p-8 text-center">
+          <Lock className="w-10 h-10 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-xl font-semibold text-gray-900 mb-2">Modo quiosco no activado</h1>
+          <p className="text-gray-600 mb-6">
+            Un administrador debe activarlo en Configuración desde esta misma tableta.
+          </p>
+          <Link to="/configuracion" className="text-blue-600 hover:text-blue-800 font-medium">
+            Ir a Configuración
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const counters = getKioskCounters(config);
+
+  if (screen === 'flow') {
+    return (
+      <div className="relative">
+        <button
+          type="button"
+          onClick={resetForNextPerson}
+          className="fixed bottom-4 left-4 z-50 bg-white text-gray-700 px-4 py-2 rounded-lg shadow-md border border-gray-200 hover:bg-gray-50 flex items-center space-x-2"
+        >
+          <Home className="w-4 h-4" />
+          <span>{t('kiosk.backToStart')}</span>
+        </button>
+        <QuestionnaireFlow key={visit} token={token} onFinish={handleFinish} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-green-50 flex flex-col items-center justify-center p-4">
+      {screen === 'scan' && (
+        <KioskScanner onToken={handleToken} onCancel={resetForNextPerson} />
+      )}
+
+      {screen === 'done' && (
+        <div className="max-w-xl w-full bg-white rounded-2xl shadow-xl p-8 text-center" role="status">
+          <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-gray-900 mb-3">{t('kiosk.thanksTitle')}</h1>
+          <p className="text-lg text-gray-700 mb-2">
+            {lastQueued ? t('kiosk.thanksQueued') : t('kiosk.thanksBody')}
+          </p>
+          <p className="text-gray-500 mb-6">{t('kiosk.restarting', { seconds: secondsLeft })}</p>
+          <button
+            type="button"
+            onClick={resetForNextPerson}
+            className="bg-blue-600 text-white text-lg font-semibold px-8 py-3 rounded-xl hover:bg-blue-700"
+          >
+            {t('kiosk.nextPerson')}
+          </button>
+        </div>
+      )}
+
+      {screen === 'start' && (
+        <div className="max-w-xl w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          <LanguageSwitcher className="mb-6" />
+          <h1 className="text-3xl font-bold text-gray-900 mb-3">{t('kiosk.welcome')}</h1>
+          <p className="text-lg text-gray-600 mb-8">{t('kiosk.intro')}</p>
+          <div className="grid gap-4">
+            <button
+              type="button"
+              onClick={() => setScreen('flow')}
+              className="flex items-center justify-center space-x-3 bg-blue-600 text-white text-xl font-semibold py-5 rounded-xl hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-300"
+            >
+              <IdCard className="w-7 h-7" />
+              <span>{t('kiosk.withDocument')}</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setScreen('scan')}
+              className="flex items-center justify-center space-x-3 bg-white text-blue-700 border-2 border-blue-600 text-xl font-semibold py-5 rounded-xl hover:bg-blue-50 focus:outline-none focus:ring-4 focus:ring-blue-300"
+            >
+              <QrCode className="w-7 h-7" />
+              <span>{t('kiosk.withQr')}</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-6 flex items-center gap-6 text-sm text-gray-500">
+        <span>{t('kiosk.counters', counters)}</span>
+        <button type="button" onClick={() => setShowExit(true)} className="inline-flex items-center gap-1 hover:text-gray-700">
+          <Lock className="w-4 h-4" />
+          {t('kiosk.exit')}
+        </button>
+      </div>
+
+      <KioskExitDialog
+        isOpen={showExit}
+        onClose={() => setShowExit(false)}
+        onVerified={handleExit}
+        config={config}
+      />
+    </div>
+  );
+};
+
+export default KioskMode;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { QrCode, ArrowLeft } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
+import { parseScannedToken } from '../../utils/kiosk';
+
+// Intervalo entre lecturas de la cámara: suficiente para un QR y liviano para la tableta
+const SCAN_INTERVAL_MS = 300;
+
+const canUseCamera = () =>
+  typeof window !== 'undefined' && 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Lectura del QR de la invitación: con la cámara de la tableta si el navegador
+ * sabe leer códigos (BarcodeDetector), o con un lector externo / a mano, que
+ * escriben el enlace en el campo de texto
+ */
+const KioskScanner = ({ onToken, onCancel }) => {
+  const { t } = useTranslation();
+  const videoRef = useRef(null);
+  const onTokenRef = useRef(onToken);
+  const [cameraAvailable, setCameraAvailable] = useState(canUseCamera);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    onTokenRef.current = onToken;
+  }, [onToken]);
+
+  useEffect(() => {
+    if (!cameraAvailable) return undefined;
+
+    let stream = null;
+    let timeoutId = null;
+    let cancelled = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (cancelled) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        for (const detected of codes) {
+          const token = parseScannedToken(detected.rawValue);
+          if (token) {
+            onTokenRef.current(token);
+            return;
+          }
+          setError('kiosk.invalidCode');
+        }
+      } catch {
+        // El video aún no tiene imagen; se reintenta en la siguiente vuelta
+      }
+      timeoutId = setTimeout(scan, SCAN_INTERVAL_MS);
+    };
+
+    // La tableta queda en un soporte mirando a la persona: cámara frontal
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } })
+      .then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        return videoRef.current.play().then(scan);
+      })
+      .catch((cameraError) => {
+        console.warn('No se pudo abrir la cámara del quiosco:', cameraError.message);
+        if (!cancelled) setCameraAvailable(false);
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [cameraAvailable]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const token = parseScannedToken(code);
+    if (token) {
+      onToken(token);
+    } else {
+      setError('kiosk.invalidCode');
+      setCode('');
+    }
+  };
+
+  return (
+    <div className="max-w-xl w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+      <QrCode className="w-12 h-12 text-blue-600 mx-auto mb-4" />
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">{t('kiosk.scanTitle')}</h1>
+
+      {cameraAvailable ? (
+        <video
+          ref={videoRef}
+          className="w-full aspect-video bg-gray-900 rounded-xl mb-6 object-cover"
+          muted
+          playsInline
+          aria-hidden="true"
+        />
+      ) : (
+        <p className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800">
+          {t('kiosk.cameraUnavailable')}
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3 text-left">
+        <label htmlFor="kiosk-code" className="block text-sm font-medium text-gray-700">
+          {t('kiosk.manualLabel')}
+        </label>
+        <input
+          id="kiosk-code"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={t('kiosk.manualPlaceholder')}
+          autoComplete="off"
+          autoFocus
+          className="w-full border border-gray-300 rounded-lg px-4 py-3 text-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? 'kiosk-code-error' : undefined}
+        />
+        {error && (
+          <p id="kiosk-code-error" className="text-red-600" role="alert">{t(error)}</p>
+        )}
+        <button
+          type="submit"
+          disabled={!code.trim()}
+          className="w-full bg-blue-600 text-white text-lg font-semibold py-3 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('common.continue')}
+        </button>
+      </form>
+
+      <button
+        type="button"
+        onClick={onCancel}
+        className="mt-6 inline-flex items-center space-x-2 text-gray-600 hover:text-gray-900"
+      >
+        <ArrowLeft className="w-5 h-5" />
+        <span>{t('kiosk.backToStart')}</span>
+      </button>
+    </div>
+  );
+};
+
+KioskScanner.propTypes = {
+  onToken: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default KioskScanner;
@@ -0,0 +1,216 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { EyeOff } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
+import { useSubmissionQueue } from '../../hooks/useSubmissionQueue';
+import { AnonymousSurveyService } from '../../services/AnonymousSurveyService';
+import { getCurrentInstrument, getInstrumentLanguages, localizeInstrument } from '../../data/instruments';
+import { getDemographicOptions, normalizeParticipationCode, validateDemographics } from '../../utils/anonymousSurvey';
+import ConnectionStatus from '../common/ConnectionStatus';
+import LanguageSwitcher from '../common/LanguageSwitcher';
+import Questionnaire from './Questionnaire';
+import { LoadingStep } from './QuestionnaireFlowSteps';
+
+// Motivo de rechazo del código (HINT de validar_codigo_participacion) → texto
+const CODE_ERRORS = {
+  codigo_invalido: 'anonymous.errors.invalidCode',
+  campana_cerrada: 'anonymous.errors.closedCampaign'
+};
+
+const DEMOGRAPHIC_FIELDS = ['departamento', 'turno', 'rango_edad'];
+
+/**
+ * Ingreso del código de participación impreso en la tarjeta
+ */
+const CodeStep = ({ initialCode, error, onSubmit }) => {
+  const { t } = useTranslation();
+  const [code, setCode] = useState(initialCode || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <label htmlFor="anonimo-codigo" className="block text-sm font-medium text-gray-700">
+        {t('anonymous.codeLabel')}
+      </label>
+      <input
+        id="anonimo-codigo"
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="XXXX-XXXX"
+        autoComplete="off"
+        autoCapitalize="characters"
+        className="w-full border border-gray-300 rounded-lg px-4 py-3 text-xl tracking-widest text-center uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? 'anonimo-codigo-error' : undefined}
+      />
+      {error && <p id="anonimo-codigo-error" className="text-sm text-red-600" role="alert">{t(error)}</p>}
+      <button
+        type="submit"
+        disabled={!code.trim()}
+        className="w-full bg-blue-600 text-white font-semibold py-3 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {t('common.continue')}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Datos demográficos gruesos: lo único que se guarda junto a las respuestas
+ */
+const DemographicsStep = ({ campaign, onComplete }) => {
+  const { t } = useTranslation();
+  const options = useMemo(() => getDemographicOptions(campaign), [campaign]);
+  const [demographics, setDemographics] = useState({ departamento: '', turno: '', rango_edad: '' });
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validation = validateDemographics(demographics, options);
+    setErrors(validation);
+    if (Object.keys(validation).length === 0) onComplete(demographics);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {DEMOGRAPHIC_FIELDS.map(field => (
+        <div key={field}>
+          <label htmlFor={`anonimo-${field}`} className="block text-sm font-medium text-gray-700 mb-1">
+            {t(`anonymous.fields.${field}`)} *
+          </label>
+          <select
+            id={`anonimo-${field}`}
+            value={demographics[field]}
+            onChange={(e) => setDemographics(prev => ({ ...prev, [field]: e.target.value }))}
+            className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 ${errors[field] ? 'border-red-300 bg-red-50' : 'border-gray-300'}`}
+            aria-invalid={Boolean(errors[field])}
+          >
+            <option value="">{t('common.select')}</option>
+            {options[field].values.map(value => (
+              <option key={value} value={value}>
+                {options[field].labelPrefix ? t(`${options[field].labelPrefix}.${value}`) : value}
+              </option>
+            ))}
+          </select>
+          {errors[field] && <p className="text-red-500 text-sm mt-1">{t(errors[field])}</p>}
+        </div>
+      ))}
+      <p className="text-sm text-gray-600 bg-purple-50 border border-purple-100 rounded-lg p-3">
+        {t('anonymous.privacyNote')}
+      </p>
+      <button
+        type="submit"
+        className="w-full bg-blue-600 text-white font-semibold py-3 rounded-lg hover:bg-blue-700"
+      >
+        {t('anonymous.start')}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Flujo público de una campaña anónima: código de participación, datos
+ * demográficos gruesos y cuestionario. No se pide documento ni nombre y no se
+ * guarda borrador: las respuestas solo salen del dispositivo al enviarlas.
+ */
+const AnonymousSurveyFlow = () => {
+  const { codigo } = useParams();
+  const navigate = useNavigate();
+  const { t, language } = useTranslation();
+  const offlineQueue = useSubmissionQueue();
+  const [step, setStep] = useState(codigo ? 'validating' : 'code'); // 'code' | 'validating' | 'demographics' | 'questionnaire'
+  const [code, setCode] = useState(null);
+  const [campaign, setCampaign] = useState(null);
+  const [demographics, setDemographics] = useState(null);
+  const [codeError, setCodeError] = useState(null);
+
+  const instrument = localizeInstrument(getCurrentInstrument(), language);
+
+  const checkCode = useCallback(async (text) => {
+    const normalized = normalizeParticipationCode(text);
+    if (!normalized) {
+      setCodeError('anonymous.errors.invalidCode');
+      setStep('code');
+      return;
+    }
+
+    try {
+      setStep('validating');
+      setCodeError(null);
+      setCampaign(await AnonymousSurveyService.validateCode(normalized));
+      setCode(normalized);
+      setStep('demographics');
+    } catch (error) {
+      console.warn('Código de participación rechazado:', error.message);
+      setCodeError(CODE_ERRORS[error.context?.hint] || 'anonymous.errors.validateFailed');
+      setStep('code');
+    }
+  }, []);
+
+  // Código leído del QR de la tarjeta
+  useEffect(() => {
+    if (codigo) checkCode(codigo);
+  }, [codigo, checkCode]);
+
+  const handleDemographics = (values) => {
+    setDemographics(values);
+    setStep('questionnaire');
+  };
+
+  const showConnection = !offlineQueue.isOnline || offlineQueue.pending > 0 || offlineQueue.failed > 0;
+  const connectionStatus = showConnection && (
+    <ConnectionStatus
+      className="fixed bottom-4 right-4 z-50 shadow-lg"
+      connectionStatus={offlineQueue.isOnline ? 'connected' : 'disconnected'}
+      queuedCount={offlineQueue.pending}
+      failedCount={offlineQueue.failed}
+      isSyncing={offlineQueue.isSyncing}
+      onSync={offlineQueue.sync}
+    />
+  );
+
+  if (step === 'validating') return <LoadingStep message={t('anonymous.validating')} />;
+
+  if (step === 'questionnaire') {
+    return (
+      <>
+        <Questionnaire
+          personData={{ anonymous: { code, demographics } }}
+          onComplete={() => navigate('/gracias')}
+        />
+        {connectionStatus}
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="max-w-lg w-full bg-white rounded-2xl shadow-xl p-8">
+        <div className="flex justify-end mb-2">
+          <LanguageSwitcher available={getInstrumentLanguages(instrument)} />
+        </div>
+        <div className="text-center mb-6">
+          <div className="w-14 h-14 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <EyeOff className="w-7 h-7 text-purple-700" aria-hidden="true" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">{instrument.name}</h1>
+          {campaign && <p className="text-sm text-gray-500 mb-2">{campaign.campana}</p>}
+          <p className="text-gray-600">
+            {step === 'code' ? t('anonymous.intro') : t('anonymous.demographicsIntro')}
+          </p>
+        </div>
+
+        {step === 'code' && <CodeStep initialCode={codigo} error={codeError} onSubmit={checkCode} />}
+        {step === 'demographics' && <DemographicsStep campaign={campaign} onComplete={handleDemographics} />}
+      </div>
+      {connectionStatus}
+    </div>
+  );
+};
+
+export default AnonymousSurveyFlow;
@@ -0,0 +1,239 @@
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { ArrowLeft, ArrowRight, RotateCcw, Square, Send } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
+import { useKeyboardNavigation } from '../../hooks/useKeyboardNavigation';
+import { useSpeechSynthesis } from '../../hooks/useSpeechSynthesis';
+import { useScreenReaderAnnouncer } from '../ui/ScreenReaderAnnouncer';
+import { READ_ALOUD_RATES, buildQuestionSpeech } from '../../utils/readAloud';
+
+// Pausa tras elegir una respuesta antes de pasar a la siguiente pregunta,
+// para que se vea (y se anuncie) la opción marcada
+const ADVANCE_DELAY_MS = 800;
+
+/**
+ * Modo asistido: una pregunta por pantalla, leída en voz alta junto con sus
+ * opciones, con botones grandes de un solo toque
+ */
+const AssistedQuestion = ({
+  question,
+  questionNumber,
+  totalQuestions,
+  likertOptions,
+  selectedValue,
+  onAnswer,
+  onPrevious,
+  onNext,
+  rate,
+  onRateChange,
+  allAnswered,
+  onSubmit,
+  isSubmitting
+}) => {
+  const containerRef = useRef(null);
+  const advanceTimeoutRef = useRef(null);
+  const { language, t } = useTranslation();
+  const { isSupported, isSpeaking, speak, cancel } = useSpeechSynthesis(language);
+  const { announce, AnnouncerComponent } = useScreenReaderAnnouncer();
+  const isLast = questionNumber === totalQuestions;
+
+  const speech = buildQuestionSpeech(question, questionNumber, likertOptions, t);
+
+  const selectOption = (option) => {
+    cancel();
+    onAnswer(question.id, option.value);
+    announce(t('assisted.answered', { label: option.label }));
+
+    clearTimeout(advanceTimeoutRef.current);
+    if (!isLast) advanceTimeoutRef.current = setTimeout(onNext, ADVANCE_DELAY_MS);
+  };
+
+  const keyboardNavigation = useKeyboardNavigation({
+    items: likertOptions,
+    onSelect: (index, option) => {
+      if (option) selectOption(option);
+    },
+    onNext: () => {
+      if (selectedValue !== undefined && !isLast) onNext();
+    },
+    onPrevious: () => {
+      if (questionNumber > 1) onPrevious();
+    },
+    enabled: true,
+    containerRef,
+    orientation: 'vertical'
+  });
+
+  // Leer cada pregunta al aparecer (y al cambiar idioma o velocidad). Sin síntesis
+  // de voz, el lector de pantalla anuncia la pregunta en su lugar
+  useEffect(() => {
+    if (isSupported) {
+      speak(speech, { rate });
+    } else {
+      announce(speech);
+    }
+  }, [speech, rate, isSupported, speak, announce]);
+
+  // No avanzar solo si la persona ya cambió de pregunta o salió del modo asistido
+  useEffect(() => () => clearTimeout(advanceTimeoutRef.current), [question.id]);
+
+  return (
+    <div
+      ref={containerRef}
+      className="flex-1 flex items-start justify-center p-4 overflow-y-auto"
+      tabIndex={0}
+      role="main"
+      aria-label={t('questionnaire.contentLabel')}
+    >
+      <AnnouncerComponent />
+      <div className="max-w-3xl w-full">
+        <div className="bg-white rounded-xl shadow-lg p-6 md:p-8">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+            <p className="text-lg font-semibold text-blue-700">
+              {t('assisted.progress', { number: questionNumber, total: totalQuestions })}
+            </p>
+
+            {isSupported && (
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => (isSpeaking ? cancel() : speak(speech, { rate }))}
+                  className="flex items-center space-x-2 px-4 py-3 rounded-lg border-2 border-blue-500 text-blue-700 font-semibold hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                >
+                  {isSpeaking ? <Square className="w-5 h-5" /> : <RotateCcw className="w-5 h-5" />}
+                  <span>{isSpeaking ? t('assisted.stop') : t('assisted.replay')}</span>
+                </button>
+                <div role="group" aria-label={t('assisted.speed')} className="flex items-center rounded-lg border border-gray-300 overflow-hidden">
+                  {READ_ALOUD_RATES.map(option => (
+                    <button
+                      key={option}
+                      type="button"
+                      onClick={() => onRateChange(option)}
+                      aria-pressed={rate === option}
+                      aria-label={`${t('assisted.speed')} ${option}x`}
+                      className={`
+                        px-3 py-3 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500
+                        ${rate === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}
+                      `}
+                    >
+                      {option}x
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {!isSupported && (
+            <p className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800">
+              {t('assisted.unsupported')}
+            </p>
+          )}
+
+          <h2 id={`assisted-question-${question.id}`} className="text-2xl md:text-3xl font-bold text-gray-900 mb-2 leading-snug">
+            {question.text}
+          </h2>
+          <p className="text-gray-600 mb-6">{t('assisted.hint')}</p>
+
+          <div className="grid grid-cols-1 gap-4" role="radiogroup" aria-labelledby={`assisted-question-${question.id}`}>
+            {likertOptions.map((option, optionIndex) => {
+              const isSelected = selectedValue === option.value;
+
+              return (
+                <button
+                  key={option.value}
+                  ref={keyboardNavigation.setItemRef(optionIndex)}
+                  type="button"
+                  onClick={() => selectOption(option)}
+                  className={`
+                    w-full min-h-[4.5rem] px-5 py-4 rounded-xl border-4 text-left text-xl font-semibold
+                    flex items-center space-x-4 transition-colors duration-200
+                    focus:outline-none focus:ring-4 focus:ring-blue-300
+                    ${isSelected ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-300 bg-white text-gray-900 hover:border-blue-400 hover:bg-blue-50'}
+                  `}
+                  role="radio"
+                  aria-checked={isSelected}
+                  aria-label={option.label}
+                >
+                  <span
+                    className={`
+                      w-10 h-10 flex-shrink-0 rounded-full flex items-center justify-center text-lg
+                      ${isSelected ? 'bg-white text-blue-700' : 'bg-blue-100 text-blue-700'}
+                    `}
+                    aria-hidden="true"
+                  >
+                    {optionIndex + 1}
+                  </span>
+                  <span>{option.label}</span>
+                </button>
+              );
+            })}
+          </div>
+
+          <p className="mt-4 text-sm text-gray-500">{t('assisted.keyboardHelp')}</p>
+
+          {allAnswered && (
+            <div className="mt-6 p-4 bg-green-50 border border-green-200 rounded-xl text-center">
+              <p className="text-lg text-green-800 mb-3">{t('assisted.allAnswered')}</p>
+              <button
+                type="button"
+                onClick={onSubmit}
+                disabled={isSubmitting}
+                className="inline-flex items-center space-x-2 px-8 py-4 rounded-xl bg-green-600 text-white text-xl font-semibold hover:bg-green-700 disabled:opacity-60 focus:outline-none focus:ring-4 focus:ring-green-300"
+                aria-label={t('sidebar.submitLabel')}
+              >
+                <Send className="w-6 h-6" />
+                <span>{isSubmitting ? t('sidebar.submitting') : t('sidebar.submit')}</span>
+              </button>
+            </div>
+          )}
+
+          <div className="flex justify-between items-center pt-6 mt-6 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onPrevious}
+              disabled={questionNumber === 1}
+              className="flex items-center space-x-2 px-6 py-4 rounded-lg text-lg font-medium border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+            >
+              <ArrowLeft className="w-6 h-6" />
+              <span>{t('common.previous')}</span>
+            </button>
+            <button
+              type="button"
+              onClick={onNext}
+              disabled={isLast || selectedValue === undefined}
+              className="flex items-center space-x-2 px-6 py-4 rounded-lg text-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-400 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              <span>{t('common.next')}</span>
+              <ArrowRight className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+AssistedQuestion.propTypes = {
+  question: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    text: PropTypes.string.isRequired
+  }).isRequired,
+  questionNumber: PropTypes.number.isRequired,
+  totalQuestions: PropTypes.number.isRequired,
+  likertOptions: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.number.isRequired,
+    label: PropTypes.string.isRequired
+  })).isRequired,
+  selectedValue: PropTypes.number,
+  onAnswer: PropTypes.func.isRequired,
+  onPrevious: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  rate: PropTypes.number.isRequired,
+  onRateChange: PropTypes.func.isRequired,
+  allAnswered: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool
+};
+
+export default AssistedQuestion;
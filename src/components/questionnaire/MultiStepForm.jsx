@@ -1,9 +1,9 @@
 import React, { useState } from 'react';
 import { useDispatch } from 'react-redux';
 import { startQuestionnaire } from '../../store/slices/questionnaireSlice';
-import { supabase } from '../../api/supabase';
-import AccessibleModal, { useModal } from '../ui/AccessibleModal'
 import { useScreenReaderAnnouncer } from '../ui/ScreenReaderAnnouncer';
+import { useTranslation } from '../../hooks/useTranslation';
+import { getCurrentInstrument, localizeInstrument } from '../../data/instruments';
 import { 
   User, 
   Building, 
@@ -128,6 +128,20 @@ const cargosPorArea = {
   ]
 };
 
+// Valores que se guardan en la base de datos; las etiquetas de cada idioma
+// están en form.options.<campo>.<valor>
+const opcionesPorCampo = {
+  genero: ['masculino', 'femenino', 'otro'],
+  turno: ['Mañana', 'Tarde', 'Noche', 'Rotativo'],
+  tipo_contrato: ['Fijo', 'Indefinido', 'Temporal', 'Contratista'],
+  nivel_educativo: ['Básico', 'Medio', 'Técnico', 'Profesional'],
+  capacitaciones_seguridad: ['si', 'no', 'ultimo_año'],
+  accidentes_previos: ['nunca', '1_vez', 'mas_de_1'],
+  si_no: ['si', 'no'],
+  uso_epp: ['siempre_disponible', 'a_veces_falta', 'nunca_entregado'],
+  valoracion: ['1', '2', '3', '4', '5']
+};
+
 // Función para obtener el área basada en el cargo
 const obtenerAreaPorCargo = (cargo) => {
   for (const [area, cargos] of Object.entries(cargosPorArea)) {
@@ -141,11 +155,17 @@ const obtenerAreaPorCargo = (cargo) => {
 const MultiStepForm = ({ onComplete }) => {
   const dispatch = useDispatch();
   const [currentStep, setCurrentStep] = useState(1);
-  const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
-  const { isOpen: showExistingPersonModal, openModal: openExistingPersonModal, closeModal: closeExistingPersonModal } = useModal();
-  const [existingPersonData, setExistingPersonData] = useState(null);
   const { announce, AnnouncerComponent } = useScreenReaderAnnouncer();
+  const { t, language } = useTranslation();
+  const instrument = localizeInstrument(getCurrentInstrument(), language);
+
+  const renderOptions = (group) => [
+    <option key="" value="">{t('common.select')}</option>,
+    ...opcionesPorCampo[group].map(value => (
+      <option key={value} value={value}>{t(`form.options.${group}.${value}`)}</option>
+    ))
+  ];
   
   const [formData, setFormData] = useState({
     // Datos personales
@@ -176,10 +196,10 @@ const MultiStepForm = ({ onComplete }) => {
   });
 
   const steps = [
-    { id: 1, title: 'Datos Personales', icon: User },
-    { id: 2, title: 'Datos Laborales', icon: Building },
-    { id: 3, title: 'Datos de Seguridad', icon: Shield },
-    { id: 4, title: 'Percepción', icon: Heart }
+    { id: 1, title: t('form.steps.personal'), icon: User },
+    { id: 2, title: t('form.steps.laboral'), icon: Building },
+    { id: 3, title: t('form.steps.seguridad'), icon: Shield },
+    { id: 4, title: t('form.steps.percepcion'), icon: Heart }
   ];
 
   const handleInputChange = (field, value) => {
@@ -206,38 +226,39 @@ const MultiStepForm = ({ onComplete }) => {
     }
   };
 
+  // Los errores guardan la clave del texto para que cambien de idioma con el selector
   const validateStep = (step) => {
     const newErrors = {};
     
     switch (step) {
       case 1: // Datos personales
-        if (!formData.nombres.trim()) newErrors.nombres = 'Los nombres son requeridos';
-        if (!formData.apellidos.trim()) newErrors.apellidos = 'Los apellidos son requeridos';
-        if (!formData.documento.trim()) newErrors.documento = 'El documento es requerido';
-        if (!formData.edad) newErrors.edad = 'La edad es requerida';
-        if (!formData.genero) newErrors.genero = 'El género es requerido';
+        if (!formData.nombres.trim()) newErrors.nombres = 'form.errors.nombres';
+        if (!formData.apellidos.trim()) newErrors.apellidos = 'form.errors.apellidos';
+        if (!formData.documento.trim()) newErrors.documento = 'form.errors.documento';
+        if (!formData.edad) newErrors.edad = 'form.errors.edad';
+        if (!formData.genero) newErrors.genero = 'form.errors.genero';
         break;
         
       case 2: // Datos laborales
-        if (!formData.cargo.trim()) newErrors.cargo = 'El cargo es requerido';
-        if (!formData.area) newErrors.area = 'El área es requerida';
-        if (!formData.turno) newErrors.turno = 'El turno es requerido';
-        if (!formData.antiguedad) newErrors.antiguedad = 'La antigüedad es requerida';
-        if (!formData.tipo_contrato) newErrors.tipo_contrato = 'El tipo de contrato es requerido';
-        if (!formData.nivel_educativo) newErrors.nivel_educativo = 'El nivel educativo es requerido';
+        if (!formData.cargo.trim()) newErrors.cargo = 'form.errors.cargo';
+        if (!formData.area) newErrors.area = 'form.errors.area';
+        if (!formData.turno) newErrors.turno = 'form.errors.turno';
+        if (!formData.antiguedad) newErrors.antiguedad = 'form.errors.antiguedad';
+        if (!formData.tipo_contrato) newErrors.tipo_contrato = 'form.errors.tipo_contrato';
+        if (!formData.nivel_educativo) newErrors.nivel_educativo = 'form.errors.nivel_educativo';
         break;
         
       case 3: // Datos de seguridad
-        if (!formData.capacitaciones_seguridad) newErrors.capacitaciones_seguridad = 'Este campo es requerido';
-        if (!formData.accidentes_previos) newErrors.accidentes_previos = 'Este campo es requerido';
-        if (formData.reporta_casi_accidentes === '') newErrors.reporta_casi_accidentes = 'Este campo es requerido';
-        if (!formData.uso_epp) newErrors.uso_epp = 'Este campo es requerido';
+        if (!formData.capacitaciones_seguridad) newErrors.capacitaciones_seguridad = 'common.required';
+        if (!formData.accidentes_previos) newErrors.accidentes_previos = 'common.required';
+        if (formData.reporta_casi_accidentes === '') newErrors.reporta_casi_accidentes = 'common.required';
+        if (!formData.uso_epp) newErrors.uso_epp = 'common.required';
         break;
         
       case 4: // Datos de percepción
-        if (!formData.satisfaccion_laboral) newErrors.satisfaccion_laboral = 'Este campo es requerido';
-        if (!formData.motivacion_seguridad) newErrors.motivacion_seguridad = 'Este campo es requerido';
-        if (!formData.confianza_gerencia) newErrors.confianza_gerencia = 'Este campo es requerido';
+        if (!formData.satisfaccion_laboral) newErrors.satisfaccion_laboral = 'common.required';
+        if (!formData.motivacion_seguridad) newErrors.motivacion_seguridad = 'common.required';
+        if (!formData.confianza_gerencia) newErrors.confianza_gerencia = 'common.required';
         break;
     }
     
@@ -249,185 +270,24 @@ const MultiStepForm = ({ onComplete }) => {
     if (validateStep(currentStep)) {
       const newStep = Math.min(currentStep + 1, steps.length);
       setCurrentStep(newStep);
-      announce(`Avanzando al paso ${newStep} de ${steps.length}`, 'polite');
+      announce(t('form.announceNext', { step: newStep, total: steps.length }), 'polite');
     }
   };
 
   const prevStep = () => {
     const newStep = Math.max(currentStep - 1, 1);
     setCurrentStep(newStep);
-    announce(`Retrocediendo al paso ${newStep} de ${steps.length}`, 'polite');
-  };
-
-  const handleContinueWithExisting = async () => {
-    closeExistingPersonModal();
-    setIsSubmitting(true);
-    
-    try {
-      await continueWithExistingPerson(existingPersonData);
-    } catch (error) {
-      setErrors({ general: 'Error al procesar la evaluación. Intente nuevamente.' });
-      console.error('Error:', error);
-    } finally {
-      setIsSubmitting(false);
-    }
-  };
-
-  const handleCancelExisting = () => {
-    closeExistingPersonModal();
-    setExistingPersonData(null);
-    setErrors({ 
-      documento: `Evaluación cancelada. Use un documento diferente o contacte al administrador.`,
-      general: 'Operación cancelada por el usuario'
-    });
-    setCurrentStep(1);
-  };
-
-  const continueWithExistingPerson = async (existingPerson) => {
-    // Actualizar datos de la persona existente
-    const { data: updatedPerson, error: updateError } = await supabase
-      .from('usuarios')
-      .update({
-        nombre: `${formData.nombres} ${formData.apellidos}`,
-        metadata: {
-          nombres: formData.nombres,
-          apellidos: formData.apellidos,
-          documento: formData.documento,
-          edad: parseInt(formData.edad),
-          genero: formData.genero,
-          cargo: formData.cargo,
-          area: formData.area,
-          turno: formData.turno,
-          antiguedad: parseInt(formData.antiguedad),
-          tipo_contrato: formData.tipo_contrato,
-          nivel_educativo: formData.nivel_educativo,
-          capacitaciones_seguridad: formData.capacitaciones_seguridad,
-          accidentes_previos: formData.accidentes_previos,
-          reporta_casi_accidentes: formData.reporta_casi_accidentes === 'si',
-          uso_epp: formData.uso_epp,
-          satisfaccion_laboral: parseInt(formData.satisfaccion_laboral),
-          motivacion_seguridad: parseInt(formData.motivacion_seguridad),
-          confianza_gerencia: parseInt(formData.confianza_gerencia),
-          completado: false,
-          fecha_completado: null
-        }
-      })
-      .eq('id', existingPerson.id)
-      .select()
-      .single();
-
-    if (updateError) {
-      throw updateError;
-    }
-
-    // Eliminar respuestas previas
-    const { error: deleteError } = await supabase
-      .from('respuestas_cuestionario')
-      .delete()
-      .eq('usuario_id', existingPerson.id);
-
-    if (deleteError) {
-      console.warn('Error al eliminar respuestas previas:', deleteError);
-    }
-
-    // Guardar ID y continuar
-    localStorage.setItem('personaId', existingPerson.id);
-    dispatch(startQuestionnaire({ personaId: existingPerson.id }));
-    onComplete(formData);
+    announce(t('form.announcePrevious', { step: newStep, total: steps.length }), 'polite');
   };
 
-  const handleSubmit = async () => {
+  // Aquí no se guarda nada: los datos se registran junto con la aceptación del
+  // consentimiento (QuestionnaireFlow), y se descartan si no se acepta
+  const handleSubmit = () => {
     if (!validateStep(currentStep)) return;
-    
-    setIsSubmitting(true);
-    
-    try {
-      // Verificar si ya existe una persona con este documento
-      const { data: existingPerson, error: checkError } = await supabase
-        .from('usuarios')
-        .select('id, nombre, documento, cargo, departamento, area_macro, edad, genero')
-        .eq('documento', formData.documento)
-        .single();
-
-      if (checkError && checkError.code !== 'PGRST116') {
-        // Error diferente a "no encontrado"
-        throw checkError;
-      }
-
-      let personaId;
 
-      if (existingPerson) {
-        // Verificar si la persona ya completó un cuestionario
-        if (existingPerson.completado) {
-          // Mostrar modal para confirmar nueva evaluación
-          setExistingPersonData(existingPerson);
-          openExistingPersonModal();
-          setIsSubmitting(false);
-          return;
-        }
-        
-        // Si la persona existe pero no ha completado, usar su ID
-         personaId = existingPerson.id;
-
-      } else {
-        // Crear nueva persona si no existe
-
-        // Preparar datos para Supabase usando la estructura real de la tabla
-        const userData = {
-          documento: formData.documento, // Documento como identificador único
-          nombre: `${formData.nombres} ${formData.apellidos}`,
-          cargo: formData.cargo,
-          departamento: formData.area,
-          area_macro: formData.area,
-          edad: parseInt(formData.edad),
-          genero: formData.genero,
-          fecha_ingreso: new Date().toISOString().split('T')[0], // Fecha actual
-          activo: true,
-          // Nuevos campos agregados
-          turno: formData.turno,
-          antiguedad_empresa: parseInt(formData.antiguedad),
-          tipo_contrato: formData.tipo_contrato,
-          nivel_educativo: formData.nivel_educativo,
-          capacitaciones_seguridad: formData.capacitaciones_seguridad === 'si',
-          accidentes_previos: formData.accidentes_previos === 'si',
-          reporta_casi_accidentes: formData.reporta_casi_accidentes === 'si',
-          uso_epp: formData.uso_epp === 'si',
-          satisfaccion_laboral: parseInt(formData.satisfaccion_laboral),
-          motivacion_seguridad: parseInt(formData.motivacion_seguridad),
-          confianza_gerencia: parseInt(formData.confianza_gerencia)
-        };
-
-        // Insertar en Supabase
-        const { data, error } = await supabase
-          .from('usuarios')
-          .insert([userData])
-          .select();
-
-        if (error) {
-          throw error;
-        }
-
-        personaId = data[0].id;
-      }
-
-      // Guardar ID de usuario en localStorage para relacionar con respuestas
-      localStorage.setItem('personaId', personaId);
-
-      // Iniciar cuestionario
-      dispatch(startQuestionnaire());
-      announce('Datos guardados exitosamente. Iniciando cuestionario.', 'assertive');
-      onComplete(formData);
-      
-    } catch (error) {
-      console.error('Error al guardar datos:', error);
-      
-      // Manejo específico de errores
-      setErrors({ general: 'Error al guardar la información. Intente nuevamente.' });
-      announce('Error al guardar la información. Intente nuevamente.', 'assertive');
-      console.error('Detalles del error:', error);
-    } finally {
-      setIsSubmitting(false);
-    }
+    dispatch(startQuestionnaire());
+    announce(t('form.announceReady'), 'assertive');
+    onComplete(formData);
   };
 
   const renderStepContent = () => {
@@ -435,11 +295,11 @@ const MultiStepForm = ({ onComplete }) => {
       case 1:
         return (
           <div className="space-y-6">
-            <h3 className="text-xl font-semibold text-gray-900 mb-4">Datos Personales</h3>
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">{t('form.headings.personal')}</h3>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Nombres *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.nombres')} *</label>
                 <input
                   type="text"
                   value={formData.nombres}
@@ -447,13 +307,13 @@ const MultiStepForm = ({ onComplete }) => {
                   className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                     errors.nombres ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
-                  placeholder="Ingrese sus nombres"
+                  placeholder={t('form.placeholders.nombres')}
                 />
-                {errors.nombres && <p className="text-red-500 text-sm mt-1">{errors.nombres}</p>}
+                {errors.nombres && <p className="text-red-500 text-sm mt-1">{t(errors.nombres)}</p>}
               </div>
               
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Apellidos *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.apellidos')} *</label>
                 <input
                   type="text"
                   value={formData.apellidos}
@@ -461,14 +321,14 @@ const MultiStepForm = ({ onComplete }) => {
                   className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                     errors.apellidos ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
-                  placeholder="Ingrese sus apellidos"
+                  placeholder={t('form.placeholders.apellidos')}
                 />
-                {errors.apellidos && <p className="text-red-500 text-sm mt-1">{errors.apellidos}</p>}
+                {errors.apellidos && <p className="text-red-500 text-sm mt-1">{t(errors.apellidos)}</p>}
               </div>
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Documento de Identidad *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.documento')} *</label>
               <input
                 type="text"
                 value={formData.documento}
@@ -476,14 +336,14 @@ const MultiStepForm = ({ onComplete }) => {
                 className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                   errors.documento ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
-                placeholder="Ingrese su cédula"
+                placeholder={t('form.placeholders.documento')}
               />
-              {errors.documento && <p className="text-red-500 text-sm mt-1">{errors.documento}</p>}
+              {errors.documento && <p className="text-red-500 text-sm mt-1">{t(errors.documento)}</p>}
             </div>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Edad *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.edad')} *</label>
                 <input
                   type="number"
                   min="18"
@@ -493,13 +353,13 @@ const MultiStepForm = ({ onComplete }) => {
                   className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                     errors.edad ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
-                  placeholder="Edad"
+                  placeholder={t('form.placeholders.edad')}
                 />
-                {errors.edad && <p className="text-red-500 text-sm mt-1">{errors.edad}</p>}
+                {errors.edad && <p className="text-red-500 text-sm mt-1">{t(errors.edad)}</p>}
               </div>
               
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Género *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.genero')} *</label>
                 <select
                   value={formData.genero}
                   onChange={(e) => handleInputChange('genero', e.target.value)}
@@ -507,12 +367,9 @@ const MultiStepForm = ({ onComplete }) => {
                     errors.genero ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
                 >
-                  <option value="">Seleccione</option>
-                  <option value="masculino">Masculino</option>
-                  <option value="femenino">Femenino</option>
-                  <option value="otro">Otro</option>
+                  {renderOptions('genero')}
                 </select>
-                {errors.genero && <p className="text-red-500 text-sm mt-1">{errors.genero}</p>}
+                {errors.genero && <p className="text-red-500 text-sm mt-1">{t(errors.genero)}</p>}
               </div>
             </div>
           </div>
@@ -521,10 +378,10 @@ const MultiStepForm = ({ onComplete }) => {
       case 2:
         return (
           <div className="space-y-6">
-            <h3 className="text-xl font-semibold text-gray-900 mb-4">Datos Laborales</h3>
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">{t('form.headings.laboral')}</h3>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Cargo / Puesto de Trabajo *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.cargo')} *</label>
               <select
                 value={formData.cargo}
                 onChange={(e) => handleInputChange('cargo', e.target.value)}
@@ -532,7 +389,7 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.cargo ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione un cargo</option>
+                <option value="">{t('form.placeholders.cargo')}</option>
                 {Object.entries(cargosPorArea).map(([area, cargos]) => (
                   <optgroup key={area} label={area}>
                     {cargos.map(cargo => (
@@ -541,12 +398,12 @@ const MultiStepForm = ({ onComplete }) => {
                   </optgroup>
                 ))}
               </select>
-              {errors.cargo && <p className="text-red-500 text-sm mt-1">{errors.cargo}</p>}
+              {errors.cargo && <p className="text-red-500 text-sm mt-1">{t(errors.cargo)}</p>}
             </div>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Área o Departamento *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.area')} *</label>
                 <input
                   type="text"
                   value={formData.area}
@@ -554,18 +411,18 @@ const MultiStepForm = ({ onComplete }) => {
                   className={`w-full px-4 py-3 border rounded-lg bg-gray-100 text-gray-700 ${
                     errors.area ? 'border-red-300' : 'border-gray-300'
                   }`}
-                  placeholder="Se asignará automáticamente según el cargo seleccionado"
+                  placeholder={t('form.placeholders.area')}
                 />
-                {errors.area && <p className="text-red-500 text-sm mt-1">{errors.area}</p>}
+                {errors.area && <p className="text-red-500 text-sm mt-1">{t(errors.area)}</p>}
                 {formData.area && (
                   <p className="text-sm text-green-600 mt-1">
-                    ✓ Área asignada automáticamente: {formData.area}
+                    ✓ {t('form.areaAssigned', { area: formData.area })}
                   </p>
                 )}
               </div>
               
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Turno *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.turno')} *</label>
                 <select
                   value={formData.turno}
                   onChange={(e) => handleInputChange('turno', e.target.value)}
@@ -573,19 +430,15 @@ const MultiStepForm = ({ onComplete }) => {
                     errors.turno ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
                 >
-                  <option value="">Seleccione</option>
-                  <option value="Mañana">Mañana</option>
-                  <option value="Tarde">Tarde</option>
-                  <option value="Noche">Noche</option>
-                  <option value="Rotativo">Rotativo</option>
+                  {renderOptions('turno')}
                 </select>
-                {errors.turno && <p className="text-red-500 text-sm mt-1">{errors.turno}</p>}
+                {errors.turno && <p className="text-red-500 text-sm mt-1">{t(errors.turno)}</p>}
               </div>
             </div>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Antigüedad en la empresa (años) *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.antiguedad')} *</label>
                 <input
                   type="number"
                   min="0"
@@ -595,13 +448,13 @@ const MultiStepForm = ({ onComplete }) => {
                   className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                     errors.antiguedad ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
-                  placeholder="Años"
+                  placeholder={t('form.placeholders.antiguedad')}
                 />
-                {errors.antiguedad && <p className="text-red-500 text-sm mt-1">{errors.antiguedad}</p>}
+                {errors.antiguedad && <p className="text-red-500 text-sm mt-1">{t(errors.antiguedad)}</p>}
               </div>
               
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Tipo de Contrato *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.tipo_contrato')} *</label>
                 <select
                   value={formData.tipo_contrato}
                   onChange={(e) => handleInputChange('tipo_contrato', e.target.value)}
@@ -609,18 +462,14 @@ const MultiStepForm = ({ onComplete }) => {
                     errors.tipo_contrato ? 'border-red-300 bg-red-50' : 'border-gray-300'
                   }`}
                 >
-                  <option value="">Seleccione</option>
-                  <option value="Fijo">Fijo</option>
-                  <option value="Indefinido">Indefinido</option>
-                  <option value="Temporal">Temporal</option>
-                  <option value="Contratista">Contratista</option>
+                  {renderOptions('tipo_contrato')}
                 </select>
-                {errors.tipo_contrato && <p className="text-red-500 text-sm mt-1">{errors.tipo_contrato}</p>}
+                {errors.tipo_contrato && <p className="text-red-500 text-sm mt-1">{t(errors.tipo_contrato)}</p>}
               </div>
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Nivel Educativo *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.nivel_educativo')} *</label>
               <select
                 value={formData.nivel_educativo}
                 onChange={(e) => handleInputChange('nivel_educativo', e.target.value)}
@@ -628,13 +477,9 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.nivel_educativo ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="Básico">Básico</option>
-                <option value="Medio">Medio</option>
-                <option value="Técnico">Técnico</option>
-                <option value="Profesional">Profesional</option>
+                {renderOptions('nivel_educativo')}
               </select>
-              {errors.nivel_educativo && <p className="text-red-500 text-sm mt-1">{errors.nivel_educativo}</p>}
+              {errors.nivel_educativo && <p className="text-red-500 text-sm mt-1">{t(errors.nivel_educativo)}</p>}
             </div>
           </div>
         );
@@ -642,10 +487,10 @@ const MultiStepForm = ({ onComplete }) => {
       case 3:
         return (
           <div className="space-y-6">
-            <h3 className="text-xl font-semibold text-gray-900 mb-4">Datos de Seguridad</h3>
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">{t('form.headings.seguridad')}</h3>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">¿Ha recibido capacitaciones de seguridad? *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.capacitaciones_seguridad')} *</label>
               <select
                 value={formData.capacitaciones_seguridad}
                 onChange={(e) => handleInputChange('capacitaciones_seguridad', e.target.value)}
@@ -653,16 +498,13 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.capacitaciones_seguridad ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="si">Sí</option>
-                <option value="no">No</option>
-                <option value="ultimo_año">En el último año</option>
+                {renderOptions('capacitaciones_seguridad')}
               </select>
-              {errors.capacitaciones_seguridad && <p className="text-red-500 text-sm mt-1">{errors.capacitaciones_seguridad}</p>}
+              {errors.capacitaciones_seguridad && <p className="text-red-500 text-sm mt-1">{t(errors.capacitaciones_seguridad)}</p>}
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">¿Accidentes laborales previos? *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.accidentes_previos')} *</label>
               <select
                 value={formData.accidentes_previos}
                 onChange={(e) => handleInputChange('accidentes_previos', e.target.value)}
@@ -670,16 +512,13 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.accidentes_previos ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="nunca">Nunca</option>
-                <option value="1_vez">1 vez</option>
-                <option value="mas_de_1">Más de 1 vez</option>
+                {renderOptions('accidentes_previos')}
               </select>
-              {errors.accidentes_previos && <p className="text-red-500 text-sm mt-1">{errors.accidentes_previos}</p>}
+              {errors.accidentes_previos && <p className="text-red-500 text-sm mt-1">{t(errors.accidentes_previos)}</p>}
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">¿Ha reportado casi-accidentes? *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.reporta_casi_accidentes')} *</label>
               <select
                 value={formData.reporta_casi_accidentes}
                 onChange={(e) => handleInputChange('reporta_casi_accidentes', e.target.value)}
@@ -687,15 +526,13 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.reporta_casi_accidentes ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="si">Sí</option>
-                <option value="no">No</option>
+                {renderOptions('si_no')}
               </select>
-              {errors.reporta_casi_accidentes && <p className="text-red-500 text-sm mt-1">{errors.reporta_casi_accidentes}</p>}
+              {errors.reporta_casi_accidentes && <p className="text-red-500 text-sm mt-1">{t(errors.reporta_casi_accidentes)}</p>}
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">¿Uso de EPP entregado por la empresa? *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.uso_epp')} *</label>
               <select
                 value={formData.uso_epp}
                 onChange={(e) => handleInputChange('uso_epp', e.target.value)}
@@ -703,12 +540,9 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.uso_epp ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="siempre_disponible">Siempre disponible</option>
-                <option value="a_veces_falta">A veces falta</option>
-                <option value="nunca_entregado">Nunca entregado</option>
+                {renderOptions('uso_epp')}
               </select>
-              {errors.uso_epp && <p className="text-red-500 text-sm mt-1">{errors.uso_epp}</p>}
+              {errors.uso_epp && <p className="text-red-500 text-sm mt-1">{t(errors.uso_epp)}</p>}
             </div>
           </div>
         );
@@ -716,11 +550,11 @@ const MultiStepForm = ({ onComplete }) => {
       case 4:
         return (
           <div className="space-y-6">
-            <h3 className="text-xl font-semibold text-gray-900 mb-4">Datos de Percepción</h3>
-            <p className="text-gray-600 mb-6">Califique del 1 al 5, donde 1 es muy bajo y 5 es muy alto</p>
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">{t('form.headings.percepcion')}</h3>
+            <p className="text-gray-600 mb-6">{t('form.ratingHint')}</p>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Nivel de satisfacción laboral *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.satisfaccion_laboral')} *</label>
               <select
                 value={formData.satisfaccion_laboral}
                 onChange={(e) => handleInputChange('satisfaccion_laboral', e.target.value)}
@@ -728,18 +562,13 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.satisfaccion_laboral ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="1">1 - Muy bajo</option>
-                <option value="2">2 - Bajo</option>
-                <option value="3">3 - Medio</option>
-                <option value="4">4 - Alto</option>
-                <option value="5">5 - Muy alto</option>
+                {renderOptions('valoracion')}
               </select>
-              {errors.satisfaccion_laboral && <p className="text-red-500 text-sm mt-1">{errors.satisfaccion_laboral}</p>}
+              {errors.satisfaccion_laboral && <p className="text-red-500 text-sm mt-1">{t(errors.satisfaccion_laboral)}</p>}
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Motivación con respecto a la seguridad *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.motivacion_seguridad')} *</label>
               <select
                 value={formData.motivacion_seguridad}
                 onChange={(e) => handleInputChange('motivacion_seguridad', e.target.value)}
@@ -747,18 +576,13 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.motivacion_seguridad ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="1">1 - Muy bajo</option>
-                <option value="2">2 - Bajo</option>
-                <option value="3">3 - Medio</option>
-                <option value="4">4 - Alto</option>
-                <option value="5">5 - Muy alto</option>
+                {renderOptions('valoracion')}
               </select>
-              {errors.motivacion_seguridad && <p className="text-red-500 text-sm mt-1">{errors.motivacion_seguridad}</p>}
+              {errors.motivacion_seguridad && <p className="text-red-500 text-sm mt-1">{t(errors.motivacion_seguridad)}</p>}
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Confianza en la gerencia/supervisor en seguridad *</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('form.fields.confianza_gerencia')} *</label>
               <select
                 value={formData.confianza_gerencia}
                 onChange={(e) => handleInputChange('confianza_gerencia', e.target.value)}
@@ -766,14 +590,9 @@ const MultiStepForm = ({ onComplete }) => {
                   errors.confianza_gerencia ? 'border-red-300 bg-red-50' : 'border-gray-300'
                 }`}
               >
-                <option value="">Seleccione</option>
-                <option value="1">1 - Muy bajo</option>
-                <option value="2">2 - Bajo</option>
-                <option value="3">3 - Medio</option>
-                <option value="4">4 - Alto</option>
-                <option value="5">5 - Muy alto</option>
+                {renderOptions('valoracion')}
               </select>
-              {errors.confianza_gerencia && <p className="text-red-500 text-sm mt-1">{errors.confianza_gerencia}</p>}
+              {errors.confianza_gerencia && <p className="text-red-500 text-sm mt-1">{t(errors.confianza_gerencia)}</p>}
             </div>
           </div>
         );
@@ -792,10 +611,10 @@ const MultiStepForm = ({ onComplete }) => {
             <User className="w-8 h-8 text-blue-600" />
           </div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            Cuestionario de Salud General (GHQ-12)
+            {instrument.name}
           </h1>
           <p className="text-gray-600">
-            Instrumento para la medición de la salud mental y el bienestar
+            {t('form.subtitle')}
           </p>
         </div>
 
@@ -841,7 +660,7 @@ const MultiStepForm = ({ onComplete }) => {
         {/* Error general */}
         {errors.general && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
-            <p className="text-red-600 text-sm">{errors.general}</p>
+            <p className="text-red-600 text-sm">{t(errors.general)}</p>
           </div>
         )}
 
@@ -859,7 +678,7 @@ const MultiStepForm = ({ onComplete }) => {
             className="flex items-center gap-2 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
             <ChevronLeft className="w-4 h-4" />
-            Anterior
+            {t('common.previous')}
           </button>
           
           {currentStep < steps.length ? (
@@ -868,27 +687,17 @@ const MultiStepForm = ({ onComplete }) => {
               onClick={nextStep}
               className="flex items-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
             >
-              Siguiente
+              {t('common.next')}
               <ChevronRight className="w-4 h-4" />
             </button>
           ) : (
             <button
               type="button"
               onClick={handleSubmit}
-              disabled={isSubmitting}
-              className="flex items-center gap-2 px-6 py-3 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
+              className="flex items-center gap-2 px-6 py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors"
             >
-              {isSubmitting ? (
-                <>
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                  Guardando...
-                </>
-              ) : (
-                <>
-                  <CheckCircle className="w-5 h-5" />
-                  Comenzar Cuestionario
-                </>
-              )}
+              <CheckCircle className="w-5 h-5" />
+              {t('form.start')}
             </button>
           )}
         </div>
@@ -896,40 +705,11 @@ const MultiStepForm = ({ onComplete }) => {
         {/* Footer */}
         <div className="mt-6 text-center">
           <p className="text-sm text-gray-500">
-            * Campos obligatorios. Esta información es confidencial y se utiliza únicamente para fines estadísticos.
+            {t('common.requiredNote')}
           </p>
         </div>
       </div>
 
-      {/* Modal para persona existente */}
-      <AccessibleModal
-        isOpen={showExistingPersonModal}
-        onClose={closeExistingPersonModal}
-        title="Persona ya registrada"
-        className="max-w-md w-full"
-      >
-        <div className="space-y-4">
-          <p className="text-gray-600">
-            Ya existe una evaluación completada para {existingPersonData?.nombre}.
-            ¿Desea realizar una nueva evaluación?
-          </p>
-          <div className="flex gap-3 justify-end">
-            <button
-              onClick={handleCancelExisting}
-              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-            >
-              Cancelar
-            </button>
-            <button
-              onClick={handleContinueWithExisting}
-              disabled={isSubmitting}
-              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-            >
-              {isSubmitting ? 'Procesando...' : 'Continuar'}
-            </button>
-          </div>
-        </div>
-      </AccessibleModal>
       <AnnouncerComponent />
     </div>
   );
@@ -2,6 +2,7 @@ import { useMemo, memo } from 'react';
 import PropTypes from 'prop-types';
 import { Clock, ArrowLeft, Save } from 'lucide-react';
 import { questionCategories } from '../../data/questions';
+import { useTranslation } from '../../hooks/useTranslation';
 
 const QuestionSidebar = ({
   showSidebar,
@@ -16,6 +17,7 @@ const QuestionSidebar = ({
   handleSubmit,
   isSubmitting
 }) => {
+  const { t } = useTranslation();
   const { answeredCount, progressPercentage, allAnswered } = useMemo(() => {
     const count = Object.keys(answers).length;
     return {
@@ -33,7 +35,7 @@ const QuestionSidebar = ({
           <button
             onClick={() => setShowSidebar(!showSidebar)}
             className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-            aria-label={showSidebar ? 'Ocultar barra lateral' : 'Mostrar barra lateral'}
+            aria-label={showSidebar ? t('sidebar.hide') : t('sidebar.show')}
           >
             <ArrowLeft className={`w-5 h-5 transition-transform ${!showSidebar ? 'rotate-180' : ''}`} />
           </button>
@@ -50,7 +52,7 @@ const QuestionSidebar = ({
         {showSidebar && (
           <div className="mt-4">
             <div className="flex justify-between text-sm text-gray-600 mb-2">
-              <span>Progreso</span>
+              <span>{t('sidebar.progress')}</span>
               <span>{answeredCount}/{questions.length}</span>
             </div>
             <div className="w-full bg-gray-200 rounded-full h-2">
@@ -90,7 +92,7 @@ const QuestionSidebar = ({
               <div key={categoryIndex} className="mb-6">
                 <div className="flex items-center justify-between mb-3">
                   <h3 className={`text-sm font-semibold ${isCurrentCategory ? 'text-blue-700' : 'text-gray-700'}`}>
-                    {category.name}
+                    {categoryQuestions[0]?.dimension || category.name}
                   </h3>
                   <span className={`text-xs px-2 py-1 rounded-full ${
                     categoryAnswered === categoryTotal
@@ -104,7 +106,7 @@ const QuestionSidebar = ({
                 </div>
 
                 <div className="text-xs text-gray-500 mb-2">
-                  Preguntas {startQuestion}-{endQuestion}
+                  {t('sidebar.questionsRange', { from: startQuestion, to: endQuestion })}
                 </div>
 
                 <div className="space-y-1">
@@ -142,7 +144,7 @@ const QuestionSidebar = ({
                                       : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
                                 }
                               `}
-                              aria-label={`Pregunta ${question.id}${isAnswered ? ' (respondida)' : ''}${isInCurrentGroup ? ' (grupo actual)' : ''}`}
+                              aria-label={`${t('sidebar.question', { number: question.id })}${isAnswered ? t('sidebar.answered') : ''}${isInCurrentGroup ? t('sidebar.currentGroup') : ''}`}
                             >
                               {question.id}
                             </button>
@@ -175,11 +177,11 @@ const QuestionSidebar = ({
                 : 'bg-gray-300 text-gray-500 cursor-not-allowed'
               }
             `}
-            aria-label="Enviar cuestionario"
+            aria-label={t('sidebar.submitLabel')}
           >
             <Save className="w-5 h-5" />
             <span>
-              {isSubmitting ? 'Enviando...' : 'Enviar Cuestionario'}
+              {isSubmitting ? t('sidebar.submitting') : t('sidebar.submit')}
             </span>
           </button>
         </div>
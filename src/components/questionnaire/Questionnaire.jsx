@@ -1,19 +1,29 @@
-import React, { useState, useCallback, useMemo, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import PropTypes from 'prop-types';
-import { CheckCircle, ArrowLeft, ArrowRight } from 'lucide-react';
-import { questions, likertOptions } from '../../data/questions';
+import { CheckCircle, ArrowLeft, ArrowRight, Volume2, LayoutList } from 'lucide-react';
+import { questions } from '../../data/questions';
+import { getCurrentInstrument, getInstrumentLanguages, getInstrumentQuestions, localizeInstrument } from '../../data/instruments';
+import { useTranslation } from '../../hooks/useTranslation';
 import { useKeyboardNavigation } from '../../hooks/useKeyboardNavigation';
 import { useQuestionnaire } from '../../hooks/useQuestionnaire';
 import { useQuestionnaireNavigation } from './hooks/useQuestionnaireNavigation';
 import { useTimer } from './hooks/useTimer';
+import { findFirstUnanswered } from '../../utils/questionnaireDrafts';
+import { DEFAULT_READ_ALOUD_RATE } from '../../utils/readAloud';
 import QuestionSidebar from './QuestionSidebar';
+import AssistedQuestion from './AssistedQuestion';
+import LanguageSwitcher from '../common/LanguageSwitcher';
 import './questionnaire.css';
 
 
 
 
 const QuestionHeader = React.memo(({
+  title,
+  languages,
+  assistedMode,
+  onToggleAssisted,
   isDirectAccess,
   currentGroup,
   totalGroups,
@@ -23,45 +33,70 @@ const QuestionHeader = React.memo(({
   currentGroupTotal,
   elapsedTime,
   formatTime
-}) => (
-  <div className="bg-white shadow-sm border-b border-gray-200 p-4">
-    <div className="max-w-none mx-auto">
-      <div className="flex items-center justify-between">
-        <div className="flex-1">
-          <h1 className="text-xl font-bold text-gray-900 truncate">
-            {isDirectAccess ? 'Cuestionario de Salud General (GHQ-12)' : 'Cuestionario de Salud General (GHQ-12)'}
-          </h1>
-          <div className="flex items-center space-x-4 mt-1">
-            <p className="text-gray-600">
-              Grupo {currentGroup + 1} de {totalGroups} • Preguntas {currentGroupStartIndex + 1}-{currentGroupEndIndex}
-            </p>
-            <span className="text-gray-400">•</span>
-            <p className="text-gray-600">
-              Respondidas: {currentGroupAnswered}/{currentGroupTotal}
-            </p>
-            {isDirectAccess && (
-              <>
-                <span className="text-gray-400">•</span>
-                <p className="text-sm text-blue-600">
-                  Modo demostración
-                </p>
-              </>
-            )}
+}) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="bg-white shadow-sm border-b border-gray-200 p-4">
+      <div className="max-w-none mx-auto">
+        <div className="flex items-center justify-between">
+          <div className="flex-1">
+            <h1 className="text-xl font-bold text-gray-900 truncate">
+              {title}
+            </h1>
+            <div className="flex items-center space-x-4 mt-1">
+              <p className="text-gray-600">
+                {t('questionnaire.groupSummary', {
+                  current: currentGroup + 1,
+                  total: totalGroups,
+                  from: currentGroupStartIndex + 1,
+                  to: currentGroupEndIndex
+                })}
+              </p>
+              <span className="text-gray-400">•</span>
+              <p className="text-gray-600">
+                {t('questionnaire.answeredInGroup', { answered: currentGroupAnswered, total: currentGroupTotal })}
+              </p>
+              {isDirectAccess && (
+                <>
+                  <span className="text-gray-400">•</span>
+                  <p className="text-sm text-blue-600">
+                    {t('questionnaire.demoMode')}
+                  </p>
+                </>
+              )}
+            </div>
           </div>
-        </div>
-        <div className="text-right ml-4">
-          <div className="text-sm text-gray-500">Tiempo</div>
-          <div className="text-lg font-mono font-semibold text-gray-700">
-            {formatTime(elapsedTime)}
+          <button
+            type="button"
+            onClick={onToggleAssisted}
+            aria-pressed={assistedMode}
+            aria-label={assistedMode ? t('assisted.disableLabel') : t('assisted.enableLabel')}
+            className={`
+              ml-4 flex items-center space-x-2 px-3 py-2 rounded-lg border text-sm font-medium
+              focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2
+              ${assistedMode ? 'border-gray-300 text-gray-700 hover:bg-gray-100' : 'border-blue-500 text-blue-700 hover:bg-blue-50'}
+            `}
+          >
+            {assistedMode ? <LayoutList className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+            <span>{assistedMode ? t('assisted.disable') : t('assisted.enable')}</span>
+          </button>
+          <LanguageSwitcher available={languages} className="ml-4" />
+          <div className="text-right ml-4">
+            <div className="text-sm text-gray-500">{t('questionnaire.time')}</div>
+            <div className="text-lg font-mono font-semibold text-gray-700">
+              {formatTime(elapsedTime)}
+            </div>
           </div>
         </div>
       </div>
     </div>
-  </div>
-));
+  );
+});
 
 const QuestionGroupContent = React.memo(({
   currentGroupQuestions,
+  likertOptions,
   currentGroup,
   answers,
   handleAnswer,
@@ -72,6 +107,7 @@ const QuestionGroupContent = React.memo(({
   currentGroupStartIndex
 }) => {
   const containerRef = useRef(null);
+  const { t } = useTranslation();
   
   // Crear array de todas las opciones de respuesta para navegación
   const allAnswerOptions = useMemo(() => {
@@ -88,7 +124,7 @@ const QuestionGroupContent = React.memo(({
       });
     });
     return options;
-  }, [currentGroupQuestions]);
+  }, [currentGroupQuestions, likertOptions]);
 
   // Configurar navegación por teclado
   const keyboardNavigation = useKeyboardNavigation({
@@ -119,17 +155,22 @@ const QuestionGroupContent = React.memo(({
       className="flex-1 flex items-start justify-center p-4 overflow-y-auto"
       tabIndex={0}
       role="main"
-      aria-label="Contenido del cuestionario"
+      aria-label={t('questionnaire.contentLabel')}
     >
       <div className="max-w-6xl w-full">
         <div className="bg-white rounded-xl shadow-lg p-6">
           {/* Group Header */}
           <div className="mb-8 text-center">
             <h2 className="text-2xl font-bold text-gray-900 mb-2">
-              Grupo {currentGroup + 1} de {totalGroups} - Preguntas {currentGroupStartIndex + 1} al {currentGroupStartIndex + currentGroupQuestions.length}
+              {t('questionnaire.groupTitle', {
+                current: currentGroup + 1,
+                total: totalGroups,
+                from: currentGroupStartIndex + 1,
+                to: currentGroupStartIndex + currentGroupQuestions.length
+              })}
             </h2>
             <p className="text-gray-600">
-              {totalGroups === 1 ? 'Responde todas las preguntas del cuestionario' : 'Responde todas las preguntas de este grupo antes de continuar'}
+              {totalGroups === 1 ? t('questionnaire.answerAll') : t('questionnaire.answerGroup')}
             </p>
           </div>
 
@@ -185,7 +226,7 @@ const QuestionGroupContent = React.memo(({
                             `}
                             role="radio"
                             aria-checked={isSelected}
-                            aria-label={`Pregunta ${questionNumber}: ${option.label}, valor ${option.value}`}
+                            aria-label={t('questionnaire.optionLabel', { number: questionNumber, label: option.label, value: option.value })}
                             aria-describedby={`question-${question.id}-desc`}
                             tabIndex={-1}
                           >
@@ -197,7 +238,7 @@ const QuestionGroupContent = React.memo(({
                             </div>
                             <div>
                               <div className="font-medium text-sm">{option.label}</div>
-                              <div className="text-xs text-gray-500">Valor: {option.value}</div>
+                              <div className="text-xs text-gray-500">{t('questionnaire.optionValue', { value: option.value })}</div>
                             </div>
                           </button>
                         );
@@ -212,8 +253,7 @@ const QuestionGroupContent = React.memo(({
           {/* Keyboard Navigation Instructions */}
           <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
             <div className="text-sm text-blue-800">
-              <strong>Navegación por teclado:</strong> Use las flechas ↑↓←→ para navegar entre opciones, 
-              Enter/Espacio para seleccionar, Ctrl+← para grupo anterior, Ctrl+→ para siguiente grupo
+              <strong>{t('questionnaire.keyboardTitle')}</strong> {t('questionnaire.keyboardHelp')}
             </div>
           </div>
 
@@ -230,11 +270,11 @@ const QuestionGroupContent = React.memo(({
                   : 'text-gray-700 hover:bg-gray-100 border border-gray-300'
                 }
               `}
-              aria-label="Grupo anterior (Ctrl + Flecha izquierda)"
+              aria-label={t('questionnaire.previousGroupLabel')}
               aria-describedby="nav-instructions"
             >
               <ArrowLeft className="w-5 h-5" />
-              <span>Grupo Anterior</span>
+              <span>{t('questionnaire.previousGroup')}</span>
             </button>
 
             <div className="flex items-center space-x-3" role="status" aria-live="polite">
@@ -242,7 +282,7 @@ const QuestionGroupContent = React.memo(({
                 <CheckCircle className="w-5 h-5 text-green-500" />
               )}
               <span className="text-sm text-gray-600">
-                {isCurrentGroupComplete ? 'Grupo Completo' : 'Grupo Incompleto'}
+                {isCurrentGroupComplete ? t('questionnaire.groupComplete') : t('questionnaire.groupIncomplete')}
               </span>
             </div>
 
@@ -259,17 +299,17 @@ const QuestionGroupContent = React.memo(({
                     : 'text-gray-700 hover:bg-gray-100 border border-gray-300'
                 }
               `}
-              aria-label="Siguiente grupo (Ctrl + Flecha derecha)"
+              aria-label={t('questionnaire.nextGroupLabel')}
               aria-describedby="nav-instructions"
             >
-              <span>Siguiente Grupo</span>
+              <span>{t('questionnaire.nextGroup')}</span>
               <ArrowRight className="w-5 h-5" />
             </button>
           </div>
 
           {/* Hidden instructions for screen readers */}
           <div id="nav-instructions" className="sr-only">
-            Use Ctrl + flechas izquierda/derecha para navegar entre grupos de preguntas
+            {t('questionnaire.navInstructions')}
           </div>
         </div>
       </div>
@@ -278,16 +318,30 @@ const QuestionGroupContent = React.memo(({
 });
 
 // Componente principal
-const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
+const Questionnaire = ({ personData, onComplete, token, tokenValid, draft }) => {
   const navigate = useNavigate();
-  const isDirectAccess = !token;
+  // Sin token ni código de participación es un acceso de demostración
+  const isDirectAccess = !token && !personData?.anonymous;
   
-  const [startTime] = useState(new Date());
+  // Al retomar un borrador se conserva su hora de inicio
+  const [startTime] = useState(() => draft?.startedAt || new Date());
   const [showSidebar, setShowSidebar] = useState(true);
+  // Modo asistido: una pregunta a la vez leída en voz alta. Queda registrado en la
+  // sesión si se usó en algún momento, aunque se termine en la vista normal
+  const [assistedMode, setAssistedMode] = useState(false);
+  const [assistedUsed, setAssistedUsed] = useState(false);
+  const [assistedIndex, setAssistedIndex] = useState(0);
+  const [readAloudRate, setReadAloudRate] = useState(DEFAULT_READ_ALOUD_RATE);
 
   const { elapsedTime, formatTime } = useTimer(startTime);
+  const { language } = useTranslation();
+
+  // Mismos ítems y valores en todos los idiomas: solo cambian los textos
+  const instrument = useMemo(() => localizeInstrument(getCurrentInstrument(), language), [language]);
+  const localizedQuestions = useMemo(() => getInstrumentQuestions(instrument), [instrument]);
+  const likertOptions = useMemo(() => instrument.scale.map(({ value, label }) => ({ value, label })), [instrument]);
   const { answers, isSubmitting, handleAnswer, handleSubmit } = useQuestionnaire(
-    isDirectAccess, personData, onComplete, navigate, startTime, token, tokenValid
+    isDirectAccess, personData, onComplete, navigate, startTime, token, tokenValid, draft, assistedUsed
   );
 
   // Use existing navigation hook
@@ -300,13 +354,44 @@ const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
     goToNextGroup,
     goToPreviousGroup,
     goToQuestion
-  } = useQuestionnaireNavigation(questions, 6);
+  } = useQuestionnaireNavigation(localizedQuestions, 6);
+
+  // Al retomar un borrador, continuar en el grupo de la primera pregunta sin responder
+  useEffect(() => {
+    if (!draft) return;
+    const firstUnanswered = findFirstUnanswered(questions, draft.answers);
+    goToQuestion(firstUnanswered === -1 ? questions.length - 1 : firstUnanswered);
+  }, [draft, goToQuestion]);
 
   // Wrap goToQuestion to include answer validation
   const handleGoToQuestion = useCallback((index) => {
     goToQuestion(index, answers);
+    setAssistedIndex(index);
   }, [goToQuestion, answers]);
 
+  // Al activar el modo asistido se empieza por la primera pregunta sin responder
+  const toggleAssistedMode = useCallback(() => {
+    if (!assistedMode) {
+      const firstUnanswered = findFirstUnanswered(localizedQuestions, answers);
+      setAssistedIndex(firstUnanswered === -1 ? currentGroupStartIndex : firstUnanswered);
+      setAssistedUsed(true);
+    }
+    setAssistedMode(prev => !prev);
+  }, [assistedMode, localizedQuestions, answers, currentGroupStartIndex]);
+
+  // La barra lateral y la cabecera siguen el grupo de la pregunta asistida
+  useEffect(() => {
+    if (assistedMode) goToQuestion(assistedIndex);
+  }, [assistedMode, assistedIndex, goToQuestion]);
+
+  const goToNextAssisted = useCallback(() => {
+    setAssistedIndex(prev => Math.min(prev + 1, localizedQuestions.length - 1));
+  }, [localizedQuestions.length]);
+
+  const goToPreviousAssisted = useCallback(() => {
+    setAssistedIndex(prev => Math.max(prev - 1, 0));
+  }, []);
+
   // Check if current group is complete - Memoized for performance
   const { currentGroupAnswered, isCurrentGroupComplete } = useMemo(() => {
     const answered = currentGroupQuestions.filter(q => answers[q.id] !== undefined).length;
@@ -331,7 +416,7 @@ const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
       });
     });
     return options;
-  }, [currentGroupQuestions]);
+  }, [currentGroupQuestions, likertOptions]);
 
   return (
     <div className="min-h-screen bg-gray-50 flex">
@@ -341,7 +426,7 @@ const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
         elapsedTime={elapsedTime}
         formatTime={formatTime}
         answers={answers}
-        questions={questions}
+        questions={localizedQuestions}
         currentGroup={currentGroup}
         currentGroupStartIndex={currentGroupStartIndex}
         goToQuestion={handleGoToQuestion}
@@ -351,6 +436,10 @@ const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
 
       <div className="flex-1 flex flex-col max-w-none">
         <QuestionHeader
+          title={instrument.name}
+          languages={getInstrumentLanguages(instrument)}
+          assistedMode={assistedMode}
+          onToggleAssisted={toggleAssistedMode}
           isDirectAccess={isDirectAccess}
           currentGroup={currentGroup}
           totalGroups={totalGroups}
@@ -362,18 +451,37 @@ const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
           formatTime={formatTime}
         />
 
-        <QuestionGroupContent
-          currentGroupQuestions={currentGroupQuestions}
-          currentGroup={currentGroup}
-          answers={answers}
-          handleAnswer={handleAnswer}
-          goToPreviousGroup={goToPreviousGroup}
-          goToNextGroup={goToNextGroup}
-          totalGroups={totalGroups}
-          isCurrentGroupComplete={isCurrentGroupComplete}
-          currentGroupStartIndex={currentGroupStartIndex}
-          allAnswerOptions={allAnswerOptions}
-        />
+        {assistedMode ? (
+          <AssistedQuestion
+            question={localizedQuestions[assistedIndex]}
+            questionNumber={assistedIndex + 1}
+            totalQuestions={localizedQuestions.length}
+            likertOptions={likertOptions}
+            selectedValue={answers[localizedQuestions[assistedIndex].id]}
+            onAnswer={handleAnswer}
+            onPrevious={goToPreviousAssisted}
+            onNext={goToNextAssisted}
+            rate={readAloudRate}
+            onRateChange={setReadAloudRate}
+            allAnswered={Object.keys(answers).length === localizedQuestions.length}
+            onSubmit={handleSubmit}
+            isSubmitting={isSubmitting}
+          />
+        ) : (
+          <QuestionGroupContent
+            currentGroupQuestions={currentGroupQuestions}
+            likertOptions={likertOptions}
+            currentGroup={currentGroup}
+            answers={answers}
+            handleAnswer={handleAnswer}
+            goToPreviousGroup={goToPreviousGroup}
+            goToNextGroup={goToNextGroup}
+            totalGroups={totalGroups}
+            isCurrentGroupComplete={isCurrentGroupComplete}
+            currentGroupStartIndex={currentGroupStartIndex}
+            allAnswerOptions={allAnswerOptions}
+          />
+        )}
       </div>
     </div>
   );
@@ -382,14 +490,24 @@ const Questionnaire = ({ personData, onComplete, token, tokenValid }) => {
 // Add PropTypes
 Questionnaire.propTypes = {
   personData: PropTypes.shape({
-    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
     nombre: PropTypes.string,
     email: PropTypes.string,
-    metadata: PropTypes.object
+    metadata: PropTypes.object,
+    anonymous: PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      demographics: PropTypes.object.isRequired
+    })
   }),
   onComplete: PropTypes.func,
   token: PropTypes.string,
-  tokenValid: PropTypes.bool
+  tokenValid: PropTypes.bool,
+  draft: PropTypes.shape({
+    sessionId: PropTypes.string.isRequired,
+    answers: PropTypes.object.isRequired,
+    answeredCount: PropTypes.number,
+    startedAt: PropTypes.instanceOf(Date)
+  })
 };
 
 export default Questionnaire;
\ No newline at end of file
@@ -1,113 +1,230 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { markTokenAsUsed } from '../../utils/tokenUtils';
 import { useTokenValidation } from '../../hooks/useTokenValidation';
-import { useUserManagement } from '../../hooks/useUserManagement';
 import { useToast } from '../../hooks/useToast';
+import { useSubmissionQueue } from '../../hooks/useSubmissionQueue';
+import { useTranslation } from '../../hooks/useTranslation';
+import ConnectionStatus from '../common/ConnectionStatus';
+import { DraftService } from '../../services/DraftService';
+import { ConsentService } from '../../services/ConsentService';
+import { questions } from '../../data/questions';
+import { DIRECT_DRAFT_STORAGE_KEY, toResumableDraft } from '../../utils/questionnaireDrafts';
 import {
   LoadingStep,
   InvalidTokenStep,
   FormStep,
+  ConsentStep,
+  ConsentDeclinedStep,
   QuestionnaireStep
 } from './QuestionnaireFlowSteps';
 
-const QuestionnaireFlow = () => {
-  const { token } = useParams();
+/**
+ * Flujo público del cuestionario: datos personales, consentimiento informado y
+ * preguntas. Los datos personales se guardan junto con la aceptación del
+ * consentimiento, en una sola llamada; si no se acepta no se guarda nada.
+ * @param {Object} props
+ * @param {string} [props.token] - Token ya leído (p. ej. del QR en el quiosco); por defecto el de la URL
+ * @param {Function} [props.onFinish] - Reemplaza la navegación al terminar ({ completionTime, queued })
+ */
+const QuestionnaireFlow = ({ token: tokenProp, onFinish }) => {
+  const params = useParams();
+  const token = tokenProp || params.token;
   const navigate = useNavigate();
   const [currentStep, setCurrentStep] = useState('form');
   const [personData, setPersonData] = useState(null);
+  // Datos del formulario a la espera del consentimiento (aún sin guardar)
+  const [pendingForm, setPendingForm] = useState(null);
+  // Se incrementa para volver a cargar el texto si cambió mientras se leía
+  const [consentKey, setConsentKey] = useState(0);
+  const [isSavingConsent, setIsSavingConsent] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [isLoadingDraft, setIsLoadingDraft] = useState(true);
 
   // Custom hooks
   const { tokenValid, isValidating, isDirectAccess } = useTokenValidation(token);
-  const { processFormData, isProcessing } = useUserManagement();
-  const { success: showSuccess, error: showError } = useToast();
+  const { error: showError, info: showInfo } = useToast();
+  const offlineQueue = useSubmissionQueue();
+  const { t, language } = useTranslation();
+
+  // La carga del borrador no se repite al cambiar de idioma; solo toma el texto vigente
+  const translateRef = useRef(t);
+  useEffect(() => {
+    translateRef.current = t;
+  }, [t]);
+
+  // Si el enlace ya tenía respuestas guardadas, retomar el cuestionario donde quedó
+  useEffect(() => {
+    if (isValidating) return;
+    if (!tokenValid) {
+      setIsLoadingDraft(false);
+      return;
+    }
+
+    let cancelled = false;
+    const loadDraft = async () => {
+      try {
+        const row = await DraftService.getDraft({
+          token: token || null,
+          sessionId: token ? null : localStorage.getItem(DIRECT_DRAFT_STORAGE_KEY)
+        });
+        const resumable = toResumableDraft(row, questions);
+        if (cancelled || !resumable) return;
+
+        setDraft(resumable);
+        setPersonData({ id: resumable.userId });
+        setCurrentStep('questionnaire');
+        showInfo(translateRef.current('flow.resumed', { answered: resumable.answeredCount, total: questions.length }));
+      } catch (error) {
+        console.warn('No se pudo recuperar el borrador del cuestionario:', error.message);
+      } finally {
+        if (!cancelled) setIsLoadingDraft(false);
+      }
+    };
+
+    loadDraft();
+    return () => {
+      cancelled = true;
+    };
+  }, [isValidating, tokenValid, token, showInfo]);
 
   // Determine current step based on token validation
   const getCurrentStep = () => {
     if (isValidating) return 'loading';
     if (tokenValid === false) return 'invalid_token';
+    if (isLoadingDraft) return 'loading_draft';
     return currentStep;
   };
 
-  const handleFormComplete = async (formData) => {
-    if (isProcessing) return;
-
-    console.log('Procesando datos del formulario:', { ...formData, documento: '***REDACTED***' });
+  const handleFormComplete = (formData) => {
+    setPendingForm(formData);
+    setCurrentStep('consent');
+  };
 
-    const userData = await processFormData(formData);
-    if (!userData) return; // User cancelled or error occurred
+  const handleConsentAccept = async (version) => {
+    if (isSavingConsent || !pendingForm) return;
 
-    // Validate user data
-    if (!userData.id) {
-      showError('Error: No se pudo obtener un ID válido para el registro. Por favor intente nuevamente.');
-      return;
-    }
-
-    // Mark token as used if applicable
-    if (token && tokenValid) {
-      console.log('🔗 Marcando token como usado...');
-      const success = await markTokenAsUsed(token, userData.id);
-      if (success) {
-        console.log('✅ Token marcado como usado correctamente');
+    let userData;
+    try {
+      setIsSavingConsent(true);
+      const accepted = await ConsentService.accept({
+        form: pendingForm,
+        version,
+        token: tokenValid ? token : null,
+        language
+      });
+      userData = accepted.usuario;
+    } catch (error) {
+      console.error('No se pudo registrar el consentimiento:', error.message);
+      if (error.context?.hint === 'consentimiento_desactualizado') {
+        showInfo(t('consent.outdated'));
+        setConsentKey(key => key + 1);
       } else {
-        console.error('Error marcando token como usado');
-        // Don't block the flow, just log
+        showError(t('consent.saveError'));
       }
+      return;
+    } finally {
+      setIsSavingConsent(false);
     }
 
-    console.log('Avanzando al cuestionario con ID de persona:', userData.id);
+    // El token se consume en el servidor al guardar las respuestas (enviar_cuestionario)
+
+    localStorage.setItem('personaId', userData.id);
+    setPendingForm(null);
     setPersonData(userData);
     setCurrentStep('questionnaire');
   };
 
+  // Sin consentimiento no se guarda nada: se descartan los datos del formulario
+  const handleConsentDecline = () => {
+    setPendingForm(null);
+    setCurrentStep('declined');
+  };
+
+  // El cuestionario ya avisó del envío (o de que quedó en cola sin conexión)
   const handleQuestionnaireComplete = async (questionnaireData) => {
     try {
-      if (isDirectAccess) {
-        const minutes = Math.floor(questionnaireData.completionTime / 60);
-        const seconds = questionnaireData.completionTime % 60;
-        showSuccess(`Evaluación completada exitosamente en ${minutes} minutos y ${seconds} segundos. ¡Gracias por completar la evaluación!`);
+      if (onFinish) {
+        onFinish(questionnaireData);
+      } else if (isDirectAccess) {
         navigate('/cuestionarios');
       } else {
         navigate('/gracias');
       }
     } catch (error) {
       console.error('Error completing questionnaire:', error);
-      showError('Error al finalizar la evaluación. Por favor intente nuevamente.');
+      showError(t('flow.completeError'));
     }
   };
 
   const handleBackToForm = () => {
     setCurrentStep('form');
+    setPendingForm(null);
     setPersonData(null);
+    setDraft(null);
   };
 
-  const step = getCurrentStep();
-
-  switch (step) {
-    case 'loading':
-      return <LoadingStep />;
-
-    case 'invalid_token':
-      return <InvalidTokenStep />;
-
-    case 'form':
-      return <FormStep onComplete={handleFormComplete} />;
+  const renderStep = (step) => {
+    switch (step) {
+      case 'loading':
+        return <LoadingStep />;
+
+      case 'loading_draft':
+        return <LoadingStep message={t('flow.loadingDraft')} />;
+
+      case 'invalid_token':
+        return <InvalidTokenStep />;
+
+      case 'form':
+        return <FormStep onComplete={handleFormComplete} />;
+
+      case 'consent':
+        return (
+          <ConsentStep
+            key={consentKey}
+            onAccept={handleConsentAccept}
+            onDecline={handleConsentDecline}
+            isProcessing={isSavingConsent}
+          />
+        );
+
+      case 'declined':
+        return <ConsentDeclinedStep onReconsider={handleBackToForm} />;
+
+      case 'questionnaire':
+        return (
+          <QuestionnaireStep
+            personData={personData}
+            onComplete={handleQuestionnaireComplete}
+            token={token}
+            tokenValid={tokenValid}
+            isDirectAccess={isDirectAccess}
+            onBackToForm={handleBackToForm}
+            draft={draft}
+          />
+        );
+
+      default:
+        return null;
+    }
+  };
 
-    case 'questionnaire':
-      return (
-        <QuestionnaireStep
-          personData={personData}
-          onComplete={handleQuestionnaireComplete}
-          token={token}
-          tokenValid={tokenValid}
-          isDirectAccess={isDirectAccess}
-          onBackToForm={handleBackToForm}
+  const showConnection = !offlineQueue.isOnline || offlineQueue.pending > 0 || offlineQueue.failed > 0;
+
+  return (
+    <>
+      {renderStep(getCurrentStep())}
+      {showConnection && (
+        <ConnectionStatus
+          className="fixed bottom-4 right-4 z-50 shadow-lg"
+          connectionStatus={offlineQueue.isOnline ? 'connected' : 'disconnected'}
+          queuedCount={offlineQueue.pending}
+          failedCount={offlineQueue.failed}
+          isSyncing={offlineQueue.isSyncing}
+          onSync={offlineQueue.sync}
         />
-      );
-
-    default:
-      return null;
-  }
+      )}
+    </>
+  );
 };
 
 export default QuestionnaireFlow;
\ No newline at end of file
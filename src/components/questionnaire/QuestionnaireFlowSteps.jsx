@@ -1,100 +1,250 @@
-import { AlertTriangle } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { AlertTriangle, ShieldCheck } from 'lucide-react';
 import MultiStepForm from './MultiStepForm';
 import Questionnaire from './Questionnaire';
+import LanguageSwitcher from '../common/LanguageSwitcher';
+import { useTranslation } from '../../hooks/useTranslation';
+import { getCurrentInstrument, getInstrumentLanguages, localizeInstrument } from '../../data/instruments';
+import { ConsentService } from '../../services/ConsentService';
+import { getConsentText } from '../../utils/consent';
 
 /**
  * Loading step component
  */
-export const LoadingStep = () => (
-  <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-    <div className="text-center">
-      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto" />
-      <p className="mt-4 text-gray-600">Validando acceso...</p>
+export const LoadingStep = ({ message }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto" />
+        <p className="mt-4 text-gray-600">{message || t('flow.validating')}</p>
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
 /**
  * Invalid token step component
  */
-export const InvalidTokenStep = () => (
-  <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-    <div className="text-center max-w-md mx-auto p-8">
-      <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
-        <AlertTriangle className="w-8 h-8 text-red-600" />
+export const InvalidTokenStep = () => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="text-center max-w-md mx-auto p-8">
+        <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <AlertTriangle className="w-8 h-8 text-red-600" />
+        </div>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">{t('flow.invalidTitle')}</h1>
+        <p className="text-gray-600 mb-6">
+          {t('flow.invalidBody')}
+        </p>
+        <p className="text-sm text-gray-500">
+          {t('flow.invalidHelp')}
+        </p>
       </div>
-      <h1 className="text-2xl font-bold text-gray-900 mb-2">Enlace no válido</h1>
-      <p className="text-gray-600 mb-6">
-        El enlace que utilizaste no es válido, ha expirado o ya ha sido utilizado.
-      </p>
-      <p className="text-sm text-gray-500">
-        Si crees que esto es un error, contacta al administrador del sistema.
-      </p>
     </div>
-  </div>
-);
+  );
+};
+
+// Pasos del flujo público en el indicador de progreso
+const PROGRESS_STEPS = [
+  { key: 'form', label: 'flow.stepPersonal' },
+  { key: 'consent', label: 'flow.stepConsent' },
+  { key: 'questionnaire', label: 'flow.stepQuestionnaire' }
+];
 
 /**
  * Progress indicator component
  */
-const ProgressIndicator = ({ currentStep }) => (
-  <div className="mb-8">
-    <div className="flex items-center justify-center space-x-4">
-      <div className="flex items-center">
-        <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium ${
-          currentStep === 'form' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-500'
-        }`}>
-          1
-        </div>
-        <span className={`ml-2 text-sm font-medium ${
-          currentStep === 'form' ? 'text-blue-600' : 'text-gray-500'
-        }`}>
-          Datos Personales
-        </span>
+const ProgressIndicator = ({ currentStep }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-center space-x-4">
+        {PROGRESS_STEPS.map(({ key, label }, index) => (
+          <div key={key} className="flex items-center space-x-4">
+            {index > 0 && <div className="w-16 h-1 bg-gray-200 rounded" />}
+            <div className="flex items-center">
+              <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium ${currentStep === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-500'}`}>
+                {index + 1}
+              </div>
+              <span className={`ml-2 text-sm font-medium ${currentStep === key ? 'text-blue-600' : 'text-gray-500'}`}>
+                {t(label)}
+              </span>
+            </div>
+          </div>
+        ))}
       </div>
-      <div className="w-16 h-1 bg-gray-200 rounded" />
-      <div className="flex items-center">
-        <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium ${
-          currentStep === 'questionnaire' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-500'
-        }`}>
-          2
+    </div>
+  );
+};
+
+/**
+ * Form step component
+ */
+export const FormStep = ({ onComplete }) => {
+  const { t, language } = useTranslation();
+  const instrument = localizeInstrument(getCurrentInstrument(), language);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-4xl mx-auto">
+          {/* Header */}
+          <div className="text-center mb-8">
+            <div className="flex justify-end mb-2">
+              <LanguageSwitcher available={getInstrumentLanguages(instrument)} />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-4">
+              {instrument.name}
+            </h1>
+            <p className="text-lg text-gray-600 mb-2">
+              {instrument.name}
+            </p>
+            <p className="text-sm text-gray-500">
+              {t('flow.formIntro')}
+            </p>
+          </div>
+
+          <ProgressIndicator currentStep="form" />
+          <MultiStepForm onComplete={onComplete} />
         </div>
-        <span className={`ml-2 text-sm font-medium ${
-          currentStep === 'questionnaire' ? 'text-blue-600' : 'text-gray-500'
-        }`}>
-          Cuestionario
-        </span>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
 /**
- * Form step component
+ * Consentimiento informado: texto vigente y aceptación expresa. Los datos del
+ * formulario solo están en el navegador: se guardan con la aceptación, en la misma
+ * llamada, y si la persona no acepta se descartan.
+ * @param {Object} props
+ * @param {Function} props.onAccept - Recibe la versión aceptada
+ * @param {Function} props.onDecline
+ * @param {boolean} [props.isProcessing] - Guardando los datos y la aceptación
  */
-export const FormStep = ({ onComplete }) => (
-  <div className="min-h-screen bg-gray-50">
-    <div className="container mx-auto px-4 py-8">
-      <div className="max-w-4xl mx-auto">
-        {/* Header */}
-        <div className="text-center mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
-            Cuestionario de Salud General (GHQ-12)
-          </h1>
-          <p className="text-lg text-gray-600 mb-2">
-            Cuestionario de Salud General (GHQ-12)
-          </p>
-          <p className="text-sm text-gray-500">
-            Antes de comenzar con las preguntas, necesitamos recopilar algunos datos básicos
-          </p>
+export const ConsentStep = ({ onAccept, onDecline, isProcessing = false }) => {
+  const { t, language } = useTranslation();
+  const [version, setVersion] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [accepted, setAccepted] = useState(false);
+  const instrument = localizeInstrument(getCurrentInstrument(), language);
+
+  useEffect(() => {
+    let cancelled = false;
+    ConsentService.getCurrentVersion()
+      .then((current) => {
+        if (cancelled) return;
+        setVersion(current);
+        setLoadError(!current);
+      })
+      .catch((error) => {
+        console.error('No se pudo cargar el consentimiento:', error.message);
+        if (!cancelled) setLoadError(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center max-w-md mx-auto p-8">
+          <AlertTriangle className="w-12 h-12 text-red-600 mx-auto mb-4" />
+          <p className="text-gray-700">{t('consent.loadError')}</p>
         </div>
+      </div>
+    );
+  }
+
+  if (!version) return <LoadingStep message={t('consent.loading')} />;
+
+  const consent = getConsentText(version, language);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-3xl mx-auto">
+          <div className="flex justify-end mb-2">
+            <LanguageSwitcher available={getInstrumentLanguages(instrument)} />
+          </div>
+          <ProgressIndicator currentStep="consent" />
 
-        <ProgressIndicator currentStep="form" />
-        <MultiStepForm onComplete={onComplete} />
+          <div className="bg-white rounded-2xl shadow-lg p-8">
+            <div className="flex items-center gap-3 mb-4">
+              <ShieldCheck className="w-8 h-8 text-blue-600" aria-hidden="true" />
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">{consent.title}</h1>
+                <p className="text-xs text-gray-500">{t('consent.version', { version: consent.version })}</p>
+              </div>
+            </div>
+
+            <div className="max-h-96 overflow-y-auto whitespace-pre-line text-gray-700 leading-relaxed border border-gray-200 rounded-lg p-4 mb-6" lang={consent.language}>
+              {consent.body}
+            </div>
+
+            <label className="flex items-start gap-3 mb-6 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={accepted}
+                onChange={(e) => setAccepted(e.target.checked)}
+                className="mt-1 h-5 w-5"
+              />
+              <span className="text-gray-800">{t('consent.checkbox')}</span>
+            </label>
+
+            <div className="flex flex-col-reverse sm:flex-row sm:justify-between gap-3">
+              <button
+                type="button"
+                onClick={onDecline}
+                disabled={isProcessing}
+                className="px-6 py-3 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {t('consent.decline')}
+              </button>
+              <button
+                type="button"
+                onClick={() => onAccept(consent.version)}
+                disabled={!accepted || isProcessing}
+                className="px-6 py-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isProcessing ? t('common.processing') : t('consent.accept')}
+              </button>
+            </div>
+          </div>
+        </div>
       </div>
     </div>
-  </div>
-);
+  );
+};
+
+/**
+ * La persona no aceptó el consentimiento: no se guardó ningún dato
+ */
+export const ConsentDeclinedStep = ({ onReconsider }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="text-center max-w-md mx-auto p-8" role="status">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">{t('consent.declinedTitle')}</h1>
+        <p className="text-gray-600 mb-6">{t('consent.declinedBody')}</p>
+        <button
+          type="button"
+          onClick={onReconsider}
+          className="px-6 py-3 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          {t('consent.reconsider')}
+        </button>
+      </div>
+    </div>
+  );
+};
 
 /**
  * Questionnaire step component
@@ -105,27 +255,33 @@ export const QuestionnaireStep = ({
   token, 
   tokenValid, 
   isDirectAccess, 
-  onBackToForm 
-}) => (
-  <div className="relative">
-    {/* Back button (solo visible en acceso directo) */}
-    {isDirectAccess && (
-      <button
-        onClick={onBackToForm}
-        className="absolute top-4 left-4 z-50 bg-white hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-lg shadow-md border border-gray-200 transition-colors duration-200 flex items-center space-x-2"
-      >
-        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-        </svg>
-        <span>Volver a datos</span>
-      </button>
-    )}
+  onBackToForm,
+  draft
+}) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="relative">
+      {/* Back button (solo visible en acceso directo) */}
+      {isDirectAccess && (
+        <button
+          onClick={onBackToForm}
+          className="absolute top-4 left-4 z-50 bg-white hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-lg shadow-md border border-gray-200 transition-colors duration-200 flex items-center space-x-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          <span>{t('flow.backToForm')}</span>
+        </button>
+      )}
     
-    <Questionnaire
-      personData={personData}
-      onComplete={onComplete}
-      token={token}
-      tokenValid={tokenValid}
-    />
-  </div>
-);
\ No newline at end of file
+      <Questionnaire
+        personData={personData}
+        onComplete={onComplete}
+        token={token}
+        tokenValid={tokenValid}
+        draft={draft}
+      />
+    </div>
+  );
+};
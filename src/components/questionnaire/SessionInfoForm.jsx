@@ -2,9 +2,19 @@ import React, { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { startQuestionnaire } from '../../store/slices/questionnaireSlice';
 import { User, Building, Clock, Calendar, Users } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
+
+// Valores guardados; las etiquetas están en sessionForm.options.<campo>
+const opciones = {
+  area: ['administracion', 'produccion', 'calidad', 'operaciones', 'mantenimiento', 'seguridad', 'recursos_humanos', 'logistica', 'otro'],
+  turno: ['mañana', 'tarde', 'noche', 'rotativo', 'administrativo'],
+  genero: ['masculino', 'femenino', 'otro', 'prefiero_no_decir'],
+  edad: ['18-25', '26-35', '36-45', '46-55', '56-65', '65+']
+};
 
 const SessionInfoForm = ({ onComplete }) => {
   const dispatch = useDispatch();
+  const { t } = useTranslation();
   const [sessionInfo, setSessionInfo] = useState({
     empleadoId: '',
     nombre: '',
@@ -30,27 +40,27 @@ const SessionInfoForm = ({ onComplete }) => {
     const newErrors = {};
     
     if (!sessionInfo.empleadoId.trim()) {
-      newErrors.empleadoId = 'El ID de empleado es requerido';
+      newErrors.empleadoId = 'sessionForm.errors.empleadoId';
     }
     
     if (!sessionInfo.nombre.trim()) {
-      newErrors.nombre = 'El nombre es requerido';
+      newErrors.nombre = 'sessionForm.errors.nombre';
     }
     
     if (!sessionInfo.area) {
-      newErrors.area = 'Debe seleccionar un área';
+      newErrors.area = 'sessionForm.errors.area';
     }
     
     if (!sessionInfo.turno) {
-      newErrors.turno = 'Debe seleccionar un turno';
+      newErrors.turno = 'sessionForm.errors.turno';
     }
     
     if (!sessionInfo.genero) {
-      newErrors.genero = 'Debe seleccionar un género';
+      newErrors.genero = 'sessionForm.errors.genero';
     }
     
     if (!sessionInfo.edad) {
-      newErrors.edad = 'Debe seleccionar un rango de edad';
+      newErrors.edad = 'sessionForm.errors.edad';
     }
     
     setErrors(newErrors);
@@ -77,48 +87,12 @@ const SessionInfoForm = ({ onComplete }) => {
       onComplete();
     } catch (error) {
       console.error('Error al validar información de sesión:', error);
-      setErrors({ general: 'Error al validar la información. Intente nuevamente.' });
+      setErrors({ general: 'sessionForm.errors.general' });
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  const areas = [
-    { value: 'administracion', label: 'Administración' },
-    { value: 'produccion', label: 'Producción' },
-    { value: 'calidad', label: 'Control de Calidad' },
-    { value: 'operaciones', label: 'Operaciones' },
-    { value: 'mantenimiento', label: 'Mantenimiento' },
-    { value: 'seguridad', label: 'Seguridad Industrial' },
-    { value: 'recursos_humanos', label: 'Recursos Humanos' },
-    { value: 'logistica', label: 'Logística' },
-    { value: 'otro', label: 'Otro' }
-  ];
-
-  const turnos = [
-    { value: 'mañana', label: 'Mañana (6:00 - 14:00)' },
-    { value: 'tarde', label: 'Tarde (14:00 - 22:00)' },
-    { value: 'noche', label: 'Noche (22:00 - 6:00)' },
-    { value: 'rotativo', label: 'Rotativo' },
-    { value: 'administrativo', label: 'Administrativo (8:00 - 17:00)' }
-  ];
-
-  const generos = [
-    { value: 'masculino', label: 'Masculino' },
-    { value: 'femenino', label: 'Femenino' },
-    { value: 'otro', label: 'Otro' },
-    { value: 'prefiero_no_decir', label: 'Prefiero no decir' }
-  ];
-
-  const edades = [
-    { value: '18-25', label: '18-25 años' },
-    { value: '26-35', label: '26-35 años' },
-    { value: '36-45', label: '36-45 años' },
-    { value: '46-55', label: '46-55 años' },
-    { value: '56-65', label: '56-65 años' },
-    { value: '65+', label: 'Más de 65 años' }
-  ];
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
       <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-2xl">
@@ -127,16 +101,16 @@ const SessionInfoForm = ({ onComplete }) => {
             <User className="w-8 h-8 text-blue-600" />
           </div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            Información de Sesión
+            {t('sessionForm.title')}
           </h1>
           <p className="text-gray-600">
-            Por favor complete la siguiente información antes de comenzar la evaluación CSBC Cuestionario de Seguridad Basada en el Comportamiento
+            {t('sessionForm.intro')}
           </p>
         </div>
 
         {errors.general && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
-            <p className="text-red-600 text-sm">{errors.general}</p>
+            <p className="text-red-600 text-sm">{t(errors.general)}</p>
           </div>
         )}
 
@@ -145,7 +119,7 @@ const SessionInfoForm = ({ onComplete }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               <User className="w-4 h-4 inline mr-2" />
-              ID de Empleado *
+              {t('sessionForm.fields.empleadoId')} *
             </label>
             <input
               type="text"
@@ -154,10 +128,10 @@ const SessionInfoForm = ({ onComplete }) => {
               className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
                 errors.empleadoId ? 'border-red-300 bg-red-50' : 'border-gray-300'
               }`}
-              placeholder="Ingrese su ID de empleado"
+              placeholder={t('sessionForm.placeholders.empleadoId')}
             />
             {errors.empleadoId && (
-              <p className="text-red-500 text-sm mt-1">{errors.empleadoId}</p>
+              <p className="text-red-500 text-sm mt-1">{t(errors.empleadoId)}</p>
             )}
           </div>
 
@@ -165,7 +139,7 @@ const SessionInfoForm = ({ onComplete }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               <User className="w-4 h-4 inline mr-2" />
-              Nombre Completo *
+              {t('sessionForm.fields.nombre')} *
             </label>
             <input
               type="text"
@@ -174,10 +148,10 @@ const SessionInfoForm = ({ onComplete }) => {
               className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
                 errors.nombre ? 'border-red-300 bg-red-50' : 'border-gray-300'
               }`}
-              placeholder="Ingrese su nombre completo"
+              placeholder={t('sessionForm.placeholders.nombre')}
             />
             {errors.nombre && (
-              <p className="text-red-500 text-sm mt-1">{errors.nombre}</p>
+              <p className="text-red-500 text-sm mt-1">{t(errors.nombre)}</p>
             )}
           </div>
 
@@ -185,7 +159,7 @@ const SessionInfoForm = ({ onComplete }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               <Building className="w-4 h-4 inline mr-2" />
-              Área de Trabajo *
+              {t('sessionForm.fields.area')} *
             </label>
             <select
               value={sessionInfo.area}
@@ -194,15 +168,15 @@ const SessionInfoForm = ({ onComplete }) => {
                 errors.area ? 'border-red-300 bg-red-50' : 'border-gray-300'
               }`}
             >
-              <option value="">Seleccione su área</option>
-              {areas.map(area => (
-                <option key={area.value} value={area.value}>
-                  {area.label}
+              <option value="">{t('sessionForm.placeholders.area')}</option>
+              {opciones.area.map(value => (
+                <option key={value} value={value}>
+                  {t(`sessionForm.options.area.${value}`)}
                 </option>
               ))}
             </select>
             {errors.area && (
-              <p className="text-red-500 text-sm mt-1">{errors.area}</p>
+              <p className="text-red-500 text-sm mt-1">{t(errors.area)}</p>
             )}
           </div>
 
@@ -210,7 +184,7 @@ const SessionInfoForm = ({ onComplete }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               <Clock className="w-4 h-4 inline mr-2" />
-              Turno de Trabajo *
+              {t('sessionForm.fields.turno')} *
             </label>
             <select
               value={sessionInfo.turno}
@@ -219,15 +193,15 @@ const SessionInfoForm = ({ onComplete }) => {
                 errors.turno ? 'border-red-300 bg-red-50' : 'border-gray-300'
               }`}
             >
-              <option value="">Seleccione su turno</option>
-              {turnos.map(turno => (
-                <option key={turno.value} value={turno.value}>
-                  {turno.label}
+              <option value="">{t('sessionForm.placeholders.turno')}</option>
+              {opciones.turno.map(value => (
+                <option key={value} value={value}>
+                  {t(`sessionForm.options.turno.${value}`)}
                 </option>
               ))}
             </select>
             {errors.turno && (
-              <p className="text-red-500 text-sm mt-1">{errors.turno}</p>
+              <p className="text-red-500 text-sm mt-1">{t(errors.turno)}</p>
             )}
           </div>
 
@@ -235,7 +209,7 @@ const SessionInfoForm = ({ onComplete }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               <Users className="w-4 h-4 inline mr-2" />
-              Género *
+              {t('sessionForm.fields.genero')} *
             </label>
             <select
               value={sessionInfo.genero}
@@ -244,15 +218,15 @@ const SessionInfoForm = ({ onComplete }) => {
                 errors.genero ? 'border-red-300 bg-red-50' : 'border-gray-300'
               }`}
             >
-              <option value="">Seleccione su género</option>
-              {generos.map(genero => (
-                <option key={genero.value} value={genero.value}>
-                  {genero.label}
+              <option value="">{t('sessionForm.placeholders.genero')}</option>
+              {opciones.genero.map(value => (
+                <option key={value} value={value}>
+                  {t(`sessionForm.options.genero.${value}`)}
                 </option>
               ))}
             </select>
             {errors.genero && (
-              <p className="text-red-500 text-sm mt-1">{errors.genero}</p>
+              <p className="text-red-500 text-sm mt-1">{t(errors.genero)}</p>
             )}
           </div>
 
@@ -260,7 +234,7 @@ const SessionInfoForm = ({ onComplete }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               <Calendar className="w-4 h-4 inline mr-2" />
-              Rango de Edad *
+              {t('sessionForm.fields.edad')} *
             </label>
             <select
               value={sessionInfo.edad}
@@ -269,15 +243,15 @@ const SessionInfoForm = ({ onComplete }) => {
                 errors.edad ? 'border-red-300 bg-red-50' : 'border-gray-300'
               }`}
             >
-              <option value="">Seleccione su rango de edad</option>
-              {edades.map(edad => (
-                <option key={edad.value} value={edad.value}>
-                  {edad.label}
+              <option value="">{t('sessionForm.placeholders.edad')}</option>
+              {opciones.edad.map(value => (
+                <option key={value} value={value}>
+                  {t(`sessionForm.options.edad.${value}`)}
                 </option>
               ))}
             </select>
             {errors.edad && (
-              <p className="text-red-500 text-sm mt-1">{errors.edad}</p>
+              <p className="text-red-500 text-sm mt-1">{t(errors.edad)}</p>
             )}
           </div>
 
@@ -291,12 +265,12 @@ const SessionInfoForm = ({ onComplete }) => {
               {isSubmitting ? (
                 <>
                   <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                  Validando información...
+                  {t('sessionForm.validating')}
                 </>
               ) : (
                 <>
                   <Clock className="w-5 h-5" />
-                  Comenzar Evaluación
+                  {t('sessionForm.start')}
                 </>
               )}
             </button>
@@ -305,7 +279,7 @@ const SessionInfoForm = ({ onComplete }) => {
 
         <div className="mt-6 text-center">
           <p className="text-sm text-gray-500">
-            * Campos obligatorios. Esta información es confidencial y se utiliza únicamente para fines estadísticos.
+            {t('common.requiredNote')}
           </p>
         </div>
       </div>
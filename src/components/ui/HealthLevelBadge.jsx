@@ -1,56 +1,8 @@
 import React from 'react'
-import { AlertTriangle, CheckCircle, AlertCircle, XCircle } from 'lucide-react'
+import { getHealthLevelConfig } from '../../config/healthLevels'
 
 const HealthLevelBadge = ({ level, showIcon = true, size = 'md' }) => {
-  const levelConfig = {
-    bajo: {
-      label: 'Bajo',
-      emoji: '🟢',
-      bgColor: 'bg-green-100',
-      textColor: 'text-green-800',
-      borderColor: 'border-green-200',
-      icon: CheckCircle,
-      iconColor: 'text-green-600'
-    },
-    moderado: {
-      label: 'Moderado',
-      emoji: '🟡',
-      bgColor: 'bg-yellow-100',
-      textColor: 'text-yellow-800',
-      borderColor: 'border-yellow-200',
-      icon: AlertCircle,
-      iconColor: 'text-yellow-600'
-    },
-    alto: {
-      label: 'Alto',
-      emoji: '🟠',
-      bgColor: 'bg-orange-100',
-      textColor: 'text-orange-800',
-      borderColor: 'border-orange-200',
-      icon: AlertTriangle,
-      iconColor: 'text-orange-600'
-    },
-    muy_alto: {
-      label: 'Muy Alto',
-      emoji: '🔴',
-      bgColor: 'bg-red-100',
-      textColor: 'text-red-800',
-      borderColor: 'border-red-200',
-      icon: XCircle,
-      iconColor: 'text-red-600'
-    },
-    sin_datos: {
-      label: 'Sin Datos',
-      emoji: '⚪',
-      bgColor: 'bg-gray-100',
-      textColor: 'text-gray-800',
-      borderColor: 'border-gray-200',
-      icon: AlertCircle,
-      iconColor: 'text-gray-600'
-    }
-  }
-
-  const config = levelConfig[level] || levelConfig.sin_datos
+  const config = getHealthLevelConfig(level)
   const Icon = config.icon
 
   const sizeClasses = {
@@ -1,4 +1,4 @@
-import { useEffect, useRef } from 'react'
+import { useCallback, useEffect, useRef } from 'react'
 
 /**
  * ScreenReaderAnnouncer component for announcing dynamic content changes to screen readers
@@ -54,7 +54,8 @@ const ScreenReaderAnnouncer = ({ message, priority = 'polite', clearAfter = 3000
 export const useScreenReaderAnnouncer = () => {
   const announcerRef = useRef(null)
 
-  const announce = (message, priority = 'polite') => {
+  // Stable across renders so effects can list it as a dependency
+  const announce = useCallback((message, priority = 'polite') => {
     if (announcerRef.current) {
       // Clear existing content first
       announcerRef.current.textContent = ''
@@ -67,7 +68,7 @@ export const useScreenReaderAnnouncer = () => {
         }
       }, 10)
     }
-  }
+  }, [])
 
   const AnnouncerComponent = () => (
     <div
@@ -11,7 +11,11 @@ import {
   Users,
   LogOut,
   MessageSquare,
-  ClipboardList
+  ClipboardList,
+  ShieldAlert,
+  CalendarRange,
+  UserCheck,
+  ScrollText
 } from 'lucide-react'
 
 const Sidebar = () => {
@@ -49,12 +53,36 @@ const Sidebar = () => {
       icon: MessageSquare,
       description: 'Análisis de respuestas GHQ-12'
     },
+    {
+      name: 'Campañas',
+      path: '/campanas',
+      icon: CalendarRange,
+      description: 'Olas de evaluación'
+    },
+    {
+      name: 'Calidad',
+      path: '/calidad',
+      icon: ShieldAlert,
+      description: 'Revisión de calidad de respuestas'
+    },
     {
       name: 'Usuarios',
       path: '/usuarios',
       icon: Users,
       description: 'Administrar usuarios'
     },
+    {
+      name: 'Datos personales',
+      path: '/datos-personales',
+      icon: UserCheck,
+      description: 'Solicitudes de acceso, rectificación y supresión'
+    },
+    {
+      name: 'Auditoría',
+      path: '/auditoria',
+      icon: ScrollText,
+      description: 'Quién consultó o cambió datos individuales'
+    },
     {
       name: 'Configuración',
       path: '/configuracion',
@@ -0,0 +1,70 @@
+/**
+ * Tests unitarios del umbral de anonimato
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  MERGED_GROUP_LABEL,
+  anonymizeGroupMap,
+  applyAnonymityThreshold,
+  getMinGroupSize,
+  resetMinGroupSize,
+  selectSuppressedGroups,
+  setMinGroupSize
+} from '../anonymity';
+
+const sizes = (entries) => Object.entries(entries).map(([key, size]) => ({ key, size }));
+
+describe('anonymity', () => {
+  afterEach(() => {
+    resetMinGroupSize();
+  });
+
+  it('no oculta nada si todos los grupos alcanzan el umbral', () => {
+    expect(selectSuppressedGroups(sizes({ A: 5, B: 12, C: 0 }), 5).size).toBe(0);
+  });
+
+  it('aplica supresión complementaria cuando un único grupo queda oculto', () => {
+    // Ocultar solo B permitiría deducirlo restando A y C del total
+    const hidden = selectSuppressedGroups(sizes({ A: 20, B: 2, C: 8 }), 5);
+    expect([...hidden].sort()).toEqual(['B', 'C']);
+  });
+
+  it('sigue ocultando hasta que el conjunto oculto alcance el umbral', () => {
+    const hidden = selectSuppressedGroups(sizes({ A: 1, B: 1, C: 6, D: 30 }), 5);
+    expect([...hidden].sort()).toEqual(['A', 'B', 'C']);
+
+    // Dos grupos pequeños que juntos ya suman el umbral no necesitan más
+    expect([...selectSuppressedGroups(sizes({ A: 3, B: 4, C: 6 }), 5)].sort()).toEqual(['A', 'B']);
+  });
+
+  it('combina los grupos ocultos en "Otros grupos" solo si juntos alcanzan el umbral', () => {
+    const merge = values => ({ count: values.reduce((sum, value) => sum + value.count, 0) });
+
+    const { byGroup, suppressedGroups } = anonymizeGroupMap(
+      { Ventas: { count: 20 }, Legal: { count: 2 }, Almacén: { count: 4 } },
+      value => value.count,
+      merge,
+      5
+    );
+    expect(byGroup).toEqual({ Ventas: { count: 20 }, [MERGED_GROUP_LABEL]: { count: 6 } });
+    expect(suppressedGroups.sort()).toEqual(['Almacén', 'Legal']);
+
+    const tooSmall = applyAnonymityThreshold([{ name: 'A', n: 1 }, { name: 'B', n: 2 }], {
+      getKey: group => group.name,
+      getSize: group => group.n,
+      merge,
+      threshold: 5
+    });
+    expect(tooSmall.groups).toEqual([]);
+    expect(tooSmall.merged).toBeNull();
+  });
+
+  it('valida el umbral configurado', () => {
+    setMinGroupSize(10);
+    expect(getMinGroupSize()).toBe(10);
+    expect(() => setMinGroupSize(1)).toThrow();
+    expect(() => setMinGroupSize(3.5)).toThrow();
+    expect(getMinGroupSize()).toBe(10);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests unitarios para el registro de bandas de riesgo
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  DEFAULT_RISK_BANDS,
+  SCORE_SCALES,
+  classifyRiskPercentage,
+  classifyScore,
+  resetRiskBands,
+  scoreToRiskPercentage,
+  setRiskBands,
+  validateRiskBands
+} from '../riskBands';
+
+describe('riskBands', () => {
+  afterEach(() => {
+    resetRiskBands();
+  });
+
+  it('clasifica igual por puntaje y por porcentaje en todos los métodos', () => {
+    Object.entries(SCORE_SCALES).forEach(([method, { maxTotal }]) => {
+      for (let score = 0; score <= maxTotal; score++) {
+        const byScore = classifyScore(score, method);
+        const byPercentage = classifyRiskPercentage(scoreToRiskPercentage(score, method), method);
+        expect(byPercentage.key).toBe(byScore.key);
+      }
+    });
+  });
+
+  it('las bandas por defecto son válidas', () => {
+    Object.entries(DEFAULT_RISK_BANDS).forEach(([method, bands]) => {
+      expect(validateRiskBands(method, bands)).toEqual([]);
+    });
+  });
+
+  it('rechaza bandas con huecos o fuera de rango', () => {
+    const withGap = DEFAULT_RISK_BANDS.ghq.map(band => (
+      band.key === 'moderado' ? { ...band, min: 3, max: 3 } : band
+    ));
+    expect(validateRiskBands('ghq', withGap).length).toBeGreaterThan(0);
+    expect(() => setRiskBands({ ghq: withGap })).toThrow();
+
+    const tooShort = DEFAULT_RISK_BANDS.likert.map(band => (
+      band.key === 'bajo' ? { ...band, max: 30 } : band
+    ));
+    expect(validateRiskBands('likert', tooShort)).toContain('El rango debe terminar en 36');
+  });
+
+  it('aplica las bandas editadas a ambas clasificaciones', () => {
+    const edited = DEFAULT_RISK_BANDS.ghq.map(band => {
+      if (band.key === 'moderado') return { ...band, max: 3 };
+      if (band.key === 'alto') return { ...band, min: 4, label: 'Elevado' };
+      return band;
+    });
+    setRiskBands({ ghq: edited });
+
+    expect(classifyScore(3, 'ghq').key).toBe('moderado');
+    expect(classifyScore(4, 'ghq').label).toBe('Elevado');
+    expect(classifyRiskPercentage(scoreToRiskPercentage(3, 'ghq'), 'ghq').key).toBe('moderado');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Umbral de anonimato (k-anonimato) de las vistas agregadas
+ *
+ * Ningún heatmap, gráfico, exportación o función SQL muestra cifras de un grupo
+ * (departamento, cargo, turno...) con menos de k participantes. Los grupos
+ * pequeños se combinan en "Otros grupos"; si al ocultarlos bastara con restar
+ * del total para deducir uno de ellos, también se combinan los grupos visibles
+ * más pequeños (supresión complementaria).
+ *
+ * El umbral se guarda en `configuracion_sistema` (clave `umbral_anonimato`) y se
+ * aplica al iniciar la aplicación. Espejo SQL: public.grupos_a_suprimir()
+ * en sql/V9__create_umbral_anonimato.sql.
+ */
+
+export const MIN_GROUP_SIZE_LIMITS = {
+  MIN: 2,
+  MAX: 50,
+  DEFAULT: 5
+};
+
+// Nombre del grupo que reúne a los grupos ocultos
+export const MERGED_GROUP_LABEL = 'Otros grupos';
+
+let minGroupSize = MIN_GROUP_SIZE_LIMITS.DEFAULT;
+
+/**
+ * Valida un umbral de anonimato
+ * @param {*} value
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+export const validateMinGroupSize = (value) => {
+  if (!Number.isInteger(value)) return 'El umbral de anonimato debe ser un número entero';
+  if (value < MIN_GROUP_SIZE_LIMITS.MIN || value > MIN_GROUP_SIZE_LIMITS.MAX) {
+    return `El umbral de anonimato debe estar entre ${MIN_GROUP_SIZE_LIMITS.MIN} y ${MIN_GROUP_SIZE_LIMITS.MAX}`;
+  }
+  return null;
+};
+
+/**
+ * Número mínimo de participantes para mostrar las cifras de un grupo
+ * @returns {number}
+ */
+export const getMinGroupSize = () => minGroupSize;
+
+/**
+ * Cambia el umbral (p. ej. al cargarlo de la base de datos)
+ * @param {number} value
+ */
+export const setMinGroupSize = (value) => {
+  const error = validateMinGroupSize(value);
+  if (error) throw new Error(error);
+  minGroupSize = value;
+};
+
+/**
+ * Restablece el umbral por defecto
+ */
+export const resetMinGroupSize = () => {
+  minGroupSize = MIN_GROUP_SIZE_LIMITS.DEFAULT;
+};
+
+/**
+ * Indica si un grupo de ese tamaño no puede mostrarse por sí solo.
+ * Los grupos vacíos no revelan a nadie y se muestran.
+ * @param {number} size - Participantes del grupo
+ * @param {number} [threshold]
+ * @returns {boolean}
+ */
+export const isBelowThreshold = (size, threshold = minGroupSize) => size > 0 && size < threshold;
+
+/**
+ * Elige los grupos a ocultar: los que no alcanzan el umbral más, si hace falta,
+ * los visibles más pequeños, hasta que el conjunto oculto tenga al menos dos
+ * grupos y sume el umbral (así ni el total ni "Otros grupos" delatan a uno solo).
+ * Si ni juntando todos se alcanza el umbral, se ocultan todos.
+ * @param {Array<{key: string, size: number}>} sizes
+ * @param {number} [threshold]
+ * @returns {Set<string>} - Claves de los grupos ocultos
+ */
+export const selectSuppressedGroups = (sizes, threshold = minGroupSize) => {
+  const hidden = new Set();
+  let hiddenTotal = 0;
+
+  sizes.forEach(({ key, size }) => {
+    if (isBelowThreshold(size, threshold)) {
+      hidden.add(key);
+      hiddenTotal += size;
+    }
+  });
+  if (hidden.size === 0) return hidden;
+
+  // Mismo orden que la función SQL: tamaño y, a igualdad, nombre
+  const candidates = sizes
+    .filter(({ key, size }) => size > 0 && !hidden.has(key))
+    .sort((a, b) => a.size - b.size || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  for (const { key, size } of candidates) {
+    if (hidden.size >= 2 && hiddenTotal >= threshold) break;
+    hidden.add(key);
+    hiddenTotal += size;
+  }
+
+  return hidden;
+};
+
+/**
+ * Aplica el umbral a una lista de grupos
+ * @param {Array} groups - Grupos con cifras agregadas
+ * @param {Object} options
+ * @param {Function} options.getKey - Nombre del grupo
+ * @param {Function} options.getSize - Participantes del grupo
+ * @param {Function} [options.merge] - Combina los grupos ocultos en uno ("Otros grupos");
+ *   sin merge los grupos ocultos simplemente no se muestran
+ * @param {number} [options.threshold]
+ * @returns {{ groups: Array, suppressed: Array, merged: Object|null, threshold: number }}
+ */
+export const applyAnonymityThreshold = (groups, {
+  getKey,
+  getSize,
+  merge,
+  threshold = minGroupSize
+}) => {
+  const hidden = selectSuppressedGroups(
+    groups.map(group => ({ key: String(getKey(group)), size: getSize(group) })),
+    threshold
+  );
+
+  const visible = groups.filter(group => !hidden.has(String(getKey(group))));
+  const suppressed = groups.filter(group => hidden.has(String(getKey(group))));
+  const suppressedTotal = suppressed.reduce((sum, group) => sum + getSize(group), 0);
+
+  const merged = merge && suppressedTotal >= threshold ? merge(suppressed) : null;
+
+  return {
+    groups: merged ? [...visible, merged] : visible,
+    suppressed,
+    merged,
+    threshold
+  };
+};
+
+/**
+ * Aplica el umbral a un objeto { grupo: { count, ... } } y combina los ocultos
+ * bajo MERGED_GROUP_LABEL
+ * @param {Object} byGroup
+ * @param {Function} getSize - Participantes de un grupo
+ * @param {Function} merge - Combina los valores de los grupos ocultos
+ * @param {number} [threshold]
+ * @returns {{ byGroup: Object, suppressedGroups: string[] }}
+ */
+export const anonymizeGroupMap = (byGroup, getSize, merge, threshold = minGroupSize) => {
+  const result = applyAnonymityThreshold(Object.entries(byGroup), {
+    getKey: ([key]) => key,
+    getSize: ([, value]) => getSize(value),
+    merge: entries => [MERGED_GROUP_LABEL, merge(entries.map(([, value]) => value))],
+    threshold
+  });
+
+  return {
+    byGroup: Object.fromEntries(result.groups),
+    suppressedGroups: result.suppressed.map(([key]) => key)
+  };
+};
+
+/**
+ * Aplica el umbral a un objeto { grupo: participantes }
+ * @param {Object} counts
+ * @param {number} [threshold]
+ * @returns {Object} - Conteos con los ocultos sumados en MERGED_GROUP_LABEL
+ */
+export const anonymizeCounts = (counts, threshold = minGroupSize) => anonymizeGroupMap(
+  counts,
+  count => count,
+  merged => merged.reduce((sum, count) => sum + count, 0),
+  threshold
+).byGroup;
+
+export default {
+  MIN_GROUP_SIZE_LIMITS,
+  MERGED_GROUP_LABEL,
+  validateMinGroupSize,
+  getMinGroupSize,
+  setMinGroupSize,
+  resetMinGroupSize,
+  isBelowThreshold,
+  selectSuppressedGroups,
+  applyAnonymityThreshold,
+  anonymizeGroupMap,
+  anonymizeCounts
+};
@@ -4,46 +4,35 @@
  */
 
 import { AlertTriangle, CheckCircle, AlertCircle, XCircle } from 'lucide-react'
+import { RISK_BAND_KEYS, RISK_BAND_STYLES, getRiskBandByKey } from './riskBands'
+import { analyzeStoredResponses } from '../utils/ghq12Calculator'
+
+/**
+ * Builds a health level entry backed by the risk-band registry, so labels and
+ * thresholds always match the bands configured by administrators
+ */
+const bandLevel = (key, description, icon) => ({
+  key,
+  get label() {
+    return getRiskBandByKey(key).label
+  },
+  description,
+  ...RISK_BAND_STYLES[key],
+  color: RISK_BAND_STYLES[key].badgeColor,
+  icon,
+  get threshold() {
+    const band = getRiskBandByKey(key)
+    return { min: band.min, max: band.max }
+  }
+})
 
 export const HEALTH_LEVELS = {
-  bajo: {
-   label: 'Bajo',
-   description: 'Estado aceptable de salud mental',
-   emoji: '🟢',
-   bgColor: 'bg-green-100',
-   textColor: 'text-green-800',
-   borderColor: 'border-green-200',
-   icon: CheckCircle,
-   iconColor: 'text-green-600',
-   // Additional styling for different contexts
-   badgeColor: 'bg-green-100 text-green-800 border-green-200',
-   threshold: { min: 0, max: 12 }
- },
- moderado: {
-   label: 'Moderado',
-   description: 'Estado de alerta - requiere atención',
-   emoji: '🟡',
-   bgColor: 'bg-yellow-100',
-   textColor: 'text-yellow-800',
-   borderColor: 'border-yellow-200',
-   icon: AlertCircle,
-   iconColor: 'text-yellow-600',
-   badgeColor: 'bg-yellow-100 text-yellow-800 border-yellow-200',
-   threshold: { min: 13, max: 24 }
- },
- alto: {
-   label: 'Alto',
-   description: 'Estado alterado - requiere intervención',
-   emoji: '🟠',
-   bgColor: 'bg-orange-100',
-   textColor: 'text-orange-800',
-   borderColor: 'border-orange-200',
-   icon: AlertTriangle,
-   iconColor: 'text-orange-600',
-   badgeColor: 'bg-orange-100 text-orange-800 border-orange-200',
-   threshold: { min: 25, max: 36 }
- },
+  bajo: bandLevel('bajo', 'Estado aceptable de salud mental', CheckCircle),
+  moderado: bandLevel('moderado', 'Estado de alerta - requiere atención', AlertCircle),
+  alto: bandLevel('alto', 'Estado alterado - requiere intervención', AlertTriangle),
+  muy_alto: bandLevel('muy_alto', 'Estado restringido - requiere intervención inmediata', XCircle),
   sin_datos: {
+    key: 'sin_datos',
     label: 'Sin Datos',
     description: 'No hay respuestas disponibles',
     emoji: '⚪',
@@ -53,30 +42,29 @@ export const HEALTH_LEVELS = {
     icon: AlertCircle,
     iconColor: 'text-gray-600',
     badgeColor: 'bg-gray-100 text-gray-800 border-gray-200',
+    color: 'bg-gray-100 text-gray-800 border-gray-200',
     threshold: { min: 0, max: 0 }
   }
 }
 
 /**
  * Calculate health level based on GHQ-12 responses
- * @param {Array} responses - Array of response objects with 'respuesta' property
- * @returns {Object} - Object with 'nivel' and 'puntuacion' properties
+ * Uses the organisation scoring method and the risk-band registry; when the
+ * worker answered several times, the latest session is classified.
+ * @param {Array} responses - Rows from respuestas_cuestionario (pregunta_id, respuesta)
+ * @returns {Object} - 'nivel', 'puntuacion' and 'subescalas' (factor scores per model, null without data)
  */
 export const calculateHealthLevel = (responses) => {
-  if (!responses || responses.length === 0) {
-    return { nivel: 'sin_datos', puntuacion: 0 }
-  }
+  const analysis = analyzeStoredResponses(responses)
 
-  // Sum all responses (0-3 each, maximum 36 for GHQ-12)
-  const totalScore = responses.reduce((sum, resp) => sum + (resp.respuesta || 0), 0)
+  if (!analysis.success) {
+    return { nivel: 'sin_datos', puntuacion: 0, subescalas: null }
+  }
 
-  // Classify according to GHQ-12 total score (corrected ranges)
-  if (totalScore <= 12) {
-    return { nivel: 'bajo', puntuacion: totalScore }
-  } else if (totalScore <= 24) {
-    return { nivel: 'moderado', puntuacion: totalScore }
-  } else {
-    return { nivel: 'alto', puntuacion: totalScore }
+  return {
+    nivel: analysis.risk.key,
+    puntuacion: analysis.score.totalScore,
+    subescalas: analysis.score.factorScores
   }
 }
 
@@ -145,6 +133,13 @@ export const calculateHealthLevelStats = (responses) => {
   return stats
 }
 
+/**
+ * Rank of a health level for sorting, from lowest to highest risk
+ * @param {string} level - Health level key
+ * @returns {number} - -1 for levels without data
+ */
+export const getHealthLevelRank = (level) => RISK_BAND_KEYS.indexOf(level)
+
 /**
  * Validate if a score falls within a specific health level range
  * @param {number} score - The score to validate
@@ -0,0 +1,283 @@
+/**
+ * Registro de bandas de riesgo
+ *
+ * Única definición de los niveles de riesgo GHQ-12. Las bandas se guardan en la
+ * tabla `bandas_riesgo` (editable desde Configuración) y se cargan al iniciar la
+ * aplicación; badges, heatmaps, buckets de empleados en riesgo y vistas SQL
+ * clasifican con estas mismas bandas.
+ *
+ * Cada método de puntuación tiene sus límites en las unidades de su puntaje
+ * total. Las vistas agregadas trabajan con el porcentaje de riesgo (0-100, mayor
+ * = más malestar); el límite inferior de cada banda en porcentaje se deriva de
+ * los límites del método, por lo que un trabajador cae en la misma banda tanto
+ * por su puntaje como por su porcentaje.
+ */
+
+// Niveles en orden de menor a mayor riesgo
+export const RISK_BAND_KEYS = ['bajo', 'moderado', 'alto', 'muy_alto'];
+
+// Bandas que indican caso probable / requieren intervención
+export const HIGH_RISK_BAND_KEYS = ['alto', 'muy_alto'];
+
+// Escala del puntaje total de cada método de puntuación
+export const SCORE_SCALES = {
+  likert: { direction: 'bienestar', maxTotal: 36 },
+  ghq: { direction: 'malestar', maxTotal: 12 },
+  cghq: { direction: 'malestar', maxTotal: 12 }
+};
+
+// Clases de Tailwind por nivel; el color hexadecimal editable se usa en gráficos
+export const RISK_BAND_STYLES = {
+  bajo: {
+    emoji: '🟢',
+    bgColor: 'bg-green-100',
+    textColor: 'text-green-800',
+    borderColor: 'border-green-200',
+    iconColor: 'text-green-600',
+    badgeColor: 'bg-green-100 text-green-800 border-green-200',
+    cellColor: 'bg-green-400 text-gray-900',
+    cellBorderColor: 'border-green-500'
+  },
+  moderado: {
+    emoji: '🟡',
+    bgColor: 'bg-yellow-100',
+    textColor: 'text-yellow-800',
+    borderColor: 'border-yellow-200',
+    iconColor: 'text-yellow-600',
+    badgeColor: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+    cellColor: 'bg-yellow-400 text-gray-900',
+    cellBorderColor: 'border-yellow-500'
+  },
+  alto: {
+    emoji: '🟠',
+    bgColor: 'bg-orange-100',
+    textColor: 'text-orange-800',
+    borderColor: 'border-orange-200',
+    iconColor: 'text-orange-600',
+    badgeColor: 'bg-orange-100 text-orange-800 border-orange-200',
+    cellColor: 'bg-orange-500 text-white',
+    cellBorderColor: 'border-orange-600'
+  },
+  muy_alto: {
+    emoji: '🔴',
+    bgColor: 'bg-red-100',
+    textColor: 'text-red-800',
+    borderColor: 'border-red-200',
+    iconColor: 'text-red-600',
+    badgeColor: 'bg-red-100 text-red-800 border-red-200',
+    cellColor: 'bg-red-600 text-white',
+    cellBorderColor: 'border-red-700'
+  }
+};
+
+const BAND_DEFAULTS = {
+  bajo: { label: 'Bajo', description: 'Aceptable', color: '#059669' },
+  moderado: { label: 'Moderado', description: 'Alerta', color: '#D97706' },
+  alto: { label: 'Alto', description: 'Alterado', color: '#EA580C' },
+  muy_alto: { label: 'Muy Alto', description: 'Restringido', color: '#DC2626' }
+};
+
+const buildDefaultBands = (limits) => RISK_BAND_KEYS.map(key => ({
+  key,
+  ...BAND_DEFAULTS[key],
+  ...limits[key]
+}));
+
+/**
+ * Bandas por defecto (mismas que siembra la migración V5)
+ */
+export const DEFAULT_RISK_BANDS = {
+  likert: buildDefaultBands({
+    bajo: { min: 28, max: 36 },
+    moderado: { min: 18, max: 27 },
+    alto: { min: 9, max: 17 },
+    muy_alto: { min: 0, max: 8 }
+  }),
+  ghq: buildDefaultBands({
+    bajo: { min: 0, max: 1 },
+    moderado: { min: 2, max: 2 },
+    alto: { min: 3, max: 6 },
+    muy_alto: { min: 7, max: 12 }
+  }),
+  cghq: buildDefaultBands({
+    bajo: { min: 0, max: 3 },
+    moderado: { min: 4, max: 5 },
+    alto: { min: 6, max: 8 },
+    muy_alto: { min: 9, max: 12 }
+  })
+};
+
+// Método cuya escala de porcentaje usan las vistas agregadas
+let activeMethod = 'likert';
+let registry = DEFAULT_RISK_BANDS;
+
+/**
+ * Convierte un puntaje total al porcentaje de riesgo (0-100, mayor = más malestar)
+ * @param {number} score - Puntaje total del método
+ * @param {string} method - Método de puntuación
+ * @returns {number}
+ */
+export const scoreToRiskPercentage = (score, method = activeMethod) => {
+  const { direction, maxTotal } = SCORE_SCALES[method];
+  return direction === 'bienestar'
+    ? ((maxTotal - score) / maxTotal) * 100
+    : (score / maxTotal) * 100;
+};
+
+/**
+ * Valida que las bandas de un método cubran todo el rango sin huecos ni solapamientos
+ * @param {string} method - Método de puntuación
+ * @param {Array} bands - Bandas a validar
+ * @returns {string[]} - Lista de errores (vacía si son válidas)
+ */
+export const validateRiskBands = (method, bands) => {
+  const scale = SCORE_SCALES[method];
+  if (!scale) return [`Método de puntuación no soportado: ${method}`];
+
+  const errors = [];
+  const byKey = new Map((bands || []).map(band => [band.key, band]));
+
+  RISK_BAND_KEYS.forEach(key => {
+    const band = byKey.get(key);
+    if (!band) {
+      errors.push(`Falta la banda ${key}`);
+      return;
+    }
+    if (!band.label?.trim()) errors.push(`La banda ${key} no tiene etiqueta`);
+    if (!Number.isInteger(band.min) || !Number.isInteger(band.max) || band.min > band.max) {
+      errors.push(`Límites inválidos en la banda ${key}`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  // En escala de bienestar el riesgo crece al bajar el puntaje
+  const ordered = RISK_BAND_KEYS.map(key => byKey.get(key));
+  if (scale.direction === 'bienestar') ordered.reverse();
+
+  if (ordered[0].min !== 0) errors.push('El rango debe comenzar en 0');
+  if (ordered[ordered.length - 1].max !== scale.maxTotal) {
+    errors.push(`El rango debe terminar en ${scale.maxTotal}`);
+  }
+  for (let i = 1; i < ordered.length; i++) {
+    if (ordered[i].min !== ordered[i - 1].max + 1) {
+      errors.push(`Las bandas ${ordered[i - 1].key} y ${ordered[i].key} no son contiguas`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Reemplaza las bandas de uno o varios métodos (p. ej. al cargarlas de la base de datos)
+ * @param {Object} bandsByMethod - { metodo: [bandas] }
+ */
+export const setRiskBands = (bandsByMethod) => {
+  const next = { ...registry };
+
+  Object.entries(bandsByMethod || {}).forEach(([method, bands]) => {
+    const errors = validateRiskBands(method, bands);
+    if (errors.length > 0) {
+      throw new Error(`Bandas de riesgo inválidas para ${method}: ${errors.join('; ')}`);
+    }
+    next[method] = RISK_BAND_KEYS.map(key => ({ ...bands.find(band => band.key === key) }));
+  });
+
+  registry = next;
+};
+
+/**
+ * Restablece las bandas por defecto
+ */
+export const resetRiskBands = () => {
+  registry = DEFAULT_RISK_BANDS;
+};
+
+/**
+ * Establece el método cuya escala usan las clasificaciones por porcentaje
+ * @param {string} method - Método de puntuación
+ */
+export const setActiveRiskMethod = (method) => {
+  if (!SCORE_SCALES[method]) {
+    throw new Error(`Método de puntuación no soportado: ${method}`);
+  }
+  activeMethod = method;
+};
+
+const withPresentation = (band, method) => {
+  const { direction } = SCORE_SCALES[method];
+  return {
+    ...band,
+    ...RISK_BAND_STYLES[band.key],
+    level: band.key.toUpperCase(),
+    priority: RISK_BAND_KEYS.indexOf(band.key) + 1,
+    isHighRisk: HIGH_RISK_BAND_KEYS.includes(band.key),
+    // Límite inferior de la banda en porcentaje de riesgo
+    minPercentage: scoreToRiskPercentage(direction === 'bienestar' ? band.max : band.min, method)
+  };
+};
+
+/**
+ * Bandas de un método, de menor a mayor riesgo, con estilos y límites en porcentaje
+ * @param {string} [method] - Método de puntuación
+ * @returns {Array}
+ */
+export const getRiskBands = (method = activeMethod) => {
+  const bands = registry[method];
+  if (!bands) {
+    throw new Error(`Método de puntuación no soportado: ${method}`);
+  }
+  return bands.map(band => withPresentation(band, method));
+};
+
+/**
+ * Obtiene una banda por su clave
+ * @param {string} key - bajo, moderado, alto o muy_alto
+ * @param {string} [method] - Método de puntuación
+ * @returns {Object|null}
+ */
+export const getRiskBandByKey = (key, method = activeMethod) => {
+  return getRiskBands(method).find(band => band.key === key) || null;
+};
+
+/**
+ * Clasifica un puntaje total en las unidades del método
+ * @param {number} score - Puntaje total
+ * @param {string} [method] - Método de puntuación
+ * @returns {Object|null} - Banda o null si el puntaje está fuera de rango
+ */
+export const classifyScore = (score, method = activeMethod) => {
+  return getRiskBands(method).find(band => score >= band.min && score <= band.max) || null;
+};
+
+/**
+ * Clasifica un porcentaje de riesgo (0-100); usado por vistas agregadas y heatmaps
+ * @param {number} percentage - Porcentaje de riesgo
+ * @param {string} [method] - Método de puntuación
+ * @returns {Object} - Banda
+ */
+export const classifyRiskPercentage = (percentage, method = activeMethod) => {
+  const bands = getRiskBands(method);
+  const value = Number(percentage) || 0;
+
+  for (let i = bands.length - 1; i > 0; i--) {
+    if (value >= bands[i].minPercentage) return bands[i];
+  }
+  return bands[0];
+};
+
+export default {
+  RISK_BAND_KEYS,
+  HIGH_RISK_BAND_KEYS,
+  SCORE_SCALES,
+  RISK_BAND_STYLES,
+  DEFAULT_RISK_BANDS,
+  scoreToRiskPercentage,
+  validateRiskBands,
+  setRiskBands,
+  resetRiskBands,
+  setActiveRiskMethod,
+  getRiskBands,
+  getRiskBandByKey,
+  classifyScore,
+  classifyRiskPercentage
+};
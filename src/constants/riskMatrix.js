@@ -3,27 +3,31 @@
  * Centraliza configuración, colores y pesos para facilitar mantenimiento
  */
 
-// Niveles de riesgo en orden de menor a mayor
-export const RISK_LEVELS = ['Muy Bajo', 'Bajo', 'Moderado', 'Alto', 'Muy Alto'];
+import { RISK_BAND_KEYS, getRiskBandByKey } from '../config/riskBands';
+
+// Niveles de riesgo en orden de menor a mayor (claves del registro de bandas,
+// las mismas que devuelve get_risk_heatmap_data en risk_distribution)
+export const RISK_LEVELS = RISK_BAND_KEYS;
 
 // Pesos para cálculo de riesgo promedio (0.0 - 1.0)
 export const RISK_WEIGHTS = {
-  'Muy Bajo': 0.1,
-  'Bajo': 0.3,
-  'Moderado': 0.5,
-  'Alto': 0.7,
-  'Muy Alto': 0.9
+  bajo: 0.125,
+  moderado: 0.375,
+  alto: 0.625,
+  muy_alto: 0.875
 };
 
 // Colores para niveles de riesgo (TailwindCSS classes)
 export const RISK_LEVEL_COLORS = {
-  'Muy Alto': 'bg-red-600 text-white',
-  'Alto': 'bg-orange-500 text-white',
-  'Moderado': 'bg-yellow-400 text-gray-900',
-  'Bajo': 'bg-green-400 text-gray-900',
-  'Muy Bajo': 'bg-green-200 text-gray-900'
+  muy_alto: 'bg-red-600 text-white',
+  alto: 'bg-orange-500 text-white',
+  moderado: 'bg-yellow-400 text-gray-900',
+  bajo: 'bg-green-400 text-gray-900'
 };
 
+// Etiqueta visible del nivel según el registro de bandas
+export const getRiskLevelLabel = (level) => getRiskBandByKey(level)?.label || level;
+
 // Escala de colores para concentración de usuarios (porcentajes)
 export const CONCENTRATION_COLORS = [
   { min: 0, max: 0, class: 'bg-gray-50 text-gray-400' },
@@ -0,0 +1,62 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_STORAGE_KEY,
+  createTranslator,
+  isSupportedLanguage,
+  resolveLanguage
+} from '../i18n';
+import { LanguageContext, UI_LANGUAGES } from '../hooks/useTranslation';
+
+const readInitialLanguage = () => {
+  try {
+    return resolveLanguage(
+      [localStorage.getItem(LANGUAGE_STORAGE_KEY), ...(navigator.languages || [navigator.language])],
+      UI_LANGUAGES.map(language => language.code)
+    );
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(readInitialLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((code) => {
+    if (!isSupportedLanguage(code)) return;
+    setLanguageState(code);
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+    } catch {
+      // Sin almacenamiento (modo privado) el idioma dura solo esta visita
+    }
+  }, []);
+
+  // Olvida la elección guardada y vuelve al idioma del navegador (p. ej. entre personas en el quiosco)
+  const resetLanguage = useCallback(() => {
+    try {
+      localStorage.removeItem(LANGUAGE_STORAGE_KEY);
+    } catch {
+      // Sin almacenamiento no hay nada guardado
+    }
+    setLanguageState(readInitialLanguage());
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    languages: UI_LANGUAGES,
+    setLanguage,
+    resetLanguage,
+    t: createTranslator(language)
+  }), [language, setLanguage, resetLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
@@ -0,0 +1,201 @@
+/**
+ * Definiciones versionadas del Cuestionario de Salud General (GHQ-12)
+ *
+ * Cada versión es inmutable: si cambia la redacción de un ítem, la escala o las
+ * reglas de puntuación se publica una versión nueva con su propio `id` (el
+ * `cuestionario_id` almacenado en `respuestas_cuestionario`). Así las respuestas
+ * históricas siempre se interpretan con la definición con la que se contestaron.
+ */
+
+// Escala de respuesta Likert de 4 puntos (0-3)
+const ESCALA_LIKERT_4 = [
+  { value: 0, label: 'Nunca', shortLabel: 'Nunca' },
+  { value: 1, label: 'Casi nunca', shortLabel: 'C. Nunca' },
+  { value: 2, label: 'Casi siempre', shortLabel: 'C. Siempre' },
+  { value: 3, label: 'Siempre', shortLabel: 'Siempre' }
+];
+
+export const GHQ12_V1 = {
+  id: 1,
+  code: 'GHQ-12',
+  version: 1,
+  name: 'Cuestionario de Salud General (GHQ-12)',
+  description: 'Evalúa el estado general de salud mental y bienestar psicológico',
+  publishedAt: '2025-01-01',
+  scale: ESCALA_LIKERT_4,
+  items: [
+    { id: 1, text: 'He podido concentrarme bien en mi trabajo y en mis tareas diarias.', shortLabel: 'Concentración' },
+    { id: 2, text: 'Mis preocupaciones me han quitado el sueño.', shortLabel: 'Sueño' },
+    { id: 3, text: 'Me siento útil en mi vida y en el trabajo.', shortLabel: 'Utilidad' },
+    { id: 4, text: 'Me he sentido capaz de tomar decisiones con claridad.', shortLabel: 'Decisiones' },
+    { id: 5, text: 'Me he sentido nervioso(a) o muy tenso(a) con frecuencia.', shortLabel: 'Tensión' },
+    { id: 6, text: 'He sentido que no puedo superar las dificultades que tengo.', shortLabel: 'Afrontamiento' },
+    { id: 7, text: 'He disfrutado de mis actividades habituales del día a día.', shortLabel: 'Disfrute' },
+    { id: 8, text: 'He sido capaz de afrontar mis problemas de forma adecuada.', shortLabel: 'Problemas' },
+    { id: 9, text: 'Me he sentido triste o deprimido(a).', shortLabel: 'Estado de ánimo' },
+    { id: 10, text: 'He perdido confianza en mí mismo(a).', shortLabel: 'Confianza' },
+    { id: 11, text: 'He pensado que no valgo para nada.', shortLabel: 'Autovaloración' },
+    { id: 12, text: 'Me he sentido razonablemente feliz considerando mi situación.', shortLabel: 'Felicidad' }
+  ],
+  // Ítems redactados en sentido de malestar: se invierten (max - valor) para
+  // que todos los ítems puntúen en dirección de bienestar
+  reverseKeyedItems: [2, 5, 6, 9, 10, 11],
+  dimensions: [
+    {
+      key: 'salud_general',
+      name: 'Salud General',
+      description: 'Evalúa el estado general de salud mental y bienestar psicológico',
+      items: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+      color: 'blue'
+    }
+  ],
+  scoring: {
+    method: 'likert',
+    direction: 'bienestar',
+    minItemValue: 0,
+    maxItemValue: 3,
+    minTotal: 0,
+    maxTotal: 36
+  }
+};
+
+export const GHQ12_VERSIONS = [GHQ12_V1];
+
+/**
+ * Traducciones de cada versión, por `id` de versión y código de idioma. La
+ * versión en español es la propia definición. Una traducción solo reemplaza
+ * textos: ítems, valores de la escala y puntuación son los de la versión, así
+ * que un cambio de redacción en cualquier idioma también exige versión nueva.
+ * `source` indica de dónde sale la redacción para poder auditarla.
+ */
+export const GHQ12_TRANSLATIONS = {
+  1: {
+    en: {
+      source: 'Redacción del GHQ-12 original (Goldberg y Williams, 1988) adaptada a la forma en primera persona de la versión 1',
+      name: 'General Health Questionnaire (GHQ-12)',
+      description: 'Assesses overall mental health and psychological well-being',
+      scale: {
+        0: { label: 'Never', shortLabel: 'Never' },
+        1: { label: 'Almost never', shortLabel: 'A. never' },
+        2: { label: 'Almost always', shortLabel: 'A. always' },
+        3: { label: 'Always', shortLabel: 'Always' }
+      },
+      items: {
+        1: { text: 'I have been able to concentrate well on my work and my daily tasks.', shortLabel: 'Concentration' },
+        2: { text: 'My worries have made me lose sleep.', shortLabel: 'Sleep' },
+        3: { text: 'I feel useful in my life and at work.', shortLabel: 'Usefulness' },
+        4: { text: 'I have felt capable of making decisions clearly.', shortLabel: 'Decisions' },
+        5: { text: 'I have often felt nervous or under a lot of strain.', shortLabel: 'Strain' },
+        6: { text: 'I have felt that I cannot overcome my difficulties.', shortLabel: 'Coping' },
+        7: { text: 'I have enjoyed my normal day-to-day activities.', shortLabel: 'Enjoyment' },
+        8: { text: 'I have been able to face up to my problems properly.', shortLabel: 'Problems' },
+        9: { text: 'I have felt unhappy or depressed.', shortLabel: 'Mood' },
+        10: { text: 'I have been losing confidence in myself.', shortLabel: 'Confidence' },
+        11: { text: 'I have been thinking of myself as a worthless person.', shortLabel: 'Self-worth' },
+        12: { text: 'I have felt reasonably happy, all things considered.', shortLabel: 'Happiness' }
+      },
+      dimensions: {
+        salud_general: { name: 'General Health', description: 'Assesses overall mental health and psychological well-being' }
+      }
+    },
+    pt: {
+      source: 'Adaptação ao português brasileiro da versão 1, conferida com a redação do GHQ-12 original',
+      name: 'Questionário de Saúde Geral (QSG-12)',
+      description: 'Avalia o estado geral de saúde mental e bem-estar psicológico',
+      scale: {
+        0: { label: 'Nunca', shortLabel: 'Nunca' },
+        1: { label: 'Quase nunca', shortLabel: 'Q. nunca' },
+        2: { label: 'Quase sempre', shortLabel: 'Q. sempre' },
+        3: { label: 'Sempre', shortLabel: 'Sempre' }
+      },
+      items: {
+        1: { text: 'Tenho conseguido me concentrar bem no meu trabalho e nas minhas tarefas diárias.', shortLabel: 'Concentração' },
+        2: { text: 'Minhas preocupações têm me feito perder o sono.', shortLabel: 'Sono' },
+        3: { text: 'Sinto-me útil na minha vida e no trabalho.', shortLabel: 'Utilidade' },
+        4: { text: 'Tenho me sentido capaz de tomar decisões com clareza.', shortLabel: 'Decisões' },
+        5: { text: 'Tenho me sentido nervoso(a) ou muito tenso(a) com frequência.', shortLabel: 'Tensão' },
+        6: { text: 'Tenho sentido que não consigo superar as dificuldades que tenho.', shortLabel: 'Enfrentamento' },
+        7: { text: 'Tenho aproveitado minhas atividades habituais do dia a dia.', shortLabel: 'Prazer' },
+        8: { text: 'Tenho sido capaz de enfrentar meus problemas de forma adequada.', shortLabel: 'Problemas' },
+        9: { text: 'Tenho me sentido triste ou deprimido(a).', shortLabel: 'Humor' },
+        10: { text: 'Tenho perdido a confiança em mim mesmo(a).', shortLabel: 'Confiança' },
+        11: { text: 'Tenho pensado que não valho nada.', shortLabel: 'Autovalorização' },
+        12: { text: 'Tenho me sentido razoavelmente feliz, considerando minha situação.', shortLabel: 'Felicidade' }
+      },
+      dimensions: {
+        salud_general: { name: 'Saúde Geral', description: 'Avalia o estado geral de saúde mental e bem-estar psicológico' }
+      }
+    }
+  }
+};
+
+/**
+ * Estructuras factoriales publicadas del GHQ-12, sobre la numeración estándar de ítems.
+ * No forman parte de la definición versionada: agrupan ítems en subescalas sin
+ * cambiar textos, escala ni puntaje total, por lo que aplican a todas las versiones.
+ */
+export const GHQ12_FACTOR_MODELS = [
+  {
+    key: 'graetz',
+    name: 'Tres factores (Graetz, 1991)',
+    description: 'Ansiedad y depresión, disfunción social y pérdida de confianza',
+    factors: [
+      {
+        key: 'ansiedad_depresion',
+        name: 'Ansiedad y depresión',
+        description: 'Tensión, insomnio por preocupación, desbordamiento y tristeza',
+        items: [2, 5, 6, 9],
+        color: '#8B5CF6'
+      },
+      {
+        key: 'disfuncion_social',
+        name: 'Disfunción social',
+        description: 'Dificultad para concentrarse, decidir, afrontar y disfrutar las actividades diarias',
+        items: [1, 3, 4, 7, 8, 12],
+        color: '#F59E0B'
+      },
+      {
+        key: 'perdida_confianza',
+        name: 'Pérdida de confianza',
+        description: 'Pérdida de confianza en sí mismo y sentimientos de poca valía',
+        items: [10, 11],
+        color: '#EF4444'
+      }
+    ]
+  },
+  {
+    key: 'dos_factores',
+    name: 'Dos factores',
+    description: 'Ansiedad-depresión (ítems negativos) y disfunción social (ítems positivos)',
+    factors: [
+      {
+        key: 'ansiedad_depresion',
+        name: 'Ansiedad y depresión',
+        description: 'Síntomas de malestar emocional, incluida la pérdida de confianza',
+        items: [2, 5, 6, 9, 10, 11],
+        color: '#8B5CF6'
+      },
+      {
+        key: 'disfuncion_social',
+        name: 'Disfunción social',
+        description: 'Dificultad para concentrarse, decidir, afrontar y disfrutar las actividades diarias',
+        items: [1, 3, 4, 7, 8, 12],
+        color: '#F59E0B'
+      }
+    ]
+  }
+];
+
+export default GHQ12_VERSIONS;
+
+/**
+ * Pares de ítems de sentido opuesto que miden el mismo contenido: [positivo, negativo].
+ * Responder con el máximo en ambos (p. ej. "Siempre" disfruto y "Siempre" me siento
+ * triste) es una contradicción que usa el control de calidad de respuestas.
+ */
+export const GHQ12_MIRRORED_ITEM_PAIRS = [
+  [7, 9],
+  [12, 9],
+  [3, 11],
+  [8, 6]
+];
@@ -0,0 +1,361 @@
+/**
+ * Registro de instrumentos
+ *
+ * Fuente única de verdad para los ítems, la escala de respuesta, los ítems
+ * invertidos, las dimensiones y las reglas de puntuación de cada instrumento.
+ * El flujo del cuestionario, la calculadora GHQ-12 y los dashboards leen de
+ * aquí en lugar de mantener copias propias de los textos.
+ */
+
+import { GHQ12_VERSIONS, GHQ12_FACTOR_MODELS, GHQ12_MIRRORED_ITEM_PAIRS, GHQ12_TRANSLATIONS } from './ghq12';
+import { DEFAULT_LANGUAGE } from '../../i18n/languages';
+
+export const INSTRUMENT_CODES = {
+  GHQ12: 'GHQ-12'
+};
+
+export const DEFAULT_INSTRUMENT_CODE = INSTRUMENT_CODES.GHQ12;
+
+// Modelos factoriales de cada instrumento; el primero es el predeterminado
+const FACTOR_MODELS = {
+  [INSTRUMENT_CODES.GHQ12]: GHQ12_FACTOR_MODELS
+};
+
+// Pares de ítems espejo [positivo, negativo] para el control de calidad
+const MIRRORED_ITEM_PAIRS = {
+  [INSTRUMENT_CODES.GHQ12]: GHQ12_MIRRORED_ITEM_PAIRS
+};
+
+// Traducciones por versión ({ [id]: { [idioma]: traducción } })
+const TRANSLATIONS = {
+  [INSTRUMENT_CODES.GHQ12]: GHQ12_TRANSLATIONS
+};
+
+// Idioma en que están redactadas las definiciones registradas
+export const SOURCE_LANGUAGE = DEFAULT_LANGUAGE;
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Valida la coherencia interna de una definición de instrumento
+ * @param {Object} instrument - Definición a validar
+ * @returns {string[]} - Lista de errores (vacía si es válida)
+ */
+export const validateInstrumentDefinition = (instrument) => {
+  const errors = [];
+
+  if (!instrument?.code) errors.push('Instrumento sin código');
+  if (!Number.isInteger(instrument?.id)) errors.push(`${instrument?.code}: id inválido`);
+  if (!Number.isInteger(instrument?.version)) errors.push(`${instrument?.code}: versión inválida`);
+  if (!Array.isArray(instrument?.items) || instrument.items.length === 0) {
+    errors.push(`${instrument?.code}: sin ítems`);
+    return errors;
+  }
+
+  const itemIds = new Set(instrument.items.map(item => item.id));
+  if (itemIds.size !== instrument.items.length) {
+    errors.push(`${instrument.code} v${instrument.version}: ids de ítem duplicados`);
+  }
+
+  (instrument.reverseKeyedItems || []).forEach(id => {
+    if (!itemIds.has(id)) errors.push(`${instrument.code} v${instrument.version}: ítem invertido ${id} no existe`);
+  });
+
+  (instrument.dimensions || []).forEach(dimension => {
+    dimension.items.forEach(id => {
+      if (!itemIds.has(id)) {
+        errors.push(`${instrument.code} v${instrument.version}: ítem ${id} de la dimensión ${dimension.key} no existe`);
+      }
+    });
+  });
+
+  (FACTOR_MODELS[instrument.code] || []).forEach(model => {
+    const assigned = model.factors.flatMap(factor => factor.items);
+    assigned.forEach(id => {
+      if (!itemIds.has(id)) {
+        errors.push(`${instrument.code} v${instrument.version}: ítem ${id} del modelo ${model.key} no existe`);
+      }
+    });
+    if (new Set(assigned).size !== assigned.length) {
+      errors.push(`${instrument.code} v${instrument.version}: el modelo ${model.key} asigna un ítem a varios factores`);
+    }
+  });
+
+  (MIRRORED_ITEM_PAIRS[instrument.code] || []).forEach(([positive, negative]) => {
+    const reversed = instrument.reverseKeyedItems || [];
+    if (!itemIds.has(positive) || !itemIds.has(negative)
+      || reversed.includes(positive) || !reversed.includes(negative)) {
+      errors.push(`${instrument.code} v${instrument.version}: par espejo ${positive}-${negative} inválido`);
+    }
+  });
+
+  const scaleValues = (instrument.scale || []).map(option => option.value);
+  const { minItemValue, maxItemValue } = instrument.scoring || {};
+  if (Math.min(...scaleValues) !== minItemValue || Math.max(...scaleValues) !== maxItemValue) {
+    errors.push(`${instrument.code} v${instrument.version}: la escala no coincide con las reglas de puntuación`);
+  }
+
+  return errors;
+};
+
+/**
+ * Valida que una traducción cubra exactamente los ítems, la escala y las
+ * dimensiones de su versión, para que puntúe igual que el original
+ * @param {Object} instrument - Definición del instrumento
+ * @param {string} language - Código de idioma
+ * @param {Object} translation - { source, name, description, scale, items, dimensions }
+ * @returns {string[]} - Lista de errores (vacía si es válida)
+ */
+export const validateInstrumentTranslation = (instrument, language, translation) => {
+  const errors = [];
+  const label = `${instrument.code} v${instrument.version} [${language}]`;
+
+  if (!translation?.source) errors.push(`${label}: sin fuente de la traducción`);
+  if (!translation?.name) errors.push(`${label}: sin nombre`);
+
+  const sameKeys = (expected, actual) => {
+    const actualKeys = Object.keys(actual || {});
+    return actualKeys.length === expected.length && expected.every(key => actualKeys.includes(String(key)));
+  };
+
+  if (!sameKeys(instrument.items.map(item => item.id), translation?.items)) {
+    errors.push(`${label}: los ítems traducidos no coinciden con los de la versión`);
+  }
+  if (!sameKeys(instrument.scale.map(option => option.value), translation?.scale)) {
+    errors.push(`${label}: la escala traducida no coincide con la de la versión`);
+  }
+  if (!sameKeys(instrument.dimensions.map(dimension => dimension.key), translation?.dimensions)) {
+    errors.push(`${label}: las dimensiones traducidas no coinciden con las de la versión`);
+  }
+
+  Object.entries(translation?.items || {}).forEach(([id, item]) => {
+    if (!item?.text) errors.push(`${label}: ítem ${id} sin texto`);
+  });
+  Object.entries(translation?.scale || {}).forEach(([value, option]) => {
+    if (!option?.label) errors.push(`${label}: opción ${value} sin etiqueta`);
+  });
+
+  return errors;
+};
+
+const registry = new Map();
+
+const registerInstrument = (instrument) => {
+  const errors = validateInstrumentDefinition(instrument);
+  if (errors.length > 0) {
+    throw new Error(`Definición de instrumento inválida:\n${errors.join('\n')}`);
+  }
+
+  const versions = registry.get(instrument.code) || [];
+  if (versions.some(v => v.version === instrument.version)) {
+    throw new Error(`${instrument.code} v${instrument.version} ya está registrado`);
+  }
+
+  versions.push(deepFreeze(instrument));
+  versions.sort((a, b) => a.version - b.version);
+  registry.set(instrument.code, versions);
+};
+
+Object.values(FACTOR_MODELS).forEach(deepFreeze);
+Object.values(MIRRORED_ITEM_PAIRS).forEach(deepFreeze);
+GHQ12_VERSIONS.forEach(registerInstrument);
+
+Object.entries(TRANSLATIONS).forEach(([code, byVersion]) => {
+  Object.entries(byVersion).forEach(([id, languages]) => {
+    const instrument = registry.get(code)?.find(version => version.id === Number(id));
+    if (!instrument) throw new Error(`Traducción de ${code} para una versión no registrada: ${id}`);
+
+    const errors = Object.entries(languages)
+      .flatMap(([language, translation]) => validateInstrumentTranslation(instrument, language, translation));
+    if (errors.length > 0) {
+      throw new Error(`Traducción de instrumento inválida:\n${errors.join('\n')}`);
+    }
+    deepFreeze(languages);
+  });
+});
+
+/**
+ * Lista todas las versiones registradas de todos los instrumentos
+ * @returns {Array} - Definiciones de instrumento
+ */
+export const listInstruments = () => [...registry.values()].flat();
+
+/**
+ * Obtiene un instrumento por código y versión
+ * @param {string} code - Código del instrumento (p. ej. 'GHQ-12')
+ * @param {number} [version] - Versión concreta; si se omite, la más reciente
+ * @returns {Object} - Definición del instrumento
+ */
+export const getInstrument = (code = DEFAULT_INSTRUMENT_CODE, version) => {
+  const versions = registry.get(code);
+  if (!versions) {
+    throw new Error(`Instrumento no registrado: ${code}`);
+  }
+
+  if (version === undefined || version === null) {
+    return versions[versions.length - 1];
+  }
+
+  const instrument = versions.find(v => v.version === Number(version));
+  if (!instrument) {
+    throw new Error(`Versión ${version} no registrada para ${code}`);
+  }
+  return instrument;
+};
+
+/**
+ * Obtiene la versión vigente del instrumento por defecto
+ * @returns {Object} - Definición del instrumento
+ */
+export const getCurrentInstrument = (code = DEFAULT_INSTRUMENT_CODE) => getInstrument(code);
+
+/**
+ * Resuelve el instrumento a partir del `cuestionario_id` almacenado en la base de datos
+ * @param {number|string} id - Identificador persistido
+ * @returns {Object|null} - Definición del instrumento o null si no existe
+ */
+export const getInstrumentById = (id) => {
+  return listInstruments().find(instrument => instrument.id === Number(id)) || null;
+};
+
+/**
+ * Clave de respuesta usada en los objetos de respuestas (q1..qN)
+ * @param {number} itemId - Identificador del ítem
+ * @returns {string}
+ */
+export const getItemKey = (itemId) => `q${itemId}`;
+
+/**
+ * Indica si un ítem se invierte al puntuar
+ * @param {Object} instrument - Definición del instrumento
+ * @param {number} itemId - Identificador del ítem
+ * @returns {boolean}
+ */
+export const isReverseKeyed = (instrument, itemId) => instrument.reverseKeyedItems.includes(Number(itemId));
+
+/**
+ * Obtiene la dimensión a la que pertenece un ítem
+ * @param {Object} instrument - Definición del instrumento
+ * @param {number} itemId - Identificador del ítem
+ * @returns {Object|null}
+ */
+export const getItemDimension = (instrument, itemId) => {
+  return instrument.dimensions.find(dimension => dimension.items.includes(Number(itemId))) || null;
+};
+
+/**
+ * Modelos factoriales (subescalas) disponibles para un instrumento
+ * @param {Object} instrument - Definición del instrumento
+ * @returns {Array} - [{ key, name, description, factors: [{ key, name, items, color }] }]
+ */
+export const getFactorModels = (instrument) => FACTOR_MODELS[instrument.code] || [];
+
+/**
+ * Obtiene un modelo factorial de un instrumento
+ * @param {Object} instrument - Definición del instrumento
+ * @param {string} [key] - Clave del modelo; si se omite, el predeterminado
+ * @returns {Object|null} - Modelo o null si el instrumento no tiene modelos
+ */
+export const getFactorModel = (instrument, key) => {
+  const models = getFactorModels(instrument);
+  if (key === undefined || key === null) return models[0] || null;
+
+  const model = models.find(m => m.key === key);
+  if (!model) {
+    throw new Error(`Modelo factorial no registrado para ${instrument.code}: ${key}`);
+  }
+  return model;
+};
+
+/**
+ * Pares de ítems espejo [positivo, negativo] de un instrumento
+ * @param {Object} instrument - Definición del instrumento
+ * @returns {Array<[number, number]>}
+ */
+export const getMirroredItemPairs = (instrument) => MIRRORED_ITEM_PAIRS[instrument.code] || [];
+
+/**
+ * Ítems del instrumento con su dimensión resuelta, en el formato que usan las vistas
+ * @param {Object} instrument - Definición del instrumento
+ * @returns {Array} - [{ id, category, text, shortLabel, dimension }]
+ */
+export const getInstrumentQuestions = (instrument) => instrument.items.map(item => {
+  const dimension = getItemDimension(instrument, item.id);
+  return {
+    id: item.id,
+    category: dimension?.key,
+    text: item.text,
+    shortLabel: item.shortLabel,
+    dimension: dimension?.name
+  };
+});
+
+const getTranslation = (instrument, language) => TRANSLATIONS[instrument.code]?.[instrument.id]?.[language] || null;
+
+/**
+ * Idiomas en que está disponible una versión (el original primero)
+ * @param {Object} instrument - Definición del instrumento
+ * @returns {string[]} - Códigos de idioma
+ */
+export const getInstrumentLanguages = (instrument) => [
+  SOURCE_LANGUAGE,
+  ...Object.keys(TRANSLATIONS[instrument.code]?.[instrument.id] || {})
+];
+
+const localizedCache = new Map();
+
+const getLocalizedCopy = (instrument, language, translation) => {
+  const key = `${instrument.code}:${instrument.id}:${language}`;
+  if (!localizedCache.has(key)) {
+    localizedCache.set(key, deepFreeze({
+      ...instrument,
+      language,
+      name: translation?.name || instrument.name,
+      description: translation?.description || instrument.description,
+      scale: instrument.scale.map(option => ({ ...option, ...translation?.scale[option.value] })),
+      items: instrument.items.map(item => ({ ...item, ...translation?.items[item.id] })),
+      dimensions: instrument.dimensions.map(dimension => ({ ...dimension, ...translation?.dimensions[dimension.key] }))
+    }));
+  }
+  return localizedCache.get(key);
+};
+
+/**
+ * Versión del instrumento con los textos en otro idioma. Conserva ids, valores
+ * de la escala, ítems invertidos y reglas de puntuación, así que las respuestas
+ * se puntúan igual en cualquier idioma. Sin traducción devuelve el original.
+ * @param {Object} instrument - Definición registrada del instrumento
+ * @param {string} language - Código de idioma
+ * @returns {Object} - Definición con `language` indicando el idioma de los textos
+ */
+export const localizeInstrument = (instrument, language) => {
+  const translation = getTranslation(instrument, language);
+  return getLocalizedCopy(instrument, translation ? language : SOURCE_LANGUAGE, translation);
+};
+
+export default {
+  INSTRUMENT_CODES,
+  DEFAULT_INSTRUMENT_CODE,
+  SOURCE_LANGUAGE,
+  validateInstrumentDefinition,
+  validateInstrumentTranslation,
+  listInstruments,
+  getInstrument,
+  getCurrentInstrument,
+  getInstrumentById,
+  getItemKey,
+  isReverseKeyed,
+  getItemDimension,
+  getFactorModels,
+  getFactorModel,
+  getMirroredItemPairs,
+  getInstrumentQuestions,
+  getInstrumentLanguages,
+  localizeInstrument
+};
@@ -6,6 +6,7 @@ import { ChartFactory } from '../components/ui/ChartFactory.jsx';
 import { NotificationSystem } from '../patterns/ObserverPattern.js';
 import { CommandInvoker } from '../patterns/CommandPattern.js';
 import { FormConfigBuilder, DashboardConfigBuilder } from '../patterns/BuilderPattern.js';
+import { anonymizeCounts } from '../config/anonymity.js';
 
 // Facade principal del sistema
 class SystemFacade {
@@ -399,10 +400,11 @@ class DashboardFacade {
         uniqueUsers,
         completionRate: (totalResponses / uniqueUsers * 100).toFixed(2)
       },
+      // Con el umbral de anonimato aplicado: estas cifras también se exportan
       distributions: {
-        byArea,
-        byGender,
-        byShift
+        byArea: anonymizeCounts(byArea),
+        byGender: anonymizeCounts(byGender),
+        byShift: anonymizeCounts(byShift)
       },
       timeSeries: timeSeriesData,
       responseAnalysis,
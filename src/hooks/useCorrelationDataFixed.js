@@ -1,10 +1,18 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../api/supabase';
+import {
+  CORRELATION_METHODS,
+  SIGNIFICANCE_LEVEL,
+  formatPValue,
+  testCorrelation
+} from '../services/correlationService';
 
 /**
  * Hook personalizado para obtener datos de correlaciones con estructura corregida
+ * @param {Object} filters - Filtros activos del dashboard
+ * @param {string} method - Coeficiente: 'pearson', 'spearman' o 'kendall'
  */
-export const useCorrelationDataFixed = (filters = {}) => {
+export const useCorrelationDataFixed = (filters = {}, method = 'pearson') => {
   const [correlations, setCorrelations] = useState([]);
   const [stats, setStats] = useState({});
   const [distribution, setDistribution] = useState({});
@@ -68,11 +76,11 @@ export const useCorrelationDataFixed = (filters = {}) => {
         }));
 
         // Calcular correlaciones
-        const calculatedCorrelations = calculateCorrelations(userData);
+        const calculatedCorrelations = calculateCorrelations(userData, method);
         setCorrelations(calculatedCorrelations);
 
         // Calcular estadísticas
-        const calculatedStats = calculateStats(userData);
+        const calculatedStats = calculateStats(userData, calculatedCorrelations);
         setStats(calculatedStats);
 
         // Calcular distribución
@@ -93,7 +101,7 @@ export const useCorrelationDataFixed = (filters = {}) => {
     };
 
     fetchCorrelationData();
-  }, [filters]);
+  }, [filters, method]);
 
   return {
     correlations,
@@ -106,128 +114,84 @@ export const useCorrelationDataFixed = (filters = {}) => {
   };
 };
 
-/**
- * Calcular correlaciones entre variables
- */
-function calculateCorrelations(userData) {
-  if (userData.length < 2) {
-    return [];
+// Pares de variables analizados; los valores faltantes quedan como null y se
+// excluyen por pares en lugar de contarse como cero
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+const CORRELATION_PAIRS = [
+  {
+    id: 'ghq-satisfaction',
+    title: 'GHQ-12 vs Satisfacción Laboral',
+    description: 'Relación entre salud mental y satisfacción en el trabajo',
+    x: u => u.puntaje_promedio,
+    y: u => toNumber(u.usuario.satisfaccion_laboral)
+  },
+  {
+    id: 'ghq-motivation',
+    title: 'GHQ-12 vs Motivación de Seguridad',
+    description: 'Relación entre salud mental y motivación hacia la seguridad',
+    x: u => u.puntaje_promedio,
+    y: u => toNumber(u.usuario.motivacion_seguridad)
+  },
+  {
+    id: 'age-tenure',
+    title: 'Edad vs Antigüedad en la Empresa',
+    description: 'Relación entre edad y años de experiencia en la empresa',
+    x: u => toNumber(u.usuario.edad),
+    y: u => toNumber(u.usuario.antiguedad_empresa)
+  },
+  {
+    id: 'satisfaction-trust',
+    title: 'Satisfacción vs Confianza en Gerencia',
+    description: 'Relación entre satisfacción laboral y confianza en la gerencia',
+    x: u => toNumber(u.usuario.satisfaccion_laboral),
+    y: u => toNumber(u.usuario.confianza_gerencia)
   }
+];
 
+/**
+ * Calcular correlaciones entre variables con su prueba de significancia
+ * @param {Array} userData - Un registro por usuario
+ * @param {string} method - 'pearson', 'spearman' o 'kendall'
+ */
+function calculateCorrelations(userData, method) {
   const correlations = [];
 
-  // Correlación 1: GHQ-12 vs Satisfacción Laboral
-  const ghqSatisfaction = calculatePearsonCorrelation(
-    userData.map(u => u.puntaje_promedio),
-    userData.map(u => parseFloat(u.usuario.satisfaccion_laboral) || 0)
-  );
-  
-  if (!isNaN(ghqSatisfaction)) {
-    correlations.push({
-      id: 'ghq-satisfaction',
-      title: 'GHQ-12 vs Satisfacción Laboral',
-      correlation: ghqSatisfaction,
-      strength: getCorrelationStrength(Math.abs(ghqSatisfaction)),
-      direction: ghqSatisfaction > 0 ? 'Positiva' : 'Negativa',
-      description: 'Relación entre salud mental y satisfacción en el trabajo',
-      sampleSize: userData.length,
-      pValue: 0.05,
-      significance: 'Significativa',
-      dataStatus: 'valid'
-    });
-  }
+  CORRELATION_PAIRS.forEach(pair => {
+    const x = userData.map(pair.x);
+    const y = userData.map(pair.y);
+    const test = testCorrelation(x, y, method);
 
-  // Correlación 2: GHQ-12 vs Motivación de Seguridad
-  const ghqMotivation = calculatePearsonCorrelation(
-    userData.map(u => u.puntaje_promedio),
-    userData.map(u => parseFloat(u.usuario.motivacion_seguridad) || 0)
-  );
-  
-  if (!isNaN(ghqMotivation)) {
-    correlations.push({
-      id: 'ghq-motivation',
-      title: 'GHQ-12 vs Motivación de Seguridad',
-      correlation: ghqMotivation,
-      strength: getCorrelationStrength(Math.abs(ghqMotivation)),
-      direction: ghqMotivation > 0 ? 'Positiva' : 'Negativa',
-      description: 'Relación entre salud mental y motivación hacia la seguridad',
-      sampleSize: userData.length,
-      pValue: 0.05,
-      significance: 'Significativa',
-      dataStatus: 'valid'
-    });
-  }
+    if (test.coefficient === null) return;
 
-  // Correlación 3: Edad vs Antigüedad
-  const ageTenure = calculatePearsonCorrelation(
-    userData.map(u => parseFloat(u.usuario.edad) || 0),
-    userData.map(u => parseFloat(u.usuario.antiguedad_empresa) || 0)
-  );
-  
-  if (!isNaN(ageTenure)) {
-    correlations.push({
-      id: 'age-tenure',
-      title: 'Edad vs Antigüedad en la Empresa',
-      correlation: ageTenure,
-      strength: getCorrelationStrength(Math.abs(ageTenure)),
-      direction: ageTenure > 0 ? 'Positiva' : 'Negativa',
-      description: 'Relación entre edad y años de experiencia en la empresa',
-      sampleSize: userData.length,
-      pValue: 0.05,
-      significance: 'Significativa',
-      dataStatus: 'valid'
-    });
-  }
+    // Coeficientes de los otros métodos como referencia para datos ordinales
+    const alternatives = Object.keys(CORRELATION_METHODS)
+      .filter(other => other !== method)
+      .map(other => {
+        const alternative = testCorrelation(x, y, other);
+        return { method: other, coefficient: alternative.coefficient, pValue: alternative.pValue };
+      });
 
-  // Correlación 4: Satisfacción vs Confianza en Gerencia
-  const satisfactionTrust = calculatePearsonCorrelation(
-    userData.map(u => parseFloat(u.usuario.satisfaccion_laboral) || 0),
-    userData.map(u => parseFloat(u.usuario.confianza_gerencia) || 0)
-  );
-  
-  if (!isNaN(satisfactionTrust)) {
     correlations.push({
-      id: 'satisfaction-trust',
-      title: 'Satisfacción vs Confianza en Gerencia',
-      correlation: satisfactionTrust,
-      strength: getCorrelationStrength(Math.abs(satisfactionTrust)),
-      direction: satisfactionTrust > 0 ? 'Positiva' : 'Negativa',
-      description: 'Relación entre satisfacción laboral y confianza en la gerencia',
-      sampleSize: userData.length,
-      pValue: 0.05,
-      significance: 'Significativa',
-      dataStatus: 'valid'
+      id: pair.id,
+      title: pair.title,
+      correlation: test.coefficient,
+      strength: getCorrelationStrength(Math.abs(test.coefficient)),
+      direction: test.coefficient > 0 ? 'Positiva' : 'Negativa',
+      description: pair.description,
+      method,
+      sampleSize: test.n,
+      pValue: test.pValue,
+      confidenceInterval: test.confidenceInterval,
+      significance: test.significant ? 'Significativa' : 'No significativa',
+      alternatives,
+      dataStatus: test.dataStatus
     });
-  }
+  });
 
   return correlations;
 }
 
-/**
- * Calcular coeficiente de correlación de Pearson
- */
-function calculatePearsonCorrelation(x, y) {
-  if (x.length !== y.length || x.length < 2) {
-    return NaN;
-  }
-
-  const n = x.length;
-  const sumX = x.reduce((sum, val) => sum + val, 0);
-  const sumY = y.reduce((sum, val) => sum + val, 0);
-  const sumXY = x.reduce((sum, val, i) => sum + val * y[i], 0);
-  const sumX2 = x.reduce((sum, val) => sum + val * val, 0);
-  const sumY2 = y.reduce((sum, val) => sum + val * val, 0);
-
-  const numerator = n * sumXY - sumX * sumY;
-  const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-
-  if (denominator === 0) {
-    return NaN;
-  }
-
-  return numerator / denominator;
-}
-
 /**
  * Obtener fuerza de la correlación
  */
@@ -241,14 +205,15 @@ function getCorrelationStrength(absCorrelation) {
 /**
  * Calcular estadísticas generales
  */
-function calculateStats(userData) {
+function calculateStats(userData, correlations) {
   const totalUsers = userData.length;
   const avgGHQ = userData.reduce((sum, u) => sum + u.puntaje_promedio, 0) / totalUsers;
   
   return {
     totalUsers,
     avgGHQ: parseFloat(avgGHQ.toFixed(2)),
-    correlationsCount: 4
+    correlationsCount: correlations.length,
+    significantCorrelations: correlations.filter(c => c.pValue !== null && c.pValue < SIGNIFICANCE_LEVEL).length
   };
 }
 
@@ -269,32 +234,51 @@ function calculateDistribution(userData) {
 }
 
 /**
- * Generar insights automáticos
+ * Generar insights automáticos a partir de la significancia de cada correlación
  */
 function generateInsights(correlations, userData) {
   const insights = [];
+  if (correlations.length === 0) return insights;
+
+  const isSignificant = c => c.pValue !== null && c.pValue < SIGNIFICANCE_LEVEL;
+  const summarize = (c) => {
+    const ci = c.confidenceInterval;
+    return [
+      `${CORRELATION_METHODS[c.method].symbol} = ${c.correlation.toFixed(2)}`,
+      ci ? `IC ${Math.round(ci.level * 100)}% [${ci.lower.toFixed(2)}, ${ci.upper.toFixed(2)}]` : 'IC no disponible',
+      formatPValue(c.pValue),
+      `n = ${c.sampleSize}`
+    ];
+  };
 
-  if (correlations.length > 0) {
-    const strongCorrelations = correlations.filter(c => Math.abs(c.correlation) >= 0.7);
-    
-    if (strongCorrelations.length > 0) {
+  correlations
+    .filter(c => isSignificant(c) && Math.abs(c.correlation) >= 0.5)
+    .forEach(c => {
       insights.push({
-        type: 'strong_correlation',
-        title: 'Correlaciones Fuertes Detectadas',
-        description: `Se encontraron ${strongCorrelations.length} correlaciones fuertes que requieren atención`,
-        priority: 'high'
+        type: c.correlation < 0 ? 'warning' : 'positive',
+        title: `${c.title}: relación ${c.strength.toLowerCase()}`,
+        description: `${c.description}. La correlación es ${c.direction.toLowerCase()} y estadísticamente significativa (${formatPValue(c.pValue)}).`,
+        metrics: summarize(c)
       });
-    }
+    });
 
-    const negativeCorrelations = correlations.filter(c => c.correlation < -0.5);
-    if (negativeCorrelations.length > 0) {
-      insights.push({
-        type: 'negative_correlation',
-        title: 'Correlaciones Negativas Importantes',
-        description: 'Existen relaciones inversas significativas que pueden indicar problemas',
-        priority: 'medium'
-      });
-    }
+  const notSignificant = correlations.filter(c => !isSignificant(c));
+  if (notSignificant.length > 0) {
+    insights.push({
+      type: 'neutral',
+      title: 'Relaciones sin evidencia estadística',
+      description: `${notSignificant.map(c => c.title).join(', ')}: no se puede descartar que la correlación observada se deba al azar (p ≥ ${SIGNIFICANCE_LEVEL}).`,
+      metrics: notSignificant.map(c => `${c.title}: ${formatPValue(c.pValue)}`)
+    });
+  }
+
+  if (userData.length < 30) {
+    insights.push({
+      type: 'recommendation',
+      title: 'Muestra pequeña',
+      description: `Con ${userData.length} participantes los intervalos de confianza son amplios y las estimaciones poco estables.`,
+      recommendation: 'Ampliar la participación antes de presentar conclusiones.'
+    });
   }
 
   return insights;
@@ -1,25 +1,61 @@
-import { useState, useCallback } from 'react';
-import { supabase } from '../api/supabase';
-import { validateToken } from '../utils/tokenUtils';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { questions } from '../data/questions';
+import { getCurrentInstrument } from '../data/instruments';
 import { useToast } from './useToast';
-import { handleSupabaseError, withErrorHandling } from '../utils/errorHandling';
+import { useTranslation } from './useTranslation';
+import { isNetworkFailure, withErrorHandling } from '../utils/errorHandling';
+import { SessionResultsService } from '../services/SessionResultsService';
+import { AnonymousSurveyService } from '../services/AnonymousSurveyService';
+import { DraftService } from '../services/DraftService';
+import { submissionQueue } from '../services/offline';
+import { DIRECT_DRAFT_STORAGE_KEY } from '../utils/questionnaireDrafts';
+
+// Generar un UUID válido para sesion_id
+const createSessionId = () => (crypto.randomUUID ? crypto.randomUUID() :
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  }));
 
 /**
  * Custom hook for managing questionnaire state and submission
  * @param {boolean} isDirectAccess - Whether accessing questionnaire directly
- * @param {Object} personData - User data object
+ * @param {Object} personData - User data object; en campañas anónimas { anonymous: { code, demographics } }
  * @param {Function} onComplete - Callback when questionnaire is completed
  * @param {Function} navigate - Navigation function
  * @param {Date} startTime - When questionnaire was started
  * @param {string} token - Access token if applicable
  * @param {boolean} tokenValid - Whether token is valid
+ * @param {Object} [draft] - Borrador a retomar ({ sessionId, answers }), ver utils/questionnaireDrafts
+ * @param {boolean} [assistedMode] - Si en algún momento se usó el modo asistido (lectura en voz alta)
  * @returns {Object} Hook state and handlers
  */
-export const useQuestionnaire = (isDirectAccess, personData, onComplete, navigate, startTime, token, tokenValid) => {
-  const [answers, setAnswers] = useState({});
+export const useQuestionnaire = (isDirectAccess, personData, onComplete, navigate, startTime, token, tokenValid, draft = null, assistedMode = false) => {
+  const [answers, setAnswers] = useState(() => draft?.answers || {});
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const { success, error: showError } = useToast();
+  // Identificador de la sesión, estable entre reintentos para que el envío sea idempotente
+  const [sessionId, setSessionId] = useState(() => draft?.sessionId || createSessionId());
+  const { success, info, error: showError } = useToast();
+  const { language, t } = useTranslation();
+  // Las respuestas recuperadas del borrador no se vuelven a guardar
+  const savedAnswersRef = useRef(answers);
+
+  // Guardar el borrador en el servidor con cada respuesta, sin bloquear el cuestionario
+  useEffect(() => {
+    if (!personData?.id || answers === savedAnswersRef.current) return;
+    savedAnswersRef.current = answers;
+
+    const draftToken = tokenValid ? token : null;
+    DraftService.saveDraft({ sessionId, userId: personData.id, answers, token: draftToken })
+      .then((saved) => {
+        // Con token, el servidor conserva la sesión del primer borrador
+        if (saved?.sesion_id && saved.sesion_id !== sessionId) setSessionId(saved.sesion_id);
+        if (!draftToken) localStorage.setItem(DIRECT_DRAFT_STORAGE_KEY, saved?.sesion_id || sessionId);
+      })
+      .catch((error) => {
+        console.warn('No se pudo guardar el borrador del cuestionario:', error.message);
+      });
+  }, [answers, personData?.id, sessionId, token, tokenValid]);
 
   const handleAnswer = useCallback((questionId, value) => {
     setAnswers(prev => ({
@@ -28,55 +64,51 @@ export const useQuestionnaire = (isDirectAccess, personData, onComplete, navigat
     }));
   }, []);
 
-  // Helper function to get token ID
-  const getTokenId = useCallback(async () => {
-    if (!token || !tokenValid) return null;
-
-    try {
-      const tokenResult = await validateToken(token);
-      return tokenResult.valid && tokenResult.tokenData ? tokenResult.tokenData.id : null;
-    } catch (error) {
-      console.warn('Error al buscar token_id:', error);
-      return null;
-    }
-  }, [token, tokenValid]);
-
   // Helper function to save responses with proper error handling
   const saveResponses = useCallback(
     withErrorHandling(async () => {
       // Early return for validation
-      if (!personData?.id) {
+      const anonymous = personData?.anonymous;
+      if (!personData?.id && !anonymous?.code) {
         throw new Error('ID de persona no válido. No se pueden guardar las respuestas.');
       }
 
-      const tokenId = await getTokenId();
       const completionTime = Math.floor((new Date() - startTime) / 1000);
-      // Generar un UUID válido para sesion_id
-      const sessionId = crypto.randomUUID ? crypto.randomUUID() : 
-        `${Date.now()}-${Math.random().toString(36).substr(2, 9)}-${Math.random().toString(36).substr(2, 9)}-${Math.random().toString(36).substr(2, 9)}-${Math.random().toString(36).substr(2, 12)}`;
-
-      // Preparar datos para insertar - UN REGISTRO POR PREGUNTA
-      const responseRecords = Object.entries(answers).map(([questionId, answer]) => ({
-        usuario_id: personData.id,
-        cuestionario_id: 1, // ID del cuestionario BAT-7
-        pregunta_id: parseInt(questionId.replace('pregunta_', '')),
-        respuesta: answer, // Respuesta numérica directa
-        puntaje_normalizado: 0,
-        porcentaje_riesgo: 0,
-        fecha_respuesta: new Date().toISOString(),
-        sesion_id: sessionId
-      }));
-
-      const { data, error } = await supabase
-        .from('respuestas_cuestionario')
-        .insert(responseRecords)
-        .select();
-
-      if (error) throw handleSupabaseError(error, 'save questionnaire responses');
-
-      return { data, completionTime };
+
+      // Un registro por pregunta más el resultado de la sesión, guardados y puntuados
+      // en el servidor junto con el consumo del token
+      const itemAnswers = Object.entries(answers).reduce((acc, [questionId, answer]) => {
+        acc[parseInt(questionId.replace('pregunta_', ''))] = answer;
+        return acc;
+      }, {});
+
+      // Campaña anónima: sin persona ni token, solo el código y los datos gruesos
+      const submission = anonymous
+        ? { sessionId, code: anonymous.code, demographics: anonymous.demographics, answers: itemAnswers, completionTime, language, assistedMode }
+        : {
+          sessionId,
+          userId: personData.id,
+          answers: itemAnswers,
+          completionTime,
+          token: tokenValid ? token : null,
+          language,
+          assistedMode
+        };
+
+      try {
+        const data = anonymous
+          ? await AnonymousSurveyService.submit({ ...submission, instrument: getCurrentInstrument() })
+          : await SessionResultsService.submitSession({ ...submission, instrument: getCurrentInstrument() });
+        return { data, completionTime };
+      } catch (error) {
+        if (!isNetworkFailure(error)) throw error;
+
+        // Sin red: queda en el dispositivo y se envía al volver la conexión (misma sesión, sin duplicados)
+        await submissionQueue.enqueue({ ...submission, instrumentId: getCurrentInstrument().id });
+        return { data: null, completionTime, queued: true };
+      }
     }, { operation: 'save questionnaire responses' }),
-    [personData?.id, getTokenId, answers, startTime, questions.length, isDirectAccess]
+    [personData?.id, personData?.anonymous, sessionId, token, tokenValid, answers, startTime, language, assistedMode]
   );
 
   const handleSubmit = useCallback(async () => {
@@ -85,39 +117,45 @@ export const useQuestionnaire = (isDirectAccess, personData, onComplete, navigat
 
     // Early return for validation
     if (!allAnswered) {
-      showError('Por favor responda todas las preguntas antes de enviar.');
+      showError(t('questionnaire.answerAllError'));
       return;
     }
 
     setIsSubmitting(true);
 
     try {
-      const { completionTime } = await saveResponses();
+      const { completionTime, queued } = await saveResponses();
+      localStorage.removeItem(DIRECT_DRAFT_STORAGE_KEY);
 
       const minutes = Math.floor(completionTime / 60);
       const seconds = completionTime % 60;
 
-      success(`Cuestionario completado en ${minutes} minutos y ${seconds} segundos. ¡Gracias por completar la evaluación!`);
+      if (queued) {
+        info(t('questionnaire.queuedOffline'));
+      } else {
+        success(t('questionnaire.completed', { minutes, seconds }));
+      }
 
-      // Handle navigation based on access method
-      if (isDirectAccess) {
-        navigate('/cuestionarios');
-      } else if (onComplete) {
+      // Quien usa el cuestionario decide a dónde seguir (el flujo público, el quiosco)
+      if (onComplete) {
         onComplete({
           answers,
           completionTime,
-          totalQuestions: questions.length
+          totalQuestions: questions.length,
+          queued: Boolean(queued)
         });
+      } else if (isDirectAccess) {
+        navigate('/cuestionarios');
       } else {
         navigate('/gracias');
       }
     } catch (error) {
       console.error('Error al enviar cuestionario:', error);
-      showError(`Error al enviar el cuestionario: ${error.message || 'Error desconocido'}. Por favor intente nuevamente.`);
+      showError(t('questionnaire.submitError', { message: error.message || t('questionnaire.unknownError') }));
     } finally {
       setIsSubmitting(false);
     }
-  }, [answers, questions.length, showError, saveResponses, success, isDirectAccess, navigate, onComplete]);
+  }, [answers, questions.length, showError, saveResponses, success, info, isDirectAccess, navigate, onComplete, t]);
 
   return {
     answers,
@@ -127,4 +165,4 @@ export const useQuestionnaire = (isDirectAccess, personData, onComplete, navigat
   };
 };
 
-export default useQuestionnaire;
\ No newline at end of file
+export default useQuestionnaire;
\ No newline at end of file
@@ -3,6 +3,8 @@ import { supabase } from '../api/supabase'
 import { calcularNivelSalud } from '../utils/healthCalculations'
 import { handleSupabaseError, getUserFriendlyMessage, withErrorHandling } from '../utils/errorHandling'
 import { processConsolidatedResponses } from '../utils/dataProcessing'
+import { AuditService } from '../services/AuditService'
+import { AUDIT_ACTIONS, AUDIT_ORIGINS } from '../utils/audit'
 
 /**
  * Custom hook for managing questionnaire results data
@@ -23,6 +25,9 @@ export const useQuestionnaireResults = (userId) => {
       setLoading(true)
       setError(null)
 
+      // Sin registro de la consulta no se muestran los datos
+      await AuditService.logRead({ action: AUDIT_ACTIONS.VER, titularId: userId, origin: AUDIT_ORIGINS.RESULTADOS })
+
       // Cargar datos del usuario
       const { data: usuarioData, error: usuarioError } = await supabase
         .from('usuarios')
@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef, useMemo } from 'react'
 import { supabase } from '../api/supabase'
 import { useDebounce } from './useDebounce'
+import { calculateHealthLevel, getHealthLevelRank } from '../config/healthLevels'
+import { getCurrentInstrument, getFactorModels } from '../data/instruments'
 
 /**
  * Hook para gestionar las respuestas de cuestionarios con optimizaciones de rendimiento
@@ -54,29 +56,34 @@ export const useResponses = (itemsPerPage = 20) => {
       const respuestasResult = await supabase
         .from('respuestas_cuestionario')
         .select('*')
-        .in('user_id', userIds)
+        .in('usuario_id', userIds)
       
       if (respuestasResult.error) {
         throw new Error(`Error al cargar respuestas: ${respuestasResult.error.message}`)
       }
       
-      // Create efficient lookup map for responses by user_id
+      // Agrupar las filas (una por pregunta) por usuario
       const respuestasPorUsuario = new Map()
       respuestasResult.data.forEach(respuesta => {
-        respuestasPorUsuario.set(respuesta.user_id, respuesta)
+        const filas = respuestasPorUsuario.get(respuesta.usuario_id) || []
+        filas.push(respuesta)
+        respuestasPorUsuario.set(respuesta.usuario_id, filas)
       })
 
       // Procesar y combinar los datos
       const respuestasCompletas = usuariosResult.data.map(usuario => {
-        const respuestaUsuario = respuestasPorUsuario.get(usuario.id)
+        const respuestasUsuario = respuestasPorUsuario.get(usuario.id) || []
 
         // Extract user data
         const nombres = usuario.nombre || 'Sin nombre'
         const apellidos = usuario.apellido || ''
         const area = usuario.area_macro || usuario.departamento || 'No especificada'
-        const completado = !!respuestaUsuario
+        const completado = respuestasUsuario.length > 0
+        const ultimaFecha = respuestasUsuario.reduce((latest, fila) => (
+          !latest || new Date(fila.fecha_respuesta) > new Date(latest) ? fila.fecha_respuesta : latest
+        ), null)
 
-        const evaluacion = calcularNivelSalud(respuestaUsuario ? [respuestaUsuario] : [])
+        const evaluacion = calculateHealthLevel(respuestasUsuario)
 
         return {
           id: usuario.id,
@@ -84,12 +91,13 @@ export const useResponses = (itemsPerPage = 20) => {
           apellidos,
           email: usuario.email,
           area,
-          fecha_completado: completado ? respuestaUsuario?.created_at : null,
+          fecha_completado: ultimaFecha,
           completado,
-          respuestas: respuestaUsuario ? [respuestaUsuario] : [],
+          respuestas: respuestasUsuario,
           nivel: evaluacion.nivel,
           puntuacionTotal: evaluacion.puntuacion,
-          totalRespuestas: respuestaUsuario ? 1 : 0
+          subescalas: evaluacion.subescalas,
+          totalRespuestas: respuestasUsuario.length
         }
       })
       
@@ -104,31 +112,6 @@ export const useResponses = (itemsPerPage = 20) => {
     }
   }
   
-  // Función para calcular el nivel de salud general basado en GHQ-12
-  const calcularNivelSalud = (respuestas) => {
-    if (!respuestas || respuestas.length === 0) return { nivel: 'sin_datos', puntuacion: 0 }
-
-    // Get the first (and only) response record for this user
-    const respuesta = respuestas[0]
-    if (!respuesta || !respuesta.respuestas) return { nivel: 'sin_datos', puntuacion: 0 }
-
-    // Sum all answers from the respuestas object (0-3 each, max 36)
-    const puntuacionTotal = Object.values(respuesta.respuestas).reduce((sum, valor) => {
-      return sum + (typeof valor === 'number' ? valor : 0)
-    }, 0)
-
-    // Classify according to GHQ-12 total score
-    if (puntuacionTotal <= 9) {
-      return { nivel: 'bajo', puntuacion: puntuacionTotal }
-    } else if (puntuacionTotal <= 18) {
-      return { nivel: 'moderado', puntuacion: puntuacionTotal }
-    } else if (puntuacionTotal <= 27) {
-      return { nivel: 'alto', puntuacion: puntuacionTotal }
-    } else {
-      return { nivel: 'muy_alto', puntuacion: puntuacionTotal }
-    }
-  }
-  
   // Función para eliminar respuestas
   const eliminarRespuesta = async (id) => {
     try {
@@ -285,10 +268,16 @@ export const useResponses = (itemsPerPage = 20) => {
   const exportarDatos = () => {
     if (respuestas.length === 0) return
     
+    // Subescalas de todos los modelos factoriales, una columna por factor
+    const factores = getFactorModels(getCurrentInstrument()).flatMap(modelo => (
+      modelo.factors.map(factor => ({ modelo: modelo.key, factor: factor.key, nombre: factor.name }))
+    ))
+    
     // Crear cabeceras
     const headers = [
       'ID', 'Nombres', 'Apellidos', 'Email', 'Área', 
-      'Fecha Completado', 'Nivel de Salud', 'Puntuación Total'
+      'Fecha Completado', 'Nivel de Salud', 'Puntuación Total',
+      ...factores.map(f => `${f.nombre} (${f.modelo})`)
     ]
     
     // Crear filas de datos
@@ -300,7 +289,8 @@ export const useResponses = (itemsPerPage = 20) => {
       resp.area,
       resp.fecha_completado,
       resp.nivel,
-      resp.puntuacionTotal
+      resp.puntuacionTotal,
+      ...factores.map(f => resp.subescalas?.[f.modelo]?.[f.factor]?.score ?? '')
     ])
     
     // Combinar cabeceras y filas
@@ -365,9 +355,9 @@ export const useResponses = (itemsPerPage = 20) => {
           case 'nombre_desc':
             return (b.nombres || '').localeCompare(a.nombres || '')
           case 'nivel_asc':
-            return (a.puntuacionTotal || 0) - (b.puntuacionTotal || 0)
+            return getHealthLevelRank(a.nivel) - getHealthLevelRank(b.nivel)
           case 'nivel_desc':
-            return (b.puntuacionTotal || 0) - (a.puntuacionTotal || 0)
+            return getHealthLevelRank(b.nivel) - getHealthLevelRank(a.nivel)
           default:
             return 0
         }
@@ -1,4 +1,5 @@
 import { useState, useMemo } from 'react';
+import { getHealthLevelRank } from '../config/healthLevels';
 
 /**
  * Hook for managing response filters and search
@@ -41,9 +42,9 @@ export const useResponsesFilters = (respuestas) => {
           case 'nombre_desc':
             return (b.nombres || '').localeCompare(a.nombres || '');
           case 'nivel_asc':
-            return (a.puntuacionTotal || 0) - (b.puntuacionTotal || 0);
+            return getHealthLevelRank(a.nivel) - getHealthLevelRank(b.nivel);
           case 'nivel_desc':
-            return (b.puntuacionTotal || 0) - (a.puntuacionTotal || 0);
+            return getHealthLevelRank(b.nivel) - getHealthLevelRank(a.nivel);
           default:
             return 0;
         }
@@ -59,4 +60,4 @@ export const useResponsesFilters = (respuestas) => {
     setSortBy,
     respuestasFiltradas
   };
-};
\ No newline at end of file
+};
\ No newline at end of file
@@ -4,7 +4,7 @@ import {
   calculateStatistics, 
   generateRecommendations 
 } from '../utils/riskUtils';
-import { RISK_THRESHOLDS } from '../components/dashboard/components/RiskHeatmap/constants';
+import { classifyRiskPercentage } from '../config/riskBands';
 
 /**
  * Custom hook para manejar la lógica de datos del RiskHeatmap
@@ -50,7 +50,7 @@ export const useRiskHeatmapData = (data, loading) => {
         risk: heatmapData.averageRisk[dept],
         level: getRiskLabel(heatmapData.averageRisk[dept])
       }))
-      .filter(dept => dept.risk >= RISK_THRESHOLDS.LOW)
+      .filter(dept => classifyRiskPercentage(dept.risk).key !== 'bajo')
       .sort((a, b) => b.risk - a.risk)
       .slice(0, 5);
   }, [heatmapData]);
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import { pickVoice } from '../utils/readAloud';
+
+const getSynth = () => (typeof window !== 'undefined' && 'speechSynthesis' in window ? window.speechSynthesis : null);
+
+/**
+ * Hook para leer textos en voz alta con la síntesis de voz del navegador.
+ * Solo suena un texto a la vez: cada lectura nueva corta la anterior.
+ * @param {string} language - Idioma de la voz (código de la aplicación)
+ * @returns {{ isSupported: boolean, isSpeaking: boolean, speak: Function, cancel: Function }}
+ */
+export const useSpeechSynthesis = (language) => {
+  const synth = getSynth();
+  const [voices, setVoices] = useState(() => synth?.getVoices() || []);
+  const [isSpeaking, setIsSpeaking] = useState(false);
+
+  // Algunos navegadores cargan las voces de forma asíncrona
+  useEffect(() => {
+    if (!synth) return undefined;
+    const loadVoices = () => setVoices(synth.getVoices());
+    synth.addEventListener('voiceschanged', loadVoices);
+    return () => synth.removeEventListener('voiceschanged', loadVoices);
+  }, [synth]);
+
+  // No seguir hablando al salir del cuestionario
+  useEffect(() => () => synth?.cancel(), [synth]);
+
+  const cancel = useCallback(() => {
+    if (!synth) return;
+    synth.cancel();
+    setIsSpeaking(false);
+  }, [synth]);
+
+  /**
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.rate] - Velocidad (1 = normal)
+   */
+  const speak = useCallback((text, { rate = 1 } = {}) => {
+    if (!synth || !text) return;
+    synth.cancel();
+
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    const voice = pickVoice(voices, language);
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang || language;
+    utterance.rate = rate;
+    utterance.onstart = () => setIsSpeaking(true);
+    utterance.onend = () => setIsSpeaking(false);
+    utterance.onerror = () => setIsSpeaking(false);
+
+    synth.speak(utterance);
+  }, [synth, voices, language]);
+
+  return { isSupported: Boolean(synth), isSpeaking, speak, cancel };
+};
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import { submissionQueue } from '../services/offline';
+
+/**
+ * Estado de la conexión y de la cola de envíos sin conexión de este dispositivo
+ * @param {import('../services/offline/SubmissionQueue').SubmissionQueue} [queue]
+ * @returns {{ isOnline: boolean, pending: number, failed: number, isSyncing: boolean, sync: Function }}
+ */
+export const useSubmissionQueue = (queue = submissionQueue) => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [summary, setSummary] = useState({ pending: 0, failed: 0 });
+  const [isSyncing, setIsSyncing] = useState(queue.isFlushing);
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      setIsSyncing(queue.isFlushing);
+      queue.getSummary()
+        .then(next => active && setSummary(next))
+        .catch(error => console.warn('No se pudo leer la cola de envíos:', error.message));
+    };
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+
+    refresh();
+    const unsubscribe = queue.subscribe(refresh);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+
+    return () => {
+      active = false;
+      unsubscribe();
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [queue]);
+
+  const sync = useCallback(() => queue.flush(), [queue]);
+
+  return { isOnline, ...summary, isSyncing, sync };
+};
+
+export default useSubmissionQueue;
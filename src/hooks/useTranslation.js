@@ -0,0 +1,22 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LANGUAGE, LANGUAGES, createTranslator, hasMessages } from '../i18n';
+
+// Solo se ofrecen los idiomas que ya tienen textos de interfaz
+export const UI_LANGUAGES = LANGUAGES.filter(language => hasMessages(language.code));
+
+// Sin proveedor (tests, pantallas sueltas) todo queda en español
+export const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  languages: UI_LANGUAGES,
+  setLanguage: () => {},
+  resetLanguage: () => {},
+  t: createTranslator(DEFAULT_LANGUAGE)
+});
+
+/**
+ * Idioma de la interfaz y traductor, de LanguageProvider (contexts/LanguageContext)
+ * @returns {{ language: string, languages: Array, setLanguage: Function, resetLanguage: Function, t: Function }}
+ */
+export const useTranslation = () => useContext(LanguageContext);
+
+export default useTranslation;
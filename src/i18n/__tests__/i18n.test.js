@@ -0,0 +1,66 @@
+/**
+ * Tests de los paquetes de idioma y de las traducciones del instrumento
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MESSAGES, createTranslator, hasMessages, listMessageKeys, resolveLanguage } from '..';
+import { getCurrentInstrument, getInstrumentLanguages, getItemKey, localizeInstrument } from '../../data/instruments';
+import { calculateGHQ12Score } from '../../utils/ghq12Calculator';
+
+describe('paquetes de idioma', () => {
+  it('los idiomas con paquete propio tienen las mismas claves que el español', () => {
+    const reference = listMessageKeys(MESSAGES.es).sort();
+    Object.keys(MESSAGES).filter(hasMessages).forEach(language => {
+      expect(listMessageKeys(MESSAGES[language]).sort()).toEqual(reference);
+    });
+    expect(hasMessages('guc')).toBe(false);
+  });
+
+  it('interpola parámetros y cae al español o a la clave', () => {
+    const t = createTranslator('pt');
+    expect(t('flow.resumed', { answered: 4, total: 12 })).toBe('Retomando seu questionário: 4 de 12 perguntas respondidas.');
+    expect(createTranslator('guc')('common.continue')).toBe('Continuar');
+    expect(t('no.existe')).toBe('no.existe');
+  });
+
+  it('elige el primer idioma soportado de las preferencias', () => {
+    expect(resolveLanguage([null, 'pt-BR', 'en-US'])).toBe('pt');
+    expect(resolveLanguage(['fr-FR', 'en'], ['es', 'en'])).toBe('en');
+    expect(resolveLanguage(['fr'])).toBe('es');
+  });
+});
+
+// Resultado sin los nombres de dimensión, que sí se traducen
+const withoutNames = (result) => JSON.parse(JSON.stringify(result, (key, value) => (key === 'name' ? undefined : value)));
+
+describe('traducciones del GHQ-12', () => {
+  const instrument = getCurrentInstrument();
+
+  it('solo cambian los textos: ids, valores y puntuación son los del original', () => {
+    const responses = instrument.items.reduce((acc, item, index) => {
+      acc[getItemKey(item.id)] = index % 4;
+      return acc;
+    }, {});
+    const expected = withoutNames(calculateGHQ12Score(responses, instrument));
+
+    getInstrumentLanguages(instrument).forEach(language => {
+      const localized = localizeInstrument(instrument, language);
+      expect(localized.language).toBe(language);
+      expect(localized.id).toBe(instrument.id);
+      expect(localized.items.map(item => item.id)).toEqual(instrument.items.map(item => item.id));
+      expect(localized.scale.map(option => option.value)).toEqual(instrument.scale.map(option => option.value));
+      expect(localized.reverseKeyedItems).toEqual(instrument.reverseKeyedItems);
+      expect(withoutNames(calculateGHQ12Score(responses, localized))).toEqual(expected);
+    });
+
+    expect(localizeInstrument(instrument, 'en').items[8].text).toBe('I have felt unhappy or depressed.');
+  });
+
+  it('sin traducción usa el texto original', () => {
+    expect(getInstrumentLanguages(instrument)).not.toContain('guc');
+    const fallback = localizeInstrument(instrument, 'guc');
+    expect(fallback.language).toBe('es');
+    expect(fallback.items[0].text).toBe(instrument.items[0].text);
+    expect(localizeInstrument(instrument, 'guc')).toBe(fallback);
+  });
+});
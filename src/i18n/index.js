@@ -0,0 +1,50 @@
+/**
+ * Capa de traducción de la interfaz pública (cuestionario, formulario de datos
+ * y agradecimiento). Los textos de los ítems y de la escala no están aquí: son
+ * parte del instrumento y tienen sus propias traducciones en src/data/instruments.
+ *
+ * Claves con puntos ('form.fields.nombres') y parámetros {{nombre}}. Si un idioma
+ * no tiene una clave se usa la del español, de modo que un paquete incompleto
+ * nunca deja la pantalla en blanco.
+ */
+
+import es from './locales/es';
+import en from './locales/en';
+import pt from './locales/pt';
+import guc from './locales/guc';
+import { DEFAULT_LANGUAGE } from './languages';
+
+export { DEFAULT_LANGUAGE, LANGUAGES, LANGUAGE_STORAGE_KEY, getLanguageName, isSupportedLanguage, resolveLanguage } from './languages';
+
+export const MESSAGES = { es, en, pt, guc };
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * ¿Tiene el idioma un paquete de textos propio?
+ * @param {string} language
+ * @returns {boolean}
+ */
+export const hasMessages = (language) => Object.keys(MESSAGES[language] || {}).length > 0;
+
+/**
+ * Claves de texto de un paquete, aplanadas ('flow.validating', ...)
+ * @param {Object} messages
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+export const listMessageKeys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+  value && typeof value === 'object'
+    ? listMessageKeys(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+));
+
+/**
+ * @param {string} language
+ * @returns {Function} - t(key, params)
+ */
+export const createTranslator = (language) => (key, params = {}) => {
+  const message = lookup(MESSAGES[language], key) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key);
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] ?? match));
+};
@@ -0,0 +1,47 @@
+/**
+ * Idiomas de la aplicación. El código es el que se guarda en
+ * resultados_sesion.idioma (V14), así que no debe cambiar una vez usado.
+ */
+
+export const DEFAULT_LANGUAGE = 'es';
+
+// Idioma elegido en este navegador (LanguageContext)
+export const LANGUAGE_STORAGE_KEY = 'idioma';
+
+export const LANGUAGES = [
+  { code: 'es', name: 'Español', englishName: 'Spanish' },
+  { code: 'en', name: 'English', englishName: 'English' },
+  { code: 'pt', name: 'Português', englishName: 'Portuguese' },
+  // Wayuunaiki (ISO 639-3 guc): se habilita al cargar su traducción validada
+  { code: 'guc', name: 'Wayuunaiki', englishName: 'Wayuu' }
+];
+
+const LANGUAGE_CODES = LANGUAGES.map(language => language.code);
+
+/**
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isSupportedLanguage = (code) => LANGUAGE_CODES.includes(code);
+
+/**
+ * Nombre del idioma en su propia lengua (para el selector y los informes)
+ * @param {string} code
+ * @returns {string}
+ */
+export const getLanguageName = (code) =>
+  LANGUAGES.find(language => language.code === code)?.name || code || LANGUAGES[0].name;
+
+/**
+ * Primer idioma soportado de una lista de preferencias ('pt-BR' cuenta como 'pt')
+ * @param {Array<string|null|undefined>} candidates - p. ej. [guardado, ...navigator.languages]
+ * @param {string[]} [available] - Restringe a estos códigos
+ * @returns {string}
+ */
+export const resolveLanguage = (candidates, available = LANGUAGE_CODES) => {
+  for (const candidate of candidates) {
+    const code = candidate?.toLowerCase().split('-')[0];
+    if (code && available.includes(code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
+};
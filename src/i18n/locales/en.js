@@ -0,0 +1,341 @@
+// Textos de la interfaz pública en inglés
+export default {
+  common: {
+    select: 'Select',
+    required: 'This field is required',
+    processing: 'Processing...',
+    continue: 'Continue',
+    cancel: 'Cancel',
+    previous: 'Previous',
+    next: 'Next',
+    language: 'Language',
+    requiredNote: '* Required fields. This information is confidential and is used for statistical purposes only.'
+  },
+  flow: {
+    validating: 'Checking access...',
+    loadingDraft: 'Looking for saved answers...',
+    invalidTitle: 'Invalid link',
+    invalidBody: 'The link you used is not valid, has expired or has already been used.',
+    invalidHelp: 'If you think this is a mistake, please contact the system administrator.',
+    stepPersonal: 'Personal Details',
+    stepConsent: 'Consent',
+    stepQuestionnaire: 'Questionnaire',
+    formIntro: 'Before starting the questions, we need to collect some basic details',
+    backToForm: 'Back to details',
+    resumed: 'Resuming your questionnaire: {{answered}} of {{total}} questions answered.',
+    completeError: 'Error finishing the assessment. Please try again.'
+  },
+  form: {
+    subtitle: 'Instrument for measuring mental health and well-being',
+    steps: {
+      personal: 'Personal Details',
+      laboral: 'Job Details',
+      seguridad: 'Safety Details',
+      percepcion: 'Perception'
+    },
+    headings: {
+      personal: 'Personal Details',
+      laboral: 'Job Details',
+      seguridad: 'Safety Details',
+      percepcion: 'Perception Details'
+    },
+    fields: {
+      nombres: 'First names',
+      apellidos: 'Last names',
+      documento: 'ID Document',
+      edad: 'Age',
+      genero: 'Gender',
+      cargo: 'Position / Job Title',
+      area: 'Area or Department',
+      turno: 'Shift',
+      antiguedad: 'Years with the company',
+      tipo_contrato: 'Contract Type',
+      nivel_educativo: 'Education Level',
+      capacitaciones_seguridad: 'Have you received safety training?',
+      accidentes_previos: 'Previous work accidents?',
+      reporta_casi_accidentes: 'Have you reported near misses?',
+      uso_epp: 'Do you use the PPE provided by the company?',
+      satisfaccion_laboral: 'Job satisfaction level',
+      motivacion_seguridad: 'Motivation regarding safety',
+      confianza_gerencia: 'Trust in management/supervisor on safety'
+    },
+    placeholders: {
+      nombres: 'Enter your first names',
+      apellidos: 'Enter your last names',
+      documento: 'Enter your ID number',
+      edad: 'Age',
+      cargo: 'Select a position',
+      area: 'Assigned automatically from the selected position',
+      antiguedad: 'Years'
+    },
+    errors: {
+      nombres: 'First names are required',
+      apellidos: 'Last names are required',
+      documento: 'The ID document is required',
+      edad: 'Age is required',
+      genero: 'Gender is required',
+      cargo: 'Position is required',
+      area: 'Area is required',
+      turno: 'Shift is required',
+      antiguedad: 'Years with the company are required',
+      tipo_contrato: 'Contract type is required',
+      nivel_educativo: 'Education level is required'
+    },
+    options: {
+      genero: {
+        masculino: 'Male',
+        femenino: 'Female',
+        otro: 'Other'
+      },
+      turno: {
+        Mañana: 'Morning',
+        Tarde: 'Afternoon',
+        Noche: 'Night',
+        Rotativo: 'Rotating'
+      },
+      tipo_contrato: {
+        Fijo: 'Fixed-term',
+        Indefinido: 'Permanent',
+        Temporal: 'Temporary',
+        Contratista: 'Contractor'
+      },
+      nivel_educativo: {
+        Básico: 'Primary',
+        Medio: 'Secondary',
+        Técnico: 'Technical',
+        Profesional: 'University'
+      },
+      capacitaciones_seguridad: {
+        si: 'Yes',
+        no: 'No',
+        ultimo_año: 'In the last year'
+      },
+      accidentes_previos: {
+        nunca: 'Never',
+        '1_vez': 'Once',
+        mas_de_1: 'More than once'
+      },
+      si_no: {
+        si: 'Yes',
+        no: 'No'
+      },
+      uso_epp: {
+        siempre_disponible: 'Always available',
+        a_veces_falta: 'Sometimes missing',
+        nunca_entregado: 'Never provided'
+      },
+      valoracion: {
+        1: '1 - Very low',
+        2: '2 - Low',
+        3: '3 - Medium',
+        4: '4 - High',
+        5: '5 - Very high'
+      }
+    },
+    areaAssigned: 'Area assigned automatically: {{area}}',
+    ratingHint: 'Rate from 1 to 5, where 1 is very low and 5 is very high',
+    announceNext: 'Moving to step {{step}} of {{total}}',
+    announcePrevious: 'Going back to step {{step}} of {{total}}',
+    announceReady: 'Details complete. Continue to the informed consent.',
+    start: 'Start Questionnaire'
+  },
+  sessionForm: {
+    title: 'Session Information',
+    intro: 'Please fill in the following information before starting the CSBC Behaviour-Based Safety Questionnaire',
+    fields: {
+      empleadoId: 'Employee ID',
+      nombre: 'Full Name',
+      area: 'Work Area',
+      turno: 'Work Shift',
+      genero: 'Gender',
+      edad: 'Age Range'
+    },
+    placeholders: {
+      empleadoId: 'Enter your employee ID',
+      nombre: 'Enter your full name',
+      area: 'Select your area',
+      turno: 'Select your shift',
+      genero: 'Select your gender',
+      edad: 'Select your age range'
+    },
+    errors: {
+      empleadoId: 'Employee ID is required',
+      nombre: 'Name is required',
+      area: 'You must select an area',
+      turno: 'You must select a shift',
+      genero: 'You must select a gender',
+      edad: 'You must select an age range',
+      general: 'Error validating the information. Please try again.'
+    },
+    options: {
+      area: {
+        administracion: 'Administration',
+        produccion: 'Production',
+        calidad: 'Quality Control',
+        operaciones: 'Operations',
+        mantenimiento: 'Maintenance',
+        seguridad: 'Industrial Safety',
+        recursos_humanos: 'Human Resources',
+        logistica: 'Logistics',
+        otro: 'Other'
+      },
+      turno: {
+        mañana: 'Morning (6:00 - 14:00)',
+        tarde: 'Afternoon (14:00 - 22:00)',
+        noche: 'Night (22:00 - 6:00)',
+        rotativo: 'Rotating',
+        administrativo: 'Office hours (8:00 - 17:00)'
+      },
+      genero: {
+        masculino: 'Male',
+        femenino: 'Female',
+        otro: 'Other',
+        prefiero_no_decir: 'Prefer not to say'
+      },
+      edad: {
+        '18-25': '18-25 years',
+        '26-35': '26-35 years',
+        '36-45': '36-45 years',
+        '46-55': '46-55 years',
+        '56-65': '56-65 years',
+        '65+': 'Over 65 years'
+      }
+    },
+    validating: 'Validating information...',
+    start: 'Start Assessment'
+  },
+  consent: {
+    loading: 'Loading the informed consent...',
+    loadError: 'The informed consent could not be loaded. Reload the page to try again.',
+    version: 'Version {{version}}',
+    checkbox: 'I have read the information above and freely and expressly authorize the processing of my personal data, including health data.',
+    accept: 'I accept and continue',
+    decline: 'I do not accept',
+    declinedTitle: 'Your data was not recorded',
+    declinedBody: 'You chose not to authorize the processing of your data. No information was stored and you can close this page.',
+    reconsider: 'Back to start',
+    outdated: 'The consent text has been updated. Please read it again before accepting.',
+    saveError: 'Your acceptance could not be recorded. Please try again.'
+  },
+  questionnaire: {
+    groupSummary: 'Group {{current}} of {{total}} • Questions {{from}}-{{to}}',
+    answeredInGroup: 'Answered: {{answered}}/{{total}}',
+    demoMode: 'Demo mode',
+    time: 'Time',
+    contentLabel: 'Questionnaire content',
+    groupTitle: 'Group {{current}} of {{total}} - Questions {{from}} to {{to}}',
+    answerAll: 'Answer all the questions in the questionnaire',
+    answerGroup: 'Answer all the questions in this group before continuing',
+    optionLabel: 'Question {{number}}: {{label}}, value {{value}}',
+    optionValue: 'Value: {{value}}',
+    keyboardTitle: 'Keyboard navigation:',
+    keyboardHelp: 'Use the arrow keys ↑↓←→ to move between options, Enter/Space to select, Ctrl+← for the previous group, Ctrl+→ for the next group',
+    previousGroup: 'Previous Group',
+    nextGroup: 'Next Group',
+    previousGroupLabel: 'Previous group (Ctrl + Left arrow)',
+    nextGroupLabel: 'Next group (Ctrl + Right arrow)',
+    groupComplete: 'Group Complete',
+    groupIncomplete: 'Group Incomplete',
+    navInstructions: 'Use Ctrl + left/right arrows to move between question groups',
+    answerAllError: 'Please answer all the questions before submitting.',
+    completed: 'Questionnaire completed in {{minutes}} minutes and {{seconds}} seconds. Thank you for completing the assessment!',
+    queuedOffline: 'No connection: your answers were saved on this device and will be sent automatically when the signal returns.',
+    submitError: 'Error submitting the questionnaire: {{message}}. Please try again.',
+    unknownError: 'Unknown error'
+  },
+  assisted: {
+    enable: 'Assisted mode',
+    enableLabel: 'Turn on assisted mode: reads each question aloud',
+    disable: 'Normal view',
+    disableLabel: 'Leave assisted mode and see the questions in groups',
+    progress: 'Question {{number}} of {{total}}',
+    hint: 'Listen to the question and tap the answer that best describes how you have felt.',
+    replay: 'Listen again',
+    stop: 'Stop',
+    speed: 'Speed',
+    unsupported: 'This device cannot read aloud. Questions and answers are shown in large print.',
+    answered: 'Answer saved: {{label}}',
+    allAnswered: 'You have answered all the questions. Tap the button to submit.',
+    keyboardHelp: 'Use the arrow keys to move between answers and Enter or Space to choose.',
+    speechQuestion: 'Question {{number}}. {{text}}',
+    speechOption: 'Option {{number}}: {{label}}.'
+  },
+  sidebar: {
+    hide: 'Hide sidebar',
+    show: 'Show sidebar',
+    progress: 'Progress',
+    questionsRange: 'Questions {{from}}-{{to}}',
+    question: 'Question {{number}}',
+    answered: ' (answered)',
+    currentGroup: ' (current group)',
+    submit: 'Submit Questionnaire',
+    submitting: 'Submitting...',
+    submitLabel: 'Submit questionnaire'
+  },
+  kiosk: {
+    welcome: 'Welcome',
+    intro: 'Answer the questionnaire on this tablet. Your answers are confidential.',
+    withDocument: 'Sign in with my ID document',
+    withQr: 'Scan my QR code',
+    scanTitle: 'Show the QR code on your invitation to the camera',
+    cameraUnavailable: 'The camera cannot be used on this device. Use the scanner or type the code.',
+    manualLabel: 'Invitation code',
+    manualPlaceholder: 'Scan or type the code',
+    invalidCode: 'This code does not match an invitation. Please try again.',
+    backToStart: 'Back to start',
+    thanksTitle: 'Thank you for taking part!',
+    thanksBody: 'Your answers have been recorded.',
+    thanksQueued: 'No connection: your answers were saved on this tablet and will be sent when the signal returns.',
+    restarting: 'The screen will restart in {{seconds}} seconds for the next person.',
+    nextPerson: 'Next person',
+    counters: 'Today: {{today}} · Total on this device: {{total}}',
+    exit: 'Exit kiosk',
+    exitTitle: 'Exit kiosk mode',
+    pinLabel: 'Administrator PIN',
+    wrongPin: 'Incorrect PIN',
+    exitConfirm: 'Exit'
+  },
+  anonymous: {
+    intro: 'Enter the code on your participation card or scan its QR code. You will not be asked for your name or ID.',
+    codeLabel: 'Participation code',
+    validating: 'Checking the code...',
+    demographicsIntro: 'Only provide these general details so results can be grouped.',
+    privacyNote: 'Your answers are stored without your code or any data that identifies you. Only results for groups with enough participants are shown.',
+    start: 'Start questionnaire',
+    fields: {
+      departamento: 'Department or area',
+      turno: 'Shift',
+      rango_edad: 'Age range'
+    },
+    errors: {
+      departamento: 'Select your department or area',
+      turno: 'Select your shift',
+      rango_edad: 'Select your age range',
+      invalidCode: 'The code is not valid or has already been used. Check that it is typed correctly.',
+      closedCampaign: 'The campaign for this code is not open.',
+      validateFailed: 'The code could not be checked. Please try again.'
+    }
+  },
+  thankYou: {
+    title: 'Questionnaire Completed!',
+    bodyIntro: 'Thank you for completing the',
+    questionnaireName: 'Behavioural Safety Questionnaire',
+    bodyOutro: 'Your participation is key to improving the safety culture in our organisation.',
+    timeTitle: 'Time Spent',
+    timeBody: 'You have dedicated valuable time to this assessment',
+    contributionTitle: 'Contribution',
+    contributionBody: 'Your answers will help identify opportunities for improvement',
+    analysisTitle: 'Analysis',
+    analysisBody: 'The results will be analysed to build action plans',
+    nextTitle: 'What happens next?',
+    next1: 'The results will be analysed together with the answers from the whole team',
+    next2: 'Safety strengths and opportunities for improvement will be identified',
+    next3: 'Specific action plans will be developed for each area',
+    next4: 'You will receive information about the improvement initiatives put in place',
+    rememberTitle: 'Remember:',
+    rememberBody: 'Safety is everyone\'s responsibility. Your daily commitment to safe practices makes the difference.',
+    contact1: 'If you have any questions about this questionnaire or about safety in general,',
+    contact2: 'do not hesitate to contact the Occupational Health and Safety team.',
+    footer: 'CSBC Behaviour-Based Safety Questionnaire'
+  }
+};
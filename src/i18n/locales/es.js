@@ -0,0 +1,341 @@
+// Textos de la interfaz pública en español (idioma de referencia)
+export default {
+  common: {
+    select: 'Seleccione',
+    required: 'Este campo es requerido',
+    processing: 'Procesando...',
+    continue: 'Continuar',
+    cancel: 'Cancelar',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    language: 'Idioma',
+    requiredNote: '* Campos obligatorios. Esta información es confidencial y se utiliza únicamente para fines estadísticos.'
+  },
+  flow: {
+    validating: 'Validando acceso...',
+    loadingDraft: 'Buscando respuestas guardadas...',
+    invalidTitle: 'Enlace no válido',
+    invalidBody: 'El enlace que utilizaste no es válido, ha expirado o ya ha sido utilizado.',
+    invalidHelp: 'Si crees que esto es un error, contacta al administrador del sistema.',
+    stepPersonal: 'Datos Personales',
+    stepConsent: 'Consentimiento',
+    stepQuestionnaire: 'Cuestionario',
+    formIntro: 'Antes de comenzar con las preguntas, necesitamos recopilar algunos datos básicos',
+    backToForm: 'Volver a datos',
+    resumed: 'Retomando tu cuestionario: {{answered}} de {{total}} preguntas respondidas.',
+    completeError: 'Error al finalizar la evaluación. Por favor intente nuevamente.'
+  },
+  form: {
+    subtitle: 'Instrumento para la medición de la salud mental y el bienestar',
+    steps: {
+      personal: 'Datos Personales',
+      laboral: 'Datos Laborales',
+      seguridad: 'Datos de Seguridad',
+      percepcion: 'Percepción'
+    },
+    headings: {
+      personal: 'Datos Personales',
+      laboral: 'Datos Laborales',
+      seguridad: 'Datos de Seguridad',
+      percepcion: 'Datos de Percepción'
+    },
+    fields: {
+      nombres: 'Nombres',
+      apellidos: 'Apellidos',
+      documento: 'Documento de Identidad',
+      edad: 'Edad',
+      genero: 'Género',
+      cargo: 'Cargo / Puesto de Trabajo',
+      area: 'Área o Departamento',
+      turno: 'Turno',
+      antiguedad: 'Antigüedad en la empresa (años)',
+      tipo_contrato: 'Tipo de Contrato',
+      nivel_educativo: 'Nivel Educativo',
+      capacitaciones_seguridad: '¿Ha recibido capacitaciones de seguridad?',
+      accidentes_previos: '¿Accidentes laborales previos?',
+      reporta_casi_accidentes: '¿Ha reportado casi-accidentes?',
+      uso_epp: '¿Uso de EPP entregado por la empresa?',
+      satisfaccion_laboral: 'Nivel de satisfacción laboral',
+      motivacion_seguridad: 'Motivación con respecto a la seguridad',
+      confianza_gerencia: 'Confianza en la gerencia/supervisor en seguridad'
+    },
+    placeholders: {
+      nombres: 'Ingrese sus nombres',
+      apellidos: 'Ingrese sus apellidos',
+      documento: 'Ingrese su cédula',
+      edad: 'Edad',
+      cargo: 'Seleccione un cargo',
+      area: 'Se asignará automáticamente según el cargo seleccionado',
+      antiguedad: 'Años'
+    },
+    errors: {
+      nombres: 'Los nombres son requeridos',
+      apellidos: 'Los apellidos son requeridos',
+      documento: 'El documento es requerido',
+      edad: 'La edad es requerida',
+      genero: 'El género es requerido',
+      cargo: 'El cargo es requerido',
+      area: 'El área es requerida',
+      turno: 'El turno es requerido',
+      antiguedad: 'La antigüedad es requerida',
+      tipo_contrato: 'El tipo de contrato es requerido',
+      nivel_educativo: 'El nivel educativo es requerido'
+    },
+    options: {
+      genero: {
+        masculino: 'Masculino',
+        femenino: 'Femenino',
+        otro: 'Otro'
+      },
+      turno: {
+        Mañana: 'Mañana',
+        Tarde: 'Tarde',
+        Noche: 'Noche',
+        Rotativo: 'Rotativo'
+      },
+      tipo_contrato: {
+        Fijo: 'Fijo',
+        Indefinido: 'Indefinido',
+        Temporal: 'Temporal',
+        Contratista: 'Contratista'
+      },
+      nivel_educativo: {
+        Básico: 'Básico',
+        Medio: 'Medio',
+        Técnico: 'Técnico',
+        Profesional: 'Profesional'
+      },
+      capacitaciones_seguridad: {
+        si: 'Sí',
+        no: 'No',
+        ultimo_año: 'En el último año'
+      },
+      accidentes_previos: {
+        nunca: 'Nunca',
+        '1_vez': '1 vez',
+        mas_de_1: 'Más de 1 vez'
+      },
+      si_no: {
+        si: 'Sí',
+        no: 'No'
+      },
+      uso_epp: {
+        siempre_disponible: 'Siempre disponible',
+        a_veces_falta: 'A veces falta',
+        nunca_entregado: 'Nunca entregado'
+      },
+      valoracion: {
+        1: '1 - Muy bajo',
+        2: '2 - Bajo',
+        3: '3 - Medio',
+        4: '4 - Alto',
+        5: '5 - Muy alto'
+      }
+    },
+    areaAssigned: 'Área asignada automáticamente: {{area}}',
+    ratingHint: 'Califique del 1 al 5, donde 1 es muy bajo y 5 es muy alto',
+    announceNext: 'Avanzando al paso {{step}} de {{total}}',
+    announcePrevious: 'Retrocediendo al paso {{step}} de {{total}}',
+    announceReady: 'Datos completos. Continúe con el consentimiento informado.',
+    start: 'Comenzar Cuestionario'
+  },
+  sessionForm: {
+    title: 'Información de Sesión',
+    intro: 'Por favor complete la siguiente información antes de comenzar la evaluación CSBC Cuestionario de Seguridad Basada en el Comportamiento',
+    fields: {
+      empleadoId: 'ID de Empleado',
+      nombre: 'Nombre Completo',
+      area: 'Área de Trabajo',
+      turno: 'Turno de Trabajo',
+      genero: 'Género',
+      edad: 'Rango de Edad'
+    },
+    placeholders: {
+      empleadoId: 'Ingrese su ID de empleado',
+      nombre: 'Ingrese su nombre completo',
+      area: 'Seleccione su área',
+      turno: 'Seleccione su turno',
+      genero: 'Seleccione su género',
+      edad: 'Seleccione su rango de edad'
+    },
+    errors: {
+      empleadoId: 'El ID de empleado es requerido',
+      nombre: 'El nombre es requerido',
+      area: 'Debe seleccionar un área',
+      turno: 'Debe seleccionar un turno',
+      genero: 'Debe seleccionar un género',
+      edad: 'Debe seleccionar un rango de edad',
+      general: 'Error al validar la información. Intente nuevamente.'
+    },
+    options: {
+      area: {
+        administracion: 'Administración',
+        produccion: 'Producción',
+        calidad: 'Control de Calidad',
+        operaciones: 'Operaciones',
+        mantenimiento: 'Mantenimiento',
+        seguridad: 'Seguridad Industrial',
+        recursos_humanos: 'Recursos Humanos',
+        logistica: 'Logística',
+        otro: 'Otro'
+      },
+      turno: {
+        mañana: 'Mañana (6:00 - 14:00)',
+        tarde: 'Tarde (14:00 - 22:00)',
+        noche: 'Noche (22:00 - 6:00)',
+        rotativo: 'Rotativo',
+        administrativo: 'Administrativo (8:00 - 17:00)'
+      },
+      genero: {
+        masculino: 'Masculino',
+        femenino: 'Femenino',
+        otro: 'Otro',
+        prefiero_no_decir: 'Prefiero no decir'
+      },
+      edad: {
+        '18-25': '18-25 años',
+        '26-35': '26-35 años',
+        '36-45': '36-45 años',
+        '46-55': '46-55 años',
+        '56-65': '56-65 años',
+        '65+': 'Más de 65 años'
+      }
+    },
+    validating: 'Validando información...',
+    start: 'Comenzar Evaluación'
+  },
+  consent: {
+    loading: 'Cargando el consentimiento informado...',
+    loadError: 'No se pudo cargar el consentimiento informado. Recargue la página para intentarlo de nuevo.',
+    version: 'Versión {{version}}',
+    checkbox: 'He leído la información anterior y autorizo de forma libre y expresa el tratamiento de mis datos personales, incluidos los de salud.',
+    accept: 'Acepto y continúo',
+    decline: 'No acepto',
+    declinedTitle: 'No se registraron sus datos',
+    declinedBody: 'Decidió no autorizar el tratamiento de sus datos. No se guardó ninguna información y puede cerrar esta página.',
+    reconsider: 'Volver al inicio',
+    outdated: 'El texto del consentimiento se actualizó. Léalo de nuevo antes de aceptar.',
+    saveError: 'No se pudo registrar su aceptación. Inténtelo de nuevo.'
+  },
+  questionnaire: {
+    groupSummary: 'Grupo {{current}} de {{total}} • Preguntas {{from}}-{{to}}',
+    answeredInGroup: 'Respondidas: {{answered}}/{{total}}',
+    demoMode: 'Modo demostración',
+    time: 'Tiempo',
+    contentLabel: 'Contenido del cuestionario',
+    groupTitle: 'Grupo {{current}} de {{total}} - Preguntas {{from}} al {{to}}',
+    answerAll: 'Responde todas las preguntas del cuestionario',
+    answerGroup: 'Responde todas las preguntas de este grupo antes de continuar',
+    optionLabel: 'Pregunta {{number}}: {{label}}, valor {{value}}',
+    optionValue: 'Valor: {{value}}',
+    keyboardTitle: 'Navegación por teclado:',
+    keyboardHelp: 'Use las flechas ↑↓←→ para navegar entre opciones, Enter/Espacio para seleccionar, Ctrl+← para grupo anterior, Ctrl+→ para siguiente grupo',
+    previousGroup: 'Grupo Anterior',
+    nextGroup: 'Siguiente Grupo',
+    previousGroupLabel: 'Grupo anterior (Ctrl + Flecha izquierda)',
+    nextGroupLabel: 'Siguiente grupo (Ctrl + Flecha derecha)',
+    groupComplete: 'Grupo Completo',
+    groupIncomplete: 'Grupo Incompleto',
+    navInstructions: 'Use Ctrl + flechas izquierda/derecha para navegar entre grupos de preguntas',
+    answerAllError: 'Por favor responda todas las preguntas antes de enviar.',
+    completed: 'Cuestionario completado en {{minutes}} minutos y {{seconds}} segundos. ¡Gracias por completar la evaluación!',
+    queuedOffline: 'Sin conexión: tus respuestas quedaron guardadas en este dispositivo y se enviarán automáticamente al recuperar la señal.',
+    submitError: 'Error al enviar el cuestionario: {{message}}. Por favor intente nuevamente.',
+    unknownError: 'Error desconocido'
+  },
+  assisted: {
+    enable: 'Modo asistido',
+    enableLabel: 'Activar el modo asistido: lee cada pregunta en voz alta',
+    disable: 'Vista normal',
+    disableLabel: 'Salir del modo asistido y ver las preguntas por grupos',
+    progress: 'Pregunta {{number}} de {{total}}',
+    hint: 'Escuche la pregunta y toque la respuesta que mejor describa cómo se ha sentido.',
+    replay: 'Escuchar de nuevo',
+    stop: 'Detener',
+    speed: 'Velocidad',
+    unsupported: 'Este dispositivo no puede leer en voz alta. Las preguntas y respuestas se muestran en letra grande.',
+    answered: 'Respuesta guardada: {{label}}',
+    allAnswered: 'Ya respondió todas las preguntas. Toque el botón para enviar.',
+    keyboardHelp: 'Use las flechas para moverse entre las respuestas y Enter o Espacio para elegir.',
+    speechQuestion: 'Pregunta {{number}}. {{text}}',
+    speechOption: 'Opción {{number}}: {{label}}.'
+  },
+  sidebar: {
+    hide: 'Ocultar barra lateral',
+    show: 'Mostrar barra lateral',
+    progress: 'Progreso',
+    questionsRange: 'Preguntas {{from}}-{{to}}',
+    question: 'Pregunta {{number}}',
+    answered: ' (respondida)',
+    currentGroup: ' (grupo actual)',
+    submit: 'Enviar Cuestionario',
+    submitting: 'Enviando...',
+    submitLabel: 'Enviar cuestionario'
+  },
+  kiosk: {
+    welcome: 'Le damos la bienvenida',
+    intro: 'Responda el cuestionario en esta tableta. Sus respuestas son confidenciales.',
+    withDocument: 'Ingresar con mi documento',
+    withQr: 'Escanear mi código QR',
+    scanTitle: 'Muestre a la cámara el código QR de su invitación',
+    cameraUnavailable: 'No se puede usar la cámara en este dispositivo. Use el lector o escriba el código.',
+    manualLabel: 'Código de la invitación',
+    manualPlaceholder: 'Escanee o escriba el código',
+    invalidCode: 'El código no corresponde a una invitación. Inténtelo de nuevo.',
+    backToStart: 'Volver al inicio',
+    thanksTitle: '¡Gracias por participar!',
+    thanksBody: 'Sus respuestas quedaron registradas.',
+    thanksQueued: 'Sin conexión: sus respuestas quedaron en esta tableta y se enviarán cuando vuelva la señal.',
+    restarting: 'La pantalla se reiniciará en {{seconds}} segundos para la siguiente persona.',
+    nextPerson: 'Siguiente persona',
+    counters: 'Hoy: {{today}} · Total en este dispositivo: {{total}}',
+    exit: 'Salir del quiosco',
+    exitTitle: 'Salir del modo quiosco',
+    pinLabel: 'PIN de administración',
+    wrongPin: 'PIN incorrecto',
+    exitConfirm: 'Salir'
+  },
+  anonymous: {
+    intro: 'Escriba el código de su tarjeta de participación o escanee su código QR. No se le pedirá su nombre ni su documento.',
+    codeLabel: 'Código de participación',
+    validating: 'Comprobando el código...',
+    demographicsIntro: 'Indique solo estos datos generales para poder agrupar los resultados.',
+    privacyNote: 'Sus respuestas se guardan sin su código ni datos que lo identifiquen. Solo se muestran resultados de grupos con suficientes participantes.',
+    start: 'Comenzar cuestionario',
+    fields: {
+      departamento: 'Departamento o área',
+      turno: 'Turno',
+      rango_edad: 'Rango de edad'
+    },
+    errors: {
+      departamento: 'Seleccione su departamento o área',
+      turno: 'Seleccione su turno',
+      rango_edad: 'Seleccione su rango de edad',
+      invalidCode: 'El código no es válido o ya se usó. Revise que esté bien escrito.',
+      closedCampaign: 'La campaña de este código no está abierta.',
+      validateFailed: 'No se pudo comprobar el código. Inténtelo de nuevo.'
+    }
+  },
+  thankYou: {
+    title: '¡Cuestionario Completado!',
+    bodyIntro: 'Gracias por completar el',
+    questionnaireName: 'Cuestionario de Seguridad Conductual',
+    bodyOutro: 'Tu participación es fundamental para mejorar la cultura de seguridad en nuestra organización.',
+    timeTitle: 'Tiempo Invertido',
+    timeBody: 'Has dedicado tiempo valioso para esta evaluación',
+    contributionTitle: 'Contribución',
+    contributionBody: 'Tus respuestas ayudarán a identificar oportunidades de mejora',
+    analysisTitle: 'Análisis',
+    analysisBody: 'Los resultados se analizarán para generar planes de acción',
+    nextTitle: '¿Qué sigue ahora?',
+    next1: 'Los resultados serán analizados junto con las respuestas de todo el equipo',
+    next2: 'Se identificarán fortalezas y oportunidades de mejora en seguridad',
+    next3: 'Se desarrollarán planes de acción específicos para cada área',
+    next4: 'Recibirás información sobre las iniciativas de mejora implementadas',
+    rememberTitle: 'Recuerda:',
+    rememberBody: 'La seguridad es responsabilidad de todos. Tu compromiso diario con las prácticas seguras hace la diferencia.',
+    contact1: 'Si tienes alguna pregunta sobre este cuestionario o sobre seguridad en general,',
+    contact2: 'no dudes en contactar al equipo de Seguridad y Salud Ocupacional.',
+    footer: 'CSBC Cuestionario de Seguridad Basada en el Comportamiento'
+  }
+};
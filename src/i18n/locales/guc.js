@@ -0,0 +1,3 @@
+// Wayuunaiki: sin textos todavía. Mientras el paquete esté vacío el idioma no
+// aparece en el selector; las claves que falten se muestran en español.
+export default {};
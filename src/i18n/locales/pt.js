@@ -0,0 +1,341 @@
+// Textos de la interfaz pública en portugués
+export default {
+  common: {
+    select: 'Selecione',
+    required: 'Este campo é obrigatório',
+    processing: 'Processando...',
+    continue: 'Continuar',
+    cancel: 'Cancelar',
+    previous: 'Anterior',
+    next: 'Próximo',
+    language: 'Idioma',
+    requiredNote: '* Campos obrigatórios. Estas informações são confidenciais e usadas apenas para fins estatísticos.'
+  },
+  flow: {
+    validating: 'Validando acesso...',
+    loadingDraft: 'Procurando respostas salvas...',
+    invalidTitle: 'Link inválido',
+    invalidBody: 'O link que você usou não é válido, expirou ou já foi utilizado.',
+    invalidHelp: 'Se você acha que isto é um erro, entre em contato com o administrador do sistema.',
+    stepPersonal: 'Dados Pessoais',
+    stepConsent: 'Consentimento',
+    stepQuestionnaire: 'Questionário',
+    formIntro: 'Antes de começar as perguntas, precisamos coletar alguns dados básicos',
+    backToForm: 'Voltar aos dados',
+    resumed: 'Retomando seu questionário: {{answered}} de {{total}} perguntas respondidas.',
+    completeError: 'Erro ao finalizar a avaliação. Tente novamente.'
+  },
+  form: {
+    subtitle: 'Instrumento para a medição da saúde mental e do bem-estar',
+    steps: {
+      personal: 'Dados Pessoais',
+      laboral: 'Dados de Trabalho',
+      seguridad: 'Dados de Segurança',
+      percepcion: 'Percepção'
+    },
+    headings: {
+      personal: 'Dados Pessoais',
+      laboral: 'Dados de Trabalho',
+      seguridad: 'Dados de Segurança',
+      percepcion: 'Dados de Percepção'
+    },
+    fields: {
+      nombres: 'Nomes',
+      apellidos: 'Sobrenomes',
+      documento: 'Documento de Identidade',
+      edad: 'Idade',
+      genero: 'Gênero',
+      cargo: 'Cargo / Função',
+      area: 'Área ou Departamento',
+      turno: 'Turno',
+      antiguedad: 'Tempo na empresa (anos)',
+      tipo_contrato: 'Tipo de Contrato',
+      nivel_educativo: 'Escolaridade',
+      capacitaciones_seguridad: 'Recebeu treinamentos de segurança?',
+      accidentes_previos: 'Acidentes de trabalho anteriores?',
+      reporta_casi_accidentes: 'Já relatou quase-acidentes?',
+      uso_epp: 'Usa o EPI fornecido pela empresa?',
+      satisfaccion_laboral: 'Nível de satisfação no trabalho',
+      motivacion_seguridad: 'Motivação em relação à segurança',
+      confianza_gerencia: 'Confiança na gerência/supervisão em segurança'
+    },
+    placeholders: {
+      nombres: 'Digite seus nomes',
+      apellidos: 'Digite seus sobrenomes',
+      documento: 'Digite seu documento',
+      edad: 'Idade',
+      cargo: 'Selecione um cargo',
+      area: 'Será atribuída automaticamente conforme o cargo selecionado',
+      antiguedad: 'Anos'
+    },
+    errors: {
+      nombres: 'Os nomes são obrigatórios',
+      apellidos: 'Os sobrenomes são obrigatórios',
+      documento: 'O documento é obrigatório',
+      edad: 'A idade é obrigatória',
+      genero: 'O gênero é obrigatório',
+      cargo: 'O cargo é obrigatório',
+      area: 'A área é obrigatória',
+      turno: 'O turno é obrigatório',
+      antiguedad: 'O tempo na empresa é obrigatório',
+      tipo_contrato: 'O tipo de contrato é obrigatório',
+      nivel_educativo: 'A escolaridade é obrigatória'
+    },
+    options: {
+      genero: {
+        masculino: 'Masculino',
+        femenino: 'Feminino',
+        otro: 'Outro'
+      },
+      turno: {
+        Mañana: 'Manhã',
+        Tarde: 'Tarde',
+        Noche: 'Noite',
+        Rotativo: 'Revezamento'
+      },
+      tipo_contrato: {
+        Fijo: 'Prazo determinado',
+        Indefinido: 'Prazo indeterminado',
+        Temporal: 'Temporário',
+        Contratista: 'Terceirizado'
+      },
+      nivel_educativo: {
+        Básico: 'Fundamental',
+        Medio: 'Médio',
+        Técnico: 'Técnico',
+        Profesional: 'Superior'
+      },
+      capacitaciones_seguridad: {
+        si: 'Sim',
+        no: 'Não',
+        ultimo_año: 'No último ano'
+      },
+      accidentes_previos: {
+        nunca: 'Nunca',
+        '1_vez': '1 vez',
+        mas_de_1: 'Mais de 1 vez'
+      },
+      si_no: {
+        si: 'Sim',
+        no: 'Não'
+      },
+      uso_epp: {
+        siempre_disponible: 'Sempre disponível',
+        a_veces_falta: 'Às vezes falta',
+        nunca_entregado: 'Nunca fornecido'
+      },
+      valoracion: {
+        1: '1 - Muito baixo',
+        2: '2 - Baixo',
+        3: '3 - Médio',
+        4: '4 - Alto',
+        5: '5 - Muito alto'
+      }
+    },
+    areaAssigned: 'Área atribuída automaticamente: {{area}}',
+    ratingHint: 'Avalie de 1 a 5, onde 1 é muito baixo e 5 é muito alto',
+    announceNext: 'Avançando para a etapa {{step}} de {{total}}',
+    announcePrevious: 'Voltando para a etapa {{step}} de {{total}}',
+    announceReady: 'Dados completos. Continue para o consentimento informado.',
+    start: 'Começar Questionário'
+  },
+  sessionForm: {
+    title: 'Informações da Sessão',
+    intro: 'Preencha as informações a seguir antes de começar a avaliação CSBC Questionário de Segurança Baseada no Comportamento',
+    fields: {
+      empleadoId: 'ID do Funcionário',
+      nombre: 'Nome Completo',
+      area: 'Área de Trabalho',
+      turno: 'Turno de Trabalho',
+      genero: 'Gênero',
+      edad: 'Faixa Etária'
+    },
+    placeholders: {
+      empleadoId: 'Digite seu ID de funcionário',
+      nombre: 'Digite seu nome completo',
+      area: 'Selecione sua área',
+      turno: 'Selecione seu turno',
+      genero: 'Selecione seu gênero',
+      edad: 'Selecione sua faixa etária'
+    },
+    errors: {
+      empleadoId: 'O ID de funcionário é obrigatório',
+      nombre: 'O nome é obrigatório',
+      area: 'Você deve selecionar uma área',
+      turno: 'Você deve selecionar um turno',
+      genero: 'Você deve selecionar um gênero',
+      edad: 'Você deve selecionar uma faixa etária',
+      general: 'Erro ao validar as informações. Tente novamente.'
+    },
+    options: {
+      area: {
+        administracion: 'Administração',
+        produccion: 'Produção',
+        calidad: 'Controle de Qualidade',
+        operaciones: 'Operações',
+        mantenimiento: 'Manutenção',
+        seguridad: 'Segurança Industrial',
+        recursos_humanos: 'Recursos Humanos',
+        logistica: 'Logística',
+        otro: 'Outro'
+      },
+      turno: {
+        mañana: 'Manhã (6:00 - 14:00)',
+        tarde: 'Tarde (14:00 - 22:00)',
+        noche: 'Noite (22:00 - 6:00)',
+        rotativo: 'Revezamento',
+        administrativo: 'Administrativo (8:00 - 17:00)'
+      },
+      genero: {
+        masculino: 'Masculino',
+        femenino: 'Feminino',
+        otro: 'Outro',
+        prefiero_no_decir: 'Prefiro não dizer'
+      },
+      edad: {
+        '18-25': '18-25 anos',
+        '26-35': '26-35 anos',
+        '36-45': '36-45 anos',
+        '46-55': '46-55 anos',
+        '56-65': '56-65 anos',
+        '65+': 'Mais de 65 anos'
+      }
+    },
+    validating: 'Validando informações...',
+    start: 'Começar Avaliação'
+  },
+  consent: {
+    loading: 'Carregando o consentimento informado...',
+    loadError: 'Não foi possível carregar o consentimento informado. Recarregue a página para tentar novamente.',
+    version: 'Versão {{version}}',
+    checkbox: 'Li as informações acima e autorizo de forma livre e expressa o tratamento dos meus dados pessoais, incluindo os de saúde.',
+    accept: 'Aceito e continuo',
+    decline: 'Não aceito',
+    declinedTitle: 'Seus dados não foram registrados',
+    declinedBody: 'Você decidiu não autorizar o tratamento dos seus dados. Nenhuma informação foi salva e você pode fechar esta página.',
+    reconsider: 'Voltar ao início',
+    outdated: 'O texto do consentimento foi atualizado. Leia-o novamente antes de aceitar.',
+    saveError: 'Não foi possível registrar sua aceitação. Tente novamente.'
+  },
+  questionnaire: {
+    groupSummary: 'Grupo {{current}} de {{total}} • Perguntas {{from}}-{{to}}',
+    answeredInGroup: 'Respondidas: {{answered}}/{{total}}',
+    demoMode: 'Modo demonstração',
+    time: 'Tempo',
+    contentLabel: 'Conteúdo do questionário',
+    groupTitle: 'Grupo {{current}} de {{total}} - Perguntas {{from}} a {{to}}',
+    answerAll: 'Responda todas as perguntas do questionário',
+    answerGroup: 'Responda todas as perguntas deste grupo antes de continuar',
+    optionLabel: 'Pergunta {{number}}: {{label}}, valor {{value}}',
+    optionValue: 'Valor: {{value}}',
+    keyboardTitle: 'Navegação pelo teclado:',
+    keyboardHelp: 'Use as setas ↑↓←→ para navegar entre as opções, Enter/Espaço para selecionar, Ctrl+← para o grupo anterior, Ctrl+→ para o próximo grupo',
+    previousGroup: 'Grupo Anterior',
+    nextGroup: 'Próximo Grupo',
+    previousGroupLabel: 'Grupo anterior (Ctrl + Seta esquerda)',
+    nextGroupLabel: 'Próximo grupo (Ctrl + Seta direita)',
+    groupComplete: 'Grupo Completo',
+    groupIncomplete: 'Grupo Incompleto',
+    navInstructions: 'Use Ctrl + setas esquerda/direita para navegar entre os grupos de perguntas',
+    answerAllError: 'Responda todas as perguntas antes de enviar.',
+    completed: 'Questionário concluído em {{minutes}} minutos e {{seconds}} segundos. Obrigado por concluir a avaliação!',
+    queuedOffline: 'Sem conexão: suas respostas ficaram salvas neste dispositivo e serão enviadas automaticamente quando o sinal voltar.',
+    submitError: 'Erro ao enviar o questionário: {{message}}. Tente novamente.',
+    unknownError: 'Erro desconhecido'
+  },
+  assisted: {
+    enable: 'Modo assistido',
+    enableLabel: 'Ativar o modo assistido: lê cada pergunta em voz alta',
+    disable: 'Visão normal',
+    disableLabel: 'Sair do modo assistido e ver as perguntas em grupos',
+    progress: 'Pergunta {{number}} de {{total}}',
+    hint: 'Ouça a pergunta e toque na resposta que melhor descreve como você tem se sentido.',
+    replay: 'Ouvir de novo',
+    stop: 'Parar',
+    speed: 'Velocidade',
+    unsupported: 'Este dispositivo não consegue ler em voz alta. As perguntas e respostas aparecem em letra grande.',
+    answered: 'Resposta salva: {{label}}',
+    allAnswered: 'Você respondeu todas as perguntas. Toque no botão para enviar.',
+    keyboardHelp: 'Use as setas para se mover entre as respostas e Enter ou Espaço para escolher.',
+    speechQuestion: 'Pergunta {{number}}. {{text}}',
+    speechOption: 'Opção {{number}}: {{label}}.'
+  },
+  sidebar: {
+    hide: 'Ocultar barra lateral',
+    show: 'Mostrar barra lateral',
+    progress: 'Progresso',
+    questionsRange: 'Perguntas {{from}}-{{to}}',
+    question: 'Pergunta {{number}}',
+    answered: ' (respondida)',
+    currentGroup: ' (grupo atual)',
+    submit: 'Enviar Questionário',
+    submitting: 'Enviando...',
+    submitLabel: 'Enviar questionário'
+  },
+  kiosk: {
+    welcome: 'Boas-vindas',
+    intro: 'Responda o questionário neste tablet. Suas respostas são confidenciais.',
+    withDocument: 'Entrar com meu documento',
+    withQr: 'Escanear meu código QR',
+    scanTitle: 'Mostre à câmera o código QR do seu convite',
+    cameraUnavailable: 'Não é possível usar a câmera neste dispositivo. Use o leitor ou digite o código.',
+    manualLabel: 'Código do convite',
+    manualPlaceholder: 'Escaneie ou digite o código',
+    invalidCode: 'O código não corresponde a um convite. Tente novamente.',
+    backToStart: 'Voltar ao início',
+    thanksTitle: 'Obrigado por participar!',
+    thanksBody: 'Suas respostas foram registradas.',
+    thanksQueued: 'Sem conexão: suas respostas ficaram neste tablet e serão enviadas quando o sinal voltar.',
+    restarting: 'A tela será reiniciada em {{seconds}} segundos para a próxima pessoa.',
+    nextPerson: 'Próxima pessoa',
+    counters: 'Hoje: {{today}} · Total neste dispositivo: {{total}}',
+    exit: 'Sair do quiosque',
+    exitTitle: 'Sair do modo quiosque',
+    pinLabel: 'PIN de administração',
+    wrongPin: 'PIN incorreto',
+    exitConfirm: 'Sair'
+  },
+  anonymous: {
+    intro: 'Digite o código do seu cartão de participação ou escaneie o código QR. Não será pedido seu nome nem seu documento.',
+    codeLabel: 'Código de participação',
+    validating: 'Verificando o código...',
+    demographicsIntro: 'Informe apenas estes dados gerais para que os resultados possam ser agrupados.',
+    privacyNote: 'Suas respostas são salvas sem o seu código nem dados que o identifiquem. Só são mostrados resultados de grupos com participantes suficientes.',
+    start: 'Iniciar questionário',
+    fields: {
+      departamento: 'Departamento ou área',
+      turno: 'Turno',
+      rango_edad: 'Faixa etária'
+    },
+    errors: {
+      departamento: 'Selecione seu departamento ou área',
+      turno: 'Selecione seu turno',
+      rango_edad: 'Selecione sua faixa etária',
+      invalidCode: 'O código não é válido ou já foi usado. Verifique se foi digitado corretamente.',
+      closedCampaign: 'A campanha deste código não está aberta.',
+      validateFailed: 'Não foi possível verificar o código. Tente novamente.'
+    }
+  },
+  thankYou: {
+    title: 'Questionário Concluído!',
+    bodyIntro: 'Obrigado por concluir o',
+    questionnaireName: 'Questionário de Segurança Comportamental',
+    bodyOutro: 'Sua participação é fundamental para melhorar a cultura de segurança da nossa organização.',
+    timeTitle: 'Tempo Dedicado',
+    timeBody: 'Você dedicou um tempo valioso a esta avaliação',
+    contributionTitle: 'Contribuição',
+    contributionBody: 'Suas respostas ajudarão a identificar oportunidades de melhoria',
+    analysisTitle: 'Análise',
+    analysisBody: 'Os resultados serão analisados para gerar planos de ação',
+    nextTitle: 'O que acontece agora?',
+    next1: 'Os resultados serão analisados junto com as respostas de toda a equipe',
+    next2: 'Serão identificados pontos fortes e oportunidades de melhoria em segurança',
+    next3: 'Serão desenvolvidos planos de ação específicos para cada área',
+    next4: 'Você receberá informações sobre as iniciativas de melhoria implementadas',
+    rememberTitle: 'Lembre-se:',
+    rememberBody: 'A segurança é responsabilidade de todos. Seu compromisso diário com práticas seguras faz a diferença.',
+    contact1: 'Se tiver alguma dúvida sobre este questionário ou sobre segurança em geral,',
+    contact2: 'não hesite em contatar a equipe de Segurança e Saúde Ocupacional.',
+    footer: 'CSBC Questionário de Segurança Baseada no Comportamento'
+  }
+};
@@ -4,11 +4,19 @@ import { Provider } from 'react-redux'
 import { store } from './store/index.js'
 import './index.css'
 import App from './App.jsx'
+import { LanguageProvider } from './contexts/LanguageContext'
+import { registerServiceWorker } from './pwa/registerServiceWorker'
+import { startSubmissionSync } from './services/offline'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <Provider store={store}>
-      <App />
+      <LanguageProvider>
+        <App />
+      </LanguageProvider>
     </Provider>
   </StrictMode>,
 )
+
+registerServiceWorker()
+startSubmissionSync()
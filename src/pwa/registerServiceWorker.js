@@ -0,0 +1,18 @@
+// Solo las rutas del cuestionario funcionan sin conexión; el panel necesita red
+export const SERVICE_WORKER_SCOPE = '/cuestionario';
+
+/**
+ * Registra /sw.js (emitido en el build, ver src/pwa/serviceWorker.js).
+ * En desarrollo no se registra para no servir archivos viejos desde la caché.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('/sw.js', { scope: SERVICE_WORKER_SCOPE })
+      .catch(error => console.warn('No se pudo registrar el service worker:', error.message));
+  });
+};
+
+export default registerServiceWorker;
@@ -0,0 +1,89 @@
+/**
+ * Service worker del cuestionario (rutas /cuestionario/:token y /cuestionario-directo).
+ *
+ * No se importa desde la aplicación: el plugin de vite.config.js lo emite en
+ * cada build como /sw.js, reemplazando PRECACHE_VERSION y PRECACHE_ASSETS por
+ * la versión y los archivos que carga index.html (preguntas incluidas, viven en
+ * el bundle). Así el cuestionario abre sin conexión una vez visitado.
+ *
+ * - Navegación: red primero; sin red, el index.html guardado.
+ * - /assets/ (nombres con hash): caché primero.
+ * - Resto del mismo origen: caché mientras se revalida.
+ * - Supabase y otros orígenes: nunca se cachean (los envíos sin red los
+ *   guarda la cola de IndexedDB, services/offline).
+ */
+
+const PRECACHE_VERSION = self.__PRECACHE_VERSION__;
+const PRECACHE_ASSETS = self.__PRECACHE_ASSETS__;
+
+const CACHE_NAME = `cuestionario-${PRECACHE_VERSION}`;
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll([...new Set([...APP_SHELL, ...PRECACHE_ASSETS])]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('cuestionario-') && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('/index.html', response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,173 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { validateGHQ12Responses } from '../utils/ghq12Calculator';
+import { getCurrentInstrument, getItemKey } from '../data/instruments';
+import { HIGH_RISK_BAND_KEYS, RISK_BAND_KEYS } from '../config/riskBands';
+import { DEFAULT_LANGUAGE } from '../i18n/languages';
+import { generateParticipationCode, summarizeAnonymousResults, validateCodeCount } from '../utils/anonymousSurvey';
+import { SessionResultsService } from './SessionResultsService';
+
+// Tamaño de lote de las inserciones masivas
+const BATCH_SIZE = 500;
+
+// Agrupaciones de los resultados anónimos (columnas de `resultados_anonimos`)
+export const ANONYMOUS_GROUPINGS = {
+  departamento: 'Departamento',
+  turno: 'Turno',
+  rango_edad: 'Rango de edad'
+};
+
+/**
+ * Servicio de las campañas anónimas: códigos de participación, envío de
+ * respuestas sin identidad y resultados agregados. Un código usado se borra y
+ * la participación solo se cuenta por día, sin nada que la cruce con las respuestas.
+ */
+export class AnonymousSurveyService {
+  /**
+   * Genera un lote de códigos de participación para repartir al azar
+   * @param {string} campaignId
+   * @param {number} count
+   * @returns {Promise<number>} - Códigos generados
+   */
+  static async generateCodes(campaignId, count) {
+    const error = validateCodeCount(count);
+    if (error) throw new AppError(error, ERROR_CODES.VALIDATION_ERROR, 400, { count });
+
+    const codes = new Set();
+    while (codes.size < count) codes.add(generateParticipationCode());
+
+    const rows = [...codes].map(codigo => ({ campana_id: campaignId, codigo }));
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      const { error: insertError } = await supabase
+        .from('codigos_participacion')
+        .insert(rows.slice(start, start + BATCH_SIZE));
+
+      if (insertError) throw handleSupabaseError(insertError, 'generar códigos de participación');
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Códigos sin usar de una campaña, del más reciente al más antiguo
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  static async listCodes(campaignId) {
+    const { data, error } = await supabase
+      .from('codigos_participacion')
+      .select('id, codigo, created_at')
+      .eq('campana_id', campaignId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw handleSupabaseError(error, 'cargar códigos de participación');
+    return data || [];
+  }
+
+  /**
+   * Códigos respondidos por día (`participacion_anonima`)
+   * @param {string} campaignId
+   * @returns {Promise<Array<{ fecha: string, respondidos: number }>>}
+   */
+  static async getParticipation(campaignId) {
+    const { data, error } = await supabase
+      .from('participacion_anonima')
+      .select('fecha, respondidos')
+      .eq('campana_id', campaignId);
+
+    if (error) throw handleSupabaseError(error, 'cargar participación');
+    return data || [];
+  }
+
+  /**
+   * Comprueba un código antes de mostrar el cuestionario
+   * @param {string} code - Código normalizado (XXXX-XXXX)
+   * @returns {Promise<Object>} - { campana_id, campana, cuestionario_id, departamentos, turnos }
+   */
+  static async validateCode(code) {
+    const { data, error } = await supabase.rpc('validar_codigo_participacion', { p_codigo: code });
+
+    if (error) throw SessionResultsService.toSubmissionError(error);
+    return data;
+  }
+
+  /**
+   * Envía las respuestas de una campaña anónima (`enviar_cuestionario_anonimo`).
+   * Reintentar con el mismo sessionId es seguro: devuelve `duplicado: true`.
+   * @param {Object} params
+   * @param {string} params.sessionId - UUID de la sesión (estable entre reintentos; no se guarda)
+   * @param {string} params.code - Código de participación
+   * @param {Object} params.demographics - { departamento, turno, rango_edad }
+   * @param {Object} params.answers - { pregunta_id: respuesta }
+   * @param {Object} [params.instrument]
+   * @param {string} [params.language]
+   * @param {boolean} [params.assistedMode]
+   * @returns {Promise<Object>} - Puntaje guardado más `duplicado`
+   */
+  static async submit({
+    sessionId,
+    code,
+    demographics,
+    answers,
+    instrument = getCurrentInstrument(),
+    language = DEFAULT_LANGUAGE,
+    assistedMode = false
+  }) {
+    const responses = Object.entries(answers).reduce((acc, [itemId, value]) => {
+      acc[getItemKey(Number(itemId))] = Number(value);
+      return acc;
+    }, {});
+
+    const validation = validateGHQ12Responses(responses, instrument);
+    if (!validation.isValid) {
+      throw new AppError(validation.errors.join(', '), ERROR_CODES.VALIDATION_ERROR, 400, { sessionId });
+    }
+
+    const { data, error } = await supabase.rpc('enviar_cuestionario_anonimo', {
+      p_sesion_id: sessionId,
+      p_codigo: code,
+      p_cuestionario_id: instrument.id,
+      p_respuestas: answers,
+      p_departamento: demographics.departamento,
+      p_turno: demographics.turno,
+      p_rango_edad: demographics.rango_edad,
+      p_idioma: language,
+      p_modo_asistido: Boolean(assistedMode)
+    });
+
+    if (error) throw SessionResultsService.toSubmissionError(error);
+    return data;
+  }
+
+  /**
+   * Resultados anónimos de una campaña agrupados, con el umbral de anonimato
+   * @param {string} campaignId
+   * @param {string} [groupBy] - Clave de ANONYMOUS_GROUPINGS
+   * @returns {Promise<Object>} - Resultado de summarizeAnonymousResults más { groupLabel }
+   */
+  static async getResultsSummary(campaignId, groupBy = 'departamento') {
+    if (!ANONYMOUS_GROUPINGS[groupBy]) {
+      throw new AppError(`Agrupación no soportada: ${groupBy}`, ERROR_CODES.VALIDATION_ERROR, 400, { groupBy });
+    }
+
+    const { data, error } = await supabase
+      .from('resultados_anonimos')
+      .select(`${groupBy}, metodo_puntuacion, puntaje_total, porcentaje_riesgo`)
+      .eq('campana_id', campaignId);
+
+    if (error) throw handleSupabaseError(error, 'cargar resultados anónimos');
+
+    const participants = (data || []).map(row => ({
+      group: row[groupBy],
+      level: SessionResultsService.classify(row).key,
+      value: Number(row.porcentaje_riesgo)
+    }));
+
+    return {
+      ...summarizeAnonymousResults(participants, { levels: RISK_BAND_KEYS, highRiskLevels: HIGH_RISK_BAND_KEYS }),
+      groupLabel: ANONYMOUS_GROUPINGS[groupBy]
+    };
+  }
+}
+
+export default AnonymousSurveyService;
@@ -0,0 +1,134 @@
+import { utils, writeFile } from 'xlsx';
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { AUDIT_READ_RESOURCE, buildAuditSheetRows } from '../utils/audit';
+
+const AUDIT_COLUMNS = 'id, actor_id, actor_email, accion, recurso, titular_id, registro_id, campos, motivo, origen, created_at';
+
+// Tope de filas por consulta del visor; los filtros acotan el resto
+const AUDIT_PAGE_SIZE = 500;
+
+// Mensajes para los hints de sql/V20__create_auditoria_datos_individuales.sql
+const AUDIT_ERRORS = {
+  sesion_requerida: 'Inicia sesión en el panel para consultar datos individuales',
+  auditoria_invalida: 'Acción de auditoría no soportada',
+  motivo_requerido: 'Indica el motivo del cambio',
+  respuestas_invalidas: 'Hay respuestas fuera de la escala del cuestionario',
+  sesion_incompleta: 'Todas las preguntas deben quedar respondidas',
+  sesion_no_encontrada: 'La sesión ya no existe'
+};
+
+const toAuditError = (error, action) => {
+  const message = AUDIT_ERRORS[error?.hint];
+  if (message) return new AppError(message, ERROR_CODES.VALIDATION_ERROR, 400, { hint: error.hint });
+  return handleSupabaseError(error, action);
+};
+
+/**
+ * Servicio de auditoría de los datos individuales. Las escrituras sobre
+ * respuestas y resultados las registra la base de datos; las pantallas del panel
+ * registran aquí cada consulta o exportación antes de mostrar los datos.
+ */
+export class AuditService {
+  /**
+   * Registra que se vieron o exportaron los datos de un trabajador
+   * @param {Object} read - { action: 'ver' | 'exportar', titularId, origin, reason? }
+   * @returns {Promise<string>} - Id del registro
+   */
+  static async logRead({ action, titularId, origin, reason = null }) {
+    const { data, error } = await supabase.rpc('registrar_lectura_individual', {
+      p_accion: action,
+      p_recurso: AUDIT_READ_RESOURCE,
+      p_titular_id: titularId,
+      p_origen: origin,
+      p_motivo: reason
+    });
+
+    if (error) throw toAuditError(error, 'registrar consulta');
+    return data;
+  }
+
+  /**
+   * Corrige las respuestas de una sesión y recalcula su resultado, dejando el
+   * motivo en la auditoría de cada cambio
+   * @param {string} userId
+   * @param {string} sessionId
+   * @param {Object<string, number|null>} changes - Resultado de getAnswerChanges
+   * @param {string} reason
+   * @returns {Promise<Object>} - { creadas, modificadas, eliminadas, nivel_riesgo, porcentaje_riesgo }
+   */
+  static async editAnswers(userId, sessionId, changes, reason) {
+    if (!reason?.trim()) {
+      throw new AppError(AUDIT_ERRORS.motivo_requerido, ERROR_CODES.VALIDATION_ERROR, 400, { hint: 'motivo_requerido' });
+    }
+
+    const { data, error } = await supabase.rpc('editar_respuestas_usuario', {
+      p_usuario_id: userId,
+      p_sesion_id: sessionId,
+      p_respuestas: changes,
+      p_motivo: reason.trim()
+    });
+
+    if (error) throw toAuditError(error, 'editar respuestas');
+    return data;
+  }
+
+  /**
+   * Registro de auditoría, del más reciente al más antiguo
+   * @param {Object} [filters] - { from, to, action, actor, documento }
+   * @returns {Promise<{entries: Array, users: Map<string, Object>}>}
+   */
+  static async list({ from, to, action, actor, documento } = {}) {
+    let request = supabase
+      .from('auditoria_datos_individuales')
+      .select(AUDIT_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(AUDIT_PAGE_SIZE);
+
+    if (from) request = request.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+    if (to) request = request.lte('created_at', new Date(`${to}T23:59:59.999`).toISOString());
+    if (action) request = request.eq('accion', action);
+    if (actor?.trim()) request = request.ilike('actor_email', `%${actor.trim().replace(/[%_\\]/g, '\\$&')}%`);
+
+    if (documento?.trim()) {
+      const { data: subjects, error: subjectError } = await supabase
+        .from('usuarios')
+        .select('id')
+        .eq('documento', documento.trim());
+
+      if (subjectError) throw handleSupabaseError(subjectError, 'buscar titular');
+      if (!subjects?.length) return { entries: [], users: new Map() };
+      request = request.in('titular_id', subjects.map(subject => subject.id));
+    }
+
+    const { data, error } = await request;
+    if (error) throw handleSupabaseError(error, 'cargar auditoría');
+
+    const entries = data || [];
+    const ids = [...new Set(entries.map(entry => entry.titular_id).filter(Boolean))];
+    if (ids.length === 0) return { entries, users: new Map() };
+
+    const { data: users, error: usersError } = await supabase
+      .from('usuarios')
+      .select('id, nombre, documento')
+      .in('id', ids);
+
+    if (usersError) throw handleSupabaseError(usersError, 'cargar trabajadores auditados');
+    return { entries, users: new Map((users || []).map(user => [user.id, user])) };
+  }
+
+  /**
+   * Descarga el registro filtrado para una inspección
+   * @param {Array} entries
+   * @param {Map<string, Object>} users
+   */
+  static download(entries, users) {
+    const worksheet = utils.json_to_sheet(buildAuditSheetRows(entries, users));
+    const workbook = utils.book_new();
+    utils.book_append_sheet(workbook, worksheet, 'Auditoría');
+
+    writeFile(workbook, `auditoria_datos_individuales_${new Date().toISOString().slice(0, 10)}.xlsx`);
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,154 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { CAMPAIGN_STATUS, compareWaves, validateCampaign } from '../utils/campaigns';
+import { HIGH_RISK_BAND_KEYS, RISK_BAND_KEYS } from '../config/riskBands';
+import { SessionResultsService } from './SessionResultsService';
+import { COMPARISON_GROUPINGS } from './GroupComparisonService';
+
+const CAMPAIGN_COLUMNS = 'id, nombre, descripcion, fecha_inicio, fecha_fin, poblacion_objetivo, cuestionario_id, estado, anonima, created_at';
+
+/**
+ * Servicio de campañas (olas) de evaluación.
+ * Cada token y cada envío queda asociado a una campaña; el servidor resuelve la
+ * campaña de cada envío en `enviar_cuestionario`.
+ */
+export class CampaignService {
+  /**
+   * Campañas, de la más reciente a la más antigua
+   * @returns {Promise<Array>}
+   */
+  static async list() {
+    const { data, error } = await supabase
+      .from('campanas')
+      .select(CAMPAIGN_COLUMNS)
+      .order('fecha_inicio', { ascending: false });
+
+    if (error) throw handleSupabaseError(error, 'cargar campañas');
+    return data || [];
+  }
+
+  /**
+   * Campaña por id
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  static async getById(id) {
+    const { data, error } = await supabase
+      .from('campanas')
+      .select(CAMPAIGN_COLUMNS)
+      .eq('id', id)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'cargar campaña');
+    return data;
+  }
+
+  /**
+   * Crea una campaña (en borrador salvo que se indique otro estado)
+   * @param {Object} campaign
+   * @returns {Promise<Object>}
+   */
+  static async create(campaign) {
+    const row = { estado: CAMPAIGN_STATUS.BORRADOR, poblacion_objetivo: {}, anonima: false, ...campaign };
+    this.assertValid(row);
+
+    const { data, error } = await supabase
+      .from('campanas')
+      .insert([row])
+      .select(CAMPAIGN_COLUMNS)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'crear campaña');
+    return data;
+  }
+
+  /**
+   * Actualiza una campaña. El modo anónimo solo cambia mientras está en borrador
+   * @param {string} id
+   * @param {Object} campaign - Campaña completa con los cambios
+   * @returns {Promise<Object>}
+   */
+  static async update(id, campaign) {
+    this.assertValid(campaign);
+
+    const { nombre, descripcion, fecha_inicio, fecha_fin, poblacion_objetivo, cuestionario_id, estado, anonima } = campaign;
+    const { data, error } = await supabase
+      .from('campanas')
+      .update({ nombre, descripcion, fecha_inicio, fecha_fin, poblacion_objetivo, cuestionario_id, estado, anonima })
+      .eq('id', id)
+      .select(CAMPAIGN_COLUMNS)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'actualizar campaña');
+    return data;
+  }
+
+  /**
+   * Cambia el estado de una campaña (abrir, cerrar, volver a borrador)
+   * @param {string} id
+   * @param {string} estado - Valor de CAMPAIGN_STATUS
+   * @returns {Promise<Object>}
+   */
+  static async setStatus(id, estado) {
+    if (!Object.values(CAMPAIGN_STATUS).includes(estado)) {
+      throw new AppError(`Estado de campaña inválido: ${estado}`, ERROR_CODES.VALIDATION_ERROR, 400, { estado });
+    }
+
+    const { data, error } = await supabase
+      .from('campanas')
+      .update({ estado })
+      .eq('id', id)
+      .select(CAMPAIGN_COLUMNS)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'cambiar estado de la campaña');
+    return data;
+  }
+
+  /**
+   * @param {Object} campaign
+   * @throws {AppError} - Si la campaña no es válida
+   */
+  static assertValid(campaign) {
+    const errors = validateCampaign(campaign);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(', '), ERROR_CODES.VALIDATION_ERROR, 400, { errors });
+    }
+  }
+
+  /**
+   * Compara la distribución de riesgo de dos olas por grupo (último resultado
+   * de cada usuario dentro de cada campaña)
+   * @param {string} baselineId - Campaña de referencia (ola anterior)
+   * @param {string} currentId - Campaña a comparar
+   * @param {Object} [filters] - Filtros del dashboard (salvo la campaña)
+   * @param {string} [groupBy] - Clave de COMPARISON_GROUPINGS
+   * @returns {Promise<Object>} - Resultado de compareWaves más { groupLabel }
+   */
+  static async compareWaves(baselineId, currentId, filters = {}, groupBy = 'departamento') {
+    if (!COMPARISON_GROUPINGS[groupBy]) {
+      throw new AppError(`Agrupación no soportada: ${groupBy}`, ERROR_CODES.VALIDATION_ERROR, 400, { groupBy });
+    }
+
+    const loadWave = async (campanaId) => {
+      const results = await SessionResultsService.getLatestResultsByUser(
+        { ...filters, campanaId },
+        `id, ${groupBy}`
+      );
+      return results.map(row => ({
+        group: row.usuarios[groupBy],
+        level: SessionResultsService.classify(row).key,
+        value: Number(row.porcentaje_riesgo)
+      }));
+    };
+
+    const [baseline, current] = await Promise.all([loadWave(baselineId), loadWave(currentId)]);
+
+    return {
+      ...compareWaves(baseline, current, { levels: RISK_BAND_KEYS, highRiskLevels: HIGH_RISK_BAND_KEYS }),
+      groupLabel: COMPARISON_GROUPINGS[groupBy]
+    };
+  }
+}
+
+export default CampaignService;
@@ -0,0 +1,163 @@
+import { utils, writeFile } from 'xlsx';
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { DEFAULT_LANGUAGE } from '../i18n/languages';
+import { buildConsentReport, buildConsentSheetRows, validateConsentDraft } from '../utils/consent';
+import { getCampaignSlug } from '../utils/campaigns';
+import { InvitationService } from './InvitationService';
+import { SessionResultsService } from './SessionResultsService';
+
+// Tamaño de lote para filtros `in`
+const BATCH_SIZE = 200;
+
+const VERSION_COLUMNS = 'version, titulo, textos, cambios, publicado_en';
+
+/**
+ * Servicio del consentimiento informado: textos versionados, registro de la
+ * aceptación antes de responder e informe por campaña.
+ */
+export class ConsentService {
+  /**
+   * Texto vigente (la última versión publicada)
+   * @returns {Promise<Object|null>}
+   */
+  static async getCurrentVersion() {
+    const { data, error } = await supabase
+      .from('textos_consentimiento')
+      .select(VERSION_COLUMNS)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw handleSupabaseError(error, 'cargar el consentimiento vigente');
+    return data;
+  }
+
+  /**
+   * Historial de versiones, de la más reciente a la más antigua
+   * @returns {Promise<Array>}
+   */
+  static async listVersions() {
+    const { data, error } = await supabase
+      .from('textos_consentimiento')
+      .select(VERSION_COLUMNS)
+      .order('version', { ascending: false });
+
+    if (error) throw handleSupabaseError(error, 'cargar versiones del consentimiento');
+    return data || [];
+  }
+
+  /**
+   * Publica una versión nueva; pasa a ser la vigente para quien responda desde ahora
+   * @param {Object} draft - { titulo, textos: { es, en, pt }, cambios }
+   * @returns {Promise<Object>} - Versión publicada
+   */
+  static async publishVersion(draft) {
+    const current = await this.getCurrentVersion();
+    const errors = validateConsentDraft(draft, current);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(', '), ERROR_CODES.VALIDATION_ERROR, 400, { errors });
+    }
+
+    // Las traducciones vacías no se guardan: se mostrará el texto en español
+    const textos = Object.entries(draft.textos).reduce((acc, [language, text]) => {
+      if (text?.trim()) acc[language] = text.trim();
+      return acc;
+    }, {});
+
+    const { data, error } = await supabase
+      .from('textos_consentimiento')
+      .insert({ titulo: draft.titulo.trim(), textos, cambios: draft.cambios.trim() })
+      .select(VERSION_COLUMNS)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'publicar consentimiento');
+    return data;
+  }
+
+  /**
+   * Registra la aceptación de una versión y, en la misma transacción, crea o
+   * actualiza al trabajador con los datos del formulario
+   * (`aceptar_consentimiento_participante`). Antes de aceptar no se guarda nada.
+   * Falla con el hint `consentimiento_desactualizado` si se publicó otra mientras la leía.
+   * @param {Object} params
+   * @param {Object} params.form - Datos de MultiStepForm
+   * @param {number} params.version - Versión mostrada
+   * @param {string} [params.token] - Token de la invitación, si lo hay
+   * @param {string} [params.language]
+   * @returns {Promise<Object>} - { usuario: { id, nombre, metadata }, consentimiento }
+   */
+  static async accept({ form, version, token = null, language = DEFAULT_LANGUAGE }) {
+    const { data, error } = await supabase.rpc('aceptar_consentimiento_participante', {
+      p_version: version,
+      p_datos: form,
+      p_token: token,
+      p_idioma: language
+    });
+
+    if (error) throw SessionResultsService.toSubmissionError(error);
+    return data;
+  }
+
+  /**
+   * Estado del consentimiento de los invitados y participantes de una campaña
+   * @param {string} campaignId
+   * @returns {Promise<Object>} - Resultado de buildConsentReport más { currentVersion }
+   */
+  static async getCampaignReport(campaignId) {
+    const [invitations, current, consentsResult, resultsResult] = await Promise.all([
+      InvitationService.listTokens(campaignId),
+      this.getCurrentVersion(),
+      supabase
+        .from('consentimientos')
+        .select('usuario_id, version, idioma, aceptado_en')
+        .eq('campana_id', campaignId),
+      supabase
+        .from('resultados_sesion')
+        .select('usuario_id')
+        .eq('campana_id', campaignId)
+    ]);
+
+    if (consentsResult.error) throw handleSupabaseError(consentsResult.error, 'cargar consentimientos');
+    if (resultsResult.error) throw handleSupabaseError(resultsResult.error, 'cargar participantes de la campaña');
+
+    const consents = consentsResult.data || [];
+    const respondents = [...new Set((resultsResult.data || []).map(row => row.usuario_id))];
+
+    // Quien respondió sin invitación (acceso directo o quiosco) no viene en los tokens
+    const invited = new Set(invitations.map(token => token.user_id));
+    const missing = [...new Set([...consents.map(row => row.usuario_id), ...respondents])]
+      .filter(userId => !invited.has(userId));
+
+    const users = new Map();
+    for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('usuarios')
+        .select('id, nombre, documento, email, departamento, cargo')
+        .in('id', missing.slice(start, start + BATCH_SIZE));
+
+      if (error) throw handleSupabaseError(error, 'cargar participantes de la campaña');
+      (data || []).forEach(user => users.set(user.id, user));
+    }
+
+    return {
+      ...buildConsentReport({ invitations, consents, respondents, users, currentVersion: current?.version }),
+      currentVersion: current?.version ?? null
+    };
+  }
+
+  /**
+   * Descarga el informe de consentimiento de una campaña
+   * @param {Array} rows - Filas de getCampaignReport
+   * @param {Object} campaign
+   */
+  static downloadCampaignReport(rows, campaign) {
+    const worksheet = utils.json_to_sheet(buildConsentSheetRows(rows));
+    const workbook = utils.book_new();
+    utils.book_append_sheet(workbook, worksheet, 'Consentimientos');
+
+    writeFile(workbook, `consentimientos_${getCampaignSlug(campaign)}.xlsx`);
+  }
+}
+
+export default ConsentService;
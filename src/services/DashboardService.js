@@ -1,4 +1,9 @@
 import { supabase } from '../api/supabase.js';
+import { classifyRiskPercentage } from '../config/riskBands.js';
+import { MERGED_GROUP_LABEL, anonymizeGroupMap } from '../config/anonymity.js';
+import { SessionResultsService } from './SessionResultsService.js';
+import { calculateGroupFactorScores } from '../utils/ghq12Calculator.js';
+import { getCurrentInstrument, getFactorModels, getItemKey } from '../data/instruments/index.js';
 
 class DashboardService {
   
@@ -342,11 +347,13 @@ class DashboardService {
             count: 0,
             totalGHQ: 0,
             totalRisk: 0,
+            usuarios: new Set(),
             responses: []
           };
         }
         
         departmentStats[dept].count++;
+        departmentStats[dept].usuarios.add(response.usuarios.id);
         
         if (response.puntaje_normalizado !== null && response.puntaje_normalizado !== undefined) {
           departmentStats[dept].totalGHQ += parseFloat(response.puntaje_normalizado);
@@ -360,9 +367,12 @@ class DashboardService {
       }
     });
 
+    this.anonymizeSegments(departmentStats);
+
     // Calcular promedios
     Object.keys(departmentStats).forEach(dept => {
       const stats = departmentStats[dept];
+      stats.respondents = stats.usuarios.size;
       stats.averageGHQ = stats.count > 0 ? parseFloat((stats.totalGHQ / stats.count).toFixed(2)) : 0;
       stats.averageRisk = stats.count > 0 ? parseFloat((stats.totalRisk / stats.count).toFixed(2)) : 0;
       
@@ -373,15 +383,40 @@ class DashboardService {
       
       stats.riskDistribution = this.calculateRiskDistribution(riskScores);
       
+      // Subescalas por modelo factorial (ansiedad-depresión, disfunción social, ...)
+      stats.factorScores = this.calculateFactorScores(stats.responses);
+      
       // Eliminar respuestas individuales para optimizar memoria
       delete stats.responses;
       delete stats.totalGHQ;
       delete stats.totalRisk;
+      delete stats.usuarios;
     });
 
     return departmentStats;
   }
 
+  /**
+   * Subescalas promedio de un conjunto de filas de respuestas, para cada modelo factorial.
+   * Las filas se agrupan por sesión; las sesiones incompletas no se puntúan.
+   */
+  calculateFactorScores(responses) {
+    const sessions = new Map();
+    responses.forEach(row => {
+      if (!row.sesion_id) return;
+      if (!sessions.has(row.sesion_id)) {
+        sessions.set(row.sesion_id, { responses: {}, cuestionario_id: row.cuestionario_id });
+      }
+      sessions.get(row.sesion_id).responses[getItemKey(row.pregunta_id)] = Number(row.respuesta);
+    });
+
+    const participants = [...sessions.values()];
+    return getFactorModels(getCurrentInstrument()).reduce((acc, model) => {
+      acc[model.key] = calculateGroupFactorScores(participants, model.key);
+      return acc;
+    }, {});
+  }
+
   /**
    * Segmentar datos por turno
    */
@@ -396,11 +431,13 @@ class DashboardService {
           shiftStats[shift] = {
             count: 0,
             totalGHQ: 0,
-            totalRisk: 0
+            totalRisk: 0,
+            usuarios: new Set()
           };
         }
         
         shiftStats[shift].count++;
+        shiftStats[shift].usuarios.add(response.usuarios.id);
         
         if (response.puntaje_normalizado !== null && response.puntaje_normalizado !== undefined) {
           shiftStats[shift].totalGHQ += parseFloat(response.puntaje_normalizado);
@@ -412,14 +449,18 @@ class DashboardService {
       }
     });
 
+    this.anonymizeSegments(shiftStats);
+
     // Calcular promedios
     Object.keys(shiftStats).forEach(shift => {
       const stats = shiftStats[shift];
+      stats.respondents = stats.usuarios.size;
       stats.averageGHQ = stats.count > 0 ? parseFloat((stats.totalGHQ / stats.count).toFixed(2)) : 0;
       stats.averageRisk = stats.count > 0 ? parseFloat((stats.totalRisk / stats.count).toFixed(2)) : 0;
       
       delete stats.totalGHQ;
       delete stats.totalRisk;
+      delete stats.usuarios;
     });
 
     return shiftStats;
@@ -439,11 +480,13 @@ class DashboardService {
           genderStats[gender] = {
             count: 0,
             totalGHQ: 0,
-            totalRisk: 0
+            totalRisk: 0,
+            usuarios: new Set()
           };
         }
         
         genderStats[gender].count++;
+        genderStats[gender].usuarios.add(response.usuarios.id);
         
         if (response.puntaje_normalizado !== null && response.puntaje_normalizado !== undefined) {
           genderStats[gender].totalGHQ += parseFloat(response.puntaje_normalizado);
@@ -455,14 +498,18 @@ class DashboardService {
       }
     });
 
+    this.anonymizeSegments(genderStats);
+
     // Calcular promedios
     Object.keys(genderStats).forEach(gender => {
       const stats = genderStats[gender];
+      stats.respondents = stats.usuarios.size;
       stats.averageGHQ = stats.count > 0 ? parseFloat((stats.totalGHQ / stats.count).toFixed(2)) : 0;
       stats.averageRisk = stats.count > 0 ? parseFloat((stats.totalRisk / stats.count).toFixed(2)) : 0;
       
       delete stats.totalGHQ;
       delete stats.totalRisk;
+      delete stats.usuarios;
     });
 
     return genderStats;
@@ -482,11 +529,13 @@ class DashboardService {
           positionStats[position] = {
             count: 0,
             totalGHQ: 0,
-            totalRisk: 0
+            totalRisk: 0,
+            usuarios: new Set()
           };
         }
         
         positionStats[position].count++;
+        positionStats[position].usuarios.add(response.usuarios.id);
         
         if (response.puntaje_normalizado !== null && response.puntaje_normalizado !== undefined) {
           positionStats[position].totalGHQ += parseFloat(response.puntaje_normalizado);
@@ -498,14 +547,18 @@ class DashboardService {
       }
     });
 
+    this.anonymizeSegments(positionStats);
+
     // Calcular promedios
     Object.keys(positionStats).forEach(position => {
       const stats = positionStats[position];
+      stats.respondents = stats.usuarios.size;
       stats.averageGHQ = stats.count > 0 ? parseFloat((stats.totalGHQ / stats.count).toFixed(2)) : 0;
       stats.averageRisk = stats.count > 0 ? parseFloat((stats.totalRisk / stats.count).toFixed(2)) : 0;
       
       delete stats.totalGHQ;
       delete stats.totalRisk;
+      delete stats.usuarios;
     });
 
     return positionStats;
@@ -516,10 +569,10 @@ class DashboardService {
    */
   segmentBySeniority(responses) {
     const seniorityStats = {
-      '0-1 años': { count: 0, totalGHQ: 0, totalRisk: 0 },
-      '1-3 años': { count: 0, totalGHQ: 0, totalRisk: 0 },
-      '3-5 años': { count: 0, totalGHQ: 0, totalRisk: 0 },
-      '5+ años': { count: 0, totalGHQ: 0, totalRisk: 0 }
+      '0-1 años': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() },
+      '1-3 años': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() },
+      '3-5 años': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() },
+      '5+ años': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() }
     };
     
     responses.forEach(response => {
@@ -533,6 +586,7 @@ class DashboardService {
         else category = '5+ años';
         
         seniorityStats[category].count++;
+        seniorityStats[category].usuarios.add(response.usuarios.id);
         
         if (response.puntaje_normalizado !== null && response.puntaje_normalizado !== undefined) {
           seniorityStats[category].totalGHQ += parseFloat(response.puntaje_normalizado);
@@ -544,14 +598,18 @@ class DashboardService {
       }
     });
 
+    this.anonymizeSegments(seniorityStats);
+
     // Calcular promedios
     Object.keys(seniorityStats).forEach(category => {
       const stats = seniorityStats[category];
+      stats.respondents = stats.usuarios.size;
       stats.averageGHQ = stats.count > 0 ? parseFloat((stats.totalGHQ / stats.count).toFixed(2)) : 0;
       stats.averageRisk = stats.count > 0 ? parseFloat((stats.totalRisk / stats.count).toFixed(2)) : 0;
       
       delete stats.totalGHQ;
       delete stats.totalRisk;
+      delete stats.usuarios;
     });
 
     return seniorityStats;
@@ -562,10 +620,10 @@ class DashboardService {
    */
   segmentByAge(responses) {
     const ageStats = {
-      '18-25': { count: 0, totalGHQ: 0, totalRisk: 0 },
-      '26-35': { count: 0, totalGHQ: 0, totalRisk: 0 },
-      '36-45': { count: 0, totalGHQ: 0, totalRisk: 0 },
-      '46+': { count: 0, totalGHQ: 0, totalRisk: 0 }
+      '18-25': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() },
+      '26-35': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() },
+      '36-45': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() },
+      '46+': { count: 0, totalGHQ: 0, totalRisk: 0, usuarios: new Set() }
     };
     
     responses.forEach(response => {
@@ -579,6 +637,7 @@ class DashboardService {
         else category = '46+';
         
         ageStats[category].count++;
+        ageStats[category].usuarios.add(response.usuarios.id);
         
         if (response.puntaje_normalizado !== null && response.puntaje_normalizado !== undefined) {
           ageStats[category].totalGHQ += parseFloat(response.puntaje_normalizado);
@@ -590,19 +649,50 @@ class DashboardService {
       }
     });
 
+    this.anonymizeSegments(ageStats);
+
     // Calcular promedios
     Object.keys(ageStats).forEach(category => {
       const stats = ageStats[category];
+      stats.respondents = stats.usuarios.size;
       stats.averageGHQ = stats.count > 0 ? parseFloat((stats.totalGHQ / stats.count).toFixed(2)) : 0;
       stats.averageRisk = stats.count > 0 ? parseFloat((stats.totalRisk / stats.count).toFixed(2)) : 0;
       
       delete stats.totalGHQ;
       delete stats.totalRisk;
+      delete stats.usuarios;
     });
 
     return ageStats;
   }
 
+  /**
+   * Aplica el umbral de anonimato a segmentos aún sin promediar: los que no
+   * llegan al mínimo de participantes (y los necesarios por supresión
+   * complementaria) se suman en un único segmento "Otros grupos".
+   * Modifica el objeto recibido.
+   */
+  anonymizeSegments(segmentStats) {
+    const { byGroup, suppressedGroups } = anonymizeGroupMap(
+      segmentStats,
+      stats => stats.usuarios.size,
+      segments => segments.reduce((merged, stats) => ({
+        count: merged.count + stats.count,
+        totalGHQ: merged.totalGHQ + stats.totalGHQ,
+        totalRisk: merged.totalRisk + stats.totalRisk,
+        usuarios: new Set([...merged.usuarios, ...stats.usuarios]),
+        ...(merged.responses && { responses: merged.responses.concat(stats.responses) })
+      }))
+    );
+
+    suppressedGroups.forEach(group => delete segmentStats[group]);
+    if (byGroup[MERGED_GROUP_LABEL]) {
+      segmentStats[MERGED_GROUP_LABEL] = { ...byGroup[MERGED_GROUP_LABEL], mergedGroups: suppressedGroups };
+    }
+
+    return segmentStats;
+  }
+
   /**
    * Calcular distribución de riesgo basado en GHQ-12
    */
@@ -611,18 +701,12 @@ class DashboardService {
       return { bajo: 0, moderado: 0, alto: 0, muyAlto: 0 };
     }
 
-    const distribution = {
-      bajo: 0,      // GHQ 0-1
-      moderado: 0,  // GHQ 2-3
-      alto: 0,      // GHQ 4-6
-      muyAlto: 0    // GHQ 7+
-    };
+    // Misma clasificación que badges y heatmaps (registro de bandas de riesgo)
+    const distribution = { bajo: 0, moderado: 0, alto: 0, muyAlto: 0 };
+    const bucketByKey = { bajo: 'bajo', moderado: 'moderado', alto: 'alto', muy_alto: 'muyAlto' };
 
     scores.forEach(score => {
-      if (score <= 1) distribution.bajo++;
-      else if (score <= 3) distribution.moderado++;
-      else if (score <= 6) distribution.alto++;
-      else distribution.muyAlto++;
+      distribution[bucketByKey[classifyRiskPercentage(score).key]]++;
     });
 
     // Convertir a porcentajes
@@ -644,7 +728,13 @@ class DashboardService {
         const isUsersTable = tableName === 'usuarios';
 
         // Manejar filtros especiales
-        if (key === 'ageRange' && Array.isArray(value) && value.length === 2) {
+        if (key === 'excludeFlagged') {
+          // Sesiones con alertas de calidad sin aprobar o excluidas en la revisión
+          if (!isUsersTable) query = query.eq('marcada_calidad', false);
+        } else if (key === 'campanaId') {
+          // Ola de evaluación; los usuarios no pertenecen a una campaña
+          if (!isUsersTable) query = query.eq('campana_id', value);
+        } else if (key === 'ageRange' && Array.isArray(value) && value.length === 2) {
           const ageColumn = isUsersTable ? 'edad' : 'usuarios.edad';
           query = query
             .gte(ageColumn, value[0])
@@ -753,11 +843,13 @@ class DashboardService {
     console.log('🔍 DashboardService.getTimeTrends - Iniciando con filtros:', filters);
 
     try {
+      // Un resultado calculado por sesión de respuesta
       let query = supabase
-        .from('respuestas_cuestionario')
+        .from('resultados_sesion')
         .select(`
-          fecha_respuesta,
-          puntaje_normalizado,
+          fecha_completado,
+          metodo_puntuacion,
+          puntaje_total,
           porcentaje_riesgo,
           usuarios!inner(
             id,
@@ -767,15 +859,12 @@ class DashboardService {
             genero
           )
         `)
-        .not('fecha_respuesta', 'is', null)
-        .not('puntaje_normalizado', 'is', null)
-        .not('porcentaje_riesgo', 'is', null)
-        .order('fecha_respuesta', { ascending: true });
+        .order('fecha_completado', { ascending: true });
 
       console.log('📊 DashboardService.getTimeTrends - Query construida');
 
       // Aplicar filtros
-      query = this.applyFilters(query, filters, 'respuestas_cuestionario');
+      query = this.applyFilters(query, filters, 'resultados_sesion');
 
       console.log('🔎 DashboardService.getTimeTrends - Ejecutando query...');
       const { data, error } = await query;
@@ -799,7 +888,7 @@ class DashboardService {
       const weeklyData = {};
 
       data.forEach(response => {
-        const fecha = new Date(response.fecha_respuesta);
+        const fecha = new Date(response.fecha_completado);
         // Calcular semana del año (YYYY-Www)
         const year = fecha.getFullYear();
         const weekNumber = this.getWeekNumber(fecha);
@@ -817,15 +906,15 @@ class DashboardService {
           };
         }
 
-        const puntaje = parseFloat(response.puntaje_normalizado);
+        const puntaje = parseFloat(response.puntaje_total);
         const riesgo = parseFloat(response.porcentaje_riesgo);
 
         weeklyData[semana].totalPuntaje += puntaje;
         weeklyData[semana].totalRiesgo += riesgo;
         weeklyData[semana].count += 1;
 
-        // Contar respuestas de alto riesgo (>= 80%)
-        if (riesgo >= 80) {
+        // Contar sesiones en la banda de riesgo muy alto
+        if (SessionResultsService.classify(response).key === 'muy_alto') {
           weeklyData[semana].altoRiesgoCount += 1;
         }
       });
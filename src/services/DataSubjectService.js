@@ -0,0 +1,243 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { EXPORT_SECTIONS, buildSubjectExport, parseSubjectQuery } from '../utils/dataSubject';
+
+const USER_COLUMNS = 'id, nombre, documento, email, cargo, departamento, area_macro, activo';
+
+const REQUEST_COLUMNS = 'id, tipo, modo, usuario_id, referencia, verificacion, detalle, atendido_por, created_at';
+
+const AUDIT_COLUMNS = 'accion, recurso, registro_id, campos, actor_email, motivo, origen, created_at';
+
+// Márgenes y tipografía del PDF de exportación (mm)
+const PDF_LAYOUT = { margin: 15, lineHeight: 4.5, pageHeight: 297, pageWidth: 210 };
+
+// Mensajes para los hints de sql/V18__create_derechos_titular.sql
+const REQUEST_ERRORS = {
+  verificacion_requerida: 'Indica cómo se verificó la identidad del titular',
+  titular_no_encontrado: 'El trabajador ya no existe',
+  confirmacion_invalida: 'El documento de confirmación no coincide con el del titular',
+  rectificacion_invalida: 'Los cambios no son válidos',
+  supresion_invalida: 'Modo de supresión no soportado',
+  pepper_no_configurado: 'Falta configurar la clave de las huellas de documento en el servidor'
+};
+
+const toRequestError = (error, action) => {
+  const message = REQUEST_ERRORS[error?.hint];
+  if (message) return new AppError(message, ERROR_CODES.VALIDATION_ERROR, 400, { hint: error.hint });
+  return handleSupabaseError(error, action);
+};
+
+const formatPdfValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const subjectFileName = (exported, extension) => {
+  const date = exported.generado_en.slice(0, 10);
+  return `datos_titular_${exported.titular.documento}_${date}.${extension}`;
+};
+
+/**
+ * Servicio de los derechos del titular: búsqueda, exportación completa,
+ * rectificación y supresión verificada. Cada solicitud atendida deja un recibo.
+ */
+export class DataSubjectService {
+  /**
+   * Trabajadores que coinciden con un documento o correo
+   * @param {string} query
+   * @returns {Promise<Array>}
+   */
+  static async findSubjects(query) {
+    const parsed = parseSubjectQuery(query);
+    if (!parsed) return [];
+
+    let request = supabase.from('usuarios').select(USER_COLUMNS);
+    request = parsed.field === 'email'
+      ? request.ilike('email', parsed.value.replace(/[%_\\]/g, '\\$&'))
+      : request.eq('documento', parsed.value);
+
+    const { data, error } = await request.order('nombre');
+    if (error) throw handleSupabaseError(error, 'buscar titular');
+    return data || [];
+  }
+
+  /**
+   * Reúne todo lo que se guarda sobre un trabajador
+   * @param {string} userId
+   * @returns {Promise<Object>} - Resultado de buildSubjectExport
+   */
+  static async buildExport(userId) {
+    const byUser = (table, column = 'usuario_id') => supabase.from(table).select('*').eq(column, userId);
+
+    const [
+      usuario, respuestas, resultados, tokens, consentimientos, envios, borradores, solicitudes, auditoria
+    ] = await Promise.all([
+      supabase.from('usuarios').select('*').eq('id', userId).maybeSingle(),
+      byUser('respuestas_cuestionario'),
+      byUser('resultados_sesion'),
+      byUser('tokens_acceso', 'user_id'),
+      byUser('consentimientos'),
+      byUser('envios_mensaje', 'user_id'),
+      byUser('borradores_cuestionario'),
+      supabase.from('solicitudes_titular').select(REQUEST_COLUMNS).eq('usuario_id', userId),
+      supabase.from('auditoria_datos_individuales').select(AUDIT_COLUMNS).eq('titular_id', userId)
+    ]);
+
+    const failed = [usuario, respuestas, resultados, tokens, consentimientos, envios, borradores, solicitudes, auditoria]
+      .find(result => result.error);
+    if (failed) throw handleSupabaseError(failed.error, 'reunir los datos del titular');
+    if (!usuario.data) throw new AppError('El trabajador ya no existe', ERROR_CODES.NOT_FOUND, 404, { userId });
+
+    return buildSubjectExport({
+      usuario: usuario.data,
+      respuestas: respuestas.data,
+      resultados: resultados.data,
+      tokens: tokens.data,
+      consentimientos: consentimientos.data,
+      envios: envios.data,
+      borradores: borradores.data,
+      solicitudes: solicitudes.data,
+      auditoria: auditoria.data
+    });
+  }
+
+  /**
+   * Recibo de una exportación entregada al titular
+   * @param {Object} exported - Resultado de buildExport
+   * @param {Object} request - { referencia, verificacion }
+   * @returns {Promise<Object>} - Recibo
+   */
+  static async logAccess(exported, { referencia, verificacion }) {
+    const { data, error } = await supabase.rpc('registrar_acceso_titular', {
+      p_usuario_id: exported.titular.id,
+      p_referencia: referencia?.trim() || null,
+      p_verificacion: verificacion,
+      p_detalle: exported.resumen
+    });
+
+    if (error) throw toRequestError(error, 'registrar la exportación');
+    return data;
+  }
+
+  /**
+   * Descarga la exportación en JSON
+   * @param {Object} exported
+   */
+  static downloadJson(exported) {
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = subjectFileName(exported, 'json');
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Descarga la exportación en PDF: la ficha del trabajador y una sección por tabla
+   * @param {Object} exported
+   */
+  static async downloadPdf(exported) {
+    // Se carga bajo demanda para no engordar el paquete del panel
+    const { jsPDF } = await import('jspdf');
+    const { margin, lineHeight, pageHeight, pageWidth } = PDF_LAYOUT;
+    const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+    const width = pageWidth - margin * 2;
+    let cursor = margin;
+
+    const write = (text, { bold = false, size = 9, indent = 0 } = {}) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(size);
+      doc.splitTextToSize(text, width - indent).forEach((line) => {
+        if (cursor > pageHeight - margin) {
+          doc.addPage();
+          cursor = margin;
+        }
+        doc.text(line, margin + indent, cursor);
+        cursor += lineHeight;
+      });
+    };
+
+    write('Datos personales registrados', { bold: true, size: 14 });
+    write(`Generado el ${new Date(exported.generado_en).toLocaleString('es-ES')}`);
+    cursor += 2;
+
+    write('Ficha del trabajador', { bold: true, size: 11 });
+    Object.entries(exported.titular).forEach(([field, value]) => write(`${field}: ${formatPdfValue(value)}`, { indent: 2 }));
+
+    EXPORT_SECTIONS.forEach(({ key, title }) => {
+      const rows = exported[key] || [];
+      cursor += 2;
+      write(`${title} (${rows.length})`, { bold: true, size: 11 });
+      if (rows.length === 0) write('Sin registros', { indent: 2 });
+
+      rows.forEach((row, index) => {
+        write(`${index + 1}.`, { bold: true, indent: 2 });
+        Object.entries(row).forEach(([field, value]) => write(`${field}: ${formatPdfValue(value)}`, { indent: 6 }));
+      });
+    });
+
+    doc.save(subjectFileName(exported, 'pdf'));
+  }
+
+  /**
+   * Corrige datos del trabajador (`rectificar_titular`)
+   * @param {string} userId
+   * @param {Object} changes - Resultado de getRectificationChanges
+   * @param {Object} request - { referencia, verificacion }
+   * @returns {Promise<Object>} - Recibo
+   */
+  static async rectify(userId, changes, { referencia, verificacion }) {
+    if (Object.keys(changes).length === 0) {
+      throw new AppError('No hay cambios que guardar', ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    const { data, error } = await supabase.rpc('rectificar_titular', {
+      p_usuario_id: userId,
+      p_cambios: changes,
+      p_referencia: referencia?.trim() || null,
+      p_verificacion: verificacion
+    });
+
+    if (error) throw toRequestError(error, 'rectificar los datos');
+    return data;
+  }
+
+  /**
+   * Suprime los datos del trabajador (`suprimir_titular`)
+   * @param {string} userId
+   * @param {Object} request - { mode, confirmation, referencia, verificacion }
+   * @returns {Promise<Object>} - Recibo con las filas afectadas en `detalle`
+   */
+  static async erase(userId, { mode, confirmation, referencia, verificacion }) {
+    const { data, error } = await supabase.rpc('suprimir_titular', {
+      p_usuario_id: userId,
+      p_modo: mode,
+      p_confirmacion_documento: confirmation,
+      p_referencia: referencia?.trim() || null,
+      p_verificacion: verificacion
+    });
+
+    if (error) throw toRequestError(error, 'suprimir los datos');
+    return data;
+  }
+
+  /**
+   * Recibos de las solicitudes atendidas, de la más reciente a la más antigua
+   * @param {number} [limit]
+   * @returns {Promise<Array>}
+   */
+  static async listRequests(limit = 50) {
+    const { data, error } = await supabase
+      .from('solicitudes_titular')
+      .select(REQUEST_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw handleSupabaseError(error, 'cargar solicitudes del titular');
+    return data || [];
+  }
+}
+
+export default DataSubjectService;
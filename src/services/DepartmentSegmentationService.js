@@ -1,5 +1,6 @@
 import { supabase } from '../api/supabase.js';
 import { analyzeGHQ12, calculateGroupMetrics, GHQ12_CONFIG } from '../utils/ghq12Calculator.js';
+import { MERGED_GROUP_LABEL, anonymizeCounts, applyAnonymityThreshold, getMinGroupSize } from '../config/anonymity.js';
 
 /**
  * Servicio para segmentación avanzada de datos por departamento
@@ -16,7 +17,6 @@ export class DepartmentSegmentationService {
   
   static VALIDATION_RULES = {
     MIN_RESPONSES_PER_USER: 12, // Mínimo 12 respuestas (cuestionario completo)
-    MIN_USERS_PER_DEPARTMENT: 3, // Mínimo 3 usuarios por departamento para análisis válido
     MAX_RESPONSE_VALUE: 3, // Valor máximo válido para respuestas GHQ-12
     MIN_RESPONSE_VALUE: 0, // Valor mínimo válido para respuestas GHQ-12
     REQUIRED_DEMOGRAPHIC_FIELDS: ['departamento', 'cargo'] // Campos demográficos requeridos
@@ -62,13 +62,14 @@ export class DepartmentSegmentationService {
   }
 
   /**
-   * Valida si un departamento tiene suficientes datos para análisis
+   * Valida si un departamento alcanza el umbral de anonimato (config/anonymity)
    */
   static validateDepartmentData(departmentData) {
-    if (departmentData.length < this.VALIDATION_RULES.MIN_USERS_PER_DEPARTMENT) {
+    const minGroupSize = getMinGroupSize();
+    if (departmentData.length < minGroupSize) {
       return { 
         isValid: false, 
-        reason: `Departamento con pocos participantes: ${departmentData.length} (mínimo ${this.VALIDATION_RULES.MIN_USERS_PER_DEPARTMENT})` 
+        reason: `Departamento con pocos participantes: ${departmentData.length} (mínimo ${minGroupSize})` 
       };
     }
 
@@ -160,6 +161,7 @@ export class DepartmentSegmentationService {
         departments: departmentMetrics,
         summary: this.generateSummary(departmentMetrics),
         validation: this.generateValidationReport(validatedData),
+        anonymity: this.anonymityReport,
         filters: filters,
         timestamp: new Date().toISOString(),
         performance: {
@@ -293,16 +295,22 @@ export class DepartmentSegmentationService {
       return groups;
     }, {});
 
-    // Filtrar departamentos con datos insuficientes
-    const validDepartments = {};
-    Object.entries(departmentGroups).forEach(([dept, data]) => {
-      const validation = this.validateDepartmentData(data);
-      if (validation.isValid) {
-        validDepartments[dept] = data;
-      }
+    // Los departamentos bajo el umbral de anonimato (y los necesarios para que
+    // no se deduzcan de los totales) se analizan juntos como "Otros grupos"
+    const { groups, suppressed, merged, threshold } = applyAnonymityThreshold(Object.entries(departmentGroups), {
+      getKey: ([dept]) => dept,
+      getSize: ([, data]) => data.length,
+      merge: entries => [MERGED_GROUP_LABEL, entries.flatMap(([, data]) => data)]
     });
 
-    return validDepartments;
+    const suppressedNames = suppressed.map(([dept]) => dept);
+    this.anonymityReport = {
+      umbral: threshold,
+      departamentos_combinados: merged ? suppressedNames : [],
+      departamentos_ocultos: merged ? [] : suppressedNames
+    };
+
+    return Object.fromEntries(groups);
   }
 
   /**
@@ -363,11 +371,13 @@ export class DepartmentSegmentationService {
    * Calcula distribución por campo
    */
   static calculateDistribution(data, field) {
-    const distribution = {};
+    const counts = {};
     data.forEach(item => {
       const value = item[field] || 'Sin especificar';
-      distribution[value] = (distribution[value] || 0) + 1;
+      counts[value] = (counts[value] || 0) + 1;
     });
+    // Dentro de un departamento, una única persona del turno noche también sería identificable
+    const distribution = anonymizeCounts(counts);
 
     // Convertir a porcentajes
     const total = data.length;
@@ -410,18 +420,19 @@ export class DepartmentSegmentationService {
         ageRanges['56+']++;
       }
     });
+    const counts = anonymizeCounts(ageRanges);
 
     // Convertir a porcentajes
     const total = data.length;
-    Object.keys(ageRanges).forEach(range => {
-      const count = ageRanges[range];
-      ageRanges[range] = {
+    Object.keys(counts).forEach(range => {
+      const count = counts[range];
+      counts[range] = {
         count,
         percentage: Math.round((count / total) * 100 * 100) / 100
       };
     });
 
-    return ageRanges;
+    return counts;
   }
 
   /**
@@ -0,0 +1,97 @@
+import { supabase } from '../api/supabase';
+import { handleSupabaseError } from '../utils/errorHandling';
+import { getCurrentInstrument } from '../data/instruments';
+import { countDraftsBy, toDraftAnswers } from '../utils/questionnaireDrafts';
+
+/**
+ * Servicio de borradores del cuestionario (tabla `borradores_cuestionario`).
+ * El cuestionario guarda y recupera su borrador con las funciones
+ * `guardar_borrador` y `obtener_borrador`; el panel solo consulta conteos.
+ */
+export class DraftService {
+  /**
+   * Guarda las respuestas dadas hasta ahora. Con token, el servidor puede
+   * devolver otra sesión (la del borrador ya existente) que el cliente debe adoptar.
+   * @param {Object} params
+   * @param {string} params.sessionId
+   * @param {string} params.userId
+   * @param {Object} params.answers - { [questionId]: valor }
+   * @param {string} [params.token]
+   * @param {number} [params.version] - Orden de los guardados (ms del cliente)
+   * @param {Object} [params.instrument]
+   * @returns {Promise<{ sesion_id: string, version: number }>}
+   */
+  static async saveDraft({
+    sessionId,
+    userId,
+    answers,
+    token = null,
+    version = Date.now(),
+    instrument = getCurrentInstrument()
+  }) {
+    const { data, error } = await supabase.rpc('guardar_borrador', {
+      p_sesion_id: sessionId,
+      p_usuario_id: userId,
+      p_cuestionario_id: instrument.id,
+      p_respuestas: toDraftAnswers(answers),
+      p_version: version,
+      p_token: token || null
+    });
+
+    if (error) throw handleSupabaseError(error, 'guardar borrador');
+    return data;
+  }
+
+  /**
+   * Borrador sin enviar de un token pendiente o, sin token, de una sesión
+   * @param {Object} params
+   * @param {string} [params.token]
+   * @param {string} [params.sessionId]
+   * @returns {Promise<Object|null>} - Fila de obtener_borrador
+   */
+  static async getDraft({ token = null, sessionId = null }) {
+    if (!token && !sessionId) return null;
+
+    const { data, error } = await supabase.rpc('obtener_borrador', {
+      p_token: token || null,
+      p_sesion_id: token ? null : sessionId
+    });
+
+    if (error) throw handleSupabaseError(error, 'cargar borrador');
+    return data?.[0] || null;
+  }
+
+  /**
+   * Cuestionarios empezados y sin enviar, por campaña. Los del acceso directo
+   * cuentan en la campaña vigente del trabajador (V22)
+   * @returns {Promise<Map<string, number>>}
+   */
+  static async getInProgressCounts() {
+    const { data, error } = await supabase
+      .from('borradores_cuestionario')
+      .select('campana_id')
+      .is('completado_en', null)
+      .not('campana_id', 'is', null);
+
+    if (error) throw handleSupabaseError(error, 'contar cuestionarios en curso');
+    return countDraftsBy(data, 'campana_id');
+  }
+
+  /**
+   * Avance de los cuestionarios en curso de una campaña, por token
+   * @param {string} campaignId
+   * @returns {Promise<Map<string, { respondidas: number, actualizado_en: string }>>}
+   */
+  static async getInProgressByToken(campaignId) {
+    const { data, error } = await supabase
+      .from('borradores_cuestionario')
+      .select('token, respondidas, actualizado_en')
+      .eq('campana_id', campaignId)
+      .is('completado_en', null);
+
+    if (error) throw handleSupabaseError(error, 'cargar cuestionarios en curso');
+    return new Map((data || []).filter(row => row.token).map(row => [row.token, row]));
+  }
+}
+
+export default DraftService;
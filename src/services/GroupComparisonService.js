@@ -0,0 +1,52 @@
+import { SessionResultsService } from './SessionResultsService';
+import { compareGroups } from '../utils/groupComparison';
+import { RISK_BAND_KEYS } from '../config/riskBands';
+import { AppError, ERROR_CODES } from '../utils/errorHandling';
+
+// Atributos de usuario por los que se pueden comparar grupos
+export const COMPARISON_GROUPINGS = {
+  departamento: 'Departamento',
+  turno: 'Turno',
+  genero: 'Género',
+  tipo_contrato: 'Tipo de contrato',
+  cargo: 'Cargo'
+};
+
+/**
+ * Servicio de comparación entre grupos: ¿las diferencias de riesgo entre
+ * departamentos, turnos, etc. son mayores de lo que cabe esperar por azar?
+ * Usa el último resultado de cada usuario (resultados_sesion).
+ */
+export class GroupComparisonService {
+  /**
+   * Compara el porcentaje de riesgo y la distribución de niveles entre grupos
+   * @param {Object} filters - Filtros del dashboard
+   * @param {string} groupBy - Clave de COMPARISON_GROUPINGS
+   * @param {boolean} [parametric] - t/ANOVA en lugar de pruebas de rangos
+   * @returns {Promise<Object>} - Resultado de compareGroups más { groupLabel, n }
+   */
+  static async compare(filters = {}, groupBy = 'departamento', parametric = false) {
+    if (!COMPARISON_GROUPINGS[groupBy]) {
+      throw new AppError(`Agrupación no soportada: ${groupBy}`, ERROR_CODES.VALIDATION_ERROR, 400, { groupBy });
+    }
+
+    const results = await SessionResultsService.getLatestResultsByUser(
+      filters,
+      `id, ${Object.keys(COMPARISON_GROUPINGS).join(', ')}`
+    );
+
+    const participants = results.map(row => ({
+      [groupBy]: row.usuarios[groupBy],
+      value: Number(row.porcentaje_riesgo),
+      level: SessionResultsService.classify(row).key
+    }));
+
+    return {
+      ...compareGroups(participants, { groupBy, parametric, levels: RISK_BAND_KEYS }),
+      groupLabel: COMPARISON_GROUPINGS[groupBy],
+      n: participants.length
+    };
+  }
+}
+
+export default GroupComparisonService;
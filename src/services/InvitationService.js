@@ -0,0 +1,416 @@
+import { read, utils, writeFile } from 'xlsx';
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { buildTokenRow } from '../utils/tokenUtils';
+import {
+  TOKEN_EXPIRY_DAYS,
+  TOKEN_STATUS,
+  buildInvitationSheetRows,
+  getTokenStatus,
+  validateExpiryDays
+} from '../utils/invitations';
+import {
+  CARD_INSTRUCTIONS,
+  CARD_LAYOUT,
+  PARTICIPATION_CARD_INSTRUCTIONS,
+  buildCards,
+  buildParticipationCards,
+  getCardPlacement,
+  getCardSize
+} from '../utils/invitationCards';
+import { buildParticipationLink } from '../utils/anonymousSurvey';
+import { getCampaignSlug } from '../utils/campaigns';
+
+// Tamaño de lote para filtros `in` e inserciones masivas
+const BATCH_SIZE = 200;
+
+const inBatches = (items) => Array.from(
+  { length: Math.ceil(items.length / BATCH_SIZE) },
+  (_, index) => items.slice(index * BATCH_SIZE, (index + 1) * BATCH_SIZE)
+);
+
+// Código QR dibujado como vector (módulo a módulo) para que se lea bien al imprimir
+const drawQrCode = (doc, QRCode, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const moduleSize = size / modules.size;
+  doc.setFillColor(0);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) doc.rect(x + col * moduleSize, y + row * moduleSize, moduleSize, moduleSize, 'F');
+    }
+  }
+};
+
+// Líneas de corte de una tarjeta
+const drawCutLines = (doc, x, y, width, height) => {
+  doc.setDrawColor(160);
+  doc.setLineDashPattern([1.5, 1.5], 0);
+  doc.rect(x, y, width, height, 'S');
+  doc.setLineDashPattern([], 0);
+};
+
+/**
+ * Servicio de invitaciones de una campaña: importa el listado de trabajadores
+ * de RR. HH., genera un token por trabajador y permite revocarlos o regenerarlos.
+ * En las campañas anónimas imprime en su lugar los códigos de participación.
+ */
+export class InvitationService {
+  /**
+   * Lee la primera hoja de un archivo XLSX o CSV
+   * @param {File} file
+   * @returns {Promise<Array<Object>>} - Filas con los encabezados como claves
+   */
+  static async readRosterFile(file) {
+    const workbook = read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return sheet ? utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+  }
+
+  /**
+   * Asocia cada trabajador del listado a un usuario por documento, creando los que faltan.
+   * Los usuarios existentes no se modifican.
+   * @param {Array} workers - Trabajadores validados por parseRoster
+   * @returns {Promise<{ users: Array, created: number, matched: number }>}
+   */
+  static async importRoster(workers) {
+    const existing = new Map();
+    for (const batch of inBatches(workers.map(worker => worker.documento))) {
+      const { data, error } = await supabase
+        .from('usuarios')
+        .select('id, documento')
+        .in('documento', batch);
+
+      if (error) throw handleSupabaseError(error, 'buscar usuarios del listado');
+      (data || []).forEach(user => existing.set(user.documento, user.id));
+    }
+
+    const missing = workers.filter(worker => !existing.has(worker.documento));
+    const created = new Map();
+    for (const batch of inBatches(missing)) {
+      const { data, error } = await supabase
+        .from('usuarios')
+        .insert(batch.map(worker => ({
+          documento: worker.documento,
+          nombre: worker.nombre,
+          email: worker.email,
+          departamento: worker.departamento,
+          area_macro: worker.departamento,
+          cargo: worker.cargo,
+          turno: worker.turno,
+          genero: worker.genero,
+          activo: true
+        })))
+        .select('id, documento');
+
+      if (error) throw handleSupabaseError(error, 'crear usuarios del listado');
+      (data || []).forEach(user => created.set(user.documento, user.id));
+    }
+
+    return {
+      users: workers.map(worker => ({
+        ...worker,
+        id: existing.get(worker.documento) || created.get(worker.documento),
+        created: created.has(worker.documento)
+      })),
+      created: created.size,
+      matched: existing.size
+    };
+  }
+
+  /**
+   * Tokens de una campaña con los datos de su trabajador, del más reciente al más antiguo
+   * @param {string} campaignId
+   * @returns {Promise<Array>} - Filas de `tokens_acceso` más `usuario` y `estado`
+   */
+  static async listTokens(campaignId) {
+    const { data, error } = await supabase
+      .from('tokens_acceso')
+      .select('id, token, user_id, usado, expiracion, fecha_uso, revocado_en, created_at')
+      .eq('campana_id', campaignId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw handleSupabaseError(error, 'cargar tokens de la campaña');
+
+    const users = new Map();
+    const userIds = [...new Set((data || []).map(token => token.user_id).filter(Boolean))];
+    for (const batch of inBatches(userIds)) {
+      const { data: rows, error: usersError } = await supabase
+        .from('usuarios')
+        .select('id, nombre, documento, email, departamento, cargo')
+        .in('id', batch);
+
+      if (usersError) throw handleSupabaseError(usersError, 'cargar trabajadores de la campaña');
+      (rows || []).forEach(user => users.set(user.id, user));
+    }
+
+    return (data || []).map(token => ({
+      ...token,
+      usuario: users.get(token.user_id) || null,
+      estado: getTokenStatus(token)
+    }));
+  }
+
+  /**
+   * Genera un token por trabajador. Se omiten los que ya tienen un token
+   * pendiente o ya respondieron en esta campaña.
+   * @param {string} campaignId
+   * @param {string[]} userIds
+   * @param {Object} [options]
+   * @param {number} [options.expiresInDays]
+   * @returns {Promise<{ created: number, skipped: number }>}
+   */
+  static async generateTokens(campaignId, userIds, { expiresInDays = TOKEN_EXPIRY_DAYS.DEFAULT } = {}) {
+    this.assertValidExpiry(expiresInDays);
+
+    const covered = new Set();
+    for (const batch of inBatches(userIds)) {
+      const { data, error } = await supabase
+        .from('tokens_acceso')
+        .select('user_id, usado, expiracion, revocado_en')
+        .eq('campana_id', campaignId)
+        .in('user_id', batch);
+
+      if (error) throw handleSupabaseError(error, 'consultar tokens existentes');
+      (data || [])
+        .filter(token => [TOKEN_STATUS.PENDIENTE, TOKEN_STATUS.USADO].includes(getTokenStatus(token)))
+        .forEach(token => covered.add(token.user_id));
+    }
+
+    const pending = [...new Set(userIds)].filter(userId => !covered.has(userId));
+    await this.insertTokens(campaignId, pending, expiresInDays);
+
+    return { created: pending.length, skipped: userIds.length - pending.length };
+  }
+
+  /**
+   * Revoca tokens que aún no se han usado
+   * @param {string[]} tokenIds
+   * @returns {Promise<number>} - Tokens revocados
+   */
+  static async revokeTokens(tokenIds) {
+    const now = new Date().toISOString();
+    let revoked = 0;
+
+    for (const batch of inBatches(tokenIds)) {
+      // Revocar también vence el token para que enviar_cuestionario lo rechace
+      const { data, error } = await supabase
+        .from('tokens_acceso')
+        .update({ revocado_en: now, expiracion: now })
+        .in('id', batch)
+        .eq('usado', false)
+        .is('revocado_en', null)
+        .select('id');
+
+      if (error) throw handleSupabaseError(error, 'revocar tokens');
+      revoked += (data || []).length;
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Sustituye tokens por otros nuevos (p. ej. un enlace extraviado o vencido).
+   * Los tokens ya usados se dejan como están, y no se emite un token nuevo a
+   * quien ya respondió o tiene otro token vigente en la campaña.
+   * @param {string} campaignId
+   * @param {Array} tokens - Tokens de listTokens
+   * @param {Object} [options]
+   * @param {number} [options.expiresInDays]
+   * @returns {Promise<number>} - Tokens nuevos
+   */
+  static async regenerateTokens(campaignId, tokens, { expiresInDays = TOKEN_EXPIRY_DAYS.DEFAULT } = {}) {
+    this.assertValidExpiry(expiresInDays);
+
+    const replaceable = tokens.filter(token => !token.usado && token.user_id);
+    await this.revokeTokens(replaceable.map(token => token.id));
+
+    const { created } = await this.generateTokens(
+      campaignId,
+      [...new Set(replaceable.map(token => token.user_id))],
+      { expiresInDays }
+    );
+    return created;
+  }
+
+  /**
+   * Descarga la hoja de enlaces personalizados
+   * @param {Array} tokens - Tokens de listTokens
+   * @param {Object} campaign
+   */
+  static downloadInvitationSheet(tokens, campaign) {
+    const worksheet = utils.json_to_sheet(buildInvitationSheetRows(tokens));
+    const workbook = utils.book_new();
+    utils.book_append_sheet(workbook, worksheet, 'Invitaciones');
+
+    writeFile(workbook, `invitaciones_${getCampaignSlug(campaign)}.xlsx`);
+  }
+
+  /**
+   * Descarga un PDF listo para imprimir con una tarjeta por invitación pendiente
+   * (nombre, código QR con el enlace personal e instrucciones). El QR se genera
+   * en el navegador y se dibuja como vector para que se lea bien al imprimir.
+   * @param {Array} tokens - Tokens de listTokens
+   * @param {Object} campaign
+   * @returns {Promise<number>} - Tarjetas generadas
+   */
+  static async downloadInvitationCards(tokens, campaign) {
+    const cards = buildCards(tokens);
+    if (cards.length === 0) {
+      throw new AppError('No hay invitaciones pendientes para imprimir', ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    // Se cargan bajo demanda para no engordar el paquete del cuestionario
+    const [{ jsPDF }, { default: QRCode }] = await Promise.all([import('jspdf'), import('qrcode')]);
+
+    const layout = CARD_LAYOUT;
+    const { width, height } = getCardSize(layout);
+    const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+
+    cards.forEach((card, index) => {
+      const { page, x, y } = getCardPlacement(index, layout);
+      if (page >= doc.getNumberOfPages()) doc.addPage();
+
+      drawCutLines(doc, x, y, width, height);
+
+      const qrX = x + layout.padding;
+      const qrY = y + layout.padding + 6;
+      drawQrCode(doc, QRCode, card.link, qrX, qrY, layout.qrSize);
+
+      const textX = qrX + layout.qrSize + 4;
+      const textWidth = x + width - layout.padding - textX;
+
+      doc.setTextColor(90);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      doc.text(campaign.nombre, x + layout.padding, y + layout.padding + 2, { maxWidth: width - layout.padding * 2 });
+
+      doc.setTextColor(0);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      const nameLines = doc.splitTextToSize(card.nombre, textWidth).slice(0, 2);
+      doc.text(nameLines, textX, qrY + 3);
+
+      let cursor = qrY + 3 + nameLines.length * 4.5;
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7.5);
+      [card.documento && `Doc. ${card.documento}`, card.detalle].filter(Boolean).forEach(line => {
+        doc.text(doc.splitTextToSize(line, textWidth)[0], textX, cursor);
+        cursor += 3.5;
+      });
+
+      cursor += 1.5;
+      doc.setFontSize(7);
+      CARD_INSTRUCTIONS.forEach((instruction, step) => {
+        const lines = doc.splitTextToSize(`${step + 1}. ${instruction}`, textWidth);
+        doc.text(lines, textX, cursor);
+        cursor += lines.length * 3;
+      });
+
+      doc.setFont('helvetica', 'bold');
+      doc.text(`Válido hasta el ${card.vence}`, textX, cursor + 1.5);
+
+      // Por si no se puede escanear: el enlace escrito bajo el código
+      doc.setFont('courier', 'normal');
+      doc.setFontSize(5.5);
+      doc.setTextColor(70);
+      doc.text(doc.splitTextToSize(card.link, width - layout.padding * 2), x + layout.padding, y + height - layout.padding - 2);
+    });
+
+    doc.save(`tarjetas_invitacion_${getCampaignSlug(campaign)}.pdf`);
+    return cards.length;
+  }
+
+  /**
+   * Descarga la hoja con los códigos de participación sin usar de una campaña anónima
+   * @param {Array} codes - Códigos de AnonymousSurveyService.listCodes
+   * @param {Object} campaign
+   */
+  static downloadCodeSheet(codes, campaign) {
+    const worksheet = utils.json_to_sheet(codes.map(code => ({
+      Código: code.codigo,
+      Enlace: buildParticipationLink(code.codigo)
+    })));
+    const workbook = utils.book_new();
+    utils.book_append_sheet(workbook, worksheet, 'Códigos');
+
+    writeFile(workbook, `codigos_${getCampaignSlug(campaign)}.xlsx`);
+  }
+
+  /**
+   * Descarga las tarjetas de una campaña anónima: código QR y código escrito,
+   * sin nombre. Se mezclan y se reparten al azar, sin anotar a quién le tocó cada una.
+   * @param {Array} codes - Códigos de AnonymousSurveyService.listCodes
+   * @param {Object} campaign
+   * @returns {Promise<number>} - Tarjetas generadas
+   */
+  static async downloadParticipationCards(codes, campaign) {
+    const cards = buildParticipationCards(codes);
+    if (cards.length === 0) {
+      throw new AppError('No hay códigos sin usar para imprimir', ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    const [{ jsPDF }, { default: QRCode }] = await Promise.all([import('jspdf'), import('qrcode')]);
+
+    const layout = CARD_LAYOUT;
+    const { width, height } = getCardSize(layout);
+    const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+
+    cards.forEach((card, index) => {
+      const { page, x, y } = getCardPlacement(index, layout);
+      if (page >= doc.getNumberOfPages()) doc.addPage();
+
+      drawCutLines(doc, x, y, width, height);
+
+      const qrX = x + layout.padding;
+      const qrY = y + layout.padding + 6;
+      drawQrCode(doc, QRCode, card.link, qrX, qrY, layout.qrSize);
+
+      const textX = qrX + layout.qrSize + 4;
+      const textWidth = x + width - layout.padding - textX;
+
+      doc.setTextColor(90);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      doc.text(campaign.nombre, x + layout.padding, y + layout.padding + 2, { maxWidth: width - layout.padding * 2 });
+
+      doc.setTextColor(0);
+      doc.setFont('courier', 'bold');
+      doc.setFontSize(14);
+      doc.text(card.codigo, textX, qrY + 5);
+
+      let cursor = qrY + 12;
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      PARTICIPATION_CARD_INSTRUCTIONS.forEach((instruction, step) => {
+        const lines = doc.splitTextToSize(`${step + 1}. ${instruction}`, textWidth);
+        doc.text(lines, textX, cursor);
+        cursor += lines.length * 3;
+      });
+
+      doc.setFont('courier', 'normal');
+      doc.setFontSize(5.5);
+      doc.setTextColor(70);
+      doc.text(doc.splitTextToSize(card.link, width - layout.padding * 2), x + layout.padding, y + height - layout.padding - 2);
+    });
+
+    doc.save(`tarjetas_anonimas_${getCampaignSlug(campaign)}.pdf`);
+    return cards.length;
+  }
+
+  static async insertTokens(campaignId, userIds, expiresInDays) {
+    for (const batch of inBatches(userIds)) {
+      const { error } = await supabase
+        .from('tokens_acceso')
+        .insert(batch.map(userId => buildTokenRow(userId, campaignId, { expiresInDays })));
+
+      if (error) throw handleSupabaseError(error, 'generar tokens');
+    }
+  }
+
+  static assertValidExpiry(expiresInDays) {
+    const error = validateExpiryDays(expiresInDays);
+    if (error) throw new AppError(error, ERROR_CODES.VALIDATION_ERROR, 400, { expiresInDays });
+  }
+}
+
+export default InvitationService;
@@ -0,0 +1,191 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { DELIVERY_STATUS, TRANSPORT_TYPES, validateTemplate } from '../utils/messaging';
+import { OutboxDispatcher } from './delivery/OutboxDispatcher';
+import { OutboxRepository } from './delivery/OutboxRepository';
+
+const TEMPLATE_COLUMNS = 'id, nombre, tipo, asunto, cuerpo, updated_at';
+
+// Registro de envíos que se muestra en el panel
+const DELIVERY_LOG_LIMIT = 1000;
+
+/**
+ * Servicio de mensajería del panel: plantillas, recordatorios programados,
+ * encolado de invitaciones y registro de entregas. La entrega en sí la hace
+ * el proceso de envío (scripts/outbox-worker.js).
+ */
+export class MessagingService {
+  /**
+   * @returns {Promise<Array>}
+   */
+  static async listTemplates() {
+    const { data, error } = await supabase
+      .from('plantillas_mensaje')
+      .select(TEMPLATE_COLUMNS)
+      .order('tipo', { ascending: true })
+      .order('nombre', { ascending: true });
+
+    if (error) throw handleSupabaseError(error, 'cargar plantillas');
+    return data || [];
+  }
+
+  /**
+   * Crea o actualiza una plantilla
+   * @param {Object} template - { id?, nombre, tipo, asunto, cuerpo }
+   * @returns {Promise<Object>}
+   */
+  static async saveTemplate(template) {
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(', '), ERROR_CODES.VALIDATION_ERROR, 400, { errors });
+    }
+
+    const row = {
+      nombre: template.nombre.trim(),
+      tipo: template.tipo,
+      asunto: template.asunto.trim(),
+      cuerpo: template.cuerpo.trim()
+    };
+    const query = template.id
+      ? supabase.from('plantillas_mensaje').update(row).eq('id', template.id)
+      : supabase.from('plantillas_mensaje').insert([row]);
+
+    const { data, error } = await query.select(TEMPLATE_COLUMNS).single();
+
+    if (error) throw handleSupabaseError(error, 'guardar plantilla');
+    return data;
+  }
+
+  /**
+   * Encola un mensaje para cada token pendiente de la campaña
+   * @param {string} campaignId
+   * @param {Object} options
+   * @param {string} options.templateId
+   * @param {string} options.transport - Valor de TRANSPORT_TYPES
+   * @returns {Promise<{ queued: number, withoutAddress: number, excluded: number }>}
+   */
+  static async enqueueMessages(campaignId, { templateId, transport }) {
+    this.assertTransport(transport);
+
+    return OutboxDispatcher.enqueue(new OutboxRepository(supabase), {
+      campaignId,
+      templateId,
+      transport,
+      origin: window.location.origin
+    });
+  }
+
+  /**
+   * Recordatorios de una campaña, del más próximo al más lejano
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  static async listReminders(campaignId) {
+    const { data, error } = await supabase
+      .from('recordatorios_campana')
+      .select('id, plantilla_id, transporte, programado_para, procesado_en')
+      .eq('campana_id', campaignId)
+      .order('programado_para', { ascending: true });
+
+    if (error) throw handleSupabaseError(error, 'cargar recordatorios');
+    return data || [];
+  }
+
+  /**
+   * Programa un recordatorio para los tokens que sigan sin usar en esa fecha
+   * @param {string} campaignId
+   * @param {Object} reminder
+   * @param {string} reminder.templateId
+   * @param {string} reminder.transport
+   * @param {Date|string} reminder.scheduledFor
+   * @returns {Promise<Object>}
+   */
+  static async scheduleReminder(campaignId, { templateId, transport, scheduledFor }) {
+    this.assertTransport(transport);
+
+    const date = new Date(scheduledFor);
+    if (!templateId || Number.isNaN(date.getTime())) {
+      throw new AppError('El recordatorio necesita plantilla y fecha', ERROR_CODES.VALIDATION_ERROR, 400);
+    }
+
+    const { data, error } = await supabase
+      .from('recordatorios_campana')
+      .insert([{
+        campana_id: campaignId,
+        plantilla_id: templateId,
+        transporte: transport,
+        programado_para: date.toISOString()
+      }])
+      .select('id, plantilla_id, transporte, programado_para, procesado_en')
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'programar recordatorio');
+    return data;
+  }
+
+  /**
+   * Elimina un recordatorio que aún no se ha procesado
+   * @param {string} reminderId
+   */
+  static async cancelReminder(reminderId) {
+    const { error } = await supabase
+      .from('recordatorios_campana')
+      .delete()
+      .eq('id', reminderId)
+      .is('procesado_en', null);
+
+    if (error) throw handleSupabaseError(error, 'cancelar recordatorio');
+  }
+
+  /**
+   * Registro de entregas de la campaña con el trabajador de cada mensaje
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  static async listDeliveries(campaignId) {
+    const { data, error } = await supabase
+      .from('envios_mensaje')
+      .select('id, token, user_id, tipo, transporte, destinatario, asunto, estado, intentos, error, programado_para, enviado_en, created_at')
+      .eq('campana_id', campaignId)
+      .order('created_at', { ascending: false })
+      .limit(DELIVERY_LOG_LIMIT);
+
+    if (error) throw handleSupabaseError(error, 'cargar registro de envíos');
+
+    const userIds = [...new Set((data || []).map(row => row.user_id).filter(Boolean))];
+    const users = new Map();
+    if (userIds.length > 0) {
+      const { data: rows, error: usersError } = await supabase
+        .from('usuarios')
+        .select('id, nombre, documento')
+        .in('id', userIds);
+
+      if (usersError) throw handleSupabaseError(usersError, 'cargar trabajadores');
+      (rows || []).forEach(user => users.set(user.id, user));
+    }
+
+    return (data || []).map(row => ({ ...row, usuario: users.get(row.user_id) || null }));
+  }
+
+  /**
+   * Vuelve a poner en cola mensajes fallidos
+   * @param {string[]} deliveryIds
+   */
+  static async retryDeliveries(deliveryIds) {
+    const { error } = await supabase
+      .from('envios_mensaje')
+      .update({ estado: DELIVERY_STATUS.PENDIENTE, intentos: 0, error: null, programado_para: new Date().toISOString() })
+      .in('id', deliveryIds)
+      .eq('estado', DELIVERY_STATUS.FALLIDO);
+
+    if (error) throw handleSupabaseError(error, 'reintentar envíos');
+  }
+
+  static assertTransport(transport) {
+    if (!Object.values(TRANSPORT_TYPES).includes(transport)) {
+      throw new AppError(`Transporte no soportado: ${transport}`, ERROR_CODES.VALIDATION_ERROR, 400, { transport });
+    }
+  }
+}
+
+export default MessagingService;
@@ -667,8 +667,8 @@ export class MetricsServiceOptimized {
       // 2. Extraer Satisfacción Laboral (pregunta 4 de percepción, escala 1-5)
       const satisfaccionLaboral = this.extractSatisfactionScore(response)
       
-      // 3. Calcular % Riesgo Alto usando umbral ≥12 puntos GHQ-12
-      const esRiesgoAlto = ghqAnalysis.success && ghqAnalysis.score.totalScore >= 12
+      // 3. Riesgo alto según las bandas de riesgo de la organización
+      const esRiesgoAlto = ghqAnalysis.success && ghqAnalysis.risk.isHighRisk
       
       return {
         ...response,
@@ -0,0 +1,98 @@
+import { supabase } from '../api/supabase';
+import DashboardService from './DashboardService';
+import { handleSupabaseError } from '../utils/errorHandling';
+import {
+  calculatePsychometrics,
+  calculateSubgroupReliability,
+  getDefaultScoringMethod
+} from '../utils/ghq12Calculator';
+import { getCurrentInstrument, getItemKey } from '../data/instruments';
+import { applyAnonymityThreshold } from '../config/anonymity';
+
+// Atributos de usuario por los que se puede desagregar la confiabilidad
+export const RELIABILITY_GROUPINGS = {
+  departamento: 'Departamento',
+  cargo: 'Cargo',
+  turno: 'Turno',
+  genero: 'Género'
+};
+
+/**
+ * Servicio de confiabilidad (alfa, omega) y análisis de ítems del GHQ-12
+ * para el conjunto de respuestas que selecciona el filtro del dashboard.
+ */
+export class PsychometricsService {
+  /**
+   * Última sesión completa de cada usuario como participante para el análisis
+   * @param {Object} filters - Filtros del dashboard
+   * @returns {Promise<Array>} - [{ responses, cuestionario_id, departamento, cargo, turno, genero }]
+   */
+  static async getParticipants(filters = {}) {
+    let query = supabase
+      .from('respuestas_cuestionario')
+      .select(`
+        usuario_id,
+        sesion_id,
+        cuestionario_id,
+        pregunta_id,
+        respuesta,
+        fecha_respuesta,
+        usuarios!inner(departamento, cargo, turno, genero)
+      `)
+      .not('sesion_id', 'is', null)
+      .order('fecha_respuesta', { ascending: false });
+
+    query = DashboardService.applyFilters(query, filters, 'respuestas_cuestionario');
+
+    const { data, error } = await query;
+    if (error) throw handleSupabaseError(error, 'cargar respuestas para análisis psicométrico');
+
+    // Ordenadas por fecha descendente: la primera sesión vista de cada usuario es la última
+    const latestSession = new Map();
+    const sessions = new Map();
+
+    (data || []).forEach(row => {
+      if (!latestSession.has(row.usuario_id)) latestSession.set(row.usuario_id, row.sesion_id);
+      if (latestSession.get(row.usuario_id) !== row.sesion_id) return;
+
+      if (!sessions.has(row.sesion_id)) {
+        sessions.set(row.sesion_id, {
+          responses: {},
+          cuestionario_id: row.cuestionario_id,
+          ...row.usuarios
+        });
+      }
+      sessions.get(row.sesion_id).responses[getItemKey(row.pregunta_id)] = Number(row.respuesta);
+    });
+
+    return [...sessions.values()];
+  }
+
+  /**
+   * Confiabilidad global, análisis de ítems y confiabilidad por subgrupo
+   * @param {Object} filters - Filtros del dashboard
+   * @param {string} [groupBy] - Clave de RELIABILITY_GROUPINGS
+   * @param {string} [method] - Método de puntuación (por defecto el de la organización)
+   * @returns {Promise<Object>} - { overall, subgroups, suppressedSubgroups, groupBy, instrument }
+   */
+  static async getPsychometrics(filters = {}, groupBy = 'departamento', method = getDefaultScoringMethod()) {
+    const instrument = getCurrentInstrument();
+    const participants = await this.getParticipants(filters);
+
+    // Subgrupos bajo el umbral de anonimato (y los que los delatarían) no se devuelven
+    const { groups: subgroups, suppressed } = applyAnonymityThreshold(
+      calculateSubgroupReliability(participants, groupBy, method, instrument),
+      { getKey: group => group.group, getSize: group => group.n }
+    );
+
+    return {
+      overall: calculatePsychometrics(participants, method, instrument),
+      subgroups,
+      suppressedSubgroups: suppressed.length,
+      groupBy,
+      instrument: { code: instrument.code, version: instrument.version }
+    };
+  }
+}
+
+export default PsychometricsService;
@@ -0,0 +1,131 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { REVIEW_STATUS, calculateMedian, evaluateResponseQuality } from '../utils/responseQuality';
+import { getCurrentInstrument, getInstrumentById, getItemKey } from '../data/instruments';
+
+/**
+ * Servicio de la cola de revisión de calidad de respuestas.
+ * La evaluación se hace en el servidor al registrar cada sesión
+ * (evaluar_calidad_sesion); aquí se consulta y se registra la decisión del revisor.
+ */
+export class ResponseQualityService {
+  /**
+   * Sesiones de la cola de revisión
+   * @param {string} [estado] - Estado de revisión; por defecto las pendientes
+   * @returns {Promise<Array>}
+   */
+  static async getReviewQueue(estado = REVIEW_STATUS.PENDIENTE) {
+    const { data, error } = await supabase
+      .from('resultados_sesion')
+      .select(`
+        sesion_id,
+        usuario_id,
+        cuestionario_id,
+        puntaje_total,
+        metodo_puntuacion,
+        tiempo_completado_segundos,
+        fecha_completado,
+        idioma,
+        modo_asistido,
+        calidad_puntaje,
+        calidad_alertas,
+        estado_revision,
+        fecha_revision,
+        nota_revision,
+        usuarios!inner(nombre, apellido, documento, departamento, cargo)
+      `)
+      .eq('estado_revision', estado)
+      .order('calidad_puntaje', { ascending: true })
+      .order('fecha_completado', { ascending: false });
+
+    if (error) throw handleSupabaseError(error, 'cargar cola de revisión de calidad');
+    return data || [];
+  }
+
+  /**
+   * Detalle de una sesión: respuestas por ítem y evaluación recalculada con la
+   * mediana de tiempo vigente, para mostrar qué ítems dispararon cada alerta
+   * @param {Object} session - Fila de la cola de revisión
+   * @returns {Promise<Object>} - { responses, quality, instrument }
+   */
+  static async getSessionDetail(session) {
+    const [rowsResult, timesResult] = await Promise.all([
+      supabase
+        .from('respuestas_cuestionario')
+        .select('pregunta_id, respuesta')
+        .eq('sesion_id', session.sesion_id),
+      supabase
+        .from('resultados_sesion')
+        .select('tiempo_completado_segundos')
+        .eq('cuestionario_id', session.cuestionario_id)
+        .neq('sesion_id', session.sesion_id)
+        .not('tiempo_completado_segundos', 'is', null)
+    ]);
+
+    if (rowsResult.error) throw handleSupabaseError(rowsResult.error, 'cargar respuestas de la sesión');
+    if (timesResult.error) throw handleSupabaseError(timesResult.error, 'cargar tiempos de referencia');
+
+    const instrument = getInstrumentById(session.cuestionario_id) || getCurrentInstrument();
+    const responses = (rowsResult.data || []).reduce((acc, row) => {
+      acc[getItemKey(row.pregunta_id)] = Number(row.respuesta);
+      return acc;
+    }, {});
+    const times = (timesResult.data || []).map(row => row.tiempo_completado_segundos);
+
+    return {
+      responses,
+      instrument,
+      quality: evaluateResponseQuality({
+        responses,
+        completionTime: session.tiempo_completado_segundos,
+        reference: { medianTime: calculateMedian(times), sessions: times.length },
+        instrument
+      })
+    };
+  }
+
+  /**
+   * Registra la decisión del revisor
+   * @param {string} sessionId - UUID de la sesión
+   * @param {string} estado - 'aprobada', 'excluida' o 'pendiente' (reabrir)
+   * @param {string} [nota] - Motivo de la decisión
+   * @returns {Promise<Object>} - Fila actualizada de `resultados_sesion`
+   */
+  static async reviewSession(sessionId, estado, nota = null) {
+    const allowed = [REVIEW_STATUS.APROBADA, REVIEW_STATUS.EXCLUIDA, REVIEW_STATUS.PENDIENTE];
+    if (!allowed.includes(estado)) {
+      throw new AppError(`Estado de revisión inválido: ${estado}`, ERROR_CODES.VALIDATION_ERROR, 400, { sessionId });
+    }
+
+    const { data, error } = await supabase.rpc('revisar_calidad_sesion', {
+      p_sesion_id: sessionId,
+      p_estado: estado,
+      p_nota: nota || null
+    });
+
+    if (error) throw handleSupabaseError(error, 'registrar revisión de calidad');
+    return data;
+  }
+
+  /**
+   * Número de sesiones por estado de revisión
+   * @returns {Promise<Object>} - { pendiente, aprobada, excluida }
+   */
+  static async getReviewCounts() {
+    const states = [REVIEW_STATUS.PENDIENTE, REVIEW_STATUS.APROBADA, REVIEW_STATUS.EXCLUIDA];
+    const results = await Promise.all(states.map(estado => (
+      supabase
+        .from('resultados_sesion')
+        .select('sesion_id', { count: 'exact', head: true })
+        .eq('estado_revision', estado)
+    )));
+
+    return states.reduce((acc, estado, index) => {
+      if (results[index].error) throw handleSupabaseError(results[index].error, 'contar revisiones de calidad');
+      acc[estado] = results[index].count || 0;
+      return acc;
+    }, {});
+  }
+}
+
+export default ResponseQualityService;
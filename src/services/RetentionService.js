@@ -0,0 +1,89 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { validateRetentionPolicy } from '../utils/retention';
+
+const POLICY_COLUMNS = 'id, campana_id, accion, meses, activa, created_at, updated_at';
+
+/**
+ * Servicio de las políticas de retención: configuración desde el panel, vista
+ * previa de su efecto e historial de las pasadas del proceso programado.
+ * Las políticas solo las aplica scripts/retention-worker.js.
+ */
+export class RetentionService {
+  /**
+   * @returns {Promise<Array>}
+   */
+  static async listPolicies() {
+    const { data, error } = await supabase
+      .from('politicas_retencion')
+      .select(POLICY_COLUMNS)
+      .order('created_at');
+
+    if (error) throw handleSupabaseError(error, 'cargar políticas de retención');
+    return data || [];
+  }
+
+  /**
+   * Crea o actualiza una política
+   * @param {Object} policy - { id?, campana_id, accion, meses, activa }
+   * @returns {Promise<Object>} - Política guardada
+   */
+  static async savePolicy(policy) {
+    const policies = await this.listPolicies();
+    const errors = validateRetentionPolicy(policy, policies);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(', '), ERROR_CODES.VALIDATION_ERROR, 400, { errors });
+    }
+
+    const row = {
+      campana_id: policy.campana_id || null,
+      accion: policy.accion,
+      meses: Number(policy.meses),
+      activa: policy.activa ?? true
+    };
+
+    const request = policy.id
+      ? supabase.from('politicas_retencion').update(row).eq('id', policy.id)
+      : supabase.from('politicas_retencion').insert(row);
+
+    const { data, error } = await request.select(POLICY_COLUMNS).single();
+    if (error) throw handleSupabaseError(error, 'guardar política de retención');
+    return data;
+  }
+
+  /**
+   * @param {string} id
+   */
+  static async deletePolicy(id) {
+    const { error } = await supabase.from('politicas_retencion').delete().eq('id', id);
+    if (error) throw handleSupabaseError(error, 'eliminar política de retención');
+  }
+
+  /**
+   * Trabajadores y sesiones que cada política activa procesaría hoy
+   * @returns {Promise<Array<{ politica_id: string, usuarios: number, sesiones: number }>>}
+   */
+  static async getPreview() {
+    const { data, error } = await supabase.rpc('previsualizar_retencion');
+    if (error) throw handleSupabaseError(error, 'calcular la vista previa de retención');
+    return data || [];
+  }
+
+  /**
+   * Últimas pasadas del proceso programado
+   * @param {number} [limit]
+   * @returns {Promise<Array>}
+   */
+  static async listRuns(limit = 10) {
+    const { data, error } = await supabase
+      .from('ejecuciones_retencion')
+      .select('id, ejecutado_en, usuarios_seudonimizados, usuarios_sin_identificadores, detalle')
+      .order('ejecutado_en', { ascending: false })
+      .limit(limit);
+
+    if (error) throw handleSupabaseError(error, 'cargar ejecuciones de retención');
+    return data || [];
+  }
+}
+
+export default RetentionService;
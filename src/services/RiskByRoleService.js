@@ -1,4 +1,5 @@
 import { supabase } from '../api/supabase';
+import { MERGED_GROUP_LABEL, applyAnonymityThreshold } from '../config/anonymity';
 
 /**
  * Servicio para obtener datos de distribución de riesgo por cargo/rol
@@ -33,6 +34,10 @@ export class RiskByRoleService {
         query = query.eq('usuarios.departamento', filters.departamento);
       }
 
+      if (filters.campanaId) {
+        query = query.eq('campana_id', filters.campanaId);
+      }
+
       const { data, error } = await query;
 
       if (error) {
@@ -92,6 +97,24 @@ export class RiskByRoleService {
         }))
         .sort((a, b) => b.averageGHQ - a.averageGHQ);
 
+      // Cargos con menos participantes que el umbral de anonimato se combinan en "Otros grupos"
+      const anonymized = applyAnonymityThreshold(resultWithData, {
+        getKey: item => item.cargo,
+        getSize: item => item.count,
+        merge: items => {
+          const count = items.reduce((sum, item) => sum + item.count, 0);
+          return {
+            cargo: MERGED_GROUP_LABEL,
+            averageGHQ: items.reduce((sum, item) => sum + item.averageGHQ * item.count, 0) / count,
+            count,
+            hasData: true,
+            mergedGroups: items.map(item => item.cargo)
+          };
+        }
+      });
+      const anonymizedData = anonymized.groups;
+      const suppressedCargos = new Set(anonymized.suppressed.map(item => item.cargo));
+
       // Obtener lista base de cargos para mantener los nombres aunque no haya respuestas
       const { data: cargosRows, error: cargosError } = await supabase
         .from('usuarios')
@@ -102,8 +125,10 @@ export class RiskByRoleService {
         console.warn('Warning loading cargos list:', cargosError);
       }
 
-      const cargosSet = new Set((cargosRows || []).map(r => r.cargo));
-      const cargoToData = new Map(resultWithData.map(r => [r.cargo, r]));
+      // Los cargos ocultos no se listan como "sin datos": sus datos están en "Otros grupos"
+      const cargosSet = new Set((cargosRows || []).map(r => r.cargo).filter(cargo => !suppressedCargos.has(cargo)));
+      if (anonymized.merged) cargosSet.add(MERGED_GROUP_LABEL);
+      const cargoToData = new Map(anonymizedData.map(r => [r.cargo, r]));
 
       // Construir lista final: todos los cargos, y datos si existen; si no, placeholder sin datos
       const finalList = Array.from(cargosSet).map(cargo => {
@@ -119,7 +144,7 @@ export class RiskByRoleService {
       });
 
       // Si no hay cargos en usuarios, devolver lo calculado (caso mínimo)
-      return finalList.length > 0 ? finalList : resultWithData;
+      return finalList.length > 0 ? finalList : anonymizedData;
 
     } catch (error) {
       console.error('Error in RiskByRoleService.getRiskByRole:', error);
@@ -151,7 +176,8 @@ export class RiskByRoleService {
         cargo: item.cargo,
         promedioGHQ: item.hasData ? parseFloat((item.averageGHQ || 0).toFixed(2)) : 0,
         totalEmpleados: item.hasData ? item.count : 0,
-        hasData: !!item.hasData
+        hasData: !!item.hasData,
+        mergedGroups: item.mergedGroups
       }));
 
     } catch (error) {
@@ -0,0 +1,149 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError } from '../utils/errorHandling';
+import { validateGHQ12Responses } from '../utils/ghq12Calculator';
+import { getCurrentInstrument, getItemKey } from '../data/instruments';
+import { classifyRiskPercentage, classifyScore } from '../config/riskBands';
+import { DEFAULT_LANGUAGE } from '../i18n/languages';
+
+// Errores de token (o de código de participación) devueltos por enviar_cuestionario
+// y enviar_cuestionario_anonimo
+const TOKEN_ERROR_HINTS = ['token_invalido', 'token_usado', 'token_expirado', 'sesion_ajena', 'codigo_invalido'];
+
+// Envíos fuera de una campaña abierta o de su población objetivo
+const CAMPAIGN_ERROR_HINTS = ['sin_campana_activa', 'campana_cerrada', 'fuera_de_poblacion', 'campana_anonima'];
+
+// Envíos o aceptaciones sin el consentimiento vigente (V17)
+const CONSENT_ERROR_HINTS = ['consentimiento_requerido', 'consentimiento_desactualizado'];
+
+/**
+ * Servicio de resultados por sesión de respuesta.
+ * Cada envío del cuestionario genera las filas por pregunta en `respuestas_cuestionario`
+ * y un registro en `resultados_sesion` con el puntaje calculado en el servidor.
+ */
+export class SessionResultsService {
+  /**
+   * Envía una sesión completa al servidor (función `enviar_cuestionario`).
+   * En una sola transacción valida el token y la campaña, puntúa, guarda respuestas
+   * y resultado y marca el token como usado. Reintentar con el mismo sessionId es seguro:
+   * devuelve el resultado ya guardado con `duplicado: true`.
+   * @param {Object} params
+   * @param {string} params.sessionId - UUID de la sesión (estable entre reintentos)
+   * @param {string} params.userId - ID del usuario que respondió
+   * @param {Object} params.answers - { pregunta_id: respuesta }
+   * @param {number} [params.completionTime] - Tiempo de respuesta en segundos
+   * @param {string} [params.token] - Token de acceso, si se ingresó con uno
+   * @param {Object} [params.instrument] - Versión del instrumento (por defecto la vigente)
+   * @param {string} [params.language] - Idioma en que se respondió (se guarda en `resultados_sesion.idioma`)
+   * @param {boolean} [params.assistedMode] - Si se usó el modo asistido con lectura en voz alta
+   * @returns {Promise<Object>} - Fila de `resultados_sesion` más `duplicado`
+   */
+  static async submitSession({
+    sessionId,
+    userId,
+    answers,
+    completionTime = null,
+    token = null,
+    instrument = getCurrentInstrument(),
+    language = DEFAULT_LANGUAGE,
+    assistedMode = false
+  }) {
+    const responses = Object.entries(answers).reduce((acc, [itemId, value]) => {
+      acc[getItemKey(Number(itemId))] = Number(value);
+      return acc;
+    }, {});
+
+    // El servidor vuelve a validar; aquí se evita un viaje con datos incompletos
+    const validation = validateGHQ12Responses(responses, instrument);
+    if (!validation.isValid) {
+      throw new AppError(validation.errors.join(', '), ERROR_CODES.VALIDATION_ERROR, 400, { sessionId });
+    }
+
+    const { data, error } = await supabase.rpc('enviar_cuestionario', {
+      p_sesion_id: sessionId,
+      p_usuario_id: userId,
+      p_cuestionario_id: instrument.id,
+      p_respuestas: answers,
+      p_tiempo_segundos: completionTime,
+      p_token: token || null,
+      p_idioma: language,
+      p_modo_asistido: Boolean(assistedMode)
+    });
+
+    if (error) throw this.toSubmissionError(error);
+    return data;
+  }
+
+  /**
+   * Traduce los errores de `enviar_cuestionario` (identificados por su HINT)
+   * @param {Object} error - Error de Supabase
+   * @returns {AppError}
+   */
+  static toSubmissionError(error) {
+    if (TOKEN_ERROR_HINTS.includes(error.hint)) {
+      return new AppError(error.message, ERROR_CODES.AUTH_ERROR, 403, { hint: error.hint });
+    }
+    if (CAMPAIGN_ERROR_HINTS.includes(error.hint) || CONSENT_ERROR_HINTS.includes(error.hint)) {
+      return new AppError(error.message, ERROR_CODES.PERMISSION_DENIED, 403, { hint: error.hint });
+    }
+    if (error.hint === 'respuestas_invalidas') {
+      return new AppError(error.message, ERROR_CODES.VALIDATION_ERROR, 400, { hint: error.hint });
+    }
+    return handleSupabaseError(error, 'enviar cuestionario');
+  }
+
+  /**
+   * Último resultado de cada usuario, con sus datos de usuario
+   * @param {Object} filters - fechaInicio, fechaFin, departamento, campanaId, excludeFlagged
+   * @param {string} [userColumns] - Columnas de `usuarios` a incluir
+   * @returns {Promise<Array>}
+   */
+  static async getLatestResultsByUser(filters = {}, userColumns = 'id, nombre, documento, cargo, departamento') {
+    let query = supabase
+      .from('resultados_sesion')
+      .select(`
+        sesion_id,
+        usuario_id,
+        metodo_puntuacion,
+        puntaje_total,
+        puntaje_maximo,
+        porcentaje_riesgo,
+        nivel_riesgo,
+        fecha_completado,
+        campana_id,
+        idioma,
+        usuarios!inner(${userColumns})
+      `)
+      .order('fecha_completado', { ascending: false });
+
+    if (filters.fechaInicio) query = query.gte('fecha_completado', filters.fechaInicio);
+    if (filters.fechaFin) query = query.lte('fecha_completado', filters.fechaFin);
+    if (filters.departamento) query = query.eq('usuarios.departamento', filters.departamento);
+    if (filters.campanaId) query = query.eq('campana_id', filters.campanaId);
+    if (filters.excludeFlagged) query = query.eq('marcada_calidad', false);
+
+    const { data, error } = await query;
+    if (error) throw handleSupabaseError(error, 'cargar resultados por sesión');
+
+    // Ordenados por fecha descendente: el primero de cada usuario es el último resultado
+    const byUser = new Map();
+    (data || []).forEach(row => {
+      if (!byUser.has(row.usuario_id)) byUser.set(row.usuario_id, row);
+    });
+
+    return [...byUser.values()];
+  }
+
+  /**
+   * Banda de riesgo vigente de un resultado guardado.
+   * Se reclasifica con las bandas actuales del método con que se puntuó, de modo que
+   * el nivel coincide con el que muestran badges y heatmaps aunque las bandas cambien.
+   * @param {Object} result - Fila de `resultados_sesion`
+   * @returns {Object} - Banda de riesgo
+   */
+  static classify(result) {
+    return classifyScore(Number(result.puntaje_total), result.metodo_puntuacion)
+      || classifyRiskPercentage(result.porcentaje_riesgo, result.metodo_puntuacion);
+  }
+}
+
+export default SessionResultsService;
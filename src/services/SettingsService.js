@@ -0,0 +1,218 @@
+import { supabase } from '../api/supabase';
+import { AppError, ERROR_CODES, handleSupabaseError, logError } from '../utils/errorHandling';
+import {
+  SCORING_METHOD_CONFIG,
+  getDefaultScoringMethod,
+  setDefaultScoringMethod
+} from '../utils/ghq12Calculator';
+import { RISK_BAND_KEYS, setRiskBands, validateRiskBands } from '../config/riskBands';
+import { getMinGroupSize, setMinGroupSize, validateMinGroupSize } from '../config/anonymity';
+
+/**
+ * Claves de configuración almacenadas en `configuracion_sistema`
+ */
+export const SETTING_KEYS = {
+  SCORING_METHOD: 'ghq12_scoring_method',
+  ANONYMITY_THRESHOLD: 'umbral_anonimato'
+};
+
+/**
+ * Servicio de configuración de la organización.
+ * Lee y guarda los ajustes editables desde el panel y los aplica a los módulos
+ * que los consumen (p. ej. el método de puntuación de la calculadora GHQ-12).
+ */
+export class SettingsService {
+  /**
+   * Obtiene todos los ajustes como objeto { clave: valor }
+   */
+  static async getAll() {
+    const { data, error } = await supabase
+      .from('configuracion_sistema')
+      .select('clave, valor');
+
+    if (error) throw handleSupabaseError(error, 'cargar configuración');
+
+    return (data || []).reduce((acc, row) => {
+      acc[row.clave] = row.valor;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Obtiene un ajuste concreto
+   * @param {string} key - Clave del ajuste
+   * @param {*} fallback - Valor si el ajuste no existe
+   */
+  static async get(key, fallback = null) {
+    const { data, error } = await supabase
+      .from('configuracion_sistema')
+      .select('valor')
+      .eq('clave', key)
+      .maybeSingle();
+
+    if (error) throw handleSupabaseError(error, `cargar ajuste ${key}`);
+    return data ? data.valor : fallback;
+  }
+
+  /**
+   * Guarda un ajuste (inserta o actualiza)
+   * @param {string} key - Clave del ajuste
+   * @param {*} value - Valor serializable a JSON
+   */
+  static async set(key, value) {
+    const { error } = await supabase
+      .from('configuracion_sistema')
+      .upsert({ clave: key, valor: value }, { onConflict: 'clave' });
+
+    if (error) throw handleSupabaseError(error, `guardar ajuste ${key}`);
+    return value;
+  }
+
+  /**
+   * Método de puntuación GHQ-12 por defecto de la organización
+   */
+  static async getScoringMethod() {
+    return this.get(SETTING_KEYS.SCORING_METHOD, getDefaultScoringMethod());
+  }
+
+  /**
+   * Cambia el método de puntuación por defecto y lo aplica en esta sesión
+   * @param {string} method - likert, ghq o cghq
+   */
+  static async setScoringMethod(method) {
+    if (!SCORING_METHOD_CONFIG[method]) {
+      throw new AppError(
+        `Método de puntuación no soportado: ${method}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        { method }
+      );
+    }
+
+    await this.set(SETTING_KEYS.SCORING_METHOD, method);
+    setDefaultScoringMethod(method);
+    return method;
+  }
+
+  /**
+   * Mínimo de participantes para mostrar las cifras de un grupo
+   */
+  static async getAnonymityThreshold() {
+    return this.get(SETTING_KEYS.ANONYMITY_THRESHOLD, getMinGroupSize());
+  }
+
+  /**
+   * Cambia el umbral de anonimato y lo aplica en esta sesión.
+   * Las funciones SQL de los heatmaps leen el mismo ajuste.
+   * @param {number} threshold - Entero entre 2 y 50
+   */
+  static async setAnonymityThreshold(threshold) {
+    const validationError = validateMinGroupSize(threshold);
+    if (validationError) {
+      throw new AppError(validationError, ERROR_CODES.VALIDATION_ERROR, 400, { threshold });
+    }
+
+    await this.set(SETTING_KEYS.ANONYMITY_THRESHOLD, threshold);
+    setMinGroupSize(threshold);
+    return threshold;
+  }
+
+  /**
+   * Bandas de riesgo guardadas, agrupadas por método de puntuación
+   * @returns {Promise<Object>} - { metodo: [{ key, label, description, color, min, max }] }
+   */
+  static async getRiskBands() {
+    const { data, error } = await supabase
+      .from('bandas_riesgo')
+      .select('metodo, clave, etiqueta, descripcion, color, puntaje_min, puntaje_max');
+
+    if (error) throw handleSupabaseError(error, 'cargar bandas de riesgo');
+
+    return (data || []).reduce((acc, row) => {
+      acc[row.metodo] = acc[row.metodo] || [];
+      acc[row.metodo].push({
+        key: row.clave,
+        label: row.etiqueta,
+        description: row.descripcion,
+        color: row.color,
+        min: row.puntaje_min,
+        max: row.puntaje_max
+      });
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Guarda las bandas de un método y las aplica en esta sesión.
+   * Las vistas materializadas se refrescan para que los heatmaps usen las bandas nuevas.
+   * @param {string} method - likert, ghq o cghq
+   * @param {Array} bands - [{ key, label, description, color, min, max }]
+   */
+  static async saveRiskBands(method, bands) {
+    const errors = validateRiskBands(method, bands);
+    if (errors.length > 0) {
+      throw new AppError(errors.join('. '), ERROR_CODES.VALIDATION_ERROR, 400, { method, errors });
+    }
+
+    const rows = RISK_BAND_KEYS.map(key => {
+      const band = bands.find(item => item.key === key);
+      return {
+        metodo: method,
+        clave: key,
+        etiqueta: band.label.trim(),
+        descripcion: band.description?.trim() || null,
+        color: band.color,
+        puntaje_min: band.min,
+        puntaje_max: band.max
+      };
+    });
+
+    const { error } = await supabase
+      .from('bandas_riesgo')
+      .upsert(rows, { onConflict: 'metodo,clave' });
+
+    if (error) throw handleSupabaseError(error, 'guardar bandas de riesgo');
+
+    setRiskBands({ [method]: bands });
+
+    const { error: refreshError } = await supabase.rpc('refresh_ghq12_materialized_views');
+    if (refreshError) {
+      logError(refreshError, { operation: 'saveRiskBands', step: 'refresh_ghq12_materialized_views' });
+    }
+
+    return bands;
+  }
+
+  /**
+   * Carga la configuración de la organización y la aplica a los módulos.
+   * Si la tabla no está disponible se mantienen los valores por defecto.
+   */
+  static async applyOrganizationSettings() {
+    try {
+      const settings = await this.getAll();
+      const method = settings[SETTING_KEYS.SCORING_METHOD];
+
+      if (method && SCORING_METHOD_CONFIG[method]) {
+        setDefaultScoringMethod(method);
+      }
+
+      const threshold = settings[SETTING_KEYS.ANONYMITY_THRESHOLD];
+      if (validateMinGroupSize(threshold) === null) {
+        setMinGroupSize(threshold);
+      }
+
+      try {
+        setRiskBands(await this.getRiskBands());
+      } catch (error) {
+        logError(error, { operation: 'applyOrganizationSettings', step: 'bandas_riesgo' });
+      }
+
+      return settings;
+    } catch (error) {
+      logError(error, { operation: 'applyOrganizationSettings' });
+      return {};
+    }
+  }
+}
+
+export default SettingsService;
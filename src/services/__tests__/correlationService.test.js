@@ -0,0 +1,67 @@
+/**
+ * Tests unitarios de las pruebas de significancia de correlaciones
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateConfidenceInterval,
+  calculateKendallTau,
+  calculatePValue,
+  calculateSpearmanCorrelation,
+  formatPValue,
+  testCorrelation
+} from '../correlationService';
+
+describe('correlationService', () => {
+  it('calcula el valor p bilateral con la t de Student', () => {
+    // n = 3 → 1 grado de libertad (Cauchy): r = 1/√2 da t = 1 y p = 0.5
+    expect(calculatePValue(Math.SQRT1_2, 3)).toBeCloseTo(0.5, 6);
+    // n = 4 → 2 grados de libertad: p = 1 - t/√(2 + t²); r = √(2/3) da t = 2
+    expect(calculatePValue(Math.sqrt(2 / 3), 4)).toBeCloseTo(1 - 2 / Math.sqrt(6), 6);
+    expect(calculatePValue(0, 50)).toBeCloseTo(1, 6);
+  });
+
+  it('calcula el intervalo de confianza de Fisher', () => {
+    // z(0.5) = 0.5493, EE = 1/√25 = 0.2
+    const interval = calculateConfidenceInterval(0.5, 28);
+    expect(interval.lower).toBeCloseTo(Math.tanh(Math.atanh(0.5) - 1.959964 * 0.2), 6);
+    expect(interval.upper).toBeCloseTo(Math.tanh(Math.atanh(0.5) + 1.959964 * 0.2), 6);
+    expect(interval.level).toBe(0.95);
+
+    // Spearman y Kendall tienen errores estándar mayores
+    const spearman = calculateConfidenceInterval(0.5, 28, 'spearman');
+    expect(spearman.upper - spearman.lower).toBeGreaterThan(interval.upper - interval.lower);
+  });
+
+  it('calcula Spearman y Kendall sobre rangos con empates', () => {
+    const x = [1, 2, 3, 4, 5];
+    // Relación monótona no lineal: Spearman y Kendall son 1
+    expect(calculateSpearmanCorrelation(x, x.map(v => v ** 3))).toBeCloseTo(1, 10);
+    expect(calculateKendallTau(x, x.map(v => v ** 3))).toBeCloseTo(1, 10);
+
+    // 7 pares concordantes y 3 discordantes: τ = 0.4
+    expect(calculateKendallTau(x, [3, 1, 2, 5, 4])).toBeCloseTo(0.4, 10);
+    // Un empate en y: 5 concordantes, τ-b = 5 / √(5 · 6)
+    expect(calculateKendallTau([1, 2, 3, 4], [1, 1, 2, 3])).toBeCloseTo(5 / Math.sqrt(30), 10);
+  });
+
+  it('ignora pares incompletos y no estima con datos insuficientes o constantes', () => {
+    const x = [1, 2, null, 4, 5, 6, 7];
+    const y = [2, 4, 6, undefined, 10, 12, 14];
+    const result = testCorrelation(x, y);
+
+    expect(result.n).toBe(5);
+    expect(result.coefficient).toBeCloseTo(1, 10);
+    expect(result.significant).toBe(true);
+    expect(result.dataStatus).toBe('valid');
+
+    expect(testCorrelation([1, 2, 3], [3, 2, 1]).dataStatus).toBe('insufficient_data');
+    expect(testCorrelation([1, 2, 3, 4, 5], [2, 2, 2, 2, 2]).coefficient).toBeNull();
+  });
+
+  it('formatea valores p para informes', () => {
+    expect(formatPValue(0.0004)).toBe('p < 0.001');
+    expect(formatPValue(0.0321)).toBe('p = 0.032');
+    expect(formatPValue(null)).toBe('p no disponible');
+  });
+});
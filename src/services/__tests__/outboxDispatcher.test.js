@@ -0,0 +1,115 @@
+/**
+ * Tests de la bandeja de salida con un repositorio en memoria y el transporte de carpeta local
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { OutboxDispatcher } from '../delivery/OutboxDispatcher';
+import { FileOutboxTransport } from '../delivery/transports/FileOutboxTransport';
+import { DELIVERY_STATUS } from '../../utils/messaging';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+// Repositorio en memoria con la misma interfaz que OutboxRepository
+const createRepository = ({ tokens, reminders = [] }) => {
+  const messages = [];
+  return {
+    messages,
+    tokens,
+    reminders,
+    getCampaign: async (id) => ({ id, nombre: '2026 T1', fecha_fin: '2026-03-31' }),
+    getTemplate: async (id) => ({
+      id,
+      tipo: 'recordatorio',
+      asunto: 'Recordatorio {{campana}}',
+      cuerpo: 'Hola {{nombre}}: {{enlace}}'
+    }),
+    getCampaignTokens: async () => tokens,
+    getMessagedTokens: async (campaignId, tipo, reminderId) => new Set(
+      messages.filter(message => message.recordatorio_id === reminderId).map(message => message.token)
+    ),
+    insertMessages: async (rows) => {
+      rows.forEach(row => messages.push({ ...row, id: `msg-${messages.length + 1}`, intentos: 0 }));
+    },
+    getDueReminders: async (now) => reminders.filter(reminder => !reminder.procesado_en && new Date(reminder.programado_para) <= now),
+    markReminderProcessed: async (id, now) => {
+      reminders.find(reminder => reminder.id === id).procesado_en = now.toISOString();
+    },
+    getPendingMessages: async (transport, now) => messages.filter(message => (
+      message.estado === DELIVERY_STATUS.PENDIENTE && message.transporte === transport && new Date(message.programado_para) <= now
+    )),
+    getTokenStates: async () => new Map(tokens.map(token => [token.token, token])),
+    updateMessage: async (id, changes) => Object.assign(messages.find(message => message.id === id), changes)
+  };
+};
+
+const token = (value, overrides = {}) => ({
+  token: value,
+  user_id: `user-${value}`,
+  usado: false,
+  revocado_en: null,
+  expiracion: '2026-03-20T12:00:00Z',
+  usuario: { nombre: `Trabajador ${value}`, email: `${value}@empresa.com` },
+  ...overrides
+});
+
+describe('OutboxDispatcher', () => {
+  let directory;
+
+  afterEach(async () => {
+    if (directory) await rm(directory, { recursive: true, force: true });
+  });
+
+  it('encola los recordatorios vencidos y los entrega en la carpeta local', async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'outbox-'));
+    const repository = createRepository({
+      tokens: [token('a'), token('b', { usado: true })],
+      reminders: [
+        { id: 'rec-1', campana_id: 'camp-1', plantilla_id: 'tpl-1', transporte: 'archivo', programado_para: '2026-03-10T08:00:00Z' },
+        { id: 'rec-2', campana_id: 'camp-1', plantilla_id: 'tpl-1', transporte: 'archivo', programado_para: '2026-03-12T08:00:00Z' }
+      ]
+    });
+    const dispatcher = new OutboxDispatcher({
+      repository,
+      transport: new FileOutboxTransport({ directory }),
+      origin: 'https://encuestas.example.com'
+    });
+
+    const summary = await dispatcher.run(NOW);
+
+    expect(summary).toEqual({ queued: 1, sent: 1, failed: 0, cancelled: 0 });
+    expect(repository.reminders.map(reminder => Boolean(reminder.procesado_en))).toEqual([true, false]);
+
+    const files = await readdir(directory);
+    expect(files).toEqual(['msg-1.eml']);
+    const content = await readFile(path.join(directory, files[0]), 'utf8');
+    expect(content).toContain('To: a@empresa.com');
+    expect(content).toContain('Hola Trabajador a: https://encuestas.example.com/cuestionario/a');
+
+    // Una segunda pasada no repite el recordatorio
+    expect(await dispatcher.run(NOW)).toEqual({ queued: 0, sent: 0, failed: 0, cancelled: 0 });
+  });
+
+  it('cancela los mensajes de tokens usados antes de la entrega y reintenta los fallos', async () => {
+    const repository = createRepository({ tokens: [token('a'), token('b')] });
+    await OutboxDispatcher.enqueue(repository, {
+      campaignId: 'camp-1', templateId: 'tpl-1', transport: 'webhook', origin: '', now: NOW
+    });
+
+    // "a" responde después de encolar el recordatorio
+    repository.tokens[0].usado = true;
+
+    const transport = { name: 'webhook', send: async () => { throw new Error('El webhook respondió 503'); } };
+    const summary = await new OutboxDispatcher({ repository, transport, origin: '' }).deliver(NOW);
+
+    expect(summary).toEqual({ sent: 0, failed: 0, cancelled: 1 });
+    const [used, failing] = repository.messages;
+    expect(used.estado).toBe(DELIVERY_STATUS.CANCELADO);
+    expect(used.error).toBe('token respondido');
+    expect(failing.estado).toBe(DELIVERY_STATUS.PENDIENTE);
+    expect(failing.intentos).toBe(1);
+    expect(failing.error).toBe('El webhook respondió 503');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests de la cola de envíos sin conexión con un almacén en memoria
+ */
+
+import { describe, it, expect } from 'vitest';
+import { QUEUE_STATUS, SubmissionQueue } from '../offline/SubmissionQueue';
+import { AppError, ERROR_CODES } from '../../utils/errorHandling';
+
+// Misma interfaz que createIndexedDbStore, indexado por sessionId
+const createMemoryStore = () => {
+  const rows = new Map();
+  return {
+    rows,
+    getAll: async () => [...rows.values()],
+    put: async (value) => rows.set(value.sessionId, value),
+    remove: async (key) => rows.delete(key)
+  };
+};
+
+const submission = (sessionId) => ({ sessionId, userId: 'u1', answers: { 1: 0 }, token: null, instrumentId: 1 });
+
+describe('SubmissionQueue', () => {
+  it('reemplaza la misma sesión y conserva lo pendiente si se corta la red', async () => {
+    const store = createMemoryStore();
+    const sent = [];
+    let online = false;
+    const queue = new SubmissionQueue({
+      store,
+      submit: async (entry) => {
+        if (!online) throw new TypeError('Failed to fetch');
+        sent.push(entry.sessionId);
+      }
+    });
+
+    await queue.enqueue(submission('s1'), new Date('2026-03-10T10:00:00Z'));
+    await queue.enqueue(submission('s2'), new Date('2026-03-10T10:05:00Z'));
+    await queue.enqueue(submission('s1'), new Date('2026-03-10T10:06:00Z'));
+    expect(await queue.getSummary()).toEqual({ pending: 2, failed: 0 });
+
+    expect(await queue.flush()).toEqual({ sent: 0, failed: 0, remaining: 2 });
+    expect(store.rows.size).toBe(2);
+
+    online = true;
+    expect(await queue.flush()).toEqual({ sent: 2, failed: 0, remaining: 0 });
+    expect(sent).toEqual(['s2', 's1']);
+    expect(store.rows.size).toBe(0);
+  });
+
+  it('marca como fallido lo que el servidor rechaza y no lo reintenta', async () => {
+    const store = createMemoryStore();
+    let calls = 0;
+    const queue = new SubmissionQueue({
+      store,
+      submit: async () => {
+        calls++;
+        throw new AppError('Token ya utilizado', ERROR_CODES.AUTH_ERROR, 403, { hint: 'token_usado' });
+      }
+    });
+
+    await queue.enqueue(submission('s1'));
+    const [first, second] = await Promise.all([queue.flush(), queue.flush()]);
+
+    expect(first).toBe(second);
+    expect(first).toEqual({ sent: 0, failed: 1, remaining: 0 });
+    expect(store.rows.get('s1')).toMatchObject({ estado: QUEUE_STATUS.FALLIDO, intentos: 1, error: 'Token ya utilizado' });
+
+    await queue.flush();
+    expect(calls).toBe(1);
+    expect(await queue.getSummary()).toEqual({ pending: 0, failed: 1 });
+  });
+});
@@ -3,88 +3,11 @@
  * Separa la lógica de negocio de los componentes UI
  */
 
-/**
- * Calcula correlaciones entre diferentes métricas de seguridad y bienestar
- * @param {Object} safetyData - Datos de métricas de seguridad
- * @param {Object} ghqData - Datos del cuestionario GHQ-12
- * @param {Object} perceptionData - Datos de percepción laboral
- * @returns {Array} Array de objetos de correlación
- */
-export const calculateCorrelations = (safetyData, ghqData, perceptionData) => {
-  const correlations = []
-  
-  try {
-    // Correlación: Bienestar (GHQ-12) vs Comportamientos Seguros
-    correlations.push({
-      variable_x: 'Bienestar (GHQ-12)',
-      variable_y: 'Comportamientos Seguros',
-      correlacion: calculatePearsonCorrelation(
-        extractGHQScores(ghqData),
-        extractSafetyBehaviors(safetyData)
-      ),
-      significancia: 0.001,
-      category: 'bienestar-seguridad',
-      interpretation: 'Correlación negativa: menor distress psicológico se asocia con más comportamientos seguros'
-    })
-    
-    // Correlación: Confianza en Gerencia vs Detenciones de Trabajo
-    correlations.push({
-      variable_x: 'Confianza en Gerencia',
-      variable_y: 'Detenciones de Trabajo',
-      correlacion: calculatePearsonCorrelation(
-        extractManagementTrust(perceptionData),
-        extractWorkStoppages(safetyData)
-      ),
-      significancia: 0.001,
-      category: 'confianza-detenciones',
-      interpretation: 'Mayor confianza en la gerencia se asocia con más detenciones proactivas de trabajo'
-    })
-    
-    // Correlación: Satisfacción Laboral vs Uso de EPP
-    correlations.push({
-      variable_x: 'Satisfacción Laboral',
-      variable_y: 'Uso de EPP',
-      correlacion: calculatePearsonCorrelation(
-        extractJobSatisfaction(perceptionData),
-        extractPPEUsage(safetyData)
-      ),
-      significancia: 0.01,
-      category: 'satisfaccion-epp',
-      interpretation: 'Mayor satisfacción laboral se correlaciona con mejor adherencia al uso de EPP'
-    })
-    
-    // Correlación: Antigüedad vs Puntaje GHQ-12
-    correlations.push({
-      variable_x: 'Antigüedad',
-      variable_y: 'Puntaje GHQ-12',
-      correlacion: calculatePearsonCorrelation(
-        extractSeniority(perceptionData),
-        extractGHQScores(ghqData)
-      ),
-      significancia: 0.05,
-      category: 'antiguedad-bienestar',
-      interpretation: 'La antigüedad muestra una correlación débil con el bienestar psicológico'
-    })
-    
-    // Correlación: Capacitación Seguridad vs Reporte Casi-accidentes
-    correlations.push({
-      variable_x: 'Capacitación Seguridad',
-      variable_y: 'Reporte Casi-accidentes',
-      correlacion: calculatePearsonCorrelation(
-        extractSafetyTraining(safetyData),
-        extractNearMissReports(safetyData)
-      ),
-      significancia: 0.001,
-      category: 'capacitacion-reportes',
-      interpretation: 'Mayor capacitación en seguridad se asocia con más reportes de casi-accidentes'
-    })
-    
-  } catch (error) {
-    console.error('Error calculating correlations:', error)
-  }
-  
-  return correlations.filter(corr => corr.correlacion !== null && !isNaN(corr.correlacion))
-}
+import {
+  normalTwoTailedP,
+  rankValues,
+  studentTwoTailedP
+} from '../utils/statistics'
 
 /**
  * Calcula el coeficiente de correlación de Pearson entre dos arrays
@@ -112,165 +35,194 @@ export const calculatePearsonCorrelation = (x, y) => {
   return numerator / denominator
 }
 
+// Métodos disponibles: Pearson para variables continuas; Spearman y Kendall
+// para datos ordinales (escalas Likert, puntajes GHQ-12) o relaciones no lineales
+export const CORRELATION_METHODS = {
+  pearson: { label: 'Pearson', symbol: 'r' },
+  spearman: { label: 'Spearman', symbol: 'ρ' },
+  kendall: { label: 'Kendall', symbol: 'τ' }
+}
+
+export const SIGNIFICANCE_LEVEL = 0.05
+export const CONFIDENCE_LEVEL = 0.95
+
+// Mínimo de pares completos: el error estándar de Fisher para Kendall usa n - 4
+export const MIN_CORRELATION_SAMPLE = 5
+
 /**
- * Prepara datos para gráficos de dispersión
- * @param {Object} safetyData - Datos de seguridad
- * @param {Object} ghqData - Datos GHQ-12
- * @param {Object} perceptionData - Datos de percepción
- * @returns {Object} Objeto con datos preparados para scatter plots
+ * Correlación de Spearman: Pearson sobre rangos (rangos promedio en empates)
+ * @param {Array} x - Primera variable
+ * @param {Array} y - Segunda variable
+ * @returns {number|null} Coeficiente ρ (-1 a 1)
  */
-export const prepareScatterData = (safetyData, ghqData, perceptionData) => {
-  const scatterPlots = {}
-  
-  try {
-    // Scatter plot: GHQ vs Comportamientos Seguros
-    scatterPlots.ghqVsSafety = prepareScatterPlotData(
-      extractGHQScores(ghqData),
-      extractSafetyBehaviors(safetyData),
-      'Puntaje GHQ-12',
-      'Comportamientos Seguros'
-    )
-    
-    // Scatter plot: Confianza vs Detenciones
-    scatterPlots.trustVsStoppages = prepareScatterPlotData(
-      extractManagementTrust(perceptionData),
-      extractWorkStoppages(safetyData),
-      'Confianza en Gerencia',
-      'Detenciones de Trabajo'
-    )
-    
-    // Scatter plot: Satisfacción vs EPP
-    scatterPlots.satisfactionVsPPE = prepareScatterPlotData(
-      extractJobSatisfaction(perceptionData),
-      extractPPEUsage(safetyData),
-      'Satisfacción Laboral',
-      'Uso de EPP'
-    )
-    
-  } catch (error) {
-    console.error('Error preparing scatter data:', error)
+export const calculateSpearmanCorrelation = (x, y) => {
+  if (!x || !y || x.length !== y.length || x.length === 0) {
+    return null
   }
-  
-  return scatterPlots
+
+  return calculatePearsonCorrelation(rankValues(x), rankValues(y))
 }
 
 /**
- * Prepara datos de segmentación para análisis
- * @param {Object} safetyData - Datos de seguridad
- * @param {Object} ghqData - Datos GHQ-12
- * @param {Object} perceptionData - Datos de percepción
- * @returns {Object} Datos de segmentación
+ * Tau-b de Kendall (corrige los empates, frecuentes en escalas ordinales)
+ * @param {Array} x - Primera variable
+ * @param {Array} y - Segunda variable
+ * @returns {number|null} Coeficiente τ-b (-1 a 1)
  */
-export const prepareSegmentationData = (safetyData, ghqData, perceptionData) => {
-  try {
-    return {
-      riskSegments: calculateRiskSegments(ghqData, safetyData),
-      departmentAnalysis: analyzeDepartmentCorrelations(safetyData, ghqData, perceptionData),
-      shiftAnalysis: analyzeShiftCorrelations(safetyData, ghqData, perceptionData),
-      experienceAnalysis: analyzeExperienceCorrelations(safetyData, ghqData, perceptionData)
+export const calculateKendallTau = (x, y) => {
+  if (!x || !y || x.length !== y.length || x.length < 2) {
+    return null
+  }
+
+  let concordant = 0
+  let discordant = 0
+  let tiesX = 0
+  let tiesY = 0
+
+  for (let i = 0; i < x.length - 1; i++) {
+    for (let j = i + 1; j < x.length; j++) {
+      const dx = Math.sign(x[i] - x[j])
+      const dy = Math.sign(y[i] - y[j])
+      if (dx === 0 && dy === 0) continue
+      if (dx === 0) tiesX++
+      else if (dy === 0) tiesY++
+      else if (dx === dy) concordant++
+      else discordant++
     }
-  } catch (error) {
-    console.error('Error preparing segmentation data:', error)
-    return {}
   }
-}
 
-// ===== FUNCIONES AUXILIARES DE EXTRACCIÓN =====
+  const denominator = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY))
+  if (denominator === 0) return 0
 
-const extractGHQScores = (ghqData) => {
-  // Simular extracción de puntajes GHQ-12
-  // En producción, esto extraería los puntajes reales del dataset
-  return Array.from({ length: 100 }, () => Math.random() * 36) // 0-36 rango GHQ-12
+  return (concordant - discordant) / denominator
 }
 
-const extractSafetyBehaviors = (safetyData) => {
-  // Simular extracción de comportamientos seguros
-  return Array.from({ length: 100 }, () => Math.random() * 100) // 0-100 porcentaje
-}
+/**
+ * Intervalo de confianza por transformación z de Fisher.
+ * Errores estándar: 1/√(n-3) para Pearson, √(1.06/(n-3)) para Spearman
+ * (Fieller et al., 1957) y √(0.437/(n-4)) para Kendall.
+ * @param {number} coefficient - Coeficiente de correlación
+ * @param {number} n - Pares completos
+ * @param {string} method - 'pearson', 'spearman' o 'kendall'
+ * @returns {Object|null} { lower, upper, level }
+ */
+export const calculateConfidenceInterval = (coefficient, n, method = 'pearson') => {
+  const standardError = {
+    pearson: n > 3 ? Math.sqrt(1 / (n - 3)) : null,
+    spearman: n > 3 ? Math.sqrt(1.06 / (n - 3)) : null,
+    kendall: n > 4 ? Math.sqrt(0.437 / (n - 4)) : null
+  }[method]
 
-const extractManagementTrust = (perceptionData) => {
-  // Simular extracción de confianza en gerencia
-  return Array.from({ length: 100 }, () => Math.random() * 10) // 1-10 escala
-}
+  if (coefficient === null || !standardError) return null
 
-const extractWorkStoppages = (safetyData) => {
-  // Simular extracción de detenciones de trabajo
-  return Array.from({ length: 100 }, () => Math.floor(Math.random() * 20)) // 0-20 detenciones
-}
+  // atanh(±1) es infinito: se acota para que el intervalo siga siendo finito
+  const bounded = Math.max(-0.999999, Math.min(0.999999, coefficient))
+  const z = Math.atanh(bounded)
+  const margin = Z_CRITICAL_95 * standardError
 
-const extractJobSatisfaction = (perceptionData) => {
-  // Simular extracción de satisfacción laboral
-  return Array.from({ length: 100 }, () => Math.random() * 10) // 1-10 escala
+  return {
+    lower: Math.tanh(z - margin),
+    upper: Math.tanh(z + margin),
+    level: CONFIDENCE_LEVEL
+  }
 }
 
-const extractPPEUsage = (safetyData) => {
-  // Simular extracción de uso de EPP
-  return Array.from({ length: 100 }, () => Math.random() * 100) // 0-100 porcentaje
-}
+/**
+ * Valor p bilateral de la hipótesis nula de correlación cero.
+ * Pearson y Spearman: t de Student con n - 2 grados de libertad.
+ * Kendall: aproximación normal de τ.
+ * @param {number} coefficient - Coeficiente de correlación
+ * @param {number} n - Pares completos
+ * @param {string} method - 'pearson', 'spearman' o 'kendall'
+ * @returns {number|null} Valor p (0 a 1)
+ */
+export const calculatePValue = (coefficient, n, method = 'pearson') => {
+  if (coefficient === null || isNaN(coefficient) || n < 3) return null
 
-const extractSeniority = (perceptionData) => {
-  // Simular extracción de antigüedad
-  return Array.from({ length: 100 }, () => Math.random() * 30) // 0-30 años
-}
+  if (method === 'kendall') {
+    const z = 3 * coefficient * Math.sqrt(n * (n - 1)) / Math.sqrt(2 * (2 * n + 5))
+    return normalTwoTailedP(z)
+  }
 
-const extractSafetyTraining = (safetyData) => {
-  // Simular extracción de horas de capacitación
-  return Array.from({ length: 100 }, () => Math.random() * 40) // 0-40 horas
-}
+  if (Math.abs(coefficient) >= 1) return 0
 
-const extractNearMissReports = (safetyData) => {
-  // Simular extracción de reportes de casi-accidentes
-  return Array.from({ length: 100 }, () => Math.floor(Math.random() * 10)) // 0-10 reportes
+  const df = n - 2
+  const t = coefficient * Math.sqrt(df / (1 - coefficient * coefficient))
+  return studentTwoTailedP(t, df)
 }
 
-// ===== FUNCIONES AUXILIARES DE ANÁLISIS =====
+/**
+ * Prueba de correlación completa sobre pares con ambos valores presentes
+ * (eliminación por pares: un dato faltante no se trata como cero)
+ * @param {Array} x - Primera variable (null/undefined/NaN = faltante)
+ * @param {Array} y - Segunda variable
+ * @param {string} method - 'pearson', 'spearman' o 'kendall'
+ * @returns {Object} { method, coefficient, n, pValue, confidenceInterval, significant, dataStatus }
+ */
+export const testCorrelation = (x, y, method = 'pearson') => {
+  const pairs = (x || []).reduce((acc, value, index) => {
+    const other = y?.[index]
+    if (isValidNumber(value) && isValidNumber(other)) acc.push([Number(value), Number(other)])
+    return acc
+  }, [])
+  const n = pairs.length
+
+  const result = {
+    method,
+    coefficient: null,
+    n,
+    pValue: null,
+    confidenceInterval: null,
+    significant: false,
+    dataStatus: 'insufficient_data'
+  }
+
+  const xs = pairs.map(pair => pair[0])
+  const ys = pairs.map(pair => pair[1])
 
-const prepareScatterPlotData = (xData, yData, xLabel, yLabel) => {
-  if (!xData || !yData || xData.length !== yData.length) {
-    return []
+  // Sin variación no hay correlación que estimar
+  if (n < MIN_CORRELATION_SAMPLE || new Set(xs).size < 2 || new Set(ys).size < 2) {
+    return result
   }
-  
-  return xData.map((x, index) => ({
-    x: x,
-    y: yData[index],
-    xLabel,
-    yLabel
-  }))
-}
 
-const calculateRiskSegments = (ghqData, safetyData) => {
-  // Simular segmentación por riesgo
-  return {
-    lowRisk: { count: 45, percentage: 45 },
-    mediumRisk: { count: 35, percentage: 35 },
-    highRisk: { count: 20, percentage: 20 }
+  const calculators = {
+    pearson: calculatePearsonCorrelation,
+    spearman: calculateSpearmanCorrelation,
+    kendall: calculateKendallTau
   }
-}
+  const calculator = calculators[method]
+  if (!calculator) {
+    throw new Error(`Método de correlación desconocido: ${method}`)
+  }
+
+  const coefficient = calculator(xs, ys)
+  const pValue = calculatePValue(coefficient, n, method)
 
-const analyzeDepartmentCorrelations = (safetyData, ghqData, perceptionData) => {
-  // Simular análisis por departamento
   return {
-    produccion: { correlation: -0.65, significance: 0.001 },
-    mantenimiento: { correlation: -0.58, significance: 0.01 },
-    calidad: { correlation: -0.72, significance: 0.001 },
-    administracion: { correlation: -0.45, significance: 0.05 }
+    ...result,
+    coefficient,
+    pValue,
+    confidenceInterval: calculateConfidenceInterval(coefficient, n, method),
+    significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+    dataStatus: 'valid'
   }
 }
 
-const analyzeShiftCorrelations = (safetyData, ghqData, perceptionData) => {
-  // Simular análisis por turno
-  return {
-    manana: { correlation: -0.62, significance: 0.001 },
-    tarde: { correlation: -0.58, significance: 0.01 },
-    noche: { correlation: -0.71, significance: 0.001 }
-  }
+/**
+ * Formatea un valor p para informes ("p < 0.001", "p = 0.032")
+ * @param {number|null} pValue
+ * @returns {string}
+ */
+export const formatPValue = (pValue) => {
+  if (pValue === null || pValue === undefined || isNaN(pValue)) return 'p no disponible'
+  if (pValue < 0.001) return 'p < 0.001'
+  return `p = ${pValue.toFixed(3)}`
 }
 
-const analyzeExperienceCorrelations = (safetyData, ghqData, perceptionData) => {
-  // Simular análisis por experiencia
-  return {
-    novato: { correlation: -0.45, significance: 0.05 },
-    intermedio: { correlation: -0.68, significance: 0.001 },
-    experto: { correlation: -0.72, significance: 0.001 }
-  }
-}
\ No newline at end of file
+// ===== FUNCIONES AUXILIARES ESTADÍSTICAS =====
+
+// Valor crítico normal bilateral para CONFIDENCE_LEVEL (95%)
+const Z_CRITICAL_95 = 1.959964
+
+const isValidNumber = (value) =>
+  value !== null && value !== undefined && value !== '' && !isNaN(Number(value))
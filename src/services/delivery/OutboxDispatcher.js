@@ -0,0 +1,149 @@
+import { TOKEN_STATUS, TOKEN_STATUS_LABELS, getTokenStatus } from '../../utils/invitations.js';
+import {
+  DELIVERY_STATUS,
+  MAX_DELIVERY_ATTEMPTS,
+  MESSAGE_TYPES,
+  buildOutboxMessages,
+  getRetryUpdate
+} from '../../utils/messaging.js';
+
+/**
+ * Procesa la bandeja de salida: encola los recordatorios vencidos y entrega
+ * los mensajes pendientes con un transporte. Un mensaje cuyo token ya se usó,
+ * se revocó o venció se cancela en lugar de entregarse.
+ */
+export class OutboxDispatcher {
+  /**
+   * @param {Object} options
+   * @param {import('./OutboxRepository.js').OutboxRepository} options.repository
+   * @param {Object} options.transport - Transporte de delivery/index.js
+   * @param {string} options.origin - Origen de la aplicación para los enlaces
+   * @param {number} [options.maxAttempts]
+   * @param {number} [options.batchSize] - Mensajes por ejecución
+   */
+  constructor({ repository, transport, origin, maxAttempts = MAX_DELIVERY_ATTEMPTS, batchSize = 100 }) {
+    this.repository = repository;
+    this.transport = transport;
+    this.origin = origin;
+    this.maxAttempts = maxAttempts;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * Encola un mensaje para cada token pendiente de la campaña. Las invitaciones
+   * no se repiten a quien ya tiene una en cola o enviada.
+   * @param {import('./OutboxRepository.js').OutboxRepository} repository
+   * @param {Object} options
+   * @param {string} options.campaignId
+   * @param {string} options.templateId
+   * @param {string} options.transport - Valor de TRANSPORT_TYPES
+   * @param {string} options.origin
+   * @param {string} [options.reminderId]
+   * @param {Date} [options.now]
+   * @returns {Promise<{ queued: number, withoutAddress: number, excluded: number }>}
+   */
+  static async enqueue(repository, { campaignId, templateId, transport, origin, reminderId = null, now = new Date() }) {
+    const [campaign, template, tokens] = await Promise.all([
+      repository.getCampaign(campaignId),
+      repository.getTemplate(templateId),
+      repository.getCampaignTokens(campaignId)
+    ]);
+
+    const exclude = reminderId || template.tipo === MESSAGE_TYPES.INVITACION
+      ? await repository.getMessagedTokens(campaignId, template.tipo, reminderId)
+      : new Set();
+
+    const { messages, withoutAddress, excluded } = buildOutboxMessages(tokens, {
+      campaign, template, transport, origin, reminderId, exclude, now
+    });
+    await repository.insertMessages(messages);
+
+    return { queued: messages.length, withoutAddress, excluded };
+  }
+
+  /**
+   * Encola los recordatorios cuya hora ya llegó
+   * @param {Date} now
+   * @returns {Promise<number>} - Mensajes encolados
+   */
+  async processDueReminders(now) {
+    let queued = 0;
+
+    for (const reminder of await this.repository.getDueReminders(now)) {
+      const result = await OutboxDispatcher.enqueue(this.repository, {
+        campaignId: reminder.campana_id,
+        templateId: reminder.plantilla_id,
+        transport: reminder.transporte,
+        origin: this.origin,
+        reminderId: reminder.id,
+        now
+      });
+      await this.repository.markReminderProcessed(reminder.id, now);
+      queued += result.queued;
+    }
+
+    return queued;
+  }
+
+  /**
+   * Entrega los mensajes pendientes del transporte configurado
+   * @param {Date} now
+   * @returns {Promise<{ sent: number, failed: number, cancelled: number }>}
+   */
+  async deliver(now) {
+    const summary = { sent: 0, failed: 0, cancelled: 0 };
+    const messages = await this.repository.getPendingMessages(this.transport.name, now, this.batchSize);
+    const tokens = await this.repository.getTokenStates(messages.map(message => message.token));
+
+    for (const message of messages) {
+      const token = tokens.get(message.token);
+      const status = token ? getTokenStatus(token, now) : null;
+
+      if (status !== TOKEN_STATUS.PENDIENTE) {
+        await this.repository.updateMessage(message.id, {
+          estado: DELIVERY_STATUS.CANCELADO,
+          error: status ? `token ${TOKEN_STATUS_LABELS[status].toLowerCase()}` : 'token inexistente'
+        });
+        summary.cancelled++;
+        continue;
+      }
+
+      try {
+        await this.transport.send({
+          id: message.id,
+          to: message.destinatario,
+          subject: message.asunto,
+          text: message.cuerpo,
+          token: message.token,
+          type: message.tipo,
+          campaignId: message.campana_id
+        });
+        await this.repository.updateMessage(message.id, {
+          estado: DELIVERY_STATUS.ENVIADO,
+          enviado_en: now.toISOString(),
+          intentos: (message.intentos || 0) + 1,
+          error: null
+        });
+        summary.sent++;
+      } catch (error) {
+        const changes = getRetryUpdate(message, error.message, { maxAttempts: this.maxAttempts, now });
+        await this.repository.updateMessage(message.id, changes);
+        if (changes.estado === DELIVERY_STATUS.FALLIDO) summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Una pasada completa (pensada para ejecutarse periódicamente)
+   * @param {Date} [now]
+   * @returns {Promise<{ queued: number, sent: number, failed: number, cancelled: number }>}
+   */
+  async run(now = new Date()) {
+    const queued = await this.processDueReminders(now);
+    return { queued, ...(await this.deliver(now)) };
+  }
+}
+
+export default OutboxDispatcher;
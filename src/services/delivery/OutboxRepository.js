@@ -0,0 +1,201 @@
+import { handleSupabaseError } from '../../utils/errorHandling.js';
+import { DELIVERY_STATUS } from '../../utils/messaging.js';
+
+// Tamaño de lote para filtros `in` e inserciones masivas
+const BATCH_SIZE = 200;
+
+const inBatches = (items) => Array.from(
+  { length: Math.ceil(items.length / BATCH_SIZE) },
+  (_, index) => items.slice(index * BATCH_SIZE, (index + 1) * BATCH_SIZE)
+);
+
+/**
+ * Acceso a datos de la bandeja de salida. Recibe el cliente de Supabase para
+ * poder usarse desde el panel (sesión del administrador) y desde el proceso de
+ * envío (clave de servicio).
+ */
+export class OutboxRepository {
+  /**
+   * @param {import('@supabase/supabase-js').SupabaseClient} client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * @param {string} campaignId
+   * @returns {Promise<Object>}
+   */
+  async getCampaign(campaignId) {
+    const { data, error } = await this.client
+      .from('campanas')
+      .select('id, nombre, fecha_inicio, fecha_fin, estado')
+      .eq('id', campaignId)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'cargar campaña');
+    return data;
+  }
+
+  /**
+   * @param {string} templateId
+   * @returns {Promise<Object>}
+   */
+  async getTemplate(templateId) {
+    const { data, error } = await this.client
+      .from('plantillas_mensaje')
+      .select('id, nombre, tipo, asunto, cuerpo')
+      .eq('id', templateId)
+      .single();
+
+    if (error) throw handleSupabaseError(error, 'cargar plantilla');
+    return data;
+  }
+
+  /**
+   * Tokens de la campaña con nombre y correo de su trabajador
+   * @param {string} campaignId
+   * @returns {Promise<Array>}
+   */
+  async getCampaignTokens(campaignId) {
+    const { data, error } = await this.client
+      .from('tokens_acceso')
+      .select('token, user_id, usado, expiracion, revocado_en')
+      .eq('campana_id', campaignId);
+
+    if (error) throw handleSupabaseError(error, 'cargar tokens de la campaña');
+
+    const users = new Map();
+    const userIds = [...new Set((data || []).map(token => token.user_id).filter(Boolean))];
+    for (const batch of inBatches(userIds)) {
+      const { data: rows, error: usersError } = await this.client
+        .from('usuarios')
+        .select('id, nombre, email')
+        .in('id', batch);
+
+      if (usersError) throw handleSupabaseError(usersError, 'cargar trabajadores de la campaña');
+      (rows || []).forEach(user => users.set(user.id, user));
+    }
+
+    return (data || []).map(token => ({ ...token, usuario: users.get(token.user_id) || null }));
+  }
+
+  /**
+   * Tokens que ya tienen un mensaje del tipo indicado en cola o enviado; con
+   * recordatorio, los que ya recibieron ese recordatorio
+   * @param {string} campaignId
+   * @param {string} tipo
+   * @param {string} [reminderId]
+   * @returns {Promise<Set<string>>}
+   */
+  async getMessagedTokens(campaignId, tipo, reminderId = null) {
+    let query = this.client
+      .from('envios_mensaje')
+      .select('token')
+      .eq('campana_id', campaignId);
+
+    query = reminderId
+      ? query.eq('recordatorio_id', reminderId)
+      : query.eq('tipo', tipo).in('estado', [DELIVERY_STATUS.PENDIENTE, DELIVERY_STATUS.ENVIADO]);
+
+    const { data, error } = await query;
+
+    if (error) throw handleSupabaseError(error, 'consultar mensajes enviados');
+    return new Set((data || []).map(row => row.token));
+  }
+
+  /**
+   * @param {Array} messages - Filas de buildOutboxMessages
+   */
+  async insertMessages(messages) {
+    for (const batch of inBatches(messages)) {
+      const { error } = await this.client.from('envios_mensaje').insert(batch);
+      if (error) throw handleSupabaseError(error, 'encolar mensajes');
+    }
+  }
+
+  /**
+   * Recordatorios vencidos y sin procesar
+   * @param {Date} now
+   * @returns {Promise<Array>}
+   */
+  async getDueReminders(now) {
+    const { data, error } = await this.client
+      .from('recordatorios_campana')
+      .select('id, campana_id, plantilla_id, transporte, programado_para')
+      .is('procesado_en', null)
+      .lte('programado_para', now.toISOString())
+      .order('programado_para', { ascending: true });
+
+    if (error) throw handleSupabaseError(error, 'cargar recordatorios');
+    return data || [];
+  }
+
+  /**
+   * @param {string} reminderId
+   * @param {Date} now
+   */
+  async markReminderProcessed(reminderId, now) {
+    const { error } = await this.client
+      .from('recordatorios_campana')
+      .update({ procesado_en: now.toISOString() })
+      .eq('id', reminderId);
+
+    if (error) throw handleSupabaseError(error, 'marcar recordatorio');
+  }
+
+  /**
+   * Mensajes en cola listos para entregar con un transporte
+   * @param {string} transport
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async getPendingMessages(transport, now, limit) {
+    const { data, error } = await this.client
+      .from('envios_mensaje')
+      .select('id, campana_id, token, user_id, tipo, transporte, destinatario, asunto, cuerpo, intentos')
+      .eq('estado', DELIVERY_STATUS.PENDIENTE)
+      .eq('transporte', transport)
+      .lte('programado_para', now.toISOString())
+      .order('programado_para', { ascending: true })
+      .limit(limit);
+
+    if (error) throw handleSupabaseError(error, 'cargar bandeja de salida');
+    return data || [];
+  }
+
+  /**
+   * Estado actual de los tokens, para no recordar a quien ya respondió
+   * @param {string[]} tokens
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getTokenStates(tokens) {
+    const states = new Map();
+    for (const batch of inBatches([...new Set(tokens)])) {
+      const { data, error } = await this.client
+        .from('tokens_acceso')
+        .select('token, usado, expiracion, revocado_en')
+        .in('token', batch);
+
+      if (error) throw handleSupabaseError(error, 'consultar estado de los tokens');
+      (data || []).forEach(row => states.set(row.token, row));
+    }
+    return states;
+  }
+
+  /**
+   * @param {string} messageId
+   * @param {Object} changes
+   */
+  async updateMessage(messageId, changes) {
+    const { error } = await this.client
+      .from('envios_mensaje')
+      .update(changes)
+      .eq('id', messageId);
+
+    if (error) throw handleSupabaseError(error, 'actualizar mensaje');
+  }
+}
+
+export default OutboxRepository;
@@ -0,0 +1,43 @@
+/**
+ * Transportes de entrega de la bandeja de salida
+ *
+ * Un transporte es un objeto con `name` (valor de TRANSPORT_TYPES) y
+ * `async send(message)`, donde message = { id, to, subject, text, token, type,
+ * campaignId }. `send` lanza un error si la entrega falla. Se pueden añadir
+ * transportes con registerTransport.
+ */
+
+import { TRANSPORT_TYPES } from '../../utils/messaging.js';
+import { FileOutboxTransport } from './transports/FileOutboxTransport.js';
+import { SmtpTransport } from './transports/SmtpTransport.js';
+import { WebhookTransport } from './transports/WebhookTransport.js';
+
+const factories = new Map([
+  [TRANSPORT_TYPES.SMTP, options => new SmtpTransport(options)],
+  [TRANSPORT_TYPES.WEBHOOK, options => new WebhookTransport(options)],
+  [TRANSPORT_TYPES.ARCHIVO, options => new FileOutboxTransport(options)]
+]);
+
+/**
+ * Registra (o reemplaza) un transporte
+ * @param {string} name
+ * @param {Function} factory - (options) => transporte
+ */
+export const registerTransport = (name, factory) => {
+  factories.set(name, factory);
+};
+
+/**
+ * @param {string} name
+ * @param {Object} options - Configuración del transporte
+ * @returns {{ name: string, send: Function }}
+ */
+export const createTransport = (name, options = {}) => {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Transporte desconocido: ${name}`);
+  return factory(options);
+};
+
+export { OutboxDispatcher } from './OutboxDispatcher.js';
+export { OutboxRepository } from './OutboxRepository.js';
+export { FileOutboxTransport, SmtpTransport, WebhookTransport };
@@ -0,0 +1,48 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { TRANSPORT_TYPES } from '../../../utils/messaging.js';
+
+/**
+ * Escribe cada mensaje como un archivo .eml en una carpeta local, para probar
+ * plantillas y recordatorios sin enviar nada. Los .eml se abren con cualquier
+ * cliente de correo.
+ */
+export class FileOutboxTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory
+   * @param {string} [options.from]
+   */
+  constructor({ directory, from = 'bandeja-local@localhost' }) {
+    if (!directory) throw new Error('El transporte de carpeta local necesita un directorio');
+    this.name = TRANSPORT_TYPES.ARCHIVO;
+    this.directory = directory;
+    this.from = from;
+  }
+
+  /**
+   * @param {Object} message - { id, to, subject, text }
+   * @returns {Promise<string>} - Ruta del archivo escrito
+   */
+  async send(message) {
+    await mkdir(this.directory, { recursive: true });
+
+    const file = path.join(this.directory, `${message.id}.eml`);
+    const content = [
+      `From: ${this.from}`,
+      `To: ${message.to || 'sin-correo'}`,
+      `Subject: =?UTF-8?B?${Buffer.from(message.subject, 'utf8').toString('base64')}?=`,
+      `X-Envio-Id: ${message.id}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await writeFile(file, content, 'utf8');
+    return file;
+  }
+}
+
+export default FileOutboxTransport;
@@ -0,0 +1,46 @@
+import { TRANSPORT_TYPES } from '../../../utils/messaging.js';
+
+/**
+ * Entrega por correo a través de un servidor SMTP. Solo funciona en el
+ * proceso de envío (Node); nodemailer se carga al primer envío.
+ */
+export class SmtpTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.host
+   * @param {number} [options.port]
+   * @param {boolean} [options.secure] - TLS directo (puerto 465)
+   * @param {string} [options.user]
+   * @param {string} [options.pass]
+   * @param {string} options.from - Remitente, p. ej. "Bienestar <bienestar@empresa.com>"
+   */
+  constructor({ host, port = 587, secure = false, user, pass, from }) {
+    if (!host || !from) throw new Error('El transporte SMTP necesita servidor y remitente');
+    this.name = TRANSPORT_TYPES.SMTP;
+    this.from = from;
+    this.options = { host, port, secure, auth: user ? { user, pass } : undefined };
+    this.mailer = null;
+  }
+
+  /**
+   * @param {Object} message - { id, to, subject, text }
+   */
+  async send(message) {
+    if (!message.to) throw new Error('El trabajador no tiene correo');
+
+    if (!this.mailer) {
+      const { default: nodemailer } = await import('nodemailer');
+      this.mailer = nodemailer.createTransport(this.options);
+    }
+
+    await this.mailer.sendMail({
+      from: this.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      headers: { 'X-Envio-Id': message.id }
+    });
+  }
+}
+
+export default SmtpTransport;
@@ -0,0 +1,40 @@
+import { TRANSPORT_TYPES } from '../../../utils/messaging.js';
+
+/**
+ * Entrega cada mensaje como JSON por POST a una URL (pasarela de SMS o
+ * WhatsApp, automatizaciones, etc.). Cualquier respuesta que no sea 2xx se
+ * trata como fallo y el mensaje se reintenta.
+ */
+export class WebhookTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {Object} [options.headers] - Cabeceras adicionales (p. ej. autorización)
+   * @param {number} [options.timeoutMs]
+   * @param {Function} [options.fetch] - Implementación de fetch (por defecto la global)
+   */
+  constructor({ url, headers = {}, timeoutMs = 10000, fetch: fetchImpl = globalThis.fetch }) {
+    if (!url) throw new Error('El transporte webhook necesita una URL');
+    this.name = TRANSPORT_TYPES.WEBHOOK;
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl;
+  }
+
+  /**
+   * @param {Object} message - { id, to, subject, text, token, type, campaignId }
+   */
+  async send(message) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) throw new Error(`El webhook respondió ${response.status}`);
+  }
+}
+
+export default WebhookTransport;
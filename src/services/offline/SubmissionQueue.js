@@ -0,0 +1,132 @@
+import { isNetworkFailure } from '../../utils/errorHandling';
+
+export const QUEUE_STATUS = {
+  PENDIENTE: 'pendiente',
+  FALLIDO: 'fallido'
+};
+
+/**
+ * Cola de envíos del cuestionario hechos sin conexión. Cada envío se guarda
+ * por su sessionId: volver a encolar la misma sesión la reemplaza y, como
+ * enviar_cuestionario es idempotente por sesión, reenviarla tras un corte a
+ * mitad de la respuesta no duplica resultados.
+ *
+ * Un envío que falla por red se queda pendiente para la próxima sincronización;
+ * uno que el servidor rechaza (token usado, campaña cerrada...) se marca como
+ * fallido y se conserva para no perder las respuestas.
+ */
+export class SubmissionQueue {
+  /**
+   * @param {Object} options
+   * @param {{ getAll: Function, put: Function, remove: Function }} options.store
+   * @param {Function} options.submit - Recibe el envío guardado y lo manda al servidor
+   * @param {Function} [options.isRetryable] - ¿El error permite reintentar más tarde?
+   */
+  constructor({ store, submit, isRetryable = isNetworkFailure }) {
+    this.store = store;
+    this.submit = submit;
+    this.isRetryable = isRetryable;
+    this.listeners = new Set();
+    this.flushing = null;
+  }
+
+  get isFlushing() {
+    return this.flushing !== null;
+  }
+
+  /**
+   * @param {Object} submission - Debe incluir sessionId
+   * @param {Date} [now]
+   * @returns {Promise<Object>} - Registro guardado
+   */
+  async enqueue(submission, now = new Date()) {
+    const entry = {
+      ...submission,
+      estado: QUEUE_STATUS.PENDIENTE,
+      intentos: 0,
+      error: null,
+      encolado_en: now.toISOString()
+    };
+    await this.store.put(entry);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * @returns {Promise<Array>} - Envíos en cola, del más antiguo al más reciente
+   */
+  async list() {
+    const entries = await this.store.getAll();
+    return [...entries].sort((a, b) => a.encolado_en.localeCompare(b.encolado_en));
+  }
+
+  /**
+   * @returns {Promise<{ pending: number, failed: number }>}
+   */
+  async getSummary() {
+    const entries = await this.store.getAll();
+    return {
+      pending: entries.filter(entry => entry.estado === QUEUE_STATUS.PENDIENTE).length,
+      failed: entries.filter(entry => entry.estado === QUEUE_STATUS.FALLIDO).length
+    };
+  }
+
+  /**
+   * Envía los pendientes en orden. Si se pierde la red a mitad, se detiene y
+   * deja el resto para la siguiente llamada. Llamadas simultáneas comparten pasada.
+   * @returns {Promise<{ sent: number, failed: number, remaining: number }>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.sendPending().finally(() => {
+        this.flushing = null;
+        this.notify();
+      });
+      this.notify();
+    }
+    return this.flushing;
+  }
+
+  async sendPending() {
+    const summary = { sent: 0, failed: 0, remaining: 0 };
+    const pending = (await this.list()).filter(entry => entry.estado === QUEUE_STATUS.PENDIENTE);
+
+    for (const [index, entry] of pending.entries()) {
+      try {
+        await this.submit(entry);
+        await this.store.remove(entry.sessionId);
+        summary.sent++;
+      } catch (error) {
+        if (this.isRetryable(error)) {
+          summary.remaining = pending.length - index;
+          break;
+        }
+        await this.store.put({
+          ...entry,
+          estado: QUEUE_STATUS.FALLIDO,
+          intentos: entry.intentos + 1,
+          error: error.message
+        });
+        summary.failed++;
+      }
+      this.notify();
+    }
+
+    return summary;
+  }
+
+  /**
+   * @param {Function} listener - Se llama tras cada cambio de la cola
+   * @returns {Function} - Cancela la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default SubmissionQueue;
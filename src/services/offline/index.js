@@ -0,0 +1,65 @@
+import { SessionResultsService } from '../SessionResultsService';
+import { AnonymousSurveyService } from '../AnonymousSurveyService';
+import { getInstrumentById } from '../../data/instruments';
+import { SubmissionQueue } from './SubmissionQueue';
+import { createIndexedDbStore } from './indexedDbStore';
+
+export { QUEUE_STATUS, SubmissionQueue } from './SubmissionQueue';
+export { createIndexedDbStore } from './indexedDbStore';
+
+// Reintento periódico: en faena el evento "online" no siempre llega
+// (el equipo cree tener red, pero las peticiones no salen)
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Envía una entrada de la cola. Las de campañas anónimas llevan el código de
+ * participación en vez de la persona.
+ */
+const submitEntry = ({ sessionId, userId, code, demographics, answers, completionTime, token, instrumentId, language, assistedMode }) => {
+  const instrument = getInstrumentById(instrumentId);
+  if (code) {
+    return AnonymousSurveyService.submit({ sessionId, code, demographics, answers, instrument, language, assistedMode });
+  }
+
+  return SessionResultsService.submitSession({
+    sessionId,
+    userId,
+    answers,
+    completionTime,
+    token,
+    instrument,
+    language,
+    assistedMode
+  });
+};
+
+/**
+ * Cola de envíos del cuestionario de este dispositivo
+ */
+export const submissionQueue = new SubmissionQueue({
+  store: createIndexedDbStore({ dbName: 'cuestionario-offline', storeName: 'envios', keyPath: 'sessionId' }),
+  submit: submitEntry
+});
+
+const syncQuietly = () => {
+  submissionQueue.flush().catch((error) => {
+    console.warn('No se pudo sincronizar la cola de envíos:', error.message);
+  });
+};
+
+/**
+ * Sincroniza la cola al arrancar, al recuperar la conexión y cada minuto
+ * mientras la aplicación esté abierta
+ */
+export const startSubmissionSync = () => {
+  window.addEventListener('online', syncQuietly);
+  const interval = setInterval(() => {
+    if (navigator.onLine) syncQuietly();
+  }, SYNC_INTERVAL_MS);
+  syncQuietly();
+
+  return () => {
+    window.removeEventListener('online', syncQuietly);
+    clearInterval(interval);
+  };
+};
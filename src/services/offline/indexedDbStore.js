@@ -0,0 +1,62 @@
+/**
+ * Almacén clave-valor mínimo sobre IndexedDB (un object store por base).
+ * Expone la interfaz que usa SubmissionQueue: getAll, put y remove.
+ */
+
+const DB_VERSION = 1;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.dbName
+ * @param {string} options.storeName
+ * @param {string} options.keyPath - Propiedad que identifica cada registro
+ * @returns {{ getAll: Function, put: Function, remove: Function }}
+ */
+export const createIndexedDbStore = ({ dbName, storeName, keyPath }) => {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('Este navegador no permite guardar datos sin conexión'));
+      }
+
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName, { keyPath });
+        }
+      };
+      dbPromise = requestToPromise(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, operation) => {
+    const db = await open();
+    const transaction = db.transaction(storeName, mode);
+    const result = await requestToPromise(operation(transaction.objectStore(storeName)));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+  };
+
+  return {
+    getAll: () => withStore('readonly', store => store.getAll()),
+    put: (value) => withStore('readwrite', store => store.put(value)),
+    remove: (key) => withStore('readwrite', store => store.delete(key))
+  };
+};
+
+export default createIndexedDbStore;
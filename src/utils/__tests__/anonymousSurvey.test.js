@@ -0,0 +1,86 @@
+/**
+ * Tests unitarios de las campañas anónimas
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PARTICIPATION_CODE_ALPHABET,
+  generateParticipationCode,
+  getDemographicOptions,
+  normalizeParticipationCode,
+  summarizeAnonymousResults,
+  summarizeParticipation,
+  validateCodeCount,
+  validateDemographics
+} from '../anonymousSurvey';
+import { MERGED_GROUP_LABEL } from '../../config/anonymity';
+
+const LEVELS = ['bajo', 'moderado', 'alto', 'muy_alto'];
+
+const participants = (group, count, level = 'bajo') =>
+  Array.from({ length: count }, () => ({ group, level, value: level === 'bajo' ? 10 : 60 }));
+
+describe('anonymousSurvey', () => {
+  it('genera códigos legibles con el alfabeto sin caracteres ambiguos', () => {
+    const code = generateParticipationCode();
+    expect(code).toMatch(/^[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+    expect(code.replace('-', '').split('').every(symbol => PARTICIPATION_CODE_ALPHABET.includes(symbol))).toBe(true);
+
+    const fixed = generateParticipationCode(bytes => bytes.fill(33));
+    expect(fixed).toBe('BBBB-BBBB');
+  });
+
+  it('valida la cantidad de códigos de un lote', () => {
+    expect(validateCodeCount(50)).toBeNull();
+    expect(validateCodeCount(0)).not.toBeNull();
+    expect(validateCodeCount(2.5)).not.toBeNull();
+    expect(validateCodeCount(5000)).not.toBeNull();
+  });
+
+  it('normaliza el código escrito o leído del QR', () => {
+    expect(normalizeParticipationCode('abcd-ef23')).toBe('ABCD-EF23');
+    expect(normalizeParticipationCode(' abcd ef23 ')).toBe('ABCD-EF23');
+    expect(normalizeParticipationCode('https://encuestas.example.com/anonimo/ABCD-EF23?origen=qr')).toBe('ABCD-EF23');
+    expect(normalizeParticipationCode('ABCD-EF21')).toBeNull();
+    expect(normalizeParticipationCode('ABCD')).toBeNull();
+    expect(normalizeParticipationCode('')).toBeNull();
+  });
+
+  it('ofrece la población de la campaña o la lista general', () => {
+    const restricted = getDemographicOptions({ departamentos: ['Planta'], turnos: [] });
+    expect(restricted.departamento).toEqual({ values: ['Planta'], labelPrefix: null });
+    expect(restricted.turno.labelPrefix).toBe('sessionForm.options.turno');
+
+    const errors = validateDemographics({ departamento: 'Oficina', turno: 'noche', rango_edad: '26-35' }, restricted);
+    expect(errors).toEqual({ departamento: 'anonymous.errors.departamento' });
+    expect(validateDemographics({ departamento: 'Planta', turno: 'noche', rango_edad: '26-35' }, restricted)).toEqual({});
+  });
+
+  it('resume la participación por día sin tocar las respuestas', () => {
+    const summary = summarizeParticipation(
+      [{ codigo: 'ABCD-EF23' }],
+      [{ fecha: '2026-10-20', respondidos: 2 }, { fecha: '2026-10-19', respondidos: 1 }]
+    );
+
+    expect(summary).toMatchObject({ generated: 4, used: 3, pending: 1, rate: 75 });
+    expect(summary.byDay).toEqual([{ day: '2026-10-19', count: 1 }, { day: '2026-10-20', count: 2 }]);
+    expect(summarizeParticipation([]).rate).toBeNull();
+  });
+
+  it('combina los grupos pequeños y oculta un total por debajo del umbral', () => {
+    const result = summarizeAnonymousResults([
+      ...participants('Planta', 6),
+      ...participants('Bodega', 3, 'alto'),
+      ...participants('Oficina', 2)
+    ], { levels: LEVELS, highRiskLevels: ['alto', 'muy_alto'], threshold: 5 });
+
+    expect(result.suppressedGroups.sort()).toEqual(['Bodega', 'Oficina']);
+    expect(result.groups.map(group => group.name)).toEqual(['Planta', MERGED_GROUP_LABEL]);
+    expect(result.groups[1].summary.n).toBe(5);
+    expect(result.total.n).toBe(11);
+
+    const few = summarizeAnonymousResults(participants('Planta', 3), { levels: LEVELS, threshold: 5 });
+    expect(few.total).toBeNull();
+    expect(few.groups).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests unitarios de la auditoría de datos individuales
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  AUDIT_ACTIONS,
+  buildAuditSheetRows,
+  describeAuditChange,
+  getAnswerChanges
+} from '../audit';
+
+describe('audit', () => {
+  it('solo envía las respuestas que cambian y marca con null las borradas', () => {
+    expect(getAnswerChanges({ 1: 0, 2: 3, 3: 1 }, { 1: 0, 2: 2, 3: undefined, 4: 1 }))
+      .toEqual({ 2: 2, 3: null, 4: 1 });
+    expect(getAnswerChanges({ 1: 0 }, { 1: 0 })).toEqual({});
+  });
+
+  it('describe las modificaciones por las columnas que cambiaron', () => {
+    expect(describeAuditChange({
+      accion: AUDIT_ACTIONS.MODIFICAR,
+      campos: ['puntaje_normalizado', 'respuesta']
+    })).toBe('puntaje_normalizado, respuesta');
+    expect(describeAuditChange({ accion: AUDIT_ACTIONS.ELIMINAR, campos: null })).toBe('');
+    expect(describeAuditChange({ accion: AUDIT_ACTIONS.VER })).toBe('');
+  });
+
+  it('arma las filas de la exportación con el trabajador y las columnas cambiadas', () => {
+    const [row] = buildAuditSheetRows(
+      [{
+        created_at: '2026-05-01T12:00:00Z',
+        actor_email: 'admin@empresa.co',
+        accion: AUDIT_ACTIONS.MODIFICAR,
+        recurso: 'respuestas_cuestionario',
+        titular_id: 'u1',
+        registro_id: '42',
+        campos: ['puntaje_normalizado', 'respuesta'],
+        motivo: 'Error de digitación',
+        origen: 'editar_respuestas_usuario'
+      }],
+      new Map([['u1', { nombre: 'Ana Pérez', documento: '10203040' }]])
+    );
+
+    expect(row).toMatchObject({
+      Actor: 'admin@empresa.co',
+      Acción: 'Modificación',
+      Trabajador: 'Ana Pérez',
+      Documento: '10203040',
+      Campos: 'puntaje_normalizado, respuesta',
+      Motivo: 'Error de digitación',
+      Origen: 'Edición de respuestas'
+    });
+  });
+});
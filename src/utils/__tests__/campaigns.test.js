@@ -0,0 +1,102 @@
+/**
+ * Tests unitarios de campañas y comparación entre olas
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  compareWaves,
+  findPreviousCampaign,
+  getCampaignSlug,
+  isCampaignOpen,
+  isInTargetPopulation,
+  validateCampaign
+} from '../campaigns';
+import { MERGED_GROUP_LABEL } from '../../config/anonymity';
+
+const LEVELS = ['bajo', 'moderado', 'alto', 'muy_alto'];
+const HIGH = ['alto', 'muy_alto'];
+
+// n participantes del grupo con el nivel indicado (valor = porcentaje de riesgo)
+const people = (group, level, n, value = 50) => Array.from({ length: n }, () => ({ group, level, value }));
+
+describe('campaigns', () => {
+  it('valida nombre, fechas, instrumento y población', () => {
+    const campaign = {
+      nombre: '2026 T1',
+      fecha_inicio: '2026-01-10',
+      fecha_fin: '2026-02-10',
+      cuestionario_id: 1,
+      estado: 'activa',
+      poblacion_objetivo: { departamentos: ['Ventas'] }
+    };
+    expect(validateCampaign(campaign)).toEqual([]);
+
+    expect(validateCampaign({ ...campaign, fecha_fin: '2026-01-01' })).toHaveLength(1);
+    expect(validateCampaign({ ...campaign, nombre: ' ', cuestionario_id: undefined })).toHaveLength(2);
+    expect(validateCampaign({ ...campaign, poblacion_objetivo: { sedes: ['Norte'] } })).toHaveLength(1);
+  });
+
+  it('solo admite envíos en campañas activas dentro de su ventana', () => {
+    const campaign = { estado: 'activa', fecha_inicio: '2026-01-10', fecha_fin: '2026-02-10' };
+
+    expect(isCampaignOpen(campaign, new Date(2026, 0, 10))).toBe(true);
+    expect(isCampaignOpen(campaign, new Date(2026, 1, 10, 23, 59))).toBe(true);
+    expect(isCampaignOpen(campaign, new Date(2026, 1, 11))).toBe(false);
+    expect(isCampaignOpen({ ...campaign, estado: 'borrador' }, new Date(2026, 0, 15))).toBe(false);
+  });
+
+  it('filtra por población objetivo y los criterios vacíos no restringen', () => {
+    const user = { departamento: 'Ventas', cargo: 'Analista', turno: 'Noche' };
+
+    expect(isInTargetPopulation(user, {})).toBe(true);
+    expect(isInTargetPopulation(user, { departamentos: ['Ventas', 'Legal'], cargos: [] })).toBe(true);
+    expect(isInTargetPopulation(user, { departamentos: ['Ventas'], turnos: ['Mañana'] })).toBe(false);
+  });
+
+  it('arma el nombre de archivo sin tildes ni espacios', () => {
+    expect(getCampaignSlug({ nombre: 'Evaluación 2026 – T1' })).toBe('Evaluacion_2026_T1');
+    expect(getCampaignSlug({ nombre: '¿?' })).toBe('campana');
+  });
+
+  it('elige como referencia la campaña inmediatamente anterior', () => {
+    const campaigns = [
+      { id: 'c', fecha_inicio: '2026-01-10' },
+      { id: 'a', fecha_inicio: '2025-01-10' },
+      { id: 'b', fecha_inicio: '2025-07-10' }
+    ];
+    expect(findPreviousCampaign(campaigns, 'c').id).toBe('b');
+    expect(findPreviousCampaign(campaigns, 'a')).toBeNull();
+  });
+
+  it('compara la distribución por grupo en puntos porcentuales', () => {
+    const baseline = [...people('Ventas', 'bajo', 8, 20), ...people('Ventas', 'alto', 2, 70)];
+    const current = [...people('Ventas', 'bajo', 5, 20), ...people('Ventas', 'muy_alto', 5, 90)];
+
+    const result = compareWaves(baseline, current, { levels: LEVELS, highRiskLevels: HIGH, threshold: 5 });
+    const [ventas] = result.groups;
+
+    expect(ventas.baseline.highRisk).toBeCloseTo(20, 10);
+    expect(ventas.current.highRisk).toBeCloseTo(50, 10);
+    expect(ventas.change.highRisk).toBeCloseTo(30, 10);
+    expect(ventas.change.percentages.bajo).toBeCloseTo(-30, 10);
+    expect(ventas.change.meanRisk).toBeCloseTo(55 - 30, 10);
+    expect(result.total.change.highRisk).toBeCloseTo(30, 10);
+  });
+
+  it('oculta los mismos grupos en ambas olas', () => {
+    // Legal no alcanza el umbral en la ola actual: se combina en ambas olas
+    // junto con Almacén (supresión complementaria)
+    const baseline = [...people('Ventas', 'bajo', 20), ...people('Legal', 'alto', 6), ...people('Almacén', 'bajo', 7)];
+    const current = [...people('Ventas', 'bajo', 20), ...people('Legal', 'alto', 2), ...people('Almacén', 'bajo', 6)];
+
+    const result = compareWaves(baseline, current, { levels: LEVELS, highRiskLevels: HIGH, threshold: 5 });
+
+    expect(result.groups.map(group => group.name)).toEqual(['Ventas', MERGED_GROUP_LABEL]);
+    expect(result.suppressedGroups.sort()).toEqual(['Almacén', 'Legal']);
+
+    const [, merged] = result.groups;
+    expect(merged.baseline.n).toBe(13);
+    expect(merged.current.n).toBe(8);
+    expect(merged.mergedGroups).toBe(2);
+  });
+});
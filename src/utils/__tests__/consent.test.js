@@ -0,0 +1,64 @@
+/**
+ * Tests unitarios del consentimiento informado
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CONSENT_STATUS,
+  buildConsentReport,
+  getConsentText,
+  validateConsentDraft
+} from '../consent';
+
+const BODY = 'Autorizo el tratamiento de mis datos personales y de salud para la evaluación.';
+
+const version = {
+  version: 2,
+  titulo: 'Autorización',
+  textos: { es: BODY, en: 'I authorize the processing of my personal and health data for the assessment.', pt: '' }
+};
+
+describe('consent', () => {
+  it('muestra el texto en el idioma del trabajador o en español', () => {
+    expect(getConsentText(version, 'en')).toMatchObject({ version: 2, language: 'en', title: 'Autorización' });
+    expect(getConsentText(version, 'pt')).toMatchObject({ language: 'es', body: BODY });
+    expect(getConsentText(version, 'guc').language).toBe('es');
+  });
+
+  it('exige título, texto en español, resumen del cambio y un texto distinto del vigente', () => {
+    expect(validateConsentDraft({ titulo: 'Nuevo', textos: { es: BODY }, cambios: 'Ajuste de redacción' }, version)).toEqual([]);
+    expect(validateConsentDraft({ titulo: '', textos: { es: 'Corto' }, cambios: '' })).toHaveLength(3);
+    expect(validateConsentDraft({ ...version, cambios: 'Sin cambios' }, version))
+      .toEqual(['El texto es igual al de la versión vigente']);
+  });
+
+  it('informa el estado de cada invitado y de quienes respondieron sin invitación', () => {
+    const report = buildConsentReport({
+      invitations: [
+        { user_id: 'u1', usuario: { nombre: 'Ana' } },
+        { user_id: 'u2', usuario: { nombre: 'Beto' } },
+        { user_id: null, usuario: null }
+      ],
+      consents: [
+        { usuario_id: 'u1', version: 1, aceptado_en: '2026-10-01T10:00:00Z', idioma: 'es' },
+        { usuario_id: 'u1', version: 2, aceptado_en: '2026-10-05T10:00:00Z', idioma: 'en' },
+        { usuario_id: 'u3', version: 1, aceptado_en: '2026-10-02T10:00:00Z', idioma: 'es' }
+      ],
+      respondents: ['u1', 'u4'],
+      users: new Map([['u3', { nombre: 'Carla' }], ['u4', { nombre: 'Dario' }]]),
+      currentVersion: 2
+    });
+
+    expect(report.rows.map(row => [row.usuario.nombre, row.status])).toEqual([
+      ['Ana', CONSENT_STATUS.ACEPTADO],
+      ['Beto', CONSENT_STATUS.PENDIENTE],
+      ['Carla', CONSENT_STATUS.ACEPTADO],
+      ['Dario', CONSENT_STATUS.SIN_REGISTRO]
+    ]);
+    expect(report.rows[0]).toMatchObject({ version: 2, language: 'en', outdated: false, answered: true });
+    expect(report.rows[2].outdated).toBe(true);
+    expect(report.totals).toEqual({ total: 4, aceptado: 2, pendiente: 1, sin_registro: 1 });
+    expect(report.acceptanceRate).toBe(50);
+    expect(buildConsentReport({}).acceptanceRate).toBeNull();
+  });
+});
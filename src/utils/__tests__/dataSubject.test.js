@@ -0,0 +1,81 @@
+/**
+ * Tests unitarios de los derechos del titular
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ERASURE_MODES,
+  buildSubjectExport,
+  describeRequestDetail,
+  getRectificationChanges,
+  parseSubjectQuery,
+  validateErasureRequest
+} from '../dataSubject';
+
+const usuario = {
+  id: 'u1',
+  nombre: 'Ana Pérez',
+  documento: '10203040',
+  email: 'ana@empresa.co',
+  cargo: 'Operaria',
+  edad: 34
+};
+
+describe('dataSubject', () => {
+  it('busca por correo si el texto tiene @ y por documento en otro caso', () => {
+    expect(parseSubjectQuery('  Ana@Empresa.co ')).toEqual({ field: 'email', value: 'ana@empresa.co' });
+    expect(parseSubjectQuery(' 10203040 ')).toEqual({ field: 'documento', value: '10203040' });
+    expect(parseSubjectQuery('   ')).toBeNull();
+  });
+
+  it('arma la exportación con las notas de revisión y un resumen por sección', () => {
+    const exported = buildSubjectExport({
+      usuario,
+      respuestas: [
+        { pregunta_id: 2, fecha_respuesta: '2026-03-02T10:00:00Z' },
+        { pregunta_id: 1, fecha_respuesta: '2026-03-01T10:00:00Z' }
+      ],
+      resultados: [
+        { sesion_id: 's1', nota_revision: 'Se llamó al trabajador', estado_revision: 'aprobada' },
+        { sesion_id: 's2', nota_revision: null }
+      ],
+      consentimientos: [{ version: 1, aceptado_en: '2026-03-01T09:59:00Z' }],
+      auditoria: [
+        { accion: 'modificar', campos: ['respuesta'], created_at: '2026-03-05T08:00:00Z' },
+        { accion: 'ver', created_at: '2026-03-03T08:00:00Z' }
+      ]
+    }, new Date('2026-04-01T00:00:00Z'));
+
+    expect(exported.generado_en).toBe('2026-04-01T00:00:00.000Z');
+    expect(exported.titular).toBe(usuario);
+    expect(exported.respuestas.map(row => row.pregunta_id)).toEqual([1, 2]);
+    expect(exported.notas_seguimiento).toEqual([
+      expect.objectContaining({ sesion_id: 's1', nota_revision: 'Se llamó al trabajador' })
+    ]);
+    expect(exported.auditoria.map(row => row.accion)).toEqual(['ver', 'modificar']);
+    expect(exported.resumen).toMatchObject({ respuestas: 2, resultados: 2, notas_seguimiento: 1, consentimientos: 1, invitaciones: 0, auditoria: 2 });
+  });
+
+  it('solo envía los campos rectificados que cambian y valida edad y correo', () => {
+    expect(getRectificationChanges(usuario, { nombre: 'Ana Pérez', edad: '34', cargo: ' Supervisora ', email: '' }))
+      .toEqual({ changes: { cargo: 'Supervisora', email: null }, errors: [] });
+
+    const { errors } = getRectificationChanges(usuario, { edad: '12', email: 'sin-arroba', documento: ' ' });
+    expect(errors).toEqual([
+      'El correo no es válido',
+      'La edad debe ser un número entero entre 18 y 70',
+      'El documento no puede quedar vacío'
+    ]);
+  });
+
+  it('exige modo, verificación y el documento del titular para suprimir', () => {
+    expect(validateErasureRequest({ mode: ERASURE_MODES.SEUDONIMIZAR, confirmation: '10203040', verification: 'Copia de cédula' }, usuario))
+      .toEqual([]);
+    expect(validateErasureRequest({ mode: 'otro', confirmation: '1020', verification: '' }, usuario)).toHaveLength(3);
+  });
+
+  it('resume el detalle de los recibos', () => {
+    expect(describeRequestDetail({ detalle: { campos: ['email', 'area_macro'] } })).toBe('Correo, Área macro');
+    expect(describeRequestDetail({ detalle: { usuarios: 1, envios_mensaje: 3 } })).toBe('usuarios: 1 · envios_mensaje: 3');
+  });
+});
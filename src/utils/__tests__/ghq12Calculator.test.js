@@ -0,0 +1,173 @@
+/**
+ * Tests unitarios para la calculadora GHQ-12
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  SCORING_METHODS,
+  analyzeGHQ12,
+  calculateGHQ12Score,
+  calculateGroupFactorScores,
+  calculateGroupMetrics,
+  calculatePsychometrics,
+  calculateSubgroupReliability,
+  classifyRiskLevel,
+  setDefaultScoringMethod
+} from '../ghq12Calculator';
+
+const buildResponses = (values) => values.reduce((acc, value, index) => {
+  acc[`q${index + 1}`] = value;
+  return acc;
+}, {});
+
+// Máximo bienestar: 3 en ítems positivos, 0 en ítems negativos (2, 5, 6, 9, 10, 11)
+const HEALTHY = buildResponses([3, 0, 3, 3, 0, 0, 3, 3, 0, 0, 0, 3]);
+// Máximo malestar
+const DISTRESSED = buildResponses([0, 3, 0, 0, 3, 3, 0, 0, 3, 3, 3, 0]);
+// Síntomas leves en ítems negativos ("Casi nunca"): solo el C-GHQ los cuenta
+const MILD_CHRONIC = buildResponses([3, 1, 3, 3, 1, 1, 3, 3, 1, 1, 1, 3]);
+
+// Ítems negativos: el malestar se expresa con valores altos
+const NEGATIVE_ITEMS = [2, 5, 6, 9, 10, 11];
+
+/**
+ * Participantes con un nivel de malestar común a todos los ítems (0-3) y
+ * una desviación determinista; `noisyItem` responde sin relación con el nivel.
+ */
+const buildConsistentGroup = (size, { noisyItem = null, departamento = 'A' } = {}) =>
+  Array.from({ length: size }, (_, i) => {
+    const level = i % 4;
+    const values = Array.from({ length: 12 }, (__, j) => {
+      const itemId = j + 1;
+      if (itemId === noisyItem) return [1, 3, 0, 2][Math.floor(i / 4) % 4];
+      const deviation = (i + j) % 5 === 0 ? 1 : 0;
+      const distress = Math.min(3, level + deviation);
+      return NEGATIVE_ITEMS.includes(itemId) ? distress : 3 - distress;
+    });
+    return { responses: buildResponses(values), cuestionario_id: 1, departamento };
+  });
+
+describe('ghq12Calculator - métodos de puntuación', () => {
+  afterEach(() => {
+    setDefaultScoringMethod(SCORING_METHODS.LIKERT);
+  });
+
+  it('mantiene la puntuación Likert de bienestar por defecto', () => {
+    expect(calculateGHQ12Score(HEALTHY).totalScore).toBe(36);
+    expect(calculateGHQ12Score(DISTRESSED).totalScore).toBe(0);
+    expect(calculateGHQ12Score(DISTRESSED).riskPercentage).toBe(100);
+  });
+
+  it('puntúa GHQ 0-0-1-1 sobre 12', () => {
+    expect(calculateGHQ12Score(HEALTHY, undefined, SCORING_METHODS.GHQ).totalScore).toBe(0);
+    expect(calculateGHQ12Score(DISTRESSED, undefined, SCORING_METHODS.GHQ).totalScore).toBe(12);
+    expect(calculateGHQ12Score(MILD_CHRONIC, undefined, SCORING_METHODS.GHQ).totalScore).toBe(0);
+  });
+
+  it('puntúa C-GHQ contando síntomas crónicos en ítems negativos', () => {
+    expect(calculateGHQ12Score(MILD_CHRONIC, undefined, SCORING_METHODS.CGHQ).totalScore).toBe(6);
+    expect(analyzeGHQ12(MILD_CHRONIC, undefined, SCORING_METHODS.CGHQ).risk.isHighRisk).toBe(true);
+  });
+
+  it('calcula el puntaje por dimensión en las unidades del método', () => {
+    const likert = calculateGHQ12Score(MILD_CHRONIC).dimensionScores.salud_general;
+    expect(likert.score).toBe(30);
+    expect(likert.maxScore).toBe(36);
+
+    const cghq = calculateGHQ12Score(MILD_CHRONIC, undefined, SCORING_METHODS.CGHQ).dimensionScores.salud_general;
+    expect(cghq.score).toBe(6);
+    expect(cghq.maxScore).toBe(12);
+  });
+
+  it('calcula las subescalas de los modelos factoriales', () => {
+    const { graetz, dos_factores: twoFactor } = calculateGHQ12Score(MILD_CHRONIC).factorScores;
+
+    // Síntomas leves solo en ítems negativos: malestar 1 en ansiedad-depresión y confianza
+    expect(graetz.ansiedad_depresion.meanDistress).toBe(1);
+    expect(graetz.perdida_confianza.meanDistress).toBe(1);
+    expect(graetz.disfuncion_social.meanDistress).toBe(0);
+    expect(graetz.disfuncion_social.distressPercentage).toBe(0);
+    expect(twoFactor.ansiedad_depresion.score).toBe(12);
+    expect(twoFactor.ansiedad_depresion.maxScore).toBe(18);
+
+    const cghq = calculateGHQ12Score(MILD_CHRONIC, undefined, SCORING_METHODS.CGHQ).factorScores.graetz;
+    expect(cghq.perdida_confianza.score).toBe(2);
+    expect(cghq.perdida_confianza.distressPercentage).toBe(100);
+  });
+
+  it('promedia las subescalas del grupo', () => {
+    const group = calculateGroupFactorScores(
+      [{ responses: HEALTHY }, { responses: DISTRESSED }, { responses: { q1: 3 } }],
+      'graetz'
+    );
+
+    expect(group.n).toBe(2);
+    expect(group.factors.disfuncion_social.meanDistress).toBe(1.5);
+    expect(group.factors.ansiedad_depresion.distressPercentage).toBe(50);
+  });
+
+  it('aplica los umbrales de cada método', () => {
+    expect(classifyRiskLevel(17, SCORING_METHODS.LIKERT).level).toBe('ALTO');
+    expect(classifyRiskLevel(2, SCORING_METHODS.GHQ).level).toBe('MODERADO');
+    expect(classifyRiskLevel(3, SCORING_METHODS.GHQ).isHighRisk).toBe(true);
+    expect(() => classifyRiskLevel(13, SCORING_METHODS.GHQ)).toThrow();
+  });
+
+  it('informa el método usado en el análisis y en las métricas de grupo', () => {
+    setDefaultScoringMethod(SCORING_METHODS.GHQ);
+
+    expect(analyzeGHQ12(DISTRESSED).scoring.method).toBe(SCORING_METHODS.GHQ);
+
+    const metrics = calculateGroupMetrics([{ responses: HEALTHY }, { responses: DISTRESSED }]);
+    expect(metrics.scoring.method).toBe(SCORING_METHODS.GHQ);
+    expect(metrics.kpi.highRiskCount).toBe(1);
+  });
+
+  it('rechaza métodos desconocidos', () => {
+    expect(() => setDefaultScoringMethod('sten')).toThrow();
+  });
+});
+
+describe('ghq12Calculator - psicometría', () => {
+  it('estima alta confiabilidad cuando los ítems miden lo mismo', () => {
+    const result = calculatePsychometrics(buildConsistentGroup(40));
+
+    expect(result.n).toBe(40);
+    expect(result.alpha).toBeGreaterThan(0.9);
+    expect(result.omega).toBeGreaterThan(0.9);
+    expect(result.reliability.isAcceptable).toBe(true);
+    result.items.forEach(item => expect(item.itemTotalCorrelation).toBeGreaterThan(0.5));
+  });
+
+  it('señala el ítem inconsistente en la correlación ítem-total y alfa sin el ítem', () => {
+    const result = calculatePsychometrics(buildConsistentGroup(40, { noisyItem: 7 }));
+    const noisy = result.items.find(item => item.id === 7);
+
+    expect(noisy.flags.lowItemTotal).toBe(true);
+    expect(noisy.alphaIfDeleted).toBeGreaterThan(result.alpha);
+    expect(result.items.filter(item => item.flags.improvesAlphaIfDeleted).map(item => item.id)).toEqual([7]);
+  });
+
+  it('mide efectos suelo y techo sobre el puntaje total', () => {
+    const healthy = Array.from({ length: 10 }, () => ({ responses: HEALTHY }));
+    const result = calculatePsychometrics([...buildConsistentGroup(20), ...healthy]);
+
+    // En Likert de bienestar el máximo (36) corresponde a HEALTHY
+    expect(result.ceilingEffect.percent).toBeGreaterThanOrEqual(10 / 30 * 100);
+    expect(result.ceilingEffect.present).toBe(true);
+  });
+
+  it('advierte por subgrupo cuando la muestra no alcanza o la confiabilidad es baja', () => {
+    const participants = [
+      ...buildConsistentGroup(40, { departamento: 'Operaciones' }),
+      ...buildConsistentGroup(5, { departamento: 'Legal' })
+    ];
+    const byDepartment = calculateSubgroupReliability(participants, 'departamento');
+    const legal = byDepartment.find(group => group.group === 'Legal');
+    const operaciones = byDepartment.find(group => group.group === 'Operaciones');
+
+    expect(legal.status).toBe('insuficiente');
+    expect(legal.alpha).toBeNull();
+    expect(operaciones.status).toBe('ok');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests unitarios de las comparaciones entre grupos
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  chiSquareTest,
+  compareGroups,
+  kruskalWallis,
+  mannWhitneyU,
+  oneWayAnova,
+  welchTTest
+} from '../groupComparison';
+import { holmAdjust } from '../statistics';
+
+describe('groupComparison', () => {
+  it('t de Welch con g de Hedges', () => {
+    // Diferencia de medias -2, error estándar 1, 8 grados de libertad
+    const result = welchTTest([1, 2, 3, 4, 5], [3, 4, 5, 6, 7]);
+
+    expect(result.statistic).toBeCloseTo(-2, 10);
+    expect(result.df).toBeCloseTo(8, 10);
+    expect(result.pValue).toBeCloseTo(0.0805, 4);
+    expect(result.effectSize.value).toBeCloseTo((-2 / Math.sqrt(2.5)) * (1 - 3 / 31), 6);
+    expect(result.effectSize.magnitude).toBe('grande');
+  });
+
+  it('U de Mann-Whitney con r biserial de rangos', () => {
+    const result = mannWhitneyU([1, 2, 3], [4, 5, 6]);
+
+    expect(result.statistic).toBe(0);
+    expect(result.z).toBeCloseTo(-4 / Math.sqrt(5.25), 10);
+    expect(result.effectSize.value).toBe(-1);
+  });
+
+  it('ANOVA y Kruskal-Wallis sobre tres grupos', () => {
+    const groups = [[1, 2, 3], [4, 5, 6], [7, 8, 9]];
+
+    // F(2, 6) = 27 → p = (1 + 2·27/6)^-3 = 0.001
+    const anova = oneWayAnova(groups);
+    expect(anova.statistic).toBeCloseTo(27, 10);
+    expect(anova.pValue).toBeCloseTo(0.001, 8);
+    expect(anova.effectSize.value).toBeCloseTo(0.9, 10);
+
+    // H = 7.2 con 2 grados de libertad → p = e^-3.6
+    const kruskal = kruskalWallis(groups);
+    expect(kruskal.statistic).toBeCloseTo(7.2, 10);
+    expect(kruskal.pValue).toBeCloseTo(Math.exp(-3.6), 8);
+  });
+
+  it('chi-cuadrado con V de Cramér, ignorando categorías vacías', () => {
+    const result = chiSquareTest([[10, 20, 0], [20, 10, 0]]);
+
+    expect(result.statistic).toBeCloseTo(20 / 3, 10);
+    expect(result.df).toBe(1);
+    expect(result.pValue).toBeCloseTo(0.00982, 5);
+    expect(result.effectSize.value).toBeCloseTo(1 / 3, 10);
+  });
+
+  it('corrige por Holm las comparaciones múltiples', () => {
+    const adjusted = holmAdjust([0.01, 0.04, 0.03]);
+
+    expect(adjusted[0]).toBeCloseTo(0.03, 10);
+    expect(adjusted[1]).toBeCloseTo(0.06, 10);
+    expect(adjusted[2]).toBeCloseTo(0.06, 10);
+  });
+
+  it('compara grupos ocultando los que no alcanzan el umbral de anonimato', () => {
+    const build = (turno, values, level) => values.map(value => ({ turno, value, level }));
+    const participants = [
+      ...build('mañana', [10, 12, 15, 11, 14, 13], 'bajo'),
+      ...build('tarde', [40, 45, 38, 42, 50, 44], 'alto'),
+      ...build('noche', [20, 25, 22, 24, 21, 23], 'moderado'),
+      ...build('madrugada', [28, 27, 26, 29, 30, 32, 33], 'bajo'),
+      ...build('fin de semana', [30, 31], 'moderado')
+    ];
+
+    const result = compareGroups(participants, {
+      groupBy: 'turno',
+      levels: ['bajo', 'moderado', 'alto', 'muy_alto']
+    });
+
+    // Supresión complementaria: "fin de semana" solo no basta, también se oculta "mañana"
+    expect(result.status).toBe('ok');
+    expect(result.groups.map(g => g.name)).toEqual(['madrugada', 'noche', 'tarde']);
+    expect(result.suppressedCount).toBe(2);
+    expect(JSON.stringify(result)).not.toContain('fin de semana');
+    expect(result.omnibus.test).toBe('kruskal_wallis');
+    expect(result.omnibus.pValue).toBeLessThan(0.01);
+    expect(result.pairwise).toHaveLength(3);
+    result.pairwise.forEach(pair => expect(pair.adjustedPValue).toBeGreaterThanOrEqual(pair.pValue));
+    expect(result.riskDistribution.df).toBe(4);
+
+    expect(compareGroups(participants.slice(0, 6), { groupBy: 'turno' }).status).toBe('insuficiente');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests unitarios de las tarjetas de invitación imprimibles
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CARD_LAYOUT, buildCards, buildParticipationCards, getCardPlacement, getCardSize } from '../invitationCards';
+
+const token = (nombre, departamento, overrides = {}) => ({
+  token: `tok-${nombre}`,
+  usado: false,
+  revocado_en: null,
+  expiracion: '2026-03-20T12:00:00Z',
+  usuario: { nombre, documento: '1234', departamento, cargo: 'Pescador' },
+  ...overrides
+});
+
+describe('invitationCards', () => {
+  it('reparte las tarjetas en filas y páginas', () => {
+    const { width, height, perPage } = getCardSize();
+    expect(perPage).toBe(8);
+
+    expect(getCardPlacement(0)).toEqual({ page: 0, x: CARD_LAYOUT.margin, y: CARD_LAYOUT.margin });
+    expect(getCardPlacement(3)).toEqual({ page: 0, x: CARD_LAYOUT.margin + width, y: CARD_LAYOUT.margin + height });
+    expect(getCardPlacement(8)).toEqual({ page: 1, x: CARD_LAYOUT.margin, y: CARD_LAYOUT.margin });
+  });
+
+  it('solo imprime invitaciones pendientes, por área y nombre', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const cards = buildCards([
+      token('Luis', 'Planta'),
+      token('Ana', 'Planta'),
+      token('Marta', 'Flota'),
+      token('Pedro', 'Planta', { usado: true }),
+      token('Rosa', 'Planta', { revocado_en: '2026-03-09T00:00:00Z' })
+    ], 'https://encuestas.example.com', now);
+
+    expect(cards.map(card => card.nombre)).toEqual(['Marta', 'Ana', 'Luis']);
+    expect(cards[0].link).toBe('https://encuestas.example.com/cuestionario/tok-Marta');
+    expect(cards[0].detalle).toBe('Pescador · Flota');
+  });
+
+  it('imprime los códigos anónimos sin datos personales', () => {
+    const cards = buildParticipationCards([{ codigo: 'ABCD-EF23' }], 'https://encuestas.example.com');
+
+    expect(cards).toEqual([{ codigo: 'ABCD-EF23', link: 'https://encuestas.example.com/anonimo/ABCD-EF23' }]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests unitarios del listado de trabajadores y de los tokens de invitación
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TOKEN_STATUS,
+  buildInvitationSheetRows,
+  getTokenStatus,
+  normalizeHeader,
+  parseRoster,
+  validateExpiryDays
+} from '../invitations';
+
+describe('invitations', () => {
+  it('reconoce encabezados con tildes, mayúsculas y sinónimos', () => {
+    expect(normalizeHeader(' Correo Electrónico ')).toBe('correo_electronico');
+
+    const { workers, errors } = parseRoster([
+      { 'Cédula': '1.023.456', 'Nombres': 'Ana', 'Apellidos': 'Pérez', 'Área': 'Pesca', 'Puesto': 'Pescador' }
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(workers).toEqual([{
+      row: 2,
+      documento: '1023456',
+      nombre: 'Ana Pérez',
+      email: null,
+      departamento: 'Pesca',
+      cargo: 'Pescador',
+      turno: null,
+      genero: null
+    }]);
+  });
+
+  it('informa las filas inválidas o repetidas sin descartar el resto', () => {
+    const { workers, errors } = parseRoster([
+      { documento: '1234', nombre: 'Ana', correo: 'ana@empresa.com' },
+      { documento: '', nombre: 'Sin documento', correo: '' },
+      { documento: '5678', nombre: 'Luis', correo: 'luis@' },
+      { documento: '1234', nombre: 'Ana bis', correo: '' },
+      { documento: '', nombre: '', correo: '' }
+    ]);
+
+    expect(workers.map(worker => worker.documento)).toEqual(['1234']);
+    expect(errors).toEqual([
+      { row: 3, message: 'falta el documento' },
+      { row: 4, message: 'correo inválido "luis@"' },
+      { row: 5, message: 'documento repetido (fila 2)' }
+    ]);
+  });
+
+  it('exige las columnas de documento y nombre', () => {
+    expect(parseRoster([{ correo: 'ana@empresa.com' }]).missingColumns).toEqual(['documento', 'nombre']);
+    expect(parseRoster([{ dni: '1234', apellidos: 'Pérez' }]).missingColumns).toEqual(['nombre']);
+  });
+
+  it('valida los días de validez', () => {
+    expect(validateExpiryDays(7)).toBeNull();
+    expect(validateExpiryDays(0)).not.toBeNull();
+    expect(validateExpiryDays(91)).not.toBeNull();
+    expect(validateExpiryDays(2.5)).not.toBeNull();
+  });
+
+  it('distingue tokens pendientes, respondidos, vencidos y revocados', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const token = { usado: false, expiracion: '2026-03-15T00:00:00Z', revocado_en: null };
+
+    expect(getTokenStatus(token, now)).toBe(TOKEN_STATUS.PENDIENTE);
+    expect(getTokenStatus({ ...token, usado: true }, now)).toBe(TOKEN_STATUS.USADO);
+    expect(getTokenStatus({ ...token, expiracion: '2026-03-01T00:00:00Z' }, now)).toBe(TOKEN_STATUS.VENCIDO);
+    expect(getTokenStatus({ ...token, revocado_en: '2026-03-09T00:00:00Z' }, now)).toBe(TOKEN_STATUS.REVOCADO);
+  });
+
+  it('arma la hoja de enlaces personalizados', () => {
+    const [row] = buildInvitationSheetRows([{
+      token: 'abc123',
+      usado: false,
+      expiracion: '2999-01-01T12:00:00Z',
+      revocado_en: null,
+      usuario: { documento: '1234', nombre: 'Ana Pérez', cargo: 'Soldador' }
+    }], 'https://encuestas.example.com');
+
+    expect(row.Enlace).toBe('https://encuestas.example.com/cuestionario/abc123');
+    expect(row.Documento).toBe('1234');
+    expect(row.Cargo).toBe('Soldador');
+    expect(row.Correo).toBe('');
+    expect(row.Estado).toBe('Pendiente');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests unitarios del modo quiosco
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  KIOSK_STORAGE_KEY,
+  WORKER_STORAGE_KEYS,
+  clearWorkerTraces,
+  createKioskConfig,
+  getKioskCounters,
+  loadKioskConfig,
+  parseScannedToken,
+  recordKioskSubmission,
+  saveKioskConfig,
+  validateIdleMinutes,
+  validateKioskPin,
+  verifyKioskPin
+} from '../kiosk';
+
+const createStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+    keys: () => [...data.keys()]
+  };
+};
+
+const TOKEN = '3f2b8c1e-5a4d-4e6f-9b7a-1c2d3e4f5a6b';
+
+describe('kiosk', () => {
+  it('valida el PIN y los minutos de inactividad', () => {
+    expect(validateKioskPin('1234')).toBeNull();
+    expect(validateKioskPin('12a4')).toMatch(/números/);
+    expect(validateKioskPin('123')).toMatch(/entre 4 y 8/);
+    expect(validateIdleMinutes(3)).toBeNull();
+    expect(validateIdleMinutes(0)).not.toBeNull();
+    expect(validateIdleMinutes(2.5)).not.toBeNull();
+  });
+
+  it('guarda solo el hash del PIN y lo verifica', async () => {
+    const config = await createKioskConfig({ pin: '4821', idleMinutes: 2 });
+    expect(JSON.stringify(config)).not.toContain('4821');
+    expect(await verifyKioskPin(config, '4821')).toBe(true);
+    expect(await verifyKioskPin(config, '1111')).toBe(false);
+    expect(await verifyKioskPin(null, '4821')).toBe(false);
+  });
+
+  it('lee y escribe la configuración del dispositivo', async () => {
+    const storage = createStorage({ [KIOSK_STORAGE_KEY]: '{no es json' });
+    expect(loadKioskConfig(storage)).toBeNull();
+
+    const config = await createKioskConfig({ pin: '4821' });
+    saveKioskConfig(config, storage);
+    expect(loadKioskConfig(storage)).toEqual(config);
+  });
+
+  it('borra los rastros de la persona anterior y conserva la configuración', () => {
+    const storage = createStorage({
+      [KIOSK_STORAGE_KEY]: '{}',
+      personaId: '42',
+      currentUser: '{"nombre":"Ana"}',
+      idioma: 'pt'
+    });
+    clearWorkerTraces(storage);
+    expect(storage.keys()).toEqual([KIOSK_STORAGE_KEY]);
+    expect(WORKER_STORAGE_KEYS).toEqual(expect.arrayContaining(['personaId', 'currentUser', 'idioma']));
+  });
+
+  it('cuenta los envíos del día y el total del dispositivo', async () => {
+    const monday = new Date(2026, 9, 19, 7, 30);
+    const tuesday = new Date(2026, 9, 20, 6, 5);
+    let config = await createKioskConfig({ pin: '4821', now: monday });
+
+    config = recordKioskSubmission(config, monday);
+    config = recordKioskSubmission(config, monday);
+    expect(getKioskCounters(config, monday)).toEqual({ today: 2, total: 2 });
+    expect(getKioskCounters(config, tuesday)).toEqual({ today: 0, total: 2 });
+
+    config = recordKioskSubmission(config, tuesday);
+    expect(getKioskCounters(config, tuesday)).toEqual({ today: 1, total: 3 });
+    expect(getKioskCounters(null)).toEqual({ today: 0, total: 0 });
+  });
+
+  it('extrae el token del enlace de la invitación o del código solo', () => {
+    expect(parseScannedToken(`https://encuestas.example.com/cuestionario/${TOKEN}`)).toBe(TOKEN);
+    expect(parseScannedToken(`  ${TOKEN.toUpperCase()}\n`)).toBe(TOKEN);
+    expect(parseScannedToken(`https://encuestas.example.com/cuestionario/${TOKEN}?origen=qr`)).toBe(TOKEN);
+    expect(parseScannedToken('https://otra-pagina.example.com')).toBeNull();
+    expect(parseScannedToken(`${TOKEN}-extra`)).toBeNull();
+    expect(parseScannedToken('')).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests unitarios de plantillas de mensaje y de la bandeja de salida
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DELIVERY_STATUS,
+  TRANSPORT_TYPES,
+  buildOutboxMessages,
+  getRetryUpdate,
+  renderTemplate,
+  validateTemplate
+} from '../messaging';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const token = (value, overrides = {}) => ({
+  token: value,
+  user_id: `user-${value}`,
+  usado: false,
+  revocado_en: null,
+  expiracion: '2026-03-20T12:00:00Z',
+  usuario: { nombre: `Trabajador ${value}`, email: `${value}@empresa.com` },
+  ...overrides
+});
+
+const template = {
+  id: 'tpl-1',
+  tipo: 'recordatorio',
+  asunto: 'Recordatorio {{campana}}',
+  cuerpo: 'Hola {{ nombre }}, responde en {{enlace}} antes del {{fecha_limite}}.'
+};
+
+describe('messaging', () => {
+  it('sustituye los marcadores y deja intactos los desconocidos', () => {
+    expect(renderTemplate('Hola {{nombre}} {{ nombre }} {{otro}}', { nombre: 'Ana' })).toBe('Hola Ana Ana {{otro}}');
+  });
+
+  it('valida marcadores y exige el enlace', () => {
+    expect(validateTemplate({ ...template, nombre: 'Recordatorio' })).toEqual([]);
+    expect(validateTemplate({ ...template, nombre: 'X', cuerpo: 'Hola {{nombre}}' }))
+      .toEqual(['El cuerpo debe incluir {{enlace}}']);
+    expect(validateTemplate({ ...template, nombre: 'X', asunto: '{{empresa}}' }))
+      .toEqual(['Marcadores desconocidos: {{empresa}}']);
+  });
+
+  it('solo encola tokens pendientes y con correo cuando el transporte lo exige', () => {
+    const tokens = [
+      token('a'),
+      token('b', { usado: true }),
+      token('c', { revocado_en: '2026-03-09T00:00:00Z' }),
+      token('d', { usuario: { nombre: 'Sin correo', email: null } }),
+      token('e')
+    ];
+    const campaign = { id: 'camp-1', nombre: '2026 T1', fecha_fin: '2026-03-15' };
+
+    const result = buildOutboxMessages(tokens, {
+      campaign,
+      template,
+      transport: TRANSPORT_TYPES.SMTP,
+      origin: 'https://encuestas.example.com',
+      exclude: new Set(['e']),
+      now: NOW
+    });
+
+    expect(result.messages.map(message => message.token)).toEqual(['a']);
+    expect(result.withoutAddress).toBe(1);
+    expect(result.excluded).toBe(1);
+
+    const [message] = result.messages;
+    expect(message.asunto).toBe('Recordatorio 2026 T1');
+    expect(message.cuerpo).toContain('https://encuestas.example.com/cuestionario/a');
+    // La campaña termina antes de que venza el token
+    expect(message.cuerpo).toContain(new Date('2026-03-15T23:59:59').toLocaleDateString('es-ES'));
+    expect(message.estado).toBe(DELIVERY_STATUS.PENDIENTE);
+
+    const webhook = buildOutboxMessages(tokens, { campaign, template, transport: TRANSPORT_TYPES.WEBHOOK, origin: '', now: NOW });
+    expect(webhook.messages.map(row => row.token)).toEqual(['a', 'd', 'e']);
+  });
+
+  it('reintenta con espera creciente hasta agotar los intentos', () => {
+    const first = getRetryUpdate({ intentos: 0 }, 'timeout', { now: NOW });
+    expect(first.estado).toBe(DELIVERY_STATUS.PENDIENTE);
+    expect(new Date(first.programado_para) - NOW).toBe(15 * 60 * 1000);
+
+    const second = getRetryUpdate({ intentos: 1 }, 'timeout', { now: NOW });
+    expect(new Date(second.programado_para) - NOW).toBe(30 * 60 * 1000);
+
+    expect(getRetryUpdate({ intentos: 2 }, 'timeout', { now: NOW }).estado).toBe(DELIVERY_STATUS.FALLIDO);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests unitarios de los borradores del cuestionario
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  countDraftsBy,
+  findFirstUnanswered,
+  toDraftAnswers,
+  toResumableDraft
+} from '../questionnaireDrafts';
+
+const questions = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+
+describe('questionnaireDrafts', () => {
+  it('convierte las respuestas al formato del servidor y de vuelta', () => {
+    expect(toDraftAnswers({ 1: 2, 2: '0', 3: undefined })).toEqual({ 1: 2, 2: 0 });
+
+    const draft = toResumableDraft({
+      sesion_id: 'sesion-1',
+      usuario_id: 'usuario-1',
+      respuestas: { 1: 3, 2: 0, 99: 1, 4: 'x' },
+      iniciado_en: '2026-05-01T08:00:00Z'
+    }, questions);
+
+    expect(draft).toEqual({
+      sessionId: 'sesion-1',
+      userId: 'usuario-1',
+      answers: { 1: 3, 2: 0 },
+      answeredCount: 2,
+      startedAt: new Date('2026-05-01T08:00:00Z')
+    });
+    expect(toResumableDraft(null, questions)).toBeNull();
+  });
+
+  it('retoma en la primera pregunta sin responder, aunque haya huecos', () => {
+    expect(findFirstUnanswered(questions, {})).toBe(0);
+    expect(findFirstUnanswered(questions, { 1: 1, 2: 0, 4: 2 })).toBe(2);
+    expect(findFirstUnanswered(questions, { 1: 1, 2: 0, 3: 0, 4: 2 })).toBe(-1);
+  });
+
+  it('cuenta los cuestionarios en curso por campaña', () => {
+    const counts = countDraftsBy([
+      { campana_id: 'a' }, { campana_id: 'a' }, { campana_id: 'b' }, { campana_id: null }
+    ], 'campana_id');
+
+    expect(counts.get('a')).toBe(2);
+    expect(counts.get('b')).toBe(1);
+    expect(counts.size).toBe(2);
+  });
+});
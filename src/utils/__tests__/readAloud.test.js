@@ -0,0 +1,38 @@
+/**
+ * Tests unitarios de la lectura en voz alta del modo asistido
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildQuestionSpeech, pickVoice } from '../readAloud';
+import { createTranslator } from '../../i18n';
+
+const options = [
+  { value: 0, label: 'Never' },
+  { value: 1, label: 'Almost never' },
+  { value: 2, label: 'Almost always' },
+  { value: 3, label: 'Always' }
+];
+
+describe('readAloud', () => {
+  it('lee el número, el enunciado y las cuatro opciones numeradas', () => {
+    const speech = buildQuestionSpeech({ text: 'Have you been able to concentrate?' }, 3, options, createTranslator('en'));
+    expect(speech).toBe(
+      'Question 3. Have you been able to concentrate? Option 1: Never. Option 2: Almost never. ' +
+      'Option 3: Almost always. Option 4: Always.'
+    );
+  });
+
+  it('elige una voz del idioma, prefiriendo la predeterminada', () => {
+    const voices = [
+      { name: 'en', lang: 'en-US', default: true },
+      { name: 'es-ES', lang: 'es-ES', default: false },
+      { name: 'es-CO', lang: 'es_CO', default: false },
+      { name: 'pt', lang: 'pt-BR', default: false }
+    ];
+    expect(pickVoice(voices, 'es').name).toBe('es-ES');
+    expect(pickVoice(voices, 'en').name).toBe('en');
+    expect(pickVoice([{ ...voices[2], default: true }, voices[1]], 'es').name).toBe('es-CO');
+    expect(pickVoice(voices, 'guc')).toBeNull();
+    expect(pickVoice(undefined, 'es')).toBeNull();
+  });
+});
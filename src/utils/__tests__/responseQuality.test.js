@@ -0,0 +1,54 @@
+/**
+ * Tests unitarios del control de calidad de respuestas
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateMedian, evaluateResponseQuality } from '../responseQuality';
+
+const buildResponses = (values) => values.reduce((acc, value, index) => {
+  acc[`q${index + 1}`] = value;
+  return acc;
+}, {});
+
+// Patrón coherente: bienestar alto con algo de variación
+const CONSISTENT = buildResponses([3, 1, 2, 3, 0, 1, 2, 3, 0, 0, 1, 2]);
+// "Siempre" en todo: disfruta (q7) y está triste (q9) a la vez
+const ALL_ALWAYS = buildResponses(new Array(12).fill(3));
+
+const REFERENCE = { medianTime: 180, sessions: 40 };
+
+const codes = (result) => result.flags.map(flag => flag.code);
+
+describe('responseQuality', () => {
+  it('calcula la mediana ignorando valores nulos', () => {
+    expect(calculateMedian([30, null, 10, 20])).toBe(20);
+    expect(calculateMedian([10, 20, 30, 40])).toBe(25);
+    expect(calculateMedian([])).toBeNull();
+  });
+
+  it('no marca una sesión coherente con tiempo habitual', () => {
+    const result = evaluateResponseQuality({ responses: CONSISTENT, completionTime: 150, reference: REFERENCE });
+
+    expect(result.isFlagged).toBe(false);
+    expect(result.score).toBe(100);
+  });
+
+  it('detecta rapidez frente a la mediana y, sin referencia, por segundos por ítem', () => {
+    expect(codes(evaluateResponseQuality({ responses: CONSISTENT, completionTime: 60, reference: REFERENCE })))
+      .toEqual(['rapidez']);
+
+    // Con pocas sesiones de referencia no se usa la mediana
+    const fewSessions = { medianTime: 180, sessions: 3 };
+    expect(evaluateResponseQuality({ responses: CONSISTENT, completionTime: 60, reference: fewSessions }).isFlagged)
+      .toBe(false);
+    expect(codes(evaluateResponseQuality({ responses: CONSISTENT, completionTime: 15 }))).toEqual(['rapidez']);
+  });
+
+  it('detecta respuesta invariable y contradicciones entre ítems espejo', () => {
+    const result = evaluateResponseQuality({ responses: ALL_ALWAYS, completionTime: 150, reference: REFERENCE });
+
+    expect(codes(result)).toEqual(['respuesta_invariable', 'inconsistencia']);
+    expect(result.contradictions).toContainEqual({ positive: 7, negative: 9 });
+    expect(result.score).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests unitarios de las políticas de retención
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  IDENTITY_STATUS,
+  RETENTION_ACTIONS,
+  buildRetentionRows,
+  formatRetentionPeriod,
+  getIdentityStatus,
+  validateRetentionPolicy
+} from '../retention';
+
+const orgPseudonymise = { id: 'p1', campana_id: null, accion: RETENTION_ACTIONS.SEUDONIMIZAR, meses: 24, activa: true };
+
+describe('retention', () => {
+  it('expresa el plazo en años cuando es exacto', () => {
+    expect(formatRetentionPeriod(24)).toBe('2 años');
+    expect(formatRetentionPeriod(12)).toBe('1 año');
+    expect(formatRetentionPeriod(18)).toBe('18 meses');
+    expect(formatRetentionPeriod(1)).toBe('1 mes');
+  });
+
+  it('reconoce a los trabajadores seudonimizados o anonimizados por el documento', () => {
+    expect(getIdentityStatus({ documento: '10203040' })).toBe(IDENTITY_STATUS.IDENTIFICADO);
+    expect(getIdentityStatus({ documento: 'seud:ab12' })).toBe(IDENTITY_STATUS.SEUDONIMIZADO);
+    expect(getIdentityStatus({ documento: 'anon:cd34' })).toBe(IDENTITY_STATUS.ANONIMIZADO);
+  });
+
+  it('valida plazo, duplicados por ámbito y el orden de las acciones', () => {
+    const removeAfter = (meses, campana_id = null) => ({ campana_id, accion: RETENTION_ACTIONS.ELIMINAR_IDENTIFICADORES, meses });
+
+    expect(validateRetentionPolicy(removeAfter(60), [orgPseudonymise])).toEqual([]);
+    expect(validateRetentionPolicy(removeAfter(12), [orgPseudonymise]))
+      .toEqual(['Eliminar identificadores no puede ocurrir antes de seudonimizar']);
+    // En otra campaña no choca con la política general
+    expect(validateRetentionPolicy(removeAfter(12, 'c1'), [orgPseudonymise])).toEqual([]);
+    expect(validateRetentionPolicy({ ...orgPseudonymise, id: undefined }, [orgPseudonymise]))
+      .toEqual(['Ya hay una política con esa acción para este ámbito']);
+    // Editar la misma política no cuenta como duplicado
+    expect(validateRetentionPolicy({ ...orgPseudonymise, meses: 36 }, [orgPseudonymise])).toEqual([]);
+    expect(validateRetentionPolicy({ accion: 'borrar', meses: 0 })).toHaveLength(2);
+  });
+
+  it('arma las filas con el ámbito y el efecto previsto de las políticas activas', () => {
+    const rows = buildRetentionRows(
+      [
+        { id: 'p2', campana_id: 'c1', accion: RETENTION_ACTIONS.SEUDONIMIZAR, meses: 6, activa: true },
+        orgPseudonymise,
+        { id: 'p3', campana_id: null, accion: RETENTION_ACTIONS.ELIMINAR_IDENTIFICADORES, meses: 60, activa: false }
+      ],
+      [{ politica_id: 'p1', usuarios: 4, sesiones: 9 }],
+      [{ id: 'c1', nombre: 'Evaluación 2024' }]
+    );
+
+    expect(rows.map(row => [row.id, row.scope, row.period, row.affectedUsers])).toEqual([
+      ['p1', 'Toda la organización', '2 años', 4],
+      ['p3', 'Toda la organización', '5 años', null],
+      ['p2', 'Evaluación 2024', '6 meses', 0]
+    ]);
+  });
+});
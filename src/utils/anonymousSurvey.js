@@ -0,0 +1,184 @@
+/**
+ * Campañas anónimas
+ *
+ * En una campaña anónima cada trabajador recibe al azar un código de
+ * participación (tarjeta impresa u hoja de códigos) y solo indica datos gruesos:
+ * departamento, turno y rango de edad. El servidor guarda las respuestas sin
+ * vínculo con el código ni con la persona (sql/V16__create_modo_anonimo.sql);
+ * el uso de los códigos es el único registro de participación.
+ */
+
+import { getMinGroupSize, selectSuppressedGroups, MERGED_GROUP_LABEL } from '../config/anonymity';
+import { summarizeWave } from './campaigns';
+
+// Sin I, O, 0 ni 1, que se confunden al copiar el código de una tarjeta.
+// 32 símbolos: un byte aleatorio módulo 32 no favorece a ninguno.
+export const PARTICIPATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const PARTICIPATION_CODE_BATCH = {
+  MIN: 1,
+  MAX: 2000,
+  DEFAULT: 50
+};
+
+// Mismos rangos que el formulario de sesión (sessionForm.options.edad)
+export const ANONYMOUS_AGE_BANDS = ['18-25', '26-35', '36-45', '46-55', '56-65', '65+'];
+
+// Opciones cuando la campaña no acota la población; las etiquetas están en sessionForm.options
+const DEFAULT_DEPARTMENTS = ['administracion', 'produccion', 'calidad', 'operaciones', 'mantenimiento', 'seguridad', 'recursos_humanos', 'logistica', 'otro'];
+const DEFAULT_SHIFTS = ['mañana', 'tarde', 'noche', 'rotativo', 'administrativo'];
+
+const CODE_GROUP_LENGTH = 4;
+const CODE_PATTERN = new RegExp(`^[${PARTICIPATION_CODE_ALPHABET}]{${CODE_GROUP_LENGTH * 2}}$`);
+
+/**
+ * Código de participación al azar (XXXX-XXXX)
+ * @param {Function} [fillRandom] - Rellena un Uint8Array con bytes aleatorios
+ * @returns {string}
+ */
+export const generateParticipationCode = (fillRandom = bytes => crypto.getRandomValues(bytes)) => {
+  const bytes = fillRandom(new Uint8Array(CODE_GROUP_LENGTH * 2));
+  const symbols = Array.from(bytes, byte => PARTICIPATION_CODE_ALPHABET[byte % PARTICIPATION_CODE_ALPHABET.length]).join('');
+  return `${symbols.slice(0, CODE_GROUP_LENGTH)}-${symbols.slice(CODE_GROUP_LENGTH)}`;
+};
+
+/**
+ * @param {number} count
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+export const validateCodeCount = (count) => {
+  if (!Number.isInteger(count) || count < PARTICIPATION_CODE_BATCH.MIN || count > PARTICIPATION_CODE_BATCH.MAX) {
+    return `Indica entre ${PARTICIPATION_CODE_BATCH.MIN} y ${PARTICIPATION_CODE_BATCH.MAX} códigos`;
+  }
+  return null;
+};
+
+/**
+ * Código escrito por el trabajador o leído del QR de su tarjeta: acepta el
+ * enlace completo (`.../anonimo/<código>`), minúsculas y sin guion
+ * @param {string} text
+ * @returns {string|null} - Código en formato XXXX-XXXX, o null si no es válido
+ */
+export const normalizeParticipationCode = (text) => {
+  const value = String(text || '').trim();
+  const fromLink = value.match(/\/anonimo\/([^/?#\s]+)/);
+  const symbols = (fromLink ? decodeURIComponent(fromLink[1]) : value).toUpperCase().replace(/[\s-]/g, '');
+  return CODE_PATTERN.test(symbols)
+    ? `${symbols.slice(0, CODE_GROUP_LENGTH)}-${symbols.slice(CODE_GROUP_LENGTH)}`
+    : null;
+};
+
+/**
+ * Enlace que se imprime en el QR de la tarjeta
+ * @param {string} code
+ * @param {string} [origin]
+ * @returns {string}
+ */
+export const buildParticipationLink = (code, origin = window.location.origin) => `${origin}/anonimo/${code}`;
+
+/**
+ * Opciones de los datos demográficos. Si la campaña acota departamentos o turnos
+ * se ofrecen esos valores tal cual; si no, la lista general traducible.
+ * @param {Object} campaign - Resultado de validar el código ({ departamentos, turnos })
+ * @returns {Object} - { campo: { values: string[], labelPrefix: string|null } }
+ */
+export const getDemographicOptions = (campaign = {}) => {
+  const fromCampaign = (values, fallback, labelPrefix) => (
+    values?.length > 0 ? { values, labelPrefix: null } : { values: fallback, labelPrefix }
+  );
+
+  return {
+    departamento: fromCampaign(campaign.departamentos, DEFAULT_DEPARTMENTS, 'sessionForm.options.area'),
+    turno: fromCampaign(campaign.turnos, DEFAULT_SHIFTS, 'sessionForm.options.turno'),
+    rango_edad: { values: ANONYMOUS_AGE_BANDS, labelPrefix: 'sessionForm.options.edad' }
+  };
+};
+
+/**
+ * @param {Object} demographics - { departamento, turno, rango_edad }
+ * @param {Object} options - Resultado de getDemographicOptions
+ * @returns {Object} - { campo: clave de traducción del error }; vacío si es válido
+ */
+export const validateDemographics = (demographics, options) => Object.keys(options).reduce((errors, field) => {
+  if (!options[field].values.includes(demographics?.[field])) errors[field] = `anonymous.errors.${field}`;
+  return errors;
+}, {});
+
+/**
+ * Registro de participación de una campaña. Los códigos usados se borran al
+ * responder, así que lo respondido sale del contador por día.
+ * @param {Array} codes - Códigos sin usar
+ * @param {Array<{ fecha: string, respondidos: number }>} usage - `participacion_anonima`
+ * @returns {{ generated: number, used: number, pending: number, rate: number|null, byDay: Array }}
+ */
+export const summarizeParticipation = (codes, usage = []) => {
+  const used = usage.reduce((sum, row) => sum + row.respondidos, 0);
+  const generated = codes.length + used;
+
+  return {
+    generated,
+    used,
+    pending: codes.length,
+    rate: generated > 0 ? (used / generated) * 100 : null,
+    byDay: usage
+      .map(({ fecha: day, respondidos: count }) => ({ day, count }))
+      .sort((a, b) => (a.day < b.day ? -1 : 1))
+  };
+};
+
+/**
+ * Resultados anónimos por grupo (departamento, turno o rango de edad) con el
+ * umbral de anonimato: los grupos pequeños se combinan en "Otros grupos"
+ * @param {Array<{group: string, level: string, value: number}>} participants
+ * @param {Object} options
+ * @param {string[]} options.levels
+ * @param {string[]} [options.highRiskLevels]
+ * @param {number} [options.threshold]
+ * @returns {{ total: Object|null, groups: Array, suppressedGroups: string[] }}
+ */
+export const summarizeAnonymousResults = (participants, {
+  levels,
+  highRiskLevels = [],
+  threshold = getMinGroupSize()
+}) => {
+  const byGroup = participants.reduce((acc, participant) => {
+    (acc[participant.group] = acc[participant.group] || []).push(participant);
+    return acc;
+  }, {});
+
+  const hidden = selectSuppressedGroups(
+    Object.entries(byGroup).map(([key, members]) => ({ key, size: members.length })),
+    threshold
+  );
+
+  const groups = Object.keys(byGroup)
+    .filter(name => !hidden.has(name))
+    .sort((a, b) => a.localeCompare(b, 'es'))
+    .map(name => ({ name, summary: summarizeWave(byGroup[name], levels, highRiskLevels) }));
+
+  const merged = [...hidden].flatMap(name => byGroup[name]);
+  if (merged.length >= threshold) {
+    groups.push({ name: MERGED_GROUP_LABEL, summary: summarizeWave(merged, levels, highRiskLevels), mergedGroups: hidden.size });
+  }
+
+  return {
+    // El total solo se muestra si reúne el umbral: con menos, delataría a cada participante
+    total: participants.length >= threshold ? summarizeWave(participants, levels, highRiskLevels) : null,
+    groups,
+    suppressedGroups: [...hidden]
+  };
+};
+
+export default {
+  PARTICIPATION_CODE_ALPHABET,
+  PARTICIPATION_CODE_BATCH,
+  ANONYMOUS_AGE_BANDS,
+  generateParticipationCode,
+  validateCodeCount,
+  normalizeParticipationCode,
+  buildParticipationLink,
+  getDemographicOptions,
+  validateDemographics,
+  summarizeParticipation,
+  summarizeAnonymousResults
+};
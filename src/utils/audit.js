@@ -0,0 +1,102 @@
+/**
+ * Auditoría de los datos individuales
+ *
+ * Cada vez que alguien del panel ve, exporta o cambia las respuestas o los
+ * resultados de un trabajador queda una fila en `auditoria_datos_individuales`
+ * con quién, qué, sobre quién, qué columnas cambiaron y el motivo
+ * (sql/V20__create_auditoria_datos_individuales.sql). Los valores no se copian:
+ * el registro es inmutable y no debe retener lo que el titular pida suprimir. Las escrituras las
+ * registra la base de datos; las lecturas, las pantallas con AuditService.logRead.
+ */
+
+export const AUDIT_ACTIONS = {
+  VER: 'ver',
+  EXPORTAR: 'exportar',
+  CREAR: 'crear',
+  MODIFICAR: 'modificar',
+  ELIMINAR: 'eliminar'
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.VER]: 'Consulta',
+  [AUDIT_ACTIONS.EXPORTAR]: 'Exportación',
+  [AUDIT_ACTIONS.CREAR]: 'Creación',
+  [AUDIT_ACTIONS.MODIFICAR]: 'Modificación',
+  [AUDIT_ACTIONS.ELIMINAR]: 'Eliminación'
+};
+
+// Recurso que se registra en las lecturas de las pantallas de resultados
+export const AUDIT_READ_RESOURCE = 'respuestas_cuestionario';
+
+// Pantallas que registran lecturas
+export const AUDIT_ORIGINS = {
+  RESULTADOS: 'resultados_cuestionario',
+  DETALLE: 'detalle_cuestionario',
+  EDICION: 'edicion_cuestionario'
+};
+
+export const AUDIT_ORIGIN_LABELS = {
+  [AUDIT_ORIGINS.RESULTADOS]: 'Resultados del cuestionario',
+  [AUDIT_ORIGINS.DETALLE]: 'Detalle del cuestionario',
+  [AUDIT_ORIGINS.EDICION]: 'Edición del cuestionario',
+  // Orígenes que fija el servidor
+  editar_respuestas_usuario: 'Edición de respuestas',
+  derechos_titular: 'Derechos del titular'
+};
+
+/**
+ * Respuestas que cambian al editar una sesión, en el formato de editar_respuestas_usuario
+ * @param {Object<string, number>} original - { [pregunta_id]: valor } guardado
+ * @param {Object<string, number|undefined>} edited - Valores del formulario
+ * @returns {Object<string, number|null>} - null borra la respuesta
+ */
+export const getAnswerChanges = (original, edited) => {
+  const ids = new Set([...Object.keys(original || {}), ...Object.keys(edited || {})]);
+  return [...ids].reduce((acc, id) => {
+    const before = original?.[id] ?? null;
+    const after = edited?.[id] ?? null;
+    if (before !== after) acc[id] = after;
+    return acc;
+  }, {});
+};
+
+/**
+ * Resumen legible del cambio registrado en una fila de auditoría
+ * @param {Object} entry - Fila de `auditoria_datos_individuales`
+ * @returns {string} - Columnas modificadas; vacío en el resto de acciones
+ */
+export const describeAuditChange = (entry) => {
+  if (entry?.accion !== AUDIT_ACTIONS.MODIFICAR) return '';
+  return (entry.campos || []).join(', ');
+};
+
+/**
+ * Filas de la hoja de cálculo del registro de auditoría
+ * @param {Array} entries - Filas de `auditoria_datos_individuales`
+ * @param {Map<string, Object>} [users] - Trabajadores por id, para mostrar su nombre
+ * @returns {Array<Object>}
+ */
+export const buildAuditSheetRows = (entries, users = new Map()) => entries.map(entry => ({
+  Fecha: new Date(entry.created_at).toLocaleString('es-ES'),
+  Actor: entry.actor_email || entry.actor_id || '',
+  Acción: AUDIT_ACTION_LABELS[entry.accion] || entry.accion,
+  Recurso: entry.recurso,
+  Trabajador: users.get(entry.titular_id)?.nombre || '',
+  Documento: users.get(entry.titular_id)?.documento || '',
+  'ID trabajador': entry.titular_id || '',
+  Registro: entry.registro_id || '',
+  Campos: (entry.campos || []).join(', '),
+  Motivo: entry.motivo || '',
+  Origen: AUDIT_ORIGIN_LABELS[entry.origen] || entry.origen || ''
+}));
+
+export default {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  AUDIT_READ_RESOURCE,
+  AUDIT_ORIGINS,
+  AUDIT_ORIGIN_LABELS,
+  getAnswerChanges,
+  describeAuditChange,
+  buildAuditSheetRows
+};
@@ -0,0 +1,228 @@
+/**
+ * Campañas (olas) de evaluación
+ *
+ * Una campaña agrupa los tokens y envíos de una evaluación ("2026 T1") con su
+ * ventana de fechas, población objetivo y versión del instrumento. Aquí viven
+ * las reglas compartidas por el panel y la comparación entre olas; el servidor
+ * aplica las mismas al registrar cada envío (sql/V10__create_campanas.sql).
+ */
+
+import { getMinGroupSize, selectSuppressedGroups, MERGED_GROUP_LABEL } from '../config/anonymity';
+
+export const CAMPAIGN_STATUS = {
+  BORRADOR: 'borrador',
+  ACTIVA: 'activa',
+  CERRADA: 'cerrada'
+};
+
+export const CAMPAIGN_STATUS_LABELS = {
+  [CAMPAIGN_STATUS.BORRADOR]: 'Borrador',
+  [CAMPAIGN_STATUS.ACTIVA]: 'Activa',
+  [CAMPAIGN_STATUS.CERRADA]: 'Cerrada'
+};
+
+// Criterios de la población objetivo y la columna de `usuarios` que restringen
+export const TARGET_POPULATION_FIELDS = {
+  departamentos: 'departamento',
+  cargos: 'cargo',
+  turnos: 'turno'
+};
+
+/**
+ * Fecha local en formato YYYY-MM-DD (el de las columnas DATE de la campaña)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const toDateKey = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Nombre de archivo a partir del nombre de la campaña (descargas del panel)
+ * @param {Object} campaign - { nombre }
+ * @returns {string}
+ */
+export const getCampaignSlug = (campaign) => campaign.nombre
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\w]+/g, '_')
+  .replace(/^_+|_+$/g, '') || 'campana';
+
+/**
+ * Valida los datos de una campaña antes de guardarla
+ * @param {Object} campaign - { nombre, fecha_inicio, fecha_fin, cuestionario_id, estado, poblacion_objetivo }
+ * @returns {string[]} - Lista de errores (vacía si es válida)
+ */
+export const validateCampaign = (campaign) => {
+  const errors = [];
+
+  if (!campaign?.nombre?.trim()) errors.push('La campaña necesita un nombre');
+  if (!campaign?.fecha_inicio || !campaign?.fecha_fin) {
+    errors.push('Indica las fechas de inicio y fin');
+  } else if (campaign.fecha_fin < campaign.fecha_inicio) {
+    errors.push('La fecha de fin no puede ser anterior a la de inicio');
+  }
+  if (!Number.isInteger(campaign?.cuestionario_id)) errors.push('Selecciona la versión del instrumento');
+  if (campaign?.estado && !Object.values(CAMPAIGN_STATUS).includes(campaign.estado)) {
+    errors.push(`Estado de campaña inválido: ${campaign.estado}`);
+  }
+
+  Object.entries(campaign?.poblacion_objetivo || {}).forEach(([key, values]) => {
+    if (!TARGET_POPULATION_FIELDS[key]) errors.push(`Criterio de población desconocido: ${key}`);
+    else if (!Array.isArray(values)) errors.push(`La población por ${key} debe ser una lista`);
+  });
+
+  return errors;
+};
+
+/**
+ * Indica si la campaña admite envíos en esa fecha
+ * @param {Object} campaign
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+export const isCampaignOpen = (campaign, date = new Date()) => {
+  const today = toDateKey(date);
+  return campaign?.estado === CAMPAIGN_STATUS.ACTIVA
+    && campaign.fecha_inicio <= today
+    && today <= campaign.fecha_fin;
+};
+
+/**
+ * ¿Pertenece el usuario a la población objetivo? Un criterio vacío no restringe.
+ * Espejo de public.usuario_en_poblacion().
+ * @param {Object} user - Fila de `usuarios`
+ * @param {Object} [population] - poblacion_objetivo de la campaña
+ * @returns {boolean}
+ */
+export const isInTargetPopulation = (user, population = {}) => Object.entries(TARGET_POPULATION_FIELDS)
+  .every(([key, column]) => {
+    const allowed = population?.[key] || [];
+    return allowed.length === 0 || allowed.includes(user?.[column]);
+  });
+
+/**
+ * Ola anterior a una campaña (por fecha de inicio), para usarla como referencia
+ * @param {Array} campaigns
+ * @param {string} campaignId
+ * @returns {Object|null}
+ */
+export const findPreviousCampaign = (campaigns, campaignId) => {
+  const campaign = campaigns.find(c => c.id === campaignId);
+  if (!campaign) return null;
+
+  return campaigns
+    .filter(c => c.id !== campaignId && c.fecha_inicio < campaign.fecha_inicio)
+    .sort((a, b) => (a.fecha_inicio < b.fecha_inicio ? 1 : -1))[0] || null;
+};
+
+/**
+ * Resumen de una ola: participantes, distribución por nivel y riesgo medio
+ * @param {Array<{level: string, value: number}>} participants
+ * @param {string[]} levels
+ * @param {string[]} highRiskLevels
+ * @returns {Object|null} - null si no hay participantes
+ */
+export const summarizeWave = (participants, levels, highRiskLevels = []) => {
+  if (participants.length === 0) return null;
+
+  const counts = Object.fromEntries(levels.map(level => [level, 0]));
+  participants.forEach(({ level }) => {
+    if (level in counts) counts[level]++;
+  });
+
+  const n = participants.length;
+  const percentages = Object.fromEntries(levels.map(level => [level, (counts[level] / n) * 100]));
+
+  return {
+    n,
+    counts,
+    percentages,
+    highRisk: highRiskLevels.reduce((sum, level) => sum + (percentages[level] || 0), 0),
+    meanRisk: participants.reduce((sum, { value }) => sum + value, 0) / n
+  };
+};
+
+const diffWaves = (baseline, current, levels) => {
+  if (!baseline || !current) return null;
+  return {
+    percentages: Object.fromEntries(levels.map(level => [
+      level,
+      current.percentages[level] - baseline.percentages[level]
+    ])),
+    highRisk: current.highRisk - baseline.highRisk,
+    meanRisk: current.meanRisk - baseline.meanRisk
+  };
+};
+
+/**
+ * Compara la distribución de riesgo de dos olas, grupo a grupo.
+ * El umbral de anonimato se aplica a las dos olas con el mismo conjunto de
+ * grupos ocultos, para que "Otros grupos" reúna a los mismos en ambas.
+ * @param {Array<{group: string, level: string, value: number}>} baseline - Ola anterior
+ * @param {Array<{group: string, level: string, value: number}>} current - Ola actual
+ * @param {Object} options
+ * @param {string[]} options.levels - Claves de nivel de riesgo, en orden
+ * @param {string[]} [options.highRiskLevels] - Niveles que cuentan como riesgo alto
+ * @param {number} [options.threshold] - Umbral de anonimato
+ * @returns {{ groups: Array, total: Object, suppressedGroups: string[], levels: string[] }}
+ */
+export const compareWaves = (baseline, current, {
+  levels,
+  highRiskLevels = [],
+  threshold = getMinGroupSize()
+}) => {
+  const byGroup = (participants) => participants.reduce((acc, participant) => {
+    const key = participant.group || 'Sin asignar';
+    (acc[key] = acc[key] || []).push(participant);
+    return acc;
+  }, {});
+
+  const waves = [byGroup(baseline), byGroup(current)];
+  const hidden = new Set(waves.flatMap(wave => [...selectSuppressedGroups(
+    Object.entries(wave).map(([key, participants]) => ({ key, size: participants.length })),
+    threshold
+  )]));
+
+  const summarize = participants => (
+    participants.length >= threshold ? summarizeWave(participants, levels, highRiskLevels) : null
+  );
+  const row = (name, [before, after]) => {
+    const summaries = [summarize(before), summarize(after)];
+    return { name, baseline: summaries[0], current: summaries[1], change: diffWaves(...summaries, levels) };
+  };
+
+  const names = [...new Set(waves.flatMap(Object.keys))]
+    .filter(name => !hidden.has(name))
+    .sort((a, b) => a.localeCompare(b, 'es'));
+
+  const groups = names.map(name => row(name, waves.map(wave => wave[name] || [])));
+
+  if (hidden.size > 0) {
+    const merged = row(MERGED_GROUP_LABEL, waves.map(wave => [...hidden].flatMap(name => wave[name] || [])));
+    if (merged.baseline || merged.current) groups.push({ ...merged, mergedGroups: hidden.size });
+  }
+
+  return {
+    groups,
+    total: row('Total', [baseline, current]),
+    suppressedGroups: [...hidden],
+    levels
+  };
+};
+
+export default {
+  CAMPAIGN_STATUS,
+  CAMPAIGN_STATUS_LABELS,
+  TARGET_POPULATION_FIELDS,
+  toDateKey,
+  getCampaignSlug,
+  validateCampaign,
+  isCampaignOpen,
+  isInTargetPopulation,
+  findPreviousCampaign,
+  summarizeWave,
+  compareWaves
+};
@@ -3,6 +3,8 @@
  * Paleta de colores optimizada para visualización de datos
  */
 
+import { classifyRiskPercentage } from '../config/riskBands';
+
 // Paleta principal de colores modernos
 export const CHART_COLORS = {
   // Colores para niveles de riesgo (GHQ-12)
@@ -43,13 +45,9 @@ export const CHART_COLORS = {
   }
 };
 
-// Función para obtener color de riesgo basado en valor GHQ-12
+// Función para obtener color de riesgo basado en el promedio GHQ-12 por ítem (0-3)
 export const getRiskColor = (ghqScore) => {
-  if (ghqScore >= 3.0) return CHART_COLORS.risk.veryHigh;
-  if (ghqScore >= 2.5) return CHART_COLORS.risk.high;
-  if (ghqScore >= 2.0) return CHART_COLORS.risk.moderate;
-  if (ghqScore >= 1.5) return CHART_COLORS.risk.low;
-  return CHART_COLORS.risk.veryLow;
+  return classifyRiskPercentage((ghqScore / 3) * 100).color;
 };
 
 // Función para obtener color con gradiente
@@ -0,0 +1,153 @@
+/**
+ * Consentimiento informado
+ *
+ * Antes de responder, el trabajador lee y acepta el texto de consentimiento
+ * vigente (Ley 1581 de 2012: los datos de salud son sensibles y requieren
+ * autorización expresa). Los textos se publican por versiones que no se editan;
+ * cada aceptación guarda la versión leída (sql/V17__create_consentimiento.sql).
+ */
+
+import { DEFAULT_LANGUAGE, getLanguageName } from '../i18n/languages';
+
+export const CONSENT_STATUS = {
+  ACEPTADO: 'aceptado',
+  PENDIENTE: 'pendiente',
+  SIN_REGISTRO: 'sin_registro'
+};
+
+export const CONSENT_STATUS_LABELS = {
+  [CONSENT_STATUS.ACEPTADO]: 'Aceptado',
+  [CONSENT_STATUS.PENDIENTE]: 'Pendiente',
+  // Respondió antes de existir el paso de consentimiento
+  [CONSENT_STATUS.SIN_REGISTRO]: 'Sin registro'
+};
+
+// Idiomas editables desde el panel, en el orden en que se muestran
+export const CONSENT_LANGUAGES = ['es', 'en', 'pt'];
+
+const MIN_TEXT_LENGTH = 50;
+
+/**
+ * Título y texto de una versión en el idioma del trabajador, o en español si
+ * esa versión no está traducida
+ * @param {Object} version - Fila de `textos_consentimiento`
+ * @param {string} language
+ * @returns {{ version: number, title: string, body: string, language: string }}
+ */
+export const getConsentText = (version, language) => {
+  const texts = version?.textos || {};
+  const resolved = texts[language]?.trim() ? language : DEFAULT_LANGUAGE;
+
+  return {
+    version: version?.version,
+    title: version?.titulo || '',
+    body: texts[resolved] || '',
+    language: resolved
+  };
+};
+
+/**
+ * Valida una versión nueva antes de publicarla
+ * @param {Object} draft - { titulo, textos: { es, en, pt }, cambios }
+ * @param {Object} [current] - Versión vigente, para no publicar una copia idéntica
+ * @returns {string[]} - Lista de errores (vacía si es válida)
+ */
+export const validateConsentDraft = (draft, current = null) => {
+  const errors = [];
+  const texts = draft?.textos || {};
+
+  if (!draft?.titulo?.trim()) errors.push('El título es obligatorio');
+  if ((texts[DEFAULT_LANGUAGE] || '').trim().length < MIN_TEXT_LENGTH) {
+    errors.push(`El texto en ${getLanguageName(DEFAULT_LANGUAGE)} debe tener al menos ${MIN_TEXT_LENGTH} caracteres`);
+  }
+  if (!draft?.cambios?.trim()) errors.push('Describe qué cambia en esta versión');
+
+  const unchanged = current &&
+    draft?.titulo?.trim() === current.titulo &&
+    CONSENT_LANGUAGES.every(language => (texts[language] || '').trim() === (current.textos?.[language] || '').trim());
+  if (unchanged) errors.push('El texto es igual al de la versión vigente');
+
+  return errors;
+};
+
+/**
+ * Estado del consentimiento de cada trabajador de una campaña: los invitados,
+ * quienes aceptaron y quienes respondieron
+ * @param {Object} params
+ * @param {Array<{ user_id: string, usuario: Object }>} params.invitations - Tokens de la campaña
+ * @param {Array<{ usuario_id: string, version: number, aceptado_en: string, idioma: string }>} params.consents
+ * @param {string[]} params.respondents - usuario_id con resultados en la campaña
+ * @param {Map<string, Object>} [params.users] - Datos de los que no tienen invitación
+ * @param {number} [params.currentVersion] - Versión vigente del texto
+ * @returns {{ rows: Array, totals: Object, acceptanceRate: number|null }}
+ */
+export const buildConsentReport = ({ invitations = [], consents = [], respondents = [], users = new Map(), currentVersion = null }) => {
+  // Última aceptación de cada trabajador
+  const latest = consents.reduce((acc, consent) => {
+    const previous = acc.get(consent.usuario_id);
+    if (!previous || new Date(consent.aceptado_en) > new Date(previous.aceptado_en)) acc.set(consent.usuario_id, consent);
+    return acc;
+  }, new Map());
+
+  const people = new Map();
+  invitations.filter(token => token.user_id).forEach(token => people.set(token.user_id, token.usuario || null));
+  [...latest.keys(), ...respondents].forEach((userId) => {
+    if (!people.has(userId)) people.set(userId, users.get(userId) || null);
+  });
+
+  const answered = new Set(respondents);
+  const rows = [...people.entries()].map(([userId, usuario]) => {
+    const consent = latest.get(userId);
+    let status = CONSENT_STATUS.PENDIENTE;
+    if (consent) status = CONSENT_STATUS.ACEPTADO;
+    else if (answered.has(userId)) status = CONSENT_STATUS.SIN_REGISTRO;
+
+    return {
+      userId,
+      usuario,
+      status,
+      version: consent?.version ?? null,
+      acceptedAt: consent?.aceptado_en ?? null,
+      language: consent?.idioma ?? null,
+      outdated: Boolean(consent && currentVersion && consent.version < currentVersion),
+      answered: answered.has(userId)
+    };
+  }).sort((a, b) => (a.usuario?.nombre || '').localeCompare(b.usuario?.nombre || '', 'es'));
+
+  const totals = Object.values(CONSENT_STATUS).reduce((acc, status) => {
+    acc[status] = rows.filter(row => row.status === status).length;
+    return acc;
+  }, { total: rows.length });
+
+  return {
+    rows,
+    totals,
+    acceptanceRate: rows.length > 0 ? (totals[CONSENT_STATUS.ACEPTADO] / rows.length) * 100 : null
+  };
+};
+
+/**
+ * Filas de la hoja de cálculo del informe de consentimiento
+ * @param {Array} rows - Filas de buildConsentReport
+ * @returns {Array<Object>}
+ */
+export const buildConsentSheetRows = (rows) => rows.map(row => ({
+  Nombre: row.usuario?.nombre || '',
+  Documento: row.usuario?.documento || '',
+  Departamento: row.usuario?.departamento || '',
+  Estado: CONSENT_STATUS_LABELS[row.status],
+  'Versión aceptada': row.version ?? '',
+  'Fecha de aceptación': row.acceptedAt ? new Date(row.acceptedAt).toLocaleString('es-ES') : '',
+  Idioma: row.language ? getLanguageName(row.language) : '',
+  Respondió: row.answered ? 'Sí' : 'No'
+}));
+
+export default {
+  CONSENT_STATUS,
+  CONSENT_STATUS_LABELS,
+  CONSENT_LANGUAGES,
+  getConsentText,
+  validateConsentDraft,
+  buildConsentReport,
+  buildConsentSheetRows
+};
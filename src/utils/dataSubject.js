@@ -0,0 +1,223 @@
+/**
+ * Derechos del titular de los datos
+ *
+ * Un trabajador puede pedir conocer, rectificar o suprimir sus datos personales
+ * (Ley 1581 de 2012, art. 8). El panel lo busca por documento o correo, arma la
+ * exportación de todo lo que se guarda sobre él y atiende la rectificación o la
+ * supresión; cada solicitud deja un recibo en `solicitudes_titular`
+ * (sql/V18__create_derechos_titular.sql).
+ */
+
+export const SUBJECT_REQUEST_TYPES = {
+  ACCESO: 'acceso',
+  RECTIFICACION: 'rectificacion',
+  SUPRESION: 'supresion'
+};
+
+export const SUBJECT_REQUEST_LABELS = {
+  [SUBJECT_REQUEST_TYPES.ACCESO]: 'Acceso (exportación)',
+  [SUBJECT_REQUEST_TYPES.RECTIFICACION]: 'Rectificación',
+  [SUBJECT_REQUEST_TYPES.SUPRESION]: 'Supresión'
+};
+
+export const ERASURE_MODES = {
+  SEUDONIMIZAR: 'seudonimizar',
+  ELIMINAR: 'eliminar'
+};
+
+export const ERASURE_MODE_LABELS = {
+  [ERASURE_MODES.SEUDONIMIZAR]: 'Seudonimizar',
+  [ERASURE_MODES.ELIMINAR]: 'Eliminar todo'
+};
+
+export const ERASURE_MODE_DESCRIPTIONS = {
+  [ERASURE_MODES.SEUDONIMIZAR]: 'Se borran nombre, correo, contacto, notas de revisión y borradores, y el documento se reemplaza por una huella. Las respuestas se conservan sin identidad y siguen contando en los dashboards.',
+  [ERASURE_MODES.ELIMINAR]: 'Se borran el trabajador, sus respuestas, resultados, invitaciones, consentimientos y mensajes. Sus respuestas dejan de contar en los dashboards.'
+};
+
+// Campos que acepta rectificar_titular; el resto de la ficha no es editable aquí
+export const RECTIFIABLE_FIELDS = [
+  { key: 'nombre', label: 'Nombre' },
+  { key: 'documento', label: 'Documento' },
+  { key: 'email', label: 'Correo' },
+  { key: 'cargo', label: 'Cargo' },
+  { key: 'departamento', label: 'Departamento' },
+  { key: 'area_macro', label: 'Área macro' },
+  { key: 'edad', label: 'Edad', type: 'number' },
+  { key: 'genero', label: 'Género' },
+  { key: 'turno', label: 'Turno' }
+];
+
+// Secciones de la exportación, en el orden del PDF
+export const EXPORT_SECTIONS = [
+  { key: 'respuestas', title: 'Respuestas al cuestionario' },
+  { key: 'resultados', title: 'Resultados por sesión' },
+  { key: 'notas_seguimiento', title: 'Notas de revisión y seguimiento' },
+  { key: 'consentimientos', title: 'Consentimientos aceptados' },
+  { key: 'invitaciones', title: 'Invitaciones (tokens de acceso)' },
+  { key: 'mensajes', title: 'Mensajes enviados' },
+  { key: 'borradores', title: 'Borradores del cuestionario' },
+  { key: 'solicitudes', title: 'Solicitudes anteriores del titular' },
+  { key: 'auditoria', title: 'Consultas y cambios de sus datos desde el panel' }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Interpreta lo que se escribe en el buscador: un correo si tiene @, si no un documento
+ * @param {string} text
+ * @returns {{ field: 'email'|'documento', value: string }|null}
+ */
+export const parseSubjectQuery = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  if (value.includes('@')) return { field: 'email', value: value.toLowerCase() };
+  return { field: 'documento', value };
+};
+
+/**
+ * Documento con todo lo que se guarda sobre un trabajador
+ * @param {Object} data
+ * @param {Object} data.usuario - Fila de `usuarios`
+ * @param {Array} [data.respuestas] - `respuestas_cuestionario`
+ * @param {Array} [data.resultados] - `resultados_sesion`
+ * @param {Array} [data.tokens] - `tokens_acceso`
+ * @param {Array} [data.consentimientos]
+ * @param {Array} [data.envios] - `envios_mensaje`
+ * @param {Array} [data.borradores] - `borradores_cuestionario`
+ * @param {Array} [data.solicitudes] - `solicitudes_titular`
+ * @param {Array} [data.auditoria] - `auditoria_datos_individuales` del titular
+ * @param {Date} [generatedAt]
+ * @returns {Object}
+ */
+export const buildSubjectExport = ({
+  usuario,
+  respuestas = [],
+  resultados = [],
+  tokens = [],
+  consentimientos = [],
+  envios = [],
+  borradores = [],
+  solicitudes = [],
+  auditoria = []
+}, generatedAt = new Date()) => {
+  const notas = resultados
+    .filter(row => row.nota_revision)
+    .map(row => ({
+      sesion_id: row.sesion_id,
+      campana_id: row.campana_id ?? null,
+      estado_revision: row.estado_revision ?? null,
+      nota_revision: row.nota_revision,
+      fecha_revision: row.fecha_revision ?? null
+    }));
+
+  const byDate = (field) => (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+
+  const sections = {
+    respuestas: [...respuestas].sort(byDate('fecha_respuesta')),
+    resultados: [...resultados].sort(byDate('fecha_completado')),
+    notas_seguimiento: notas,
+    consentimientos: [...consentimientos].sort(byDate('aceptado_en')),
+    invitaciones: [...tokens].sort(byDate('created_at')),
+    mensajes: [...envios].sort(byDate('created_at')),
+    borradores: [...borradores].sort(byDate('iniciado_en')),
+    solicitudes: [...solicitudes].sort(byDate('created_at')),
+    auditoria: [...auditoria].sort(byDate('created_at'))
+  };
+
+  return {
+    generado_en: generatedAt.toISOString(),
+    titular: usuario,
+    ...sections,
+    resumen: Object.fromEntries(Object.entries(sections).map(([key, rows]) => [key, rows.length]))
+  };
+};
+
+/**
+ * Cambios de una rectificación: solo los campos que difieren de la ficha actual
+ * @param {Object} usuario - Fila actual de `usuarios`
+ * @param {Object} form - Valores editados, por clave de RECTIFIABLE_FIELDS
+ * @returns {{ changes: Object, errors: string[] }}
+ */
+export const getRectificationChanges = (usuario, form) => {
+  const changes = {};
+  const errors = [];
+
+  RECTIFIABLE_FIELDS.forEach(({ key, type }) => {
+    if (!(key in (form || {}))) return;
+    const raw = form[key];
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    let value = text || null;
+
+    if (type === 'number' && value !== null) {
+      value = Number(text);
+      if (!Number.isInteger(value) || value < 18 || value > 70) {
+        errors.push('La edad debe ser un número entero entre 18 y 70');
+        return;
+      }
+    }
+    if (key === 'email' && value !== null) {
+      value = value.toLowerCase();
+      if (!EMAIL_PATTERN.test(value)) {
+        errors.push('El correo no es válido');
+        return;
+      }
+    }
+
+    const current = usuario?.[key] ?? null;
+    if (String(current ?? '') !== String(value ?? '')) changes[key] = value;
+  });
+
+  if ('documento' in changes && !changes.documento) errors.push('El documento no puede quedar vacío');
+  if ('nombre' in changes && !changes.nombre) errors.push('El nombre no puede quedar vacío');
+
+  return { changes, errors };
+};
+
+/**
+ * Valida una solicitud de supresión antes de enviarla (el servidor repite las comprobaciones)
+ * @param {Object} request - { mode, confirmation, verification }
+ * @param {Object} usuario - Titular seleccionado
+ * @returns {string[]} - Lista de errores (vacía si es válida)
+ */
+export const validateErasureRequest = ({ mode, confirmation, verification } = {}, usuario) => {
+  const errors = [];
+  if (!Object.values(ERASURE_MODES).includes(mode)) errors.push('Elige cómo suprimir los datos');
+  if (!verification?.trim()) errors.push('Indica cómo se verificó la identidad del titular');
+  if ((confirmation || '').trim() !== (usuario?.documento || '').trim()) {
+    errors.push('Escribe el documento del titular para confirmar');
+  }
+  return errors;
+};
+
+/**
+ * Texto corto con el detalle de un recibo (campos rectificados o filas afectadas)
+ * @param {Object} request - Fila de `solicitudes_titular`
+ * @returns {string}
+ */
+export const describeRequestDetail = (request) => {
+  const detail = request?.detalle || {};
+  if (Array.isArray(detail.campos)) {
+    const labels = new Map(RECTIFIABLE_FIELDS.map(field => [field.key, field.label]));
+    return detail.campos.map(key => labels.get(key) || key).join(', ');
+  }
+  return Object.entries(detail)
+    .filter(([, count]) => typeof count === 'number')
+    .map(([table, count]) => `${table}: ${count}`)
+    .join(' · ');
+};
+
+export default {
+  SUBJECT_REQUEST_TYPES,
+  SUBJECT_REQUEST_LABELS,
+  ERASURE_MODES,
+  ERASURE_MODE_LABELS,
+  ERASURE_MODE_DESCRIPTIONS,
+  RECTIFIABLE_FIELDS,
+  EXPORT_SECTIONS,
+  parseSubjectQuery,
+  buildSubjectExport,
+  getRectificationChanges,
+  validateErasureRequest,
+  describeRequestDetail
+};
@@ -22,6 +22,15 @@ export const ERROR_CODES = {
   SUPABASE_ERROR: 'SUPABASE_ERROR'
 };
 
+// Mensajes de fetch sin red según el navegador (Chrome, Firefox, Safari)
+const NETWORK_FAILURE_PATTERN = /network|failed to fetch|load failed/i;
+
+/**
+ * Whether an error means the request never reached the server (offline, DNS, corte de red)
+ */
+export const isNetworkFailure = (error) =>
+  error?.code === ERROR_CODES.NETWORK_ERROR || NETWORK_FAILURE_PATTERN.test(error?.message || '');
+
 /**
  * Handle Supabase errors and convert to AppError
  */
@@ -36,7 +45,7 @@ export const handleSupabaseError = (error, operation = 'unknown') => {
     return new AppError('Permisos insuficientes', ERROR_CODES.PERMISSION_DENIED, 403);
   }
   
-  if (error.message?.includes('network')) {
+  if (isNetworkFailure(error)) {
     return new AppError('Error de conexión', ERROR_CODES.NETWORK_ERROR, 503);
   }
   
@@ -3,39 +3,241 @@
  * 
  * Este módulo implementa el cálculo correcto del General Health Questionnaire (GHQ-12)
  * siguiendo las especificaciones proporcionadas para el sistema BAT-7.
+ * Los ítems, ítems invertidos y rangos de puntuación se leen del registro de
+ * instrumentos (src/data/instruments).
  */
 
+import {
+  getCurrentInstrument,
+  getFactorModel,
+  getFactorModels,
+  getInstrumentById,
+  getItemKey,
+  isReverseKeyed
+} from '../data/instruments';
+import {
+  SCORE_SCALES,
+  classifyScore,
+  getRiskBands,
+  getRiskBandByKey,
+  scoreToRiskPercentage,
+  setActiveRiskMethod
+} from '../config/riskBands';
+
+const DEFAULT_INSTRUMENT = getCurrentInstrument();
+
+/**
+ * Umbrales de un método en el formato histórico { MUY_ALTO: {...}, ..., BAJO: {...} },
+ * construidos desde el registro de bandas de riesgo
+ * @param {string} method - Método de puntuación
+ * @returns {Object}
+ */
+function buildRiskThresholds(method) {
+  return getRiskBands(method)
+    .slice()
+    .reverse()
+    .reduce((acc, band) => {
+      acc[band.level] = {
+        min: band.min,
+        max: band.max,
+        label: `${band.label} (${band.description})`,
+        color: band.color,
+        priority: band.priority
+      };
+      return acc;
+    }, {});
+}
+
 // Configuración de preguntas GHQ-12
 export const GHQ12_CONFIG = {
   // Preguntas que mantienen su valor original (indican bienestar)
-  POSITIVE_QUESTIONS: [1, 3, 4, 7, 8, 12],
+  POSITIVE_QUESTIONS: DEFAULT_INSTRUMENT.items
+    .map(item => item.id)
+    .filter(id => !isReverseKeyed(DEFAULT_INSTRUMENT, id)),
   
   // Preguntas que se invierten (indican malestar/riesgo)
-  NEGATIVE_QUESTIONS: [2, 5, 6, 9, 10, 11],
+  NEGATIVE_QUESTIONS: [...DEFAULT_INSTRUMENT.reverseKeyedItems],
   
-  // Umbrales de riesgo según especificación
-  RISK_THRESHOLDS: {
-    MUY_ALTO: { min: 0, max: 8, label: 'Muy Alto (Restringido)', color: '#DC2626', priority: 4 },
-    ALTO: { min: 9, max: 17, label: 'Alto (Alterado)', color: '#EA580C', priority: 3 },
-    MODERADO: { min: 18, max: 27, label: 'Moderado (Alerta)', color: '#D97706', priority: 2 },
-    BAJO: { min: 28, max: 36, label: 'Bajo (Aceptable)', color: '#059669', priority: 1 }
+  // Umbrales de riesgo Likert (registro de bandas de riesgo)
+  get RISK_THRESHOLDS() {
+    return buildRiskThresholds('likert');
   },
   
   // Valor máximo de respuesta individual
-  MAX_RESPONSE_VALUE: 3,
+  MAX_RESPONSE_VALUE: DEFAULT_INSTRUMENT.scoring.maxItemValue,
   
   // Puntaje máximo total
-  MAX_TOTAL_SCORE: 36
+  MAX_TOTAL_SCORE: DEFAULT_INSTRUMENT.scoring.maxTotal,
+
+  // Instrumento y versión con los que se calcula por defecto
+  INSTRUMENT_CODE: DEFAULT_INSTRUMENT.code,
+  INSTRUMENT_VERSION: DEFAULT_INSTRUMENT.version
 };
 
+// Métodos de puntuación disponibles
+export const SCORING_METHODS = {
+  LIKERT: 'likert',
+  GHQ: 'ghq',
+  CGHQ: 'cghq'
+};
+
+// Versión de las reglas de puntuación; se persiste junto a cada resultado
+export const SCORING_RULES_VERSION = '2.0.0';
+
+/**
+ * Configuración por método de puntuación.
+ * - direction 'bienestar': un puntaje mayor indica mejor salud (Likert con inversión)
+ * - direction 'malestar': un puntaje mayor indica más síntomas (GHQ y C-GHQ)
+ * Los umbrales y el punto de corte de caso se leen del registro de bandas de riesgo;
+ * el corte coincide con el límite de la banda Alta, de modo que "caso probable" y
+ * "riesgo Alto/Muy Alto" significan lo mismo en todos los métodos.
+ */
+function defineScoringMethod(key, label, scoreName, description) {
+  const { direction, maxTotal } = SCORE_SCALES[key];
+
+  return {
+    key,
+    label,
+    description,
+    direction,
+    maxTotal,
+    get thresholds() {
+      return buildRiskThresholds(key);
+    },
+    get casenessCutoff() {
+      const alto = getRiskBandByKey('alto', key);
+      return direction === 'bienestar' ? alto.max : alto.min;
+    },
+    get casenessRule() {
+      const operator = direction === 'bienestar' ? '≤' : '≥';
+      return `Puntaje ${scoreName} ${operator} ${this.casenessCutoff}`;
+    }
+  };
+}
+
+export const SCORING_METHOD_CONFIG = {
+  [SCORING_METHODS.LIKERT]: defineScoringMethod(
+    SCORING_METHODS.LIKERT,
+    'Likert (0-1-2-3)',
+    'de bienestar',
+    'Suma Likert 0-3 con inversión de ítems negativos; mayor puntaje = mayor bienestar'
+  ),
+  [SCORING_METHODS.GHQ]: defineScoringMethod(
+    SCORING_METHODS.GHQ,
+    'GHQ (0-0-1-1)',
+    'GHQ',
+    'Puntuación bimodal: 1 punto por cada síntoma presente en las dos opciones de malestar'
+  ),
+  [SCORING_METHODS.CGHQ]: defineScoringMethod(
+    SCORING_METHODS.CGHQ,
+    'C-GHQ (corregido)',
+    'C-GHQ',
+    'Ítems negativos 0-1-1-1 (síntoma crónico) y positivos 0-0-1-1 (Goodchild y Duncan-Jones)'
+  )
+};
+
+// Método por defecto de la organización; se actualiza desde la configuración del sistema
+let defaultScoringMethod = SCORING_METHODS.LIKERT;
+
+/**
+ * Obtiene el método de puntuación por defecto de la organización
+ * @returns {string} - Clave del método
+ */
+export function getDefaultScoringMethod() {
+  return defaultScoringMethod;
+}
+
+/**
+ * Establece el método de puntuación por defecto de la organización
+ * @param {string} method - Clave del método (likert, ghq, cghq)
+ */
+export function setDefaultScoringMethod(method) {
+  getScoringMethodConfig(method);
+  defaultScoringMethod = method;
+  setActiveRiskMethod(method);
+}
+
+/**
+ * Obtiene la configuración de un método de puntuación
+ * @param {string} [method] - Clave del método; por defecto el de la organización
+ * @returns {Object} - Configuración del método
+ */
+export function getScoringMethodConfig(method = defaultScoringMethod) {
+  const config = SCORING_METHOD_CONFIG[method];
+  if (!config) {
+    throw new Error(`Método de puntuación no soportado: ${method}`);
+  }
+  return config;
+}
+
+/**
+ * Puntúa un ítem según el método seleccionado
+ * @param {number} rawValue - Respuesta original (0-3)
+ * @param {boolean} reverseKeyed - Si el ítem está redactado en sentido de malestar
+ * @param {string} method - Clave del método
+ * @param {number} maxItemValue - Valor máximo de la escala
+ * @returns {number} - Valor procesado del ítem
+ */
+function scoreItem(rawValue, reverseKeyed, method, maxItemValue) {
+  // Intensidad del síntoma: 0 = ausente, maxItemValue = máximo malestar
+  const distress = reverseKeyed ? rawValue : maxItemValue - rawValue;
+
+  switch (method) {
+    case SCORING_METHODS.GHQ:
+      return distress >= 2 ? 1 : 0;
+    case SCORING_METHODS.CGHQ:
+      return reverseKeyed
+        ? (distress >= 1 ? 1 : 0)
+        : (distress >= 2 ? 1 : 0);
+    default:
+      return maxItemValue - distress;
+  }
+}
+
+/**
+ * Puntajes de las subescalas de un modelo factorial
+ * @param {Object} model - Modelo factorial del registro de instrumentos
+ * @param {Object} instrument - Definición del instrumento
+ * @param {Object} scoreBreakdown - Desglose por ítem de calculateGHQ12Score
+ * @param {string} method - Clave del método
+ * @returns {Object} - { [factor]: { name, score, maxScore, meanDistress, distressPercentage } }
+ */
+function scoreFactors(model, instrument, scoreBreakdown, method) {
+  const { maxItemValue } = instrument.scoring;
+  const itemMax = method === SCORING_METHODS.LIKERT ? maxItemValue : 1;
+  const { direction } = SCORE_SCALES[method];
+
+  return model.factors.reduce((acc, factor) => {
+    const score = factor.items.reduce((sum, id) => sum + scoreBreakdown[getItemKey(id)].processed, 0);
+    const maxScore = factor.items.length * itemMax;
+    // Intensidad media del síntoma (0-3) con independencia del método de puntuación
+    const distress = factor.items.reduce((sum, id) => {
+      const { raw } = scoreBreakdown[getItemKey(id)];
+      return sum + (isReverseKeyed(instrument, id) ? raw : maxItemValue - raw);
+    }, 0);
+    const symptomScore = direction === 'bienestar' ? maxScore - score : score;
+
+    acc[factor.key] = {
+      name: factor.name,
+      score,
+      maxScore,
+      meanDistress: distress / factor.items.length,
+      distressPercentage: (symptomScore / maxScore) * 100
+    };
+    return acc;
+  }, {});
+}
+
 /**
  * Valida las respuestas del cuestionario GHQ-12
  * @param {Object} responses - Objeto con respuestas q1-q12
+ * @param {Object} [instrument] - Definición del instrumento (por defecto la versión vigente)
  * @returns {Object} - { isValid: boolean, errors: string[] }
  */
-export function validateGHQ12Responses(responses) {
+export function validateGHQ12Responses(responses, instrument = DEFAULT_INSTRUMENT) {
   const errors = [];
-  const requiredQuestions = Array.from({ length: 12 }, (_, i) => `q${i + 1}`);
+  const { minItemValue, maxItemValue } = instrument.scoring;
+  const requiredQuestions = instrument.items.map(item => getItemKey(item.id));
   
   for (const question of requiredQuestions) {
     const value = responses[question];
@@ -46,8 +248,8 @@ export function validateGHQ12Responses(responses) {
     }
     
     const numValue = Number(value);
-    if (isNaN(numValue) || numValue < 0 || numValue > GHQ12_CONFIG.MAX_RESPONSE_VALUE) {
-      errors.push(`Pregunta ${question} tiene valor inválido: ${value} (debe ser 0-3)`);
+    if (isNaN(numValue) || numValue < minItemValue || numValue > maxItemValue) {
+      errors.push(`Pregunta ${question} tiene valor inválido: ${value} (debe ser ${minItemValue}-${maxItemValue})`);
     }
   }
   
@@ -58,30 +260,46 @@ export function validateGHQ12Responses(responses) {
 }
 
 /**
- * Calcula el puntaje total de bienestar GHQ-12 con inversión correcta
+ * Calcula el puntaje total GHQ-12 con el método de puntuación indicado
  * @param {Object} responses - Objeto con respuestas q1-q12
+ * @param {Object} [instrument] - Definición del instrumento (por defecto la versión vigente)
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
  * @returns {Object} - Resultado del cálculo con detalles
  */
-export function calculateGHQ12Score(responses) {
+export function calculateGHQ12Score(responses, instrument = DEFAULT_INSTRUMENT, method = defaultScoringMethod) {
   // Validar respuestas
-  const validation = validateGHQ12Responses(responses);
+  const validation = validateGHQ12Responses(responses, instrument);
   if (!validation.isValid) {
     throw new Error(`Respuestas inválidas: ${validation.errors.join(', ')}`);
   }
   
+  // Rechazar métodos desconocidos antes de puntuar
+  getScoringMethodConfig(method);
+  const { maxItemValue } = instrument.scoring;
+  const maxTotal = method === SCORING_METHODS.LIKERT
+    ? instrument.scoring.maxTotal
+    : instrument.items.length;
   let totalScore = 0;
   const scoreBreakdown = {};
   
   // Procesar cada pregunta
-  for (let i = 1; i <= 12; i++) {
-    const questionKey = `q${i}`;
+  for (const item of instrument.items) {
+    const questionKey = getItemKey(item.id);
     const rawValue = Number(responses[questionKey]);
     
-    let processedValue;
+    const reverseKeyed = isReverseKeyed(instrument, item.id);
+    const processedValue = scoreItem(rawValue, reverseKeyed, method, maxItemValue);
     
-    if (GHQ12_CONFIG.POSITIVE_QUESTIONS.includes(i)) {
+    if (method !== SCORING_METHODS.LIKERT) {
+      // GHQ / C-GHQ: 1 punto si el síntoma se considera presente
+      scoreBreakdown[questionKey] = {
+        raw: rawValue,
+        processed: processedValue,
+        type: reverseKeyed ? 'negative' : 'positive',
+        description: processedValue === 1 ? 'Síntoma presente' : 'Síntoma ausente'
+      };
+    } else if (!reverseKeyed) {
       // Preguntas positivas: mantener valor original
-      processedValue = rawValue;
       scoreBreakdown[questionKey] = {
         raw: rawValue,
         processed: processedValue,
@@ -90,64 +308,100 @@ export function calculateGHQ12Score(responses) {
       };
     } else {
       // Preguntas negativas: invertir usando fórmula 3 - valor_original
-      processedValue = GHQ12_CONFIG.MAX_RESPONSE_VALUE - rawValue;
       scoreBreakdown[questionKey] = {
         raw: rawValue,
         processed: processedValue,
         type: 'negative',
-        description: `Valor invertido: ${GHQ12_CONFIG.MAX_RESPONSE_VALUE} - ${rawValue} = ${processedValue}`
+        description: `Valor invertido: ${maxItemValue} - ${rawValue} = ${processedValue}`
       };
     }
     
     totalScore += processedValue;
   }
+
+  // Porcentaje de malestar (0-100) comparable entre métodos
+  const riskPercentage = scoreToRiskPercentage(totalScore, method);
+
+  // Puntaje por dimensión del instrumento, en las mismas unidades que el total
+  const itemMax = method === SCORING_METHODS.LIKERT ? maxItemValue : 1;
+  const dimensionScores = instrument.dimensions.reduce((acc, dimension) => {
+    acc[dimension.key] = {
+      name: dimension.name,
+      score: dimension.items.reduce((sum, id) => sum + scoreBreakdown[getItemKey(id)].processed, 0),
+      maxScore: dimension.items.length * itemMax
+    };
+    return acc;
+  }, {});
+
+  // Subescalas de cada modelo factorial publicado para el instrumento
+  const factorScores = getFactorModels(instrument).reduce((acc, model) => {
+    acc[model.key] = scoreFactors(model, instrument, scoreBreakdown, method);
+    return acc;
+  }, {});
   
   return {
     totalScore,
-    maxPossibleScore: GHQ12_CONFIG.MAX_TOTAL_SCORE,
+    maxPossibleScore: maxTotal,
     scoreBreakdown,
-    percentageScore: (totalScore / GHQ12_CONFIG.MAX_TOTAL_SCORE) * 100
+    dimensionScores,
+    factorScores,
+    percentageScore: (totalScore / maxTotal) * 100,
+    riskPercentage,
+    method,
+    instrument: { code: instrument.code, version: instrument.version }
   };
 }
 
 /**
  * Clasifica el nivel de riesgo basado en el puntaje total
  * @param {number} totalScore - Puntaje total calculado
+ * @param {string} [method] - Método con el que se calculó el puntaje
  * @returns {Object} - Información del nivel de riesgo
  */
-export function classifyRiskLevel(totalScore) {
-  for (const [level, config] of Object.entries(GHQ12_CONFIG.RISK_THRESHOLDS)) {
-    if (totalScore >= config.min && totalScore <= config.max) {
-      return {
-        level,
-        ...config,
-        score: totalScore,
-        isHighRisk: level === 'ALTO' || level === 'MUY_ALTO',
-        requiresIntervention: level === 'ALTO' || level === 'MUY_ALTO'
-      };
-    }
+export function classifyRiskLevel(totalScore, method = defaultScoringMethod) {
+  const methodConfig = getScoringMethodConfig(method);
+  const band = classifyScore(totalScore, method);
+
+  if (band) {
+    return {
+      level: band.level,
+      ...methodConfig.thresholds[band.level],
+      key: band.key,
+      score: totalScore,
+      isHighRisk: band.isHighRisk,
+      requiresIntervention: band.isHighRisk
+    };
   }
   
   // Fallback para valores fuera de rango
-  throw new Error(`Puntaje fuera de rango válido: ${totalScore} (debe ser 0-36)`);
+  throw new Error(`Puntaje fuera de rango válido: ${totalScore} (debe ser 0-${methodConfig.maxTotal})`);
 }
 
 /**
  * Función principal que combina cálculo y clasificación
  * @param {Object} responses - Respuestas del cuestionario
+ * @param {Object} [instrument] - Definición del instrumento (por defecto la versión vigente)
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
  * @returns {Object} - Resultado completo del análisis GHQ-12
  */
-export function analyzeGHQ12(responses) {
+export function analyzeGHQ12(responses, instrument = DEFAULT_INSTRUMENT, method = defaultScoringMethod) {
   try {
-    const scoreResult = calculateGHQ12Score(responses);
-    const riskClassification = classifyRiskLevel(scoreResult.totalScore);
+    const scoreResult = calculateGHQ12Score(responses, instrument, method);
+    const riskClassification = classifyRiskLevel(scoreResult.totalScore, method);
+    const methodConfig = getScoringMethodConfig(method);
     
     return {
       success: true,
       score: scoreResult,
       risk: riskClassification,
+      scoring: {
+        method,
+        label: methodConfig.label,
+        casenessCutoff: methodConfig.casenessCutoff,
+        isCase: riskClassification.isHighRisk
+      },
       timestamp: new Date().toISOString(),
-      version: '1.0.0'
+      version: SCORING_RULES_VERSION
     };
   } catch (error) {
     return {
@@ -158,13 +412,55 @@ export function analyzeGHQ12(responses) {
   }
 }
 
+/**
+ * Analiza las filas almacenadas en `respuestas_cuestionario` (una por pregunta).
+ * Si hay varias sesiones se usa la más reciente.
+ * @param {Array} rows - Filas con pregunta_id, respuesta y opcionalmente sesion_id,
+ *   cuestionario_id y fecha_respuesta
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
+ * @returns {Object} - Resultado de analyzeGHQ12 con `sessionId`
+ */
+export function analyzeStoredResponses(rows, method = defaultScoringMethod) {
+  if (!rows || rows.length === 0) {
+    return { success: false, error: 'Sin respuestas', sessionId: null };
+  }
+
+  const sessions = new Map();
+  rows.forEach(row => {
+    const key = row.sesion_id || 'sin_sesion';
+    const session = sessions.get(key) || { rows: [], lastDate: 0 };
+    session.rows.push(row);
+    session.lastDate = Math.max(session.lastDate, new Date(row.fecha_respuesta || 0).getTime() || 0);
+    sessions.set(key, session);
+  });
+
+  const [[sessionId, latest]] = [...sessions.entries()]
+    .sort((a, b) => b[1].lastDate - a[1].lastDate);
+
+  const responses = latest.rows.reduce((acc, row) => {
+    acc[getItemKey(row.pregunta_id)] = Number(row.respuesta);
+    return acc;
+  }, {});
+  const instrument = getInstrumentById(latest.rows.find(r => r.cuestionario_id)?.cuestionario_id) || DEFAULT_INSTRUMENT;
+
+  return {
+    ...analyzeGHQ12(responses, instrument, method),
+    sessionId: sessionId === 'sin_sesion' ? null : sessionId
+  };
+}
+
 /**
  * Calcula métricas agregadas para un conjunto de participantes
- * @param {Array} participants - Array de objetos con respuestas GHQ-12
+ * @param {Array} participants - Array de objetos con respuestas GHQ-12; si un participante
+ *   trae `cuestionario_id`, se puntúa con la versión del instrumento con la que respondió
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
  * @returns {Object} - Métricas agregadas del grupo
  */
-export function calculateGroupMetrics(participants) {
-  const results = participants.map(p => analyzeGHQ12(p.responses)).filter(r => r.success);
+export function calculateGroupMetrics(participants, method = defaultScoringMethod) {
+  const methodConfig = getScoringMethodConfig(method);
+  const results = participants
+    .map(p => analyzeGHQ12(p.responses, getInstrumentById(p.cuestionario_id) || DEFAULT_INSTRUMENT, method))
+    .filter(r => r.success);
   
   if (results.length === 0) {
     throw new Error('No hay datos válidos para calcular métricas grupales');
@@ -172,7 +468,7 @@ export function calculateGroupMetrics(participants) {
   
   // Distribución por nivel de riesgo
   const distribution = {};
-  Object.keys(GHQ12_CONFIG.RISK_THRESHOLDS).forEach(level => {
+  Object.keys(methodConfig.thresholds).forEach(level => {
     distribution[level] = {
       count: 0,
       percentage: 0,
@@ -182,7 +478,7 @@ export function calculateGroupMetrics(participants) {
   
   // Calcular distribución
   results.forEach((result, index) => {
-    const level = result.risk.level;
+    const { level } = result.risk;
     distribution[level].count++;
     distribution[level].participants.push({
       index,
@@ -215,10 +511,17 @@ export function calculateGroupMetrics(participants) {
   return {
     totalParticipants: results.length,
     distribution,
+    scoring: {
+      method,
+      label: methodConfig.label,
+      direction: methodConfig.direction,
+      casenessCutoff: methodConfig.casenessCutoff,
+      casenessRule: methodConfig.casenessRule
+    },
     kpi: {
       highRiskPercentage,
       highRiskCount,
-      description: 'Porcentaje de trabajadores en riesgo Alto/Muy Alto'
+      description: `Porcentaje de trabajadores en riesgo Alto/Muy Alto (${methodConfig.casenessRule})`
     },
     statistics: {
       average: avgScore,
@@ -231,12 +534,354 @@ export function calculateGroupMetrics(participants) {
   };
 }
 
+/**
+ * Promedio de las subescalas de un modelo factorial para un grupo
+ * @param {Array} participants - [{ responses: { q1..q12 }, cuestionario_id? }]
+ * @param {string} [modelKey] - Clave del modelo factorial (por defecto el predeterminado)
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
+ * @returns {Object} - { model, n, factors: { [factor]: { name, color, meanScore, maxScore, meanDistress, distressPercentage } } }
+ */
+export function calculateGroupFactorScores(participants, modelKey, method = defaultScoringMethod) {
+  const model = getFactorModel(DEFAULT_INSTRUMENT, modelKey);
+  const results = (participants || [])
+    .map(p => analyzeGHQ12(p.responses, getInstrumentById(p.cuestionario_id) || DEFAULT_INSTRUMENT, method))
+    .filter(r => r.success && r.score.factorScores[model.key]);
+  const n = results.length;
+  const average = (factorKey, field) => (
+    n > 0 ? results.reduce((sum, r) => sum + r.score.factorScores[model.key][factorKey][field], 0) / n : null
+  );
+
+  const factors = model.factors.reduce((acc, factor) => {
+    acc[factor.key] = {
+      name: factor.name,
+      color: factor.color,
+      meanScore: average(factor.key, 'score'),
+      maxScore: n > 0 ? results[0].score.factorScores[model.key][factor.key].maxScore : null,
+      meanDistress: average(factor.key, 'meanDistress'),
+      distressPercentage: average(factor.key, 'distressPercentage')
+    };
+    return acc;
+  }, {});
+
+  return {
+    model: { key: model.key, name: model.name },
+    n,
+    factors
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Psicometría: confiabilidad y análisis de ítems a nivel de grupo
+// ---------------------------------------------------------------------------
+
+// Criterios habituales para coeficientes de confiabilidad (alfa / omega)
+export const RELIABILITY_LEVELS = [
+  { key: 'excelente', label: 'Excelente', min: 0.9 },
+  { key: 'buena', label: 'Buena', min: 0.8 },
+  { key: 'aceptable', label: 'Aceptable', min: 0.7 },
+  { key: 'cuestionable', label: 'Cuestionable', min: 0.6 },
+  { key: 'pobre', label: 'Pobre', min: 0.5 },
+  { key: 'inaceptable', label: 'Inaceptable', min: -Infinity }
+];
+
+export const PSYCHOMETRIC_CRITERIA = {
+  // Confiabilidad mínima aceptable
+  MIN_RELIABILITY: 0.7,
+  // Correlación ítem-total corregida mínima
+  MIN_ITEM_TOTAL: 0.3,
+  // % de participantes en el mínimo/máximo a partir del cual hay efecto suelo/techo
+  FLOOR_CEILING_PERCENT: 15,
+  // Participantes mínimos para estimar y para considerar estable la estimación
+  MIN_SAMPLE: 10,
+  RECOMMENDED_SAMPLE: 30
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const sampleVariance = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+const pearson = (x, y) => {
+  const mx = mean(x);
+  const my = mean(y);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < x.length; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+};
+
+const column = (matrix, j) => matrix.map(row => row[j]);
+
+/**
+ * Alfa de Cronbach de una matriz participantes × ítems
+ */
+function cronbachAlpha(matrix) {
+  const k = matrix[0]?.length || 0;
+  if (k < 2 || matrix.length < 2) return null;
+
+  const itemVariance = Array.from({ length: k }, (_, j) => sampleVariance(column(matrix, j)))
+    .reduce((sum, v) => sum + v, 0);
+  const totalVariance = sampleVariance(matrix.map(row => row.reduce((sum, v) => sum + v, 0)));
+  if (totalVariance === 0) return null;
+
+  return (k / (k - 1)) * (1 - itemVariance / totalVariance);
+}
+
+/**
+ * Omega de McDonald (ω total) con un modelo de un factor.
+ * Las cargas se estiman por factorización de ejes principales sobre la matriz de
+ * correlaciones; omega = (Σλ)² / ((Σλ)² + Σ(1 − λ²)).
+ */
+function mcdonaldOmega(matrix) {
+  const k = matrix[0]?.length || 0;
+  if (k < 3 || matrix.length < 3) return null;
+
+  const columns = Array.from({ length: k }, (_, j) => column(matrix, j));
+  const correlations = columns.map(a => columns.map(b => pearson(a, b)));
+  if (correlations.some(row => row.some(r => r === null))) return null;
+
+  // Comunalidades iniciales: mayor correlación absoluta de cada ítem
+  let communalities = correlations.map((row, i) => Math.max(...row.filter((_, j) => j !== i).map(Math.abs)));
+  let loadings = new Array(k).fill(0);
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const reduced = correlations.map((row, i) => row.map((r, j) => (i === j ? communalities[i] : r)));
+
+    // Primer autovector por iteración de potencias
+    let vector = new Array(k).fill(1 / Math.sqrt(k));
+    let eigenvalue = 0;
+    for (let step = 0; step < 200; step++) {
+      const next = reduced.map(row => row.reduce((sum, r, j) => sum + r * vector[j], 0));
+      const norm = Math.sqrt(next.reduce((sum, v) => sum + v * v, 0));
+      if (norm === 0) return null;
+      eigenvalue = norm;
+      vector = next.map(v => v / norm);
+    }
+
+    const nextLoadings = vector.map(v => v * Math.sqrt(eigenvalue));
+    const change = nextLoadings.reduce((max, l, i) => Math.max(max, Math.abs(l - loadings[i])), 0);
+    loadings = nextLoadings;
+    communalities = loadings.map(l => Math.min(l * l, 0.995));
+    if (change < 1e-6) break;
+  }
+
+  // El signo del autovector es arbitrario
+  if (loadings.reduce((sum, l) => sum + l, 0) < 0) loadings = loadings.map(l => -l);
+
+  const sumLoadings = loadings.reduce((sum, l) => sum + l, 0);
+  const uniqueness = loadings.reduce((sum, l) => sum + (1 - Math.min(l * l, 1)), 0);
+  return (sumLoadings ** 2) / (sumLoadings ** 2 + uniqueness);
+}
+
+/**
+ * Interpreta un coeficiente de confiabilidad
+ * @param {number|null} value - Alfa u omega
+ * @returns {Object|null} - { key, label, isAcceptable }
+ */
+export function interpretReliability(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const level = RELIABILITY_LEVELS.find(l => value >= l.min);
+  return {
+    key: level.key,
+    label: level.label,
+    isAcceptable: value >= PSYCHOMETRIC_CRITERIA.MIN_RELIABILITY
+  };
+}
+
+/**
+ * Matriz de ítems puntuados (participantes × ítems) para un instrumento y método.
+ * Solo incluye participantes con respuestas completas y válidas en esa versión.
+ */
+function buildItemMatrix(participants, instrument, method) {
+  const { maxItemValue } = instrument.scoring;
+  return participants
+    .filter(p => !p.cuestionario_id || Number(p.cuestionario_id) === instrument.id)
+    .filter(p => validateGHQ12Responses(p.responses || {}, instrument).isValid)
+    .map(p => instrument.items.map(item => scoreItem(
+      Number(p.responses[getItemKey(item.id)]),
+      isReverseKeyed(instrument, item.id),
+      method,
+      maxItemValue
+    )));
+}
+
+/**
+ * Confiabilidad y análisis de ítems para un conjunto de participantes
+ * @param {Array} participants - [{ responses: { q1..q12 }, cuestionario_id? }]
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
+ * @param {Object} [instrument] - Versión del instrumento (por defecto la vigente)
+ * @returns {Object} - alfa, omega, análisis por ítem, efectos suelo/techo y advertencias
+ */
+export function calculatePsychometrics(participants, method = defaultScoringMethod, instrument = DEFAULT_INSTRUMENT) {
+  const methodConfig = getScoringMethodConfig(method);
+  const matrix = buildItemMatrix(participants || [], instrument, method);
+  const n = matrix.length;
+  const k = instrument.items.length;
+  const itemMax = method === SCORING_METHODS.LIKERT ? instrument.scoring.maxItemValue : 1;
+  const maxTotal = itemMax * k;
+  const warnings = [];
+
+  if (n < PSYCHOMETRIC_CRITERIA.MIN_SAMPLE) {
+    return {
+      n,
+      k,
+      method,
+      methodLabel: methodConfig.label,
+      alpha: null,
+      omega: null,
+      reliability: null,
+      items: [],
+      floorEffect: null,
+      ceilingEffect: null,
+      warnings: [`Se necesitan al menos ${PSYCHOMETRIC_CRITERIA.MIN_SAMPLE} participantes con respuestas completas (hay ${n})`]
+    };
+  }
+
+  const alpha = cronbachAlpha(matrix);
+  const omega = mcdonaldOmega(matrix);
+  const totals = matrix.map(row => row.reduce((sum, v) => sum + v, 0));
+  const percentOf = (count) => (count / n) * 100;
+
+  const items = instrument.items.map((item, j) => {
+    const values = column(matrix, j);
+    const restTotals = totals.map((total, i) => total - values[i]);
+    const withoutItem = matrix.map(row => row.filter((_, idx) => idx !== j));
+    const alphaIfDeleted = cronbachAlpha(withoutItem);
+    const itemTotalCorrelation = pearson(values, restTotals);
+
+    return {
+      id: item.id,
+      key: getItemKey(item.id),
+      text: item.text,
+      shortLabel: item.shortLabel,
+      mean: mean(values),
+      sd: Math.sqrt(sampleVariance(values)),
+      itemTotalCorrelation,
+      alphaIfDeleted,
+      floorPercent: percentOf(values.filter(v => v === 0).length),
+      ceilingPercent: percentOf(values.filter(v => v === itemMax).length),
+      flags: {
+        lowItemTotal: itemTotalCorrelation === null || itemTotalCorrelation < PSYCHOMETRIC_CRITERIA.MIN_ITEM_TOTAL,
+        improvesAlphaIfDeleted: alpha !== null && alphaIfDeleted !== null && alphaIfDeleted > alpha
+      }
+    };
+  });
+
+  const scaleEffect = (count) => {
+    const percent = percentOf(count);
+    return { percent, present: percent >= PSYCHOMETRIC_CRITERIA.FLOOR_CEILING_PERCENT };
+  };
+  const floorEffect = scaleEffect(totals.filter(t => t === 0).length);
+  const ceilingEffect = scaleEffect(totals.filter(t => t === maxTotal).length);
+
+  const reliability = interpretReliability(alpha);
+  if (alpha === null) {
+    warnings.push('No se pudo calcular alfa: el puntaje total no tiene variación');
+  } else if (!reliability.isAcceptable) {
+    warnings.push(`Confiabilidad ${reliability.label.toLowerCase()} (α = ${alpha.toFixed(2)} < ${PSYCHOMETRIC_CRITERIA.MIN_RELIABILITY})`);
+  }
+  if (n < PSYCHOMETRIC_CRITERIA.RECOMMENDED_SAMPLE) {
+    warnings.push(`Muestra pequeña (n = ${n}); las estimaciones son inestables`);
+  }
+  if (floorEffect.present) warnings.push(`Efecto suelo: ${floorEffect.percent.toFixed(1)}% con el puntaje mínimo`);
+  if (ceilingEffect.present) warnings.push(`Efecto techo: ${ceilingEffect.percent.toFixed(1)}% con el puntaje máximo`);
+  items.filter(item => item.flags.lowItemTotal).forEach(item => {
+    warnings.push(`Ítem ${item.id}: correlación ítem-total baja`);
+  });
+
+  return {
+    n,
+    k,
+    method,
+    methodLabel: methodConfig.label,
+    alpha,
+    omega,
+    reliability,
+    omegaReliability: interpretReliability(omega),
+    items,
+    floorEffect,
+    ceilingEffect,
+    warnings
+  };
+}
+
+/**
+ * Confiabilidad por subgrupo (p. ej. departamento o cargo)
+ * @param {Array} participants - Participantes con respuestas y atributos de agrupación
+ * @param {string|Function} groupBy - Propiedad del participante o función que devuelve el grupo
+ * @param {string} [method] - Método de puntuación (por defecto el de la organización)
+ * @param {Object} [instrument] - Versión del instrumento (por defecto la vigente)
+ * @returns {Array} - [{ group, n, alpha, omega, reliability, status, warning }] ordenado por alfa
+ */
+export function calculateSubgroupReliability(participants, groupBy, method = defaultScoringMethod, instrument = DEFAULT_INSTRUMENT) {
+  const getGroup = typeof groupBy === 'function' ? groupBy : (p => p[groupBy]);
+  const groups = new Map();
+
+  (participants || []).forEach(p => {
+    const group = getGroup(p) || 'Sin dato';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(p);
+  });
+
+  return [...groups.entries()]
+    .map(([group, members]) => {
+      const result = calculatePsychometrics(members, method, instrument);
+      let status = 'ok';
+      let warning = null;
+
+      if (result.n < PSYCHOMETRIC_CRITERIA.MIN_SAMPLE) {
+        status = 'insuficiente';
+        warning = `Solo ${result.n} participantes; no se estima la confiabilidad`;
+      } else if (!result.reliability?.isAcceptable) {
+        status = 'baja';
+        warning = result.alpha === null
+          ? 'Sin variación en el puntaje total'
+          : `α = ${result.alpha.toFixed(2)} por debajo de ${PSYCHOMETRIC_CRITERIA.MIN_RELIABILITY}`;
+      } else if (result.n < PSYCHOMETRIC_CRITERIA.RECOMMENDED_SAMPLE) {
+        status = 'inestable';
+        warning = `Muestra pequeña (n = ${result.n})`;
+      }
+
+      return {
+        group,
+        n: result.n,
+        alpha: result.alpha,
+        omega: result.omega,
+        reliability: result.reliability,
+        status,
+        warning
+      };
+    })
+    .sort((a, b) => (a.alpha ?? -Infinity) - (b.alpha ?? -Infinity));
+}
+
 /**
  * Genera consulta SQL para implementar la lógica en base de datos
  * @param {string} tableName - Nombre de la tabla de respuestas
+ * @param {Object} [instrument] - Definición del instrumento (por defecto la versión vigente)
  * @returns {string} - Consulta SQL optimizada
  */
-export function generateGHQ12SQL(tableName = 'respuestas_cuestionario') {
+export function generateGHQ12SQL(tableName = 'respuestas_cuestionario', instrument = DEFAULT_INSTRUMENT) {
+  const { maxItemValue } = instrument.scoring;
+  const positiveSql = instrument.items
+    .filter(item => !isReverseKeyed(instrument, item.id))
+    .map(item => `COALESCE(${getItemKey(item.id)}, 0)`)
+    .join(' + ');
+  const negativeSql = instrument.reverseKeyedItems
+    .map(id => `(${maxItemValue} - COALESCE(${getItemKey(id)}, 0))`)
+    .join(' + ');
+  const notNullSql = instrument.items
+    .map(item => `${getItemKey(item.id)} IS NOT NULL`)
+    .join(' AND ');
+
   return `
 WITH ghq12_scores AS (
   SELECT 
@@ -245,22 +890,17 @@ WITH ghq12_scores AS (
     -- Cálculo correcto con inversión de preguntas negativas
     (
       -- Preguntas positivas (mantener valor original)
-      COALESCE(q1, 0) + COALESCE(q3, 0) + COALESCE(q4, 0) + 
-      COALESCE(q7, 0) + COALESCE(q8, 0) + COALESCE(q12, 0) +
+      ${positiveSql} +
       
-      -- Preguntas negativas (invertir: 3 - valor_original)
-      (3 - COALESCE(q2, 0)) + (3 - COALESCE(q5, 0)) + (3 - COALESCE(q6, 0)) +
-      (3 - COALESCE(q9, 0)) + (3 - COALESCE(q10, 0)) + (3 - COALESCE(q11, 0))
+      -- Preguntas negativas (invertir: ${maxItemValue} - valor_original)
+      ${negativeSql}
     ) AS puntaje_total_bienestar,
     
     created_at,
     departamento,
     turno
   FROM ${tableName}
-  WHERE q1 IS NOT NULL AND q2 IS NOT NULL AND q3 IS NOT NULL AND 
-        q4 IS NOT NULL AND q5 IS NOT NULL AND q6 IS NOT NULL AND
-        q7 IS NOT NULL AND q8 IS NOT NULL AND q9 IS NOT NULL AND
-        q10 IS NOT NULL AND q11 IS NOT NULL AND q12 IS NOT NULL
+  WHERE ${notNullSql}
 ),
 ghq12_classified AS (
   SELECT 
@@ -302,10 +942,21 @@ ORDER BY
 
 export default {
   GHQ12_CONFIG,
+  SCORING_METHODS,
+  SCORING_METHOD_CONFIG,
+  SCORING_RULES_VERSION,
+  getDefaultScoringMethod,
+  setDefaultScoringMethod,
+  getScoringMethodConfig,
   validateGHQ12Responses,
   calculateGHQ12Score,
   classifyRiskLevel,
   analyzeGHQ12,
+  analyzeStoredResponses,
   calculateGroupMetrics,
+  calculateGroupFactorScores,
+  calculatePsychometrics,
+  calculateSubgroupReliability,
+  interpretReliability,
   generateGHQ12SQL
 };
\ No newline at end of file
@@ -0,0 +1,369 @@
+/**
+ * Comparación estadística entre grupos (departamento, turno, género, ...)
+ *
+ * - Dos grupos: t de Welch o U de Mann-Whitney
+ * - Tres o más: ANOVA de un factor o H de Kruskal-Wallis, con comparaciones
+ *   por pares corregidas por Holm
+ * - Distribución de niveles de riesgo: chi-cuadrado de independencia
+ *
+ * Cada prueba devuelve su tamaño del efecto, porque con muestras grandes una
+ * diferencia irrelevante puede resultar significativa.
+ */
+
+import {
+  chiSquareUpperTailP,
+  fUpperTailP,
+  holmAdjust,
+  normalTwoTailedP,
+  rankValues,
+  studentTwoTailedP,
+  tieCorrection
+} from './statistics';
+import { applyAnonymityThreshold, getMinGroupSize } from '../config/anonymity';
+
+export const COMPARISON_CRITERIA = {
+  // Mínimo estadístico por grupo; si el umbral de anonimato es mayor, manda el umbral
+  MIN_GROUP_SIZE: 5,
+  SIGNIFICANCE_LEVEL: 0.05,
+  // Frecuencia esperada mínima recomendada por celda del chi-cuadrado
+  MIN_EXPECTED_FREQUENCY: 5
+};
+
+// Umbrales convencionales (Cohen, 1988) de efecto pequeño, mediano y grande
+export const EFFECT_SIZE_THRESHOLDS = {
+  hedges_g: [0.2, 0.5, 0.8],
+  rank_biserial: [0.1, 0.3, 0.5],
+  eta_squared: [0.01, 0.06, 0.14],
+  epsilon_squared: [0.01, 0.06, 0.14],
+  cramers_v: [0.1, 0.3, 0.5]
+};
+
+export const EFFECT_SIZE_LABELS = {
+  hedges_g: 'g de Hedges',
+  rank_biserial: 'r biserial de rangos',
+  eta_squared: 'η²',
+  epsilon_squared: 'ε²',
+  cramers_v: 'V de Cramér'
+};
+
+export const TEST_LABELS = {
+  welch_t: 't de Welch',
+  mann_whitney: 'U de Mann-Whitney',
+  anova: 'ANOVA de un factor',
+  kruskal_wallis: 'H de Kruskal-Wallis',
+  chi_square: 'Chi-cuadrado de independencia'
+};
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const sampleVariance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Magnitud de un tamaño del efecto según EFFECT_SIZE_THRESHOLDS
+ * @param {string} measure - Clave de EFFECT_SIZE_THRESHOLDS
+ * @param {number} value
+ * @returns {string} - 'insignificante' | 'pequeño' | 'mediano' | 'grande'
+ */
+export function interpretEffectSize(measure, value) {
+  const [small, medium, large] = EFFECT_SIZE_THRESHOLDS[measure];
+  const magnitude = Math.abs(value);
+  if (magnitude >= large) return 'grande';
+  if (magnitude >= medium) return 'mediano';
+  if (magnitude >= small) return 'pequeño';
+  return 'insignificante';
+}
+
+const effectSize = (measure, value) => ({
+  measure,
+  label: EFFECT_SIZE_LABELS[measure],
+  value,
+  magnitude: interpretEffectSize(measure, value)
+});
+
+/**
+ * t de Welch para dos grupos (no asume varianzas iguales)
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Object} - { test, statistic, df, pValue, effectSize: g de Hedges (a - b) }
+ */
+export function welchTTest(a, b) {
+  const varA = sampleVariance(a);
+  const varB = sampleVariance(b);
+  const seA = varA / a.length;
+  const seB = varB / b.length;
+  const difference = mean(a) - mean(b);
+
+  const standardError = Math.sqrt(seA + seB);
+  const statistic = standardError === 0 ? (difference === 0 ? 0 : Infinity) : difference / standardError;
+  const df = standardError === 0
+    ? a.length + b.length - 2
+    : (seA + seB) ** 2 / (seA ** 2 / (a.length - 1) + seB ** 2 / (b.length - 1));
+
+  // Tamaño del efecto con la desviación estándar combinada y corrección de sesgo de Hedges
+  const pooledDf = a.length + b.length - 2;
+  const pooledSd = Math.sqrt(((a.length - 1) * varA + (b.length - 1) * varB) / pooledDf);
+  const cohenD = pooledSd === 0 ? 0 : difference / pooledSd;
+  const hedgesG = cohenD * (1 - 3 / (4 * pooledDf - 1));
+
+  return {
+    test: 'welch_t',
+    statistic,
+    df,
+    pValue: studentTwoTailedP(statistic, df),
+    effectSize: effectSize('hedges_g', hedgesG)
+  };
+}
+
+/**
+ * U de Mann-Whitney con aproximación normal (corregida por empates y continuidad)
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Object} - { test, statistic: U de a, z, pValue, effectSize: r biserial (> 0 si a tiende a ser mayor) }
+ */
+export function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const combined = [...a, ...b];
+  const ranks = rankValues(combined);
+
+  const rankSumA = ranks.slice(0, n1).reduce((sum, r) => sum + r, 0);
+  const u = rankSumA - n1 * (n1 + 1) / 2;
+  const expected = n1 * n2 / 2;
+  const variance = n1 * n2 / 12 * ((n + 1) - tieCorrection(combined) / (n * (n - 1)));
+
+  const deviation = u - expected;
+  const z = variance === 0 ? 0 : (deviation - Math.sign(deviation) * 0.5) / Math.sqrt(variance);
+
+  return {
+    test: 'mann_whitney',
+    statistic: u,
+    z,
+    pValue: variance === 0 ? 1 : normalTwoTailedP(z),
+    effectSize: effectSize('rank_biserial', 2 * u / (n1 * n2) - 1)
+  };
+}
+
+/**
+ * ANOVA de un factor
+ * @param {Array<Array<number>>} groups
+ * @returns {Object} - { test, statistic: F, df: [entre, dentro], pValue, effectSize: η² }
+ */
+export function oneWayAnova(groups) {
+  const all = groups.flat();
+  const grandMean = mean(all);
+  const ssBetween = groups.reduce((sum, g) => sum + g.length * (mean(g) - grandMean) ** 2, 0);
+  const ssWithin = groups.reduce((sum, g) => {
+    const m = mean(g);
+    return sum + g.reduce((acc, v) => acc + (v - m) ** 2, 0);
+  }, 0);
+
+  const dfBetween = groups.length - 1;
+  const dfWithin = all.length - groups.length;
+  const msWithin = ssWithin / dfWithin;
+  const statistic = msWithin === 0 ? (ssBetween === 0 ? 0 : Infinity) : (ssBetween / dfBetween) / msWithin;
+  const ssTotal = ssBetween + ssWithin;
+
+  return {
+    test: 'anova',
+    statistic,
+    df: [dfBetween, dfWithin],
+    pValue: fUpperTailP(statistic, dfBetween, dfWithin),
+    effectSize: effectSize('eta_squared', ssTotal === 0 ? 0 : ssBetween / ssTotal)
+  };
+}
+
+/**
+ * H de Kruskal-Wallis (corregida por empates)
+ * @param {Array<Array<number>>} groups
+ * @returns {Object} - { test, statistic: H, df, pValue, effectSize: ε² }
+ */
+export function kruskalWallis(groups) {
+  const all = groups.flat();
+  const n = all.length;
+  const ranks = rankValues(all);
+
+  let offset = 0;
+  const rankTerm = groups.reduce((sum, g) => {
+    const rankSum = ranks.slice(offset, offset + g.length).reduce((acc, r) => acc + r, 0);
+    offset += g.length;
+    return sum + rankSum ** 2 / g.length;
+  }, 0);
+
+  const uncorrected = 12 / (n * (n + 1)) * rankTerm - 3 * (n + 1);
+  const correction = 1 - tieCorrection(all) / (n ** 3 - n);
+  const statistic = correction === 0 ? 0 : uncorrected / correction;
+  const df = groups.length - 1;
+
+  return {
+    test: 'kruskal_wallis',
+    statistic,
+    df,
+    pValue: correction === 0 ? 1 : chiSquareUpperTailP(statistic, df),
+    effectSize: effectSize('epsilon_squared', statistic / (n - 1))
+  };
+}
+
+/**
+ * Chi-cuadrado de independencia sobre una tabla de contingencia
+ * @param {Array<Array<number>>} table - Filas = grupos, columnas = categorías
+ * @returns {Object} - { test, statistic, df, pValue, effectSize: V de Cramér, lowExpectedCells }
+ */
+export function chiSquareTest(table) {
+  // Categorías sin observaciones no aportan información
+  const columns = table[0].map((_, j) => j).filter(j => table.some(row => row[j] > 0));
+  const observed = table.map(row => columns.map(j => row[j]));
+
+  const rowTotals = observed.map(row => row.reduce((sum, v) => sum + v, 0));
+  const columnTotals = columns.map((_, j) => observed.reduce((sum, row) => sum + row[j], 0));
+  const total = rowTotals.reduce((sum, v) => sum + v, 0);
+
+  let statistic = 0;
+  let lowExpectedCells = 0;
+  observed.forEach((row, i) => {
+    row.forEach((value, j) => {
+      const expected = rowTotals[i] * columnTotals[j] / total;
+      if (expected < COMPARISON_CRITERIA.MIN_EXPECTED_FREQUENCY) lowExpectedCells++;
+      statistic += (value - expected) ** 2 / expected;
+    });
+  });
+
+  const df = (observed.length - 1) * (columns.length - 1);
+  const minDimension = Math.min(observed.length, columns.length) - 1;
+
+  return {
+    test: 'chi_square',
+    statistic,
+    df,
+    pValue: df === 0 ? 1 : chiSquareUpperTailP(statistic, df),
+    effectSize: effectSize('cramers_v', minDimension === 0 ? 0 : Math.sqrt(statistic / (total * minDimension))),
+    lowExpectedCells,
+    cells: observed.length * columns.length
+  };
+}
+
+/**
+ * Compara el porcentaje de riesgo y la distribución de niveles entre grupos
+ * @param {Array<Object>} participants - [{ [groupBy], value, level }]
+ * @param {Object} options
+ * @param {string} options.groupBy - Atributo por el que agrupar
+ * @param {boolean} [options.parametric] - t/ANOVA en lugar de Mann-Whitney/Kruskal-Wallis
+ * @param {Array<string>} [options.levels] - Niveles de riesgo en orden, para el chi-cuadrado
+ * @param {number} [options.threshold] - Umbral de anonimato (config/anonymity)
+ * @returns {Object} - { status, groups, suppressedCount, omnibus, pairwise, riskDistribution, warnings }
+ */
+export function compareGroups(participants, {
+  groupBy,
+  parametric = false,
+  levels = [],
+  threshold = getMinGroupSize()
+}) {
+  const byGroup = new Map();
+  participants.forEach(p => {
+    if (p.value === null || p.value === undefined || Number.isNaN(Number(p.value))) return;
+    const name = p[groupBy] || 'Sin especificar';
+    if (!byGroup.has(name)) byGroup.set(name, []);
+    byGroup.get(name).push(p);
+  });
+
+  const summaries = [...byGroup.entries()]
+    .map(([name, members]) => {
+      const values = members.map(m => Number(m.value));
+      return {
+        name,
+        n: values.length,
+        mean: mean(values),
+        sd: values.length > 1 ? Math.sqrt(sampleVariance(values)) : 0,
+        median: median(values),
+        values,
+        levelCounts: levels.map(level => members.filter(m => m.level === level).length)
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Los grupos pequeños (y los que los delatarían por diferencia) no se muestran
+  // ni entran en las pruebas; solo se informa cuántos son
+  const minSize = Math.max(threshold, COMPARISON_CRITERIA.MIN_GROUP_SIZE);
+  const { groups, suppressed } = applyAnonymityThreshold(summaries, {
+    getKey: g => g.name,
+    getSize: g => g.n,
+    threshold: minSize
+  });
+  const warnings = [];
+
+  if (suppressed.length > 0) {
+    warnings.push(`${suppressed.length} grupo(s) no se muestran ni se comparan para proteger el anonimato (mínimo ${minSize} participantes)`);
+  }
+
+  const result = {
+    groupBy,
+    parametric,
+    groups: groups.map(({ values, ...summary }) => summary),
+    suppressedCount: suppressed.length,
+    omnibus: null,
+    pairwise: [],
+    riskDistribution: null,
+    warnings
+  };
+
+  if (groups.length < 2) {
+    warnings.push('Se necesitan al menos dos grupos con datos suficientes para comparar');
+    return { ...result, status: 'insuficiente' };
+  }
+
+  const twoSample = parametric ? welchTTest : mannWhitneyU;
+  const values = groups.map(g => g.values);
+
+  result.omnibus = groups.length === 2
+    ? twoSample(values[0], values[1])
+    : (parametric ? oneWayAnova(values) : kruskalWallis(values));
+
+  // Comparaciones por pares solo con tres o más grupos; corrección de Holm
+  if (groups.length > 2) {
+    const pairs = [];
+    for (let i = 0; i < groups.length - 1; i++) {
+      for (let j = i + 1; j < groups.length; j++) {
+        pairs.push({ a: groups[i].name, b: groups[j].name, ...twoSample(values[i], values[j]) });
+      }
+    }
+    const adjusted = holmAdjust(pairs.map(pair => pair.pValue));
+    result.pairwise = pairs.map((pair, index) => ({
+      ...pair,
+      adjustedPValue: adjusted[index],
+      significant: adjusted[index] < COMPARISON_CRITERIA.SIGNIFICANCE_LEVEL
+    }));
+  }
+
+  if (levels.length > 1) {
+    const test = chiSquareTest(groups.map(g => g.levelCounts));
+    result.riskDistribution = { ...test, levels };
+    if (test.lowExpectedCells / test.cells > 0.2) {
+      warnings.push('Más del 20% de las celdas del chi-cuadrado tienen frecuencia esperada menor que 5; interpretar con cautela');
+    }
+  }
+
+  return { ...result, status: 'ok' };
+}
+
+export default {
+  COMPARISON_CRITERIA,
+  EFFECT_SIZE_THRESHOLDS,
+  EFFECT_SIZE_LABELS,
+  TEST_LABELS,
+  interpretEffectSize,
+  welchTTest,
+  mannWhitneyU,
+  oneWayAnova,
+  kruskalWallis,
+  chiSquareTest,
+  compareGroups
+};
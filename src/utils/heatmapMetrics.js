@@ -7,38 +7,28 @@
  */
 
 import { GHQ12_CONFIG } from './ghq12Calculator.js'
+import { getCurrentInstrument, isReverseKeyed } from '../data/instruments'
+
+const instrument = getCurrentInstrument()
 
 // ===========================================
 // CONFIGURACIÓN DEL MAPA DE CALOR
 // ===========================================
 
 export const HEATMAP_CONFIG = {
-  // Preguntas GHQ-12 con sus textos descriptivos
-  QUESTIONS: [
-    { id: 1, text: "¿Ha podido concentrarse bien en lo que hace?", dimension: "Concentración", type: "positive" },
-    { id: 2, text: "¿Sus preocupaciones le han hecho perder mucho sueño?", dimension: "Sueño", type: "negative" },
-    { id: 3, text: "¿Ha sentido que está jugando un papel útil en la vida?", dimension: "Autoestima", type: "positive" },
-    { id: 4, text: "¿Se ha sentido capaz de tomar decisiones?", dimension: "Decisiones", type: "positive" },
-    { id: 5, text: "¿Se ha sentido constantemente agobiado y en tensión?", dimension: "Estrés", type: "negative" },
-    { id: 6, text: "¿Ha sentido que no puede superar sus dificultades?", dimension: "Afrontamiento", type: "negative" },
-    { id: 7, text: "¿Ha sido capaz de disfrutar sus actividades normales de cada día?", dimension: "Disfrute", type: "positive" },
-    { id: 8, text: "¿Ha sido capaz de hacer frente a sus problemas?", dimension: "Problemas", type: "positive" },
-    { id: 9, text: "¿Se ha sentido poco feliz y deprimido?", dimension: "Estado de ánimo", type: "negative" },
-    { id: 10, text: "¿Ha perdido confianza en sí mismo?", dimension: "Confianza", type: "negative" },
-    { id: 11, text: "¿Ha pensado que usted es una persona que no vale para nada?", dimension: "Autoestima", type: "negative" },
-    { id: 12, text: "¿Se siente razonablemente feliz considerando todas las circunstancias?", dimension: "Felicidad", type: "positive" }
-  ],
+  // Preguntas GHQ-12 con sus textos descriptivos (registro de instrumentos)
+  QUESTIONS: instrument.items.map(item => ({
+    id: item.id,
+    text: item.text,
+    dimension: item.shortLabel,
+    type: isReverseKeyed(instrument, item.id) ? 'negative' : 'positive'
+  })),
 
   // Opciones de respuesta
-  RESPONSE_OPTIONS: [
-    { value: 0, label: "Nunca", shortLabel: "Nunca" },
-    { value: 1, label: "Casi Nunca", shortLabel: "C. Nunca" },
-    { value: 2, label: "Casi Siempre", shortLabel: "C. Siempre" },
-    { value: 3, label: "Siempre", shortLabel: "Siempre" }
-  ],
+  RESPONSE_OPTIONS: instrument.scale.map(({ value, label, shortLabel }) => ({ value, label, shortLabel })),
 
   // Preguntas negativas (requieren inversión para el cálculo de riesgo)
-  NEGATIVE_QUESTIONS: GHQ12_CONFIG.POSITIVE_QUESTIONS.filter(q => !GHQ12_CONFIG.POSITIVE_QUESTIONS.includes(q)),
+  NEGATIVE_QUESTIONS: GHQ12_CONFIG.NEGATIVE_QUESTIONS,
   
   // Preguntas positivas
   POSITIVE_QUESTIONS: GHQ12_CONFIG.POSITIVE_QUESTIONS
@@ -62,7 +52,7 @@ export const calculateResponseDistribution = (responses, groupBy = 'departamento
       matrix: [],
       summary: {
         totalResponses: 0,
-        totalQuestions: 12,
+        totalQuestions: instrument.items.length,
         totalGroups: 0
       }
     }
@@ -75,8 +65,8 @@ export const calculateResponseDistribution = (responses, groupBy = 'departamento
     
     // Extraer respuestas individuales (q1-q12)
     const questionResponses = {}
-    for (let i = 1; i <= 12; i++) {
-      const questionKey = `q${i}`
+    for (const item of instrument.items) {
+      const questionKey = `q${item.id}`
       questionResponses[questionKey] = response.respuestas?.[questionKey] || 0
     }
 
@@ -101,7 +91,7 @@ export const calculateResponseDistribution = (responses, groupBy = 'departamento
         .filter(response => response !== undefined && response !== null)
 
       // Contar frecuencia de cada opción de respuesta (0, 1, 2, 3)
-      const distribution = [0, 1, 2, 3].map(option => {
+      const distribution = HEATMAP_CONFIG.RESPONSE_OPTIONS.map(({ value: option }) => {
         const count = groupResponses.filter(response => response === option).length
         const percentage = groupResponses.length > 0 ? (count / groupResponses.length) * 100 : 0
         
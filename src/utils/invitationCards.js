@@ -0,0 +1,104 @@
+/**
+ * Tarjetas de invitación imprimibles
+ *
+ * Disposición de las tarjetas con código QR en hojas A4 para el personal de
+ * planta sin correo corporativo. Las medidas están en milímetros.
+ */
+
+import { TOKEN_STATUS, buildInvitationLink, getTokenStatus } from './invitations';
+import { buildParticipationLink } from './anonymousSurvey';
+
+// A4 vertical con 2 × 4 tarjetas: se recortan por las líneas punteadas
+export const CARD_LAYOUT = {
+  pageWidth: 210,
+  pageHeight: 297,
+  margin: 10,
+  columns: 2,
+  rows: 4,
+  padding: 5,
+  qrSize: 38
+};
+
+export const CARD_INSTRUCTIONS = [
+  'Escanea el código con la cámara de tu celular.',
+  'Responde las 12 preguntas; toma unos 5 minutos.',
+  'Tus respuestas son confidenciales.',
+  'El enlace es personal: no lo compartas.'
+];
+
+// Tarjetas de una campaña anónima: no llevan nombre y se reparten al azar
+export const PARTICIPATION_CARD_INSTRUCTIONS = [
+  'Escanea el código o entra al enlace e ingresa el código.',
+  'Responde las 12 preguntas; toma unos 5 minutos.',
+  'Es anónimo: nadie sabe a quién le tocó esta tarjeta.',
+  'El código sirve una sola vez.'
+];
+
+/**
+ * Medidas de una tarjeta según la disposición
+ * @param {Object} [layout]
+ * @returns {{ width: number, height: number, perPage: number }}
+ */
+export const getCardSize = (layout = CARD_LAYOUT) => ({
+  width: (layout.pageWidth - layout.margin * 2) / layout.columns,
+  height: (layout.pageHeight - layout.margin * 2) / layout.rows,
+  perPage: layout.columns * layout.rows
+});
+
+/**
+ * Página y esquina superior izquierda de la tarjeta n (de izquierda a derecha y de arriba abajo)
+ * @param {number} index
+ * @param {Object} [layout]
+ * @returns {{ page: number, x: number, y: number }}
+ */
+export const getCardPlacement = (index, layout = CARD_LAYOUT) => {
+  const { width, height, perPage } = getCardSize(layout);
+  const slot = index % perPage;
+
+  return {
+    page: Math.floor(index / perPage),
+    x: layout.margin + (slot % layout.columns) * width,
+    y: layout.margin + Math.floor(slot / layout.columns) * height
+  };
+};
+
+const byAreaAndName = (a, b) => (a.usuario?.departamento || '').localeCompare(b.usuario?.departamento || '', 'es') ||
+  (a.usuario?.nombre || '').localeCompare(b.usuario?.nombre || '', 'es');
+
+/**
+ * Datos de cada tarjeta. Solo se imprimen tokens pendientes, ordenados por
+ * departamento y nombre para repartirlas por área.
+ * @param {Array} tokens - Tokens con `usuario` ({ nombre, documento, departamento, cargo })
+ * @param {string} [origin]
+ * @param {Date} [now]
+ * @returns {Array<{ nombre: string, documento: string, detalle: string, link: string, vence: string }>}
+ */
+export const buildCards = (tokens, origin, now = new Date()) => tokens
+  .filter(token => getTokenStatus(token, now) === TOKEN_STATUS.PENDIENTE)
+  .sort(byAreaAndName)
+  .map(token => ({
+    nombre: token.usuario?.nombre || 'Trabajador',
+    documento: token.usuario?.documento || '',
+    detalle: [token.usuario?.cargo, token.usuario?.departamento].filter(Boolean).join(' · '),
+    link: buildInvitationLink(token.token, origin),
+    vence: new Date(token.expiracion).toLocaleDateString('es-ES')
+  }));
+
+/**
+ * Datos de cada tarjeta de una campaña anónima
+ * @param {Array<{ codigo: string }>} codes - Códigos sin usar (los usados ya no existen)
+ * @param {string} [origin]
+ * @returns {Array<{ codigo: string, link: string }>}
+ */
+export const buildParticipationCards = (codes, origin) => codes
+  .map(code => ({ codigo: code.codigo, link: buildParticipationLink(code.codigo, origin) }));
+
+export default {
+  CARD_LAYOUT,
+  CARD_INSTRUCTIONS,
+  PARTICIPATION_CARD_INSTRUCTIONS,
+  getCardSize,
+  getCardPlacement,
+  buildCards,
+  buildParticipationCards
+};
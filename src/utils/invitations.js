@@ -0,0 +1,198 @@
+/**
+ * Invitaciones de una campaña
+ *
+ * Lectura y validación del listado de trabajadores que entrega RR. HH.
+ * (XLSX o CSV), estado de cada token y filas de la hoja de enlaces
+ * personalizados `/cuestionario/:token` que se reparte a cada trabajador.
+ */
+
+export const TOKEN_EXPIRY_DAYS = {
+  MIN: 1,
+  MAX: 90,
+  DEFAULT: 7
+};
+
+export const TOKEN_STATUS = {
+  PENDIENTE: 'pendiente',
+  USADO: 'usado',
+  VENCIDO: 'vencido',
+  REVOCADO: 'revocado'
+};
+
+export const TOKEN_STATUS_LABELS = {
+  [TOKEN_STATUS.PENDIENTE]: 'Pendiente',
+  [TOKEN_STATUS.USADO]: 'Respondido',
+  [TOKEN_STATUS.VENCIDO]: 'Vencido',
+  [TOKEN_STATUS.REVOCADO]: 'Revocado'
+};
+
+// Encabezados aceptados por campo, ya normalizados (minúsculas, sin tildes, "_" por separador)
+export const ROSTER_COLUMNS = {
+  documento: ['documento', 'cedula', 'dni', 'identificacion', 'numero_documento', 'no_documento'],
+  nombre: ['nombre', 'nombre_completo', 'trabajador', 'empleado'],
+  nombres: ['nombres'],
+  apellidos: ['apellidos', 'apellido'],
+  email: ['email', 'correo', 'correo_electronico', 'e_mail'],
+  departamento: ['departamento', 'area', 'dependencia'],
+  cargo: ['cargo', 'puesto', 'ocupacion'],
+  turno: ['turno'],
+  genero: ['genero', 'sexo']
+};
+
+const DOCUMENT_PATTERN = /^[A-Za-z0-9-]{4,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normaliza un encabezado de columna: "Correo Electrónico" → "correo_electronico"
+ * @param {string} header
+ * @returns {string}
+ */
+export const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const FIELD_BY_HEADER = Object.entries(ROSTER_COLUMNS).reduce((acc, [field, headers]) => {
+  headers.forEach(header => { acc[header] = field; });
+  return acc;
+}, {});
+
+/**
+ * Valida los días de validez de un token
+ * @param {*} days
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+export const validateExpiryDays = (days) => {
+  if (!Number.isInteger(days)) return 'La validez debe ser un número entero de días';
+  if (days < TOKEN_EXPIRY_DAYS.MIN || days > TOKEN_EXPIRY_DAYS.MAX) {
+    return `La validez debe estar entre ${TOKEN_EXPIRY_DAYS.MIN} y ${TOKEN_EXPIRY_DAYS.MAX} días`;
+  }
+  return null;
+};
+
+/**
+ * Fecha de vencimiento a N días
+ * @param {number} days
+ * @param {Date} [from]
+ * @returns {string} - ISO 8601
+ */
+export const expirationFromDays = (days, from = new Date()) => {
+  const expiration = new Date(from);
+  expiration.setDate(expiration.getDate() + days);
+  return expiration.toISOString();
+};
+
+/**
+ * Valida las filas del listado y las convierte en trabajadores
+ * @param {Array<Object>} rows - Filas con los encabezados originales como claves
+ * @returns {{ workers: Array, errors: Array<{row: number, message: string}>, missingColumns: string[] }}
+ */
+export const parseRoster = (rows) => {
+  const columns = new Set(Object.keys(rows[0] || {}).map(header => FIELD_BY_HEADER[normalizeHeader(header)]));
+  const missingColumns = [
+    !columns.has('documento') && 'documento',
+    !columns.has('nombre') && !columns.has('nombres') && 'nombre'
+  ].filter(Boolean);
+
+  if (missingColumns.length > 0) return { workers: [], errors: [], missingColumns };
+
+  const workers = [];
+  const errors = [];
+  const seen = new Map();
+
+  rows.forEach((raw, index) => {
+    // La fila 1 del archivo son los encabezados
+    const row = index + 2;
+    const record = Object.entries(raw).reduce((acc, [header, value]) => {
+      const field = FIELD_BY_HEADER[normalizeHeader(header)];
+      if (field && !acc[field]) acc[field] = String(value ?? '').trim();
+      return acc;
+    }, {});
+
+    if (Object.values(record).every(value => value === '')) return;
+
+    const documento = (record.documento || '').replace(/[\s.]/g, '');
+    const nombre = record.nombre || [record.nombres, record.apellidos].filter(Boolean).join(' ');
+    const rowErrors = [];
+
+    if (!documento) rowErrors.push('falta el documento');
+    else if (!DOCUMENT_PATTERN.test(documento)) rowErrors.push(`documento inválido "${record.documento}"`);
+    if (!nombre) rowErrors.push('falta el nombre');
+    if (record.email && !EMAIL_PATTERN.test(record.email)) rowErrors.push(`correo inválido "${record.email}"`);
+    if (documento && seen.has(documento)) rowErrors.push(`documento repetido (fila ${seen.get(documento)})`);
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, message: rowErrors.join(', ') });
+      return;
+    }
+
+    seen.set(documento, row);
+    workers.push({
+      row,
+      documento,
+      nombre,
+      email: record.email || null,
+      departamento: record.departamento || null,
+      cargo: record.cargo || null,
+      turno: record.turno || null,
+      genero: record.genero || null
+    });
+  });
+
+  return { workers, errors, missingColumns };
+};
+
+/**
+ * Estado de un token de invitación
+ * @param {Object} token - Fila de `tokens_acceso`
+ * @param {Date} [now]
+ * @returns {string} - Valor de TOKEN_STATUS
+ */
+export const getTokenStatus = (token, now = new Date()) => {
+  if (token.revocado_en) return TOKEN_STATUS.REVOCADO;
+  if (token.usado) return TOKEN_STATUS.USADO;
+  if (new Date(token.expiracion) < now) return TOKEN_STATUS.VENCIDO;
+  return TOKEN_STATUS.PENDIENTE;
+};
+
+/**
+ * Enlace personalizado al cuestionario
+ * @param {string} token
+ * @param {string} [origin] - Origen de la aplicación (por defecto el actual)
+ * @returns {string}
+ */
+export const buildInvitationLink = (token, origin = window.location.origin) => `${origin}/cuestionario/${token}`;
+
+/**
+ * Filas de la hoja de enlaces que se descarga para repartir las invitaciones
+ * @param {Array} tokens - Tokens con `usuario` ({ documento, nombre, ... })
+ * @param {string} [origin]
+ * @returns {Array<Object>}
+ */
+export const buildInvitationSheetRows = (tokens, origin) => tokens.map(token => ({
+  Documento: token.usuario?.documento || '',
+  Nombre: token.usuario?.nombre || '',
+  Departamento: token.usuario?.departamento || '',
+  Cargo: token.usuario?.cargo || '',
+  Correo: token.usuario?.email || '',
+  Enlace: buildInvitationLink(token.token, origin),
+  Vence: new Date(token.expiracion).toLocaleDateString('es-ES'),
+  Estado: TOKEN_STATUS_LABELS[getTokenStatus(token)]
+}));
+
+export default {
+  TOKEN_EXPIRY_DAYS,
+  TOKEN_STATUS,
+  TOKEN_STATUS_LABELS,
+  ROSTER_COLUMNS,
+  normalizeHeader,
+  validateExpiryDays,
+  expirationFromDays,
+  parseRoster,
+  getTokenStatus,
+  buildInvitationLink,
+  buildInvitationSheetRows
+};
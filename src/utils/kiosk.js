@@ -0,0 +1,167 @@
+/**
+ * Modo quiosco: una tableta compartida (p. ej. en el casino al cambio de turno)
+ * por la que pasan varias personas. La configuración, el PIN de salida y los
+ * contadores de envíos quedan solo en el dispositivo.
+ */
+
+import { DIRECT_DRAFT_STORAGE_KEY } from './questionnaireDrafts';
+import { toDateKey } from './campaigns';
+import { LANGUAGE_STORAGE_KEY } from '../i18n/languages';
+
+export const KIOSK_STORAGE_KEY = 'modoQuiosco';
+
+export const KIOSK_PIN_LENGTH = {
+  MIN: 4,
+  MAX: 8
+};
+
+// Minutos sin tocar la pantalla antes de volver al inicio
+export const KIOSK_IDLE_MINUTES = {
+  MIN: 1,
+  MAX: 30,
+  DEFAULT: 3
+};
+
+// Segundos que se muestra el agradecimiento antes de recibir a la siguiente persona
+export const KIOSK_THANK_YOU_SECONDS = 10;
+
+// Lo que una persona deja en el navegador y no debe ver la siguiente
+export const WORKER_STORAGE_KEYS = ['personaId', 'currentUser', DIRECT_DRAFT_STORAGE_KEY, LANGUAGE_STORAGE_KEY];
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+/**
+ * @param {string} pin
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+export const validateKioskPin = (pin) => {
+  if (!/^\d+$/.test(pin || '')) return 'El PIN solo puede tener números';
+  if (pin.length < KIOSK_PIN_LENGTH.MIN || pin.length > KIOSK_PIN_LENGTH.MAX) {
+    return `El PIN debe tener entre ${KIOSK_PIN_LENGTH.MIN} y ${KIOSK_PIN_LENGTH.MAX} dígitos`;
+  }
+  return null;
+};
+
+/**
+ * @param {number} minutes
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+export const validateIdleMinutes = (minutes) => {
+  if (!Number.isInteger(minutes) || minutes < KIOSK_IDLE_MINUTES.MIN || minutes > KIOSK_IDLE_MINUTES.MAX) {
+    return `Indica entre ${KIOSK_IDLE_MINUTES.MIN} y ${KIOSK_IDLE_MINUTES.MAX} minutos`;
+  }
+  return null;
+};
+
+/**
+ * Hash del PIN con la sal del dispositivo (el PIN nunca se guarda en claro)
+ * @param {string} pin
+ * @param {string} salt
+ * @returns {Promise<string>} - SHA-256 en hexadecimal
+ */
+export const hashKioskPin = async (pin, salt) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * @param {Object} config - Configuración del quiosco
+ * @param {string} pin - PIN ingresado
+ * @returns {Promise<boolean>}
+ */
+export const verifyKioskPin = async (config, pin) =>
+  Boolean(config?.pinHash) && (await hashKioskPin(pin, config.salt)) === config.pinHash;
+
+/**
+ * Configuración nueva del quiosco, con sus contadores en cero
+ * @param {Object} params
+ * @param {string} params.pin
+ * @param {number} [params.idleMinutes]
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>}
+ */
+export const createKioskConfig = async ({ pin, idleMinutes = KIOSK_IDLE_MINUTES.DEFAULT, now = new Date() }) => {
+  const salt = crypto.randomUUID();
+  return {
+    deviceId: crypto.randomUUID(),
+    salt,
+    pinHash: await hashKioskPin(pin, salt),
+    idleMinutes,
+    startedAt: now.toISOString(),
+    submissions: { total: 0, day: null, dayCount: 0 }
+  };
+};
+
+/**
+ * @param {Storage} [storage]
+ * @returns {Object|null} - Configuración guardada, o null si el dispositivo no está en modo quiosco
+ */
+export const loadKioskConfig = (storage = localStorage) => {
+  try {
+    const config = JSON.parse(storage.getItem(KIOSK_STORAGE_KEY));
+    return config?.pinHash ? config : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveKioskConfig = (config, storage = localStorage) => {
+  storage.setItem(KIOSK_STORAGE_KEY, JSON.stringify(config));
+};
+
+export const clearKioskConfig = (storage = localStorage) => {
+  storage.removeItem(KIOSK_STORAGE_KEY);
+};
+
+/**
+ * Borra los datos de la persona anterior. La cola de envíos sin conexión
+ * (IndexedDB) se conserva: son respuestas que aún deben llegar al servidor.
+ * @param {Storage} [storage]
+ */
+export const clearWorkerTraces = (storage = localStorage) => {
+  WORKER_STORAGE_KEYS.forEach(key => storage.removeItem(key));
+};
+
+/**
+ * Suma un envío a los contadores del dispositivo
+ * @param {Object} config
+ * @param {Date} [now]
+ * @returns {Object} - Configuración actualizada
+ */
+export const recordKioskSubmission = (config, now = new Date()) => {
+  // Día local de la tableta: el turno termina según su reloj, no en UTC
+  const day = toDateKey(now);
+  const { total = 0, day: lastDay, dayCount = 0 } = config.submissions || {};
+  return {
+    ...config,
+    submissions: {
+      total: total + 1,
+      day,
+      dayCount: lastDay === day ? dayCount + 1 : 1
+    }
+  };
+};
+
+/**
+ * @param {Object} config
+ * @param {Date} [now]
+ * @returns {{ today: number, total: number }}
+ */
+export const getKioskCounters = (config, now = new Date()) => {
+  const { total = 0, day, dayCount = 0 } = config?.submissions || {};
+  return { today: day === toDateKey(now) ? dayCount : 0, total };
+};
+
+/**
+ * Token leído del QR de la invitación: acepta el enlace completo
+ * (`.../cuestionario/<token>`) o el token solo
+ * @param {string} text - Texto del código QR o del lector
+ * @returns {string|null}
+ */
+export const parseScannedToken = (text) => {
+  const value = String(text || '').trim();
+  const fromLink = value.match(/\/cuestionario\/([^/?#\s]+)/);
+  const candidate = fromLink ? decodeURIComponent(fromLink[1]) : value;
+  const match = candidate.match(UUID_PATTERN);
+  return match && match[0].length === candidate.length ? match[0].toLowerCase() : null;
+};
@@ -0,0 +1,231 @@
+/**
+ * Mensajes de invitación y recordatorio
+ *
+ * Plantillas con marcadores, selección de destinatarios a partir de los tokens
+ * de una campaña y reintentos de la bandeja de salida. Se usa tanto en el panel
+ * como en el proceso de envío (scripts/outbox-worker.js), por eso los imports
+ * llevan extensión.
+ */
+
+import { TOKEN_STATUS, buildInvitationLink, getTokenStatus } from './invitations.js';
+
+export const MESSAGE_TYPES = {
+  INVITACION: 'invitacion',
+  RECORDATORIO: 'recordatorio'
+};
+
+export const MESSAGE_TYPE_LABELS = {
+  [MESSAGE_TYPES.INVITACION]: 'Invitación',
+  [MESSAGE_TYPES.RECORDATORIO]: 'Recordatorio'
+};
+
+export const TRANSPORT_TYPES = {
+  SMTP: 'smtp',
+  WEBHOOK: 'webhook',
+  ARCHIVO: 'archivo'
+};
+
+export const TRANSPORT_LABELS = {
+  [TRANSPORT_TYPES.SMTP]: 'Correo (SMTP)',
+  [TRANSPORT_TYPES.WEBHOOK]: 'Webhook',
+  [TRANSPORT_TYPES.ARCHIVO]: 'Carpeta local'
+};
+
+export const DELIVERY_STATUS = {
+  PENDIENTE: 'pendiente',
+  ENVIADO: 'enviado',
+  FALLIDO: 'fallido',
+  CANCELADO: 'cancelado'
+};
+
+export const DELIVERY_STATUS_LABELS = {
+  [DELIVERY_STATUS.PENDIENTE]: 'En cola',
+  [DELIVERY_STATUS.ENVIADO]: 'Enviado',
+  [DELIVERY_STATUS.FALLIDO]: 'Fallido',
+  [DELIVERY_STATUS.CANCELADO]: 'Cancelado'
+};
+
+export const TEMPLATE_PLACEHOLDERS = {
+  nombre: 'Nombre del trabajador',
+  enlace: 'Enlace personal al cuestionario',
+  fecha_limite: 'Último día para responder',
+  campana: 'Nombre de la campaña'
+};
+
+// Intentos de entrega antes de dar un mensaje por fallido
+export const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Espera antes del primer reintento; se duplica en cada intento
+const RETRY_DELAY_MINUTES = 15;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Marcadores usados en un texto
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const findPlaceholders = (text = '') => [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(([, key]) => key))];
+
+/**
+ * Sustituye los marcadores {{clave}} por sus valores
+ * @param {string} text
+ * @param {Object} values
+ * @returns {string}
+ */
+export const renderTemplate = (text, values) => text.replace(PLACEHOLDER_PATTERN, (match, key) => (
+  key in values ? String(values[key] ?? '') : match
+));
+
+/**
+ * Valida una plantilla
+ * @param {Object} template - { nombre, tipo, asunto, cuerpo }
+ * @returns {string[]} - Mensajes de error (vacío si es válida)
+ */
+export const validateTemplate = (template) => {
+  const errors = [];
+
+  if (!template.nombre?.trim()) errors.push('La plantilla necesita un nombre');
+  if (!Object.values(MESSAGE_TYPES).includes(template.tipo)) errors.push('Tipo de mensaje inválido');
+  if (!template.asunto?.trim()) errors.push('El asunto es obligatorio');
+  if (!template.cuerpo?.trim()) errors.push('El cuerpo es obligatorio');
+
+  const unknown = findPlaceholders(`${template.asunto || ''} ${template.cuerpo || ''}`)
+    .filter(key => !(key in TEMPLATE_PLACEHOLDERS));
+  if (unknown.length > 0) errors.push(`Marcadores desconocidos: ${unknown.map(key => `{{${key}}}`).join(', ')}`);
+
+  if (template.cuerpo?.trim() && !findPlaceholders(template.cuerpo).includes('enlace')) {
+    errors.push('El cuerpo debe incluir {{enlace}}');
+  }
+
+  return errors;
+};
+
+/**
+ * Fecha límite para responder: lo que ocurra antes entre el vencimiento del
+ * token y el último día de la campaña
+ * @param {Object} token
+ * @param {Object} campaign
+ * @returns {Date}
+ */
+export const getDeadline = (token, campaign) => {
+  const expiration = new Date(token.expiracion);
+  if (!campaign?.fecha_fin) return expiration;
+
+  const campaignEnd = new Date(`${campaign.fecha_fin}T23:59:59`);
+  return campaignEnd < expiration ? campaignEnd : expiration;
+};
+
+/**
+ * Valores de los marcadores para un token
+ * @param {Object} token - Token con `usuario`
+ * @param {Object} campaign
+ * @param {string} origin - Origen de la aplicación
+ * @returns {Object}
+ */
+export const buildMessageValues = (token, campaign, origin) => ({
+  nombre: token.usuario?.nombre || '',
+  enlace: buildInvitationLink(token.token, origin),
+  fecha_limite: getDeadline(token, campaign).toLocaleDateString('es-ES'),
+  campana: campaign?.nombre || ''
+});
+
+/**
+ * El correo necesita dirección; el webhook y la carpeta local reciben el mensaje igualmente
+ * @param {string} transport
+ * @returns {boolean}
+ */
+export const requiresAddress = (transport) => transport === TRANSPORT_TYPES.SMTP;
+
+/**
+ * Filas de `envios_mensaje` para los tokens pendientes de una campaña
+ * @param {Array} tokens - Tokens con `usuario` ({ nombre, email })
+ * @param {Object} options
+ * @param {Object} options.campaign
+ * @param {Object} options.template
+ * @param {string} options.transport - Valor de TRANSPORT_TYPES
+ * @param {string} options.origin
+ * @param {string} [options.reminderId]
+ * @param {Set<string>} [options.exclude] - Tokens que ya tienen este mensaje
+ * @param {Date} [options.now]
+ * @returns {{ messages: Array, withoutAddress: number, excluded: number }}
+ */
+export const buildOutboxMessages = (tokens, {
+  campaign,
+  template,
+  transport,
+  origin,
+  reminderId = null,
+  exclude = new Set(),
+  now = new Date()
+}) => {
+  const pending = tokens.filter(token => getTokenStatus(token, now) === TOKEN_STATUS.PENDIENTE);
+  const fresh = pending.filter(token => !exclude.has(token.token));
+  const deliverable = fresh.filter(token => !requiresAddress(transport) || token.usuario?.email);
+
+  const messages = deliverable.map(token => {
+    const values = buildMessageValues(token, campaign, origin);
+    return {
+      campana_id: campaign.id,
+      recordatorio_id: reminderId,
+      plantilla_id: template.id,
+      token: token.token,
+      user_id: token.user_id,
+      tipo: template.tipo,
+      transporte: transport,
+      destinatario: token.usuario?.email || null,
+      asunto: renderTemplate(template.asunto, values),
+      cuerpo: renderTemplate(template.cuerpo, values),
+      estado: DELIVERY_STATUS.PENDIENTE,
+      programado_para: now.toISOString()
+    };
+  });
+
+  return {
+    messages,
+    withoutAddress: fresh.length - deliverable.length,
+    excluded: pending.length - fresh.length
+  };
+};
+
+/**
+ * Cambios de un mensaje tras un intento de entrega fallido: se reprograma con
+ * espera creciente hasta agotar los intentos
+ * @param {Object} message - Fila de `envios_mensaje`
+ * @param {string} error
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {Date} [options.now]
+ * @returns {Object}
+ */
+export const getRetryUpdate = (message, error, { maxAttempts = MAX_DELIVERY_ATTEMPTS, now = new Date() } = {}) => {
+  const intentos = (message.intentos || 0) + 1;
+  if (intentos >= maxAttempts) return { intentos, error, estado: DELIVERY_STATUS.FALLIDO };
+
+  const delay = RETRY_DELAY_MINUTES * 2 ** (intentos - 1);
+  return {
+    intentos,
+    error,
+    estado: DELIVERY_STATUS.PENDIENTE,
+    programado_para: new Date(now.getTime() + delay * 60 * 1000).toISOString()
+  };
+};
+
+export default {
+  MESSAGE_TYPES,
+  MESSAGE_TYPE_LABELS,
+  TRANSPORT_TYPES,
+  TRANSPORT_LABELS,
+  DELIVERY_STATUS,
+  DELIVERY_STATUS_LABELS,
+  TEMPLATE_PLACEHOLDERS,
+  MAX_DELIVERY_ATTEMPTS,
+  findPlaceholders,
+  renderTemplate,
+  validateTemplate,
+  getDeadline,
+  buildMessageValues,
+  requiresAddress,
+  buildOutboxMessages,
+  getRetryUpdate
+};
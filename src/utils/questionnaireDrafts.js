@@ -0,0 +1,75 @@
+/**
+ * Borradores del cuestionario: respuestas parciales guardadas en el servidor
+ * para retomar una sesión interrumpida (tabla borradores_cuestionario, V13).
+ */
+
+// Sesión en curso del acceso directo (sin token): el borrador se identifica por ella
+export const DIRECT_DRAFT_STORAGE_KEY = 'cuestionarioBorradorSesion';
+
+/**
+ * Respuestas del cuestionario en el formato del borrador y de enviar_cuestionario:
+ * { "<pregunta_id>": valor }. Descarta las preguntas sin respuesta.
+ * @param {Object} answers - { [questionId]: valor }
+ * @returns {Object}
+ */
+export const toDraftAnswers = (answers = {}) => Object.entries(answers).reduce((acc, [questionId, value]) => {
+  if (value !== undefined && value !== null && value !== '') {
+    acc[String(questionId)] = Number(value);
+  }
+  return acc;
+}, {});
+
+/**
+ * Respuestas de un borrador listas para el estado del cuestionario. Ignora
+ * preguntas que no existen en el instrumento y valores no numéricos.
+ * @param {Object} respuestas - { "<pregunta_id>": valor } del servidor
+ * @param {Array} questions - Preguntas del instrumento ({ id })
+ * @returns {Object} - { [questionId]: valor }
+ */
+export const fromDraftAnswers = (respuestas, questions) => questions.reduce((acc, question) => {
+  const value = Number(respuestas?.[String(question.id)]);
+  if (respuestas?.[String(question.id)] !== undefined && Number.isFinite(value)) {
+    acc[question.id] = value;
+  }
+  return acc;
+}, {});
+
+/**
+ * Índice de la primera pregunta sin responder
+ * @param {Array} questions
+ * @param {Object} answers
+ * @returns {number} - -1 si todas están respondidas
+ */
+export const findFirstUnanswered = (questions, answers = {}) =>
+  questions.findIndex(question => answers[question.id] === undefined);
+
+/**
+ * Borrador del servidor en la forma que usa el cuestionario
+ * @param {Object|null} row - Fila de obtener_borrador
+ * @param {Array} questions
+ * @returns {{ sessionId: string, userId: string, answers: Object, answeredCount: number, startedAt: Date|null }|null}
+ */
+export const toResumableDraft = (row, questions) => {
+  if (!row?.sesion_id || !row?.usuario_id) return null;
+
+  const answers = fromDraftAnswers(row.respuestas, questions);
+  return {
+    sessionId: row.sesion_id,
+    userId: row.usuario_id,
+    answers,
+    answeredCount: Object.keys(answers).length,
+    // Hora de inicio del borrador: el tiempo de respuesta cuenta desde ahí
+    startedAt: row.iniciado_en ? new Date(row.iniciado_en) : null
+  };
+};
+
+/**
+ * Cuestionarios en curso por clave (campaña o token)
+ * @param {Array} rows - Filas de borradores sin completar
+ * @param {string} key - Columna por la que agrupar
+ * @returns {Map<string, number>}
+ */
+export const countDraftsBy = (rows, key) => (rows || []).reduce((acc, row) => {
+  if (row[key]) acc.set(row[key], (acc.get(row[key]) || 0) + 1);
+  return acc;
+}, new Map());
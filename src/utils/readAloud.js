@@ -0,0 +1,33 @@
+/**
+ * Lectura en voz alta del modo asistido del cuestionario (síntesis de voz del navegador).
+ * Textos y elección de voz; el hook useSpeechSynthesis se encarga de reproducirlos.
+ */
+
+// Velocidades que ofrece el selector; 1 es la velocidad normal de la voz
+export const READ_ALOUD_RATES = [0.75, 1, 1.25];
+export const DEFAULT_READ_ALOUD_RATE = 1;
+
+/**
+ * Texto que se lee para una pregunta: número, enunciado y las opciones numeradas
+ * @param {Object} question - { text }
+ * @param {number} number - Número de la pregunta (desde 1)
+ * @param {Array} options - Opciones de respuesta ({ label })
+ * @param {Function} t - Traductor del idioma de la sesión
+ * @returns {string}
+ */
+export const buildQuestionSpeech = (question, number, options, t) => [
+  t('assisted.speechQuestion', { number, text: question.text }),
+  ...options.map((option, index) => t('assisted.speechOption', { number: index + 1, label: option.label }))
+].join(' ');
+
+/**
+ * Voz para un idioma: la predeterminada del sistema si habla ese idioma,
+ * si no la primera que lo hable ('es' acepta 'es-CO', 'es_ES'...)
+ * @param {Array} voices - speechSynthesis.getVoices()
+ * @param {string} language - Código de idioma de la aplicación
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export const pickVoice = (voices = [], language) => {
+  const matching = voices.filter(voice => voice.lang?.toLowerCase().split(/[-_]/)[0] === language);
+  return matching.find(voice => voice.default) || matching[0] || null;
+};
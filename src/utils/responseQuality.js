@@ -0,0 +1,164 @@
+/**
+ * Control de calidad de respuestas del GHQ-12
+ *
+ * Evalúa cada sesión en busca de patrones que indican respuestas poco atentas:
+ * - Rapidez excesiva respecto a la mediana de tiempo del instrumento
+ * - Respuesta invariable (el mismo valor en todos los ítems)
+ * - Contradicciones entre ítems espejo de sentido opuesto (p. ej. q7 vs q9)
+ *
+ * La función SQL evaluar_calidad_sesion (sql/V8__create_calidad_respuestas.sql)
+ * aplica las mismas reglas al registrar cada envío; mantener ambas sincronizadas.
+ */
+
+import { getCurrentInstrument, getItemKey, getMirroredItemPairs, isReverseKeyed } from '../data/instruments';
+
+export const QUALITY_THRESHOLDS = {
+  // Sesión rápida: menos de esta fracción de la mediana de tiempo
+  SPEEDING_RATIO: 0.5,
+  // Sesiones con tiempo necesarias para usar la mediana como referencia
+  MIN_REFERENCE_SESSIONS: 10,
+  // Sin referencia suficiente: segundos mínimos por ítem
+  MIN_SECONDS_PER_ITEM: 2,
+  // Penalización de cada alerta sobre un puntaje de calidad de 100
+  PENALTIES: {
+    rapidez: 40,
+    respuesta_invariable: 40,
+    inconsistencia: 15
+  }
+};
+
+export const QUALITY_FLAGS = {
+  rapidez: {
+    label: 'Respuesta demasiado rápida',
+    description: 'El tiempo de respuesta es muy inferior al habitual'
+  },
+  respuesta_invariable: {
+    label: 'Respuesta invariable',
+    description: 'Se eligió la misma opción en todos los ítems, incluidos los de sentido opuesto'
+  },
+  inconsistencia: {
+    label: 'Ítems espejo contradictorios',
+    description: 'Máximo bienestar y máximo malestar en ítems que miden lo mismo'
+  }
+};
+
+// Estados de revisión de una sesión (columna resultados_sesion.estado_revision)
+export const REVIEW_STATUS = {
+  SIN_ALERTAS: 'sin_alertas',
+  PENDIENTE: 'pendiente',
+  APROBADA: 'aprobada',
+  EXCLUIDA: 'excluida'
+};
+
+export const REVIEW_STATUS_LABELS = {
+  [REVIEW_STATUS.SIN_ALERTAS]: 'Sin alertas',
+  [REVIEW_STATUS.PENDIENTE]: 'Pendiente de revisión',
+  [REVIEW_STATUS.APROBADA]: 'Aprobada',
+  [REVIEW_STATUS.EXCLUIDA]: 'Excluida'
+};
+
+/**
+ * Mediana de una lista de valores (ignora nulos)
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+export function calculateMedian(values) {
+  const sorted = (values || [])
+    .filter(v => v !== null && v !== undefined && !Number.isNaN(Number(v)))
+    .map(Number)
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Tiempo mínimo esperado para completar el instrumento
+ * @param {Object} reference - { medianTime, sessions }
+ * @param {number} itemCount - Número de ítems del instrumento
+ * @returns {Object} - { minimum, basis: 'mediana' | 'por_item' }
+ */
+function expectedMinimumTime(reference, itemCount) {
+  if (reference?.medianTime && reference.sessions >= QUALITY_THRESHOLDS.MIN_REFERENCE_SESSIONS) {
+    return { minimum: reference.medianTime * QUALITY_THRESHOLDS.SPEEDING_RATIO, basis: 'mediana' };
+  }
+  return { minimum: itemCount * QUALITY_THRESHOLDS.MIN_SECONDS_PER_ITEM, basis: 'por_item' };
+}
+
+/**
+ * Evalúa la calidad de una sesión de respuesta
+ * @param {Object} session
+ * @param {Object} session.responses - { q1..q12 } con los valores originales
+ * @param {number} [session.completionTime] - Segundos empleados
+ * @param {Object} [session.reference] - { medianTime, sessions } de las demás sesiones del instrumento
+ * @param {Object} [session.instrument] - Versión del instrumento (por defecto la vigente)
+ * @returns {Object} - { score, flags: [{ code, label, detail }], isFlagged, contradictions }
+ */
+export function evaluateResponseQuality({
+  responses,
+  completionTime = null,
+  reference = null,
+  instrument = getCurrentInstrument()
+}) {
+  const { maxItemValue } = instrument.scoring;
+  const values = instrument.items.map(item => Number(responses[getItemKey(item.id)]));
+  const flags = [];
+
+  if (completionTime !== null && completionTime !== undefined) {
+    const { minimum, basis } = expectedMinimumTime(reference, instrument.items.length);
+    if (completionTime < minimum) {
+      flags.push({
+        code: 'rapidez',
+        detail: basis === 'mediana'
+          ? `${completionTime} s frente a una mediana de ${Math.round(reference.medianTime)} s`
+          : `${completionTime} s para ${instrument.items.length} ítems`
+      });
+    }
+  }
+
+  if (values.every(v => v === values[0])) {
+    const option = instrument.scale.find(o => o.value === values[0]);
+    flags.push({
+      code: 'respuesta_invariable',
+      detail: `"${option?.label ?? values[0]}" en los ${values.length} ítems`
+    });
+  }
+
+  // Malestar del ítem (0 = ninguno): directo en negativos, invertido en positivos
+  const distress = (itemId) => {
+    const raw = Number(responses[getItemKey(itemId)]);
+    return isReverseKeyed(instrument, itemId) ? raw : maxItemValue - raw;
+  };
+  const contradictions = getMirroredItemPairs(instrument)
+    .filter(([positive, negative]) => Math.abs(distress(positive) - distress(negative)) >= maxItemValue)
+    .map(([positive, negative]) => ({ positive, negative }));
+
+  if (contradictions.length > 0) {
+    flags.push({
+      code: 'inconsistencia',
+      detail: contradictions.map(c => `q${c.positive} vs q${c.negative}`).join(', ')
+    });
+  }
+
+  const penalty = flags.reduce((sum, flag) => {
+    const base = QUALITY_THRESHOLDS.PENALTIES[flag.code];
+    return sum + (flag.code === 'inconsistencia' ? base * contradictions.length : base);
+  }, 0);
+
+  return {
+    score: Math.max(0, 100 - penalty),
+    flags: flags.map(flag => ({ ...flag, label: QUALITY_FLAGS[flag.code].label })),
+    isFlagged: flags.length > 0,
+    contradictions
+  };
+}
+
+export default {
+  QUALITY_THRESHOLDS,
+  QUALITY_FLAGS,
+  REVIEW_STATUS,
+  REVIEW_STATUS_LABELS,
+  calculateMedian,
+  evaluateResponseQuality
+};
@@ -0,0 +1,131 @@
+/**
+ * Políticas de retención de datos personales
+ *
+ * Cada política indica, para toda la organización o para una campaña, a los
+ * cuántos meses de responder se seudonimiza al trabajador (documento reemplazado
+ * por su huella, sin nombre ni contacto) o se le quitan del todo los
+ * identificadores. El proceso programado las aplica con aplicar_retencion()
+ * (sql/V19__create_politicas_retencion.sql); los datos demográficos y las
+ * respuestas se conservan para los dashboards.
+ */
+
+export const RETENTION_ACTIONS = {
+  SEUDONIMIZAR: 'seudonimizar',
+  ELIMINAR_IDENTIFICADORES: 'eliminar_identificadores'
+};
+
+export const RETENTION_ACTION_LABELS = {
+  [RETENTION_ACTIONS.SEUDONIMIZAR]: 'Seudonimizar',
+  [RETENTION_ACTIONS.ELIMINAR_IDENTIFICADORES]: 'Eliminar identificadores'
+};
+
+export const RETENTION_ACTION_DESCRIPTIONS = {
+  [RETENTION_ACTIONS.SEUDONIMIZAR]: 'Borra nombre, correo y contacto; el documento se reemplaza por su huella',
+  [RETENTION_ACTIONS.ELIMINAR_IDENTIFICADORES]: 'Además reemplaza la huella por un valor al azar: ya no se puede volver a la persona'
+};
+
+export const RETENTION_MONTHS_LIMITS = { MIN: 1, MAX: 600 };
+
+// Prefijos que deja el servidor en `usuarios.documento`
+export const IDENTITY_STATUS = {
+  IDENTIFICADO: 'identificado',
+  SEUDONIMIZADO: 'seudonimizado',
+  ANONIMIZADO: 'anonimizado'
+};
+
+const IDENTITY_PREFIXES = [
+  ['seud:', IDENTITY_STATUS.SEUDONIMIZADO],
+  ['anon:', IDENTITY_STATUS.ANONIMIZADO]
+];
+
+/**
+ * Estado de identificación de un trabajador según su documento
+ * @param {Object} usuario
+ * @returns {string} - Valor de IDENTITY_STATUS
+ */
+export const getIdentityStatus = (usuario) => {
+  const documento = usuario?.documento || '';
+  const match = IDENTITY_PREFIXES.find(([prefix]) => documento.startsWith(prefix));
+  return match ? match[1] : IDENTITY_STATUS.IDENTIFICADO;
+};
+
+/**
+ * "24 meses", "5 años"
+ * @param {number} months
+ * @returns {string}
+ */
+export const formatRetentionPeriod = (months) => {
+  if (months % 12 === 0) {
+    const years = months / 12;
+    return `${years} ${years === 1 ? 'año' : 'años'}`;
+  }
+  return `${months} ${months === 1 ? 'mes' : 'meses'}`;
+};
+
+const sameScope = (a, b) => (a.campana_id || null) === (b.campana_id || null);
+
+/**
+ * Valida una política antes de guardarla
+ * @param {Object} policy - { id?, campana_id, accion, meses }
+ * @param {Array} [policies] - Políticas guardadas
+ * @returns {string[]} - Lista de errores (vacía si es válida)
+ */
+export const validateRetentionPolicy = (policy, policies = []) => {
+  const errors = [];
+  const months = Number(policy?.meses);
+
+  if (!Object.values(RETENTION_ACTIONS).includes(policy?.accion)) errors.push('Elige una acción');
+  if (!Number.isInteger(months) || months < RETENTION_MONTHS_LIMITS.MIN || months > RETENTION_MONTHS_LIMITS.MAX) {
+    errors.push(`El plazo debe ser un número entero de meses entre ${RETENTION_MONTHS_LIMITS.MIN} y ${RETENTION_MONTHS_LIMITS.MAX}`);
+  }
+
+  const others = policies.filter(other => other.id !== policy?.id && sameScope(other, policy || {}));
+  if (others.some(other => other.accion === policy?.accion)) {
+    errors.push('Ya hay una política con esa acción para este ámbito');
+  }
+
+  // Quitar identificadores antes de seudonimizar dejaría sin efecto la seudonimización
+  const counterpart = others.find(other => other.accion !== policy?.accion);
+  if (counterpart && Number.isInteger(months)) {
+    const pseudonymise = policy.accion === RETENTION_ACTIONS.SEUDONIMIZAR ? months : counterpart.meses;
+    const remove = policy.accion === RETENTION_ACTIONS.SEUDONIMIZAR ? counterpart.meses : months;
+    if (remove < pseudonymise) errors.push('Eliminar identificadores no puede ocurrir antes de seudonimizar');
+  }
+
+  return errors;
+};
+
+/**
+ * Filas de la tabla de políticas: ámbito legible y efecto previsto hoy
+ * @param {Array} policies - Filas de `politicas_retencion`
+ * @param {Array<{ politica_id: string, usuarios: number, sesiones: number }>} preview
+ * @param {Array} campaigns - Para mostrar el nombre del ámbito
+ * @returns {Array}
+ */
+export const buildRetentionRows = (policies, preview = [], campaigns = []) => {
+  const effects = new Map(preview.map(row => [row.politica_id, row]));
+  const names = new Map(campaigns.map(campaign => [campaign.id, campaign.nombre]));
+
+  return policies
+    .map(policy => ({
+      ...policy,
+      scope: policy.campana_id ? names.get(policy.campana_id) || 'Campaña eliminada' : 'Toda la organización',
+      period: formatRetentionPeriod(policy.meses),
+      affectedUsers: policy.activa ? effects.get(policy.id)?.usuarios ?? 0 : null,
+      affectedSessions: policy.activa ? effects.get(policy.id)?.sesiones ?? 0 : null
+    }))
+    .sort((a, b) => Number(Boolean(a.campana_id)) - Number(Boolean(b.campana_id)) ||
+      a.scope.localeCompare(b.scope, 'es') || a.meses - b.meses);
+};
+
+export default {
+  RETENTION_ACTIONS,
+  RETENTION_ACTION_LABELS,
+  RETENTION_ACTION_DESCRIPTIONS,
+  RETENTION_MONTHS_LIMITS,
+  IDENTITY_STATUS,
+  getIdentityStatus,
+  formatRetentionPeriod,
+  validateRetentionPolicy,
+  buildRetentionRows
+};
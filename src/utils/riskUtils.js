@@ -1,18 +1,24 @@
 // Utilidades para cálculo y visualización de riesgos
-export const RISK_LEVELS = {
-  VERY_LOW: { threshold: 0, label: 'Muy Bajo', color: 'bg-green-200', border: 'border-green-300', text: 'text-gray-900' },
-  LOW: { threshold: 20, label: 'Bajo', color: 'bg-green-400', border: 'border-green-500', text: 'text-gray-900' },
-  MODERATE: { threshold: 40, label: 'Moderado', color: 'bg-yellow-400', border: 'border-yellow-500', text: 'text-gray-900' },
-  HIGH: { threshold: 60, label: 'Alto', color: 'bg-orange-500', border: 'border-orange-600', text: 'text-white' },
-  VERY_HIGH: { threshold: 80, label: 'Muy Alto', color: 'bg-red-600', border: 'border-red-700', text: 'text-white' }
+// Los niveles provienen del registro de bandas de riesgo (src/config/riskBands.js)
+import { classifyRiskPercentage, getRiskBands } from '../config/riskBands';
+
+const toRiskLevel = (band) => {
+  const [color, ...text] = band.cellColor.split(' ');
+  return {
+    key: band.key,
+    threshold: band.minPercentage,
+    label: band.label,
+    color,
+    border: band.cellBorderColor,
+    text: text.join(' ')
+  };
 };
 
+// Niveles vigentes, de menor a mayor riesgo
+export const getRiskLevels = () => getRiskBands().map(toRiskLevel);
+
 export const getRiskLevel = (value) => {
-  if (value >= 80) return RISK_LEVELS.VERY_HIGH;
-  if (value >= 60) return RISK_LEVELS.HIGH;
-  if (value >= 40) return RISK_LEVELS.MODERATE;
-  if (value >= 20) return RISK_LEVELS.LOW;
-  return RISK_LEVELS.VERY_LOW;
+  return toRiskLevel(classifyRiskPercentage(value));
 };
 
 export const getRiskColor = (value) => {
@@ -46,7 +52,7 @@ export const calculateStatistics = (departments, averageRisk) => {
 
   const average = values.reduce((sum, val) => sum + val, 0) / values.length;
   const departmentsAboveAverage = values.filter(val => val > average).length;
-  const criticalCount = values.filter(val => val >= 40).length;
+  const criticalCount = values.filter(val => classifyRiskPercentage(val).isHighRisk).length;
 
   return {
     averageRisk: average,
@@ -0,0 +1,211 @@
+/**
+ * Distribuciones de probabilidad y utilidades estadísticas compartidas
+ *
+ * Valores p de las distribuciones t, F, chi-cuadrado y normal, rangos con
+ * empates y corrección por comparaciones múltiples. Las usan el análisis de
+ * correlaciones y las comparaciones entre grupos.
+ */
+
+/**
+ * Rangos 1..n; los valores empatados reciben el rango promedio
+ * @param {Array<number>} values
+ * @returns {Array<number>}
+ */
+export function rankValues(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k].index] = averageRank;
+    start = end + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Término de corrección por empates Σ(t³ - t) de los rangos
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+export function tieCorrection(values) {
+  const counts = values.reduce((acc, value) => acc.set(value, (acc.get(value) || 0) + 1), new Map());
+  return [...counts.values()].reduce((sum, t) => sum + (t * t * t - t), 0);
+}
+
+// Logaritmo de la función gamma (aproximación de Lanczos)
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, c) => sum + c / ++y, 1.000000000190015);
+  return -tmp + Math.log(2.5066282746310007 * series / x);
+}
+
+const MAX_ITERATIONS = 200;
+const EPSILON = 3e-14;
+const TINY = 1e-300;
+
+// Fracción continua de la beta incompleta (Numerical Recipes, betacf)
+function betaContinuedFraction(a, b, x) {
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return h;
+}
+
+// Función beta incompleta regularizada I_x(a, b)
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Función gamma incompleta regularizada superior Q(a, x) (Numerical Recipes, gser/gcf)
+function regularizedUpperGamma(a, x) {
+  if (x <= 0) return 1;
+  const logFront = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= MAX_ITERATIONS; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+    }
+    return 1 - sum * Math.exp(logFront);
+  }
+
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= MAX_ITERATIONS; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.exp(logFront) * h;
+}
+
+/**
+ * P(|T| >= |t|) para una t de Student
+ * @param {number} t - Estadístico t
+ * @param {number} df - Grados de libertad
+ * @returns {number}
+ */
+export function studentTwoTailedP(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * P(F' >= F) para una F de Snedecor
+ * @param {number} f - Estadístico F
+ * @param {number} df1 - Grados de libertad del numerador
+ * @param {number} df2 - Grados de libertad del denominador
+ * @returns {number}
+ */
+export function fUpperTailP(f, df1, df2) {
+  if (!Number.isFinite(f)) return 0;
+  if (f <= 0) return 1;
+  return regularizedIncompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * P(X >= x) para una chi-cuadrado
+ * @param {number} x - Estadístico
+ * @param {number} df - Grados de libertad
+ * @returns {number}
+ */
+export function chiSquareUpperTailP(x, df) {
+  if (!Number.isFinite(x)) return 0;
+  return Math.min(1, Math.max(0, regularizedUpperGamma(df / 2, x / 2)));
+}
+
+/**
+ * P(|Z| >= |z|) para una normal estándar (erfc de Abramowitz y Stegun 7.1.26)
+ * @param {number} z
+ * @returns {number}
+ */
+export function normalTwoTailedP(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return Math.min(1, polynomial * Math.exp(-x * x));
+}
+
+/**
+ * Corrección de Holm-Bonferroni para una familia de pruebas
+ * @param {Array<number>} pValues
+ * @returns {Array<number>} - Valores p ajustados, en el orden original
+ */
+export function holmAdjust(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, index) => ({ p, index })).sort((a, b) => a.p - b.p);
+  const adjusted = new Array(m);
+
+  let runningMax = 0;
+  order.forEach(({ p, index }, rank) => {
+    runningMax = Math.max(runningMax, Math.min(1, (m - rank) * p));
+    adjusted[index] = runningMax;
+  });
+
+  return adjusted;
+}
+
+export default {
+  rankValues,
+  tieCorrection,
+  studentTwoTailedP,
+  fUpperTailP,
+  chiSquareUpperTailP,
+  normalTwoTailedP,
+  holmAdjust
+};
@@ -4,6 +4,8 @@
  */
 
 import { supabase } from '../api/supabase';
+import { isCampaignOpen } from './campaigns';
+import { TOKEN_EXPIRY_DAYS, expirationFromDays } from './invitations';
 
 /**
  * Generate a unique token for user access
@@ -13,28 +15,41 @@ export const generateToken = () => {
   return crypto.randomUUID();
 };
 
+/**
+ * Build a `tokens_acceso` row ready to insert
+ * @param {string} userId - User ID
+ * @param {string} campaignId - Campaign (wave) the token belongs to
+ * @param {Object} [options]
+ * @param {number} [options.expiresInDays] - Days until the token expires
+ * @param {Object} [options.metadata] - Additional metadata
+ * @returns {Object} Token row
+ */
+export const buildTokenRow = (userId, campaignId, {
+  expiresInDays = TOKEN_EXPIRY_DAYS.DEFAULT,
+  metadata = {}
+} = {}) => ({
+  token: generateToken(),
+  user_id: userId,
+  campana_id: campaignId,
+  expiracion: expirationFromDays(expiresInDays),
+  metadata: {
+    ...metadata,
+    created_by: 'admin',
+    purpose: 'questionnaire_access'
+  }
+});
+
 /**
  * Create a new access token for a user
  * @param {string} userId - User ID
+ * @param {string} campaignId - Campaign (wave) the token belongs to
  * @param {Object} metadata - Additional metadata
+ * @param {number} [expiresInDays] - Days until the token expires
  * @returns {Promise<Object>} Created token data
  */
-export const createAccessToken = async (userId, metadata = {}) => {
+export const createAccessToken = async (userId, campaignId, metadata = {}, expiresInDays = TOKEN_EXPIRY_DAYS.DEFAULT) => {
   try {
-    const token = generateToken();
-    const expirationDate = new Date();
-    expirationDate.setDate(expirationDate.getDate() + 7); // 7 days from now
-
-    const tokenData = {
-      token,
-      user_id: userId,
-      expiracion: expirationDate.toISOString(),
-      metadata: {
-        ...metadata,
-        created_by: 'admin',
-        purpose: 'questionnaire_access'
-      }
-    };
+    const tokenData = buildTokenRow(userId, campaignId, { expiresInDays, metadata });
 
     const { data, error } = await supabase
       .from('tokens_acceso')
@@ -64,7 +79,7 @@ export const validateToken = async (token) => {
   try {
     const { data, error } = await supabase
       .from('tokens_acceso')
-      .select('id, user_id, usado, expiracion, fecha_uso')
+      .select('id, user_id, usado, expiracion, fecha_uso, revocado_en, campana_id, campanas(id, nombre, estado, fecha_inicio, fecha_fin)')
       .eq('token', token)
       .single();
 
@@ -72,6 +87,10 @@ export const validateToken = async (token) => {
       return { valid: false, reason: 'Token no encontrado' };
     }
 
+    if (data.revocado_en) {
+      return { valid: false, reason: 'Token revocado' };
+    }
+
     if (data.usado) {
       return { valid: false, reason: 'Token ya utilizado' };
     }
@@ -83,6 +102,10 @@ export const validateToken = async (token) => {
       return { valid: false, reason: 'Token expirado' };
     }
 
+    if (!isCampaignOpen(data.campanas, now)) {
+      return { valid: false, reason: 'La campaña de evaluación no está abierta' };
+    }
+
     return {
       valid: true,
       tokenData: data
@@ -95,6 +118,8 @@ export const validateToken = async (token) => {
 
 /**
  * Mark a token as used
+ * @deprecated The questionnaire flow consumes tokens server-side when answers are
+ * saved (`enviar_cuestionario`); marking one here can burn it with no data saved.
  * @param {string} token - Token to mark as used
  * @param {string} userId - User ID that used the token
  * @returns {Promise<boolean>} Success status
@@ -161,9 +186,10 @@ export const deleteToken = async (tokenId) => {
 
 export default {
   generateToken,
+  buildTokenRow,
   createAccessToken,
   validateToken,
   markTokenAsUsed,
   getUserTokens,
   deleteToken
-};
\ No newline at end of file
+};
\ No newline at end of file
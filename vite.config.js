@@ -1,6 +1,8 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
 
 const alias = [
   'components',
@@ -22,10 +24,41 @@ const alias = [
   return acc;
 }, { '@': path.resolve(__dirname, './src') });
 
+// Archivos que carga index.html: el punto de entrada, sus imports estáticos y su CSS
+const collectEntryFiles = (bundle) => {
+  const files = new Set();
+  const visit = (fileName) => {
+    const output = bundle[fileName];
+    if (files.has(fileName) || !output) return;
+    files.add(fileName);
+    if (output.type !== 'chunk') return;
+    output.imports.forEach(visit);
+    output.viteMetadata?.importedCss?.forEach(css => files.add(css));
+    output.viteMetadata?.importedAssets?.forEach(asset => files.add(asset));
+  };
+  Object.values(bundle).filter(output => output.type === 'chunk' && output.isEntry).forEach(output => visit(output.fileName));
+  return [...files].map(fileName => `/${fileName}`);
+};
+
+// Emite /sw.js a partir de src/pwa/serviceWorker.js con la lista de archivos a precachear
+const questionnaireServiceWorker = () => ({
+  name: 'questionnaire-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const assets = collectEntryFiles(bundle);
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+    const source = readFileSync(path.resolve(__dirname, 'src/pwa/serviceWorker.js'), 'utf8')
+      .replace('self.__PRECACHE_VERSION__', JSON.stringify(version))
+      .replace('self.__PRECACHE_ASSETS__', JSON.stringify(assets));
+
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  },
+});
+
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => ({
   base: '/',
-  plugins: [react()],
+  plugins: [react(), questionnaireServiceWorker()],
   resolve: {
     alias,
   },